@@ -1,6 +1,7 @@
 // src/controllers/adminController.js
 
 const adminService = require('../services/adminService');
+const jobService = require('../services/jobService');
 const { createAuditLog } = require('../services/auditService');
 const logger = require('../utils/logger');
 const { validateResult, validateUserRegistration } = require('../utils/validationUtils');
@@ -1993,4 +1994,91 @@ exports.getCurrentlyActiveUsers = async (req, res) => {
     } catch (err) {
         sendErrorResponse(res, 500, 'Failed to fetch active users.', err);
     }
-};
\ No newline at end of file
+};
+
+// === Job Scheduler ===
+
+/**
+ * @desc    List background jobs with their schedule, pause state and last run
+ * @route   GET /api/admin/jobs
+ * @access  Private/Admin
+ */
+exports.getAllJobs = async (req, res) => {
+    try {
+        const jobs = await jobService.listJobs();
+        res.status(200).json({ success: true, count: jobs.length, data: jobs });
+    } catch (err) {
+        sendErrorResponse(res, 500, 'Failed to fetch jobs.', err);
+    }
+};
+
+/**
+ * @desc    Trigger a background job immediately
+ * @route   POST /api/admin/jobs/:name/trigger
+ * @access  Private/Admin
+ */
+exports.triggerJob = async (req, res) => {
+    try {
+        const run = await jobService.triggerJob(req.params.name, req.user, req.ip);
+        res.status(202).json({ success: true, message: `Job ${req.params.name} triggered.`, data: run });
+    } catch (err) {
+        sendErrorResponse(res, err.statusCode || 500, err.statusCode ? err.message : 'Failed to trigger job.', err);
+    }
+};
+
+/**
+ * @desc    Pause a background job
+ * @route   PUT /api/admin/jobs/:name/pause
+ * @access  Private/Admin
+ */
+exports.pauseJob = async (req, res) => {
+    try {
+        const job = await jobService.pauseJob(req.params.name, req.user, req.ip);
+        res.status(200).json({ success: true, message: `Job ${req.params.name} paused.`, data: job });
+    } catch (err) {
+        sendErrorResponse(res, err.statusCode || 500, err.statusCode ? err.message : 'Failed to pause job.', err);
+    }
+};
+
+/**
+ * @desc    Resume a paused background job
+ * @route   PUT /api/admin/jobs/:name/resume
+ * @access  Private/Admin
+ */
+exports.resumeJob = async (req, res) => {
+    try {
+        const job = await jobService.resumeJob(req.params.name, req.user, req.ip);
+        res.status(200).json({ success: true, message: `Job ${req.params.name} resumed.`, data: job });
+    } catch (err) {
+        sendErrorResponse(res, err.statusCode || 500, err.statusCode ? err.message : 'Failed to resume job.', err);
+    }
+};
+
+/**
+ * @desc    Get the run history of a background job
+ * @route   GET /api/admin/jobs/:name/runs
+ * @access  Private/Admin
+ */
+exports.getJobRuns = async (req, res) => {
+    try {
+        const { page, limit, status } = req.query;
+        const result = await jobService.getJobRuns(req.params.name, { page, limit, status });
+        res.status(200).json({ success: true, ...result });
+    } catch (err) {
+        sendErrorResponse(res, err.statusCode || 500, err.statusCode ? err.message : 'Failed to fetch job runs.', err);
+    }
+};
+
+/**
+ * @desc    Get a single job run
+ * @route   GET /api/admin/jobs/runs/:runId
+ * @access  Private/Admin
+ */
+exports.getJobRunById = async (req, res) => {
+    try {
+        const run = await jobService.getJobRunById(req.params.runId);
+        res.status(200).json({ success: true, data: run });
+    } catch (err) {
+        sendErrorResponse(res, err.statusCode || 500, err.statusCode ? err.message : 'Failed to fetch job run.', err);
+    }
+};
@@ -0,0 +1,134 @@
+// src/controllers/billController.js
+
+const asyncHandler = require('../utils/asyncHandler');
+const billService = require('../services/billService');
+const invoiceService = require('../services/invoiceService');
+
+/**
+ * @desc Record a vendor bill
+ * @route POST /api/bills
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const createBill = asyncHandler(async (req, res) => {
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const bill = await billService.createBill(req.body, req.files, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: 'Bill recorded successfully.',
+        data: bill
+    });
+});
+
+/**
+ * @desc Get all vendor bills
+ * @route GET /api/bills
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const getAllBills = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, propertyId, vendorId, requestId, status, startDate, endDate } = req.query;
+    const currentUser = req.user;
+
+    const result = await billService.getAllBills(
+        currentUser,
+        { propertyId, vendorId, requestId, status, startDate, endDate },
+        page,
+        limit
+    );
+
+    res.status(200).json({
+        success: true,
+        count: result.bills.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        pages: result.pages,
+        data: result.bills
+    });
+});
+
+/**
+ * @desc Get a vendor bill by ID
+ * @route GET /api/bills/:id
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const getBillById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    const bill = await billService.getBillById(id, currentUser);
+
+    res.status(200).json({
+        success: true,
+        data: bill
+    });
+});
+
+/**
+ * @desc Record a payment to the vendor
+ * @route POST /api/bills/:id/payments
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const recordBillPayment = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const bill = await billService.recordBillPayment(id, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Bill payment recorded successfully.',
+        data: bill
+    });
+});
+
+/**
+ * @desc Void a vendor bill
+ * @route POST /api/bills/:id/void
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const voidBill = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { reason } = req.body;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const bill = await billService.voidBill(id, reason, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Bill voided successfully.',
+        data: bill
+    });
+});
+
+/**
+ * @desc Recharge a vendor bill to a tenant as a draft invoice
+ * @route POST /api/bills/:id/recharge
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const rechargeBill = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const invoice = await invoiceService.createInvoiceFromBill(id, req.body, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: 'Draft recharge invoice created successfully.',
+        data: invoice
+    });
+});
+
+module.exports = {
+    createBill,
+    getAllBills,
+    getBillById,
+    recordBillPayment,
+    voidBill,
+    rechargeBill
+};
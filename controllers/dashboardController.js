@@ -10,6 +10,7 @@ const Unit = require('../models/unit');
 const PropertyUser = require('../models/propertyUser');
 const mongoose = require('mongoose');
 const { REQUEST_STATUS_ENUM, LEASE_STATUS_ENUM, SCHEDULED_MAINTENANCE_STATUS_ENUM } = require('../utils/constants/enums');
+const { IN_FORCE_LEASE_STATUSES } = require('../utils/leaseLifecycleUtils');
 
 /**
  * Get aggregated data for the PM dashboard in a single query
@@ -148,7 +149,7 @@ exports.getPMDashboardData = async (req, res) => {
       // Count active leases
       Lease.countDocuments({
         property: { $in: propertyIds },
-        status: 'active',
+        status: { $in: IN_FORCE_LEASE_STATUSES },
         isActive: true
       }),
       
@@ -335,7 +336,7 @@ exports.getLandlordDashboardData = async (req, res) => {
       // Count active leases
       Lease.countDocuments({
         property: { $in: propertyIds },
-        status: 'active',
+        status: { $in: IN_FORCE_LEASE_STATUSES },
         isActive: true
       }),
       
@@ -0,0 +1,113 @@
+// src/controllers/expenseController.js
+
+const asyncHandler = require('../utils/asyncHandler');
+const expenseService = require('../services/expenseService');
+
+/**
+ * @desc Record a property expense
+ * @route POST /api/expenses
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const createExpense = asyncHandler(async (req, res) => {
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const expense = await expenseService.createExpense(req.body, req.files, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: 'Expense recorded successfully.',
+        data: expense
+    });
+});
+
+/**
+ * @desc Get all property expenses
+ * @route GET /api/expenses
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const getAllExpenses = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, propertyId, category, vendorId, requestId, status, startDate, endDate } = req.query;
+    const currentUser = req.user;
+
+    const result = await expenseService.getAllExpenses(
+        currentUser,
+        { propertyId, category, vendorId, requestId, status, startDate, endDate },
+        page,
+        limit
+    );
+
+    res.status(200).json({
+        success: true,
+        count: result.expenses.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        pages: result.pages,
+        data: result.expenses
+    });
+});
+
+/**
+ * @desc Get a property expense by ID
+ * @route GET /api/expenses/:id
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const getExpenseById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    const expense = await expenseService.getExpenseById(id, currentUser);
+
+    res.status(200).json({
+        success: true,
+        data: expense
+    });
+});
+
+/**
+ * @desc Update a property expense and add receipts
+ * @route PUT /api/expenses/:id
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const updateExpense = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const expense = await expenseService.updateExpense(id, req.body, req.files, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Expense updated successfully.',
+        data: expense
+    });
+});
+
+/**
+ * @desc Void a property expense
+ * @route POST /api/expenses/:id/void
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const voidExpense = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { reason } = req.body;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const expense = await expenseService.voidExpense(id, reason, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Expense voided successfully.',
+        data: expense
+    });
+});
+
+module.exports = {
+    createExpense,
+    getAllExpenses,
+    getExpenseById,
+    updateExpense,
+    voidExpense
+};
@@ -0,0 +1,194 @@
+// src/controllers/inspectionController.js
+
+const asyncHandler = require('../utils/asyncHandler');
+const inspectionService = require('../services/inspectionService');
+
+/**
+ * @desc Start a move-in or move-out inspection for a lease
+ * @route POST /api/inspections
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const createInspection = asyncHandler(async (req, res) => {
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const inspection = await inspectionService.createInspection(req.body, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: 'Inspection started successfully.',
+        data: inspection
+    });
+});
+
+/**
+ * @desc Get inspections
+ * @route GET /api/inspections
+ * @access Private (Landlord/Admin, Property Manager, Tenant)
+ */
+const getInspections = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, leaseId, propertyId, unitId, type, status } = req.query;
+    const currentUser = req.user;
+
+    const result = await inspectionService.getInspections(
+        currentUser,
+        { leaseId, propertyId, unitId, type, status },
+        page,
+        limit
+    );
+
+    res.status(200).json({
+        success: true,
+        count: result.inspections.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        pages: result.pages,
+        data: result.inspections
+    });
+});
+
+/**
+ * @desc Get an inspection with its rooms, ratings, photos and signatures
+ * @route GET /api/inspections/:id
+ * @access Private (Landlord/Admin, Property Manager, Tenant)
+ */
+const getInspectionById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    const inspection = await inspectionService.getInspectionById(id, currentUser);
+
+    res.status(200).json({
+        success: true,
+        data: inspection
+    });
+});
+
+/**
+ * @desc Update an in-progress inspection's date, notes or checklist
+ * @route PUT /api/inspections/:id
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const updateInspection = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const inspection = await inspectionService.updateInspection(id, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Inspection updated successfully.',
+        data: inspection
+    });
+});
+
+/**
+ * @desc Rate a checklist item, with notes and photos
+ * @route PUT /api/inspections/:id/rooms/:roomId/items/:itemId
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const updateInspectionItem = asyncHandler(async (req, res) => {
+    const { id, roomId, itemId } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+    const files = req.files || [];
+
+    const inspection = await inspectionService.updateInspectionItem(id, roomId, itemId, req.body, files, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Checklist item updated successfully.',
+        data: inspection
+    });
+});
+
+/**
+ * @desc Complete an inspection once every item is rated
+ * @route POST /api/inspections/:id/complete
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const completeInspection = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const inspection = await inspectionService.completeInspection(id, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Inspection completed and sent to the tenant to sign.',
+        data: inspection
+    });
+});
+
+/**
+ * @desc Sign a completed inspection as the tenant or the manager
+ * @route POST /api/inspections/:id/sign
+ * @access Private (Landlord/Admin, Property Manager, Tenant)
+ */
+const signInspection = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+    const userAgent = req.headers['user-agent'] || 'Unknown';
+
+    const inspection = await inspectionService.signInspection(id, req.body, currentUser, ipAddress, userAgent);
+
+    res.status(200).json({
+        success: true,
+        message: inspection.status === 'signed'
+            ? 'Inspection signed by both tenant and manager.'
+            : 'Inspection signed successfully.',
+        data: inspection
+    });
+});
+
+/**
+ * @desc Compare the lease's move-in and move-out inspections and propose deposit deductions
+ * @route GET /api/inspections/:id/comparison
+ * @access Private (Landlord/Admin, Property Manager, Tenant)
+ */
+const getInspectionComparison = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    const comparison = await inspectionService.getInspectionComparison(id, currentUser);
+
+    res.status(200).json({
+        success: true,
+        data: comparison
+    });
+});
+
+/**
+ * @desc Generate the move-in vs move-out comparison PDF
+ * @route POST /api/inspections/:id/comparison/document
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const generateComparisonDocument = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const result = await inspectionService.generateComparisonDocument(id, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: 'Inspection comparison generated successfully.',
+        data: result
+    });
+});
+
+module.exports = {
+    createInspection,
+    getInspections,
+    getInspectionById,
+    updateInspection,
+    updateInspectionItem,
+    completeInspection,
+    signInspection,
+    getInspectionComparison,
+    generateComparisonDocument
+};
@@ -0,0 +1,214 @@
+// src/controllers/invoiceController.js
+
+const asyncHandler = require('../utils/asyncHandler');
+const invoiceService = require('../services/invoiceService');
+
+/**
+ * @desc Create an invoice (draft unless issue is true)
+ * @route POST /api/invoices
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const createInvoice = asyncHandler(async (req, res) => {
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const invoice = await invoiceService.createInvoice(req.body, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: invoice.invoiceNumber ? `Invoice ${invoice.invoiceNumber} issued successfully.` : 'Draft invoice created successfully.',
+        data: invoice
+    });
+});
+
+/**
+ * @desc Generate and issue an invoice for a rent record
+ * @route POST /api/invoices/from-rent/:rentId
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const generateInvoiceFromRent = asyncHandler(async (req, res) => {
+    const { rentId } = req.params;
+    const { additionalCharges, dueDate, notes } = req.body;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const invoice = await invoiceService.generateInvoiceFromRent(rentId, { additionalCharges, dueDate, notes }, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: `Invoice ${invoice.invoiceNumber} issued successfully.`,
+        data: invoice
+    });
+});
+
+/**
+ * @desc Get all invoices and credit notes
+ * @route GET /api/invoices
+ * @access Private
+ */
+const getAllInvoices = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, propertyId, tenantId, leaseId, rentId, status, type, startDate, endDate, search } = req.query;
+    const currentUser = req.user;
+
+    const result = await invoiceService.getAllInvoices(
+        currentUser,
+        { propertyId, tenantId, leaseId, rentId, status, type, startDate, endDate, search },
+        page,
+        limit
+    );
+
+    res.status(200).json({
+        success: true,
+        count: result.invoices.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        pages: result.pages,
+        data: result.invoices
+    });
+});
+
+/**
+ * @desc Get an invoice by ID
+ * @route GET /api/invoices/:id
+ * @access Private
+ */
+const getInvoiceById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    const invoice = await invoiceService.getInvoiceById(id, currentUser);
+
+    res.status(200).json({
+        success: true,
+        data: invoice
+    });
+});
+
+/**
+ * @desc Update a draft invoice
+ * @route PUT /api/invoices/:id
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const updateInvoice = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const invoice = await invoiceService.updateInvoice(id, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Invoice updated successfully.',
+        data: invoice
+    });
+});
+
+/**
+ * @desc Issue a draft invoice
+ * @route POST /api/invoices/:id/issue
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const issueInvoice = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const invoice = await invoiceService.issueInvoice(id, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: `Invoice ${invoice.invoiceNumber} issued successfully.`,
+        data: invoice
+    });
+});
+
+/**
+ * @desc Send an invoice or credit note to the tenant
+ * @route POST /api/invoices/:id/send
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const sendInvoice = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const invoice = await invoiceService.sendInvoice(id, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: `Invoice ${invoice.invoiceNumber} sent to ${invoice.sentTo}.`,
+        data: invoice
+    });
+});
+
+/**
+ * @desc Void an invoice or credit note
+ * @route POST /api/invoices/:id/void
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const voidInvoice = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { reason } = req.body;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const invoice = await invoiceService.voidInvoice(id, reason, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Invoice voided successfully.',
+        data: invoice
+    });
+});
+
+/**
+ * @desc Issue a credit note against an invoice
+ * @route POST /api/invoices/:id/credit-notes
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const createCreditNote = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const creditNote = await invoiceService.createCreditNote(id, req.body, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: `Credit note ${creditNote.invoiceNumber} issued successfully.`,
+        data: creditNote
+    });
+});
+
+/**
+ * @desc Record a payment against an invoice's non-rent lines
+ * @route POST /api/invoices/:id/payments
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const markInvoiceAsPaid = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const invoice = await invoiceService.markInvoiceAsPaid(id, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Invoice payment recorded successfully.',
+        data: invoice
+    });
+});
+
+module.exports = {
+    createInvoice,
+    generateInvoiceFromRent,
+    getAllInvoices,
+    getInvoiceById,
+    updateInvoice,
+    issueInvoice,
+    sendInvoice,
+    voidInvoice,
+    createCreditNote,
+    markInvoiceAsPaid
+};
@@ -2,6 +2,14 @@
 
 const asyncHandler = require('../utils/asyncHandler');
 const leaseService = require('../services/leaseService');
+const lateFeeService = require('../services/lateFeeService');
+const rentEscalationService = require('../services/rentEscalationService');
+const ledgerService = require('../services/ledgerService');
+const securityDepositService = require('../services/securityDepositService');
+const leaseChargeService = require('../services/leaseChargeService');
+const leaseRenewalService = require('../services/leaseRenewalService');
+const leaseSignatureService = require('../services/leaseSignatureService');
+const rentService = require('../services/rentService');
 const documentGenerationService = require('../services/documentGenerationService');
 const logger = require('../utils/logger');
 const AppError = require('../utils/AppError');
@@ -20,7 +28,7 @@ const createLease = asyncHandler(async (req, res) => {
 
     res.status(201).json({
         success: true,
-        message: 'Lease created successfully.',
+        message: 'Lease created as a draft. It goes active once it has been fully signed.',
         data: newLease
     });
 });
@@ -193,7 +201,7 @@ const downloadLeaseDocument = asyncHandler(async (req, res) => {
  */
 const generateLeaseDocument = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { documentType } = req.body;
+    const { documentType, templateId } = req.body;
     const currentUser = req.user;
     const ipAddress = req.ip;
 
@@ -201,7 +209,7 @@ const generateLeaseDocument = asyncHandler(async (req, res) => {
         throw new AppError('Document type is required.', 400);
     }
 
-    const generatedMediaDoc = await leaseService.generateLeaseDocument(id, documentType, currentUser, ipAddress);
+    const generatedMediaDoc = await leaseService.generateLeaseDocument(id, documentType, currentUser, ipAddress, templateId);
 
     res.status(200).json({
         success: true,
@@ -307,6 +315,590 @@ const generateRentReportDocument = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @desc Get the tenant account ledger for a lease
+ * @route GET /api/leases/:id/ledger
+ * @access Private (Landlord/Admin, Property Manager, Tenant)
+ */
+const getLeaseLedger = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const filters = req.query;
+    const currentUser = req.user;
+
+    const ledger = await ledgerService.getLeaseLedger(id, filters, currentUser);
+
+    res.status(200).json({
+        success: true,
+        data: ledger
+    });
+});
+
+/**
+ * @desc Generate a statement of account PDF from the lease ledger
+ * @route POST /api/leases/:id/statement/generate
+ * @access Private (Landlord/Admin, Property Manager, Tenant)
+ */
+const generateStatementOfAccount = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const filters = req.body;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const ledger = await ledgerService.getLeaseLedger(id, filters, currentUser);
+
+    const documentData = {
+        tenantName: ledger.tenant ? `${ledger.tenant.firstName} ${ledger.tenant.lastName}`.trim() : 'Tenant',
+        propertyName: ledger.property?.name,
+        unitName: ledger.unit?.unitName,
+        startDate: ledger.period.startDate,
+        endDate: ledger.period.endDate,
+        openingBalance: ledger.openingBalance,
+        closingBalance: ledger.closingBalance,
+        totalDebits: ledger.totals.debit,
+        totalCredits: ledger.totals.credit,
+        depositHeld: ledger.deposit.held,
+        currency: ledger.currency,
+        entries: ledger.entries
+    };
+
+    const documentOptions = {
+        relatedResourceType: 'Lease',
+        relatedResourceId: id,
+        userId: currentUser._id,
+        ipAddress,
+        userName: `${currentUser.firstName} ${currentUser.lastName}`.trim()
+    };
+
+    const mediaDoc = await documentGenerationService.generateAndUploadDocument(
+        'statement_of_account',
+        documentData,
+        documentOptions
+    );
+
+    res.status(200).json({
+        success: true,
+        message: 'Statement of account generated successfully.',
+        data: mediaDoc
+    });
+});
+
+/**
+ * @desc Record a lump-sum payment and allocate it across the lease's open rent records
+ * @route POST /api/leases/:id/payments
+ * @access Private (Landlord/Admin, Property Manager, Tenant)
+ */
+const recordLeasePayment = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const paymentData = req.body;
+    const file = req.file;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const result = await rentService.recordLeasePayment(id, paymentData, file, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: 'Lease payment recorded and allocated successfully.',
+        data: result
+    });
+});
+
+/**
+ * @desc Get lease-level payments and the lease's credit balance
+ * @route GET /api/leases/:id/payments
+ * @access Private (Landlord/Admin, Property Manager, Tenant)
+ */
+const getLeasePayments = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+    const currentUser = req.user;
+
+    const result = await rentService.getLeasePayments(id, currentUser, page, limit);
+
+    res.status(200).json({
+        success: true,
+        count: result.payments.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        pages: result.pages,
+        creditBalance: result.creditBalance,
+        data: result.payments
+    });
+});
+
+/**
+ * @desc Set the late fee policy for a lease (overrides the property's policy)
+ * @route PUT /api/leases/:id/late-fee-policy
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const updateLateFeePolicy = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const policy = await lateFeeService.updateLateFeePolicy('lease', id, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Lease late fee policy updated successfully.',
+        data: policy
+    });
+});
+
+/**
+ * @desc Set the rent escalation rule for a lease (applies to its rent schedules)
+ * @route PUT /api/leases/:id/rent-escalation
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const updateRentEscalation = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const rule = await rentEscalationService.updateEscalationRule('lease', id, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Lease rent escalation rule updated successfully.',
+        data: rule
+    });
+});
+
+/**
+ * @desc Get the security deposit for a lease (receipts, deductions, disposition, refund)
+ * @route GET /api/leases/:id/deposit
+ * @access Private (Landlord/Admin, PropertyManager, Tenant)
+ */
+const getSecurityDeposit = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    const result = await securityDepositService.getSecurityDeposit(id, currentUser);
+
+    res.status(200).json({
+        success: true,
+        data: result
+    });
+});
+
+/**
+ * @desc Record money received towards a lease's security deposit
+ * @route POST /api/leases/:id/deposit/receipts
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const recordDepositReceipt = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const deposit = await securityDepositService.recordDepositReceipt(id, req.body, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: 'Security deposit receipt recorded successfully.',
+        data: deposit
+    });
+});
+
+/**
+ * @desc Add an itemized deduction (with optional repair request and photos) to a lease's deposit
+ * @route POST /api/leases/:id/deposit/deductions
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const addDepositDeduction = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const files = req.files || [];
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const deposit = await securityDepositService.addDeduction(id, req.body, files, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: 'Deposit deduction added successfully.',
+        data: deposit
+    });
+});
+
+/**
+ * @desc Remove a deduction from a lease's deposit
+ * @route DELETE /api/leases/:id/deposit/deductions/:deductionId
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const removeDepositDeduction = asyncHandler(async (req, res) => {
+    const { id, deductionId } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const deposit = await securityDepositService.removeDeduction(id, deductionId, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Deposit deduction removed successfully.',
+        data: deposit
+    });
+});
+
+/**
+ * @desc Issue the deposit disposition statement PDF for an ended lease
+ * @route POST /api/leases/:id/deposit/disposition
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const issueDepositDisposition = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const result = await securityDepositService.issueDisposition(id, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Deposit disposition issued successfully.',
+        data: result
+    });
+});
+
+/**
+ * @desc Record the deposit refund paid to the tenant
+ * @route POST /api/leases/:id/deposit/refund
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const recordDepositRefund = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const deposit = await securityDepositService.recordDepositRefund(id, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Deposit refund recorded successfully.',
+        data: deposit
+    });
+});
+
+/**
+ * @desc Get the recurring charges on a lease
+ * @route GET /api/leases/:id/charges
+ * @access Private (Landlord/Admin, PropertyManager, Tenant)
+ */
+const getLeaseCharges = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    const charges = await leaseChargeService.getLeaseCharges(id, currentUser);
+
+    res.status(200).json({
+        success: true,
+        count: charges.length,
+        data: charges
+    });
+});
+
+/**
+ * @desc Add a recurring charge to a lease
+ * @route POST /api/leases/:id/charges
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const addLeaseCharge = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const charge = await leaseChargeService.addLeaseCharge(id, req.body, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: 'Lease charge added successfully.',
+        data: charge
+    });
+});
+
+/**
+ * @desc Update a recurring charge on a lease
+ * @route PUT /api/leases/:id/charges/:chargeId
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const updateLeaseCharge = asyncHandler(async (req, res) => {
+    const { id, chargeId } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const charge = await leaseChargeService.updateLeaseCharge(id, chargeId, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Lease charge updated successfully.',
+        data: charge
+    });
+});
+
+/**
+ * @desc End a recurring charge on a lease
+ * @route DELETE /api/leases/:id/charges/:chargeId
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const endLeaseCharge = asyncHandler(async (req, res) => {
+    const { id, chargeId } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const charge = await leaseChargeService.endLeaseCharge(id, chargeId, req.body?.endDate, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Lease charge ended successfully.',
+        data: charge
+    });
+});
+
+/**
+ * @desc Get the renewal offers made on a lease
+ * @route GET /api/leases/:id/renewal-offers
+ * @access Private (Landlord/Admin, PropertyManager, Tenant)
+ */
+const getRenewalOffers = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    const offers = await leaseRenewalService.getRenewalOffers(id, currentUser);
+
+    res.status(200).json({
+        success: true,
+        count: offers.length,
+        data: offers
+    });
+});
+
+/**
+ * @desc Draft a renewal offer for a lease
+ * @route POST /api/leases/:id/renewal-offers
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const createRenewalOffer = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const offer = await leaseRenewalService.createRenewalOffer(id, req.body, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: 'Renewal offer drafted successfully.',
+        data: offer
+    });
+});
+
+/**
+ * @desc Revise a renewal offer
+ * @route PUT /api/leases/:id/renewal-offers/:offerId
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const updateRenewalOffer = asyncHandler(async (req, res) => {
+    const { id, offerId } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const offer = await leaseRenewalService.updateRenewalOffer(id, offerId, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Renewal offer updated successfully.',
+        data: offer
+    });
+});
+
+/**
+ * @desc Send a renewal offer to the tenant
+ * @route POST /api/leases/:id/renewal-offers/:offerId/send
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const sendRenewalOffer = asyncHandler(async (req, res) => {
+    const { id, offerId } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const offer = await leaseRenewalService.sendRenewalOffer(id, offerId, { expiresAt: req.body?.expiresAt }, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Renewal offer sent to the tenant.',
+        data: offer
+    });
+});
+
+/**
+ * @desc Withdraw a renewal offer
+ * @route POST /api/leases/:id/renewal-offers/:offerId/withdraw
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const withdrawRenewalOffer = asyncHandler(async (req, res) => {
+    const { id, offerId } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const offer = await leaseRenewalService.withdrawRenewalOffer(id, offerId, req.body?.reason, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Renewal offer withdrawn.',
+        data: offer
+    });
+});
+
+/**
+ * @desc Accept the tenant's counter offer and renew the lease
+ * @route POST /api/leases/:id/renewal-offers/:offerId/accept-counter
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const acceptCounterOffer = asyncHandler(async (req, res) => {
+    const { id, offerId } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const offer = await leaseRenewalService.acceptCounterOffer(id, offerId, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Counter offer accepted; the renewed lease is ready to be sent for signature.',
+        data: offer
+    });
+});
+
+/**
+ * @desc Accept, counter or decline a renewal offer as the tenant
+ * @route POST /api/leases/:id/renewal-offers/:offerId/respond
+ * @access Private (Tenant)
+ */
+const respondToRenewalOffer = asyncHandler(async (req, res) => {
+    const { id, offerId } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const offer = await leaseRenewalService.respondToRenewalOffer(id, offerId, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: `Renewal offer ${offer.status}.`,
+        data: offer
+    });
+});
+
+/**
+ * @desc Get the e-signature requests on a lease
+ * @route GET /api/leases/:id/signature-requests
+ * @access Private (Landlord/Admin, PropertyManager, Signers)
+ */
+const getSignatureRequests = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    const requests = await leaseSignatureService.getSignatureRequests(id, currentUser);
+
+    res.status(200).json({
+        success: true,
+        count: requests.length,
+        data: requests
+    });
+});
+
+/**
+ * @desc Send a lease for electronic signature
+ * @route POST /api/leases/:id/signature-requests
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const createSignatureRequest = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const request = await leaseSignatureService.createSignatureRequest(id, req.body, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: 'Lease sent for signature.',
+        data: request
+    });
+});
+
+/**
+ * @desc Send the current signer a new signing link
+ * @route POST /api/leases/:id/signature-requests/:requestId/resend
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const resendSigningLink = asyncHandler(async (req, res) => {
+    const { id, requestId } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const request = await leaseSignatureService.resendSigningLink(id, requestId, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Signing link resent.',
+        data: request
+    });
+});
+
+/**
+ * @desc Void a pending signature request
+ * @route POST /api/leases/:id/signature-requests/:requestId/void
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const voidSignatureRequest = asyncHandler(async (req, res) => {
+    const { id, requestId } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const request = await leaseSignatureService.voidSignatureRequest(id, requestId, req.body?.reason, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Signature request voided.',
+        data: request
+    });
+});
+
+/**
+ * @desc Produce the signed lease document for a fully signed request
+ * @route POST /api/leases/:id/signature-requests/:requestId/complete
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const completeSignatureRequest = asyncHandler(async (req, res) => {
+    const { id, requestId } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const request = await leaseSignatureService.completeSignatureRequest(id, requestId, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Signed lease document produced.',
+        data: request
+    });
+});
+
+/**
+ * @desc Check the stored signed lease against its recorded hash
+ * @route GET /api/leases/:id/signature-requests/:requestId/verify
+ * @access Private (Landlord/Admin, PropertyManager, Signers)
+ */
+const verifySignedDocument = asyncHandler(async (req, res) => {
+    const { id, requestId } = req.params;
+    const currentUser = req.user;
+
+    const result = await leaseSignatureService.verifySignedDocument(id, requestId, currentUser);
+
+    res.status(200).json({
+        success: true,
+        message: result.isValid
+            ? 'The signed lease matches its recorded hash.'
+            : 'The signed lease has changed since it was signed.',
+        data: result
+    });
+});
+
 module.exports = {
     createLease,
     getAllLeases,
@@ -320,5 +912,34 @@ module.exports = {
     generateLeaseDocument,
     addLeaseAmendment,
     getLeaseRentReport,
-    generateRentReportDocument
+    generateRentReportDocument,
+    getLeaseLedger,
+    generateStatementOfAccount,
+    recordLeasePayment,
+    getLeasePayments,
+    updateLateFeePolicy,
+    updateRentEscalation,
+    getSecurityDeposit,
+    recordDepositReceipt,
+    addDepositDeduction,
+    removeDepositDeduction,
+    issueDepositDisposition,
+    recordDepositRefund,
+    getLeaseCharges,
+    addLeaseCharge,
+    updateLeaseCharge,
+    endLeaseCharge,
+    getRenewalOffers,
+    createRenewalOffer,
+    updateRenewalOffer,
+    sendRenewalOffer,
+    withdrawRenewalOffer,
+    acceptCounterOffer,
+    respondToRenewalOffer,
+    getSignatureRequests,
+    createSignatureRequest,
+    resendSigningLink,
+    voidSignatureRequest,
+    completeSignatureRequest,
+    verifySignedDocument
 };
\ No newline at end of file
@@ -0,0 +1,203 @@
+// src/controllers/leaseTemplateController.js
+
+const asyncHandler = require('../utils/asyncHandler');
+const leaseTemplateService = require('../services/leaseTemplateService');
+
+/**
+ * @desc Get the merge fields lease templates can use
+ * @route GET /api/lease-templates/merge-fields
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const getMergeFields = asyncHandler(async (req, res) => {
+    const fields = leaseTemplateService.getMergeFields();
+
+    res.status(200).json({
+        success: true,
+        count: fields.length,
+        data: fields
+    });
+});
+
+/**
+ * @desc Get the lease clause library
+ * @route GET /api/lease-templates/clauses
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const getClauses = asyncHandler(async (req, res) => {
+    const { propertyId, category, includeInactive } = req.query;
+    const currentUser = req.user;
+
+    const clauses = await leaseTemplateService.getClauses(currentUser, {
+        propertyId,
+        category,
+        includeInactive: includeInactive === 'true'
+    });
+
+    res.status(200).json({
+        success: true,
+        count: clauses.length,
+        data: clauses
+    });
+});
+
+/**
+ * @desc Add a clause to the library
+ * @route POST /api/lease-templates/clauses
+ * @access Private (Admin for shared clauses; Landlord, Property Manager for their properties)
+ */
+const createClause = asyncHandler(async (req, res) => {
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const clause = await leaseTemplateService.createClause(req.body, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: 'Lease clause created successfully.',
+        data: clause
+    });
+});
+
+/**
+ * @desc Update a library clause
+ * @route PUT /api/lease-templates/clauses/:clauseId
+ * @access Private (Admin for shared clauses; Landlord, Property Manager for their properties)
+ */
+const updateClause = asyncHandler(async (req, res) => {
+    const { clauseId } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const clause = await leaseTemplateService.updateClause(clauseId, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Lease clause updated successfully.',
+        data: clause
+    });
+});
+
+/**
+ * @desc Get lease templates
+ * @route GET /api/lease-templates
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const getTemplates = asyncHandler(async (req, res) => {
+    const { propertyId, allVersions, includeArchived } = req.query;
+    const currentUser = req.user;
+
+    const templates = await leaseTemplateService.getTemplates(currentUser, {
+        propertyId,
+        allVersions: allVersions === 'true',
+        includeArchived: includeArchived === 'true'
+    });
+
+    res.status(200).json({
+        success: true,
+        count: templates.length,
+        data: templates
+    });
+});
+
+/**
+ * @desc Get a lease template version
+ * @route GET /api/lease-templates/:id
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const getTemplateById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    const template = await leaseTemplateService.getTemplateById(id, currentUser);
+
+    res.status(200).json({
+        success: true,
+        data: template
+    });
+});
+
+/**
+ * @desc Create a lease template
+ * @route POST /api/lease-templates
+ * @access Private (Admin for shared templates; Landlord, Property Manager for their properties)
+ */
+const createTemplate = asyncHandler(async (req, res) => {
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const template = await leaseTemplateService.createTemplate(req.body, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: 'Lease template created successfully.',
+        data: template
+    });
+});
+
+/**
+ * @desc Save a new version of a lease template
+ * @route POST /api/lease-templates/:id/versions
+ * @access Private (Admin for shared templates; Landlord, Property Manager for their properties)
+ */
+const createTemplateVersion = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const template = await leaseTemplateService.createTemplateVersion(id, req.body, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: `Version ${template.version} of the lease template saved successfully.`,
+        data: template
+    });
+});
+
+/**
+ * @desc Archive a lease template
+ * @route POST /api/lease-templates/:id/archive
+ * @access Private (Admin for shared templates; Landlord, Property Manager for their properties)
+ */
+const archiveTemplate = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const template = await leaseTemplateService.archiveTemplate(id, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Lease template archived successfully.',
+        data: template
+    });
+});
+
+/**
+ * @desc Preview a lease template filled in for a lease
+ * @route GET /api/lease-templates/:id/preview/:leaseId
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const previewTemplate = asyncHandler(async (req, res) => {
+    const { id, leaseId } = req.params;
+    const currentUser = req.user;
+
+    const preview = await leaseTemplateService.previewTemplate(id, leaseId, currentUser);
+
+    res.status(200).json({
+        success: true,
+        data: preview
+    });
+});
+
+module.exports = {
+    getMergeFields,
+    getClauses,
+    createClause,
+    updateClause,
+    getTemplates,
+    getTemplateById,
+    createTemplate,
+    createTemplateVersion,
+    archiveTemplate,
+    previewTemplate
+};
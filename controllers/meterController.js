@@ -0,0 +1,249 @@
+// src/controllers/meterController.js
+
+const asyncHandler = require('../utils/asyncHandler');
+const meterService = require('../services/meterService');
+
+/**
+ * @desc Register a utility sub-meter on a unit
+ * @route POST /api/meters
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const registerMeter = asyncHandler(async (req, res) => {
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const meter = await meterService.registerMeter(req.body, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: 'Meter registered successfully.',
+        data: meter
+    });
+});
+
+/**
+ * @desc Get utility meters
+ * @route GET /api/meters
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const getMeters = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, propertyId, unitId, utilityType, isActive } = req.query;
+    const currentUser = req.user;
+
+    const result = await meterService.getMeters(
+        currentUser,
+        { propertyId, unitId, utilityType, isActive },
+        page,
+        limit
+    );
+
+    res.status(200).json({
+        success: true,
+        count: result.meters.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        pages: result.pages,
+        data: result.meters
+    });
+});
+
+/**
+ * @desc Get a utility meter by ID
+ * @route GET /api/meters/:id
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const getMeterById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    const meter = await meterService.getMeterById(id, currentUser);
+
+    res.status(200).json({
+        success: true,
+        data: meter
+    });
+});
+
+/**
+ * @desc Update a utility meter or take it out of service
+ * @route PUT /api/meters/:id
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const updateMeter = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const meter = await meterService.updateMeter(id, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Meter updated successfully.',
+        data: meter
+    });
+});
+
+/**
+ * @desc Record a meter reading with photos of the dial
+ * @route POST /api/meters/:id/readings
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const recordReading = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const reading = await meterService.recordReading(id, req.body, req.files, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: reading.status === 'flagged'
+            ? 'Meter reading recorded and flagged for review.'
+            : 'Meter reading recorded successfully.',
+        data: reading
+    });
+});
+
+/**
+ * @desc Get the readings taken from a meter
+ * @route GET /api/meters/:id/readings
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const getReadingsForMeter = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { page = 1, limit = 10, status, startDate, endDate } = req.query;
+    const currentUser = req.user;
+
+    const result = await meterService.getMeterReadings(
+        currentUser,
+        { meterId: id, status, startDate, endDate },
+        page,
+        limit
+    );
+
+    res.status(200).json({
+        success: true,
+        count: result.readings.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        pages: result.pages,
+        data: result.readings
+    });
+});
+
+/**
+ * @desc Get meter readings across managed properties (e.g. flagged readings awaiting review)
+ * @route GET /api/meters/readings
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const getMeterReadings = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, propertyId, unitId, status, startDate, endDate } = req.query;
+    const currentUser = req.user;
+
+    const result = await meterService.getMeterReadings(
+        currentUser,
+        { propertyId, unitId, status, startDate, endDate },
+        page,
+        limit
+    );
+
+    res.status(200).json({
+        success: true,
+        count: result.readings.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        pages: result.pages,
+        data: result.readings
+    });
+});
+
+/**
+ * @desc Accept a flagged meter reading for billing, or void a reading
+ * @route PUT /api/meters/readings/:readingId/review
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const reviewReading = asyncHandler(async (req, res) => {
+    const { readingId } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const reading = await meterService.reviewReading(readingId, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Meter reading reviewed successfully.',
+        data: reading
+    });
+});
+
+/**
+ * @desc Add a utility tariff for a property
+ * @route POST /api/meters/tariffs
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const createTariff = asyncHandler(async (req, res) => {
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const tariff = await meterService.createTariff(req.body, currentUser, ipAddress);
+
+    res.status(201).json({
+        success: true,
+        message: 'Utility tariff created successfully.',
+        data: tariff
+    });
+});
+
+/**
+ * @desc Get the utility tariffs for a property
+ * @route GET /api/meters/tariffs
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const getTariffs = asyncHandler(async (req, res) => {
+    const { propertyId, utilityType } = req.query;
+    const currentUser = req.user;
+
+    const tariffs = await meterService.getTariffs(currentUser, { propertyId, utilityType });
+
+    res.status(200).json({
+        success: true,
+        count: tariffs.length,
+        data: tariffs
+    });
+});
+
+/**
+ * @desc Update a utility tariff
+ * @route PUT /api/meters/tariffs/:tariffId
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const updateTariff = asyncHandler(async (req, res) => {
+    const { tariffId } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const tariff = await meterService.updateTariff(tariffId, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Utility tariff updated successfully.',
+        data: tariff
+    });
+});
+
+module.exports = {
+    registerMeter,
+    getMeters,
+    getMeterById,
+    updateMeter,
+    recordReading,
+    getReadingsForMeter,
+    getMeterReadings,
+    reviewReading,
+    createTariff,
+    getTariffs,
+    updateTariff
+};
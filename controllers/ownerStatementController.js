@@ -0,0 +1,97 @@
+// src/controllers/ownerStatementController.js
+
+const asyncHandler = require('../utils/asyncHandler');
+const ownerStatementService = require('../services/ownerStatementService');
+
+/**
+ * @desc Generate (or regenerate) an owner's statement for a month
+ * @route POST /api/owner-statements
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const generateOwnerStatement = asyncHandler(async (req, res) => {
+    const { ownerId, period, currency, notify } = req.body;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const statement = await ownerStatementService.generateOwnerStatement(
+        { ownerId, period, currency, notify },
+        currentUser,
+        ipAddress
+    );
+
+    res.status(201).json({
+        success: true,
+        message: 'Owner statement generated successfully.',
+        data: statement
+    });
+});
+
+/**
+ * @desc Get owner statements
+ * @route GET /api/owner-statements
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const getOwnerStatements = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, ownerId, propertyId, period, status } = req.query;
+    const currentUser = req.user;
+
+    const result = await ownerStatementService.getOwnerStatements(
+        currentUser,
+        { ownerId, propertyId, period, status },
+        page,
+        limit
+    );
+
+    res.status(200).json({
+        success: true,
+        count: result.statements.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        pages: result.pages,
+        data: result.statements
+    });
+});
+
+/**
+ * @desc Get an owner statement by ID
+ * @route GET /api/owner-statements/:id
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const getOwnerStatementById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    const statement = await ownerStatementService.getOwnerStatementById(id, currentUser);
+
+    res.status(200).json({
+        success: true,
+        data: statement
+    });
+});
+
+/**
+ * @desc Update the payout of an owner statement (hold, release or mark paid)
+ * @route PUT /api/owner-statements/:id/disbursement
+ * @access Private (Admin, Property Manager)
+ */
+const updateDisbursement = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const statement = await ownerStatementService.updateDisbursement(id, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Disbursement updated successfully.',
+        data: statement
+    });
+});
+
+module.exports = {
+    generateOwnerStatement,
+    getOwnerStatements,
+    getOwnerStatementById,
+    updateDisbursement
+};
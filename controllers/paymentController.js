@@ -0,0 +1,108 @@
+// src/controllers/paymentController.js
+
+const asyncHandler = require('../utils/asyncHandler');
+const paymentGatewayService = require('../services/paymentGatewayService');
+
+/**
+ * @desc Request a mobile-money payment for a rent record
+ * @route POST /api/payments/mobile-money
+ * @access Private (Landlord/Admin, Property Manager, Tenant)
+ */
+const initiateMobileMoneyPayment = asyncHandler(async (req, res) => {
+    const { rentId, ...paymentData } = req.body;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const transaction = await paymentGatewayService.initiateMobileMoneyPayment(rentId, paymentData, currentUser, ipAddress);
+
+    res.status(202).json({
+        success: true,
+        message: 'Payment request sent. Approve the prompt on your phone to complete the payment.',
+        data: transaction
+    });
+});
+
+/**
+ * @desc Get a mobile-money payment transaction
+ * @route GET /api/payments/mobile-money/:id
+ * @access Private (Landlord/Admin, Property Manager, Tenant)
+ */
+const getPaymentTransaction = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    const transaction = await paymentGatewayService.getPaymentTransactionById(id, currentUser);
+
+    res.status(200).json({
+        success: true,
+        data: transaction
+    });
+});
+
+/**
+ * @desc Check a mobile-money transaction with the provider and record the payment if it went through
+ * @route POST /api/payments/mobile-money/:id/refresh
+ * @access Private (Landlord/Admin, Property Manager, Tenant)
+ */
+const refreshPaymentTransaction = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const result = await paymentGatewayService.refreshTransactionStatus(id, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: `Payment is ${result.transaction.status}.`,
+        data: result
+    });
+});
+
+/**
+ * @desc Complete a simulator transaction (development only)
+ * @route POST /api/payments/mobile-money/:id/simulate
+ * @access Private (Landlord/Admin, Property Manager, Tenant)
+ */
+const simulatePaymentCallback = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const result = await paymentGatewayService.simulateProviderCallback(id, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: `Simulated payment ${result.transaction.status}.`,
+        data: result
+    });
+});
+
+/**
+ * @desc Receive a signed payment callback from a mobile-money provider
+ * @route POST /api/payments/webhooks/:provider
+ * @access Public (signature verified)
+ */
+const handlePaymentWebhook = asyncHandler(async (req, res) => {
+    const { provider } = req.params;
+
+    const result = await paymentGatewayService.handleProviderCallback(provider, {
+        rawBody: req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body),
+        body: req.body,
+        headers: req.headers,
+        query: req.query
+    }, req.ip);
+
+    res.status(200).json({
+        success: true,
+        duplicate: result.duplicate,
+        recorded: result.recorded
+    });
+});
+
+module.exports = {
+    initiateMobileMoneyPayment,
+    getPaymentTransaction,
+    refreshPaymentTransaction,
+    simulatePaymentCallback,
+    handlePaymentWebhook
+};
@@ -2,6 +2,11 @@
 
 const asyncHandler = require('../utils/asyncHandler');
 const propertyService = require('../services/propertyService');
+const lateFeeService = require('../services/lateFeeService');
+const dunningService = require('../services/dunningService');
+const expenseService = require('../services/expenseService');
+const ownerStatementService = require('../services/ownerStatementService');
+const taxService = require('../services/taxService');
 const logger = require('../utils/logger');
 
 /**
@@ -142,6 +147,101 @@ const removeUserFromProperty = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @desc Set the default late fee policy for leases in a property
+ * @route PUT /api/properties/:id/late-fee-policy
+ * @access Private (Landlord, PropertyManager, Admin)
+ */
+const updateLateFeePolicy = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const policy = await lateFeeService.updateLateFeePolicy('property', id, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Property late fee policy updated successfully.',
+        data: policy
+    });
+});
+
+/**
+ * @desc Set the reminder and notice sequence for overdue rent in a property
+ * @route PUT /api/properties/:id/dunning-policy
+ * @access Private (Landlord, PropertyManager, Admin)
+ */
+const updateDunningPolicy = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const policy = await dunningService.updateDunningPolicy(id, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Property dunning policy updated successfully.',
+        data: policy
+    });
+});
+
+/**
+ * @desc Set when landlords and managers are alerted about spending against the annual operating budget
+ * @route PUT /api/properties/:id/budget-alert-policy
+ * @access Private (Landlord, PropertyManager, Admin)
+ */
+const updateBudgetAlertPolicy = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const policy = await expenseService.updateBudgetAlertPolicy(id, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Property budget alert policy updated successfully.',
+        data: policy
+    });
+});
+
+/**
+ * @desc Set the management fee deducted from rent collected on owner statements
+ * @route PUT /api/properties/:id/management-fee
+ * @access Private (PropertyManager, Admin)
+ */
+const updateManagementFee = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const managementFee = await ownerStatementService.updateManagementFee(id, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Property management fee updated successfully.',
+        data: managementFee
+    });
+});
+
+/**
+ * @desc Set the VAT and withholding tax rules applied to rent and invoices in a property
+ * @route PUT /api/properties/:id/tax-rules
+ * @access Private (Landlord, PropertyManager, Admin)
+ */
+const updateTaxRules = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const taxRules = await taxService.updateTaxRules(id, req.body.rules, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Property tax rules updated successfully.',
+        data: taxRules
+    });
+});
+
 module.exports = {
     createProperty,
     getAllProperties,
@@ -149,5 +249,10 @@ module.exports = {
     updateProperty,
     deleteProperty,
     assignUserToProperty,
-    removeUserFromProperty
+    removeUserFromProperty,
+    updateLateFeePolicy,
+    updateDunningPolicy,
+    updateBudgetAlertPolicy,
+    updateManagementFee,
+    updateTaxRules
 };
\ No newline at end of file
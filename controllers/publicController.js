@@ -2,6 +2,8 @@
 
 const asyncHandler = require('../utils/asyncHandler');
 const publicService = require('../services/publicService');
+const leaseRenewalService = require('../services/leaseRenewalService');
+const leaseSignatureService = require('../services/leaseSignatureService');
 const logger = require('../utils/logger');
 const AppError = require('../utils/AppError');
 const { validationResult } = require('express-validator');
@@ -140,9 +142,101 @@ const addPublicCommentToScheduledMaintenance = asyncHandler(async (req, res) =>
   });
 });
 
+/**
+ * @desc Get a lease renewal offer via the link emailed to the tenant
+ * @route GET /api/public/lease-renewals/:token
+ * @access Public
+ * @param {string} token - The renewal link token from URL params
+ */
+const getPublicRenewalOffer = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  // Call service method
+  const offer = await leaseRenewalService.getRenewalOfferByToken(token);
+
+  // Send response
+  return res.status(200).json({
+    success: true,
+    data: offer
+  });
+});
+
+/**
+ * @desc Accept, counter or decline a lease renewal offer via the link emailed to the tenant
+ * @route POST /api/public/lease-renewals/:token/respond
+ * @access Public
+ * @param {string} token - The renewal link token from URL params
+ * @body {string} action - accept, counter or decline
+ * @body {object} [terms] - Proposed term changes when countering
+ * @body {string} [message] - Message to the landlord, or reason for declining
+ */
+const respondToPublicRenewalOffer = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+  const ipAddress = req.ip || req.connection.remoteAddress;
+
+  // Call service method
+  const offer = await leaseRenewalService.respondToRenewalOfferByToken(token, req.body, ipAddress);
+
+  // Send response
+  return res.status(200).json({
+    success: true,
+    message: `Renewal offer ${offer.status}.`,
+    data: offer
+  });
+});
+
+/**
+ * @desc Get the lease to review from a signer's signing link
+ * @route GET /api/public/lease-signatures/:token
+ * @access Public
+ * @param {string} token - The signing link token from URL params
+ */
+const getPublicSignatureRequest = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  // Call service method
+  const request = await leaseSignatureService.getSignatureRequestByToken(token);
+
+  // Send response
+  return res.status(200).json({
+    success: true,
+    data: request
+  });
+});
+
+/**
+ * @desc Sign a lease via the link emailed to the signer
+ * @route POST /api/public/lease-signatures/:token/sign
+ * @access Public
+ * @param {string} token - The signing link token from URL params
+ * @body {string} signatureType - typed or drawn
+ * @body {string} [typedName] - Full name, for typed signatures
+ * @body {string} [signatureImage] - PNG or JPEG data URL, for drawn signatures
+ * @body {boolean} consent - Agreement to sign electronically
+ */
+const signPublicSignatureRequest = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.headers['user-agent'] || 'Unknown';
+
+  // Call service method
+  const request = await leaseSignatureService.signByToken(token, req.body, ipAddress, userAgent);
+
+  // Send response
+  return res.status(200).json({
+    success: true,
+    message: request.status === 'completed' ? 'Lease signed by everyone.' : 'Lease signed.',
+    data: request
+  });
+});
+
 module.exports = {
   getPublicRequest,
   addPublicCommentToRequest,
   getPublicScheduledMaintenance,
-  addPublicCommentToScheduledMaintenance
+  addPublicCommentToScheduledMaintenance,
+  getPublicRenewalOffer,
+  respondToPublicRenewalOffer,
+  getPublicSignatureRequest,
+  signPublicSignatureRequest
 };
\ No newline at end of file
@@ -0,0 +1,140 @@
+// src/controllers/reconciliationController.js
+
+const asyncHandler = require('../utils/asyncHandler');
+const reconciliationService = require('../services/reconciliationService');
+
+/**
+ * @desc Import a bank or mobile-money statement (CSV/OFX) and match it to rent records
+ * @route POST /api/reconciliation/imports
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const importStatement = asyncHandler(async (req, res) => {
+    const { propertyId, format, currency } = req.body;
+    const autoConfirm = req.body.autoConfirm === undefined ? true : String(req.body.autoConfirm) !== 'false';
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const result = await reconciliationService.importStatement(
+        propertyId,
+        req.file,
+        { format, currency, autoConfirm },
+        currentUser,
+        ipAddress
+    );
+
+    const { counts } = result.statementImport;
+
+    res.status(201).json({
+        success: true,
+        message: `Statement imported: ${counts.confirmed} payments recorded, ${counts.matched + counts.ambiguous + counts.unmatched} lines need review.`,
+        data: result
+    });
+});
+
+/**
+ * @desc List statement imports
+ * @route GET /api/reconciliation/imports
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const getStatementImports = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, propertyId } = req.query;
+    const currentUser = req.user;
+
+    const result = await reconciliationService.getStatementImports(currentUser, { propertyId }, page, limit);
+
+    res.status(200).json({
+        success: true,
+        count: result.imports.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        pages: result.pages,
+        data: result.imports
+    });
+});
+
+/**
+ * @desc Get a statement import with its lines
+ * @route GET /api/reconciliation/imports/:id
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const getStatementImportById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    const result = await reconciliationService.getStatementImportById(id, currentUser);
+
+    res.status(200).json({
+        success: true,
+        data: result
+    });
+});
+
+/**
+ * @desc Get statement lines waiting for review
+ * @route GET /api/reconciliation/lines
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const getReviewQueue = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, propertyId, status, importId } = req.query;
+    const currentUser = req.user;
+
+    const result = await reconciliationService.getReviewQueue(currentUser, { propertyId, status, importId }, page, limit);
+
+    res.status(200).json({
+        success: true,
+        count: result.lines.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        pages: result.pages,
+        data: result.lines
+    });
+});
+
+/**
+ * @desc Confirm a statement line (optionally against a different rent record) and record the payment
+ * @route POST /api/reconciliation/lines/:id/confirm
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const confirmStatementLine = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const result = await reconciliationService.confirmStatementLine(id, { rentId: req.body.rentId }, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: result.recorded ? 'Payment recorded from statement line.' : 'Statement line was already reconciled.',
+        data: result
+    });
+});
+
+/**
+ * @desc Mark a statement line as not a rent payment
+ * @route POST /api/reconciliation/lines/:id/ignore
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+const ignoreStatementLine = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const line = await reconciliationService.ignoreStatementLine(id, req.body.reason, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Statement line ignored.',
+        data: line
+    });
+});
+
+module.exports = {
+    importStatement,
+    getStatementImports,
+    getStatementImportById,
+    getReviewQueue,
+    confirmStatementLine,
+    ignoreStatementLine
+};
@@ -2,6 +2,9 @@
 
 const asyncHandler = require('../utils/asyncHandler');
 const rentService = require('../services/rentService');
+const lateFeeService = require('../services/lateFeeService');
+const rentEscalationService = require('../services/rentEscalationService');
+const dunningService = require('../services/dunningService');
 const logger = require('../utils/logger');
 const AppError = require('../utils/AppError');
 
@@ -205,6 +208,29 @@ const downloadPaymentProof = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @desc Download the receipt for a rent payment
+ * @route GET /api/rents/:id/receipt
+ * @access Private (Landlord/Admin, PM, or Tenant associated with rent)
+ */
+const getPaymentReceipt = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { paymentId } = req.query;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const { downloadUrl, fileName, mimeType, receiptNumber } = await rentService.getPaymentReceipt(id, paymentId, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: `Receipt ${receiptNumber} download link generated.`,
+        downloadUrl,
+        fileName,
+        mimeType,
+        receiptNumber
+    });
+});
+
 /**
  * @desc Create a rent schedule
  * @route POST /api/rent-schedules
@@ -336,6 +362,117 @@ const generateRentRecords = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @desc Apply late fees to overdue rent records
+ * @route POST /api/rents/late-fees/apply
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const applyLateFees = asyncHandler(async (req, res) => {
+    const { forDate, propertyId, leaseId } = req.body;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const results = await lateFeeService.applyLateFees(
+        forDate ? new Date(forDate) : new Date(),
+        currentUser,
+        ipAddress,
+        { propertyId, leaseId }
+    );
+
+    res.status(200).json({
+        success: true,
+        message: `Late fees applied to ${results.applied} rent record(s).`,
+        data: results
+    });
+});
+
+/**
+ * @desc Waive a late fee on a rent record
+ * @route POST /api/rents/:id/late-fees/:feeId/waive
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const waiveLateFee = asyncHandler(async (req, res) => {
+    const { id, feeId } = req.params;
+    const { reason } = req.body;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const updatedRent = await lateFeeService.waiveLateFee(id, feeId, reason, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Late fee waived successfully.',
+        data: updatedRent
+    });
+});
+
+/**
+ * @desc Send due rent increase notices and apply increases whose notice period has ended
+ * @route POST /api/rents/escalations/process
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const processRentEscalations = asyncHandler(async (req, res) => {
+    const { forDate, propertyId, leaseId } = req.body;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const results = await rentEscalationService.processRentEscalations(
+        forDate ? new Date(forDate) : new Date(),
+        currentUser,
+        ipAddress,
+        { propertyId, leaseId }
+    );
+
+    res.status(200).json({
+        success: true,
+        message: `Rent escalations processed. Notices sent: ${results.notified}, Escalated: ${results.escalated}, Failed: ${results.failed}`,
+        data: results
+    });
+});
+
+/**
+ * @desc Send the next due step of each property's dunning sequence for overdue rent
+ * @route POST /api/rents/dunning/process
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const processDunning = asyncHandler(async (req, res) => {
+    const { forDate, propertyId, leaseId } = req.body;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const results = await dunningService.processDunning(
+        forDate ? new Date(forDate) : new Date(),
+        currentUser,
+        ipAddress,
+        { propertyId, leaseId }
+    );
+
+    res.status(200).json({
+        success: true,
+        message: `Dunning processed. Steps sent: ${results.sent}, Resolved: ${results.resolved}, Failed: ${results.failed}`,
+        data: results
+    });
+});
+
+/**
+ * @desc Set the rent escalation rule for a rent schedule (overrides the lease's rule)
+ * @route PUT /api/rent-schedules/:id/escalation
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+const updateScheduleEscalation = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const ipAddress = req.ip;
+
+    const rule = await rentEscalationService.updateEscalationRule('schedule', id, req.body, currentUser, ipAddress);
+
+    res.status(200).json({
+        success: true,
+        message: 'Rent schedule escalation rule updated successfully.',
+        data: rule
+    });
+});
+
 module.exports = {
     createRentRecord,
     getAllRentRecords,
@@ -347,10 +484,16 @@ module.exports = {
     getRentHistory,
     uploadPaymentProof,
     downloadPaymentProof,
+    getPaymentReceipt,
     createRentSchedule,
     getRentSchedules,
     getRentScheduleById,
     updateRentSchedule,
     deleteRentSchedule,
-    generateRentRecords
+    generateRentRecords,
+    applyLateFees,
+    waiveLateFee,
+    processRentEscalations,
+    processDunning,
+    updateScheduleEscalation
 };
\ No newline at end of file
@@ -6,6 +6,7 @@ const documentGenerationService = require('../services/documentGenerationService
 const AppError = require('../utils/AppError');
 const logger = require('../utils/logger');
 const fs = require('fs').promises;
+const { REPORT_EXPORT_FORMATS } = require('../utils/reportExportUtils');
 
 /**
  * @desc Get a maintenance summary report.
@@ -97,6 +98,96 @@ const getLeaseExpiryReport = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @desc Get a report of where each tenant with overdue rent sits in the dunning sequence.
+ * @route GET /api/reports/dunning
+ * @access Private (Admin, PropertyManager, Landlord)
+ */
+const getDunningReport = asyncHandler(async (req, res) => {
+    const filters = req.query;
+    const user = req.user;
+
+    const reportData = await reportService.generateDunningReport(filters, user);
+
+    res.status(200).json({
+        success: true,
+        message: 'Dunning report generated successfully.',
+        data: reportData
+    });
+});
+
+/**
+ * @desc Get outstanding balances bucketed by days past due per tenant, unit or property.
+ * @route GET /api/reports/receivables-aging
+ * @access Private (Admin, PropertyManager, Landlord)
+ */
+const getReceivablesAgingReport = asyncHandler(async (req, res) => {
+    const filters = req.query;
+    const user = req.user;
+
+    const reportData = await reportService.generateReceivablesAgingReport(filters, user);
+
+    res.status(200).json({
+        success: true,
+        message: 'Receivables aging report generated successfully.',
+        data: reportData
+    });
+});
+
+/**
+ * @desc Get the rent roll for a property as of a date.
+ * @route GET /api/reports/rent-roll
+ * @access Private (Admin, PropertyManager, Landlord)
+ */
+const getRentRollReport = asyncHandler(async (req, res) => {
+    const filters = req.query;
+    const user = req.user;
+
+    const reportData = await reportService.generateRentRollReport(filters, user);
+
+    res.status(200).json({
+        success: true,
+        message: 'Rent roll generated successfully.',
+        data: reportData
+    });
+});
+
+/**
+ * @desc Get a property's expenses against its annual operating budget.
+ * @route GET /api/reports/budget-vs-actual
+ * @access Private (Admin, PropertyManager, Landlord)
+ */
+const getBudgetVsActualReport = asyncHandler(async (req, res) => {
+    const filters = req.query;
+    const user = req.user;
+
+    const reportData = await reportService.generateBudgetVsActualReport(filters, user);
+
+    res.status(200).json({
+        success: true,
+        message: 'Budget vs actual report generated successfully.',
+        data: reportData
+    });
+});
+
+/**
+ * @desc Get the tax charged and withheld in a period, for filing.
+ * @route GET /api/reports/tax-summary
+ * @access Private (Admin, PropertyManager, Landlord)
+ */
+const getTaxSummaryReport = asyncHandler(async (req, res) => {
+    const filters = req.query;
+    const user = req.user;
+
+    const reportData = await reportService.generateTaxSummaryReport(filters, user);
+
+    res.status(200).json({
+        success: true,
+        message: 'Tax summary report generated successfully.',
+        data: reportData
+    });
+});
+
 /**
  * @desc Generate a report document and save it to the system
  * @route POST /api/reports/document
@@ -130,7 +221,7 @@ const generateReportDocument = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc Export a report as a PDF or CSV.
+ * @desc Export a report as CSV, PDF or XLSX.
  * @route GET /api/reports/export
  * @access Private (Admin, PropertyManager, Landlord)
  */
@@ -138,40 +229,18 @@ const exportReport = asyncHandler(async (req, res, next) => {
     const { type, format } = req.query;
     const user = req.user;
     const filters = req.query;
-    const ipAddress = req.ip;
 
     if (!type || !format) {
         throw new AppError('Report type and format are required for export.', 400);
     }
     
-    if (!['pdf', 'csv'].includes(format.toLowerCase())) {
-        throw new AppError('Invalid export format. Only "pdf" or "csv" are supported.', 400);
+    if (!REPORT_EXPORT_FORMATS.includes(format.toLowerCase())) {
+        throw new AppError(`Invalid export format. Must be one of: ${REPORT_EXPORT_FORMATS.join(', ')}.`, 400);
     }
 
     logger.info(`Exporting report of type '${type}' as '${format}' for user ${user._id}`);
 
-    // For PDF format, use document generation service
-    if (format.toLowerCase() === 'pdf') {
-        try {
-            const mediaDoc = await reportService.generateReportDocument(
-                type,
-                filters,
-                user,
-                { ipAddress }
-            );
-
-            return res.status(200).json({
-                success: true,
-                message: `Report document for ${type} generated successfully.`,
-                data: mediaDoc
-            });
-        } catch (error) {
-            logger.error(`Error generating PDF report: ${error.message}`, error);
-            return next(new AppError(`Failed to generate PDF report: ${error.message}`, 500));
-        }
-    }
-
-    // For CSV format, use existing export service
+    // The export is written to a temporary file and streamed back
     try {
         const { filePath, fileName, mimeType } = await reportService.exportReport(
             type, 
@@ -206,7 +275,7 @@ const exportReport = asyncHandler(async (req, res, next) => {
             }
         });
     } catch (error) {
-        logger.error(`Error exporting report as CSV: ${error.message}`, error);
+        logger.error(`Error exporting report as ${format.toUpperCase()}: ${error.message}`, error);
         return next(new AppError(`Failed to export report: ${error.message}`, 500));
     }
 });
@@ -217,6 +286,11 @@ module.exports = {
     getCommonIssuesReport,
     getRentCollectionReport,
     getLeaseExpiryReport,
+    getDunningReport,
+    getReceivablesAgingReport,
+    getRentRollReport,
+    getBudgetVsActualReport,
+    getTaxSummaryReport,
     generateReportDocument,
     exportReport
 };
\ No newline at end of file
@@ -0,0 +1,490 @@
+// src/lib/paymentGatewayClient.js
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+// Environment variables with defaults
+const {
+    NODE_ENV = 'development',
+    PAYMENT_TEST_MODE = NODE_ENV === 'development', // Route every provider to the simulator in development
+    PAYMENT_CALLBACK_BASE_URL,
+    PAYMENT_SIMULATOR_SECRET, // No default: without it simulator callbacks are never accepted
+    MTN_MOMO_BASE_URL = 'https://sandbox.momodeveloper.mtn.com',
+    MTN_MOMO_SUBSCRIPTION_KEY,
+    MTN_MOMO_API_USER,
+    MTN_MOMO_API_KEY,
+    MTN_MOMO_TARGET_ENVIRONMENT = 'sandbox',
+    MTN_MOMO_CALLBACK_SECRET,
+    AIRTEL_MONEY_BASE_URL = 'https://openapiuat.airtel.africa',
+    AIRTEL_MONEY_CLIENT_ID,
+    AIRTEL_MONEY_CLIENT_SECRET,
+    AIRTEL_MONEY_COUNTRY = 'UG',
+    AIRTEL_MONEY_CALLBACK_SECRET
+} = process.env;
+
+// Validate phone number format (same E.164 rule as the SMS gateway)
+const VALID_PHONE_REGEX = /^\+\d{7,15}$/;
+
+/**
+ * HMAC-SHA256 of a payload with a shared secret
+ * @param {string|Buffer} payload - Data to sign
+ * @param {string} secret - Shared secret
+ * @param {string} [encoding='hex'] - Output encoding
+ * @returns {string} Signature
+ */
+const sign = (payload, secret, encoding = 'hex') => {
+    return crypto.createHmac('sha256', secret).update(payload).digest(encoding);
+};
+
+/**
+ * Constant-time comparison of two signatures
+ * @param {string} expected - Signature we computed
+ * @param {string} received - Signature from the request
+ * @returns {boolean} True if they match
+ */
+const signaturesMatch = (expected, received) => {
+    if (!expected || !received) return false;
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(received));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const callbackUrlFor = (providerName) => {
+    return PAYMENT_CALLBACK_BASE_URL
+        ? `${PAYMENT_CALLBACK_BASE_URL.replace(/\/$/, '')}/api/payments/webhooks/${providerName}`
+        : null;
+};
+
+/**
+ * Sends a JSON request and throws an AppError on non-2xx responses
+ */
+const requestJson = async (url, options) => {
+    const response = await fetch(url, options);
+    const text = await response.text();
+    let body = null;
+    try {
+        body = text ? JSON.parse(text) : null;
+    } catch (parseError) {
+        body = text;
+    }
+
+    if (!response.ok) {
+        throw new AppError(`Payment provider responded with ${response.status}: ${typeof body === 'string' ? body : JSON.stringify(body)}`, 502);
+    }
+
+    return { status: response.status, body };
+};
+
+// --- MTN MoMo Collections ---
+// MTN does not sign callbacks, so each callback URL carries a token derived from the
+// transaction's externalId that only we can produce. The token only proves the callback
+// is about one of our transactions; its result is confirmed with MTN before it is used.
+let mtnToken = null;
+
+const mtnProvider = {
+    name: 'mtn',
+
+    confirmsCallbacks: true,
+
+    isConfigured: () => !!(MTN_MOMO_SUBSCRIPTION_KEY && MTN_MOMO_API_USER && MTN_MOMO_API_KEY && MTN_MOMO_CALLBACK_SECRET),
+
+    getAccessToken: async () => {
+        if (mtnToken && mtnToken.expiresAt > Date.now()) {
+            return mtnToken.value;
+        }
+
+        const { body } = await requestJson(`${MTN_MOMO_BASE_URL}/collection/token/`, {
+            method: 'POST',
+            headers: {
+                Authorization: `Basic ${Buffer.from(`${MTN_MOMO_API_USER}:${MTN_MOMO_API_KEY}`).toString('base64')}`,
+                'Ocp-Apim-Subscription-Key': MTN_MOMO_SUBSCRIPTION_KEY
+            }
+        });
+
+        // Refresh a minute early
+        mtnToken = { value: body.access_token, expiresAt: Date.now() + ((body.expires_in || 3600) - 60) * 1000 };
+        return mtnToken.value;
+    },
+
+    requestToPay: async ({ amount, currency, phoneNumber, externalId, description }) => {
+        const token = await mtnProvider.getAccessToken();
+        const providerReference = crypto.randomUUID();
+        const callbackUrl = callbackUrlFor('mtn');
+
+        const headers = {
+            Authorization: `Bearer ${token}`,
+            'X-Reference-Id': providerReference,
+            'X-Target-Environment': MTN_MOMO_TARGET_ENVIRONMENT,
+            'Ocp-Apim-Subscription-Key': MTN_MOMO_SUBSCRIPTION_KEY,
+            'Content-Type': 'application/json'
+        };
+        if (callbackUrl) {
+            headers['X-Callback-Url'] = `${callbackUrl}?token=${sign(externalId, MTN_MOMO_CALLBACK_SECRET)}`;
+        }
+
+        await requestJson(`${MTN_MOMO_BASE_URL}/collection/v1_0/requesttopay`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                amount: String(amount),
+                currency,
+                externalId,
+                payer: { partyIdType: 'MSISDN', partyId: phoneNumber.replace(/^\+/, '') },
+                payerMessage: description,
+                payeeNote: description
+            })
+        });
+
+        return { providerReference, status: 'pending' };
+    },
+
+    getTransactionStatus: async ({ providerReference }) => {
+        const token = await mtnProvider.getAccessToken();
+        const { body } = await requestJson(`${MTN_MOMO_BASE_URL}/collection/v1_0/requesttopay/${providerReference}`, {
+            method: 'GET',
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'X-Target-Environment': MTN_MOMO_TARGET_ENVIRONMENT,
+                'Ocp-Apim-Subscription-Key': MTN_MOMO_SUBSCRIPTION_KEY
+            }
+        });
+
+        return { ...mtnProvider.parseCallback(body), providerReference };
+    },
+
+    verifyCallback: ({ body, query }) => {
+        return !!body?.externalId && signaturesMatch(sign(body.externalId, MTN_MOMO_CALLBACK_SECRET || ''), query?.token);
+    },
+
+    parseCallback: (body) => {
+        const statusMap = { SUCCESSFUL: 'successful', FAILED: 'failed', REJECTED: 'failed', TIMEOUT: 'failed' };
+        return {
+            externalId: body.externalId,
+            providerReference: body.referenceId || null,
+            providerTransactionId: body.financialTransactionId || null,
+            status: statusMap[body.status] || 'pending',
+            amount: body.amount !== undefined ? parseFloat(body.amount) : undefined,
+            currency: body.currency,
+            phoneNumber: body.payer?.partyId ? `+${body.payer.partyId}` : undefined,
+            reason: body.reason?.message || body.reason || null
+        };
+    }
+};
+
+// --- Airtel Money Collections ---
+// Airtel signs callbacks (when callback authentication is enabled) with a base64
+// HMAC-SHA256 of the transaction object, sent as `hash`.
+let airtelToken = null;
+
+const airtelProvider = {
+    name: 'airtel',
+
+    isConfigured: () => !!(AIRTEL_MONEY_CLIENT_ID && AIRTEL_MONEY_CLIENT_SECRET && AIRTEL_MONEY_CALLBACK_SECRET),
+
+    getAccessToken: async () => {
+        if (airtelToken && airtelToken.expiresAt > Date.now()) {
+            return airtelToken.value;
+        }
+
+        const { body } = await requestJson(`${AIRTEL_MONEY_BASE_URL}/auth/oauth2/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                client_id: AIRTEL_MONEY_CLIENT_ID,
+                client_secret: AIRTEL_MONEY_CLIENT_SECRET,
+                grant_type: 'client_credentials'
+            })
+        });
+
+        airtelToken = { value: body.access_token, expiresAt: Date.now() + ((body.expires_in || 3600) - 60) * 1000 };
+        return airtelToken.value;
+    },
+
+    requestToPay: async ({ amount, currency, phoneNumber, externalId, description }) => {
+        const token = await airtelProvider.getAccessToken();
+
+        const { body } = await requestJson(`${AIRTEL_MONEY_BASE_URL}/merchant/v1/payments/`, {
+            method: 'POST',
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'X-Country': AIRTEL_MONEY_COUNTRY,
+                'X-Currency': currency,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                reference: description,
+                subscriber: {
+                    country: AIRTEL_MONEY_COUNTRY,
+                    currency,
+                    // Airtel expects the number without the country code
+                    msisdn: phoneNumber.replace(/^\+\d{3}/, '')
+                },
+                transaction: {
+                    amount,
+                    country: AIRTEL_MONEY_COUNTRY,
+                    currency,
+                    id: externalId
+                }
+            })
+        });
+
+        if (body?.status && body.status.success === false) {
+            throw new AppError(`Airtel Money rejected the collection request: ${body.status.message}`, 502);
+        }
+
+        return { providerReference: body?.data?.transaction?.id || externalId, status: 'pending' };
+    },
+
+    getTransactionStatus: async ({ externalId }) => {
+        const token = await airtelProvider.getAccessToken();
+        const { body } = await requestJson(`${AIRTEL_MONEY_BASE_URL}/standard/v1/payments/${externalId}`, {
+            method: 'GET',
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'X-Country': AIRTEL_MONEY_COUNTRY,
+                'X-Currency': 'UGX'
+            }
+        });
+
+        const transaction = body?.data?.transaction || {};
+        return airtelProvider.parseCallback({ transaction: { ...transaction, id: externalId, status_code: transaction.status } });
+    },
+
+    verifyCallback: ({ body }) => {
+        if (!body?.transaction || !body.hash) return false;
+        return signaturesMatch(sign(JSON.stringify(body.transaction), AIRTEL_MONEY_CALLBACK_SECRET || '', 'base64'), body.hash);
+    },
+
+    parseCallback: (body) => {
+        const transaction = body.transaction || {};
+        const statusMap = { TS: 'successful', TF: 'failed', TE: 'failed' };
+        return {
+            externalId: transaction.id,
+            providerReference: transaction.id || null,
+            providerTransactionId: transaction.airtel_money_id || null,
+            status: statusMap[transaction.status_code] || 'pending',
+            amount: transaction.amount !== undefined ? parseFloat(transaction.amount) : undefined,
+            currency: transaction.currency,
+            phoneNumber: transaction.msisdn,
+            reason: transaction.status_code === 'TS' ? null : (transaction.message || null)
+        };
+    }
+};
+
+/**
+ * Whether payments run against the local simulator instead of real providers. Never in production.
+ * @returns {boolean} True in test mode
+ */
+const isTestMode = () => NODE_ENV !== 'production' && (PAYMENT_TEST_MODE === 'true' || PAYMENT_TEST_MODE === true);
+
+// --- Local simulator ---
+// Keeps transactions in memory and produces callbacks signed the same way a real
+// provider would, so the whole webhook path can be exercised without a sandbox account.
+// Only usable in test mode and with PAYMENT_SIMULATOR_SECRET set.
+const simulatedTransactions = new Map();
+
+const simulatorProvider = {
+    name: 'simulator',
+
+    isConfigured: () => !!PAYMENT_SIMULATOR_SECRET,
+
+    requestToPay: async ({ amount, currency, phoneNumber, externalId }) => {
+        const providerReference = `sim-${crypto.randomUUID()}`;
+        simulatedTransactions.set(externalId, { externalId, providerReference, amount, currency, phoneNumber, status: 'pending' });
+        logger.info(`[SIMULATED PAYMENT] Collection of ${currency} ${amount} requested from ${phoneNumber} (${externalId})`);
+        return { providerReference, status: 'pending' };
+    },
+
+    getTransactionStatus: async ({ externalId }) => {
+        const transaction = simulatedTransactions.get(externalId);
+        if (!transaction) {
+            throw new AppError(`Simulated transaction ${externalId} not found.`, 404);
+        }
+        return simulatorProvider.parseCallback(transaction);
+    },
+
+    /**
+     * Completes a simulated transaction and returns the signed callback a provider would send
+     * @param {string} externalId - Our transaction reference
+     * @param {Object} [outcome={}] - { status: 'successful'|'failed', amount, reason }
+     * @returns {Object} { body, rawBody, headers } ready to post to the webhook endpoint
+     */
+    simulateCallback: (externalId, outcome = {}) => {
+        const transaction = simulatedTransactions.get(externalId);
+        if (!transaction) {
+            throw new AppError(`Simulated transaction ${externalId} not found.`, 404);
+        }
+        if (!PAYMENT_SIMULATOR_SECRET) {
+            throw new AppError('PAYMENT_SIMULATOR_SECRET is not set, so simulator callbacks cannot be signed.', 503);
+        }
+
+        transaction.status = outcome.status || 'successful';
+        transaction.amount = outcome.amount !== undefined ? outcome.amount : transaction.amount;
+        transaction.transactionId = transaction.transactionId || `SIM${Date.now()}${Math.floor(Math.random() * 1000)}`;
+        transaction.reason = outcome.reason || null;
+
+        const body = { ...transaction };
+        const rawBody = JSON.stringify(body);
+
+        return { body, rawBody, headers: { 'x-simulator-signature': sign(rawBody, PAYMENT_SIMULATOR_SECRET) } };
+    },
+
+    verifyCallback: ({ rawBody, headers }) => {
+        if (!isTestMode() || !PAYMENT_SIMULATOR_SECRET || !rawBody) return false;
+        return signaturesMatch(sign(rawBody, PAYMENT_SIMULATOR_SECRET), headers?.['x-simulator-signature']);
+    },
+
+    parseCallback: (body) => ({
+        externalId: body.externalId,
+        providerReference: body.providerReference || null,
+        providerTransactionId: body.transactionId || null,
+        status: ['successful', 'failed'].includes(body.status) ? body.status : 'pending',
+        amount: body.amount !== undefined ? parseFloat(body.amount) : undefined,
+        currency: body.currency,
+        phoneNumber: body.phoneNumber,
+        reason: body.reason || null
+    })
+};
+
+const providers = {
+    mtn: mtnProvider,
+    airtel: airtelProvider,
+    simulator: simulatorProvider
+};
+
+/**
+ * Checks if a provider has the credentials it needs
+ * @param {string} providerName - 'mtn', 'airtel' or 'simulator'
+ * @returns {boolean} True if configured
+ */
+const isProviderConfigured = (providerName) => {
+    return !!providers[providerName]?.isConfigured();
+};
+
+/**
+ * Providers that can be used for collections and webhooks: the simulator only in test mode
+ * @returns {Array<string>} Provider names
+ */
+const getAvailableProviders = () => Object.keys(providers)
+    .filter(providerName => isTestMode() || providers[providerName] !== simulatorProvider);
+
+/**
+ * Resolves the provider to use for a collection. In test mode every provider is routed to the
+ * simulator; outside it the simulator is refused and a real provider must have credentials.
+ * @param {string} providerName - Requested provider
+ * @returns {Object} Provider implementation
+ * @throws {AppError} If the provider is unknown, unavailable or not configured
+ */
+const getProvider = (providerName) => {
+    const provider = providers[providerName];
+    if (!provider || !getAvailableProviders().includes(providerName)) {
+        throw new AppError(`Unknown payment provider: ${providerName}. Must be one of: ${getAvailableProviders().join(', ')}`, 400);
+    }
+
+    if (isTestMode()) {
+        return simulatorProvider;
+    }
+
+    if (!provider.isConfigured()) {
+        logger.error(`Payment Gateway: ${providerName} credentials are not configured.`);
+        throw new AppError(`${providerName.toUpperCase()} mobile money payments are not available right now. Please try again later.`, 503);
+    }
+
+    return provider;
+};
+
+/**
+ * Asks the payer's phone to approve a collection
+ * @param {string} providerName - 'mtn', 'airtel' or 'simulator'
+ * @param {Object} request - Collection request
+ * @param {number} request.amount - Amount to collect
+ * @param {string} request.currency - Currency code
+ * @param {string} request.phoneNumber - Payer phone number (E.164)
+ * @param {string} request.externalId - Our transaction reference
+ * @param {string} [request.description] - Message shown to the payer
+ * @returns {Promise<Object>} { provider, providerReference, status }
+ * @throws {AppError} If the request is invalid or the provider rejects it
+ */
+const requestToPay = async (providerName, request) => {
+    const provider = getProvider(providerName);
+
+    if (!VALID_PHONE_REGEX.test(request.phoneNumber || '')) {
+        throw new AppError(`Invalid phone number format: ${request.phoneNumber}. Must be in E.164 format (e.g., +256701234567).`, 400);
+    }
+    if (!(request.amount > 0)) {
+        throw new AppError('Collection amount must be greater than zero.', 400);
+    }
+
+    logger.info(`Payment Gateway: Requesting ${request.currency} ${request.amount} via ${provider.name} (${request.externalId})`);
+
+    const result = await provider.requestToPay({ description: 'Rent payment', ...request });
+    return { provider: provider.name, ...result };
+};
+
+/**
+ * Polls a provider for the current state of a transaction
+ * @param {string} providerName - Provider the transaction was sent through
+ * @param {Object} reference - { externalId, providerReference }
+ * @returns {Promise<Object>} Normalized transaction result
+ */
+const getTransactionStatus = async (providerName, reference) => {
+    const provider = providers[providerName];
+    if (!provider) {
+        throw new AppError(`Unknown payment provider: ${providerName}.`, 400);
+    }
+    return provider.getTransactionStatus(reference);
+};
+
+/**
+ * Verifies that a webhook really came from the provider
+ * @param {string} providerName - Provider named in the webhook URL
+ * @param {Object} request - { rawBody, body, headers, query }
+ * @returns {boolean} True if the signature is valid
+ */
+const verifyCallback = (providerName, request) => {
+    const provider = providers[providerName];
+    if (!provider) return false;
+    try {
+        return provider.verifyCallback(request);
+    } catch (error) {
+        logger.warn(`Payment Gateway: Error verifying ${providerName} callback: ${error.message}`);
+        return false;
+    }
+};
+
+/**
+ * Whether a provider's callbacks are unsigned, so their result has to be confirmed by asking the
+ * provider for the transaction status instead of being taken from the callback body
+ * @param {string} providerName - Provider named in the webhook URL
+ * @returns {boolean} True if the callback result must be confirmed
+ */
+const callbackNeedsConfirmation = (providerName) => !!providers[providerName]?.confirmsCallbacks;
+
+/**
+ * Normalizes a provider webhook payload
+ * @param {string} providerName - Provider named in the webhook URL
+ * @param {Object} body - Parsed webhook body
+ * @returns {Object} { externalId, providerReference, providerTransactionId, status, amount, currency, phoneNumber, reason }
+ */
+const parseCallback = (providerName, body) => {
+    const provider = providers[providerName];
+    if (!provider) {
+        throw new AppError(`Unknown payment provider: ${providerName}.`, 400);
+    }
+    return provider.parseCallback(body || {});
+};
+
+module.exports = {
+    requestToPay,
+    getTransactionStatus,
+    verifyCallback,
+    callbackNeedsConfirmation,
+    parseCallback,
+    isProviderConfigured,
+    isTestMode,
+    getAvailableProviders,
+    getProvider,
+    simulator: simulatorProvider, // Exported for local testing
+    sign // Exported for testing purposes
+};
@@ -4,12 +4,13 @@ const PDFDocument = require('pdfkit');
 const fs = require('fs'); // For saving to file system (optional, for debugging/local storage)
 const logger = require('../utils/logger'); // Import the logger utility
 const AppError = require('../utils/AppError'); // For consistent error handling
+const { getFieldValue, toCellValue, formatCellText } = require('../utils/reportExportUtils');
 
 /**
  * Generates a PDF document for lease notices or reports.
  * This is a basic example; complex layouts will require more PDFKit features.
  *
- * @param {string} type - The type of document to generate ('lease_notice', 'rent_report', 'renewal_letter', 'exit_letter').
+ * @param {string} type - The type of document to generate ('lease_notice', 'rent_report', 'renewal_letter', 'exit_letter', 'rent_roll').
  * @param {object} data - The data to populate the PDF (e.g., lease details, rent summary).
  * @param {string} outputPath - The file path where the PDF will be saved temporarily.
  * @returns {Promise<string>} - A promise that resolves with the path to the generated PDF file.
@@ -101,6 +102,80 @@ const generatePdf = async (type, data, outputPath) => {
                 doc.moveDown(1); // Move down for next row
             });
 
+        } else if (type === 'rent_roll') {
+            const dateFormat = { year: 'numeric', month: 'short', day: 'numeric' };
+            const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-US', dateFormat) : '');
+            const formatAmount = (amount) => (amount || 0).toLocaleString('en-US', { maximumFractionDigits: 2 });
+            const { property, asOfDate, rows, summary } = data;
+
+            doc.fontSize(16).text(`Rent Roll - ${property.name}`, { align: 'center' });
+            doc.fontSize(11).text(`As of ${formatDate(asOfDate)}`, { align: 'center' });
+            doc.moveDown();
+
+            doc.fontSize(10)
+                .text(`Units: ${summary.unitCount}   Occupied: ${summary.occupiedCount}   Vacant: ${summary.vacantCount}   Occupancy: ${summary.occupancyRate}%`);
+            doc.moveDown();
+
+            const columns = [
+                { label: 'Unit', x: 50, width: 50, align: 'left' },
+                { label: 'Status', x: 100, width: 55, align: 'left' },
+                { label: 'Tenant', x: 155, width: 95, align: 'left' },
+                { label: 'Lease', x: 250, width: 95, align: 'left' },
+                { label: 'Rent / Month', x: 345, width: 70, align: 'right' },
+                { label: 'Deposit Held', x: 415, width: 65, align: 'right' },
+                { label: 'Balance', x: 480, width: 70, align: 'right' }
+            ];
+
+            const drawHeaders = () => {
+                const yPos = doc.y;
+                doc.fontSize(9);
+                columns.forEach(column => doc.text(column.label, column.x, yPos, { width: column.width, align: column.align }));
+                doc.moveDown(0.5);
+                doc.lineWidth(0.5).moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+                doc.moveDown(0.5);
+            };
+
+            const drawRow = (values) => {
+                if (doc.y > doc.page.height - 80) {
+                    doc.addPage();
+                    drawHeaders();
+                }
+                const yPos = doc.y;
+                let rowBottom = yPos;
+                doc.fontSize(8);
+                columns.forEach((column, index) => {
+                    doc.text(values[index], column.x, yPos, { width: column.width, align: column.align });
+                    rowBottom = Math.max(rowBottom, doc.y);
+                });
+                doc.y = rowBottom;
+                doc.moveDown(0.4);
+            };
+
+            drawHeaders();
+
+            rows.forEach(row => {
+                drawRow([
+                    row.unitName,
+                    row.occupancyStatus.replace(/_/g, ' '),
+                    row.tenantName || '-',
+                    row.leaseStartDate ? `${formatDate(row.leaseStartDate)} - ${formatDate(row.leaseEndDate)}` : '-',
+                    row.occupancyStatus === 'occupied' ? `${row.currency} ${formatAmount(row.monthlyRent)}` : '-',
+                    row.depositHeld ? formatAmount(row.depositHeld) : '-',
+                    row.balance ? formatAmount(row.balance) : '-'
+                ]);
+            });
+
+            doc.lineWidth(0.5).moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+            doc.moveDown(0.5);
+            summary.totals.forEach(total => {
+                drawRow([
+                    'TOTAL', '', '', '',
+                    `${total.currency} ${formatAmount(total.monthlyRent)}`,
+                    formatAmount(total.depositHeld),
+                    formatAmount(total.balance)
+                ]);
+            });
+
         } else {
             doc.fontSize(12).text('Document content not specified or type not recognized.');
             logger.warn(`PDFGenerator: Attempted to generate PDF for unrecognized type: ${type}`);
@@ -120,6 +195,135 @@ const generatePdf = async (type, data, outputPath) => {
     });
 };
 
+/**
+ * Generates a tabular PDF for an exported report: title, the filters it was run with, then a
+ * table whose column headers repeat on every page, with total rows at the end. Reports with more
+ * than six columns are laid out in landscape. Fields marked `pdf: false` are left out of the
+ * table and `pdfWidth` gives a column a bigger share of the page (default 1).
+ *
+ * @param {object} report - { title, columns, rows, totals, filters, generatedAt }, where columns are
+ *   export fields ({ label, value, type }) and filters are [{ label, value }].
+ * @param {string} outputPath - The file path where the PDF will be saved temporarily.
+ * @returns {Promise<string>} - A promise that resolves with the path to the generated PDF file.
+ * @throws {AppError} If PDF generation fails.
+ */
+const generateReportPdf = async (report, outputPath) => {
+    return new Promise((resolve, reject) => {
+        const { title, rows = [], totals = [], filters = [], generatedAt = new Date() } = report;
+        const columns = report.columns.filter(column => column.pdf !== false);
+
+        const doc = new PDFDocument({
+            size: 'A4',
+            layout: columns.length > 6 ? 'landscape' : 'portrait',
+            margin: 40,
+            bufferPages: true
+        });
+        const stream = fs.createWriteStream(outputPath);
+
+        doc.pipe(stream);
+        doc.font('Helvetica');
+
+        const left = doc.page.margins.left;
+        const tableWidth = doc.page.width - left - doc.page.margins.right;
+        const tableBottom = doc.page.height - doc.page.margins.bottom - 20; // Leave room for the footer
+        const maxCellHeight = 60; // Long text is cut off with an ellipsis rather than filling the page
+        const totalWeight = columns.reduce((sum, column) => sum + (column.pdfWidth || 1), 0);
+
+        let x = left;
+        const cells = columns.map(column => {
+            const width = tableWidth * (column.pdfWidth || 1) / totalWeight;
+            const cell = { column, x, width, align: ['number', 'integer'].includes(column.type) ? 'right' : 'left' };
+            x += width;
+            return cell;
+        });
+
+        const toTexts = (row) => cells.map(({ column }) =>
+            formatCellText(toCellValue(getFieldValue(row, column), column.type), column.type, true));
+
+        const measure = (texts) => Math.min(
+            Math.max(...cells.map((cell, index) => doc.heightOfString(texts[index] || ' ', { width: cell.width - 4 }))),
+            maxCellHeight
+        );
+
+        const writeCells = (texts, height) => {
+            const yPos = doc.y;
+            cells.forEach((cell, index) => {
+                doc.text(texts[index], cell.x + 2, yPos, { width: cell.width - 4, height, ellipsis: true, align: cell.align });
+            });
+            doc.x = left;
+            doc.y = yPos + height + 3;
+        };
+
+        const drawHeaders = () => {
+            const labels = cells.map(cell => cell.column.label);
+            doc.font('Helvetica-Bold').fontSize(7);
+            writeCells(labels, measure(labels));
+            doc.lineWidth(0.5).moveTo(left, doc.y - 1).lineTo(left + tableWidth, doc.y - 1).stroke();
+            doc.y += 2;
+        };
+
+        const drawRow = (texts, bold = false) => {
+            const font = bold ? 'Helvetica-Bold' : 'Helvetica';
+            doc.font(font).fontSize(7);
+            const height = measure(texts);
+            if (doc.y + height > tableBottom) {
+                doc.addPage();
+                drawHeaders();
+                doc.font(font).fontSize(7);
+            }
+            writeCells(texts, height);
+        };
+
+        // Title and filter summary
+        doc.fontSize(16).text(title, { align: 'center' });
+        doc.fontSize(9).text(`Generated ${formatCellText(generatedAt, 'datetime', true)} UTC`, { align: 'center' });
+        doc.moveDown();
+        doc.font('Helvetica-Bold').text('Filters: ', { continued: true })
+            .font('Helvetica').text(filters.length > 0 ? filters.map(filter => `${filter.label}: ${filter.value}`).join('   ') : 'None');
+        doc.text(`Rows: ${rows.length}`);
+        doc.moveDown();
+
+        drawHeaders();
+
+        if (rows.length === 0) {
+            doc.font('Helvetica').fontSize(9).text('No records match these filters.', left, doc.y);
+        }
+        rows.forEach(row => drawRow(toTexts(row)));
+
+        if (totals.length > 0) {
+            doc.lineWidth(0.5).moveTo(left, doc.y).lineTo(left + tableWidth, doc.y).stroke();
+            doc.y += 3;
+            totals.forEach(total => drawRow(toTexts(total), true));
+        }
+
+        // Footer with page numbers
+        const pageCount = doc.bufferedPageRange().count;
+        for (let i = 0; i < pageCount; i++) {
+            doc.switchToPage(i);
+            doc.page.margins.bottom = 0; // Writing below the bottom margin would otherwise start a new page
+            doc.font('Helvetica').fontSize(8).text(
+                `${title} | Page ${i + 1} of ${pageCount}`,
+                left,
+                doc.page.height - 30,
+                { align: 'center', width: tableWidth }
+            );
+        }
+
+        doc.end();
+
+        stream.on('finish', () => {
+            logger.info(`Report PDF generated successfully: ${outputPath}`);
+            resolve(outputPath);
+        });
+
+        stream.on('error', (err) => {
+            logger.error(`PDFGenerator: Stream error during report PDF generation to ${outputPath}: ${err.message}`, err);
+            reject(new AppError(`Failed to generate PDF: ${err.message}`, 500));
+        });
+    });
+};
+
 module.exports = {
-    generatePdf
+    generatePdf,
+    generateReportPdf
 };
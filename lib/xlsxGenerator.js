@@ -0,0 +1,349 @@
+// src/lib/xlsxGenerator.js
+
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+const { getFieldValue, toCellValue, formatCellText } = require('../utils/reportExportUtils');
+
+// Excel stores dates as days since 1899-12-30
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Indexes into cellXfs in STYLES_XML
+const STYLES = {
+    default: 0,
+    bold: 1,
+    date: 2,
+    datetime: 3,
+    number: 4,
+    integer: 5,
+    boldNumber: 6,
+    boldInteger: 7
+};
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="8">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="4" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>
+<xf numFmtId="3" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+/**
+ * Escapes text for XML, dropping control characters that XML cannot hold.
+ * @param {string} text - Text.
+ * @returns {string} Escaped text.
+ */
+const escapeXml = (text) => String(text)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Spreadsheet column letters for a zero-based index (0 -> A, 26 -> AA).
+ * @param {number} index - Column index.
+ * @returns {string} Column letters.
+ */
+const columnLetter = (index) => {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+};
+
+/**
+ * Renders one cell. Numbers, booleans and dates are written as real values so they sort and sum.
+ * @param {string} ref - Cell reference, e.g. 'B4'.
+ * @param {*} value - Typed value (see toCellValue).
+ * @param {number} style - Style index.
+ * @returns {string} Cell XML, or '' for an empty cell.
+ */
+const cellXml = (ref, value, style) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const styleAttr = style ? ` s="${style}"` : '';
+    if (value instanceof Date) {
+        return `<c r="${ref}"${styleAttr}><v>${(value.getTime() - EXCEL_EPOCH) / MS_PER_DAY}</v></c>`;
+    }
+    if (typeof value === 'number') {
+        return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+/**
+ * Picks the style for a typed value in a column.
+ * @param {*} value - Typed value.
+ * @param {string} type - Column type.
+ * @param {boolean} bold - Whether the row is a header or total row.
+ * @returns {number} Style index.
+ */
+const cellStyle = (value, type, bold) => {
+    if (value instanceof Date) {
+        return type === 'datetime' ? STYLES.datetime : STYLES.date;
+    }
+    if (typeof value === 'number') {
+        if (type === 'integer') {
+            return bold ? STYLES.boldInteger : STYLES.integer;
+        }
+        if (type === 'number') {
+            return bold ? STYLES.boldNumber : STYLES.number;
+        }
+    }
+    return bold ? STYLES.bold : STYLES.default;
+};
+
+/**
+ * Renders a worksheet.
+ * @param {Array<Array<object>>} rows - Rows of cells: { value, style }.
+ * @param {object} [options={}] - { widths, frozenHeader, autoFilter }.
+ * @returns {string} Worksheet XML.
+ */
+const worksheetXml = (rows, options = {}) => {
+    const { widths = [], frozenHeader = false, autoFilter = null } = options;
+
+    const sheetView = frozenHeader
+        ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        : '<sheetViews><sheetView workbookViewId="0"/></sheetViews>';
+    const cols = widths.length > 0
+        ? `<cols>${widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+        : '';
+    const sheetData = rows.map((cells, rowIndex) => {
+        const ref = (colIndex) => `${columnLetter(colIndex)}${rowIndex + 1}`;
+        return `<row r="${rowIndex + 1}">${cells.map((cell, colIndex) => cellXml(ref(colIndex), cell.value, cell.style)).join('')}</row>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `${sheetView}<sheetFormatPr defaultRowHeight="15"/>${cols}<sheetData>${sheetData}</sheetData>`
+        + (autoFilter ? `<autoFilter ref="${autoFilter}"/>` : '')
+        + '</worksheet>';
+};
+
+/**
+ * Column width in characters, from the longest text in the column (capped so notes don't take over).
+ * @param {object} column - Export field.
+ * @param {Array<*>} values - Typed values in the column.
+ * @returns {number} Width.
+ */
+const columnWidth = (column, values) => {
+    if (column.type === 'date') return 12;
+    if (column.type === 'datetime') return 17;
+    const longest = values.reduce(
+        (max, value) => Math.max(max, formatCellText(value, column.type, true).length),
+        column.label.length
+    );
+    return Math.min(Math.max(longest + 2, 8), 50);
+};
+
+/**
+ * Converts a date to MS-DOS date and time, as used in zip headers.
+ * @param {Date} date - Date.
+ * @returns {object} { time, date }
+ */
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// CRC-32 (IEEE) lookup table for zip entries; zlib.crc32 only exists from Node 20.15
+const CRC32_TABLE = Array.from({ length: 256 }, (_, index) => {
+    let value = index;
+    for (let bit = 0; bit < 8; bit++) {
+        value = value & 1 ? 0xEDB88320 ^ (value >>> 1) : value >>> 1;
+    }
+    return value >>> 0;
+});
+
+/**
+ * CRC-32 checksum of a buffer, as stored in zip headers.
+ * @param {Buffer} data - Data to checksum.
+ * @returns {number} Unsigned 32-bit checksum.
+ */
+const crc32 = (data) => {
+    let crc = 0xFFFFFFFF;
+    for (const byte of data) {
+        crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Packs files into a zip archive (deflate, no zip64), which is all an XLSX package needs.
+ * @param {Array<object>} files - Files: { name, data }, where data is a string or Buffer.
+ * @returns {Buffer} Zip archive.
+ */
+const createZip = (files) => {
+    const { time, date } = toDosDateTime(new Date());
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(8, 8); // deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+/**
+ * Builds an XLSX workbook for a report. The first sheet holds the table: a bold, frozen header
+ * row with a filter, one typed column per export field and bold total rows underneath. The
+ * second sheet records the report title, when it was generated and the filters used.
+ * @param {object} report - { title, columns, rows, totals, filters, generatedAt }, where columns are
+ *   export fields ({ label, value, type }) and filters are [{ label, value }].
+ * @returns {Buffer} XLSX file contents.
+ */
+const buildReportWorkbook = (report) => {
+    const { title, columns, rows = [], totals = [], filters = [], generatedAt = new Date() } = report;
+
+    const typedRows = rows.map(row => columns.map(column => toCellValue(getFieldValue(row, column), column.type)));
+    const typedTotals = totals.map(row => columns.map(column => toCellValue(getFieldValue(row, column), column.type)));
+
+    const tableRows = [
+        columns.map(column => ({ value: column.label, style: STYLES.bold })),
+        ...typedRows.map(values => values.map((value, index) => ({ value, style: cellStyle(value, columns[index].type, false) }))),
+        ...typedTotals.map(values => values.map((value, index) => ({ value, style: cellStyle(value, columns[index].type, true) })))
+    ];
+    const widths = columns.map((column, index) => columnWidth(column, typedRows.map(values => values[index])));
+    const lastColumn = columnLetter(Math.max(columns.length - 1, 0));
+    const filterRange = `A1:${lastColumn}${typedRows.length + 1}`;
+
+    const detailRows = [
+        [{ value: 'Report', style: STYLES.bold }, { value: title }],
+        [{ value: 'Generated At', style: STYLES.bold }, { value: generatedAt, style: STYLES.datetime }],
+        [{ value: 'Rows', style: STYLES.bold }, { value: rows.length, style: STYLES.integer }],
+        ...(filters.length > 0
+            ? filters.map(filter => [{ value: filter.label, style: STYLES.bold }, { value: filter.value }])
+            : [[{ value: 'Filters', style: STYLES.bold }, { value: 'None' }]])
+    ];
+
+    const sheetName = escapeXml(title.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet2.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+                + `<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/><sheet name="Details" sheetId="2" r:id="rId2"/></sheets>`
+                + `<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${sheetName}'!$A$1:$${lastColumn}$${typedRows.length + 1}</definedName></definedNames>`
+                + '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+                + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet2.xml"/>'
+                + '<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+                + '</Relationships>'
+        },
+        { name: 'xl/styles.xml', data: STYLES_XML },
+        { name: 'xl/worksheets/sheet1.xml', data: worksheetXml(tableRows, { widths, frozenHeader: true, autoFilter: filterRange }) },
+        { name: 'xl/worksheets/sheet2.xml', data: worksheetXml(detailRows, { widths: [20, 40] }) }
+    ]);
+};
+
+/**
+ * Generates an XLSX report and saves it to a file.
+ * @param {object} report - See buildReportWorkbook.
+ * @param {string} outputPath - The file path where the workbook will be saved temporarily.
+ * @returns {Promise<string>} The path to the generated file.
+ * @throws {AppError} If the workbook cannot be written.
+ */
+const generateReportXlsx = async (report, outputPath) => {
+    try {
+        await fs.writeFile(outputPath, buildReportWorkbook(report));
+        logger.info(`XLSX generated successfully: ${outputPath}`);
+        return outputPath;
+    } catch (error) {
+        logger.error(`XLSXGenerator: Error generating XLSX to ${outputPath}: ${error.message}`, error);
+        throw new AppError(`Failed to generate XLSX: ${error.message}`, 500);
+    }
+};
+
+module.exports = {
+    buildReportWorkbook,
+    generateReportXlsx
+};
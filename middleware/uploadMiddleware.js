@@ -18,6 +18,21 @@ const upload = multer({
     fileFilter: fileFilter
 });
 
+// Bank and mobile-money statements (CSV or OFX/QFX) are parsed in memory, never stored
+const statementFileFilter = (req, file, cb) => {
+    const allowedMimeTypes = [
+        'text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel',
+        'application/x-ofx', 'application/ofx', 'application/octet-stream'
+    ];
+    if (/\.(csv|ofx|qfx)$/i.test(file.originalname) && allowedMimeTypes.includes(file.mimetype)) cb(null, true);
+    else cb(new AppError('Invalid statement file. Only CSV, OFX and QFX files are allowed.', 400), false);
+};
+const uploadStatement = multer({
+    storage: storage,
+    limits: { fileSize: 5 * 1024 * 1024 },
+    fileFilter: statementFileFilter
+});
+
 /**
  * Middleware to upload a file to Cloudinary and save its info in the Media model.
  */
@@ -53,5 +68,6 @@ const uploadToCloudinary = (relatedToType, idParamName) => asyncHandler(async (r
 
 module.exports = {
     upload,
+    uploadStatement,
     uploadToCloudinary
 };
\ No newline at end of file
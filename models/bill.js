@@ -0,0 +1,157 @@
+// src/models/bill.js
+
+const mongoose = require('mongoose');
+const lineItemSchema = require('./schemas/LineItemSchema');
+const { BILL_STATUS_ENUM } = require('../utils/constants/enums');
+
+// Payment made to the vendor against a bill
+const billPaymentSchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: [true, 'Payment amount is required'],
+        min: [0.01, 'Payment amount must be greater than zero']
+    },
+    paymentMethod: {
+        type: String,
+        trim: true
+    },
+    paymentDate: {
+        type: Date,
+        default: Date.now
+    },
+    transactionId: {
+        type: String,
+        trim: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+});
+
+// Vendor bill payable by a property, optionally for a maintenance request and recharged to a tenant
+const BillSchema = new mongoose.Schema({
+    // The vendor's own bill or invoice number
+    billNumber: {
+        type: String,
+        trim: true,
+        required: [true, 'Bill number is required']
+    },
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: [true, 'Vendor is required']
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: [true, 'Property is required']
+    },
+    unit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Unit',
+        default: null
+    },
+    request: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Request',
+        default: null
+    },
+    items: {
+        type: [lineItemSchema],
+        validate: {
+            validator: items => items.length > 0,
+            message: 'A bill needs at least one line item'
+        }
+    },
+    currency: {
+        type: String,
+        default: 'UGX',
+        trim: true
+    },
+    subtotal: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    taxTotal: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    amountPaid: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    billDate: {
+        type: Date,
+        default: Date.now
+    },
+    dueDate: {
+        type: Date,
+        required: [true, 'Due date is required']
+    },
+    status: {
+        type: String,
+        enum: BILL_STATUS_ENUM,
+        default: 'pending'
+    },
+    payments: [billPaymentSchema],
+    attachments: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media'
+    }],
+    // Tenant invoice the bill was recharged on
+    rechargeInvoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+        default: null
+    },
+    voidedAt: {
+        type: Date,
+        default: null
+    },
+    voidReason: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for what is still owed to the vendor
+BillSchema.virtual('balance').get(function() {
+    return Math.max((this.amount || 0) - (this.amountPaid || 0), 0);
+});
+
+BillSchema.index({ vendor: 1, billNumber: 1 }, { unique: true });
+BillSchema.index({ property: 1, status: 1 });
+BillSchema.index({ dueDate: 1, status: 1 });
+
+module.exports = mongoose.models.Bill || mongoose.model('Bill', BillSchema);
@@ -0,0 +1,110 @@
+// src/models/expense.js
+
+const mongoose = require('mongoose');
+const { EXPENSE_CATEGORY_ENUM, EXPENSE_STATUS_ENUM } = require('../utils/constants/enums');
+
+// Money spent running a property, counted against its annual operating budget
+const ExpenseSchema = new mongoose.Schema({
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: [true, 'Property is required']
+    },
+    unit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Unit',
+        default: null
+    },
+    category: {
+        type: String,
+        enum: EXPENSE_CATEGORY_ENUM,
+        required: [true, 'Expense category is required']
+    },
+    description: {
+        type: String,
+        trim: true,
+        required: [true, 'Description is required'],
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [0.01, 'Amount must be greater than zero']
+    },
+    currency: {
+        type: String,
+        default: 'UGX',
+        trim: true
+    },
+    expenseDate: {
+        type: Date,
+        required: [true, 'Expense date is required'],
+        default: Date.now
+    },
+    // Vendor paid, if the payee is a registered vendor
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        default: null
+    },
+    // Payee name for anyone who is not a registered vendor (e.g. the utility company)
+    payee: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Payee cannot exceed 200 characters'],
+        default: null
+    },
+    // Maintenance request the money was spent on
+    request: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Request',
+        default: null
+    },
+    paymentMethod: {
+        type: String,
+        trim: true
+    },
+    reference: {
+        type: String,
+        trim: true
+    },
+    receipts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media'
+    }],
+    status: {
+        type: String,
+        enum: EXPENSE_STATUS_ENUM,
+        default: 'recorded'
+    },
+    voidedAt: {
+        type: Date,
+        default: null
+    },
+    voidReason: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+ExpenseSchema.index({ property: 1, status: 1, expenseDate: -1 });
+ExpenseSchema.index({ property: 1, category: 1 });
+ExpenseSchema.index({ request: 1 });
+
+module.exports = mongoose.models.Expense || mongoose.model('Expense', ExpenseSchema);
@@ -19,4 +19,24 @@ module.exports = {
   Comment: require('./comment'),
   AuditLog: require('./auditLog'),
   Onboarding: require('./onboarding'),
+  ScheduledJob: require('./scheduledJob'),
+  JobRun: require('./jobRun'),
+  LeasePayment: require('./leasePayment'),
+  PaymentTransaction: require('./paymentTransaction'),
+  StatementImport: require('./statementImport'),
+  StatementLine: require('./statementLine'),
+  SecurityDeposit: require('./securityDeposit'),
+  Invoice: require('./invoice'),
+  InvoiceSequence: require('./invoiceSequence'),
+  Bill: require('./bill'),
+  Expense: require('./expense'),
+  OwnerStatement: require('./ownerStatement'),
+  UtilityTariff: require('./utilityTariff'),
+  Meter: require('./meter'),
+  MeterReading: require('./meterReading'),
+  LeaseRenewalOffer: require('./leaseRenewalOffer'),
+  LeaseSignatureRequest: require('./leaseSignatureRequest'),
+  LeaseClause: require('./leaseClause'),
+  LeaseTemplate: require('./leaseTemplate'),
+  Inspection: require('./inspection'),
 };
\ No newline at end of file
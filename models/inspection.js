@@ -0,0 +1,191 @@
+// src/models/inspection.js
+
+const mongoose = require('mongoose');
+const {
+    INSPECTION_TYPE_ENUM,
+    INSPECTION_STATUS_ENUM,
+    INSPECTION_CONDITION_ENUM,
+    INSPECTION_SIGNER_ROLE_ENUM,
+    SIGNATURE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+// One line of a room's checklist, e.g. "Walls" or "Windows"
+const itemSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Item name is required'],
+        trim: true,
+        maxlength: [100, 'Item name cannot exceed 100 characters']
+    },
+    // Null until the inspector rates the item
+    condition: {
+        type: String,
+        enum: INSPECTION_CONDITION_ENUM,
+        default: null
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Item notes cannot exceed 1000 characters'],
+        default: null
+    },
+    photos: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media'
+    }],
+    // Move-out only: estimated cost of putting the item back to its move-in condition
+    estimatedCost: {
+        type: Number,
+        min: [0, 'Estimated cost cannot be negative'],
+        default: null
+    }
+});
+
+const roomSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Room name is required'],
+        trim: true,
+        maxlength: [100, 'Room name cannot exceed 100 characters']
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Room notes cannot exceed 1000 characters'],
+        default: null
+    },
+    items: [itemSchema]
+});
+
+// Sign-off by the tenant or the manager once the checklist is complete
+const signatureSchema = new mongoose.Schema({
+    role: {
+        type: String,
+        enum: INSPECTION_SIGNER_ROLE_ENUM,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        trim: true,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: SIGNATURE_TYPE_ENUM,
+        required: true
+    },
+    // The name as typed, for 'typed' signatures
+    typedName: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    // PNG or JPEG data URL of the drawn signature, for 'drawn' signatures
+    image: {
+        type: String,
+        default: null
+    },
+    ipAddress: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    signedAt: {
+        type: Date,
+        required: true
+    }
+}, { _id: false });
+
+// Room-by-room condition report for a unit, taken when a tenant moves in or out
+const InspectionSchema = new mongoose.Schema({
+    lease: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lease',
+        required: [true, 'Lease is required']
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    unit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Unit',
+        required: true
+    },
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: INSPECTION_TYPE_ENUM,
+        required: [true, 'Inspection type is required']
+    },
+    status: {
+        type: String,
+        enum: INSPECTION_STATUS_ENUM,
+        default: 'in_progress'
+    },
+    // Move-out inspections are compared against this lease's move-in inspection
+    moveInInspection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inspection',
+        default: null
+    },
+    inspectedAt: {
+        type: Date,
+        default: Date.now
+    },
+    rooms: [roomSchema],
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Notes cannot exceed 2000 characters'],
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    completedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    signatures: [signatureSchema],
+    // Latest move-in vs move-out comparison PDF, on move-out inspections
+    comparisonDocument: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media',
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// One move-in and one move-out inspection per lease
+InspectionSchema.index({ lease: 1, type: 1 }, { unique: true });
+InspectionSchema.index({ property: 1, status: 1 });
+InspectionSchema.index({ unit: 1, inspectedAt: -1 });
+
+module.exports = mongoose.models.Inspection || mongoose.model('Inspection', InspectionSchema);
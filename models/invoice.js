@@ -0,0 +1,218 @@
+// src/models/invoice.js
+
+const mongoose = require('mongoose');
+const lineItemSchema = require('./schemas/LineItemSchema');
+const { INVOICE_TYPE_ENUM, INVOICE_STATUS_ENUM, TAX_TYPE_ENUM } = require('../utils/constants/enums');
+
+// Payment received directly against an invoice (rent lines are paid through their Rent records)
+const invoicePaymentSchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: [true, 'Payment amount is required'],
+        min: [0.01, 'Payment amount must be greater than zero']
+    },
+    paymentMethod: {
+        type: String,
+        trim: true
+    },
+    paymentDate: {
+        type: Date,
+        default: Date.now
+    },
+    transactionId: {
+        type: String,
+        trim: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+});
+
+// Tenant invoice or credit note. Drafts have no number; issuing assigns the next number in the
+// property's sequence. Credit notes stay 'pending' (issued) unless voided.
+const InvoiceSchema = new mongoose.Schema({
+    invoiceNumber: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    type: {
+        type: String,
+        enum: INVOICE_TYPE_ENUM,
+        default: 'invoice'
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: [true, 'Property is required']
+    },
+    unit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Unit',
+        default: null
+    },
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Tenant is required']
+    },
+    lease: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lease',
+        default: null
+    },
+    items: {
+        type: [lineItemSchema],
+        validate: {
+            validator: items => items.length > 0,
+            message: 'An invoice needs at least one line item'
+        }
+    },
+    currency: {
+        type: String,
+        default: 'UGX',
+        trim: true
+    },
+    subtotal: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    taxTotal: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Tax deducted by the tenant at source
+    withholdingTotal: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Each tax on the invoice with the amount it was charged on
+    taxBreakdown: [{
+        _id: false,
+        name: String,
+        type: { type: String, enum: TAX_TYPE_ENUM },
+        rate: Number,
+        base: Number,
+        amount: Number
+    }],
+    // Total including tax, less tax withheld
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    amountPaid: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Total of credit notes issued against this invoice
+    creditedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    issueDate: {
+        type: Date,
+        default: null
+    },
+    dueDate: {
+        type: Date,
+        required: [true, 'Due date is required']
+    },
+    status: {
+        type: String,
+        enum: INVOICE_STATUS_ENUM,
+        default: 'draft'
+    },
+    payments: [invoicePaymentSchema],
+    // Credit notes point at the invoice they credit; invoices list their credit notes
+    originalInvoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+        default: null
+    },
+    creditNotes: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice'
+    }],
+    // Rendered PDF
+    document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media',
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    },
+    sentTo: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    voidedAt: {
+        type: Date,
+        default: null
+    },
+    voidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    voidReason: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for what is still owed on the invoice
+InvoiceSchema.virtual('balance').get(function() {
+    return Math.max((this.amount || 0) - (this.amountPaid || 0) - (this.creditedAmount || 0), 0);
+});
+
+// Virtual for the most recent direct payment
+InvoiceSchema.virtual('payment').get(function() {
+    return this.payments && this.payments.length > 0 ? this.payments[this.payments.length - 1] : null;
+});
+
+InvoiceSchema.virtual('isOverdue').get(function() {
+    return ['pending', 'sent', 'partially_paid'].includes(this.status) && new Date() > this.dueDate;
+});
+
+// Numbers are unique within a property's sequence; drafts have none yet
+InvoiceSchema.index(
+    { property: 1, invoiceNumber: 1 },
+    { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+);
+InvoiceSchema.index({ tenant: 1, status: 1 });
+InvoiceSchema.index({ 'items.rent': 1 });
+InvoiceSchema.index({ dueDate: 1, status: 1 });
+
+module.exports = mongoose.models.Invoice || mongoose.model('Invoice', InvoiceSchema);
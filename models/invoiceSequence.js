@@ -0,0 +1,32 @@
+// src/models/invoiceSequence.js
+
+const mongoose = require('mongoose');
+const { DOCUMENT_SEQUENCE_TYPE_ENUM } = require('../utils/constants/enums');
+
+// Running number for a property's invoices, credit notes or receipts in a year
+const InvoiceSequenceSchema = new mongoose.Schema({
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    documentType: {
+        type: String,
+        enum: DOCUMENT_SEQUENCE_TYPE_ENUM,
+        default: 'invoice'
+    },
+    year: {
+        type: Number,
+        required: true
+    },
+    lastNumber: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+InvoiceSequenceSchema.index({ property: 1, documentType: 1, year: 1 }, { unique: true });
+
+module.exports = mongoose.models.InvoiceSequence || mongoose.model('InvoiceSequence', InvoiceSequenceSchema);
@@ -0,0 +1,76 @@
+// src/models/jobRun.js
+
+const mongoose = require('mongoose');
+const { JOB_RUN_STATUS_ENUM, JOB_TRIGGER_ENUM } = require('../utils/constants/enums');
+
+const JobRunSchema = new mongoose.Schema({
+    jobName: {
+        type: String,
+        required: [true, 'Job name is required'],
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: JOB_RUN_STATUS_ENUM,
+        default: 'running'
+    },
+    trigger: {
+        type: String,
+        enum: JOB_TRIGGER_ENUM,
+        default: 'schedule'
+    },
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    instanceId: {
+        type: String,
+        default: null
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    },
+    durationMs: {
+        type: Number,
+        default: null
+    },
+    // Counts reported by the job handler
+    processed: {
+        type: Number,
+        default: 0
+    },
+    succeeded: {
+        type: Number,
+        default: 0
+    },
+    failed: {
+        type: Number,
+        default: 0
+    },
+    skipped: {
+        type: Number,
+        default: 0
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for run history lookups
+JobRunSchema.index({ jobName: 1, startedAt: -1 });
+JobRunSchema.index({ status: 1 });
+
+module.exports = mongoose.models.JobRun || mongoose.model('JobRun', JobRunSchema);
@@ -1,7 +1,10 @@
 // src/models/lease.js
 
 const mongoose = require('mongoose');
-const { LEASE_STATUS_ENUM, AUDIT_RESOURCE_TYPE_ENUM } = require('../utils/constants/enums');
+const lateFeePolicySchema = require('./schemas/LateFeePolicySchema');
+const rentEscalationSchema = require('./schemas/RentEscalationSchema');
+const leaseChargeSchema = require('./schemas/LeaseChargeSchema');
+const { LEASE_STATUS_ENUM, LEASE_SIGNATURE_STATUS_ENUM, AUDIT_RESOURCE_TYPE_ENUM } = require('../utils/constants/enums');
 
 const leaseAmendmentSchema = new mongoose.Schema({
     amendmentDate: { 
@@ -91,6 +94,30 @@ const LeaseSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Overpayments held for the tenant; applied to the next generated rent record
+    creditBalance: {
+        type: Number,
+        default: 0,
+        min: [0, 'Credit balance cannot be negative']
+    },
+    // Overrides the property's late fee policy when enabled
+    lateFeePolicy: {
+        type: lateFeePolicySchema,
+        default: null
+    },
+    // Applies to the lease's rent schedules unless a schedule has its own rule
+    rentEscalation: {
+        type: rentEscalationSchema,
+        default: null
+    },
+    // Service charge, parking and other fees billed alongside the rent
+    charges: [leaseChargeSchema],
+    // Corporate tenants that deduct withholding tax from their payments; turns on the
+    // property's withholding tax rules for this lease
+    withholdsTax: {
+        type: Boolean,
+        default: false
+    },
     status: {
         type: String,
         enum: LEASE_STATUS_ENUM,
@@ -114,6 +141,38 @@ const LeaseSchema = new mongoose.Schema({
         type: Number,
         default: 1
     },
+    // Renewals create a new lease version; these link the versions together
+    previousLease: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lease',
+        default: null
+    },
+    renewedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lease',
+        default: null
+    },
+    // Follows the lease's latest e-signature request; a draft lease goes active only once 'signed'
+    signatureStatus: {
+        type: String,
+        enum: LEASE_SIGNATURE_STATUS_ENUM,
+        default: 'unsigned'
+    },
+    signedAt: {
+        type: Date,
+        default: null
+    },
+    signedDocument: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media',
+        default: null
+    },
+    // The template version the lease agreement was last generated from; null for the built-in layout
+    leaseTemplate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LeaseTemplate',
+        default: null
+    },
     amendments: [leaseAmendmentSchema],
     isActive: {
         type: Boolean,
@@ -0,0 +1,70 @@
+// src/models/leaseClause.js
+
+const mongoose = require('mongoose');
+const clauseConditionSchema = require('./schemas/ClauseConditionSchema');
+const { LEASE_CLAUSE_CATEGORY_ENUM } = require('../utils/constants/enums');
+
+// A reusable lease clause. Templates copy a clause's text when a template version is saved,
+// so editing the library never changes leases already generated from a template.
+const LeaseClauseSchema = new mongoose.Schema({
+    // null for the shared library managed by admins; otherwise a clause for one property
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        default: null,
+        index: true
+    },
+    // Short identifier, unique within its library (e.g. 'pets-allowed')
+    key: {
+        type: String,
+        required: [true, 'Clause key is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9]+(?:[-_][a-z0-9]+)*$/, 'Clause key can only contain letters, numbers, hyphens and underscores'],
+        maxlength: [60, 'Clause key cannot exceed 60 characters']
+    },
+    title: {
+        type: String,
+        required: [true, 'Clause title is required'],
+        trim: true,
+        maxlength: [150, 'Clause title cannot exceed 150 characters']
+    },
+    category: {
+        type: String,
+        enum: LEASE_CLAUSE_CATEGORY_ENUM,
+        default: 'general',
+        index: true
+    },
+    // Clause text with merge fields such as {{tenant.fullName}}
+    body: {
+        type: String,
+        required: [true, 'Clause text is required'],
+        trim: true,
+        maxlength: [10000, 'Clause text cannot exceed 10000 characters']
+    },
+    // Default condition for including the clause; a template section can override it
+    condition: {
+        type: clauseConditionSchema,
+        default: null
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+LeaseClauseSchema.index({ property: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.models.LeaseClause || mongoose.model('LeaseClause', LeaseClauseSchema);
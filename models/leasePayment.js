@@ -0,0 +1,106 @@
+// src/models/leasePayment.js
+
+const mongoose = require('mongoose');
+const { PAYMENT_ALLOCATION_STRATEGY_ENUM } = require('../utils/constants/enums');
+
+// How much of the payment went to a single rent record
+const allocationSchema = new mongoose.Schema({
+    rent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rent',
+        required: true
+    },
+    billingPeriod: {
+        type: String,
+        trim: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+// A lump-sum payment against a lease, split across its open rent records
+const LeasePaymentSchema = new mongoose.Schema({
+    lease: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lease',
+        required: [true, 'Lease is required']
+    },
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    unit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Unit',
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Payment amount is required'],
+        min: [0.01, 'Payment amount must be greater than zero']
+    },
+    currency: {
+        type: String,
+        default: 'UGX',
+        trim: true
+    },
+    paymentDate: {
+        type: Date,
+        required: [true, 'Payment date is required']
+    },
+    paymentMethod: {
+        type: String,
+        trim: true
+    },
+    transactionId: {
+        type: String,
+        trim: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    paymentProof: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media',
+        default: null
+    },
+    strategy: {
+        type: String,
+        enum: PAYMENT_ALLOCATION_STRATEGY_ENUM,
+        default: 'oldest_first'
+    },
+    allocations: [allocationSchema],
+    // Overpayment added to the lease's credit balance
+    creditAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+LeasePaymentSchema.virtual('allocatedAmount').get(function() {
+    return (this.allocations || []).reduce((sum, allocation) => sum + allocation.amount, 0);
+});
+
+LeasePaymentSchema.index({ lease: 1, paymentDate: -1 });
+LeasePaymentSchema.index({ tenant: 1 });
+
+module.exports = mongoose.models.LeasePayment || mongoose.model('LeasePayment', LeasePaymentSchema);
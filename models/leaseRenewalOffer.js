@@ -0,0 +1,176 @@
+// src/models/leaseRenewalOffer.js
+
+const mongoose = require('mongoose');
+const { RENEWAL_OFFER_STATUS_ENUM } = require('../utils/constants/enums');
+
+// The terms of the renewed lease; conditions become the new lease's terms
+const renewalTermsSchema = new mongoose.Schema({
+    leaseStartDate: {
+        type: Date,
+        required: [true, 'Renewal start date is required']
+    },
+    leaseEndDate: {
+        type: Date,
+        required: [true, 'Renewal end date is required']
+    },
+    monthlyRent: {
+        type: Number,
+        required: [true, 'Renewal rent is required'],
+        min: [0, 'Monthly rent cannot be negative']
+    },
+    currency: {
+        type: String,
+        default: 'UGX',
+        trim: true,
+        uppercase: true
+    },
+    paymentDueDate: {
+        type: Number,
+        min: [1, 'Payment due date must be between 1 and 31'],
+        max: [31, 'Payment due date must be between 1 and 31']
+    },
+    securityDeposit: {
+        type: Number,
+        default: 0,
+        min: [0, 'Security deposit cannot be negative']
+    },
+    conditions: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Conditions cannot exceed 2000 characters'],
+        default: null
+    }
+}, { _id: false });
+
+// One step in the negotiation, oldest first
+const renewalHistorySchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['created', 'revised', 'sent', 'countered', 'accepted', 'declined', 'withdrawn', 'expired'],
+        required: true
+    },
+    by: {
+        type: String,
+        enum: ['manager', 'tenant', 'system'],
+        required: true
+    },
+    terms: {
+        type: renewalTermsSchema,
+        default: null
+    },
+    message: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    // 'link' responses came through the tokenized email link rather than a signed-in account
+    via: {
+        type: String,
+        enum: ['account', 'link', null],
+        default: null
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    ipAddress: {
+        type: String,
+        default: null
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const LeaseRenewalOfferSchema = new mongoose.Schema({
+    lease: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lease',
+        required: [true, 'Lease is required'],
+        index: true
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: [true, 'Property is required'],
+        index: true
+    },
+    unit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Unit',
+        required: [true, 'Unit is required']
+    },
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Tenant is required'],
+        index: true
+    },
+    status: {
+        type: String,
+        enum: RENEWAL_OFFER_STATUS_ENUM,
+        default: 'draft',
+        index: true
+    },
+    // The manager's offer; replaced by the counter offer when the manager accepts it
+    terms: {
+        type: renewalTermsSchema,
+        required: true
+    },
+    // The tenant's latest counter proposal, waiting on the manager while the offer is 'countered'
+    counterOffer: {
+        terms: { type: renewalTermsSchema, default: null },
+        message: { type: String, trim: true, default: null },
+        submittedAt: { type: Date, default: null }
+    },
+    // The tenant has until this date to respond once the offer is sent
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    // SHA-256 of the token in the emailed link; the plain token is never stored
+    responseTokenHash: {
+        type: String,
+        default: null,
+        select: false,
+        index: true
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    },
+    respondedAt: {
+        type: Date,
+        default: null
+    },
+    declineReason: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    // The lease created when the offer was accepted
+    newLease: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lease',
+        default: null
+    },
+    history: [renewalHistorySchema],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+LeaseRenewalOfferSchema.index({ lease: 1, status: 1 });
+
+module.exports = mongoose.models.LeaseRenewalOffer || mongoose.model('LeaseRenewalOffer', LeaseRenewalOfferSchema);
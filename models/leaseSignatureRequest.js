@@ -0,0 +1,174 @@
+// src/models/leaseSignatureRequest.js
+
+const mongoose = require('mongoose');
+const {
+    SIGNATURE_REQUEST_STATUS_ENUM,
+    SIGNER_ROLE_ENUM,
+    SIGNER_STATUS_ENUM,
+    SIGNATURE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+// What the signer signed with and where from
+const signatureSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: SIGNATURE_TYPE_ENUM,
+        required: true
+    },
+    // The name as typed, for 'typed' signatures
+    typedName: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    // PNG or JPEG data URL of the drawn signature, for 'drawn' signatures
+    image: {
+        type: String,
+        default: null
+    },
+    ipAddress: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    signedAt: {
+        type: Date,
+        required: true
+    }
+}, { _id: false });
+
+const signerSchema = new mongoose.Schema({
+    role: {
+        type: String,
+        enum: SIGNER_ROLE_ENUM,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Signer user is required']
+    },
+    // Name and email as they were when the request was made; shown on the certificate page
+    name: {
+        type: String,
+        trim: true,
+        required: true
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        required: true
+    },
+    // Signing order, starting at 1
+    order: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    status: {
+        type: String,
+        enum: SIGNER_STATUS_ENUM,
+        default: 'waiting'
+    },
+    // SHA-256 of the token in the emailed link; cleared once the signer has signed
+    tokenHash: {
+        type: String,
+        default: null,
+        select: false
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    },
+    signature: {
+        type: signatureSchema,
+        default: null
+    }
+});
+
+const LeaseSignatureRequestSchema = new mongoose.Schema({
+    lease: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lease',
+        required: [true, 'Lease is required'],
+        index: true
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: [true, 'Property is required'],
+        index: true
+    },
+    unit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Unit',
+        required: [true, 'Unit is required']
+    },
+    status: {
+        type: String,
+        enum: SIGNATURE_REQUEST_STATUS_ENUM,
+        default: 'pending',
+        index: true
+    },
+    signers: {
+        type: [signerSchema],
+        validate: {
+            validator: (signers) => signers.length > 0,
+            message: 'At least one signer is required'
+        }
+    },
+    // SHA-256 of the lease terms when the request was made; signing stops if the lease changes
+    termsHash: {
+        type: String,
+        required: true
+    },
+    // Links stop working after this date
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    // The final PDF with the signatures and certificate page, and its SHA-256
+    signedDocument: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media',
+        default: null
+    },
+    documentHash: {
+        type: String,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    voidedAt: {
+        type: Date,
+        default: null
+    },
+    voidReason: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+LeaseSignatureRequestSchema.index({ lease: 1, status: 1 });
+LeaseSignatureRequestSchema.index({ 'signers.tokenHash': 1 });
+
+module.exports = mongoose.models.LeaseSignatureRequest || mongoose.model('LeaseSignatureRequest', LeaseSignatureRequestSchema);
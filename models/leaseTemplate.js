@@ -0,0 +1,102 @@
+// src/models/leaseTemplate.js
+
+const mongoose = require('mongoose');
+const clauseConditionSchema = require('./schemas/ClauseConditionSchema');
+
+// A clause as it was when this template version was saved
+const templateSectionSchema = new mongoose.Schema({
+    // The library clause the text came from, if any
+    clause: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LeaseClause',
+        default: null
+    },
+    title: {
+        type: String,
+        required: [true, 'Section title is required'],
+        trim: true,
+        maxlength: [150, 'Section title cannot exceed 150 characters']
+    },
+    body: {
+        type: String,
+        required: [true, 'Section text is required'],
+        trim: true,
+        maxlength: [10000, 'Section text cannot exceed 10000 characters']
+    },
+    // The section is left out of a lease when its condition does not hold
+    condition: {
+        type: clauseConditionSchema,
+        default: null
+    }
+}, { _id: false });
+
+// One version of a lease template. Editing a template saves a new version; leases keep the
+// version they were generated from.
+const LeaseTemplateSchema = new mongoose.Schema({
+    // null for a template available to every property (admin managed)
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        default: null,
+        index: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Template name is required'],
+        trim: true,
+        maxlength: [100, 'Template name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters'],
+        default: null
+    },
+    // Heading printed at the top of the agreement
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [150, 'Title cannot exceed 150 characters'],
+        default: 'Residential Lease Agreement'
+    },
+    // Text before the clauses, with merge fields
+    preamble: {
+        type: String,
+        trim: true,
+        maxlength: [5000, 'Preamble cannot exceed 5000 characters'],
+        default: null
+    },
+    sections: [templateSectionSchema],
+    // Versions count up per property and template name
+    version: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    // The latest version of the template; only current versions can be chosen for new documents
+    isCurrent: {
+        type: Boolean,
+        default: true,
+        index: true
+    },
+    previousVersion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LeaseTemplate',
+        default: null
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+LeaseTemplateSchema.index({ property: 1, name: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.models.LeaseTemplate || mongoose.model('LeaseTemplate', LeaseTemplateSchema);
@@ -67,7 +67,9 @@ const mediaSchema = new mongoose.Schema({
         type: [String],
         default: []
     },
-    isPublic: { type: Boolean, default: false }
+    isPublic: { type: Boolean, default: false },
+    // SHA-256 of the file as generated, for detecting later changes to the stored copy
+    checksum: { type: String, default: null }
 }, { timestamps: true });
 
 mediaSchema.index({ relatedTo: 1, relatedId: 1 });
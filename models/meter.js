@@ -0,0 +1,87 @@
+// src/models/meter.js
+
+const mongoose = require('mongoose');
+const { UTILITY_TYPE_ENUM } = require('../utils/constants/enums');
+
+// Sub-meter measuring a unit's water, power or gas use
+const MeterSchema = new mongoose.Schema({
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: [true, 'Property is required']
+    },
+    unit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Unit',
+        required: [true, 'Unit is required']
+    },
+    utilityType: {
+        type: String,
+        enum: UTILITY_TYPE_ENUM,
+        required: [true, 'Utility type is required']
+    },
+    serialNumber: {
+        type: String,
+        trim: true,
+        required: [true, 'Meter serial number is required'],
+        maxlength: [100, 'Serial number cannot exceed 100 characters']
+    },
+    // Unit the meter counts in, e.g. m³ or kWh
+    unitOfMeasure: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    // Reading on the dial when the meter was registered
+    initialReading: {
+        type: Number,
+        default: 0,
+        min: [0, 'Initial reading cannot be negative']
+    },
+    installedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Latest reading that has not been voided; the next reading is measured from it
+    lastReading: {
+        value: {
+            type: Number,
+            default: null
+        },
+        readAt: {
+            type: Date,
+            default: null
+        },
+        reading: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'MeterReading',
+            default: null
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+MeterSchema.index({ property: 1, serialNumber: 1 }, { unique: true });
+MeterSchema.index({ unit: 1, utilityType: 1, isActive: 1 });
+
+module.exports = mongoose.models.Meter || mongoose.model('Meter', MeterSchema);
@@ -0,0 +1,141 @@
+// src/models/meterReading.js
+
+const mongoose = require('mongoose');
+const { UTILITY_TYPE_ENUM, METER_READING_STATUS_ENUM, METER_ANOMALY_TYPE_ENUM } = require('../utils/constants/enums');
+
+// Dial reading taken from a meter, with the consumption since the previous reading and what it costs
+const MeterReadingSchema = new mongoose.Schema({
+    meter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Meter',
+        required: [true, 'Meter is required']
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    unit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Unit',
+        required: true
+    },
+    utilityType: {
+        type: String,
+        enum: UTILITY_TYPE_ENUM,
+        required: true
+    },
+    value: {
+        type: Number,
+        required: [true, 'Reading value is required'],
+        min: [0, 'Reading value cannot be negative']
+    },
+    readAt: {
+        type: Date,
+        required: [true, 'Reading date is required'],
+        default: Date.now
+    },
+    previousValue: {
+        type: Number,
+        default: null
+    },
+    previousReadAt: {
+        type: Date,
+        default: null
+    },
+    // The meter was replaced or rolled over, so consumption is counted from zero
+    isMeterReset: {
+        type: Boolean,
+        default: false
+    },
+    consumption: {
+        type: Number,
+        default: 0
+    },
+    photos: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media'
+    }],
+    anomalies: [{
+        _id: false,
+        type: {
+            type: String,
+            enum: METER_ANOMALY_TYPE_ENUM
+        },
+        message: String
+    }],
+    status: {
+        type: String,
+        enum: METER_READING_STATUS_ENUM,
+        default: 'recorded'
+    },
+    // Whether the consumption is billed to the tenant (units with partially included utilities)
+    billable: {
+        type: Boolean,
+        default: false
+    },
+    charge: {
+        tariff: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'UtilityTariff',
+            default: null
+        },
+        currency: String,
+        amount: {
+            type: Number,
+            default: 0
+        },
+        calculation: {
+            type: String,
+            default: null
+        }
+    },
+    // Rent record the charge was billed on
+    rent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rent',
+        default: null
+    },
+    billedAt: {
+        type: Date,
+        default: null
+    },
+    review: {
+        decision: {
+            type: String,
+            enum: ['accepted', 'voided', null],
+            default: null
+        },
+        notes: {
+            type: String,
+            trim: true
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        reviewedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+MeterReadingSchema.index({ meter: 1, readAt: -1 });
+MeterReadingSchema.index({ unit: 1, status: 1, billable: 1 });
+MeterReadingSchema.index({ property: 1, status: 1 });
+
+module.exports = mongoose.models.MeterReading || mongoose.model('MeterReading', MeterReadingSchema);
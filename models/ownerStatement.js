@@ -0,0 +1,180 @@
+// src/models/ownerStatement.js
+
+const mongoose = require('mongoose');
+const { MANAGEMENT_FEE_TYPE_ENUM, DISBURSEMENT_STATUS_ENUM } = require('../utils/constants/enums');
+
+// A rent payment received in the statement month
+const collectionSchema = new mongoose.Schema({
+    rent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rent'
+    },
+    unitName: String,
+    tenantName: String,
+    billingPeriod: String,
+    date: Date,
+    amount: Number
+}, { _id: false });
+
+// An expense paid in the statement month
+const expenseItemSchema = new mongoose.Schema({
+    expense: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Expense'
+    },
+    category: String,
+    description: String,
+    date: Date,
+    amount: Number
+}, { _id: false });
+
+// One of the owner's properties on the statement
+const statementPropertySchema = new mongoose.Schema({
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    propertyName: String,
+    unitCount: {
+        type: Number,
+        default: 0
+    },
+    feeType: {
+        type: String,
+        enum: [...MANAGEMENT_FEE_TYPE_ENUM, null],
+        default: null
+    },
+    feeBasis: String,
+    rentCollected: {
+        type: Number,
+        default: 0
+    },
+    expenses: {
+        type: Number,
+        default: 0
+    },
+    managementFee: {
+        type: Number,
+        default: 0
+    },
+    netDue: {
+        type: Number,
+        default: 0
+    },
+    collections: [collectionSchema],
+    expenseItems: [expenseItemSchema]
+}, { _id: false });
+
+// Monthly statement of what a property manager collected and spent on an owner's behalf and what is owed to them
+const OwnerStatementSchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Owner is required']
+    },
+    // Calendar month, e.g. '2025-03'
+    period: {
+        type: String,
+        required: [true, 'Statement period is required'],
+        match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Statement period must be a month (YYYY-MM)']
+    },
+    periodStart: {
+        type: Date,
+        required: true
+    },
+    periodEnd: {
+        type: Date,
+        required: true
+    },
+    currency: {
+        type: String,
+        default: 'UGX',
+        trim: true
+    },
+    properties: [statementPropertySchema],
+    totals: {
+        rentCollected: {
+            type: Number,
+            default: 0
+        },
+        expenses: {
+            type: Number,
+            default: 0
+        },
+        managementFee: {
+            type: Number,
+            default: 0
+        },
+        netDue: {
+            type: Number,
+            default: 0
+        }
+    },
+    // Payments and expenses in other currencies, left off the statement
+    excluded: [{
+        _id: false,
+        source: {
+            type: String,
+            enum: ['rent', 'expense']
+        },
+        currency: String,
+        amount: Number,
+        count: Number
+    }],
+    document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media',
+        default: null
+    },
+    // Payout of the net amount to the owner
+    disbursement: {
+        status: {
+            type: String,
+            enum: DISBURSEMENT_STATUS_ENUM,
+            default: 'pending'
+        },
+        amount: {
+            type: Number,
+            default: 0
+        },
+        paidAt: {
+            type: Date,
+            default: null
+        },
+        method: {
+            type: String,
+            trim: true
+        },
+        reference: {
+            type: String,
+            trim: true
+        },
+        notes: {
+            type: String,
+            trim: true
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        }
+    },
+    generatedAt: {
+        type: Date,
+        default: Date.now
+    },
+    generatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+OwnerStatementSchema.index({ owner: 1, period: 1, currency: 1 }, { unique: true });
+OwnerStatementSchema.index({ 'properties.property': 1, period: -1 });
+OwnerStatementSchema.index({ 'disbursement.status': 1 });
+
+module.exports = mongoose.models.OwnerStatement || mongoose.model('OwnerStatement', OwnerStatementSchema);
@@ -0,0 +1,103 @@
+// src/models/paymentTransaction.js
+
+const mongoose = require('mongoose');
+const { MOBILE_MONEY_PROVIDER_ENUM, PAYMENT_TRANSACTION_STATUS_ENUM } = require('../utils/constants/enums');
+
+// A mobile-money collection request and what the provider reported back
+const PaymentTransactionSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        enum: MOBILE_MONEY_PROVIDER_ENUM,
+        required: [true, 'Payment provider is required']
+    },
+    rent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rent',
+        required: true
+    },
+    lease: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lease'
+    },
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property'
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [0.01, 'Amount must be greater than zero']
+    },
+    currency: {
+        type: String,
+        default: 'UGX',
+        trim: true
+    },
+    phoneNumber: {
+        type: String,
+        required: [true, 'Phone number is required'],
+        trim: true
+    },
+    // Our reference, sent to the provider and echoed back in callbacks
+    externalId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Provider's reference for the collection request
+    providerReference: {
+        type: String,
+        default: null
+    },
+    // Provider's financial transaction ID once the money has moved
+    providerTransactionId: {
+        type: String,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: PAYMENT_TRANSACTION_STATUS_ENUM,
+        default: 'pending'
+    },
+    failureReason: {
+        type: String,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    // Set once recordRentPayment has run for this transaction
+    paymentRecordedAt: {
+        type: Date,
+        default: null
+    },
+    paymentRecordError: {
+        type: String,
+        default: null
+    },
+    callbackPayload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    initiatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Each provider transaction can only ever be credited once
+PaymentTransactionSchema.index(
+    { provider: 1, providerTransactionId: 1 },
+    { unique: true, partialFilterExpression: { providerTransactionId: { $type: 'string' } } }
+);
+PaymentTransactionSchema.index({ rent: 1, createdAt: -1 });
+PaymentTransactionSchema.index({ status: 1 });
+
+module.exports = mongoose.models.PaymentTransaction || mongoose.model('PaymentTransaction', PaymentTransactionSchema);
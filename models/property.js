@@ -2,6 +2,11 @@
 
 const mongoose = require('mongoose');
 const addressSchema = require('./schemas/AddressSchema');
+const lateFeePolicySchema = require('./schemas/LateFeePolicySchema');
+const dunningPolicySchema = require('./schemas/DunningPolicySchema');
+const budgetAlertPolicySchema = require('./schemas/BudgetAlertPolicySchema');
+const managementFeeSchema = require('./schemas/ManagementFeeSchema');
+const taxRuleSchema = require('./schemas/TaxRuleSchema');
 const { PROPERTY_TYPE_ENUM } = require('../utils/constants/enums');
 
 const propertySchema = new mongoose.Schema({
@@ -62,6 +67,28 @@ const propertySchema = new mongoose.Schema({
         min: 0,
         default: 0
     },
+    // Spending alerts against annualOperatingBudget
+    budgetAlertPolicy: {
+        type: budgetAlertPolicySchema,
+        default: () => ({})
+    },
+    // Fee deducted from rent collected on monthly owner statements
+    managementFee: {
+        type: managementFeeSchema,
+        default: null
+    },
+    // VAT and withholding tax applied when rent and invoices are generated
+    taxRules: [taxRuleSchema],
+    // Default late fee policy for leases in this property
+    lateFeePolicy: {
+        type: lateFeePolicySchema,
+        default: null
+    },
+    // Reminder and notice sequence for overdue rent
+    dunningPolicy: {
+        type: dunningPolicySchema,
+        default: null
+    },
     notes: {
         type: String,
         maxlength: [2000, 'Notes cannot exceed 2000 characters.'],
@@ -1,5 +1,132 @@
 const mongoose = require('mongoose');
-const { PAYMENT_STATUS_ENUM } = require('../utils/constants/enums');
+const { PAYMENT_STATUS_ENUM, LATE_FEE_STATUS_ENUM, DUNNING_CHANNEL_ENUM, DUNNING_STATUS_ENUM, LEASE_CHARGE_CATEGORY_ENUM, TAX_TYPE_ENUM } = require('../utils/constants/enums');
+
+// Late fee line item charged against an overdue rent record
+const lateFeeSchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: [true, 'Late fee amount is required'],
+        min: [0, 'Late fee amount cannot be negative']
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // 'initial' is the one-off fee after the grace period, 'accrual' is the daily top-up
+    feeType: {
+        type: String,
+        enum: ['initial', 'accrual'],
+        default: 'initial'
+    },
+    daysLate: {
+        type: Number,
+        default: 0
+    },
+    assessedAt: {
+        type: Date,
+        default: Date.now
+    },
+    status: {
+        type: String,
+        enum: LATE_FEE_STATUS_ENUM,
+        default: 'active'
+    },
+    waivedAt: {
+        type: Date,
+        default: null
+    },
+    waivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    waiverReason: {
+        type: String,
+        trim: true,
+        default: null
+    }
+});
+
+// Recurring lease charge or metered utility consumption billed on this record, one line each
+const rentChargeSchema = new mongoose.Schema({
+    // The lease charge (Lease.charges) this line was generated from
+    charge: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    // The meter reading this line bills the consumption of
+    meterReading: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MeterReading',
+        default: null
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    category: {
+        type: String,
+        enum: LEASE_CHARGE_CATEGORY_ENUM,
+        default: 'other'
+    },
+    frequency: String,
+    // Charge periods billed on this record, e.g. 4 for a weekly charge on monthly rent
+    quantity: {
+        type: Number,
+        default: 1
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Set when a charge period was prorated
+    calculation: {
+        type: String,
+        default: null
+    }
+}, { _id: false });
+
+// Tax on this record from the property's tax rules, one entry per rule and line category
+const rentTaxSchema = new mongoose.Schema({
+    // The property tax rule (Property.taxRules) applied
+    rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: TAX_TYPE_ENUM,
+        required: true
+    },
+    rate: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    },
+    // Line category taxed: 'rent' or the category of the charges billed with it
+    category: {
+        type: String,
+        default: 'rent'
+    },
+    // Amount the tax was charged on
+    base: {
+        type: Number,
+        default: 0
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
 
 const RentSchema = new mongoose.Schema({
     lease: {
@@ -7,11 +134,17 @@ const RentSchema = new mongoose.Schema({
         ref: 'Lease',
         required: true
     },
-    // Changed from direct User reference to PropertyUser reference
+    // Tenant user - this is what rentService reads and writes
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    // Optional PropertyUser association for the tenant
     tenantPropertyUser: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'PropertyUser',
-        required: true
+        default: null
     },
     property: {
         type: mongoose.Schema.Types.ObjectId,
@@ -23,10 +156,33 @@ const RentSchema = new mongoose.Schema({
         ref: 'Unit',
         required: true
     },
+    // Period label in the schedule's billing period format (see utils/billingPeriodUtils)
     billingPeriod: {
         type: String,
         required: true
     },
+    periodStart: {
+        type: Date,
+        default: null
+    },
+    periodEnd: {
+        type: Date,
+        default: null
+    },
+    // Set when the lease starts or ends part-way through the period
+    proration: {
+        applied: {
+            type: Boolean,
+            default: false
+        },
+        daysInPeriod: Number,
+        daysCharged: Number,
+        fullAmount: Number,
+        calculation: {
+            type: String,
+            default: null
+        }
+    },
     amountDue: {
         type: Number,
         required: true,
@@ -36,6 +192,11 @@ const RentSchema = new mongoose.Schema({
         type: Date,
         required: true
     },
+    currency: {
+        type: String,
+        default: 'UGX',
+        trim: true
+    },
     amountPaid: {
         type: Number,
         default: 0,
@@ -69,16 +230,128 @@ const RentSchema = new mongoose.Schema({
         default: false
     },
     lastReminderDate: Date,
+    // Progress through the property's dunning sequence; stops once the balance is cleared
+    dunning: {
+        status: {
+            type: String,
+            enum: DUNNING_STATUS_ENUM,
+            default: null
+        },
+        history: [{
+            stepIndex: Number,
+            name: String,
+            channel: {
+                type: String,
+                enum: DUNNING_CHANNEL_ENUM
+            },
+            daysOverdue: Number,
+            balance: Number,
+            sentAt: {
+                type: Date,
+                default: Date.now
+            },
+            document: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Media',
+                default: null
+            },
+            escalated: {
+                type: Boolean,
+                default: false
+            }
+        }],
+        resolvedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    charges: [rentChargeSchema],
+    taxes: [rentTaxSchema],
+    lateFees: [lateFeeSchema],
+    paymentHistory: [{
+        date: Date,
+        amount: Number,
+        method: String,
+        transactionId: String,
+        notes: String,
+        // 'credit' entries draw down the lease credit balance rather than bringing in new money
+        source: {
+            type: String,
+            enum: ['payment', 'credit'],
+            default: 'payment'
+        },
+        leasePayment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'LeasePayment',
+            default: null
+        },
+        // Numbered receipt sent to the tenant for this payment
+        receiptNumber: {
+            type: String,
+            default: null
+        },
+        receipt: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Media',
+            default: null
+        },
+        recordedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
 }, {
-    timestamps: true
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
 });
 
-// Virtual to get tenant User directly
-RentSchema.virtual('tenant').get(async function() {
-    if (!this.populated('tenantPropertyUser')) {
-        await this.populate('tenantPropertyUser');
-    }
-    return this.tenantPropertyUser ? this.tenantPropertyUser.user : null;
+// Virtual for the sum of late fees that have not been waived
+RentSchema.virtual('lateFeeTotal').get(function() {
+    return (this.lateFees || [])
+        .filter(fee => fee.status === 'active')
+        .reduce((sum, fee) => sum + fee.amount, 0);
+});
+
+// Virtual for the sum of recurring lease charges billed with the rent
+RentSchema.virtual('chargeTotal').get(function() {
+    return (this.charges || []).reduce((sum, charge) => sum + charge.amount, 0);
+});
+
+// Virtual for VAT and other taxes added to the rent and charges
+RentSchema.virtual('taxTotal').get(function() {
+    return (this.taxes || [])
+        .filter(tax => tax.type !== 'withholding')
+        .reduce((sum, tax) => sum + tax.amount, 0);
+});
+
+// Virtual for tax the tenant withholds from the rent and pays to the tax authority
+RentSchema.virtual('withholdingTotal').get(function() {
+    return (this.taxes || [])
+        .filter(tax => tax.type === 'withholding')
+        .reduce((sum, tax) => sum + tax.amount, 0);
+});
+
+// Virtual for rent plus recurring charges, tax (less tax withheld) and outstanding late fees
+RentSchema.virtual('totalDue').get(function() {
+    return (this.amountDue || 0) + this.chargeTotal + this.taxTotal - this.withholdingTotal + this.lateFeeTotal;
+});
+
+// Virtual for what the tenant still owes on this record
+RentSchema.virtual('balanceDue').get(function() {
+    return Math.max(this.totalDue - (this.amountPaid || 0), 0);
 });
 
 // Utility method to calculate if rent is overdue
@@ -98,11 +371,21 @@ RentSchema.methods.daysOverdue = function() {
     return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 };
 
+// Stop the dunning sequence as soon as the record is settled, whichever path settled it
+RentSchema.pre('save', function(next) {
+    if (this.dunning?.status === 'active' && ['paid', 'waived'].includes(this.status)) {
+        this.dunning.status = 'resolved';
+        this.dunning.resolvedAt = new Date();
+    }
+    next();
+});
+
 // Indexes for efficient querying
 RentSchema.index({ lease: 1 });
 RentSchema.index({ tenantPropertyUser: 1 });
 RentSchema.index({ property: 1 });
 RentSchema.index({ unit: 1 });
 RentSchema.index({ dueDate: 1, status: 1 });
+RentSchema.index({ 'dunning.status': 1 });
 
 module.exports = mongoose.models.Rent || mongoose.model('Rent', RentSchema);
\ No newline at end of file
@@ -2,6 +2,7 @@
 
 const mongoose = require('mongoose');
 const { RENT_BILLING_PERIOD_ENUM } = require('../utils/constants/enums');
+const rentEscalationSchema = require('./schemas/RentEscalationSchema');
 
 const RentScheduleSchema = new mongoose.Schema({
     lease: {
@@ -85,6 +86,23 @@ const RentScheduleSchema = new mongoose.Schema({
         maxlength: [1000, 'Notes cannot exceed 1000 characters'],
         default: null
     },
+    // Overrides the lease's escalation rule when enabled
+    escalation: {
+        type: rentEscalationSchema,
+        default: null
+    },
+    // Advance notice given for this schedule's upcoming increase; the increase takes effect on effectiveDate
+    escalationNotice: {
+        sentAt: { type: Date, default: null },
+        effectiveDate: { type: Date, default: null },
+        newAmount: { type: Number, default: null }
+    },
+    // The schedule this one replaced when the rent was escalated
+    previousSchedule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RentSchedule',
+        default: null
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
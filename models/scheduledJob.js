@@ -0,0 +1,79 @@
+// src/models/scheduledJob.js
+
+const mongoose = require('mongoose');
+const { JOB_RUN_STATUS_ENUM } = require('../utils/constants/enums');
+
+/**
+ * One document per registered background job. Holds the pause flag and the
+ * distributed lock that keeps several API instances from running the same job
+ * at the same time.
+ */
+const ScheduledJobSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Job name is required'],
+        unique: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    schedule: {
+        type: String,
+        required: [true, 'Cron schedule is required'],
+        trim: true
+    },
+    isPaused: {
+        type: Boolean,
+        default: false
+    },
+    pausedAt: {
+        type: Date,
+        default: null
+    },
+    pausedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Lock fields - set atomically by the instance that is running the job
+    lockedBy: {
+        type: String,
+        default: null
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    lastRunAt: {
+        type: Date,
+        default: null
+    },
+    lastRunStatus: {
+        type: String,
+        enum: JOB_RUN_STATUS_ENUM,
+        default: null
+    },
+    lastRun: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'JobRun',
+        default: null
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual: whether the job currently holds a valid lock
+ScheduledJobSchema.virtual('isRunning').get(function() {
+    return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+module.exports = mongoose.models.ScheduledJob || mongoose.model('ScheduledJob', ScheduledJobSchema);
@@ -0,0 +1,23 @@
+// server/models/schemas/BudgetAlertPolicySchema.js
+const mongoose = require('mongoose');
+
+// A threshold alert already sent for a budget year, so each one goes out only once
+const budgetAlertSentSchema = new mongoose.Schema({
+  year: { type: Number, required: true },
+  threshold: { type: Number, required: true },
+  spent: { type: Number, default: 0 },
+  budget: { type: Number, default: 0 },
+  sentAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// Alerts when a property's spending for a calendar year passes percentages of its annual operating budget
+const budgetAlertPolicySchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: true },
+  // Currency the budget is set in; expenses in other currencies are not counted against it
+  currency: { type: String, trim: true, default: 'UGX' },
+  // Percentages of the annual budget, e.g. 90 alerts once 90% has been spent
+  thresholds: { type: [{ type: Number, min: [1, 'A budget alert threshold must be at least 1%.'] }], default: [75, 90, 100] },
+  sent: { type: [budgetAlertSentSchema], default: [] },
+}, { _id: false });
+
+module.exports = budgetAlertPolicySchema;
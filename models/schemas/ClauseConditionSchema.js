@@ -0,0 +1,13 @@
+// server/models/schemas/ClauseConditionSchema.js
+const mongoose = require('mongoose');
+const { CLAUSE_CONDITION_OPERATOR_ENUM } = require('../../utils/constants/enums');
+
+// Includes a clause only when a merge field matches, e.g. unit.utilityResponsibility equals 'all_included'
+const clauseConditionSchema = new mongoose.Schema({
+  field: { type: String, trim: true, required: [true, 'Condition field is required.'] },
+  operator: { type: String, enum: CLAUSE_CONDITION_OPERATOR_ENUM, default: 'equals' },
+  // Compared with the field's raw value; a list for 'in', unused for 'exists' and 'not_exists'
+  value: { type: mongoose.Schema.Types.Mixed, default: null },
+}, { _id: false });
+
+module.exports = clauseConditionSchema;
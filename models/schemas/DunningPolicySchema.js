@@ -0,0 +1,22 @@
+// server/models/schemas/DunningPolicySchema.js
+const mongoose = require('mongoose');
+const { DUNNING_CHANNEL_ENUM } = require('../../utils/constants/enums');
+
+// One step in a dunning sequence, sent once the rent is this many days overdue
+const dunningStepSchema = new mongoose.Schema({
+  name: { type: String, trim: true, required: [true, 'Dunning step name is required.'], maxlength: 100 },
+  daysOverdue: { type: Number, min: [1, 'A dunning step must be at least one day after the due date.'], required: true },
+  channel: { type: String, enum: DUNNING_CHANNEL_ENUM, required: true },
+  // Optional text added to the tenant's message or notice
+  message: { type: String, trim: true, maxlength: 1000, default: null },
+  // Also alert the property's landlords and managers when this step is sent
+  escalateToLandlord: { type: Boolean, default: false },
+}, { _id: false });
+
+// Dunning sequence for overdue rent, set per property
+const dunningPolicySchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  steps: { type: [dunningStepSchema], default: [] },
+}, { _id: false });
+
+module.exports = dunningPolicySchema;
@@ -0,0 +1,21 @@
+// server/models/schemas/LateFeePolicySchema.js
+const mongoose = require('mongoose');
+const { LATE_FEE_TYPE_ENUM } = require('../../utils/constants/enums');
+
+// Late fee policy embedded on Lease (overrides) and Property (default for all leases)
+const lateFeePolicySchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  gracePeriodDays: { type: Number, min: [0, 'Grace period cannot be negative.'], default: 0 },
+  feeType: { type: String, enum: LATE_FEE_TYPE_ENUM, default: 'flat' },
+  // Flat amount, or percentage of the rent amount due when feeType is 'percentage'
+  feeAmount: { type: Number, min: [0, 'Late fee amount cannot be negative.'], default: 0 },
+  dailyAccrual: {
+    enabled: { type: Boolean, default: false },
+    // Charged for every day late after the first, using the same feeType
+    amount: { type: Number, min: [0, 'Daily accrual amount cannot be negative.'], default: 0 },
+  },
+  // Maximum total late fee per rent record; null means uncapped
+  maxFee: { type: Number, min: [0, 'Late fee cap cannot be negative.'], default: null },
+}, { _id: false });
+
+module.exports = lateFeePolicySchema;
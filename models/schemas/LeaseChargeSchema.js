@@ -0,0 +1,20 @@
+// server/models/schemas/LeaseChargeSchema.js
+const mongoose = require('mongoose');
+const { LEASE_CHARGE_CATEGORY_ENUM, RENT_BILLING_PERIOD_ENUM } = require('../../utils/constants/enums');
+
+// Recurring charge on a lease (service charge, parking, garbage collection...) billed on the rent records
+const leaseChargeSchema = new mongoose.Schema({
+  name: { type: String, trim: true, required: [true, 'Charge name is required.'], maxlength: [100, 'Charge name cannot exceed 100 characters.'] },
+  category: { type: String, enum: LEASE_CHARGE_CATEGORY_ENUM, default: 'other' },
+  // Amount for each charge period
+  amount: { type: Number, required: [true, 'Charge amount is required.'], min: [0, 'Charge amount cannot be negative.'] },
+  // How often the charge falls due; may differ from the rent's billing period
+  frequency: { type: String, enum: RENT_BILLING_PERIOD_ENUM, default: 'monthly' },
+  startDate: { type: Date, required: [true, 'Charge start date is required.'] },
+  // Last day charged; null runs to the end of the lease
+  endDate: { type: Date, default: null },
+  isActive: { type: Boolean, default: true },
+  notes: { type: String, trim: true, maxlength: [500, 'Notes cannot exceed 500 characters.'], default: null },
+});
+
+module.exports = leaseChargeSchema;
@@ -0,0 +1,38 @@
+// server/models/schemas/LineItemSchema.js
+const mongoose = require('mongoose');
+const { INVOICE_LINE_CATEGORY_ENUM, TAX_TYPE_ENUM } = require('../../utils/constants/enums');
+
+// A tax applied to the line, from a property tax rule or the line's own rate
+const lineTaxSchema = new mongoose.Schema({
+  rule: { type: mongoose.Schema.Types.ObjectId, default: null },
+  name: { type: String, trim: true, required: true },
+  type: { type: String, enum: TAX_TYPE_ENUM, default: 'vat' },
+  rate: { type: Number, min: 0, max: 100, required: true },
+  amount: { type: Number, min: 0, default: 0 },
+}, { _id: false });
+
+// Invoice and bill line item; amount and taxAmount are worked out by utils/invoiceUtils
+const lineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, 'Line item description is required.'],
+    trim: true,
+    maxlength: [500, 'Line item description cannot exceed 500 characters.']
+  },
+  category: { type: String, enum: INVOICE_LINE_CATEGORY_ENUM, default: 'other' },
+  quantity: { type: Number, min: [0, 'Quantity cannot be negative.'], default: 1 },
+  unitPrice: { type: Number, min: [0, 'Unit price cannot be negative.'], default: 0 },
+  amount: { type: Number, min: [0, 'Line amount cannot be negative.'], default: 0 },
+  taxes: [lineTaxSchema],
+  // Tax percentage added to this line, e.g. 18 for VAT at 18%
+  taxRate: { type: Number, min: [0, 'Tax rate cannot be negative.'], max: [100, 'Tax rate cannot exceed 100%.'], default: 0 },
+  taxAmount: { type: Number, min: 0, default: 0 },
+  // Tax the tenant deducts from this line and pays to the tax authority
+  withholdingRate: { type: Number, min: 0, max: 100, default: 0 },
+  withholdingAmount: { type: Number, min: 0, default: 0 },
+  // Source records the line was billed from
+  rent: { type: mongoose.Schema.Types.ObjectId, ref: 'Rent', default: null },
+  bill: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill', default: null },
+}, { _id: false });
+
+module.exports = lineItemSchema;
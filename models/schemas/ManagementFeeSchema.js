@@ -0,0 +1,14 @@
+// server/models/schemas/ManagementFeeSchema.js
+const mongoose = require('mongoose');
+const { MANAGEMENT_FEE_TYPE_ENUM } = require('../../utils/constants/enums');
+
+// Fee the property manager keeps from the rent collected before paying the owner
+const managementFeeSchema = new mongoose.Schema({
+  type: { type: String, enum: MANAGEMENT_FEE_TYPE_ENUM, default: 'percentage' },
+  // Percentage of rent collected in the month (percentage fees)
+  rate: { type: Number, min: 0, max: [100, 'A management fee cannot exceed 100% of rent collected.'], default: 0 },
+  // Monthly amount charged for each active unit (flat per unit fees)
+  amountPerUnit: { type: Number, min: 0, default: 0 },
+}, { _id: false });
+
+module.exports = managementFeeSchema;
@@ -0,0 +1,21 @@
+// server/models/schemas/RentEscalationSchema.js
+const mongoose = require('mongoose');
+const { RENT_ESCALATION_TYPE_ENUM } = require('../../utils/constants/enums');
+
+// Rent escalation rule embedded on RentSchedule (overrides) and Lease (applies to all of its schedules)
+const rentEscalationSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  escalationType: { type: String, enum: RENT_ESCALATION_TYPE_ENUM, default: 'percentage' },
+  // Percentage increase, or fixed step-up added to the rent amount when escalationType is 'fixed'
+  value: { type: Number, min: [0, 'Escalation value cannot be negative.'], default: 0 },
+  // Months between increases, counted from the lease start (12 = on each anniversary)
+  intervalMonths: { type: Number, min: [1, 'Escalation interval must be at least one month.'], default: 12 },
+  // Days of written notice the tenant must get before an increase takes effect
+  noticeDays: { type: Number, min: [0, 'Notice period cannot be negative.'], default: 60 },
+  // Rent will never be escalated above this amount; null means uncapped
+  maxAmount: { type: Number, min: [0, 'Maximum rent cannot be negative.'], default: null },
+  // Overrides the anniversary for the next increase only
+  nextEscalationDate: { type: Date, default: null },
+}, { _id: false });
+
+module.exports = rentEscalationSchema;
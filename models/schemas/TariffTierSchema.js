@@ -0,0 +1,11 @@
+// server/models/schemas/TariffTierSchema.js
+const mongoose = require('mongoose');
+
+// Block of a tiered utility tariff: units consumed up to `upTo` are charged at `rate`
+const tariffTierSchema = new mongoose.Schema({
+  // Upper bound of the block in units consumed; null for the last, open-ended block
+  upTo: { type: Number, min: [0, 'Tier upper bound cannot be negative.'], default: null },
+  rate: { type: Number, required: [true, 'Tier rate is required.'], min: [0, 'Tier rate cannot be negative.'] },
+}, { _id: false });
+
+module.exports = tariffTierSchema;
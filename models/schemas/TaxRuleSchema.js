@@ -0,0 +1,28 @@
+// server/models/schemas/TaxRuleSchema.js
+const mongoose = require('mongoose');
+const { TAX_TYPE_ENUM, INVOICE_LINE_CATEGORY_ENUM } = require('../../utils/constants/enums');
+
+// Tax applied to rent and invoice lines in a property, e.g. VAT at 18% on commercial rent.
+// Withholding rules only apply to leases whose tenant withholds tax (Lease.withholdsTax).
+const taxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax rule name is required.'],
+    trim: true,
+    maxlength: [100, 'Tax rule name cannot exceed 100 characters.']
+  },
+  type: { type: String, enum: TAX_TYPE_ENUM, required: [true, 'Tax type is required.'] },
+  rate: {
+    type: Number,
+    required: [true, 'Tax rate is required.'],
+    min: [0, 'Tax rate cannot be negative.'],
+    max: [100, 'Tax rate cannot exceed 100%.']
+  },
+  // Line categories taxed; empty means every category
+  categories: [{ type: String, enum: INVOICE_LINE_CATEGORY_ENUM }],
+  effectiveFrom: { type: Date, default: null },
+  effectiveTo: { type: Date, default: null },
+  isActive: { type: Boolean, default: true },
+});
+
+module.exports = taxRuleSchema;
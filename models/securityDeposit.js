@@ -0,0 +1,211 @@
+// src/models/securityDeposit.js
+
+const mongoose = require('mongoose');
+const {
+    SECURITY_DEPOSIT_STATUS_ENUM,
+    DEPOSIT_DEDUCTION_CATEGORY_ENUM
+} = require('../utils/constants/enums');
+
+// Money received from the tenant towards the deposit
+const receiptSchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: [true, 'Receipt amount is required'],
+        min: [0.01, 'Receipt amount must be greater than zero']
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    },
+    method: {
+        type: String,
+        trim: true
+    },
+    transactionId: {
+        type: String,
+        trim: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+});
+
+// Itemized charge against the deposit, optionally backed by a maintenance request, an inspection and photos
+const deductionSchema = new mongoose.Schema({
+    category: {
+        type: String,
+        enum: DEPOSIT_DEDUCTION_CATEGORY_ENUM,
+        default: 'damage'
+    },
+    description: {
+        type: String,
+        required: [true, 'Deduction description is required'],
+        trim: true,
+        maxlength: [500, 'Deduction description cannot exceed 500 characters']
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Deduction amount is required'],
+        min: [0.01, 'Deduction amount must be greater than zero']
+    },
+    request: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Request',
+        default: null
+    },
+    // Move-out inspection the deduction was proposed from
+    inspection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inspection',
+        default: null
+    },
+    media: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media'
+    }],
+    addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Security deposit held against a lease, from receipt through deductions to refund
+const SecurityDepositSchema = new mongoose.Schema({
+    lease: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lease',
+        required: [true, 'Lease is required'],
+        unique: true
+    },
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    unit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Unit',
+        required: true
+    },
+    currency: {
+        type: String,
+        default: 'UGX',
+        trim: true
+    },
+    // Agreed deposit, taken from Lease.securityDeposit
+    amountRequired: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    amountReceived: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Where the money is held, e.g. a trust or escrow account
+    holdingAccount: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: SECURITY_DEPOSIT_STATUS_ENUM,
+        default: 'pending'
+    },
+    receipts: [receiptSchema],
+    deductions: [deductionSchema],
+    disposition: {
+        document: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Media',
+            default: null
+        },
+        issuedAt: {
+            type: Date,
+            default: null
+        },
+        issuedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        totalDeductions: {
+            type: Number,
+            default: 0
+        },
+        refundAmount: {
+            type: Number,
+            default: 0
+        },
+        // Deductions beyond the deposit, still owed by the tenant
+        amountOwed: {
+            type: Number,
+            default: 0
+        }
+    },
+    refund: {
+        amount: {
+            type: Number,
+            default: null
+        },
+        paidAt: {
+            type: Date,
+            default: null
+        },
+        method: {
+            type: String,
+            trim: true
+        },
+        transactionId: {
+            type: String,
+            trim: true
+        },
+        notes: {
+            type: String,
+            trim: true
+        },
+        recordedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        }
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for the total of itemized deductions
+SecurityDepositSchema.virtual('totalDeductions').get(function() {
+    return (this.deductions || []).reduce((sum, deduction) => sum + (deduction.amount || 0), 0);
+});
+
+SecurityDepositSchema.index({ property: 1, status: 1 });
+SecurityDepositSchema.index({ tenant: 1 });
+
+module.exports = mongoose.models.SecurityDeposit || mongoose.model('SecurityDeposit', SecurityDepositSchema);
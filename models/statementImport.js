@@ -0,0 +1,67 @@
+// src/models/statementImport.js
+
+const mongoose = require('mongoose');
+const { STATEMENT_FORMAT_ENUM } = require('../utils/constants/enums');
+
+// One uploaded bank or mobile-money statement and a summary of how its lines were matched
+const StatementImportSchema = new mongoose.Schema({
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: [true, 'Property is required']
+    },
+    fileName: {
+        type: String,
+        trim: true
+    },
+    format: {
+        type: String,
+        enum: STATEMENT_FORMAT_ENUM,
+        required: true
+    },
+    // SHA-256 of the file contents, so re-uploading the same file can be reported
+    fileHash: {
+        type: String,
+        required: true
+    },
+    currency: {
+        type: String,
+        default: 'UGX',
+        trim: true
+    },
+    periodStart: {
+        type: Date,
+        default: null
+    },
+    periodEnd: {
+        type: Date,
+        default: null
+    },
+    counts: {
+        total: { type: Number, default: 0 },
+        matched: { type: Number, default: 0 },
+        confirmed: { type: Number, default: 0 },
+        ambiguous: { type: Number, default: 0 },
+        unmatched: { type: Number, default: 0 },
+        duplicate: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 }
+    },
+    totalAmount: {
+        type: Number,
+        default: 0
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+StatementImportSchema.index({ property: 1, createdAt: -1 });
+StatementImportSchema.index({ property: 1, fileHash: 1 });
+
+module.exports = mongoose.models.StatementImport || mongoose.model('StatementImport', StatementImportSchema);
@@ -0,0 +1,119 @@
+// src/models/statementLine.js
+
+const mongoose = require('mongoose');
+const { STATEMENT_LINE_STATUS_ENUM } = require('../utils/constants/enums');
+
+// A single credit line from an imported statement and its reconciliation against rent records
+const StatementLineSchema = new mongoose.Schema({
+    statementImport: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StatementImport',
+        required: true
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    lineNumber: {
+        type: Number
+    },
+    date: {
+        type: Date,
+        default: null
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required']
+    },
+    currency: {
+        type: String,
+        default: 'UGX',
+        trim: true
+    },
+    transactionId: {
+        type: String,
+        default: null,
+        trim: true
+    },
+    reference: {
+        type: String,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    phoneNumber: {
+        type: String,
+        default: null
+    },
+    raw: {
+        type: String
+    },
+    // Identifies the same bank transaction across overlapping statement uploads
+    fingerprint: {
+        type: String,
+        required: true
+    },
+    // Already seen in an earlier import (or earlier in the same file); kept for the record only
+    isDuplicate: {
+        type: Boolean,
+        default: false
+    },
+    status: {
+        type: String,
+        enum: STATEMENT_LINE_STATUS_ENUM,
+        default: 'unmatched'
+    },
+    // Rent records that could be paid by this line, best first
+    candidates: [{
+        rent: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Rent'
+        },
+        score: Number,
+        reasons: [String]
+    }],
+    matchedRent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rent',
+        default: null
+    },
+    confirmedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    confirmedAt: {
+        type: Date,
+        default: null
+    },
+    // Set once recordRentPayment has run for this line
+    paymentRecordedAt: {
+        type: Date,
+        default: null
+    },
+    paymentRecordError: {
+        type: String,
+        default: null
+    },
+    notes: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Duplicate lines are kept for the record, but each transaction is only reconciled once per property
+StatementLineSchema.index(
+    { property: 1, fingerprint: 1 },
+    { unique: true, partialFilterExpression: { isDuplicate: false } }
+);
+StatementLineSchema.index({ statementImport: 1, lineNumber: 1 });
+StatementLineSchema.index({ property: 1, status: 1, date: -1 });
+
+module.exports = mongoose.models.StatementLine || mongoose.model('StatementLine', StatementLineSchema);
@@ -0,0 +1,73 @@
+// src/models/utilityTariff.js
+
+const mongoose = require('mongoose');
+const tariffTierSchema = require('./schemas/TariffTierSchema');
+const { UTILITY_TYPE_ENUM } = require('../utils/constants/enums');
+
+// Price list for sub-metered water, power or gas at a property. A new tariff takes over from its
+// effective date; readings are priced with the tariff in force on the day they were taken.
+const UtilityTariffSchema = new mongoose.Schema({
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: [true, 'Property is required']
+    },
+    utilityType: {
+        type: String,
+        enum: UTILITY_TYPE_ENUM,
+        required: [true, 'Utility type is required']
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Tariff name cannot exceed 100 characters']
+    },
+    currency: {
+        type: String,
+        default: 'UGX',
+        trim: true
+    },
+    // Standing charge added to every billed reading
+    fixedCharge: {
+        type: Number,
+        default: 0,
+        min: [0, 'Fixed charge cannot be negative']
+    },
+    // Consumption blocks in ascending order; a single open-ended tier is a flat rate
+    tiers: {
+        type: [tariffTierSchema],
+        validate: {
+            validator: function(tiers) {
+                if (!tiers.length || tiers[tiers.length - 1].upTo !== null) return false;
+                return tiers.slice(0, -1).every((tier, index) =>
+                    tier.upTo !== null && (index === 0 || tier.upTo > tiers[index - 1].upTo));
+            },
+            message: 'Tiers must be in ascending order and end with an open-ended tier'
+        }
+    },
+    effectiveFrom: {
+        type: Date,
+        required: [true, 'Effective date is required'],
+        default: Date.now
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+UtilityTariffSchema.index({ property: 1, utilityType: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.models.UtilityTariff || mongoose.model('UtilityTariff', UtilityTariffSchema);
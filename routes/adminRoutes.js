@@ -103,4 +103,12 @@ router.put('/property-users/:id/deactivate', adminController.deactivatePropertyU
 router.get('/comments', adminController.getAllComments);
 router.delete('/comments/:id', adminController.deleteComment);
 
+// Job Scheduler Routes
+router.get('/jobs', adminController.getAllJobs);
+router.get('/jobs/runs/:runId', adminController.getJobRunById);
+router.get('/jobs/:name/runs', adminController.getJobRuns);
+router.post('/jobs/:name/trigger', adminController.triggerJob);
+router.put('/jobs/:name/pause', adminController.pauseJob);
+router.put('/jobs/:name/resume', adminController.resumeJob);
+
 module.exports = router;
\ No newline at end of file
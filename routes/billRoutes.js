@@ -0,0 +1,139 @@
+// src/routes/billRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const billController = require('../controllers/billController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const { upload } = require('../middleware/uploadMiddleware');
+const { validateMongoId, validateResult } = require('../utils/validationUtils');
+const { ROLE_ENUM, BILL_STATUS_ENUM } = require('../utils/constants/enums');
+const { body, query } = require('express-validator');
+
+/**
+ * @route POST /api/bills
+ * @desc Record a vendor bill with optional attachments (items as a JSON string for multipart requests)
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    upload.array('attachments', 10),
+    [
+        body('billNumber').notEmpty().withMessage('Bill number is required.').isString().trim().isLength({ max: 100 }).withMessage('Bill number cannot exceed 100 characters.'),
+        body('vendorId').notEmpty().withMessage('Vendor ID is required.').isMongoId().withMessage('Vendor ID must be a valid MongoDB ID.'),
+        body('propertyId').notEmpty().withMessage('Property ID is required.').isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        body('unitId').optional().isMongoId().withMessage('Unit ID must be a valid MongoDB ID.'),
+        body('requestId').optional().isMongoId().withMessage('Request ID must be a valid MongoDB ID.'),
+        body('items').notEmpty().withMessage('At least one line item is required.'),
+        body('billDate').optional().isISO8601().toDate().withMessage('Bill date must be a valid date.'),
+        body('dueDate').notEmpty().withMessage('Due date is required.').isISO8601().toDate().withMessage('Due date must be a valid date.'),
+        body('currency').optional().isString().trim().isLength({ max: 10 }).withMessage('Currency cannot exceed 10 characters.'),
+        body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
+        validateResult
+    ],
+    billController.createBill
+);
+
+/**
+ * @route GET /api/bills
+ * @desc Get vendor bills for managed properties
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    [
+        query('propertyId').optional().isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        query('vendorId').optional().isMongoId().withMessage('Vendor ID must be a valid MongoDB ID.'),
+        query('requestId').optional().isMongoId().withMessage('Request ID must be a valid MongoDB ID.'),
+        query('status').optional().isIn(BILL_STATUS_ENUM).withMessage(`Status must be one of: ${BILL_STATUS_ENUM.join(', ')}`),
+        query('startDate').optional().isISO8601().withMessage('Start date must be a valid date.'),
+        query('endDate').optional().isISO8601().withMessage('End date must be a valid date.'),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer.'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100.'),
+        validateResult
+    ],
+    billController.getAllBills
+);
+
+/**
+ * @route GET /api/bills/:id
+ * @desc Get a vendor bill
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/:id',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    billController.getBillById
+);
+
+/**
+ * @route POST /api/bills/:id/payments
+ * @desc Record a payment to the vendor
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/:id/payments',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    [
+        body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be greater than zero.'),
+        body('paymentDate').optional().isISO8601().toDate().withMessage('Payment date must be a valid date.'),
+        body('paymentMethod').optional().isString().trim(),
+        body('transactionId').optional().isString().trim(),
+        body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
+        validateResult
+    ],
+    billController.recordBillPayment
+);
+
+/**
+ * @route POST /api/bills/:id/void
+ * @desc Void a vendor bill entered in error
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/:id/void',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    [
+        body('reason').notEmpty().withMessage('Reason is required.').isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters.'),
+        validateResult
+    ],
+    billController.voidBill
+);
+
+/**
+ * @route POST /api/bills/:id/recharge
+ * @desc Recharge a vendor bill to a tenant as a draft invoice, optionally with a markup
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/:id/recharge',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    [
+        body('leaseId').optional().isMongoId().withMessage('Lease ID must be a valid MongoDB ID.'),
+        body('tenantId').optional().isMongoId().withMessage('Tenant ID must be a valid MongoDB ID.'),
+        body().custom(value => {
+            if (!value.leaseId && !value.tenantId) {
+                throw new Error('A lease or tenant is required.');
+            }
+            return true;
+        }),
+        body('markupPercent').optional().isFloat({ min: 0 }).withMessage('Markup must be a non-negative number.'),
+        body('dueDate').notEmpty().withMessage('Due date is required.').isISO8601().toDate().withMessage('Due date must be a valid date.'),
+        body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
+        validateResult
+    ],
+    billController.rechargeBill
+);
+
+module.exports = router;
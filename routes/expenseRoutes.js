@@ -0,0 +1,124 @@
+// src/routes/expenseRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const expenseController = require('../controllers/expenseController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const { upload } = require('../middleware/uploadMiddleware');
+const { validateMongoId, validateResult } = require('../utils/validationUtils');
+const { ROLE_ENUM, EXPENSE_CATEGORY_ENUM, EXPENSE_STATUS_ENUM } = require('../utils/constants/enums');
+const { body, query } = require('express-validator');
+
+/**
+ * @route POST /api/expenses
+ * @desc Record a property expense with optional receipts
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    upload.array('receipts', 10),
+    [
+        body('propertyId').notEmpty().withMessage('Property ID is required.').isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        body('unitId').optional().isMongoId().withMessage('Unit ID must be a valid MongoDB ID.'),
+        body('category').notEmpty().withMessage('Category is required.').isIn(EXPENSE_CATEGORY_ENUM).withMessage(`Category must be one of: ${EXPENSE_CATEGORY_ENUM.join(', ')}`),
+        body('description').notEmpty().withMessage('Description is required.').isString().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters.'),
+        body('amount').notEmpty().withMessage('Amount is required.').isFloat({ min: 0.01 }).withMessage('Amount must be greater than zero.'),
+        body('currency').optional().isString().trim().isLength({ max: 10 }).withMessage('Currency cannot exceed 10 characters.'),
+        body('expenseDate').optional().isISO8601().toDate().withMessage('Expense date must be a valid date.'),
+        body('vendorId').optional().isMongoId().withMessage('Vendor ID must be a valid MongoDB ID.'),
+        body('payee').optional().isString().trim().isLength({ max: 200 }).withMessage('Payee cannot exceed 200 characters.'),
+        body('requestId').optional().isMongoId().withMessage('Request ID must be a valid MongoDB ID.'),
+        body('paymentMethod').optional().isString().trim(),
+        body('reference').optional().isString().trim(),
+        body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
+        validateResult
+    ],
+    expenseController.createExpense
+);
+
+/**
+ * @route GET /api/expenses
+ * @desc Get expenses for managed properties
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    [
+        query('propertyId').optional().isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        query('category').optional().isIn(EXPENSE_CATEGORY_ENUM).withMessage(`Category must be one of: ${EXPENSE_CATEGORY_ENUM.join(', ')}`),
+        query('vendorId').optional().isMongoId().withMessage('Vendor ID must be a valid MongoDB ID.'),
+        query('requestId').optional().isMongoId().withMessage('Request ID must be a valid MongoDB ID.'),
+        query('status').optional().isIn(EXPENSE_STATUS_ENUM).withMessage(`Status must be one of: ${EXPENSE_STATUS_ENUM.join(', ')}`),
+        query('startDate').optional().isISO8601().withMessage('Start date must be a valid date.'),
+        query('endDate').optional().isISO8601().withMessage('End date must be a valid date.'),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer.'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100.'),
+        validateResult
+    ],
+    expenseController.getAllExpenses
+);
+
+/**
+ * @route GET /api/expenses/:id
+ * @desc Get a property expense
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/:id',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    expenseController.getExpenseById
+);
+
+/**
+ * @route PUT /api/expenses/:id
+ * @desc Update a property expense; any receipts uploaded are added to it
+ * @access Private (Landlord/Admin, PM)
+ */
+router.put(
+    '/:id',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    upload.array('receipts', 10),
+    [
+        body('unitId').optional({ values: 'falsy' }).isMongoId().withMessage('Unit ID must be a valid MongoDB ID.'),
+        body('category').optional().isIn(EXPENSE_CATEGORY_ENUM).withMessage(`Category must be one of: ${EXPENSE_CATEGORY_ENUM.join(', ')}`),
+        body('description').optional().isString().trim().notEmpty().withMessage('Description cannot be empty.').isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters.'),
+        body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be greater than zero.'),
+        body('currency').optional().isString().trim().isLength({ max: 10 }).withMessage('Currency cannot exceed 10 characters.'),
+        body('expenseDate').optional().isISO8601().toDate().withMessage('Expense date must be a valid date.'),
+        body('vendorId').optional({ values: 'falsy' }).isMongoId().withMessage('Vendor ID must be a valid MongoDB ID.'),
+        body('payee').optional().isString().trim().isLength({ max: 200 }).withMessage('Payee cannot exceed 200 characters.'),
+        body('requestId').optional({ values: 'falsy' }).isMongoId().withMessage('Request ID must be a valid MongoDB ID.'),
+        body('paymentMethod').optional().isString().trim(),
+        body('reference').optional().isString().trim(),
+        body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
+        validateResult
+    ],
+    expenseController.updateExpense
+);
+
+/**
+ * @route POST /api/expenses/:id/void
+ * @desc Void a property expense entered in error
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/:id/void',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    [
+        body('reason').notEmpty().withMessage('Reason is required.').isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters.'),
+        validateResult
+    ],
+    expenseController.voidExpense
+);
+
+module.exports = router;
@@ -0,0 +1,182 @@
+// src/routes/inspectionRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const inspectionController = require('../controllers/inspectionController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const { upload } = require('../middleware/uploadMiddleware');
+const { validateMongoId, validateResult, validateInspectionSignature } = require('../utils/validationUtils');
+const {
+    ROLE_ENUM,
+    INSPECTION_TYPE_ENUM,
+    INSPECTION_STATUS_ENUM,
+    INSPECTION_CONDITION_ENUM
+} = require('../utils/constants/enums');
+const { body, query } = require('express-validator');
+
+/**
+ * Checklist validation middleware; the room list itself is optional on both create and update
+ * @param {boolean} isNew - Whether a new inspection is being started
+ */
+const validateInspection = (isNew) => [
+    ...(isNew ? [
+        body('leaseId').notEmpty().withMessage('Lease ID is required.').isMongoId().withMessage('Lease ID must be a valid MongoDB ID.'),
+        body('type').notEmpty().withMessage('Inspection type is required.').isIn(INSPECTION_TYPE_ENUM).withMessage(`Inspection type must be one of: ${INSPECTION_TYPE_ENUM.join(', ')}`)
+    ] : []),
+    body('inspectedAt').optional().isISO8601().toDate().withMessage('Inspection date must be a valid date.'),
+    body('notes').optional({ values: 'null' }).isString().trim().isLength({ max: 2000 }).withMessage('Notes cannot exceed 2000 characters.'),
+    body('rooms').optional().isArray({ min: 1, max: 50 }).withMessage('Rooms must be a list of 1 to 50 rooms.'),
+    body('rooms.*._id').optional().isMongoId().withMessage('Room ID must be a valid MongoDB ID.'),
+    body('rooms.*.name').isString().trim().notEmpty().withMessage('Every room needs a name.').isLength({ max: 100 }).withMessage('Room name cannot exceed 100 characters.'),
+    body('rooms.*.notes').optional({ values: 'null' }).isString().trim().isLength({ max: 1000 }).withMessage('Room notes cannot exceed 1000 characters.'),
+    body('rooms.*.items').isArray({ min: 1, max: 50 }).withMessage('Every room needs 1 to 50 checklist items.'),
+    body('rooms.*.items.*._id').optional().isMongoId().withMessage('Item ID must be a valid MongoDB ID.'),
+    body('rooms.*.items.*.name').isString().trim().notEmpty().withMessage('Every checklist item needs a name.').isLength({ max: 100 }).withMessage('Item name cannot exceed 100 characters.'),
+    validateResult
+];
+
+/**
+ * @route POST /api/inspections
+ * @desc Start a move-in or move-out inspection for a lease (move-out copies the move-in rooms)
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateInspection(true),
+    inspectionController.createInspection
+);
+
+/**
+ * @route GET /api/inspections
+ * @desc Get inspections for managed properties, or the tenant's own inspections
+ * @access Private (Landlord/Admin, PM, Tenant)
+ */
+router.get(
+    '/',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER, ROLE_ENUM.TENANT),
+    [
+        query('leaseId').optional().isMongoId().withMessage('Lease ID must be a valid MongoDB ID.'),
+        query('propertyId').optional().isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        query('unitId').optional().isMongoId().withMessage('Unit ID must be a valid MongoDB ID.'),
+        query('type').optional().isIn(INSPECTION_TYPE_ENUM).withMessage(`Inspection type must be one of: ${INSPECTION_TYPE_ENUM.join(', ')}`),
+        query('status').optional().isIn(INSPECTION_STATUS_ENUM).withMessage(`Status must be one of: ${INSPECTION_STATUS_ENUM.join(', ')}`),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer.'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100.'),
+        validateResult
+    ],
+    inspectionController.getInspections
+);
+
+/**
+ * @route GET /api/inspections/:id
+ * @desc Get an inspection with its rooms, ratings, photos and signatures
+ * @access Private (Landlord/Admin, PM, Tenant)
+ */
+router.get(
+    '/:id',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER, ROLE_ENUM.TENANT),
+    validateMongoId('id'),
+    inspectionController.getInspectionById
+);
+
+/**
+ * @route PUT /api/inspections/:id
+ * @desc Update an in-progress inspection's date, notes or checklist rooms and items
+ * @access Private (Landlord/Admin, PM)
+ */
+router.put(
+    '/:id',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateInspection(false),
+    inspectionController.updateInspection
+);
+
+/**
+ * @route PUT /api/inspections/:id/rooms/:roomId/items/:itemId
+ * @desc Rate a checklist item: condition, notes, photos and (move-out) estimated repair cost
+ * @access Private (Landlord/Admin, PM)
+ */
+router.put(
+    '/:id/rooms/:roomId/items/:itemId',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateMongoId('roomId'),
+    validateMongoId('itemId'),
+    upload.array('photos', 5),
+    [
+        body('condition').optional({ values: 'null' }).isIn(INSPECTION_CONDITION_ENUM).withMessage(`Condition must be one of: ${INSPECTION_CONDITION_ENUM.join(', ')}`),
+        body('notes').optional({ values: 'null' }).isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
+        body('estimatedCost').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Estimated cost must be a non-negative number.'),
+        body('removePhotoIds').optional().custom(value => {
+            const photoIds = typeof value === 'string' ? JSON.parse(value) : value;
+            if (!Array.isArray(photoIds) || !photoIds.every(photoId => /^[0-9a-fA-F]{24}$/.test(String(photoId)))) {
+                throw new Error('Photo IDs must be an array of valid IDs.');
+            }
+            return true;
+        }),
+        validateResult
+    ],
+    inspectionController.updateInspectionItem
+);
+
+/**
+ * @route POST /api/inspections/:id/complete
+ * @desc Complete an inspection once every item is rated and ask the tenant to sign it
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/:id/complete',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    inspectionController.completeInspection
+);
+
+/**
+ * @route POST /api/inspections/:id/sign
+ * @desc Sign a completed inspection, as the lease's tenant or as a manager of the property
+ * @access Private (Landlord/Admin, PM, Tenant)
+ */
+router.post(
+    '/:id/sign',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER, ROLE_ENUM.TENANT),
+    validateMongoId('id'),
+    validateInspectionSignature,
+    inspectionController.signInspection
+);
+
+/**
+ * @route GET /api/inspections/:id/comparison
+ * @desc Compare the lease's move-in and move-out inspections, with proposed deposit deductions
+ * @access Private (Landlord/Admin, PM, Tenant)
+ */
+router.get(
+    '/:id/comparison',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER, ROLE_ENUM.TENANT),
+    validateMongoId('id'),
+    inspectionController.getInspectionComparison
+);
+
+/**
+ * @route POST /api/inspections/:id/comparison/document
+ * @desc Generate the side-by-side move-in vs move-out comparison PDF
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/:id/comparison/document',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    inspectionController.generateComparisonDocument
+);
+
+module.exports = router;
@@ -0,0 +1,215 @@
+// src/routes/invoiceRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const invoiceController = require('../controllers/invoiceController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const { validateMongoId, validateResult } = require('../utils/validationUtils');
+const { ROLE_ENUM, INVOICE_STATUS_ENUM, INVOICE_TYPE_ENUM, INVOICE_LINE_CATEGORY_ENUM } = require('../utils/constants/enums');
+const { body, param, query } = require('express-validator');
+
+// Line item validation shared by create, update and credit notes
+const validateLineItems = (field, required = true) => [
+    (required ? body(field).isArray({ min: 1 }) : body(field).optional().isArray({ min: 1 }))
+        .withMessage('At least one line item is required.'),
+    body(`${field}.*.description`).notEmpty().withMessage('Line item description is required.').isLength({ max: 500 }).withMessage('Line item description cannot exceed 500 characters.'),
+    body(`${field}.*.category`).optional().isIn(INVOICE_LINE_CATEGORY_ENUM).withMessage(`Line item category must be one of: ${INVOICE_LINE_CATEGORY_ENUM.join(', ')}`),
+    body(`${field}.*.quantity`).optional().isFloat({ min: 0 }).withMessage('Quantity must be a non-negative number.'),
+    body(`${field}.*.unitPrice`).optional().isFloat({ min: 0 }).withMessage('Unit price must be a non-negative number.'),
+    body(`${field}.*.amount`).optional().isFloat({ min: 0 }).withMessage('Amount must be a non-negative number.'),
+    body(`${field}.*.taxRate`).optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100.'),
+    body(`${field}.*.rent`).optional().isMongoId().withMessage('Rent ID must be a valid MongoDB ID.'),
+    body(`${field}.*.bill`).optional().isMongoId().withMessage('Bill ID must be a valid MongoDB ID.')
+];
+
+const validatePayment = [
+    body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be greater than zero.'),
+    body('paymentDate').optional().isISO8601().toDate().withMessage('Payment date must be a valid date.'),
+    body('paymentMethod').optional().isString().trim(),
+    body('transactionId').optional().isString().trim(),
+    body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
+    validateResult
+];
+
+/**
+ * @route POST /api/invoices
+ * @desc Create an invoice (draft unless issue is true)
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    [
+        body('leaseId').optional().isMongoId().withMessage('Lease ID must be a valid MongoDB ID.'),
+        body('propertyId').optional().isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        body('unitId').optional().isMongoId().withMessage('Unit ID must be a valid MongoDB ID.'),
+        body('tenantId').optional().isMongoId().withMessage('Tenant ID must be a valid MongoDB ID.'),
+        body('dueDate').notEmpty().withMessage('Due date is required.').isISO8601().toDate().withMessage('Due date must be a valid date.'),
+        body('currency').optional().isString().trim().isLength({ max: 10 }).withMessage('Currency cannot exceed 10 characters.'),
+        body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
+        body('issue').optional().isBoolean().withMessage('issue must be true or false.'),
+        ...validateLineItems('items'),
+        validateResult
+    ],
+    invoiceController.createInvoice
+);
+
+/**
+ * @route POST /api/invoices/from-rent/:rentId
+ * @desc Generate and issue an invoice for a rent record (rent, late fees and extra charges)
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/from-rent/:rentId',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    [
+        param('rentId').isMongoId().withMessage('Rent ID must be a valid MongoDB ID.'),
+        body('dueDate').optional().isISO8601().toDate().withMessage('Due date must be a valid date.'),
+        body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
+        ...validateLineItems('additionalCharges', false),
+        validateResult
+    ],
+    invoiceController.generateInvoiceFromRent
+);
+
+/**
+ * @route GET /api/invoices
+ * @desc Get invoices and credit notes (tenants see their own issued invoices)
+ * @access Private
+ */
+router.get(
+    '/',
+    protect,
+    [
+        query('propertyId').optional().isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        query('tenantId').optional().isMongoId().withMessage('Tenant ID must be a valid MongoDB ID.'),
+        query('leaseId').optional().isMongoId().withMessage('Lease ID must be a valid MongoDB ID.'),
+        query('rentId').optional().isMongoId().withMessage('Rent ID must be a valid MongoDB ID.'),
+        query('status').optional().isIn(INVOICE_STATUS_ENUM).withMessage(`Status must be one of: ${INVOICE_STATUS_ENUM.join(', ')}`),
+        query('type').optional().isIn(INVOICE_TYPE_ENUM).withMessage(`Type must be one of: ${INVOICE_TYPE_ENUM.join(', ')}`),
+        query('startDate').optional().isISO8601().withMessage('Start date must be a valid date.'),
+        query('endDate').optional().isISO8601().withMessage('End date must be a valid date.'),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer.'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100.'),
+        validateResult
+    ],
+    invoiceController.getAllInvoices
+);
+
+/**
+ * @route GET /api/invoices/:id
+ * @desc Get an invoice or credit note
+ * @access Private
+ */
+router.get(
+    '/:id',
+    protect,
+    validateMongoId('id'),
+    invoiceController.getInvoiceById
+);
+
+/**
+ * @route PUT /api/invoices/:id
+ * @desc Update a draft invoice
+ * @access Private (Landlord/Admin, PM)
+ */
+router.put(
+    '/:id',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    [
+        body('dueDate').optional().isISO8601().toDate().withMessage('Due date must be a valid date.'),
+        body('currency').optional().isString().trim().isLength({ max: 10 }).withMessage('Currency cannot exceed 10 characters.'),
+        body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
+        ...validateLineItems('items', false),
+        validateResult
+    ],
+    invoiceController.updateInvoice
+);
+
+/**
+ * @route POST /api/invoices/:id/issue
+ * @desc Issue a draft invoice (assigns the next number in the property's sequence)
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/:id/issue',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    invoiceController.issueInvoice
+);
+
+/**
+ * @route POST /api/invoices/:id/send
+ * @desc Send an invoice or credit note to the tenant by email/SMS
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/:id/send',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    invoiceController.sendInvoice
+);
+
+/**
+ * @route POST /api/invoices/:id/void
+ * @desc Void an invoice or credit note
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/:id/void',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    [
+        body('reason').notEmpty().withMessage('Reason is required.').isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters.'),
+        validateResult
+    ],
+    invoiceController.voidInvoice
+);
+
+/**
+ * @route POST /api/invoices/:id/credit-notes
+ * @desc Issue a credit note against an invoice
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/:id/credit-notes',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    [
+        body('reason').notEmpty().withMessage('Reason is required.').isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters.'),
+        body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be greater than zero.'),
+        ...validateLineItems('items', false),
+        body().custom(value => {
+            if (!value.amount && !(Array.isArray(value.items) && value.items.length > 0)) {
+                throw new Error('Either an amount or line items are required.');
+            }
+            return true;
+        }),
+        validateResult
+    ],
+    invoiceController.createCreditNote
+);
+
+/**
+ * @route POST /api/invoices/:id/payments
+ * @desc Record a payment against an invoice's non-rent lines
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/:id/payments',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validatePayment,
+    invoiceController.markInvoiceAsPaid
+);
+
+module.exports = router;
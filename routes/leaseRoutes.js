@@ -5,8 +5,8 @@ const router = express.Router();
 const leaseController = require('../controllers/leaseController');
 const { protect, authorizeRoles } = require('../middleware/authMiddleware');
 const { upload } = require('../middleware/uploadMiddleware');
-const { validateMongoId, validateResult } = require('../utils/validationUtils');
-const { ROLE_ENUM, LEASE_STATUS_ENUM } = require('../utils/constants/enums');
+const { validateMongoId, validateResult, validateLateFeePolicy, validateRentEscalation, validateRenewalOffer, validateRenewalResponse, validateSignatureRequest } = require('../utils/validationUtils');
+const { ROLE_ENUM, LEASE_STATUS_ENUM, DEPOSIT_DEDUCTION_CATEGORY_ENUM, LEASE_CHARGE_CATEGORY_ENUM, RENT_BILLING_PERIOD_ENUM } = require('../utils/constants/enums');
 const { body, query, param } = require('express-validator');
 
 /**
@@ -51,6 +51,11 @@ const validateLeaseData = [
         .optional()
         .isString().trim()
         .isLength({ max: 2000 }).withMessage('Terms cannot exceed 2000 characters.'),
+
+    body('withholdsTax')
+        .optional()
+        .isBoolean().withMessage('withholdsTax must be true or false.')
+        .toBoolean(),
     
     body('status')
         .optional()
@@ -128,7 +133,8 @@ router.post(
         body('paymentDueDate').notEmpty().withMessage('Payment due date is required.').isInt({ min: 1, max: 31 }).withMessage('Payment due date must be a day of the month (1-31).'),
         body('securityDeposit').optional().isFloat({ min: 0 }).withMessage('Security deposit must be a non-negative number.'),
         body('terms').optional().isString().trim().isLength({ max: 2000 }).withMessage('Terms cannot exceed 2000 characters.'),
-        body('status').optional().isIn(LEASE_STATUS_ENUM).withMessage(`Invalid status. Must be one of: ${LEASE_STATUS_ENUM.join(', ')}`),
+        body('withholdsTax').optional().isBoolean().withMessage('withholdsTax must be true or false.').toBoolean(),
+        body('status').optional().isIn(['draft']).withMessage('A new lease starts as a draft and goes active once it has been fully signed.'),
         validateResult
     ],
     leaseController.createLease
@@ -255,7 +261,7 @@ router.get(
 
 /**
  * @route POST /api/leases/:id/generate-document
- * @desc Generate a lease-related document
+ * @desc Generate a lease-related document (lease_agreement uses the chosen or current lease template)
  * @access Private (Landlord/Admin, PropertyManager)
  */
 router.post(
@@ -266,8 +272,12 @@ router.post(
     [
         body('documentType')
             .notEmpty().withMessage('Document type is required.')
-            .isIn(['renewal_notice', 'exit_letter', 'termination_notice', 'lease_notice'])
-            .withMessage('Document type must be one of: renewal_notice, exit_letter, termination_notice, lease_notice'),
+            .isIn(['lease_agreement', 'renewal_notice', 'exit_letter', 'termination_notice', 'lease_notice'])
+            .withMessage('Document type must be one of: lease_agreement, renewal_notice, exit_letter, termination_notice, lease_notice'),
+        body('templateId')
+            .optional({ values: 'null' })
+            .if(body('documentType').equals('lease_agreement'))
+            .isMongoId().withMessage('Template ID must be a valid MongoDB ID.'),
         validateResult
     ],
     leaseController.generateLeaseDocument
@@ -332,4 +342,501 @@ router.post(
     leaseController.generateRentReportDocument
 );
 
+/**
+ * @route GET /api/leases/:id/ledger
+ * @desc Get the tenant account ledger (charges, payments, running balance) for a lease
+ * @access Private (Landlord/Admin, PropertyManager, Tenant)
+ */
+router.get(
+    '/:id/ledger',
+    protect,
+    validateMongoId('id'),
+    dateRangeValidators,
+    leaseController.getLeaseLedger
+);
+
+/**
+ * @route POST /api/leases/:id/statement/generate
+ * @desc Generate a statement of account PDF for a lease
+ * @access Private (Landlord/Admin, PropertyManager, Tenant)
+ */
+router.post(
+    '/:id/statement/generate',
+    protect,
+    validateMongoId('id'),
+    [
+        body('startDate').optional().isISO8601().toDate().withMessage('Start date must be a valid date.'),
+        body('endDate').optional().isISO8601().toDate().withMessage('End date must be a valid date.'),
+        body('startDate').optional().custom((startDate, { req }) => {
+            if (req.body.endDate && new Date(startDate) > new Date(req.body.endDate)) {
+                throw new Error('Start date cannot be after end date.');
+            }
+            return true;
+        }),
+        validateResult
+    ],
+    leaseController.generateStatementOfAccount
+);
+
+/**
+ * @route POST /api/leases/:id/payments
+ * @desc Record a lump-sum payment and allocate it across the lease's open rent records
+ * @access Private (Landlord/Admin, PropertyManager, Tenant)
+ */
+router.post(
+    '/:id/payments',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER, ROLE_ENUM.TENANT),
+    validateMongoId('id'),
+    upload.single('documentFile'),
+    [
+        body('amountPaid').notEmpty().withMessage('Amount paid is required.').isFloat({ min: 0.01 }).withMessage('Amount paid must be greater than zero.'),
+        body('paymentDate').notEmpty().withMessage('Payment date is required.').isISO8601().toDate().withMessage('Payment date must be a valid date.'),
+        body('paymentMethod').optional().isString().trim().isLength({ max: 50 }).withMessage('Payment method cannot exceed 50 characters.'),
+        body('transactionId').optional().isString().trim().isLength({ max: 100 }).withMessage('Transaction ID cannot exceed 100 characters.'),
+        body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
+        body('allocations').optional().custom(value => {
+            const allocations = typeof value === 'string' ? JSON.parse(value) : value;
+            if (!Array.isArray(allocations)) {
+                throw new Error('Allocations must be an array.');
+            }
+            for (const allocation of allocations) {
+                if (!allocation || !/^[0-9a-fA-F]{24}$/.test(String(allocation.rent))) {
+                    throw new Error('Each allocation needs a valid rent ID.');
+                }
+                if (!(parseFloat(allocation.amount) > 0)) {
+                    throw new Error('Each allocation amount must be greater than zero.');
+                }
+            }
+            return true;
+        }),
+        validateResult
+    ],
+    leaseController.recordLeasePayment
+);
+
+/**
+ * @route GET /api/leases/:id/payments
+ * @desc Get lease-level payments and the lease's credit balance
+ * @access Private (Landlord/Admin, PropertyManager, Tenant)
+ */
+router.get(
+    '/:id/payments',
+    protect,
+    validateMongoId('id'),
+    [
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer.'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100.'),
+        validateResult
+    ],
+    leaseController.getLeasePayments
+);
+
+/**
+ * @route PUT /api/leases/:id/late-fee-policy
+ * @desc Set the late fee policy for a lease (overrides the property's policy)
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.put(
+    '/:id/late-fee-policy',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateLateFeePolicy,
+    leaseController.updateLateFeePolicy
+);
+
+/**
+ * @route PUT /api/leases/:id/rent-escalation
+ * @desc Set the rent escalation rule for a lease (applies to schedules without their own rule)
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.put(
+    '/:id/rent-escalation',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateRentEscalation,
+    leaseController.updateRentEscalation
+);
+
+/**
+ * @route GET /api/leases/:id/deposit
+ * @desc Get the security deposit for a lease (receipts, deductions, disposition, refund)
+ * @access Private (Landlord/Admin, PropertyManager, Tenant)
+ */
+router.get(
+    '/:id/deposit',
+    protect,
+    validateMongoId('id'),
+    leaseController.getSecurityDeposit
+);
+
+/**
+ * @route POST /api/leases/:id/deposit/receipts
+ * @desc Record money received towards the security deposit
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.post(
+    '/:id/deposit/receipts',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    [
+        body('amount').notEmpty().withMessage('Amount is required.').isFloat({ min: 0.01 }).withMessage('Amount must be greater than zero.'),
+        body('receivedAt').optional().isISO8601().toDate().withMessage('Received date must be a valid date.'),
+        body('method').optional().isString().trim().isLength({ max: 50 }).withMessage('Payment method cannot exceed 50 characters.'),
+        body('transactionId').optional().isString().trim().isLength({ max: 100 }).withMessage('Transaction ID cannot exceed 100 characters.'),
+        body('holdingAccount').optional().isString().trim().isLength({ max: 200 }).withMessage('Holding account cannot exceed 200 characters.'),
+        body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
+        validateResult
+    ],
+    leaseController.recordDepositReceipt
+);
+
+/**
+ * @route POST /api/leases/:id/deposit/deductions
+ * @desc Add an itemized deduction to the security deposit, with optional repair request and damage photos
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.post(
+    '/:id/deposit/deductions',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    upload.array('photos', 10),
+    [
+        body('category').optional().isIn(DEPOSIT_DEDUCTION_CATEGORY_ENUM).withMessage(`Invalid category. Must be one of: ${DEPOSIT_DEDUCTION_CATEGORY_ENUM.join(', ')}`),
+        body('description').notEmpty().withMessage('Description is required.').isString().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters.'),
+        body('amount').notEmpty().withMessage('Amount is required.').isFloat({ min: 0.01 }).withMessage('Amount must be greater than zero.'),
+        body('requestId').optional().isMongoId().withMessage('Request ID must be a valid ID.'),
+        body('inspectionId').optional().isMongoId().withMessage('Inspection ID must be a valid ID.'),
+        body('mediaIds').optional().custom(value => {
+            const mediaIds = typeof value === 'string' ? JSON.parse(value) : value;
+            if (!Array.isArray(mediaIds) || !mediaIds.every(mediaId => /^[0-9a-fA-F]{24}$/.test(String(mediaId)))) {
+                throw new Error('Media IDs must be an array of valid IDs.');
+            }
+            return true;
+        }),
+        validateResult
+    ],
+    leaseController.addDepositDeduction
+);
+
+/**
+ * @route DELETE /api/leases/:id/deposit/deductions/:deductionId
+ * @desc Remove a deduction from the security deposit
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.delete(
+    '/:id/deposit/deductions/:deductionId',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateMongoId('deductionId'),
+    leaseController.removeDepositDeduction
+);
+
+/**
+ * @route POST /api/leases/:id/deposit/disposition
+ * @desc Issue the deposit disposition statement PDF once the lease has ended
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.post(
+    '/:id/deposit/disposition',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    leaseController.issueDepositDisposition
+);
+
+/**
+ * @route POST /api/leases/:id/deposit/refund
+ * @desc Record the deposit refund paid to the tenant
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.post(
+    '/:id/deposit/refund',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    [
+        body('amount').optional().isFloat({ min: 0 }).withMessage('Refund amount must be a non-negative number.'),
+        body('paidAt').optional().isISO8601().toDate().withMessage('Paid date must be a valid date.'),
+        body('method').optional().isString().trim().isLength({ max: 50 }).withMessage('Payment method cannot exceed 50 characters.'),
+        body('transactionId').optional().isString().trim().isLength({ max: 100 }).withMessage('Transaction ID cannot exceed 100 characters.'),
+        body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
+        validateResult
+    ],
+    leaseController.recordDepositRefund
+);
+
+/**
+ * Lease charge validation middleware; name and amount are only required when adding a charge
+ * @param {boolean} isNew - Whether a new charge is being added
+ */
+const validateLeaseCharge = (isNew) => [
+    (isNew ? body('name').notEmpty().withMessage('Charge name is required.') : body('name').optional())
+        .isString().trim().isLength({ max: 100 }).withMessage('Charge name cannot exceed 100 characters.'),
+    body('category').optional().isIn(LEASE_CHARGE_CATEGORY_ENUM).withMessage(`Invalid category. Must be one of: ${LEASE_CHARGE_CATEGORY_ENUM.join(', ')}`),
+    (isNew ? body('amount').notEmpty().withMessage('Charge amount is required.') : body('amount').optional())
+        .isFloat({ min: 0 }).withMessage('Charge amount must be a non-negative number.'),
+    body('frequency').optional().isIn(RENT_BILLING_PERIOD_ENUM).withMessage(`Invalid frequency. Must be one of: ${RENT_BILLING_PERIOD_ENUM.join(', ')}`),
+    body('startDate').optional().isISO8601().toDate().withMessage('Start date must be a valid date.'),
+    body('endDate').optional({ values: 'null' }).isISO8601().toDate().withMessage('End date must be a valid date.'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean.'),
+    body('notes').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters.'),
+    validateResult
+];
+
+/**
+ * @route GET /api/leases/:id/charges
+ * @desc Get the recurring charges on a lease (service charge, parking, garbage collection...)
+ * @access Private (Landlord/Admin, PropertyManager, Tenant)
+ */
+router.get(
+    '/:id/charges',
+    protect,
+    validateMongoId('id'),
+    leaseController.getLeaseCharges
+);
+
+/**
+ * @route POST /api/leases/:id/charges
+ * @desc Add a recurring charge to a lease, billed with the rent from its start date
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.post(
+    '/:id/charges',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateLeaseCharge(true),
+    leaseController.addLeaseCharge
+);
+
+/**
+ * @route PUT /api/leases/:id/charges/:chargeId
+ * @desc Update a recurring charge on a lease
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.put(
+    '/:id/charges/:chargeId',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateMongoId('chargeId'),
+    validateLeaseCharge(false),
+    leaseController.updateLeaseCharge
+);
+
+/**
+ * @route DELETE /api/leases/:id/charges/:chargeId
+ * @desc End a recurring charge on a lease (today, or on the endDate given)
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.delete(
+    '/:id/charges/:chargeId',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateMongoId('chargeId'),
+    [
+        body('endDate').optional().isISO8601().toDate().withMessage('End date must be a valid date.'),
+        validateResult
+    ],
+    leaseController.endLeaseCharge
+);
+
+/**
+ * @route GET /api/leases/:id/renewal-offers
+ * @desc Get the renewal offers made on a lease (tenants see sent offers only)
+ * @access Private (Landlord/Admin, PropertyManager, Tenant)
+ */
+router.get(
+    '/:id/renewal-offers',
+    protect,
+    validateMongoId('id'),
+    leaseController.getRenewalOffers
+);
+
+/**
+ * @route POST /api/leases/:id/renewal-offers
+ * @desc Draft a renewal offer with the new term, rent and conditions
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.post(
+    '/:id/renewal-offers',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateRenewalOffer,
+    leaseController.createRenewalOffer
+);
+
+/**
+ * @route PUT /api/leases/:id/renewal-offers/:offerId
+ * @desc Revise a draft renewal offer, or answer a counter offer with new terms
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.put(
+    '/:id/renewal-offers/:offerId',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateMongoId('offerId'),
+    validateRenewalOffer,
+    leaseController.updateRenewalOffer
+);
+
+/**
+ * @route POST /api/leases/:id/renewal-offers/:offerId/send
+ * @desc Send a renewal offer to the tenant with a link to accept, counter or decline it
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.post(
+    '/:id/renewal-offers/:offerId/send',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateMongoId('offerId'),
+    [
+        body('expiresAt').optional().isISO8601().toDate().withMessage('Respond-by date must be a valid date.'),
+        validateResult
+    ],
+    leaseController.sendRenewalOffer
+);
+
+/**
+ * @route POST /api/leases/:id/renewal-offers/:offerId/withdraw
+ * @desc Withdraw an open renewal offer
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.post(
+    '/:id/renewal-offers/:offerId/withdraw',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateMongoId('offerId'),
+    [
+        body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters.'),
+        validateResult
+    ],
+    leaseController.withdrawRenewalOffer
+);
+
+/**
+ * @route POST /api/leases/:id/renewal-offers/:offerId/accept-counter
+ * @desc Accept the tenant's counter offer and renew the lease on their terms
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.post(
+    '/:id/renewal-offers/:offerId/accept-counter',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateMongoId('offerId'),
+    leaseController.acceptCounterOffer
+);
+
+/**
+ * @route POST /api/leases/:id/renewal-offers/:offerId/respond
+ * @desc Accept, counter or decline a renewal offer from the tenant's account
+ * @access Private (Tenant)
+ */
+router.post(
+    '/:id/renewal-offers/:offerId/respond',
+    protect,
+    authorizeRoles(ROLE_ENUM.TENANT),
+    validateMongoId('id'),
+    validateMongoId('offerId'),
+    validateRenewalResponse,
+    leaseController.respondToRenewalOffer
+);
+
+/**
+ * @route GET /api/leases/:id/signature-requests
+ * @desc Get the e-signature requests on a lease
+ * @access Private (Landlord/Admin, PropertyManager, Signers)
+ */
+router.get(
+    '/:id/signature-requests',
+    protect,
+    validateMongoId('id'),
+    leaseController.getSignatureRequests
+);
+
+/**
+ * @route POST /api/leases/:id/signature-requests
+ * @desc Send a lease for electronic signature by an ordered list of signers
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.post(
+    '/:id/signature-requests',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateSignatureRequest,
+    leaseController.createSignatureRequest
+);
+
+/**
+ * @route POST /api/leases/:id/signature-requests/:requestId/resend
+ * @desc Send the current signer a new signing link
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.post(
+    '/:id/signature-requests/:requestId/resend',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateMongoId('requestId'),
+    leaseController.resendSigningLink
+);
+
+/**
+ * @route POST /api/leases/:id/signature-requests/:requestId/void
+ * @desc Void a pending signature request
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.post(
+    '/:id/signature-requests/:requestId/void',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateMongoId('requestId'),
+    [
+        body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters.'),
+        validateResult
+    ],
+    leaseController.voidSignatureRequest
+);
+
+/**
+ * @route POST /api/leases/:id/signature-requests/:requestId/complete
+ * @desc Produce the signed lease document for a fully signed request if it was not produced at signing
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.post(
+    '/:id/signature-requests/:requestId/complete',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateMongoId('requestId'),
+    leaseController.completeSignatureRequest
+);
+
+/**
+ * @route GET /api/leases/:id/signature-requests/:requestId/verify
+ * @desc Check the stored signed lease still matches its recorded SHA-256 hash
+ * @access Private (Landlord/Admin, PropertyManager, Signers)
+ */
+router.get(
+    '/:id/signature-requests/:requestId/verify',
+    protect,
+    validateMongoId('id'),
+    validateMongoId('requestId'),
+    leaseController.verifySignedDocument
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,203 @@
+// src/routes/leaseTemplateRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const leaseTemplateController = require('../controllers/leaseTemplateController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const { validateMongoId, validateResult } = require('../utils/validationUtils');
+const { ROLE_ENUM, LEASE_CLAUSE_CATEGORY_ENUM, CLAUSE_CONDITION_OPERATOR_ENUM } = require('../utils/constants/enums');
+const { body, query } = require('express-validator');
+
+/**
+ * Condition validation for a clause or template section
+ * @param {string} path - Path of the condition in the body (e.g. 'condition', 'sections.*.condition')
+ */
+const validateCondition = (path) => [
+    body(path).optional({ values: 'null' }).isObject().withMessage('Condition must be an object.'),
+    body(`${path}.field`).if(body(path).exists({ values: 'null' })).notEmpty().withMessage('Condition field is required.').isString(),
+    body(`${path}.operator`).optional().isIn(CLAUSE_CONDITION_OPERATOR_ENUM).withMessage(`Condition operator must be one of: ${CLAUSE_CONDITION_OPERATOR_ENUM.join(', ')}`)
+];
+
+/**
+ * Clause validation middleware; key, title and text are only required when adding a clause
+ * @param {boolean} isNew - Whether a new clause is being added
+ */
+const validateClause = (isNew) => [
+    ...(isNew ? [
+        body('propertyId').optional({ values: 'null' }).isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        body('key').notEmpty().withMessage('Clause key is required.').isString().trim().isLength({ max: 60 }).withMessage('Clause key cannot exceed 60 characters.')
+    ] : []),
+    (isNew ? body('title').notEmpty().withMessage('Clause title is required.') : body('title').optional())
+        .isString().trim().isLength({ max: 150 }).withMessage('Clause title cannot exceed 150 characters.'),
+    (isNew ? body('body').notEmpty().withMessage('Clause text is required.') : body('body').optional())
+        .isString().trim().isLength({ max: 10000 }).withMessage('Clause text cannot exceed 10000 characters.'),
+    body('category').optional().isIn(LEASE_CLAUSE_CATEGORY_ENUM).withMessage(`Category must be one of: ${LEASE_CLAUSE_CATEGORY_ENUM.join(', ')}`),
+    ...validateCondition('condition'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean.'),
+    validateResult
+];
+
+/**
+ * Template validation middleware; name and sections are only required when creating a template
+ * @param {boolean} isNew - Whether a new template is being created
+ */
+const validateTemplate = (isNew) => [
+    ...(isNew ? [
+        body('propertyId').optional({ values: 'null' }).isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        body('name').notEmpty().withMessage('Template name is required.').isString().trim().isLength({ max: 100 }).withMessage('Template name cannot exceed 100 characters.')
+    ] : []),
+    body('description').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters.'),
+    body('title').optional().isString().trim().isLength({ max: 150 }).withMessage('Title cannot exceed 150 characters.'),
+    body('preamble').optional({ values: 'null' }).isString().trim().isLength({ max: 5000 }).withMessage('Preamble cannot exceed 5000 characters.'),
+    (isNew ? body('sections').exists().withMessage('Sections are required.') : body('sections').optional())
+        .isArray({ min: 1 }).withMessage('Sections must be a non-empty array.'),
+    body('sections.*.clauseId').optional().isMongoId().withMessage('Clause ID must be a valid MongoDB ID.'),
+    body('sections.*.title').optional().isString().trim().isLength({ max: 150 }).withMessage('Section title cannot exceed 150 characters.'),
+    body('sections.*.body').optional().isString().trim().isLength({ max: 10000 }).withMessage('Section text cannot exceed 10000 characters.'),
+    ...validateCondition('sections.*.condition'),
+    validateResult
+];
+
+/**
+ * @route GET /api/lease-templates/merge-fields
+ * @desc Get the merge fields lease templates can use
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/merge-fields',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    leaseTemplateController.getMergeFields
+);
+
+/**
+ * @route GET /api/lease-templates/clauses
+ * @desc Get the shared clause library, plus a property's own clauses
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/clauses',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    [
+        query('propertyId').optional().isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        query('category').optional().isIn(LEASE_CLAUSE_CATEGORY_ENUM).withMessage(`Category must be one of: ${LEASE_CLAUSE_CATEGORY_ENUM.join(', ')}`),
+        query('includeInactive').optional().isBoolean().withMessage('includeInactive must be a boolean.'),
+        validateResult
+    ],
+    leaseTemplateController.getClauses
+);
+
+/**
+ * @route POST /api/lease-templates/clauses
+ * @desc Add a clause to the shared library (admins) or to a property's library
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/clauses',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateClause(true),
+    leaseTemplateController.createClause
+);
+
+/**
+ * @route PUT /api/lease-templates/clauses/:clauseId
+ * @desc Update or retire a library clause
+ * @access Private (Landlord/Admin, PM)
+ */
+router.put(
+    '/clauses/:clauseId',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('clauseId'),
+    validateClause(false),
+    leaseTemplateController.updateClause
+);
+
+/**
+ * @route GET /api/lease-templates
+ * @desc Get shared lease templates, plus a property's own templates
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    [
+        query('propertyId').optional().isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        query('allVersions').optional().isBoolean().withMessage('allVersions must be a boolean.'),
+        query('includeArchived').optional().isBoolean().withMessage('includeArchived must be a boolean.'),
+        validateResult
+    ],
+    leaseTemplateController.getTemplates
+);
+
+/**
+ * @route POST /api/lease-templates
+ * @desc Create a lease template from library clauses and inline sections
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateTemplate(true),
+    leaseTemplateController.createTemplate
+);
+
+/**
+ * @route GET /api/lease-templates/:id
+ * @desc Get a lease template version with its sections
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/:id',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    leaseTemplateController.getTemplateById
+);
+
+/**
+ * @route POST /api/lease-templates/:id/versions
+ * @desc Save a new version of a lease template
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/:id/versions',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateTemplate(false),
+    leaseTemplateController.createTemplateVersion
+);
+
+/**
+ * @route POST /api/lease-templates/:id/archive
+ * @desc Archive a lease template so it can no longer be used for new documents
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/:id/archive',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    leaseTemplateController.archiveTemplate
+);
+
+/**
+ * @route GET /api/lease-templates/:id/preview/:leaseId
+ * @desc Preview a lease template filled in for a lease
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/:id/preview/:leaseId',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateMongoId('leaseId'),
+    leaseTemplateController.previewTemplate
+);
+
+module.exports = router;
@@ -0,0 +1,235 @@
+// src/routes/meterRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const meterController = require('../controllers/meterController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const { upload } = require('../middleware/uploadMiddleware');
+const { validateMongoId, validateResult } = require('../utils/validationUtils');
+const { ROLE_ENUM, UTILITY_TYPE_ENUM, METER_READING_STATUS_ENUM } = require('../utils/constants/enums');
+const { body, query } = require('express-validator');
+
+/**
+ * Tariff validation middleware; property, utility and tiers are only required when adding a tariff
+ * @param {boolean} isNew - Whether a new tariff is being added
+ */
+const validateTariff = (isNew) => [
+    ...(isNew ? [
+        body('propertyId').notEmpty().withMessage('Property ID is required.').isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        body('utilityType').notEmpty().withMessage('Utility type is required.').isIn(UTILITY_TYPE_ENUM).withMessage(`Utility type must be one of: ${UTILITY_TYPE_ENUM.join(', ')}`)
+    ] : []),
+    (isNew ? body('tiers').exists().withMessage('Tiers are required.') : body('tiers').optional())
+        .isArray({ min: 1 }).withMessage('Tiers must be a non-empty array.'),
+    body('tiers.*.upTo').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Tier upper bound must be a non-negative number.'),
+    body('tiers.*.rate').isFloat({ min: 0 }).withMessage('Tier rate must be a non-negative number.'),
+    body('fixedCharge').optional().isFloat({ min: 0 }).withMessage('Fixed charge must be a non-negative number.'),
+    body('currency').optional().isString().trim().isLength({ max: 10 }).withMessage('Currency cannot exceed 10 characters.'),
+    body('effectiveFrom').optional().isISO8601().toDate().withMessage('Effective date must be a valid date.'),
+    body('name').optional().isString().trim().isLength({ max: 100 }).withMessage('Tariff name cannot exceed 100 characters.'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean.'),
+    validateResult
+];
+
+/**
+ * @route POST /api/meters/tariffs
+ * @desc Add a utility tariff (flat or tiered rates) for a property
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/tariffs',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateTariff(true),
+    meterController.createTariff
+);
+
+/**
+ * @route GET /api/meters/tariffs
+ * @desc Get the utility tariffs for a property
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/tariffs',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    [
+        query('propertyId').notEmpty().withMessage('Property ID is required.').isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        query('utilityType').optional().isIn(UTILITY_TYPE_ENUM).withMessage(`Utility type must be one of: ${UTILITY_TYPE_ENUM.join(', ')}`),
+        validateResult
+    ],
+    meterController.getTariffs
+);
+
+/**
+ * @route PUT /api/meters/tariffs/:tariffId
+ * @desc Update a utility tariff
+ * @access Private (Landlord/Admin, PM)
+ */
+router.put(
+    '/tariffs/:tariffId',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('tariffId'),
+    validateTariff(false),
+    meterController.updateTariff
+);
+
+/**
+ * @route GET /api/meters/readings
+ * @desc Get meter readings for managed properties (status=flagged lists readings awaiting review)
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/readings',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    [
+        query('propertyId').optional().isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        query('unitId').optional().isMongoId().withMessage('Unit ID must be a valid MongoDB ID.'),
+        query('status').optional().isIn(METER_READING_STATUS_ENUM).withMessage(`Status must be one of: ${METER_READING_STATUS_ENUM.join(', ')}`),
+        query('startDate').optional().isISO8601().withMessage('Start date must be a valid date.'),
+        query('endDate').optional().isISO8601().withMessage('End date must be a valid date.'),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer.'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100.'),
+        validateResult
+    ],
+    meterController.getMeterReadings
+);
+
+/**
+ * @route PUT /api/meters/readings/:readingId/review
+ * @desc Accept a flagged reading for billing, or void a reading
+ * @access Private (Landlord/Admin, PM)
+ */
+router.put(
+    '/readings/:readingId/review',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('readingId'),
+    [
+        body('decision').notEmpty().withMessage('Decision is required.').isIn(['accept', 'void']).withMessage("Decision must be 'accept' or 'void'."),
+        body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
+        validateResult
+    ],
+    meterController.reviewReading
+);
+
+/**
+ * @route POST /api/meters
+ * @desc Register a utility sub-meter on a unit
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    [
+        body('unitId').notEmpty().withMessage('Unit ID is required.').isMongoId().withMessage('Unit ID must be a valid MongoDB ID.'),
+        body('utilityType').notEmpty().withMessage('Utility type is required.').isIn(UTILITY_TYPE_ENUM).withMessage(`Utility type must be one of: ${UTILITY_TYPE_ENUM.join(', ')}`),
+        body('serialNumber').notEmpty().withMessage('Serial number is required.').isString().trim().isLength({ max: 100 }).withMessage('Serial number cannot exceed 100 characters.'),
+        body('unitOfMeasure').optional().isString().trim().isLength({ max: 20 }).withMessage('Unit of measure cannot exceed 20 characters.'),
+        body('initialReading').optional().isFloat({ min: 0 }).withMessage('Initial reading must be a non-negative number.'),
+        body('installedAt').optional().isISO8601().toDate().withMessage('Installation date must be a valid date.'),
+        body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
+        validateResult
+    ],
+    meterController.registerMeter
+);
+
+/**
+ * @route GET /api/meters
+ * @desc Get utility meters for managed properties
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    [
+        query('propertyId').optional().isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        query('unitId').optional().isMongoId().withMessage('Unit ID must be a valid MongoDB ID.'),
+        query('utilityType').optional().isIn(UTILITY_TYPE_ENUM).withMessage(`Utility type must be one of: ${UTILITY_TYPE_ENUM.join(', ')}`),
+        query('isActive').optional().isBoolean().withMessage('isActive must be a boolean.'),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer.'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100.'),
+        validateResult
+    ],
+    meterController.getMeters
+);
+
+/**
+ * @route GET /api/meters/:id
+ * @desc Get a utility meter
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/:id',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    meterController.getMeterById
+);
+
+/**
+ * @route PUT /api/meters/:id
+ * @desc Update a utility meter or take it out of service
+ * @access Private (Landlord/Admin, PM)
+ */
+router.put(
+    '/:id',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    [
+        body('serialNumber').optional().isString().trim().notEmpty().withMessage('Serial number cannot be empty.').isLength({ max: 100 }).withMessage('Serial number cannot exceed 100 characters.'),
+        body('unitOfMeasure').optional().isString().trim().isLength({ max: 20 }).withMessage('Unit of measure cannot exceed 20 characters.'),
+        body('isActive').optional().isBoolean().withMessage('isActive must be a boolean.'),
+        body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
+        validateResult
+    ],
+    meterController.updateMeter
+);
+
+/**
+ * @route POST /api/meters/:id/readings
+ * @desc Record a meter reading with optional photos of the dial
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/:id/readings',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    upload.array('photos', 5),
+    [
+        body('value').notEmpty().withMessage('Reading value is required.').isFloat({ min: 0 }).withMessage('Reading value must be a non-negative number.'),
+        body('readAt').optional().isISO8601().toDate().withMessage('Reading date must be a valid date.'),
+        body('isMeterReset').optional().isBoolean().withMessage('isMeterReset must be a boolean.'),
+        body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
+        validateResult
+    ],
+    meterController.recordReading
+);
+
+/**
+ * @route GET /api/meters/:id/readings
+ * @desc Get the readings taken from a meter
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/:id/readings',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    [
+        query('status').optional().isIn(METER_READING_STATUS_ENUM).withMessage(`Status must be one of: ${METER_READING_STATUS_ENUM.join(', ')}`),
+        query('startDate').optional().isISO8601().withMessage('Start date must be a valid date.'),
+        query('endDate').optional().isISO8601().withMessage('End date must be a valid date.'),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer.'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100.'),
+        validateResult
+    ],
+    meterController.getReadingsForMeter
+);
+
+module.exports = router;
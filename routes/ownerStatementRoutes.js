@@ -0,0 +1,88 @@
+// src/routes/ownerStatementRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const ownerStatementController = require('../controllers/ownerStatementController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const { validateMongoId, validateResult } = require('../utils/validationUtils');
+const { ROLE_ENUM, DISBURSEMENT_STATUS_ENUM } = require('../utils/constants/enums');
+const { body, query } = require('express-validator');
+
+const PERIOD_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * @route POST /api/owner-statements
+ * @desc Generate an owner's monthly statement and its PDF; regenerates it if one exists and is not yet paid
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    [
+        body('ownerId').notEmpty().withMessage('Owner ID is required.').isMongoId().withMessage('Owner ID must be a valid MongoDB ID.'),
+        body('period').notEmpty().withMessage('Period is required.').matches(PERIOD_REGEX).withMessage('Period must be a month in the format YYYY-MM.'),
+        body('currency').optional().isString().trim().isLength({ max: 10 }).withMessage('Currency cannot exceed 10 characters.'),
+        body('notify').optional().isBoolean().withMessage('Notify must be a boolean value.').toBoolean(),
+        validateResult
+    ],
+    ownerStatementController.generateOwnerStatement
+);
+
+/**
+ * @route GET /api/owner-statements
+ * @desc Get owner statements for the user as an owner and for the properties they manage
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    [
+        query('ownerId').optional().isMongoId().withMessage('Owner ID must be a valid MongoDB ID.'),
+        query('propertyId').optional().isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        query('period').optional().matches(PERIOD_REGEX).withMessage('Period must be a month in the format YYYY-MM.'),
+        query('status').optional().isIn(DISBURSEMENT_STATUS_ENUM).withMessage(`Status must be one of: ${DISBURSEMENT_STATUS_ENUM.join(', ')}`),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer.'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100.'),
+        validateResult
+    ],
+    ownerStatementController.getOwnerStatements
+);
+
+/**
+ * @route GET /api/owner-statements/:id
+ * @desc Get an owner statement with its collections and expenses
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/:id',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    ownerStatementController.getOwnerStatementById
+);
+
+/**
+ * @route PUT /api/owner-statements/:id/disbursement
+ * @desc Put the owner's payout on hold, release it, or record it as paid
+ * @access Private (Admin, PM)
+ */
+router.put(
+    '/:id/disbursement',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    [
+        body('status').notEmpty().withMessage('Status is required.').isIn(['pending', 'on_hold', 'paid']).withMessage('Status must be one of: pending, on_hold, paid'),
+        body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be greater than zero.'),
+        body('paidAt').optional().isISO8601().toDate().withMessage('Paid date must be a valid date.'),
+        body('method').optional().isString().trim(),
+        body('reference').optional().isString().trim(),
+        body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
+        validateResult
+    ],
+    ownerStatementController.updateDisbursement
+);
+
+module.exports = router;
@@ -0,0 +1,90 @@
+// src/routes/paymentRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const { validateMongoId, validateResult } = require('../utils/validationUtils');
+const { ROLE_ENUM } = require('../utils/constants/enums');
+const paymentGatewayClient = require('../lib/paymentGatewayClient');
+const { body, param } = require('express-validator');
+
+// The simulator is only offered in payment test mode
+const AVAILABLE_PROVIDERS = paymentGatewayClient.getAvailableProviders();
+
+/**
+ * @route POST /api/payments/webhooks/:provider
+ * @desc Receive a signed payment callback from a mobile-money provider
+ * @access Public (signature verified by the service)
+ */
+router.post(
+    '/webhooks/:provider',
+    [
+        param('provider').isIn(AVAILABLE_PROVIDERS).withMessage(`Provider must be one of: ${AVAILABLE_PROVIDERS.join(', ')}`),
+        validateResult
+    ],
+    paymentController.handlePaymentWebhook
+);
+
+/**
+ * @route POST /api/payments/mobile-money
+ * @desc Request a mobile-money payment for a rent record
+ * @access Private (Landlord/Admin, PM, Tenant)
+ */
+router.post(
+    '/mobile-money',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER, ROLE_ENUM.TENANT),
+    [
+        body('rentId').notEmpty().withMessage('Rent ID is required.').isMongoId().withMessage('Rent ID must be a valid MongoDB ID.'),
+        body('provider').notEmpty().withMessage('Provider is required.').isIn(AVAILABLE_PROVIDERS).withMessage(`Provider must be one of: ${AVAILABLE_PROVIDERS.join(', ')}`),
+        body('phoneNumber').optional().matches(/^\+\d{7,15}$/).withMessage('Phone number must be in E.164 format (e.g., +256701234567).'),
+        body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be greater than zero.'),
+        validateResult
+    ],
+    paymentController.initiateMobileMoneyPayment
+);
+
+/**
+ * @route GET /api/payments/mobile-money/:id
+ * @desc Get a mobile-money payment transaction
+ * @access Private (Landlord/Admin, PM, Tenant)
+ */
+router.get(
+    '/mobile-money/:id',
+    protect,
+    validateMongoId('id'),
+    paymentController.getPaymentTransaction
+);
+
+/**
+ * @route POST /api/payments/mobile-money/:id/refresh
+ * @desc Check a transaction with the provider and record the payment if it went through
+ * @access Private (Landlord/Admin, PM, Tenant)
+ */
+router.post(
+    '/mobile-money/:id/refresh',
+    protect,
+    validateMongoId('id'),
+    paymentController.refreshPaymentTransaction
+);
+
+/**
+ * @route POST /api/payments/mobile-money/:id/simulate
+ * @desc Complete a simulator transaction through the webhook path (development only)
+ * @access Private (Landlord/Admin, PM, Tenant)
+ */
+router.post(
+    '/mobile-money/:id/simulate',
+    protect,
+    validateMongoId('id'),
+    [
+        body('status').optional().isIn(['successful', 'failed']).withMessage('Status must be successful or failed.'),
+        body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be greater than zero.'),
+        body('reason').optional().isString().trim(),
+        validateResult
+    ],
+    paymentController.simulatePaymentCallback
+);
+
+module.exports = router;
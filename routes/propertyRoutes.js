@@ -5,7 +5,7 @@ const router = express.Router();
 const propertyController = require('../controllers/propertyController');
 const unitRoutes = require('./unitRoutes');
 const { protect, authorizeRoles } = require('../middleware/authMiddleware');
-const { validateMongoId, validateResult } = require('../utils/validationUtils');
+const { validateMongoId, validateResult, validateLateFeePolicy, validateDunningPolicy, validateBudgetAlertPolicy, validateManagementFee, validateTaxRules } = require('../utils/validationUtils');
 const { ROLE_ENUM, PROPERTY_TYPE_ENUM, PROPERTY_USER_ROLES_ENUM } = require('../utils/constants/enums');
 const { body, query, param } = require('express-validator');
 
@@ -267,4 +267,74 @@ router.delete(
     propertyController.removeUserFromProperty
 );
 
+/**
+ * @route PUT /api/properties/:id/late-fee-policy
+ * @desc Set the default late fee policy for leases in a property
+ * @access Private (Landlord, PropertyManager, Admin)
+ */
+router.put(
+    '/:id/late-fee-policy',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateLateFeePolicy,
+    propertyController.updateLateFeePolicy
+);
+
+/**
+ * @route PUT /api/properties/:id/dunning-policy
+ * @desc Set the reminder and notice sequence for overdue rent in a property
+ * @access Private (Landlord, PropertyManager, Admin)
+ */
+router.put(
+    '/:id/dunning-policy',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateDunningPolicy,
+    propertyController.updateDunningPolicy
+);
+
+/**
+ * @route PUT /api/properties/:id/budget-alert-policy
+ * @desc Set when landlords and managers are alerted about spending against the annual operating budget
+ * @access Private (Landlord, PropertyManager, Admin)
+ */
+router.put(
+    '/:id/budget-alert-policy',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateBudgetAlertPolicy,
+    propertyController.updateBudgetAlertPolicy
+);
+
+/**
+ * @route PUT /api/properties/:id/management-fee
+ * @desc Set the management fee deducted from rent collected on owner statements
+ * @access Private (PropertyManager, Admin)
+ */
+router.put(
+    '/:id/management-fee',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateManagementFee,
+    propertyController.updateManagementFee
+);
+
+/**
+ * @route PUT /api/properties/:id/tax-rules
+ * @desc Set the VAT and withholding tax rules applied to rent and invoices in a property
+ * @access Private (Landlord, PropertyManager, Admin)
+ */
+router.put(
+    '/:id/tax-rules',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateTaxRules,
+    propertyController.updateTaxRules
+);
+
 module.exports = router;
\ No newline at end of file
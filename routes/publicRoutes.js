@@ -4,7 +4,7 @@ const express = require('express');
 const router = express.Router();
 const { check } = require('express-validator');
 const publicController = require('../controllers/publicController');
-const { validateResult } = require('../utils/validationUtils');
+const { validateResult, validateRenewalResponse, validateSignature } = require('../utils/validationUtils');
 const rateLimit = require('express-rate-limit');
 const csrf = require('csurf');
 
@@ -35,6 +35,30 @@ const commentRateLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Stricter rate limiting for lease renewal responses, which can create a lease
+const renewalResponseRateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // limit each IP to 10 renewal responses per hour
+  message: {
+    success: false,
+    message: 'Too many renewal responses from this IP, please try again after an hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Stricter rate limiting for lease signatures
+const signatureRateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // limit each IP to 10 signatures per hour
+  message: {
+    success: false,
+    message: 'Too many signing attempts from this IP, please try again after an hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Validation for public tokens
 const requestTokenValidation = [
   check('publicToken')
@@ -52,6 +76,22 @@ const maintenanceTokenValidation = [
   validateResult
 ];
 
+const renewalTokenValidation = [
+  check('token')
+    .notEmpty().withMessage('Renewal token is required')
+    .isString().withMessage('Renewal token must be a string')
+    .isLength({ min: 64, max: 64 }).withMessage('Invalid renewal token format'),
+  validateResult
+];
+
+const signatureTokenValidation = [
+  check('token')
+    .notEmpty().withMessage('Signing token is required')
+    .isString().withMessage('Signing token must be a string')
+    .isLength({ min: 64, max: 64 }).withMessage('Invalid signing token format'),
+  validateResult
+];
+
 // Validation for comment submissions
 const commentValidation = [
   check('message')
@@ -113,4 +153,42 @@ router.post(
   publicController.addPublicCommentToScheduledMaintenance
 );
 
+// Public routes for lease renewal offers (tokenized link emailed to the tenant)
+router.get(
+  '/lease-renewals/:token',
+  viewRateLimiter,
+  renewalTokenValidation,
+  publicController.getPublicRenewalOffer
+);
+
+router.post(
+  '/lease-renewals/:token/respond',
+  renewalResponseRateLimiter,
+  csrfProtection,
+  [
+    ...renewalTokenValidation,
+    ...validateRenewalResponse
+  ],
+  publicController.respondToPublicRenewalOffer
+);
+
+// Public routes for lease e-signatures (tokenized link emailed to each signer in turn)
+router.get(
+  '/lease-signatures/:token',
+  viewRateLimiter,
+  signatureTokenValidation,
+  publicController.getPublicSignatureRequest
+);
+
+router.post(
+  '/lease-signatures/:token/sign',
+  signatureRateLimiter,
+  csrfProtection,
+  [
+    ...signatureTokenValidation,
+    ...validateSignature
+  ],
+  publicController.signPublicSignatureRequest
+);
+
 module.exports = router;
\ No newline at end of file
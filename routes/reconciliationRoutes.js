@@ -0,0 +1,117 @@
+// src/routes/reconciliationRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const reconciliationController = require('../controllers/reconciliationController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const { uploadStatement } = require('../middleware/uploadMiddleware');
+const { validateMongoId, validateResult } = require('../utils/validationUtils');
+const { ROLE_ENUM, STATEMENT_FORMAT_ENUM, STATEMENT_LINE_STATUS_ENUM } = require('../utils/constants/enums');
+const { body, query } = require('express-validator');
+
+/**
+ * @route POST /api/reconciliation/imports
+ * @desc Import a bank or mobile-money statement (CSV/OFX) and match it to rent records
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/imports',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    uploadStatement.single('statementFile'),
+    [
+        body('propertyId').notEmpty().withMessage('Property ID is required.').isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        body('format').optional().isIn(STATEMENT_FORMAT_ENUM).withMessage(`Format must be one of: ${STATEMENT_FORMAT_ENUM.join(', ')}`),
+        body('currency').optional().isString().trim().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code.'),
+        body('autoConfirm').optional().isBoolean().withMessage('autoConfirm must be true or false.'),
+        validateResult
+    ],
+    reconciliationController.importStatement
+);
+
+/**
+ * @route GET /api/reconciliation/imports
+ * @desc List statement imports
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/imports',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    [
+        query('propertyId').optional().isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer.'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100.'),
+        validateResult
+    ],
+    reconciliationController.getStatementImports
+);
+
+/**
+ * @route GET /api/reconciliation/imports/:id
+ * @desc Get a statement import with its lines
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/imports/:id',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    reconciliationController.getStatementImportById
+);
+
+/**
+ * @route GET /api/reconciliation/lines
+ * @desc Get statement lines waiting for review (ambiguous, unmatched and unconfirmed matches)
+ * @access Private (Landlord/Admin, PM)
+ */
+router.get(
+    '/lines',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    [
+        query('propertyId').optional().isMongoId().withMessage('Property ID must be a valid MongoDB ID.'),
+        query('importId').optional().isMongoId().withMessage('Import ID must be a valid MongoDB ID.'),
+        query('status').optional().isIn(STATEMENT_LINE_STATUS_ENUM).withMessage(`Status must be one of: ${STATEMENT_LINE_STATUS_ENUM.join(', ')}`),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer.'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100.'),
+        validateResult
+    ],
+    reconciliationController.getReviewQueue
+);
+
+/**
+ * @route POST /api/reconciliation/lines/:id/confirm
+ * @desc Confirm a statement line, optionally reassigning it to another rent record, and record the payment
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/lines/:id/confirm',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    [
+        body('rentId').optional().isMongoId().withMessage('Rent ID must be a valid MongoDB ID.'),
+        validateResult
+    ],
+    reconciliationController.confirmStatementLine
+);
+
+/**
+ * @route POST /api/reconciliation/lines/:id/ignore
+ * @desc Mark a statement line as not a rent payment
+ * @access Private (Landlord/Admin, PM)
+ */
+router.post(
+    '/lines/:id/ignore',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    [
+        body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters.'),
+        validateResult
+    ],
+    reconciliationController.ignoreStatementLine
+);
+
+module.exports = router;
@@ -6,9 +6,10 @@ const rentController = require('../controllers/rentController'); // Import contr
 const rentScheduleController = require('../controllers/rentController'); // Reuse same controller for schedules
 const { protect, authorizeRoles } = require('../middleware/authMiddleware'); // Import auth middleware
 const { upload } = require('../middleware/uploadMiddleware'); // For single file uploads
-const { validateMongoId, validateResult } = require('../utils/validationUtils'); // Import validation utilities
+const { validateMongoId, validateResult, validateRentEscalation } = require('../utils/validationUtils'); // Import validation utilities
 const { ROLE_ENUM, PAYMENT_STATUS_ENUM, RENT_BILLING_PERIOD_ENUM } = require('../utils/constants/enums'); // Import enums
 const { body, query, param } = require('express-validator'); // For specific body/query/param validation
+const { BILLING_PERIOD_LABEL_REGEX } = require('../utils/billingPeriodUtils');
 
 /**
  * Middleware for common date validation
@@ -32,7 +33,7 @@ const validateRentRecordData = [
     body('lease').notEmpty().withMessage('Lease ID is required.').isMongoId().withMessage('Invalid Lease ID format.'),
     body('amountDue').notEmpty().withMessage('Amount due is required.').isFloat({ min: 0 }).withMessage('Amount due must be a non-negative number.'),
     body('dueDate').notEmpty().withMessage('Due date is required.').isISO8601().toDate().withMessage('Due date must be a valid date.'),
-    body('billingPeriod').notEmpty().withMessage('Billing period is required.').matches(/^\d{4}-\d{2}$/).withMessage('Billing period must be in YYYY-MM format.'),
+    body('billingPeriod').notEmpty().withMessage('Billing period is required.').matches(BILLING_PERIOD_LABEL_REGEX).withMessage('Billing period must be a valid period label (e.g. 2025-03, 2025-Q1, 2025-H1, 2025, 2025-W09).'),
     body('status').optional().isIn(PAYMENT_STATUS_ENUM).withMessage(`Invalid status. Must be one of: ${PAYMENT_STATUS_ENUM.join(', ')}`),
     body('currency').optional().isString().trim().isLength({ max: 10 }).withMessage('Currency cannot exceed 10 characters.'),
     body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
@@ -126,6 +127,60 @@ router.post(
     rentController.generateRentRecords
 );
 
+/**
+ * @route POST /api/rents/late-fees/apply
+ * @desc Apply late fees to overdue rent records under a late fee policy
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+router.post(
+    '/late-fees/apply',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    [
+        body('forDate').optional().isISO8601().toDate().withMessage('For date must be a valid date.'),
+        body('propertyId').optional().isMongoId().withMessage('Invalid Property ID format.'),
+        body('leaseId').optional().isMongoId().withMessage('Invalid Lease ID format.'),
+        validateResult
+    ],
+    rentController.applyLateFees
+);
+
+/**
+ * @route POST /api/rents/escalations/process
+ * @desc Send due rent increase notices and apply increases whose notice period has ended
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+router.post(
+    '/escalations/process',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    [
+        body('forDate').optional().isISO8601().toDate().withMessage('For date must be a valid date.'),
+        body('propertyId').optional().isMongoId().withMessage('Invalid Property ID format.'),
+        body('leaseId').optional().isMongoId().withMessage('Invalid Lease ID format.'),
+        validateResult
+    ],
+    rentController.processRentEscalations
+);
+
+/**
+ * @route POST /api/rents/dunning/process
+ * @desc Send the next due step of each property's dunning sequence for overdue rent
+ * @access Private (Landlord/Admin, Property Manager)
+ */
+router.post(
+    '/dunning/process',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    [
+        body('forDate').optional().isISO8601().toDate().withMessage('For date must be a valid date.'),
+        body('propertyId').optional().isMongoId().withMessage('Invalid Property ID format.'),
+        body('leaseId').optional().isMongoId().withMessage('Invalid Lease ID format.'),
+        validateResult
+    ],
+    rentController.processDunning
+);
+
 /**
  * @route POST /api/rents
  * @desc Create a new rent record
@@ -149,7 +204,7 @@ router.get(
     protect,
     [
         query('status').optional().isIn(PAYMENT_STATUS_ENUM).withMessage(`Invalid status filter. Must be one of: ${PAYMENT_STATUS_ENUM.join(', ')}`),
-        query('billingPeriod').optional().matches(/^\d{4}-\d{2}$/).withMessage('Billing period must be in YYYY-MM format.'),
+        query('billingPeriod').optional().matches(BILLING_PERIOD_LABEL_REGEX).withMessage('Billing period must be a valid period label (e.g. 2025-03, 2025-Q1, 2025-H1, 2025, 2025-W09).'),
         query('leaseId').optional().isMongoId().withMessage('Invalid Lease ID format.'),
         query('tenantId').optional().isMongoId().withMessage('Invalid Tenant ID format.'),
         query('propertyId').optional().isMongoId().withMessage('Invalid Property ID format.'),
@@ -189,7 +244,7 @@ router.put(
     [
         body('amountDue').optional().isFloat({ min: 0 }).withMessage('Amount due must be a non-negative number.'),
         body('dueDate').optional().isISO8601().toDate().withMessage('Due date must be a valid date.'),
-        body('billingPeriod').optional().matches(/^\d{4}-\d{2}$/).withMessage('Billing period must be in YYYY-MM format.'),
+        body('billingPeriod').optional().matches(BILLING_PERIOD_LABEL_REGEX).withMessage('Billing period must be a valid period label (e.g. 2025-03, 2025-Q1, 2025-H1, 2025, 2025-W09).'),
         body('status').optional().isIn(PAYMENT_STATUS_ENUM).withMessage(`Invalid status. Must be one of: ${PAYMENT_STATUS_ENUM.join(', ')}`),
         body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters.'),
         body('reminderSent').optional().isBoolean().withMessage('Reminder sent must be a boolean value.'),
@@ -244,6 +299,40 @@ router.get(
     rentController.downloadPaymentProof
 );
 
+/**
+ * @route GET /api/rents/:id/receipt
+ * @desc Download the receipt for a payment (latest payment unless paymentId is given)
+ * @access Private (Landlord/Admin, PM, or Tenant associated with rent)
+ */
+router.get(
+    '/:id/receipt',
+    protect,
+    validateMongoId('id'),
+    [
+        query('paymentId').optional().isMongoId().withMessage('Payment ID must be a valid MongoDB ID.'),
+        validateResult
+    ],
+    rentController.getPaymentReceipt
+);
+
+/**
+ * @route POST /api/rents/:id/late-fees/:feeId/waive
+ * @desc Waive a late fee line item on a rent record
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.post(
+    '/:id/late-fees/:feeId/waive',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateMongoId('feeId'),
+    [
+        body('reason').notEmpty().withMessage('A reason is required to waive a late fee.').isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters.'),
+        validateResult
+    ],
+    rentController.waiveLateFee
+);
+
 /**
  * @route DELETE /api/rents/:id
  * @desc Delete a rent record
@@ -331,6 +420,20 @@ router.put(
     rentController.updateRentSchedule
 );
 
+/**
+ * @route PUT /api/rent-schedules/:id/escalation
+ * @desc Set the rent escalation rule for a rent schedule (overrides the lease's rule)
+ * @access Private (Landlord/Admin, PropertyManager)
+ */
+router.put(
+    '/rent-schedules/:id/escalation',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER),
+    validateMongoId('id'),
+    validateRentEscalation,
+    rentController.updateScheduleEscalation
+);
+
 /**
  * @route DELETE /api/rent-schedules/:id
  * @desc Delete a rent schedule
@@ -14,6 +14,7 @@ const {
     PAYMENT_STATUS_ENUM, 
     LEASE_STATUS_ENUM 
 } = require('../utils/constants/enums');
+const { REPORT_EXPORT_FORMATS } = require('../utils/reportExportUtils');
 const { query, body } = require('express-validator');
 
 // Middleware for common date validation
@@ -132,6 +133,97 @@ router.get(
     reportController.getLeaseExpiryReport
 );
 
+/**
+ * @route GET /api/reports/dunning
+ * @desc Get a report of where each tenant with overdue rent sits in the dunning sequence.
+ * @access Private (Admin, PropertyManager, Landlord)
+ */
+router.get(
+    '/dunning',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.PROPERTY_MANAGER, ROLE_ENUM.LANDLORD),
+    [
+        query('propertyId').optional().isMongoId().withMessage('Invalid Property ID format.'),
+        query('unitId').optional().isMongoId().withMessage('Invalid Unit ID format.'),
+        query('tenantId').optional().isMongoId().withMessage('Invalid Tenant ID format.'),
+        query('dunningStatus').optional().isIn(['not_started', 'active', 'completed', 'resolved', 'no_policy']).withMessage('Invalid dunning status filter. Must be one of: not_started, active, completed, resolved, no_policy'),
+        validateResult
+    ],
+    reportController.getDunningReport
+);
+
+/**
+ * @route GET /api/reports/receivables-aging
+ * @desc Get outstanding balances bucketed by days past due per tenant, unit or property.
+ * @access Private (Admin, PropertyManager, Landlord)
+ */
+router.get(
+    '/receivables-aging',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.PROPERTY_MANAGER, ROLE_ENUM.LANDLORD),
+    [
+        query('propertyId').optional().isMongoId().withMessage('Invalid Property ID format.'),
+        query('unitId').optional().isMongoId().withMessage('Invalid Unit ID format.'),
+        query('tenantId').optional().isMongoId().withMessage('Invalid Tenant ID format.'),
+        query('asOfDate').optional().isISO8601().toDate().withMessage('As of date must be a valid ISO 8601 date (YYYY-MM-DD).'),
+        query('groupBy').optional().isIn(['tenant', 'unit', 'property']).withMessage('Group by must be one of: tenant, unit, property'),
+        validateResult
+    ],
+    reportController.getReceivablesAgingReport
+);
+
+/**
+ * @route GET /api/reports/rent-roll
+ * @desc Get the rent roll for a property as of a date.
+ * @access Private (Admin, PropertyManager, Landlord)
+ */
+router.get(
+    '/rent-roll',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.PROPERTY_MANAGER, ROLE_ENUM.LANDLORD),
+    [
+        query('propertyId').notEmpty().withMessage('Property ID is required.').isMongoId().withMessage('Invalid Property ID format.'),
+        query('asOfDate').optional().isISO8601().toDate().withMessage('As of date must be a valid ISO 8601 date (YYYY-MM-DD).'),
+        validateResult
+    ],
+    reportController.getRentRollReport
+);
+
+/**
+ * @route GET /api/reports/budget-vs-actual
+ * @desc Get a property's expenses against its annual operating budget, by month and category.
+ * @access Private (Admin, PropertyManager, Landlord)
+ */
+router.get(
+    '/budget-vs-actual',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.PROPERTY_MANAGER, ROLE_ENUM.LANDLORD),
+    [
+        query('propertyId').notEmpty().withMessage('Property ID is required.').isMongoId().withMessage('Invalid Property ID format.'),
+        query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Year must be a valid year.'),
+        validateResult
+    ],
+    reportController.getBudgetVsActualReport
+);
+
+/**
+ * @route GET /api/reports/tax-summary
+ * @desc Get the VAT charged and tax withheld in a period by month, property and tax, for filing.
+ * @access Private (Admin, PropertyManager, Landlord)
+ */
+router.get(
+    '/tax-summary',
+    protect,
+    authorizeRoles(ROLE_ENUM.ADMIN, ROLE_ENUM.PROPERTY_MANAGER, ROLE_ENUM.LANDLORD),
+    [
+        query('propertyId').optional().isMongoId().withMessage('Invalid Property ID format.'),
+        query('startDate').optional().isISO8601().toDate().withMessage('Start date must be a valid ISO 8601 date (YYYY-MM-DD).'),
+        query('endDate').optional().isISO8601().toDate().withMessage('End date must be a valid ISO 8601 date (YYYY-MM-DD).'),
+        validateResult
+    ],
+    reportController.getTaxSummaryReport
+);
+
 /**
  * @route POST /api/reports/document
  * @desc Generate a document from a report
@@ -155,7 +247,7 @@ router.post(
 
 /**
  * @route GET /api/reports/export
- * @desc Export a report as a PDF or CSV.
+ * @desc Export a report as CSV, PDF or XLSX.
  * @access Private (Admin, PropertyManager, Landlord)
  */
 router.get(
@@ -165,11 +257,11 @@ router.get(
     [
         query('type')
             .notEmpty().withMessage('Report type is required.')
-            .isIn(['maintenance_summary', 'vendor_performance', 'common_issues', 'rent_collection', 'lease_expiry'])
+            .isIn(['maintenance_summary', 'vendor_performance', 'common_issues', 'rent_collection', 'lease_expiry', 'dunning', 'receivables_aging', 'rent_roll', 'budget_vs_actual', 'tax_summary'])
             .withMessage('Invalid report type.'),
         query('format')
             .notEmpty().withMessage('Export format is required.')
-            .isIn(['csv', 'pdf']).withMessage('Invalid export format. Must be "csv" or "pdf".'),
+            .isIn(REPORT_EXPORT_FORMATS).withMessage(`Invalid export format. Must be one of: ${REPORT_EXPORT_FORMATS.join(', ')}.`),
         query('propertyId').optional().isMongoId().withMessage('Invalid Property ID format.'),
         query('status').optional().isString().trim().withMessage('Status filter must be a string.'),
         query('category').optional().isString().trim().withMessage('Category filter must be a string.'),
@@ -183,6 +275,10 @@ router.get(
         query('endDate').optional().isISO8601().toDate().withMessage('End date must be a valid ISO 8601 date (YYYY-MM-DD).'),
         query('expiryStartDate').optional().isISO8601().toDate().withMessage('Expiry start date must be a valid ISO 8601 date (YYYY-MM-DD).'),
         query('expiryEndDate').optional().isISO8601().toDate().withMessage('Expiry end date must be a valid ISO 8601 date (YYYY-MM-DD).'),
+        query('dunningStatus').optional().isString().trim().withMessage('Dunning status filter must be a string.'),
+        query('asOfDate').optional().isISO8601().toDate().withMessage('As of date must be a valid ISO 8601 date (YYYY-MM-DD).'),
+        query('groupBy').optional().isIn(['tenant', 'unit', 'property']).withMessage('Group by must be one of: tenant, unit, property'),
+        query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Year must be a valid year.'),
         validateResult
     ],
     reportController.exportReport
@@ -9,9 +9,16 @@ const morgan = require('morgan');
 const connectDB = require('./config/db');
 const path = require('path');
 const { errorHandler } = require('./middleware/errorMiddleware'); // Ensure this is imported
-
-// Connect to MongoDB
-connectDB();
+const jobService = require('./services/jobService');
+const logger = require('./utils/logger');
+
+// Connect to MongoDB, then start background jobs (set JOBS_ENABLED=false to run an API-only instance)
+connectDB().then(() => {
+    if (process.env.NODE_ENV !== 'test' && process.env.JOBS_ENABLED !== 'false') {
+        jobService.startScheduler()
+            .catch(error => logger.error(`Failed to start job scheduler: ${error.message}`));
+    }
+});
 
 const app = express(); // Initialize Express app FIRST
 
@@ -35,7 +42,10 @@ app.use(helmet()); // Sets various HTTP headers for security
 app.use(morgan('dev')); // HTTP request logger
 
 // 4. Body Parsers - REQUIRED to parse JSON and URL-encoded data from requests
-app.use(express.json()); // Parses incoming JSON requests
+app.use(express.json({
+    // Keep the raw body so payment webhooks can verify provider signatures
+    verify: (req, res, buf) => { req.rawBody = buf; }
+})); // Parses incoming JSON requests
 app.use(express.urlencoded({ extended: false })); // Parses incoming URL-encoded requests
 
 // 5. Rate Limiting
@@ -71,6 +81,15 @@ const adminRoutes = require('./routes/adminRoutes');
 const auditLogRoutes = require('./routes/auditLogRoutes');
 const frontendLogRoutes = require('./routes/frontendLogRoutes');
 const dashboardRoutes = require('./routes/dashboardRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const reconciliationRoutes = require('./routes/reconciliationRoutes');
+const invoiceRoutes = require('./routes/invoiceRoutes');
+const billRoutes = require('./routes/billRoutes');
+const expenseRoutes = require('./routes/expenseRoutes');
+const ownerStatementRoutes = require('./routes/ownerStatementRoutes');
+const meterRoutes = require('./routes/meterRoutes');
+const leaseTemplateRoutes = require('./routes/leaseTemplateRoutes');
+const inspectionRoutes = require('./routes/inspectionRoutes');
 
 // =========================================================
 // MOUNT ROUTES - AFTER all general middleware
@@ -88,6 +107,15 @@ app.use('/api/properties', propertyRoutes);
 app.use('/api/units', unitRoutes);
 app.use('/api/leases', leaseRoutes);
 app.use('/api/rents', rentRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/bills', billRoutes);
+app.use('/api/expenses', expenseRoutes);
+app.use('/api/owner-statements', ownerStatementRoutes);
+app.use('/api/meters', meterRoutes);
+app.use('/api/lease-templates', leaseTemplateRoutes);
+app.use('/api/inspections', inspectionRoutes);
 app.use('/api/requests', requestRoutes);
 app.use('/api/scheduled-maintenance', scheduledMaintenanceRoutes);
 app.use('/api/users', userRoutes);
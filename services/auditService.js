@@ -21,9 +21,11 @@ const AppError = require('../utils/AppError');
  * @param {string} [logData.status='success'] - The status of the action (success/failure)
  * @param {string|null} [logData.errorMessage] - Error message if status is 'failure'
  * @param {string|null} [logData.description] - Human-readable description of the action
+ * @param {object} [options] - Write options
+ * @param {object} [options.session] - MongoDB session, so the entry commits or rolls back with the change it records
  * @returns {Promise<object|null>} The created audit log entry, or null if creation failed
  */
-const createAuditLog = async (logData) => {
+const createAuditLog = async (logData, options = {}) => {
     try {
         // Validate required fields
         if (!logData.action) {
@@ -47,7 +49,7 @@ const createAuditLog = async (logData) => {
             description: typeof logData.description === 'string' ? logData.description : null,
         });
 
-        const savedEntry = await auditLogEntry.save();
+        const savedEntry = await auditLogEntry.save({ session: options.session || null });
         
         logger.info(
             `Audit Log: Action '${savedEntry.action}' by ${
@@ -217,9 +219,11 @@ const getResourceHistory = async (resourceType, resourceId, options = {}) => {
  * @param {object|null} [context.newValue] - New state
  * @param {string|null} [context.description] - Description of the action
  * @param {object} [context.metadata] - Additional metadata
+ * @param {object} [options] - Write options
+ * @param {object} [options.session] - MongoDB session of the transaction making the change
  * @returns {Promise<object|null>} The created audit log entry or null if creation failed
  */
-const logActivity = async (action, resourceType, resourceId, context = {}) => {
+const logActivity = async (action, resourceType, resourceId, context = {}, options = {}) => {
     const logData = {
         action,
         resourceType,
@@ -236,7 +240,7 @@ const logActivity = async (action, resourceType, resourceId, context = {}) => {
         externalUserIdentifier: context.externalUserIdentifier || null,
     };
     
-    return await createAuditLog(logData);
+    return await createAuditLog(logData, options);
 };
 
 /**
@@ -0,0 +1,521 @@
+// src/services/billService.js
+
+const mongoose = require('mongoose');
+const Bill = require('../models/bill');
+const Vendor = require('../models/vendor');
+const Request = require('../models/request');
+const Unit = require('../models/unit');
+const Media = require('../models/media');
+const PropertyUser = require('../models/propertyUser');
+const auditService = require('./auditService');
+const { uploadFile } = require('../utils/fileUpload');
+const { calculateTotals } = require('../utils/invoiceUtils');
+const { roundCurrency } = require('../utils/lateFeeUtils');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    PROPERTY_USER_ROLES_ENUM,
+    BILL_STATUS_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+/**
+ * Helper to check if a user has management permission for a given property
+ * @param {Object} user - The authenticated user
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkPropertyManagementPermission = async (user, propertyId) => {
+    try {
+        if (user.role === ROLE_ENUM.ADMIN) {
+            return true; // Admin has global access
+        }
+
+        const hasAccess = await PropertyUser.exists({
+            user: user._id,
+            property: propertyId,
+            isActive: true,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]}
+        });
+
+        return !!hasAccess;
+    } catch (error) {
+        logger.error(`BillService - Error checking property management permission: ${error.message}`, {
+            userId: user?._id,
+            propertyId
+        });
+        return false; // Fail safely
+    }
+};
+
+/**
+ * Loads a bill and checks the user manages its property
+ * @param {string} billId - Bill ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} action - What the user is trying to do, for the error message
+ * @param {Object} [session] - MongoDB session
+ * @returns {Promise<Object>} Bill document
+ * @throws {AppError} If bill not found or unauthorized
+ */
+const loadManagedBill = async (billId, currentUser, action, session = null) => {
+    const bill = await Bill.findById(billId).session(session);
+    if (!bill) {
+        throw new AppError('Bill not found.', 404);
+    }
+
+    const isAuthorized = await checkPropertyManagementPermission(currentUser, bill.property);
+    if (!isAuthorized) {
+        throw new AppError(`Not authorized to ${action}.`, 403);
+    }
+
+    return bill;
+};
+
+/**
+ * Populates a bill for API responses
+ * @param {string} billId - Bill ID
+ * @returns {Promise<Object>} Populated bill
+ */
+const findPopulatedBill = (billId) => Bill.findById(billId)
+    .populate('vendor', 'name companyName email phone')
+    .populate('property', 'name')
+    .populate('unit', 'unitName')
+    .populate('request', 'title status')
+    .populate('attachments', 'url originalname mimeType')
+    .populate('rechargeInvoice', 'invoiceNumber amount status')
+    .populate('createdBy', 'firstName lastName email');
+
+/**
+ * Records a vendor bill for a property, optionally for a maintenance request
+ * @param {Object} billData - Bill details
+ * @param {string} billData.billNumber - The vendor's bill number
+ * @param {string} billData.vendorId - Vendor
+ * @param {string} billData.propertyId - Property
+ * @param {string} [billData.unitId] - Unit
+ * @param {string} [billData.requestId] - Maintenance request the bill is for
+ * @param {Array<Object>|string} billData.items - Line items (JSON string for multipart requests)
+ * @param {Date} billData.dueDate - Due date
+ * @param {Date} [billData.billDate] - Bill date
+ * @param {string} [billData.currency='UGX'] - Currency
+ * @param {string} [billData.notes] - Notes
+ * @param {Array<Object>} [files=[]] - Uploaded copies of the bill
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Created bill
+ * @throws {AppError} If validation fails or unauthorized
+ */
+const createBill = async (billData, files = [], currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { billNumber, vendorId, propertyId, unitId, requestId, dueDate } = billData;
+
+        if (!billNumber || !vendorId || !propertyId || !dueDate) {
+            throw new AppError('Bill number, vendor, property and due date are required.', 400);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, propertyId);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to record bills for this property.', 403);
+        }
+
+        const vendor = await Vendor.findById(vendorId).session(session);
+        if (!vendor) {
+            throw new AppError('Vendor not found.', 404);
+        }
+
+        if (unitId) {
+            const unitExists = await Unit.exists({ _id: unitId, property: propertyId }).session(session);
+            if (!unitExists) {
+                throw new AppError('Unit not found in the specified property.', 404);
+            }
+        }
+
+        if (requestId) {
+            const request = await Request.findById(requestId).session(session);
+            if (!request || request.property.toString() !== propertyId.toString()) {
+                throw new AppError('Maintenance request not found for this property.', 404);
+            }
+        }
+
+        const duplicate = await Bill.exists({ vendor: vendorId, billNumber: billNumber.trim() }).session(session);
+        if (duplicate) {
+            throw new AppError(`Bill ${billNumber} from this vendor has already been recorded.`, 409);
+        }
+
+        const items = typeof billData.items === 'string' ? JSON.parse(billData.items) : billData.items;
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new AppError('At least one line item is required.', 400);
+        }
+        const totals = calculateTotals(items);
+
+        const bill = new Bill({
+            billNumber: billNumber.trim(),
+            vendor: vendorId,
+            property: propertyId,
+            unit: unitId || null,
+            request: requestId || null,
+            items: totals.items,
+            currency: billData.currency || 'UGX',
+            subtotal: totals.subtotal,
+            taxTotal: totals.taxTotal,
+            amount: totals.total,
+            billDate: billData.billDate ? new Date(billData.billDate) : new Date(),
+            dueDate: new Date(dueDate),
+            notes: billData.notes,
+            createdBy: currentUser._id
+        });
+
+        // Upload copies of the vendor's bill
+        for (const file of files || []) {
+            try {
+                const uploadResult = await uploadFile(
+                    file.buffer,
+                    file.mimetype,
+                    file.originalname,
+                    'bills'
+                );
+
+                const mediaDoc = new Media({
+                    filename: file.originalname,
+                    originalname: file.originalname,
+                    mimeType: file.mimetype,
+                    size: file.size,
+                    url: uploadResult.url,
+                    thumbnailUrl: uploadResult.thumbnailUrl || null,
+                    uploadedBy: currentUser._id,
+                    relatedTo: 'Bill',
+                    relatedId: bill._id,
+                    description: `Vendor bill ${bill.billNumber}`,
+                    tags: ['bill', 'vendor'],
+                    isPublic: false
+                });
+
+                await mediaDoc.save({ session });
+                bill.attachments.push(mediaDoc._id);
+            } catch (error) {
+                throw new AppError(`Failed to upload bill attachment: ${error.message}`, 500);
+            }
+        }
+
+        await bill.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.BILL_CREATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Bill,
+            bill._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Bill ${bill.billNumber} from ${vendor.name} for ${bill.currency} ${bill.amount.toLocaleString()} recorded by ${currentUser.email}.`,
+                status: 'success',
+                newValue: bill.toObject(),
+                metadata: { propertyId, vendorId, requestId }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`BillService: Bill ${bill.billNumber} recorded for property ${propertyId} by ${currentUser.email}.`);
+
+        return findPopulatedBill(bill._id);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`BillService - Error creating bill: ${error.message}`, {
+            userId: currentUser?._id,
+            propertyId: billData?.propertyId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to create bill: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Gets bills for the properties the user manages
+ * @param {Object} currentUser - The authenticated user
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.propertyId] - Filter by property
+ * @param {string} [filters.vendorId] - Filter by vendor
+ * @param {string} [filters.requestId] - Filter by maintenance request
+ * @param {string} [filters.status] - Filter by status
+ * @param {Date} [filters.startDate] - Due on or after
+ * @param {Date} [filters.endDate] - Due on or before
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=10] - Items per page
+ * @returns {Promise<Object>} Paginated bills
+ * @throws {AppError} If unauthorized
+ */
+const getAllBills = async (currentUser, filters = {}, page = 1, limit = 10) => {
+    try {
+        const query = {};
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        if (currentUser.role !== ROLE_ENUM.ADMIN) {
+            const userAssociatedProperties = await PropertyUser.find({
+                user: currentUser._id,
+                roles: { $in: [
+                    PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                    PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                    PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+                ]},
+                isActive: true
+            }).distinct('property');
+
+            if (userAssociatedProperties.length === 0) {
+                return { bills: [], total: 0, page: parseInt(page), limit: parseInt(limit), pages: 0 };
+            }
+
+            query.property = { $in: userAssociatedProperties };
+        }
+
+        if (filters.propertyId) {
+            const hasAccess = await checkPropertyManagementPermission(currentUser, filters.propertyId);
+            if (!hasAccess) {
+                throw new AppError('Not authorized to filter by this property.', 403);
+            }
+            query.property = filters.propertyId;
+        }
+        if (filters.vendorId) {
+            query.vendor = filters.vendorId;
+        }
+        if (filters.requestId) {
+            query.request = filters.requestId;
+        }
+        if (filters.status) {
+            if (!BILL_STATUS_ENUM.includes(filters.status)) {
+                throw new AppError(`Invalid status filter: ${filters.status}. Allowed values: ${BILL_STATUS_ENUM.join(', ')}`, 400);
+            }
+            query.status = filters.status;
+        }
+        if (filters.startDate || filters.endDate) {
+            query.dueDate = {};
+            if (filters.startDate) {
+                query.dueDate.$gte = new Date(filters.startDate);
+            }
+            if (filters.endDate) {
+                query.dueDate.$lte = new Date(filters.endDate);
+            }
+        }
+
+        const [bills, total] = await Promise.all([
+            Bill.find(query)
+                .populate('vendor', 'name companyName')
+                .populate('property', 'name')
+                .populate('unit', 'unitName')
+                .populate('request', 'title')
+                .sort({ dueDate: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            Bill.countDocuments(query)
+        ]);
+
+        return {
+            bills,
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            pages: Math.ceil(total / parseInt(limit))
+        };
+    } catch (error) {
+        logger.error(`BillService - Error getting bills: ${error.message}`, {
+            userId: currentUser?._id,
+            filters
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get bills: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Gets a bill by ID
+ * @param {string} billId - Bill ID
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Object>} Bill
+ * @throws {AppError} If not found or unauthorized
+ */
+const getBillById = async (billId, currentUser) => {
+    try {
+        await loadManagedBill(billId, currentUser, 'view this bill');
+        return findPopulatedBill(billId);
+    } catch (error) {
+        logger.error(`BillService - Error getting bill: ${error.message}`, {
+            userId: currentUser?._id,
+            billId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get bill: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Records a payment made to the vendor against a bill
+ * @param {string} billId - Bill ID
+ * @param {Object} paymentData - Payment details
+ * @param {number} paymentData.amount - Amount paid
+ * @param {Date} [paymentData.paymentDate=new Date()] - Payment date
+ * @param {string} [paymentData.paymentMethod] - Payment method
+ * @param {string} [paymentData.transactionId] - Transaction reference
+ * @param {string} [paymentData.notes] - Notes
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Updated bill
+ * @throws {AppError} If the payment exceeds the balance or unauthorized
+ */
+const recordBillPayment = async (billId, paymentData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const bill = await loadManagedBill(billId, currentUser, 'record payments on this bill', session);
+
+        if (['paid', 'void'].includes(bill.status)) {
+            throw new AppError(`Bill is already ${bill.status}.`, 400);
+        }
+
+        const amount = paymentData.amount !== undefined ? roundCurrency(parseFloat(paymentData.amount)) : bill.balance;
+        if (!(amount > 0)) {
+            throw new AppError('Payment amount must be greater than zero.', 400);
+        }
+        if (amount > bill.balance) {
+            throw new AppError(`Payment exceeds the bill balance (${bill.currency} ${bill.balance.toLocaleString()}).`, 400);
+        }
+
+        const oldValue = { amountPaid: bill.amountPaid, status: bill.status };
+
+        bill.payments.push({
+            amount,
+            paymentMethod: paymentData.paymentMethod,
+            paymentDate: paymentData.paymentDate ? new Date(paymentData.paymentDate) : new Date(),
+            transactionId: paymentData.transactionId,
+            notes: paymentData.notes,
+            recordedBy: currentUser._id
+        });
+        bill.amountPaid = roundCurrency(bill.amountPaid + amount);
+        bill.status = bill.amountPaid >= bill.amount ? 'paid' : 'partially_paid';
+        bill.updatedBy = currentUser._id;
+        await bill.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.BILL_PAID,
+            AUDIT_RESOURCE_TYPE_ENUM.Bill,
+            bill._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Payment of ${bill.currency} ${amount.toLocaleString()} recorded on bill ${bill.billNumber} by ${currentUser.email}.`,
+                status: 'success',
+                oldValue,
+                newValue: { amountPaid: bill.amountPaid, status: bill.status },
+                metadata: { paymentMethod: paymentData.paymentMethod, transactionId: paymentData.transactionId }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`BillService: Payment of ${amount} recorded on bill ${bill.billNumber} by ${currentUser.email}.`);
+
+        return findPopulatedBill(bill._id);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`BillService - Error recording bill payment: ${error.message}`, {
+            userId: currentUser?._id,
+            billId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to record bill payment: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Voids a bill entered in error. Bills with payments or an active recharge invoice cannot be voided.
+ * @param {string} billId - Bill ID
+ * @param {string} reason - Why the bill is void
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Void bill
+ * @throws {AppError} If the bill cannot be voided or unauthorized
+ */
+const voidBill = async (billId, reason, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const bill = await loadManagedBill(billId, currentUser, 'void this bill', session);
+
+        if (!reason || !reason.trim()) {
+            throw new AppError('A reason is required to void a bill.', 400);
+        }
+        if (bill.status === 'void') {
+            throw new AppError('Bill is already void.', 400);
+        }
+        if (bill.amountPaid > 0) {
+            throw new AppError('A bill with payments against it cannot be voided.', 400);
+        }
+        if (bill.rechargeInvoice) {
+            throw new AppError('This bill has been recharged to a tenant; void the invoice first.', 400);
+        }
+
+        const oldStatus = bill.status;
+        bill.status = 'void';
+        bill.voidedAt = new Date();
+        bill.voidReason = reason.trim();
+        bill.updatedBy = currentUser._id;
+        await bill.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.BILL_VOIDED,
+            AUDIT_RESOURCE_TYPE_ENUM.Bill,
+            bill._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Bill ${bill.billNumber} voided by ${currentUser.email}: ${bill.voidReason}`,
+                status: 'success',
+                oldValue: { status: oldStatus },
+                newValue: { status: bill.status, voidReason: bill.voidReason }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`BillService: Bill ${bill.billNumber} voided by ${currentUser.email}.`);
+
+        return findPopulatedBill(bill._id);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`BillService - Error voiding bill: ${error.message}`, {
+            userId: currentUser?._id,
+            billId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to void bill: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+module.exports = {
+    createBill,
+    getAllBills,
+    getBillById,
+    recordBillPayment,
+    voidBill
+};
@@ -1,6 +1,7 @@
 // src/services/documentGenerationService.js
 
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs/promises');
 const os = require('os');
 const pdfkit = require('pdfkit');
@@ -77,6 +78,7 @@ const generateAndUploadDocument = async (documentType, data, options = {}) => {
     pdfBuffer = await new Promise((resolve, reject) => {
       const doc = new pdfkit({ 
         margins: { top: 50, bottom: 50, left: 50, right: 50 },
+        bufferPages: true, // Templates go back over every page to add footers
         info: {
           Title: `${documentType.replace(/_/g, ' ').toUpperCase()} - LeaseLogix`,
           Author: 'LeaseLogix System',
@@ -135,7 +137,8 @@ const generateAndUploadDocument = async (documentType, data, options = {}) => {
       relatedId: options.relatedResourceId || null,
       description: `Auto-generated ${documentType.replace(/_/g, ' ')} document.`,
       tags: [documentType, 'auto-generated', options.relatedResourceType || 'document'],
-      isPublic: false
+      isPublic: false,
+      checksum: crypto.createHash('sha256').update(pdfBuffer).digest('hex')
     });
 
     await mediaDoc.save({ session });
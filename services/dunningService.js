@@ -0,0 +1,411 @@
+// src/services/dunningService.js
+
+const Rent = require('../models/rent');
+const Property = require('../models/property');
+const PropertyUser = require('../models/propertyUser');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const documentGenerationService = require('./documentGenerationService');
+const { sortDunningSteps, planDunningStep } = require('../utils/dunningUtils');
+const { roundCurrency } = require('../utils/lateFeeUtils');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    PROPERTY_USER_ROLES_ENUM,
+    DUNNING_CHANNEL_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+/**
+ * Helper to check if a user has management permission for a given property
+ * @param {Object} user - The authenticated user
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkPropertyManagementPermission = async (user, propertyId) => {
+    try {
+        if (user.role === ROLE_ENUM.ADMIN) {
+            return true; // Admin has global access
+        }
+
+        const hasAccess = await PropertyUser.exists({
+            user: user._id,
+            property: propertyId,
+            isActive: true,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]}
+        });
+
+        return !!hasAccess;
+    } catch (error) {
+        logger.error(`DunningService - Error checking property management permission: ${error.message}`, {
+            userId: user?._id,
+            propertyId
+        });
+        return false; // Fail safely
+    }
+};
+
+/**
+ * Builds the property filter for a dunning run
+ * @param {Object} currentUser - The authenticated user (or the scheduler's system actor)
+ * @param {Object} filters - Optional filters: propertyId
+ * @returns {Promise<Object>} Query conditions on the rent's property
+ * @throws {AppError} If unauthorized
+ */
+const buildPropertyScope = async (currentUser, filters) => {
+    if (filters.propertyId) {
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, filters.propertyId);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to run dunning for this property.', 403);
+        }
+        return { property: filters.propertyId };
+    }
+
+    if (currentUser.role !== ROLE_ENUM.ADMIN) {
+        const managedProperties = await PropertyUser.find({
+            user: currentUser._id,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]},
+            isActive: true
+        }).distinct('property');
+
+        return { property: { $in: managedProperties } };
+    }
+
+    return {};
+};
+
+/**
+ * Renders the formal notice PDF for a dunning step
+ * @param {Object} rent - Populated rent document
+ * @param {Object} step - Dunning step being sent
+ * @param {number} daysOverdue - Days past the due date
+ * @param {Date} noticeDate - Date of the notice
+ * @param {Object} currentUser - The authenticated user (or the scheduler's system actor)
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Media document for the notice
+ */
+const renderFormalNotice = async (rent, step, daysOverdue, noticeDate, currentUser, ipAddress) => {
+    // Scheduled runs have no user, so the notice is filed under the lease's landlord
+    const issuerId = currentUser._id || rent.lease?.landlord;
+
+    return documentGenerationService.generateAndUploadDocument(
+        'dunning_notice',
+        {
+            tenantName: `${rent.tenant?.firstName || ''} ${rent.tenant?.lastName || ''}`.trim() || 'Tenant',
+            propertyName: rent.property?.name,
+            propertyAddress: rent.property?.address,
+            unitName: rent.unit?.unitName,
+            billingPeriod: rent.billingPeriod,
+            dueDate: rent.dueDate,
+            noticeDate,
+            currency: rent.currency,
+            amountDue: rent.amountDue,
+            charges: rent.charges,
+            taxTotal: rent.taxTotal,
+            withholdingTotal: rent.withholdingTotal,
+            lateFeeTotal: rent.lateFeeTotal,
+            amountPaid: rent.amountPaid,
+            balance: roundCurrency(rent.balanceDue),
+            daysOverdue,
+            message: step.message,
+            previousNotices: rent.dunning?.history || [],
+            issuedBy: rent.property?.name ? `Management, ${rent.property.name}` : null
+        },
+        {
+            relatedResourceType: 'Rent',
+            relatedResourceId: rent._id,
+            userId: issuerId,
+            ipAddress,
+            userName: `${currentUser.firstName || ''} ${currentUser.lastName || ''}`.trim()
+        }
+    );
+};
+
+/**
+ * Marks the dunning sequence resolved on rent records that have been settled by a path
+ * that bypasses the model's save hook (e.g. bulk updates).
+ * @param {Object} scope - Property filter from buildPropertyScope
+ * @param {Object} currentUser - The authenticated user (or the scheduler's system actor)
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<number>} Number of sequences resolved
+ */
+const resolveSettledSequences = async (scope, currentUser, ipAddress) => {
+    const settled = await Rent.find({
+        ...scope,
+        'dunning.status': 'active',
+        status: { $in: ['paid', 'waived'] }
+    }).select('_id status');
+
+    for (const rent of settled) {
+        await Rent.updateOne(
+            { _id: rent._id },
+            { $set: { 'dunning.status': 'resolved', 'dunning.resolvedAt': new Date() } }
+        );
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.DUNNING_RESOLVED,
+            AUDIT_RESOURCE_TYPE_ENUM.Rent,
+            rent._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Dunning sequence for rent ${rent._id} stopped because the record is ${rent.status}.`,
+                status: 'success'
+            }
+        );
+    }
+
+    return settled.length;
+};
+
+/**
+ * Sends the next due step of each property's dunning sequence for overdue rent.
+ * Safe to run repeatedly (e.g. daily from the job scheduler): each step is sent at most once
+ * per rent record, and sequences stop once the record is paid or waived.
+ * @param {Date} [asOfDate=new Date()] - Date to run the sequence for
+ * @param {Object} currentUser - The authenticated user (or the scheduler's system actor)
+ * @param {string} ipAddress - Request IP address
+ * @param {Object} [filters={}] - Optional filters: propertyId, leaseId
+ * @returns {Promise<Object>} Counts of processed, sent, resolved, skipped and failed rent records
+ * @throws {AppError} If unauthorized
+ */
+const processDunning = async (asOfDate = new Date(), currentUser, ipAddress, filters = {}) => {
+    try {
+        const targetDate = new Date(asOfDate);
+        const scope = await buildPropertyScope(currentUser, filters);
+
+        const results = {
+            processed: 0,
+            sent: 0,
+            resolved: 0,
+            skipped: 0,
+            failed: 0,
+            details: []
+        };
+
+        results.resolved = await resolveSettledSequences(scope, currentUser, ipAddress);
+
+        const query = {
+            ...scope,
+            isActive: { $ne: false },
+            status: { $in: ['due', 'overdue', 'partially_paid'] },
+            dueDate: { $lt: targetDate }
+        };
+        if (filters.leaseId) {
+            query.lease = filters.leaseId;
+        }
+
+        const rents = await Rent.find(query)
+            .populate('property', 'name address dunningPolicy')
+            .populate('unit', 'unitName')
+            .populate('tenant', 'firstName lastName email phone')
+            .populate('lease', 'landlord');
+
+        for (const rent of rents) {
+            results.processed++;
+
+            if (rent.balanceDue <= 0) {
+                results.skipped++;
+                continue;
+            }
+
+            const plan = planDunningStep(rent.property?.dunningPolicy, rent, targetDate);
+            if (!plan) {
+                results.skipped++;
+                continue;
+            }
+
+            if (!rent.tenant) {
+                results.skipped++;
+                results.details.push({ rent: rent._id, status: 'skipped', reason: 'No tenant on the rent record' });
+                continue;
+            }
+
+            const { step, stepIndex, daysOverdue } = plan;
+            const rentLink = `${FRONTEND_URL}/rents/${rent._id}`;
+
+            try {
+                let document = null;
+                if (step.channel === 'formal_notice') {
+                    document = await renderFormalNotice(rent, step, daysOverdue, targetDate, currentUser, ipAddress);
+                }
+
+                await notificationService.sendDunningNotice({
+                    rent,
+                    step,
+                    tenant: rent.tenant,
+                    property: rent.property,
+                    unit: rent.unit,
+                    daysOverdue,
+                    documentLink: document?.url,
+                    rentLink
+                });
+
+                let escalated = false;
+                if (step.escalateToLandlord) {
+                    try {
+                        await notificationService.sendDunningEscalation({
+                            rent,
+                            step,
+                            tenant: rent.tenant,
+                            property: rent.property,
+                            unit: rent.unit,
+                            daysOverdue,
+                            rentLink
+                        });
+                        escalated = true;
+                    } catch (escalationError) {
+                        logger.warn(`DunningService: Failed to escalate rent ${rent._id} to the landlord: ${escalationError.message}`);
+                        // The tenant has been notified, so record the step anyway
+                    }
+                }
+
+                const entry = {
+                    stepIndex,
+                    name: step.name,
+                    channel: step.channel,
+                    daysOverdue,
+                    balance: roundCurrency(rent.balanceDue),
+                    sentAt: new Date(),
+                    document: document?._id || null,
+                    escalated
+                };
+
+                await Rent.updateOne(
+                    { _id: rent._id },
+                    {
+                        $push: { 'dunning.history': entry },
+                        $set: {
+                            'dunning.status': 'active',
+                            reminderSent: true,
+                            lastReminderDate: entry.sentAt,
+                            ...(rent.status === 'due' ? { status: 'overdue' } : {})
+                        }
+                    }
+                );
+
+                await auditService.logActivity(
+                    AUDIT_ACTION_ENUM.DUNNING_STEP_SENT,
+                    AUDIT_RESOURCE_TYPE_ENUM.Rent,
+                    rent._id,
+                    {
+                        userId: currentUser._id,
+                        ipAddress,
+                        description: `Dunning step "${step.name}" (${step.channel}) sent for rent ${rent._id}, ${daysOverdue} day(s) overdue.`,
+                        status: 'success',
+                        metadata: { ...entry, skippedSteps: plan.skipped }
+                    }
+                );
+
+                results.sent++;
+                results.details.push({ rent: rent._id, status: 'sent', step: step.name, channel: step.channel, escalated });
+            } catch (error) {
+                results.failed++;
+                results.details.push({ rent: rent._id, status: 'failed', step: step.name, reason: error.message });
+                logger.error(`DunningService - Error sending dunning step "${step.name}" for rent ${rent._id}: ${error.message}`);
+            }
+        }
+
+        logger.info(`DunningService: Sent ${results.sent} dunning step(s) for ${results.processed} overdue rent record(s); ${results.resolved} sequence(s) resolved.`);
+
+        return results;
+    } catch (error) {
+        logger.error(`DunningService - Error processing dunning: ${error.message}`, {
+            userId: currentUser?._id,
+            filters
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to process dunning: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Sets the dunning sequence for a property. Steps are stored in order of days overdue.
+ * @param {string} propertyId - Property ID
+ * @param {Object} policyData - Policy fields (see DunningPolicySchema)
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The saved policy
+ * @throws {AppError} If property not found, policy invalid, or unauthorized
+ */
+const updateDunningPolicy = async (propertyId, policyData, currentUser, ipAddress) => {
+    try {
+        const property = await Property.findById(propertyId);
+        if (!property) {
+            throw new AppError('Property not found.', 404);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, property._id);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to change the dunning policy.', 403);
+        }
+
+        const oldPolicy = property.dunningPolicy ? property.dunningPolicy.toObject() : null;
+        const steps = policyData.steps !== undefined ? policyData.steps : (oldPolicy?.steps || []);
+
+        for (const step of steps) {
+            if (!DUNNING_CHANNEL_ENUM.includes(step.channel)) {
+                throw new AppError(`Invalid dunning channel. Must be one of: ${DUNNING_CHANNEL_ENUM.join(', ')}`, 400);
+            }
+        }
+
+        const days = steps.map(step => Number(step.daysOverdue));
+        if (new Set(days).size !== days.length) {
+            throw new AppError('Each dunning step must have a different number of days overdue.', 400);
+        }
+
+        const enabled = policyData.enabled !== undefined ? policyData.enabled : (oldPolicy?.enabled || false);
+        if (enabled && steps.length === 0) {
+            throw new AppError('An enabled dunning policy needs at least one step.', 400);
+        }
+
+        property.dunningPolicy = {
+            enabled,
+            steps: sortDunningSteps(steps)
+        };
+        property.updatedBy = currentUser._id;
+
+        await property.save();
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.DUNNING_POLICY_UPDATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Property,
+            property._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Dunning policy for property ${property._id} updated by ${currentUser.email}.`,
+                status: 'success',
+                oldValue: oldPolicy,
+                newValue: property.dunningPolicy.toObject()
+            }
+        );
+
+        return property.dunningPolicy;
+    } catch (error) {
+        logger.error(`DunningService - Error updating dunning policy: ${error.message}`, {
+            userId: currentUser?._id,
+            propertyId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to update dunning policy: ${error.message}`, 500);
+    }
+};
+
+module.exports = {
+    processDunning,
+    updateDunningPolicy
+};
@@ -0,0 +1,715 @@
+// src/services/expenseService.js
+
+const mongoose = require('mongoose');
+const Expense = require('../models/expense');
+const Property = require('../models/property');
+const Vendor = require('../models/vendor');
+const Request = require('../models/request');
+const Unit = require('../models/unit');
+const Media = require('../models/media');
+const PropertyUser = require('../models/propertyUser');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const { uploadFile } = require('../utils/fileUpload');
+const { roundCurrency } = require('../utils/lateFeeUtils');
+const { getBudgetYearRange, getNewBudgetAlerts } = require('../utils/budgetUtils');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    PROPERTY_USER_ROLES_ENUM,
+    EXPENSE_CATEGORY_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+/**
+ * Helper to check if a user has management permission for a given property
+ * @param {Object} user - The authenticated user
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkPropertyManagementPermission = async (user, propertyId) => {
+    try {
+        if (user.role === ROLE_ENUM.ADMIN) {
+            return true; // Admin has global access
+        }
+
+        const hasAccess = await PropertyUser.exists({
+            user: user._id,
+            property: propertyId,
+            isActive: true,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]}
+        });
+
+        return !!hasAccess;
+    } catch (error) {
+        logger.error(`ExpenseService - Error checking property management permission: ${error.message}`, {
+            userId: user?._id,
+            propertyId
+        });
+        return false; // Fail safely
+    }
+};
+
+/**
+ * Loads an expense and checks the user manages its property
+ * @param {string} expenseId - Expense ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} action - What the user is trying to do, for the error message
+ * @param {Object} [session] - MongoDB session
+ * @returns {Promise<Object>} Expense document
+ * @throws {AppError} If expense not found or unauthorized
+ */
+const loadManagedExpense = async (expenseId, currentUser, action, session = null) => {
+    const expense = await Expense.findById(expenseId).session(session);
+    if (!expense) {
+        throw new AppError('Expense not found.', 404);
+    }
+
+    const isAuthorized = await checkPropertyManagementPermission(currentUser, expense.property);
+    if (!isAuthorized) {
+        throw new AppError(`Not authorized to ${action}.`, 403);
+    }
+
+    return expense;
+};
+
+/**
+ * Populates an expense for API responses
+ * @param {string} expenseId - Expense ID
+ * @returns {Promise<Object>} Populated expense
+ */
+const findPopulatedExpense = (expenseId) => Expense.findById(expenseId)
+    .populate('property', 'name')
+    .populate('unit', 'unitName')
+    .populate('vendor', 'name companyName')
+    .populate('request', 'title status')
+    .populate('receipts', 'url originalname mimeType')
+    .populate('createdBy', 'firstName lastName email');
+
+/**
+ * Checks the unit, vendor and maintenance request an expense is linked to
+ * @param {string} propertyId - Property the expense belongs to
+ * @param {Object} links - { unitId, vendorId, requestId }
+ * @param {Object} session - MongoDB session
+ * @throws {AppError} If a linked record does not exist or belongs to another property
+ */
+const validateExpenseLinks = async (propertyId, { unitId, vendorId, requestId }, session) => {
+    if (unitId) {
+        const unitExists = await Unit.exists({ _id: unitId, property: propertyId }).session(session);
+        if (!unitExists) {
+            throw new AppError('Unit not found in the specified property.', 404);
+        }
+    }
+
+    if (vendorId) {
+        const vendorExists = await Vendor.exists({ _id: vendorId }).session(session);
+        if (!vendorExists) {
+            throw new AppError('Vendor not found.', 404);
+        }
+    }
+
+    if (requestId) {
+        const request = await Request.findById(requestId).session(session);
+        if (!request || request.property.toString() !== propertyId.toString()) {
+            throw new AppError('Maintenance request not found for this property.', 404);
+        }
+    }
+};
+
+/**
+ * Uploads receipt files and attaches them to an expense
+ * @param {Object} expense - Expense document (not yet saved)
+ * @param {Array<Object>} files - Uploaded files
+ * @param {Object} currentUser - The authenticated user
+ * @param {Object} session - MongoDB session
+ * @throws {AppError} If an upload fails
+ */
+const attachReceipts = async (expense, files, currentUser, session) => {
+    for (const file of files || []) {
+        try {
+            const uploadResult = await uploadFile(
+                file.buffer,
+                file.mimetype,
+                file.originalname,
+                'expenses'
+            );
+
+            const mediaDoc = new Media({
+                filename: file.originalname,
+                originalname: file.originalname,
+                mimeType: file.mimetype,
+                size: file.size,
+                url: uploadResult.url,
+                thumbnailUrl: uploadResult.thumbnailUrl || null,
+                uploadedBy: currentUser._id,
+                relatedTo: 'Expense',
+                relatedId: expense._id,
+                description: `Receipt for ${expense.description}`,
+                tags: ['expense', 'receipt', expense.category],
+                isPublic: false
+            });
+
+            await mediaDoc.save({ session });
+            expense.receipts.push(mediaDoc._id);
+        } catch (error) {
+            throw new AppError(`Failed to upload expense receipt: ${error.message}`, 500);
+        }
+    }
+};
+
+/**
+ * Total spent against a property's budget in a calendar year (recorded expenses in the budget currency)
+ * @param {string} propertyId - Property ID
+ * @param {number} year - Budget year
+ * @param {string} currency - Budget currency
+ * @returns {Promise<number>} Amount spent
+ */
+const getYearToDateSpending = async (propertyId, year, currency) => {
+    const { start, end } = getBudgetYearRange(year);
+
+    const [result] = await Expense.aggregate([
+        {
+            $match: {
+                property: new mongoose.Types.ObjectId(propertyId),
+                status: 'recorded',
+                currency,
+                expenseDate: { $gte: start, $lte: end }
+            }
+        },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+
+    return roundCurrency(result?.total || 0);
+};
+
+/**
+ * Alerts a property's landlords and managers when spending for the year passes a threshold of the
+ * annual operating budget. Each threshold is alerted once per year; if several are passed at once
+ * (e.g. one large expense) a single alert names the highest.
+ * @param {string} propertyId - Property ID
+ * @param {number} [year=new Date().getFullYear()] - Budget year
+ * @returns {Promise<Array<number>>} Thresholds alerted
+ */
+const checkBudgetAlerts = async (propertyId, year = new Date().getFullYear()) => {
+    const property = await Property.findById(propertyId);
+    const policy = property?.budgetAlertPolicy;
+    if (!property || !policy?.enabled || !(property.annualOperatingBudget > 0)) {
+        return [];
+    }
+
+    const budget = property.annualOperatingBudget;
+    const spent = await getYearToDateSpending(property._id, year, policy.currency);
+    const thresholds = getNewBudgetAlerts(policy, { year, spent, budget });
+    if (thresholds.length === 0) {
+        return [];
+    }
+
+    const threshold = thresholds[thresholds.length - 1];
+
+    await notificationService.sendBudgetAlert({
+        property,
+        year,
+        threshold,
+        spent,
+        budget,
+        currency: policy.currency,
+        budgetLink: `${FRONTEND_URL}/properties/${property._id}/budget?year=${year}`
+    });
+
+    const sentAt = new Date();
+    await Property.updateOne(
+        { _id: property._id },
+        { $push: { 'budgetAlertPolicy.sent': { $each: thresholds.map(t => ({ year, threshold: t, spent, budget, sentAt })) } } }
+    );
+
+    await auditService.logActivity(
+        AUDIT_ACTION_ENUM.BUDGET_ALERT_SENT,
+        AUDIT_RESOURCE_TYPE_ENUM.Property,
+        property._id,
+        {
+            description: `Budget alert sent for ${property.name}: ${spent.toLocaleString()} ${policy.currency} spent in ${year}, passing ${threshold}% of the ${budget.toLocaleString()} budget.`,
+            status: 'success',
+            metadata: { year, thresholds, spent, budget, currency: policy.currency }
+        }
+    );
+
+    logger.info(`ExpenseService: Budget alert (${threshold}%) sent for property ${property._id}, year ${year}.`);
+
+    return thresholds;
+};
+
+/**
+ * Runs the budget alert check after spending or the policy changes, without failing the request that changed it
+ * @param {string} propertyId - Property ID
+ * @param {number} [year] - Budget year
+ */
+const checkBudgetAlertsSafely = async (propertyId, year) => {
+    try {
+        await checkBudgetAlerts(propertyId, year);
+    } catch (error) {
+        logger.error(`ExpenseService - Error checking budget alerts: ${error.message}`, {
+            propertyId,
+            year
+        });
+    }
+};
+
+/**
+ * Records a property expense, optionally for a maintenance request or paid to a vendor
+ * @param {Object} expenseData - Expense details
+ * @param {string} expenseData.propertyId - Property
+ * @param {string} [expenseData.unitId] - Unit
+ * @param {string} expenseData.category - Category from EXPENSE_CATEGORY_ENUM
+ * @param {string} expenseData.description - What the money was spent on
+ * @param {number} expenseData.amount - Amount spent
+ * @param {string} [expenseData.currency='UGX'] - Currency
+ * @param {Date} [expenseData.expenseDate=new Date()] - Date of the expense
+ * @param {string} [expenseData.vendorId] - Vendor paid
+ * @param {string} [expenseData.payee] - Payee, if not a registered vendor
+ * @param {string} [expenseData.requestId] - Maintenance request the expense is for
+ * @param {string} [expenseData.paymentMethod] - Payment method
+ * @param {string} [expenseData.reference] - Payment or receipt reference
+ * @param {string} [expenseData.notes] - Notes
+ * @param {Array<Object>} [files=[]] - Uploaded receipts
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Created expense
+ * @throws {AppError} If validation fails or unauthorized
+ */
+const createExpense = async (expenseData, files = [], currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let expense;
+    try {
+        const { propertyId, unitId, vendorId, requestId, category, description, amount } = expenseData;
+
+        if (!propertyId || !category || !description || amount === undefined) {
+            throw new AppError('Property, category, description and amount are required.', 400);
+        }
+        if (!EXPENSE_CATEGORY_ENUM.includes(category)) {
+            throw new AppError(`Invalid expense category. Must be one of: ${EXPENSE_CATEGORY_ENUM.join(', ')}`, 400);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, propertyId);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to record expenses for this property.', 403);
+        }
+
+        await validateExpenseLinks(propertyId, { unitId, vendorId, requestId }, session);
+
+        expense = new Expense({
+            property: propertyId,
+            unit: unitId || null,
+            category,
+            description,
+            amount: roundCurrency(parseFloat(amount)),
+            currency: expenseData.currency || 'UGX',
+            expenseDate: expenseData.expenseDate ? new Date(expenseData.expenseDate) : new Date(),
+            vendor: vendorId || null,
+            payee: expenseData.payee || null,
+            request: requestId || null,
+            paymentMethod: expenseData.paymentMethod,
+            reference: expenseData.reference,
+            notes: expenseData.notes,
+            createdBy: currentUser._id
+        });
+
+        await attachReceipts(expense, files, currentUser, session);
+        await expense.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.EXPENSE_CREATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Expense,
+            expense._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Expense of ${expense.currency} ${expense.amount.toLocaleString()} (${expense.category}) recorded by ${currentUser.email}.`,
+                status: 'success',
+                newValue: expense.toObject(),
+                metadata: { propertyId, vendorId, requestId }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`ExpenseService: Expense ${expense._id} recorded for property ${propertyId} by ${currentUser.email}.`);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`ExpenseService - Error creating expense: ${error.message}`, {
+            userId: currentUser?._id,
+            propertyId: expenseData?.propertyId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to create expense: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+
+    await checkBudgetAlertsSafely(expense.property, expense.expenseDate.getFullYear());
+
+    return findPopulatedExpense(expense._id);
+};
+
+/**
+ * Gets expenses for the properties the user manages
+ * @param {Object} currentUser - The authenticated user
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.propertyId] - Filter by property
+ * @param {string} [filters.category] - Filter by category
+ * @param {string} [filters.vendorId] - Filter by vendor
+ * @param {string} [filters.requestId] - Filter by maintenance request
+ * @param {string} [filters.status] - Filter by status
+ * @param {Date} [filters.startDate] - Spent on or after
+ * @param {Date} [filters.endDate] - Spent on or before
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=10] - Items per page
+ * @returns {Promise<Object>} Paginated expenses
+ * @throws {AppError} If unauthorized
+ */
+const getAllExpenses = async (currentUser, filters = {}, page = 1, limit = 10) => {
+    try {
+        const query = {};
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        if (currentUser.role !== ROLE_ENUM.ADMIN) {
+            const userAssociatedProperties = await PropertyUser.find({
+                user: currentUser._id,
+                roles: { $in: [
+                    PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                    PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                    PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+                ]},
+                isActive: true
+            }).distinct('property');
+
+            if (userAssociatedProperties.length === 0) {
+                return { expenses: [], total: 0, page: parseInt(page), limit: parseInt(limit), pages: 0 };
+            }
+
+            query.property = { $in: userAssociatedProperties };
+        }
+
+        if (filters.propertyId) {
+            const hasAccess = await checkPropertyManagementPermission(currentUser, filters.propertyId);
+            if (!hasAccess) {
+                throw new AppError('Not authorized to filter by this property.', 403);
+            }
+            query.property = filters.propertyId;
+        }
+        if (filters.category) {
+            query.category = filters.category;
+        }
+        if (filters.vendorId) {
+            query.vendor = filters.vendorId;
+        }
+        if (filters.requestId) {
+            query.request = filters.requestId;
+        }
+        if (filters.status) {
+            query.status = filters.status;
+        }
+        if (filters.startDate || filters.endDate) {
+            query.expenseDate = {};
+            if (filters.startDate) {
+                query.expenseDate.$gte = new Date(filters.startDate);
+            }
+            if (filters.endDate) {
+                query.expenseDate.$lte = new Date(filters.endDate);
+            }
+        }
+
+        const [expenses, total] = await Promise.all([
+            Expense.find(query)
+                .populate('property', 'name')
+                .populate('unit', 'unitName')
+                .populate('vendor', 'name companyName')
+                .populate('request', 'title')
+                .sort({ expenseDate: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            Expense.countDocuments(query)
+        ]);
+
+        return {
+            expenses,
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            pages: Math.ceil(total / parseInt(limit))
+        };
+    } catch (error) {
+        logger.error(`ExpenseService - Error getting expenses: ${error.message}`, {
+            userId: currentUser?._id,
+            filters
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get expenses: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Gets an expense by ID
+ * @param {string} expenseId - Expense ID
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Object>} Expense
+ * @throws {AppError} If not found or unauthorized
+ */
+const getExpenseById = async (expenseId, currentUser) => {
+    try {
+        await loadManagedExpense(expenseId, currentUser, 'view this expense');
+        return findPopulatedExpense(expenseId);
+    } catch (error) {
+        logger.error(`ExpenseService - Error getting expense: ${error.message}`, {
+            userId: currentUser?._id,
+            expenseId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get expense: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Updates an expense and adds any new receipts. Void expenses cannot be changed.
+ * @param {string} expenseId - Expense ID
+ * @param {Object} updateData - Fields to change (as for createExpense, except the property)
+ * @param {Array<Object>} [files=[]] - Additional receipts
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Updated expense
+ * @throws {AppError} If the expense is void, validation fails or unauthorized
+ */
+const updateExpense = async (expenseId, updateData, files = [], currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let expense;
+    try {
+        expense = await loadManagedExpense(expenseId, currentUser, 'update this expense', session);
+
+        if (expense.status === 'void') {
+            throw new AppError('A void expense cannot be changed.', 400);
+        }
+        if (updateData.category !== undefined && !EXPENSE_CATEGORY_ENUM.includes(updateData.category)) {
+            throw new AppError(`Invalid expense category. Must be one of: ${EXPENSE_CATEGORY_ENUM.join(', ')}`, 400);
+        }
+
+        await validateExpenseLinks(expense.property, updateData, session);
+
+        const oldValue = expense.toObject();
+
+        const fieldMap = {
+            unitId: 'unit',
+            vendorId: 'vendor',
+            requestId: 'request'
+        };
+        for (const [field, path] of Object.entries(fieldMap)) {
+            if (updateData[field] !== undefined) {
+                expense[path] = updateData[field] || null;
+            }
+        }
+        for (const field of ['category', 'description', 'currency', 'payee', 'paymentMethod', 'reference', 'notes']) {
+            if (updateData[field] !== undefined) {
+                expense[field] = updateData[field];
+            }
+        }
+        if (updateData.amount !== undefined) {
+            expense.amount = roundCurrency(parseFloat(updateData.amount));
+        }
+        if (updateData.expenseDate !== undefined) {
+            expense.expenseDate = new Date(updateData.expenseDate);
+        }
+        expense.updatedBy = currentUser._id;
+
+        await attachReceipts(expense, files, currentUser, session);
+        await expense.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.EXPENSE_UPDATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Expense,
+            expense._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Expense ${expense._id} updated by ${currentUser.email}.`,
+                status: 'success',
+                oldValue,
+                newValue: expense.toObject()
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`ExpenseService: Expense ${expense._id} updated by ${currentUser.email}.`);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`ExpenseService - Error updating expense: ${error.message}`, {
+            userId: currentUser?._id,
+            expenseId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to update expense: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+
+    await checkBudgetAlertsSafely(expense.property, expense.expenseDate.getFullYear());
+
+    return findPopulatedExpense(expense._id);
+};
+
+/**
+ * Voids an expense entered in error. It stops counting against the budget.
+ * @param {string} expenseId - Expense ID
+ * @param {string} reason - Why the expense is void
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Void expense
+ * @throws {AppError} If already void or unauthorized
+ */
+const voidExpense = async (expenseId, reason, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const expense = await loadManagedExpense(expenseId, currentUser, 'void this expense', session);
+
+        if (!reason || !reason.trim()) {
+            throw new AppError('A reason is required to void an expense.', 400);
+        }
+        if (expense.status === 'void') {
+            throw new AppError('Expense is already void.', 400);
+        }
+
+        expense.status = 'void';
+        expense.voidedAt = new Date();
+        expense.voidReason = reason.trim();
+        expense.updatedBy = currentUser._id;
+        await expense.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.EXPENSE_VOIDED,
+            AUDIT_RESOURCE_TYPE_ENUM.Expense,
+            expense._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Expense ${expense._id} voided by ${currentUser.email}: ${expense.voidReason}`,
+                status: 'success',
+                oldValue: { status: 'recorded' },
+                newValue: { status: expense.status, voidReason: expense.voidReason }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`ExpenseService: Expense ${expense._id} voided by ${currentUser.email}.`);
+
+        return findPopulatedExpense(expense._id);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`ExpenseService - Error voiding expense: ${error.message}`, {
+            userId: currentUser?._id,
+            expenseId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to void expense: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Sets when a property's landlords and managers are alerted about spending against the annual budget
+ * @param {string} propertyId - Property ID
+ * @param {Object} policyData - { enabled, currency, thresholds } (see BudgetAlertPolicySchema)
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The saved policy
+ * @throws {AppError} If property not found, policy invalid, or unauthorized
+ */
+const updateBudgetAlertPolicy = async (propertyId, policyData, currentUser, ipAddress) => {
+    try {
+        const property = await Property.findById(propertyId);
+        if (!property) {
+            throw new AppError('Property not found.', 404);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, property._id);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to change the budget alerts for this property.', 403);
+        }
+
+        const oldPolicy = property.budgetAlertPolicy ? property.budgetAlertPolicy.toObject() : null;
+        const thresholds = policyData.thresholds !== undefined
+            ? [...new Set(policyData.thresholds.map(Number))].sort((a, b) => a - b)
+            : (oldPolicy?.thresholds || [75, 90, 100]);
+
+        if (thresholds.some(threshold => !(threshold >= 1))) {
+            throw new AppError('Budget alert thresholds must be percentages of at least 1.', 400);
+        }
+
+        property.budgetAlertPolicy = {
+            enabled: policyData.enabled !== undefined ? policyData.enabled : (oldPolicy?.enabled ?? true),
+            currency: policyData.currency || oldPolicy?.currency || 'UGX',
+            thresholds,
+            sent: oldPolicy?.sent || []
+        };
+        property.updatedBy = currentUser._id;
+
+        await property.save();
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.BUDGET_ALERT_POLICY_UPDATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Property,
+            property._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Budget alert policy for property ${property._id} updated by ${currentUser.email}.`,
+                status: 'success',
+                oldValue: oldPolicy,
+                newValue: property.budgetAlertPolicy.toObject()
+            }
+        );
+
+        // New, lower thresholds may already have been passed this year
+        await checkBudgetAlertsSafely(property._id);
+
+        const updatedProperty = await Property.findById(property._id).select('budgetAlertPolicy');
+        return updatedProperty.budgetAlertPolicy;
+    } catch (error) {
+        logger.error(`ExpenseService - Error updating budget alert policy: ${error.message}`, {
+            userId: currentUser?._id,
+            propertyId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to update budget alert policy: ${error.message}`, 500);
+    }
+};
+
+module.exports = {
+    createExpense,
+    getAllExpenses,
+    getExpenseById,
+    updateExpense,
+    voidExpense,
+    updateBudgetAlertPolicy,
+    checkBudgetAlerts
+};
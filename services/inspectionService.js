@@ -0,0 +1,1003 @@
+// src/services/inspectionService.js
+
+const mongoose = require('mongoose');
+const Inspection = require('../models/inspection');
+const Lease = require('../models/lease');
+const Unit = require('../models/unit');
+const Media = require('../models/media');
+const PropertyUser = require('../models/propertyUser');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const documentGenerationService = require('./documentGenerationService');
+const { uploadFile } = require('../utils/fileUpload');
+const { parseSignatureImage } = require('../utils/leaseSignatureUtils');
+const {
+    buildDefaultChecklist,
+    copyChecklist,
+    findUnratedItems,
+    compareInspections,
+    proposeDeductions
+} = require('../utils/inspectionUtils');
+const { roundCurrency } = require('../utils/lateFeeUtils');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    PROPERTY_USER_ROLES_ENUM,
+    INSPECTION_TYPE_ENUM,
+    INSPECTION_CONDITION_ENUM,
+    SIGNATURE_TYPE_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Lease statuses at which each kind of inspection can be started
+const INSPECTABLE_LEASE_STATUSES = {
+    move_in: ['draft', 'active', 'pending_renewal'],
+    move_out: ['active', 'pending_renewal', 'terminated', 'expired']
+};
+
+/**
+ * Helper to check if a user has management permission for a given property
+ * @param {Object} user - The authenticated user
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkPropertyManagementPermission = async (user, propertyId) => {
+    try {
+        if (user.role === ROLE_ENUM.ADMIN) {
+            return true; // Admin has global access
+        }
+
+        const hasAccess = await PropertyUser.exists({
+            user: user._id,
+            property: propertyId,
+            isActive: true,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]}
+        });
+
+        return !!hasAccess;
+    } catch (error) {
+        logger.error(`InspectionService - Error checking property management permission: ${error.message}`, {
+            userId: user?._id,
+            propertyId
+        });
+        return false; // Fail safely
+    }
+};
+
+/**
+ * Gets the IDs of the properties a user manages
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Array<string>|null>} Property IDs, or null for admins (all properties)
+ */
+const getManagedPropertyIds = async (currentUser) => {
+    if (currentUser.role === ROLE_ENUM.ADMIN) {
+        return null;
+    }
+
+    return PropertyUser.find({
+        user: currentUser._id,
+        roles: { $in: [
+            PROPERTY_USER_ROLES_ENUM.LANDLORD,
+            PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+            PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+        ]},
+        isActive: true
+    }).distinct('property');
+};
+
+/**
+ * Loads an inspection and checks the user manages its property
+ * @param {string} inspectionId - Inspection ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} action - What the user is trying to do, for the error message
+ * @param {Object} [session] - MongoDB session
+ * @returns {Promise<Object>} Inspection document
+ * @throws {AppError} If inspection not found or unauthorized
+ */
+const loadManagedInspection = async (inspectionId, currentUser, action, session = null) => {
+    const inspection = await Inspection.findById(inspectionId).session(session);
+    if (!inspection) {
+        throw new AppError('Inspection not found.', 404);
+    }
+
+    const isAuthorized = await checkPropertyManagementPermission(currentUser, inspection.property);
+    if (!isAuthorized) {
+        throw new AppError(`Not authorized to ${action}.`, 403);
+    }
+
+    return inspection;
+};
+
+/**
+ * Loads an inspection the user can see: the tenant it was taken for, or someone managing the property
+ * @param {string} inspectionId - Inspection ID
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Object>} Inspection document
+ * @throws {AppError} If inspection not found or unauthorized
+ */
+const loadVisibleInspection = async (inspectionId, currentUser) => {
+    const inspection = await Inspection.findById(inspectionId);
+    if (!inspection) {
+        throw new AppError('Inspection not found.', 404);
+    }
+
+    const isTenant = inspection.tenant.toString() === currentUser._id.toString();
+    if (!isTenant && !(await checkPropertyManagementPermission(currentUser, inspection.property))) {
+        throw new AppError('Not authorized to view this inspection.', 403);
+    }
+
+    return inspection;
+};
+
+/**
+ * Checks the checklist sent by the inspector: every room and item needs a name
+ * @param {Array<Object>} rooms - Rooms, each { name, items: [{ name }] }
+ * @returns {Array<Object>} Rooms with trimmed names
+ * @throws {AppError} If the checklist is malformed
+ */
+const normalizeChecklist = (rooms) => {
+    if (!Array.isArray(rooms) || rooms.length === 0) {
+        throw new AppError('An inspection needs at least one room.', 400);
+    }
+
+    return rooms.map(room => {
+        if (!room?.name || !String(room.name).trim()) {
+            throw new AppError('Every room needs a name.', 400);
+        }
+        const items = Array.isArray(room.items) ? room.items : [];
+        if (items.length === 0) {
+            throw new AppError(`Room "${room.name}" needs at least one checklist item.`, 400);
+        }
+
+        return {
+            name: String(room.name).trim(),
+            notes: room.notes || null,
+            items: items.map(item => {
+                if (!item?.name || !String(item.name).trim()) {
+                    throw new AppError(`Every item in "${room.name}" needs a name.`, 400);
+                }
+                return { name: String(item.name).trim() };
+            })
+        };
+    });
+};
+
+/**
+ * Checklist items are only edited while the inspection is in progress
+ * @param {Object} inspection - Inspection document
+ * @throws {AppError} If the inspection has been completed
+ */
+const assertInProgress = (inspection) => {
+    if (inspection.status !== 'in_progress') {
+        throw new AppError('This inspection has been completed and can no longer be changed.', 400);
+    }
+};
+
+/**
+ * Uploads photos for a checklist item and stores them as Media
+ * @param {Object} inspection - Inspection document
+ * @param {Object} room - Room subdocument
+ * @param {Object} item - Item subdocument the photos are added to
+ * @param {Array<Object>} files - Uploaded files
+ * @param {Object} currentUser - The authenticated user
+ * @param {Object} session - MongoDB session
+ * @throws {AppError} If an upload fails
+ */
+const attachPhotos = async (inspection, room, item, files, currentUser, session) => {
+    for (const file of files || []) {
+        try {
+            const uploadResult = await uploadFile(
+                file.buffer,
+                file.mimetype,
+                file.originalname,
+                'inspections'
+            );
+
+            const mediaDoc = new Media({
+                filename: file.originalname,
+                originalname: file.originalname,
+                mimeType: file.mimetype,
+                size: file.size,
+                url: uploadResult.url,
+                thumbnailUrl: uploadResult.thumbnailUrl || null,
+                uploadedBy: currentUser._id,
+                relatedTo: 'Inspection',
+                relatedId: inspection._id,
+                description: `${inspection.type.replace('_', '-')} inspection: ${room.name} - ${item.name}`,
+                tags: ['inspection', inspection.type],
+                isPublic: false
+            });
+
+            await mediaDoc.save({ session });
+            item.photos.push(mediaDoc._id);
+        } catch (error) {
+            throw new AppError(`Failed to upload inspection photo: ${error.message}`, 500);
+        }
+    }
+};
+
+/**
+ * Finds the move-in and move-out inspections of the lease an inspection belongs to
+ * @param {Object} inspection - Either inspection of the pair
+ * @returns {Promise<Object>} { moveIn, moveOut }
+ * @throws {AppError} If either inspection is missing or not yet completed
+ */
+const loadInspectionPair = async (inspection) => {
+    const pair = await Inspection.find({ lease: inspection.lease })
+        .populate('rooms.items.photos', 'url thumbnailUrl')
+        .populate('property', 'name address')
+        .populate('unit', 'unitName')
+        .populate('tenant', 'firstName lastName email');
+
+    const moveIn = pair.find(entry => entry.type === 'move_in');
+    const moveOut = pair.find(entry => entry.type === 'move_out');
+
+    if (!moveIn || !moveOut) {
+        throw new AppError('Both a move-in and a move-out inspection are needed for a comparison.', 400);
+    }
+    if (moveIn.status === 'in_progress' || moveOut.status === 'in_progress') {
+        throw new AppError('Both inspections must be completed before they can be compared.', 400);
+    }
+
+    return { moveIn, moveOut };
+};
+
+/**
+ * Starts a move-in or move-out inspection for a lease. Move-in checklists are built from the
+ * unit's bedroom and bathroom counts unless rooms are given; move-out checklists copy the
+ * move-in rooms so the two can be compared item by item.
+ * @param {Object} inspectionData - Inspection details
+ * @param {string} inspectionData.leaseId - Lease the inspection is for
+ * @param {string} inspectionData.type - One of INSPECTION_TYPE_ENUM
+ * @param {Date} [inspectionData.inspectedAt=new Date()] - When the walk-through takes place
+ * @param {Array<Object>} [inspectionData.rooms] - Custom checklist, each { name, items: [{ name }] }
+ * @param {string} [inspectionData.notes] - General notes
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Created inspection
+ * @throws {AppError} If validation fails, one already exists, or unauthorized
+ */
+const createInspection = async (inspectionData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { leaseId, type } = inspectionData;
+
+        if (!INSPECTION_TYPE_ENUM.includes(type)) {
+            throw new AppError(`Invalid inspection type. Must be one of: ${INSPECTION_TYPE_ENUM.join(', ')}`, 400);
+        }
+
+        const lease = await Lease.findById(leaseId).session(session);
+        if (!lease) {
+            throw new AppError('Lease not found.', 404);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, lease.property);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to inspect units for this lease.', 403);
+        }
+
+        if (!INSPECTABLE_LEASE_STATUSES[type].includes(lease.status)) {
+            throw new AppError(`A ${type.replace('_', '-')} inspection cannot be started for a ${lease.status} lease.`, 400);
+        }
+
+        const existing = await Inspection.exists({ lease: lease._id, type }).session(session);
+        if (existing) {
+            throw new AppError(`This lease already has a ${type.replace('_', '-')} inspection.`, 409);
+        }
+
+        const moveIn = type === 'move_out'
+            ? await Inspection.findOne({ lease: lease._id, type: 'move_in' }).session(session)
+            : null;
+
+        let rooms;
+        if (inspectionData.rooms) {
+            rooms = normalizeChecklist(inspectionData.rooms);
+        } else if (moveIn) {
+            rooms = copyChecklist(moveIn.rooms);
+        } else {
+            const unit = await Unit.findById(lease.unit).select('numBedrooms numBathrooms').session(session);
+            rooms = buildDefaultChecklist(unit || {});
+        }
+
+        const inspection = new Inspection({
+            lease: lease._id,
+            property: lease.property,
+            unit: lease.unit,
+            tenant: lease.tenant,
+            type,
+            moveInInspection: moveIn?._id || null,
+            inspectedAt: inspectionData.inspectedAt || new Date(),
+            rooms,
+            notes: inspectionData.notes || null,
+            createdBy: currentUser._id
+        });
+
+        await inspection.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.INSPECTION_CREATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Inspection,
+            inspection._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `${type.replace('_', '-')} inspection started for lease ${lease._id} by ${currentUser.email}.`,
+                status: 'success',
+                newValue: { type, inspectedAt: inspection.inspectedAt, rooms: rooms.map(room => room.name) },
+                metadata: { leaseId: lease._id, unitId: lease.unit, moveInInspection: moveIn?._id }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`InspectionService: ${type} inspection ${inspection._id} started for lease ${lease._id} by ${currentUser.email}.`);
+
+        return inspection;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`InspectionService - Error creating inspection: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId: inspectionData?.leaseId
+        });
+
+        if (error.code === 11000) {
+            throw new AppError(`This lease already has a ${String(inspectionData?.type).replace('_', '-')} inspection.`, 409);
+        }
+        if (error.name === 'ValidationError') {
+            throw new AppError(`Invalid inspection: ${error.message}`, 400);
+        }
+        throw error instanceof AppError ? error : new AppError(`Failed to create inspection: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Gets inspections for the properties the user manages, or a tenant's own inspections
+ * @param {Object} currentUser - The authenticated user
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.leaseId] - Lease ID
+ * @param {string} [filters.propertyId] - Property ID
+ * @param {string} [filters.unitId] - Unit ID
+ * @param {string} [filters.type] - One of INSPECTION_TYPE_ENUM
+ * @param {string} [filters.status] - One of INSPECTION_STATUS_ENUM
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=10] - Items per page
+ * @returns {Promise<Object>} Paginated inspections
+ * @throws {AppError} If unauthorized
+ */
+const getInspections = async (currentUser, filters = {}, page = 1, limit = 10) => {
+    try {
+        const query = {};
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        if (currentUser.role === ROLE_ENUM.TENANT) {
+            query.tenant = currentUser._id;
+        } else {
+            const managedProperties = await getManagedPropertyIds(currentUser);
+            if (managedProperties) {
+                if (managedProperties.length === 0) {
+                    return { inspections: [], total: 0, page: parseInt(page), limit: parseInt(limit), pages: 0 };
+                }
+                query.property = { $in: managedProperties };
+            }
+        }
+
+        if (filters.propertyId) {
+            if (currentUser.role !== ROLE_ENUM.TENANT) {
+                const hasAccess = await checkPropertyManagementPermission(currentUser, filters.propertyId);
+                if (!hasAccess) {
+                    throw new AppError('Not authorized to filter by this property.', 403);
+                }
+            }
+            query.property = filters.propertyId;
+        }
+        if (filters.leaseId) {
+            query.lease = filters.leaseId;
+        }
+        if (filters.unitId) {
+            query.unit = filters.unitId;
+        }
+        if (filters.type) {
+            query.type = filters.type;
+        }
+        if (filters.status) {
+            query.status = filters.status;
+        }
+
+        const [inspections, total] = await Promise.all([
+            Inspection.find(query)
+                .select('-rooms')
+                .populate('property', 'name')
+                .populate('unit', 'unitName')
+                .populate('tenant', 'firstName lastName email')
+                .sort({ inspectedAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            Inspection.countDocuments(query)
+        ]);
+
+        return {
+            inspections,
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            pages: Math.ceil(total / parseInt(limit))
+        };
+    } catch (error) {
+        logger.error(`InspectionService - Error getting inspections: ${error.message}`, {
+            userId: currentUser?._id,
+            filters
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get inspections: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Gets an inspection with its rooms, ratings, photos and signatures
+ * @param {string} inspectionId - Inspection ID
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Object>} Inspection
+ * @throws {AppError} If not found or unauthorized
+ */
+const getInspectionById = async (inspectionId, currentUser) => {
+    try {
+        const inspection = await loadVisibleInspection(inspectionId, currentUser);
+
+        await inspection.populate([
+            { path: 'property', select: 'name address' },
+            { path: 'unit', select: 'unitName numBedrooms numBathrooms' },
+            { path: 'tenant', select: 'firstName lastName email' },
+            { path: 'rooms.items.photos', select: 'url thumbnailUrl originalname' },
+            { path: 'comparisonDocument', select: 'url originalname checksum' }
+        ]);
+
+        return inspection;
+    } catch (error) {
+        logger.error(`InspectionService - Error getting inspection: ${error.message}`, {
+            userId: currentUser?._id,
+            inspectionId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get inspection: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Updates an in-progress inspection's date, notes or checklist layout. A new room list
+ * replaces the old one; items are kept, with their ratings and photos, when their _id is sent back.
+ * @param {string} inspectionId - Inspection ID
+ * @param {Object} updateData - Fields to update
+ * @param {Date} [updateData.inspectedAt] - When the walk-through took place
+ * @param {string} [updateData.notes] - General notes
+ * @param {Array<Object>} [updateData.rooms] - Checklist, each { _id?, name, notes?, items: [{ _id?, name }] }
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Updated inspection
+ * @throws {AppError} If completed, validation fails, or unauthorized
+ */
+const updateInspection = async (inspectionId, updateData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const inspection = await loadManagedInspection(inspectionId, currentUser, 'update this inspection', session);
+        assertInProgress(inspection);
+
+        const oldValue = {
+            inspectedAt: inspection.inspectedAt,
+            notes: inspection.notes,
+            rooms: inspection.rooms.map(room => room.name)
+        };
+
+        if (updateData.inspectedAt !== undefined) {
+            inspection.inspectedAt = updateData.inspectedAt;
+        }
+        if (updateData.notes !== undefined) {
+            inspection.notes = updateData.notes;
+        }
+        if (updateData.rooms !== undefined) {
+            const existingItems = new Map();
+            inspection.rooms.forEach(room => room.items.forEach(item => existingItems.set(item._id.toString(), item)));
+
+            const layout = normalizeChecklist(updateData.rooms);
+            inspection.rooms = layout.map((room, roomIndex) => ({
+                ...(updateData.rooms[roomIndex]._id ? { _id: updateData.rooms[roomIndex]._id } : {}),
+                ...room,
+                items: room.items.map((item, itemIndex) => {
+                    const itemId = updateData.rooms[roomIndex].items[itemIndex]._id;
+                    const existing = itemId ? existingItems.get(String(itemId)) : null;
+                    return existing ? { ...existing.toObject(), name: item.name } : item;
+                })
+            }));
+        }
+        inspection.updatedBy = currentUser._id;
+
+        await inspection.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.INSPECTION_UPDATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Inspection,
+            inspection._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `${inspection.type.replace('_', '-')} inspection ${inspection._id} updated by ${currentUser.email}.`,
+                status: 'success',
+                oldValue,
+                newValue: {
+                    inspectedAt: inspection.inspectedAt,
+                    notes: inspection.notes,
+                    rooms: inspection.rooms.map(room => room.name)
+                },
+                metadata: { leaseId: inspection.lease }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`InspectionService: Inspection ${inspection._id} updated by ${currentUser.email}.`);
+
+        return inspection;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`InspectionService - Error updating inspection: ${error.message}`, {
+            userId: currentUser?._id,
+            inspectionId
+        });
+
+        if (error.name === 'ValidationError') {
+            throw new AppError(`Invalid inspection: ${error.message}`, 400);
+        }
+        throw error instanceof AppError ? error : new AppError(`Failed to update inspection: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Rates one checklist item: its condition, notes and photos, plus the estimated repair cost
+ * on move-out inspections
+ * @param {string} inspectionId - Inspection ID
+ * @param {string} roomId - Room subdocument ID
+ * @param {string} itemId - Item subdocument ID
+ * @param {Object} itemData - Item details
+ * @param {string} [itemData.condition] - One of INSPECTION_CONDITION_ENUM
+ * @param {string} [itemData.notes] - Notes on the item
+ * @param {number} [itemData.estimatedCost] - Move-out only: cost to restore the item
+ * @param {Array<string>} [itemData.removePhotoIds] - Photos to take off the item
+ * @param {Array<Object>} [files=[]] - Newly uploaded photos
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Updated inspection
+ * @throws {AppError} If completed, validation fails, or unauthorized
+ */
+const updateInspectionItem = async (inspectionId, roomId, itemId, itemData, files = [], currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const inspection = await loadManagedInspection(inspectionId, currentUser, 'update this inspection', session);
+        assertInProgress(inspection);
+
+        const room = inspection.rooms.id(roomId);
+        const item = room?.items.id(itemId);
+        if (!item) {
+            throw new AppError('Checklist item not found on this inspection.', 404);
+        }
+
+        const oldValue = item.toObject();
+
+        if (itemData.condition !== undefined) {
+            if (itemData.condition !== null && !INSPECTION_CONDITION_ENUM.includes(itemData.condition)) {
+                throw new AppError(`Invalid condition. Must be one of: ${INSPECTION_CONDITION_ENUM.join(', ')}`, 400);
+            }
+            item.condition = itemData.condition;
+        }
+        if (itemData.notes !== undefined) {
+            item.notes = itemData.notes;
+        }
+        if (itemData.estimatedCost !== undefined) {
+            if (inspection.type !== 'move_out' && itemData.estimatedCost !== null) {
+                throw new AppError('Estimated repair costs are only recorded on move-out inspections.', 400);
+            }
+            item.estimatedCost = itemData.estimatedCost === null || itemData.estimatedCost === ''
+                ? null
+                : roundCurrency(parseFloat(itemData.estimatedCost));
+        }
+
+        const removePhotoIds = typeof itemData.removePhotoIds === 'string'
+            ? JSON.parse(itemData.removePhotoIds)
+            : (itemData.removePhotoIds || []);
+        if (removePhotoIds.length > 0) {
+            item.photos = item.photos.filter(photo => !removePhotoIds.includes(photo.toString()));
+        }
+
+        await attachPhotos(inspection, room, item, files, currentUser, session);
+        inspection.updatedBy = currentUser._id;
+
+        await inspection.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.INSPECTION_UPDATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Inspection,
+            inspection._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `${room.name} - ${item.name} rated ${item.condition || 'unrated'} on inspection ${inspection._id} by ${currentUser.email}.`,
+                status: 'success',
+                oldValue,
+                newValue: item.toObject(),
+                metadata: { leaseId: inspection.lease, roomId, itemId, photosAdded: (files || []).length }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`InspectionService: ${room.name} - ${item.name} updated on inspection ${inspection._id} by ${currentUser.email}.`);
+
+        return inspection;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`InspectionService - Error updating inspection item: ${error.message}`, {
+            userId: currentUser?._id,
+            inspectionId,
+            roomId,
+            itemId
+        });
+
+        if (error.name === 'ValidationError') {
+            throw new AppError(`Invalid inspection item: ${error.message}`, 400);
+        }
+        throw error instanceof AppError ? error : new AppError(`Failed to update inspection item: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Completes an inspection once every item is rated, locking the checklist for signing.
+ * Records the inspection on the unit: a move-in inspection sets the next one to the lease end
+ * date, a move-out inspection clears it.
+ * @param {string} inspectionId - Inspection ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Completed inspection
+ * @throws {AppError} If items are unrated, already completed, or unauthorized
+ */
+const completeInspection = async (inspectionId, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const inspection = await loadManagedInspection(inspectionId, currentUser, 'complete this inspection', session);
+        assertInProgress(inspection);
+
+        const unrated = findUnratedItems(inspection.rooms);
+        if (inspection.rooms.length === 0 || unrated.length > 0) {
+            throw new AppError(`Rate every item before completing the inspection. Still to rate: ${unrated.slice(0, 10).join(', ')}${unrated.length > 10 ? ` and ${unrated.length - 10} more` : ''}`, 400);
+        }
+
+        const lease = await Lease.findById(inspection.lease).select('leaseEndDate').session(session);
+
+        inspection.status = 'completed';
+        inspection.completedAt = new Date();
+        inspection.completedBy = currentUser._id;
+        inspection.updatedBy = currentUser._id;
+        await inspection.save({ session });
+
+        const nextInspectionDate = inspection.type === 'move_in' ? lease?.leaseEndDate || null : null;
+        await Unit.findByIdAndUpdate(
+            inspection.unit,
+            { lastInspected: inspection.inspectedAt, nextInspectionDate },
+            { session }
+        );
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.INSPECTION_COMPLETED,
+            AUDIT_RESOURCE_TYPE_ENUM.Inspection,
+            inspection._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `${inspection.type.replace('_', '-')} inspection ${inspection._id} completed by ${currentUser.email}.`,
+                status: 'success',
+                oldValue: { status: 'in_progress' },
+                newValue: { status: inspection.status, completedAt: inspection.completedAt },
+                metadata: { leaseId: inspection.lease, unitId: inspection.unit, lastInspected: inspection.inspectedAt, nextInspectionDate }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        try {
+            await notificationService.sendNotification({
+                recipientId: inspection.tenant,
+                type: 'inspection',
+                message: `Your ${inspection.type.replace('_', '-')} inspection report is ready. Please review and sign it.`,
+                link: `${FRONTEND_URL}/inspections/${inspection._id}`,
+                relatedResourceType: 'Inspection',
+                relatedResourceId: inspection._id,
+                senderId: currentUser._id
+            });
+        } catch (notificationError) {
+            logger.warn(`InspectionService: Failed to ask tenant to sign inspection ${inspection._id}: ${notificationError.message}`);
+            // Continue even if notification fails
+        }
+
+        logger.info(`InspectionService: Inspection ${inspection._id} completed by ${currentUser.email}.`);
+
+        return inspection;
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
+        logger.error(`InspectionService - Error completing inspection: ${error.message}`, {
+            userId: currentUser?._id,
+            inspectionId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to complete inspection: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Signs a completed inspection. The lease's tenant signs as the tenant and anyone managing the
+ * property as the manager; the inspection is 'signed' once both have.
+ * @param {string} inspectionId - Inspection ID
+ * @param {Object} signatureData - Signature details
+ * @param {string} signatureData.signatureType - One of SIGNATURE_TYPE_ENUM
+ * @param {string} [signatureData.typedName] - Full name, for typed signatures
+ * @param {string} [signatureData.signatureImage] - PNG or JPEG data URL, for drawn signatures
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @param {string} userAgent - Signer's browser
+ * @returns {Promise<Object>} Updated inspection
+ * @throws {AppError} If not completed, already signed, or unauthorized
+ */
+const signInspection = async (inspectionId, signatureData, currentUser, ipAddress, userAgent) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const inspection = await Inspection.findById(inspectionId).session(session);
+        if (!inspection) {
+            throw new AppError('Inspection not found.', 404);
+        }
+
+        let role = null;
+        if (inspection.tenant.toString() === currentUser._id.toString()) {
+            role = 'tenant';
+        } else if (await checkPropertyManagementPermission(currentUser, inspection.property)) {
+            role = 'manager';
+        } else {
+            throw new AppError('Not authorized to sign this inspection.', 403);
+        }
+
+        if (inspection.status === 'in_progress') {
+            throw new AppError('The inspection must be completed before it can be signed.', 400);
+        }
+        if (inspection.signatures.some(signature => signature.role === role)) {
+            throw new AppError(`This inspection has already been signed by the ${role}.`, 409);
+        }
+
+        const { signatureType, typedName, signatureImage } = signatureData;
+        if (!SIGNATURE_TYPE_ENUM.includes(signatureType)) {
+            throw new AppError(`Signature type must be one of: ${SIGNATURE_TYPE_ENUM.join(', ')}`, 400);
+        }
+        if (signatureType === 'typed' && !(typedName && typedName.trim())) {
+            throw new AppError('Type your full name to sign.', 400);
+        }
+        if (signatureType === 'drawn' && !parseSignatureImage(signatureImage)) {
+            throw new AppError('The drawn signature must be a PNG or JPEG image under 50 KB.', 400);
+        }
+
+        const now = new Date();
+        inspection.signatures.push({
+            role,
+            user: currentUser._id,
+            name: `${currentUser.firstName || ''} ${currentUser.lastName || ''}`.trim() || currentUser.email,
+            type: signatureType,
+            typedName: signatureType === 'typed' ? typedName.trim() : null,
+            image: signatureType === 'drawn' ? signatureImage.trim() : null,
+            ipAddress,
+            userAgent,
+            signedAt: now
+        });
+
+        const isFullySigned = ['tenant', 'manager'].every(signerRole => inspection.signatures.some(signature => signature.role === signerRole));
+        if (isFullySigned) {
+            inspection.status = 'signed';
+        }
+        await inspection.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.INSPECTION_SIGNED,
+            AUDIT_RESOURCE_TYPE_ENUM.Inspection,
+            inspection._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `${currentUser.email} (${role}) signed ${inspection.type.replace('_', '-')} inspection ${inspection._id} with a ${signatureType} signature.`,
+                status: 'success',
+                newValue: { role, signatureType, signedAt: now, status: inspection.status },
+                metadata: { leaseId: inspection.lease, userAgent }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`InspectionService: ${currentUser.email} signed inspection ${inspection._id} as ${role}.`);
+
+        return inspection;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`InspectionService - Error signing inspection: ${error.message}`, {
+            userId: currentUser?._id,
+            inspectionId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to sign inspection: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Compares a lease's move-in and move-out inspections item by item and proposes deposit
+ * deductions for everything that got worse. Each proposal carries the move-out photos and the
+ * inspection ID, ready to be reviewed, priced and added with the deposit deduction endpoint.
+ * @param {string} inspectionId - Either inspection of the pair
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Object>} { moveIn, moveOut, rows, summary, proposedDeductions }
+ * @throws {AppError} If either inspection is missing or incomplete, or unauthorized
+ */
+const getInspectionComparison = async (inspectionId, currentUser) => {
+    try {
+        const inspection = await loadVisibleInspection(inspectionId, currentUser);
+        const { moveIn, moveOut } = await loadInspectionPair(inspection);
+
+        const { rows, summary } = compareInspections(moveIn, moveOut);
+        const proposedDeductions = proposeDeductions(rows).map(proposal => ({
+            ...proposal,
+            inspectionId: moveOut._id
+        }));
+
+        return { moveIn, moveOut, rows, summary, proposedDeductions };
+    } catch (error) {
+        logger.error(`InspectionService - Error comparing inspections: ${error.message}`, {
+            userId: currentUser?._id,
+            inspectionId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to compare inspections: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Generates the side-by-side move-in vs move-out comparison PDF, with the proposed deductions
+ * and both inspections' signatures, and stores it on the move-out inspection
+ * @param {string} inspectionId - Either inspection of the pair
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} { inspection, document }
+ * @throws {AppError} If either inspection is missing or incomplete, or unauthorized
+ */
+const generateComparisonDocument = async (inspectionId, currentUser, ipAddress) => {
+    try {
+        const inspection = await loadManagedInspection(inspectionId, currentUser, 'generate a comparison for this inspection');
+        const { moveIn, moveOut } = await loadInspectionPair(inspection);
+
+        const { rows, summary } = compareInspections(moveIn, moveOut);
+        const lease = await Lease.findById(moveOut.lease).select('currency leaseStartDate leaseEndDate');
+        const signaturesOf = (entry) => entry.signatures.map(signature => ({
+            role: signature.role,
+            name: signature.name,
+            type: signature.type,
+            typedName: signature.typedName,
+            image: signature.image,
+            signedAt: signature.signedAt
+        }));
+
+        const document = await documentGenerationService.generateAndUploadDocument(
+            'inspection_comparison',
+            {
+                tenantName: `${moveOut.tenant?.firstName || ''} ${moveOut.tenant?.lastName || ''}`.trim() || 'Tenant',
+                propertyName: moveOut.property?.name,
+                propertyAddress: moveOut.property?.address,
+                unitName: moveOut.unit?.unitName,
+                leaseStartDate: lease?.leaseStartDate,
+                leaseEndDate: lease?.leaseEndDate,
+                currency: lease?.currency,
+                moveInDate: moveIn.inspectedAt,
+                moveOutDate: moveOut.inspectedAt,
+                rows: rows.map(row => ({
+                    room: row.room,
+                    item: row.item,
+                    change: row.change,
+                    estimatedCost: row.estimatedCost,
+                    moveIn: row.moveIn && { condition: row.moveIn.condition, notes: row.moveIn.notes, photoCount: row.moveIn.photos.length },
+                    moveOut: row.moveOut && { condition: row.moveOut.condition, notes: row.moveOut.notes, photoCount: row.moveOut.photos.length }
+                })),
+                summary,
+                proposedDeductions: proposeDeductions(rows),
+                moveInSignatures: signaturesOf(moveIn),
+                moveOutSignatures: signaturesOf(moveOut)
+            },
+            {
+                relatedResourceType: 'Inspection',
+                relatedResourceId: moveOut._id,
+                userId: currentUser._id,
+                ipAddress,
+                userName: `${currentUser.firstName || ''} ${currentUser.lastName || ''}`.trim()
+            }
+        );
+
+        const previousDocument = moveOut.comparisonDocument;
+        await Inspection.updateOne({ _id: moveOut._id }, { comparisonDocument: document._id, updatedBy: currentUser._id });
+        moveOut.comparisonDocument = document._id;
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.INSPECTION_COMPARISON_GENERATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Inspection,
+            moveOut._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Move-in vs move-out comparison generated for lease ${moveOut.lease} by ${currentUser.email}: ${summary.worse} item(s) worse.`,
+                status: 'success',
+                oldValue: { comparisonDocument: previousDocument },
+                newValue: { comparisonDocument: document._id },
+                metadata: { leaseId: moveOut.lease, moveInInspection: moveIn._id, summary }
+            }
+        );
+
+        logger.info(`InspectionService: Comparison ${document._id} generated for lease ${moveOut.lease} by ${currentUser.email}.`);
+
+        return { inspection: moveOut, document };
+    } catch (error) {
+        logger.error(`InspectionService - Error generating inspection comparison: ${error.message}`, {
+            userId: currentUser?._id,
+            inspectionId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to generate inspection comparison: ${error.message}`, 500);
+    }
+};
+
+module.exports = {
+    createInspection,
+    getInspections,
+    getInspectionById,
+    updateInspection,
+    updateInspectionItem,
+    completeInspection,
+    signInspection,
+    getInspectionComparison,
+    generateComparisonDocument
+};
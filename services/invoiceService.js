@@ -0,0 +1,1299 @@
+// src/services/invoiceService.js
+
+const mongoose = require('mongoose');
+const Invoice = require('../models/invoice');
+const InvoiceSequence = require('../models/invoiceSequence');
+const Bill = require('../models/bill');
+const Rent = require('../models/rent');
+const Lease = require('../models/lease');
+const Property = require('../models/property');
+const Unit = require('../models/unit');
+const PropertyUser = require('../models/propertyUser');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const documentGenerationService = require('./documentGenerationService');
+const {
+    calculateTotals,
+    formatDocumentNumber,
+    calculateRentSettlement,
+    calculateDirectTotal,
+    resolveInvoiceStatus
+} = require('../utils/invoiceUtils');
+const { roundCurrency } = require('../utils/lateFeeUtils');
+const { getApplicableTaxRules } = require('../utils/taxUtils');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    PROPERTY_USER_ROLES_ENUM,
+    INVOICE_TYPE_ENUM,
+    INVOICE_STATUS_ENUM,
+    INVOICE_LINE_CATEGORY_ENUM,
+    TAX_TYPE_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Statuses an issued invoice can still be paid, credited or sent in
+const OPEN_INVOICE_STATUSES = ['pending', 'sent', 'partially_paid'];
+
+/**
+ * Helper to check if a user has management permission for a given property
+ * @param {Object} user - The authenticated user
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkPropertyManagementPermission = async (user, propertyId) => {
+    try {
+        if (user.role === ROLE_ENUM.ADMIN) {
+            return true; // Admin has global access
+        }
+
+        const hasAccess = await PropertyUser.exists({
+            user: user._id,
+            property: propertyId,
+            isActive: true,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]}
+        });
+
+        return !!hasAccess;
+    } catch (error) {
+        logger.error(`InvoiceService - Error checking property management permission: ${error.message}`, {
+            userId: user?._id,
+            propertyId
+        });
+        return false; // Fail safely
+    }
+};
+
+/**
+ * Loads an invoice and checks the user manages its property
+ * @param {string} invoiceId - Invoice ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} action - What the user is trying to do, for the error message
+ * @param {Object} [session] - MongoDB session
+ * @returns {Promise<Object>} Invoice document
+ * @throws {AppError} If invoice not found or unauthorized
+ */
+const loadManagedInvoice = async (invoiceId, currentUser, action, session = null) => {
+    const invoice = await Invoice.findById(invoiceId).session(session);
+    if (!invoice) {
+        throw new AppError('Invoice not found.', 404);
+    }
+
+    const isAuthorized = await checkPropertyManagementPermission(currentUser, invoice.property);
+    if (!isAuthorized) {
+        throw new AppError(`Not authorized to ${action}.`, 403);
+    }
+
+    return invoice;
+};
+
+/**
+ * Takes the next number in a property's invoice, credit note or receipt sequence for the year
+ * @param {string} propertyId - Property ID
+ * @param {string} documentType - One of DOCUMENT_SEQUENCE_TYPE_ENUM
+ * @param {Date} date - Issue date (decides the sequence year)
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<string>} Formatted document number
+ */
+const nextDocumentNumber = async (propertyId, documentType, date, session) => {
+    const year = new Date(date).getFullYear();
+    const sequence = await InvoiceSequence.findOneAndUpdate(
+        { property: propertyId, documentType, year },
+        { $inc: { lastNumber: 1 } },
+        { new: true, upsert: true, setDefaultsOnInsert: true, session }
+    );
+
+    return formatDocumentNumber(documentType, year, sequence.lastNumber);
+};
+
+/**
+ * Normalizes line item input, checks that linked rents and bills belong to the property and
+ * applies the property's tax rules to lines that do not set their own tax
+ * @param {Array<Object>} items - Line items
+ * @param {string} propertyId - Property the invoice is for
+ * @param {Object} session - MongoDB session
+ * @param {string} [leaseId=null] - Lease the invoice is for; its tenant may withhold tax
+ * @returns {Promise<Object>} { items, subtotal, taxTotal, withholdingTotal, taxBreakdown, total }
+ * @throws {AppError} If a line is invalid
+ */
+const prepareLineItems = async (items, propertyId, session, leaseId = null) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new AppError('At least one line item is required.', 400);
+    }
+
+    for (const item of items) {
+        if (!item.description || !String(item.description).trim()) {
+            throw new AppError('Every line item needs a description.', 400);
+        }
+        if (item.category && !INVOICE_LINE_CATEGORY_ENUM.includes(item.category)) {
+            throw new AppError(`Invalid line item category. Must be one of: ${INVOICE_LINE_CATEGORY_ENUM.join(', ')}`, 400);
+        }
+        if (item.taxRate !== undefined && (item.taxRate < 0 || item.taxRate > 100)) {
+            throw new AppError('Tax rate must be between 0 and 100.', 400);
+        }
+        for (const tax of item.taxes || []) {
+            if (!tax.name || !TAX_TYPE_ENUM.includes(tax.type) || !(tax.rate >= 0 && tax.rate <= 100)) {
+                throw new AppError(`Every line tax needs a name, a type (${TAX_TYPE_ENUM.join(', ')}) and a rate between 0 and 100.`, 400);
+            }
+        }
+    }
+
+    const rentIds = items.filter(item => item.rent).map(item => item.rent);
+    if (rentIds.length > 0) {
+        const found = await Rent.countDocuments({ _id: { $in: rentIds }, property: propertyId }).session(session);
+        if (found !== new Set(rentIds.map(String)).size) {
+            throw new AppError('One or more rent records could not be found for this property.', 404);
+        }
+    }
+
+    const billIds = items.filter(item => item.bill).map(item => item.bill);
+    if (billIds.length > 0) {
+        const found = await Bill.countDocuments({ _id: { $in: billIds }, property: propertyId }).session(session);
+        if (found !== new Set(billIds.map(String)).size) {
+            throw new AppError('One or more bills could not be found for this property.', 404);
+        }
+    }
+
+    const [property, lease] = await Promise.all([
+        Property.findById(propertyId).select('taxRules').session(session),
+        leaseId ? Lease.findById(leaseId).select('withholdsTax').session(session) : null
+    ]);
+    const taxDate = new Date();
+
+    const totals = calculateTotals(items.map(item => {
+        const category = item.category || 'other';
+        const setsOwnTax = item.taxRate !== undefined || (Array.isArray(item.taxes) && item.taxes.length > 0);
+
+        return {
+            ...item,
+            description: String(item.description).trim(),
+            category,
+            taxes: setsOwnTax
+                ? item.taxes
+                : getApplicableTaxRules(property?.taxRules, { date: taxDate, category, withholdsTax: lease?.withholdsTax })
+        };
+    }));
+
+    if (totals.items.some(item => item.amount < 0)) {
+        throw new AppError('Line item amounts cannot be negative.', 400);
+    }
+
+    return totals;
+};
+
+/**
+ * Recomputes what has been paid on an invoice: rent lines from their Rent records plus any
+ * direct payments, then updates its status
+ * @param {Object} invoice - Invoice document (not saved)
+ * @param {Object} [session] - MongoDB session
+ * @returns {Promise<Object>} The invoice
+ */
+const refreshAmountPaid = async (invoice, session = null) => {
+    const rentIds = invoice.items.filter(item => item.rent).map(item => item.rent);
+    const rents = rentIds.length > 0
+        ? await Rent.find({ _id: { $in: rentIds } }).select('amountPaid status').session(session)
+        : [];
+    const rentsById = new Map(rents.map(rent => [rent._id.toString(), rent]));
+
+    const directPaid = invoice.payments.reduce((sum, payment) => sum + payment.amount, 0);
+    invoice.amountPaid = roundCurrency(calculateRentSettlement(invoice.items, rentsById) + directPaid);
+    invoice.status = resolveInvoiceStatus(invoice);
+
+    return invoice;
+};
+
+/**
+ * Assigns the next number and marks an invoice issued. Bills on the invoice are linked to it.
+ * @param {Object} invoice - Draft invoice document
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} Issued invoice
+ */
+const issueInSession = async (invoice, currentUser, ipAddress, session) => {
+    invoice.issueDate = invoice.issueDate || new Date();
+    invoice.invoiceNumber = await nextDocumentNumber(invoice.property, invoice.type, invoice.issueDate, session);
+    invoice.status = 'pending';
+    invoice.updatedBy = currentUser._id;
+    await refreshAmountPaid(invoice, session);
+    await invoice.save({ session });
+
+    const billIds = invoice.items.filter(item => item.bill).map(item => item.bill);
+    if (billIds.length > 0) {
+        await Bill.updateMany({ _id: { $in: billIds } }, { rechargeInvoice: invoice._id }, { session });
+    }
+
+    await auditService.logActivity(
+        invoice.type === 'credit_note' ? AUDIT_ACTION_ENUM.CREDIT_NOTE_ISSUED : AUDIT_ACTION_ENUM.INVOICE_ISSUED,
+        AUDIT_RESOURCE_TYPE_ENUM.Invoice,
+        invoice._id,
+        {
+            userId: currentUser._id,
+            ipAddress,
+            description: `${invoice.type === 'credit_note' ? 'Credit note' : 'Invoice'} ${invoice.invoiceNumber} for ${invoice.currency} ${invoice.amount.toLocaleString()} issued by ${currentUser.email}.`,
+            status: 'success',
+            newValue: { invoiceNumber: invoice.invoiceNumber, status: invoice.status, amount: invoice.amount },
+            metadata: { propertyId: invoice.property, tenantId: invoice.tenant, originalInvoice: invoice.originalInvoice }
+        },
+        { session }
+    );
+
+    return invoice;
+};
+
+/**
+ * Renders an invoice or credit note to PDF with the rent_invoice template and links it.
+ * A rendering failure is logged and leaves the invoice without a document.
+ * @param {Object} invoice - Invoice document
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object|null>} Media document, or null if rendering failed
+ */
+const renderInvoiceDocument = async (invoice, currentUser, ipAddress) => {
+    try {
+        await invoice.populate([
+            { path: 'property', select: 'name address' },
+            { path: 'unit', select: 'unitName' },
+            { path: 'tenant', select: 'firstName lastName email' },
+            { path: 'originalInvoice', select: 'invoiceNumber' }
+        ]);
+
+        const document = await documentGenerationService.generateAndUploadDocument(
+            'rent_invoice',
+            {
+                invoiceNumber: invoice.invoiceNumber,
+                isCreditNote: invoice.type === 'credit_note',
+                originalInvoiceNumber: invoice.originalInvoice?.invoiceNumber || null,
+                issueDate: invoice.issueDate,
+                dueDate: invoice.dueDate,
+                tenantName: `${invoice.tenant?.firstName || ''} ${invoice.tenant?.lastName || ''}`.trim() || 'Tenant',
+                tenantEmail: invoice.tenant?.email,
+                propertyName: invoice.property?.name,
+                propertyAddress: invoice.property?.address,
+                unitName: invoice.unit?.unitName,
+                currency: invoice.currency,
+                items: invoice.items.map(item => item.toObject()),
+                subtotal: invoice.subtotal,
+                taxTotal: invoice.taxTotal,
+                withholdingTotal: invoice.withholdingTotal,
+                taxBreakdown: invoice.taxBreakdown.map(tax => tax.toObject()),
+                amount: invoice.amount,
+                amountPaid: invoice.amountPaid,
+                creditedAmount: invoice.creditedAmount,
+                balance: invoice.balance,
+                notes: invoice.notes
+            },
+            {
+                relatedResourceType: 'Invoice',
+                relatedResourceId: invoice._id,
+                userId: currentUser._id,
+                ipAddress,
+                userName: `${currentUser.firstName || ''} ${currentUser.lastName || ''}`.trim()
+            }
+        );
+
+        await Invoice.updateOne({ _id: invoice._id }, { document: document._id });
+        invoice.document = document;
+
+        return document;
+    } catch (error) {
+        logger.warn(`InvoiceService: Failed to render invoice ${invoice.invoiceNumber}: ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * Populates an invoice for API responses
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<Object>} Populated invoice
+ */
+const findPopulatedInvoice = (invoiceId) => Invoice.findById(invoiceId)
+    .populate('property', 'name address')
+    .populate('unit', 'unitName')
+    .populate('tenant', 'firstName lastName email phone')
+    .populate('lease', 'leaseStartDate leaseEndDate status')
+    .populate('items.rent', 'billingPeriod amountDue amountPaid status')
+    .populate('items.bill', 'billNumber vendor amount status')
+    .populate('originalInvoice', 'invoiceNumber amount')
+    .populate('creditNotes', 'invoiceNumber amount status issueDate')
+    .populate('document', 'url originalname')
+    .populate('createdBy', 'firstName lastName email');
+
+/**
+ * Creates a draft invoice. Property, unit and tenant are taken from the lease when one is given.
+ * @param {Object} invoiceData - Invoice details
+ * @param {string} [invoiceData.leaseId] - Lease the invoice is for
+ * @param {string} [invoiceData.propertyId] - Property (required without a lease)
+ * @param {string} [invoiceData.unitId] - Unit
+ * @param {string} [invoiceData.tenantId] - Tenant (required without a lease)
+ * @param {Array<Object>} invoiceData.items - Line items: { description, category, quantity, unitPrice | amount, taxRate | taxes, rent, bill };
+ *   lines without their own tax get the property's tax rules
+ * @param {Date} invoiceData.dueDate - Due date
+ * @param {string} [invoiceData.currency] - Currency (defaults to the lease's)
+ * @param {string} [invoiceData.notes] - Notes shown on the invoice
+ * @param {boolean} [invoiceData.issue=false] - Issue straight away instead of keeping a draft
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Created invoice
+ * @throws {AppError} If validation fails or unauthorized
+ */
+const createInvoice = async (invoiceData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let invoice;
+    try {
+        let { propertyId, unitId, tenantId, currency } = invoiceData;
+
+        if (invoiceData.leaseId) {
+            const lease = await Lease.findById(invoiceData.leaseId).session(session);
+            if (!lease) {
+                throw new AppError('Lease not found.', 404);
+            }
+            propertyId = lease.property;
+            unitId = lease.unit;
+            tenantId = lease.tenant;
+            currency = currency || lease.currency;
+        }
+
+        if (!propertyId || !tenantId) {
+            throw new AppError('A lease, or a property and tenant, is required.', 400);
+        }
+        if (!invoiceData.dueDate) {
+            throw new AppError('Due date is required.', 400);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, propertyId);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to create invoices for this property.', 403);
+        }
+
+        if (unitId && !invoiceData.leaseId) {
+            const unitExists = await Unit.exists({ _id: unitId, property: propertyId }).session(session);
+            if (!unitExists) {
+                throw new AppError('Unit not found in the specified property.', 404);
+            }
+        }
+
+        const totals = await prepareLineItems(invoiceData.items, propertyId, session, invoiceData.leaseId);
+
+        invoice = new Invoice({
+            property: propertyId,
+            unit: unitId || null,
+            tenant: tenantId,
+            lease: invoiceData.leaseId || null,
+            items: totals.items,
+            currency: currency || 'UGX',
+            subtotal: totals.subtotal,
+            taxTotal: totals.taxTotal,
+            withholdingTotal: totals.withholdingTotal,
+            taxBreakdown: totals.taxBreakdown,
+            amount: totals.total,
+            dueDate: new Date(invoiceData.dueDate),
+            notes: invoiceData.notes,
+            createdBy: currentUser._id
+        });
+        await invoice.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.INVOICE_CREATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Invoice,
+            invoice._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Draft invoice for ${invoice.currency} ${invoice.amount.toLocaleString()} created by ${currentUser.email}.`,
+                status: 'success',
+                newValue: invoice.toObject(),
+                metadata: { propertyId, tenantId, leaseId: invoiceData.leaseId }
+            },
+            { session }
+        );
+
+        if (invoiceData.issue === true || invoiceData.issue === 'true') {
+            await issueInSession(invoice, currentUser, ipAddress, session);
+        }
+
+        await session.commitTransaction();
+
+        logger.info(`InvoiceService: Invoice ${invoice._id} created by ${currentUser.email}.`);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`InvoiceService - Error creating invoice: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId: invoiceData?.leaseId,
+            propertyId: invoiceData?.propertyId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to create invoice: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+
+    if (invoice.invoiceNumber) {
+        await renderInvoiceDocument(invoice, currentUser, ipAddress);
+    }
+
+    return findPopulatedInvoice(invoice._id);
+};
+
+/**
+ * Generates and issues an invoice for a rent record: the rent itself (with the proration
+ * worked out if the period was partial), a line for each recurring lease charge, any active
+ * late fees and optional extra charges. Rent lines carry the taxes worked out on the rent record.
+ * @param {string} rentId - Rent record ID
+ * @param {Object} [options={}] - Options
+ * @param {Array<Object>} [options.additionalCharges] - Extra line items
+ * @param {Date} [options.dueDate] - Due date (defaults to the rent's)
+ * @param {string} [options.notes] - Notes shown on the invoice
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Issued invoice
+ * @throws {AppError} If the rent is not found, already invoiced, or unauthorized
+ */
+const generateInvoiceFromRent = async (rentId, options = {}, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let invoice;
+    try {
+        const rent = await Rent.findOne({ _id: rentId, isActive: true }).session(session);
+        if (!rent) {
+            throw new AppError('Rent record not found.', 404);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, rent.property);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to invoice this rent record.', 403);
+        }
+
+        const existing = await Invoice.findOne({
+            'items.rent': rent._id,
+            type: 'invoice',
+            status: { $ne: 'void' }
+        }).session(session);
+        if (existing) {
+            throw new AppError(`Rent for ${rent.billingPeriod} is already on invoice ${existing.invoiceNumber || '(draft)'}.`, 409);
+        }
+
+        const rentDescription = rent.proration?.applied
+            ? `Rent for ${rent.billingPeriod} (prorated: ${rent.proration.calculation})`
+            : `Rent for ${rent.billingPeriod}`;
+        // Lines are taxed as they were on the rent record, whatever the property's rules are now
+        const rentTaxesFor = (category) => (rent.taxes || [])
+            .filter(tax => tax.category === category)
+            .map(({ rule, name, type, rate }) => ({ rule, name, type, rate }));
+        const items = [{
+            description: rentDescription,
+            category: 'rent',
+            amount: rent.amountDue,
+            taxes: rentTaxesFor('rent'),
+            taxRate: 0,
+            rent: rent._id
+        }];
+
+        for (const charge of rent.charges || []) {
+            items.push({
+                description: `${charge.name} for ${rent.billingPeriod}${charge.calculation ? ` (prorated: ${charge.calculation})` : ''}`,
+                category: charge.category,
+                quantity: charge.quantity,
+                unitPrice: roundCurrency(charge.amount / (charge.quantity || 1)),
+                taxes: rentTaxesFor(charge.category),
+                taxRate: 0,
+                rent: rent._id
+            });
+        }
+
+        for (const fee of (rent.lateFees || []).filter(fee => fee.status === 'active')) {
+            items.push({
+                description: fee.description || `Late fee (${fee.daysLate} days late)`,
+                category: 'late_fee',
+                amount: fee.amount,
+                taxRate: 0,
+                rent: rent._id
+            });
+        }
+
+        for (const charge of options.additionalCharges || []) {
+            items.push({ ...charge, category: charge.category || 'other', rent: undefined });
+        }
+
+        const totals = await prepareLineItems(items, rent.property, session, rent.lease);
+
+        invoice = new Invoice({
+            property: rent.property,
+            unit: rent.unit,
+            tenant: rent.tenant,
+            lease: rent.lease,
+            items: totals.items,
+            currency: rent.currency,
+            subtotal: totals.subtotal,
+            taxTotal: totals.taxTotal,
+            withholdingTotal: totals.withholdingTotal,
+            taxBreakdown: totals.taxBreakdown,
+            amount: totals.total,
+            dueDate: options.dueDate ? new Date(options.dueDate) : rent.dueDate,
+            notes: options.notes,
+            createdBy: currentUser._id
+        });
+
+        await issueInSession(invoice, currentUser, ipAddress, session);
+
+        await session.commitTransaction();
+
+        logger.info(`InvoiceService: Invoice ${invoice.invoiceNumber} generated from rent ${rent._id} by ${currentUser.email}.`);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`InvoiceService - Error generating invoice from rent: ${error.message}`, {
+            userId: currentUser?._id,
+            rentId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to generate invoice from rent: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+
+    await renderInvoiceDocument(invoice, currentUser, ipAddress);
+
+    return findPopulatedInvoice(invoice._id);
+};
+
+/**
+ * Creates a draft invoice recharging a vendor bill to a tenant, optionally with a markup
+ * @param {string} billId - Bill ID
+ * @param {Object} rechargeData - Recharge details
+ * @param {string} [rechargeData.leaseId] - Lease to invoice
+ * @param {string} [rechargeData.tenantId] - Tenant to invoice (without a lease)
+ * @param {number} [rechargeData.markupPercent=0] - Markup on the bill amount
+ * @param {Date} rechargeData.dueDate - Due date
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Draft invoice
+ * @throws {AppError} If the bill is not found, already recharged, or unauthorized
+ */
+const createInvoiceFromBill = async (billId, rechargeData, currentUser, ipAddress) => {
+    const bill = await Bill.findById(billId);
+    if (!bill) {
+        throw new AppError('Bill not found.', 404);
+    }
+    if (bill.status === 'void') {
+        throw new AppError('A void bill cannot be recharged.', 400);
+    }
+    if (bill.rechargeInvoice) {
+        throw new AppError('This bill has already been recharged to a tenant.', 409);
+    }
+
+    const markupPercent = parseFloat(rechargeData.markupPercent || 0);
+    if (markupPercent < 0) {
+        throw new AppError('Markup cannot be negative.', 400);
+    }
+
+    let unitId = bill.unit;
+    if (rechargeData.leaseId) {
+        const lease = await Lease.findById(rechargeData.leaseId);
+        if (!lease || lease.property.toString() !== bill.property.toString()) {
+            throw new AppError('Lease not found for the bill\'s property.', 404);
+        }
+        unitId = lease.unit;
+    }
+
+    return createInvoice({
+        leaseId: rechargeData.leaseId,
+        propertyId: bill.property,
+        unitId,
+        tenantId: rechargeData.tenantId,
+        currency: bill.currency,
+        dueDate: rechargeData.dueDate,
+        items: [{
+            description: `Recharge of bill ${bill.billNumber}${markupPercent ? ` (+${markupPercent}%)` : ''}`,
+            category: bill.request ? 'repair' : 'other',
+            amount: roundCurrency(bill.amount * (1 + markupPercent / 100)),
+            bill: bill._id
+        }],
+        notes: rechargeData.notes
+    }, currentUser, ipAddress);
+};
+
+/**
+ * Gets invoices and credit notes visible to the user. Tenants see their own issued invoices.
+ * @param {Object} currentUser - The authenticated user
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.propertyId] - Filter by property
+ * @param {string} [filters.tenantId] - Filter by tenant
+ * @param {string} [filters.leaseId] - Filter by lease
+ * @param {string} [filters.rentId] - Filter by linked rent record
+ * @param {string} [filters.status] - Filter by status
+ * @param {string} [filters.type] - 'invoice' or 'credit_note'
+ * @param {Date} [filters.startDate] - Due on or after
+ * @param {Date} [filters.endDate] - Due on or before
+ * @param {string} [filters.search] - Invoice number search
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=10] - Items per page
+ * @returns {Promise<Object>} Paginated invoices
+ * @throws {AppError} If unauthorized
+ */
+const getAllInvoices = async (currentUser, filters = {}, page = 1, limit = 10) => {
+    try {
+        const query = {};
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        // Base filtering based on user role
+        if (currentUser.role === ROLE_ENUM.ADMIN) {
+            // Admin sees all
+        } else if (currentUser.role === ROLE_ENUM.TENANT) {
+            query.tenant = currentUser._id;
+            query.status = { $ne: 'draft' };
+        } else if ([ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER].includes(currentUser.role)) {
+            const userAssociatedProperties = await PropertyUser.find({
+                user: currentUser._id,
+                roles: { $in: [
+                    PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                    PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                    PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+                ]},
+                isActive: true
+            }).distinct('property');
+
+            if (userAssociatedProperties.length === 0) {
+                return { invoices: [], total: 0, page: parseInt(page), limit: parseInt(limit), pages: 0 };
+            }
+
+            query.property = { $in: userAssociatedProperties };
+        } else {
+            throw new AppError('Not authorized to view invoices.', 403);
+        }
+
+        if (filters.propertyId) {
+            if (currentUser.role !== ROLE_ENUM.TENANT) {
+                const hasAccess = await checkPropertyManagementPermission(currentUser, filters.propertyId);
+                if (!hasAccess) {
+                    throw new AppError('Not authorized to filter by this property.', 403);
+                }
+            }
+            query.property = filters.propertyId;
+        }
+
+        if (filters.tenantId && currentUser.role !== ROLE_ENUM.TENANT) {
+            query.tenant = filters.tenantId;
+        }
+        if (filters.leaseId) {
+            query.lease = filters.leaseId;
+        }
+        if (filters.rentId) {
+            query['items.rent'] = filters.rentId;
+        }
+
+        if (filters.status) {
+            if (!INVOICE_STATUS_ENUM.includes(filters.status)) {
+                throw new AppError(`Invalid status filter: ${filters.status}. Allowed values: ${INVOICE_STATUS_ENUM.join(', ')}`, 400);
+            }
+            if (currentUser.role === ROLE_ENUM.TENANT && filters.status === 'draft') {
+                throw new AppError('Tenants cannot view draft invoices.', 403);
+            }
+            query.status = filters.status;
+        }
+
+        if (filters.type) {
+            if (!INVOICE_TYPE_ENUM.includes(filters.type)) {
+                throw new AppError(`Invalid type filter: ${filters.type}. Allowed values: ${INVOICE_TYPE_ENUM.join(', ')}`, 400);
+            }
+            query.type = filters.type;
+        }
+
+        if (filters.startDate || filters.endDate) {
+            query.dueDate = {};
+            if (filters.startDate) {
+                query.dueDate.$gte = new Date(filters.startDate);
+            }
+            if (filters.endDate) {
+                query.dueDate.$lte = new Date(filters.endDate);
+            }
+        }
+
+        if (filters.search) {
+            query.invoiceNumber = { $regex: filters.search, $options: 'i' };
+        }
+
+        const [invoices, total] = await Promise.all([
+            Invoice.find(query)
+                .populate('property', 'name')
+                .populate('unit', 'unitName')
+                .populate('tenant', 'firstName lastName email')
+                .populate('document', 'url originalname')
+                .sort({ issueDate: -1, createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            Invoice.countDocuments(query)
+        ]);
+
+        return {
+            invoices,
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            pages: Math.ceil(total / parseInt(limit))
+        };
+    } catch (error) {
+        logger.error(`InvoiceService - Error getting invoices: ${error.message}`, {
+            userId: currentUser?._id,
+            filters
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get invoices: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Gets an invoice or credit note by ID
+ * @param {string} invoiceId - Invoice ID
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Object>} Invoice
+ * @throws {AppError} If not found or unauthorized
+ */
+const getInvoiceById = async (invoiceId, currentUser) => {
+    try {
+        const invoice = await findPopulatedInvoice(invoiceId);
+        if (!invoice) {
+            throw new AppError('Invoice not found.', 404);
+        }
+
+        const isTenant = invoice.tenant?._id.toString() === currentUser._id.toString() && invoice.status !== 'draft';
+        if (!isTenant && !(await checkPropertyManagementPermission(currentUser, invoice.property._id))) {
+            throw new AppError('Not authorized to view this invoice.', 403);
+        }
+
+        return invoice;
+    } catch (error) {
+        logger.error(`InvoiceService - Error getting invoice: ${error.message}`, {
+            userId: currentUser?._id,
+            invoiceId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get invoice: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Updates a draft invoice. Issued invoices are corrected with a credit note instead.
+ * @param {string} invoiceId - Invoice ID
+ * @param {Object} updateData - Fields to update: items, dueDate, notes, currency
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Updated invoice
+ * @throws {AppError} If the invoice is not a draft or unauthorized
+ */
+const updateInvoice = async (invoiceId, updateData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const invoice = await loadManagedInvoice(invoiceId, currentUser, 'update this invoice', session);
+        if (invoice.status !== 'draft') {
+            throw new AppError('Only draft invoices can be edited; issue a credit note to correct an issued invoice.', 400);
+        }
+
+        const oldValue = invoice.toObject();
+
+        if (updateData.items !== undefined) {
+            const totals = await prepareLineItems(updateData.items, invoice.property, session, invoice.lease);
+            invoice.items = totals.items;
+            invoice.subtotal = totals.subtotal;
+            invoice.taxTotal = totals.taxTotal;
+            invoice.withholdingTotal = totals.withholdingTotal;
+            invoice.taxBreakdown = totals.taxBreakdown;
+            invoice.amount = totals.total;
+        }
+        if (updateData.dueDate !== undefined) {
+            invoice.dueDate = new Date(updateData.dueDate);
+        }
+        if (updateData.notes !== undefined) {
+            invoice.notes = updateData.notes;
+        }
+        if (updateData.currency !== undefined) {
+            invoice.currency = updateData.currency;
+        }
+        invoice.updatedBy = currentUser._id;
+
+        await invoice.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.INVOICE_UPDATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Invoice,
+            invoice._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Draft invoice ${invoice._id} updated by ${currentUser.email}.`,
+                status: 'success',
+                oldValue,
+                newValue: invoice.toObject()
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`InvoiceService: Draft invoice ${invoice._id} updated by ${currentUser.email}.`);
+
+        return findPopulatedInvoice(invoice._id);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`InvoiceService - Error updating invoice: ${error.message}`, {
+            userId: currentUser?._id,
+            invoiceId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to update invoice: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Issues a draft invoice: assigns its number and renders the PDF
+ * @param {string} invoiceId - Invoice ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Issued invoice
+ * @throws {AppError} If the invoice is not a draft or unauthorized
+ */
+const issueInvoice = async (invoiceId, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let invoice;
+    try {
+        invoice = await loadManagedInvoice(invoiceId, currentUser, 'issue this invoice', session);
+        if (invoice.status !== 'draft') {
+            throw new AppError('Only draft invoices can be issued.', 400);
+        }
+
+        await issueInSession(invoice, currentUser, ipAddress, session);
+
+        await session.commitTransaction();
+
+        logger.info(`InvoiceService: Invoice ${invoice.invoiceNumber} issued by ${currentUser.email}.`);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`InvoiceService - Error issuing invoice: ${error.message}`, {
+            userId: currentUser?._id,
+            invoiceId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to issue invoice: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+
+    await renderInvoiceDocument(invoice, currentUser, ipAddress);
+
+    return findPopulatedInvoice(invoice._id);
+};
+
+/**
+ * Sends an issued invoice or credit note to the tenant by email/SMS (per their notification
+ * preferences), rendering the PDF first if needed
+ * @param {string} invoiceId - Invoice ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Sent invoice
+ * @throws {AppError} If the invoice is a draft or void, or unauthorized
+ */
+const sendInvoice = async (invoiceId, currentUser, ipAddress) => {
+    try {
+        const invoice = await loadManagedInvoice(invoiceId, currentUser, 'send this invoice');
+        if (['draft', 'void'].includes(invoice.status)) {
+            throw new AppError(`A ${invoice.status} invoice cannot be sent.`, 400);
+        }
+
+        await invoice.populate('document', 'url');
+        let document = invoice.document;
+        if (!document) {
+            document = await renderInvoiceDocument(invoice, currentUser, ipAddress);
+        }
+
+        await invoice.populate([
+            { path: 'property', select: 'name' },
+            { path: 'unit', select: 'unitName' },
+            { path: 'tenant', select: 'firstName lastName email phone' }
+        ]);
+
+        await notificationService.sendInvoiceNotification({
+            invoice,
+            tenant: invoice.tenant,
+            property: invoice.property,
+            unit: invoice.unit,
+            documentLink: document?.url || null,
+            invoiceLink: `${FRONTEND_URL}/invoices/${invoice._id}`
+        });
+
+        const oldStatus = invoice.status;
+        invoice.sentAt = new Date();
+        invoice.sentTo = invoice.tenant.email || invoice.tenant.phone || null;
+        invoice.status = resolveInvoiceStatus(invoice);
+        invoice.updatedBy = currentUser._id;
+        await Invoice.updateOne(
+            { _id: invoice._id },
+            { sentAt: invoice.sentAt, sentTo: invoice.sentTo, status: invoice.status, updatedBy: currentUser._id }
+        );
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.INVOICE_SENT,
+            AUDIT_RESOURCE_TYPE_ENUM.Invoice,
+            invoice._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Invoice ${invoice.invoiceNumber} sent to ${invoice.sentTo} by ${currentUser.email}.`,
+                status: 'success',
+                oldValue: { status: oldStatus },
+                newValue: { status: invoice.status, sentAt: invoice.sentAt, sentTo: invoice.sentTo }
+            }
+        );
+
+        logger.info(`InvoiceService: Invoice ${invoice.invoiceNumber} sent by ${currentUser.email}.`);
+
+        return findPopulatedInvoice(invoice._id);
+    } catch (error) {
+        logger.error(`InvoiceService - Error sending invoice: ${error.message}`, {
+            userId: currentUser?._id,
+            invoiceId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to send invoice: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Voids an invoice or credit note. Invoices with payments or credits must be credited
+ * instead; voiding a credit note restores the balance of the invoice it credited.
+ * @param {string} invoiceId - Invoice ID
+ * @param {string} reason - Why the invoice is void
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Void invoice
+ * @throws {AppError} If the invoice cannot be voided or unauthorized
+ */
+const voidInvoice = async (invoiceId, reason, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const invoice = await loadManagedInvoice(invoiceId, currentUser, 'void this invoice', session);
+
+        if (!reason || !reason.trim()) {
+            throw new AppError('A reason is required to void an invoice.', 400);
+        }
+        if (invoice.status === 'void') {
+            throw new AppError('Invoice is already void.', 400);
+        }
+        if (invoice.type === 'invoice' && invoice.amountPaid > 0) {
+            throw new AppError('This invoice has payments against it; issue a credit note instead.', 400);
+        }
+        if (invoice.type === 'invoice' && invoice.creditedAmount > 0) {
+            throw new AppError('This invoice has credit notes against it; void those first.', 400);
+        }
+
+        const oldStatus = invoice.status;
+        invoice.status = 'void';
+        invoice.voidedAt = new Date();
+        invoice.voidedBy = currentUser._id;
+        invoice.voidReason = reason.trim();
+        invoice.updatedBy = currentUser._id;
+        await invoice.save({ session });
+
+        if (invoice.type === 'credit_note' && invoice.originalInvoice) {
+            const original = await Invoice.findById(invoice.originalInvoice).session(session);
+            if (original) {
+                original.creditedAmount = roundCurrency(Math.max(original.creditedAmount - invoice.amount, 0));
+                original.status = resolveInvoiceStatus(original);
+                await original.save({ session });
+            }
+        }
+
+        await Bill.updateMany({ rechargeInvoice: invoice._id }, { rechargeInvoice: null }, { session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.INVOICE_VOIDED,
+            AUDIT_RESOURCE_TYPE_ENUM.Invoice,
+            invoice._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `${invoice.type === 'credit_note' ? 'Credit note' : 'Invoice'} ${invoice.invoiceNumber || invoice._id} voided by ${currentUser.email}: ${invoice.voidReason}`,
+                status: 'success',
+                oldValue: { status: oldStatus },
+                newValue: { status: invoice.status, voidReason: invoice.voidReason }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`InvoiceService: Invoice ${invoice.invoiceNumber || invoice._id} voided by ${currentUser.email}.`);
+
+        return findPopulatedInvoice(invoice._id);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`InvoiceService - Error voiding invoice: ${error.message}`, {
+            userId: currentUser?._id,
+            invoiceId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to void invoice: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Issues a credit note against an invoice, either itemized or as a single amount, and reduces
+ * the invoice's balance by its total
+ * @param {string} invoiceId - Invoice being credited
+ * @param {Object} creditData - Credit note details
+ * @param {Array<Object>} [creditData.items] - Credited line items
+ * @param {number} [creditData.amount] - Single amount to credit (when no items are given)
+ * @param {string} creditData.reason - Why the credit is issued
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The credit note
+ * @throws {AppError} If the credit exceeds the balance or unauthorized
+ */
+const createCreditNote = async (invoiceId, creditData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let creditNote;
+    try {
+        const invoice = await loadManagedInvoice(invoiceId, currentUser, 'credit this invoice', session);
+
+        if (invoice.type !== 'invoice' || !OPEN_INVOICE_STATUSES.concat('paid').includes(invoice.status)) {
+            throw new AppError('Credit notes can only be issued against issued invoices.', 400);
+        }
+        if (!creditData.reason || !creditData.reason.trim()) {
+            throw new AppError('A reason is required for a credit note.', 400);
+        }
+
+        const items = creditData.items && creditData.items.length > 0
+            ? creditData.items.map(item => ({ ...item, rent: undefined, bill: undefined }))
+            : [{ description: creditData.reason.trim(), category: 'other', amount: parseFloat(creditData.amount) }];
+        const totals = await prepareLineItems(items, invoice.property, session, invoice.lease);
+
+        const creditable = roundCurrency(invoice.amount - invoice.creditedAmount);
+        if (!(totals.total > 0)) {
+            throw new AppError('Credit note total must be greater than zero.', 400);
+        }
+        if (totals.total > creditable) {
+            throw new AppError(`Credit note total exceeds what can be credited on this invoice (${invoice.currency} ${creditable.toLocaleString()}).`, 400);
+        }
+
+        creditNote = new Invoice({
+            type: 'credit_note',
+            property: invoice.property,
+            unit: invoice.unit,
+            tenant: invoice.tenant,
+            lease: invoice.lease,
+            items: totals.items,
+            currency: invoice.currency,
+            subtotal: totals.subtotal,
+            taxTotal: totals.taxTotal,
+            withholdingTotal: totals.withholdingTotal,
+            taxBreakdown: totals.taxBreakdown,
+            amount: totals.total,
+            dueDate: new Date(),
+            originalInvoice: invoice._id,
+            notes: creditData.reason.trim(),
+            createdBy: currentUser._id
+        });
+        await issueInSession(creditNote, currentUser, ipAddress, session);
+
+        const oldValue = { creditedAmount: invoice.creditedAmount, status: invoice.status };
+        invoice.creditedAmount = roundCurrency(invoice.creditedAmount + creditNote.amount);
+        invoice.creditNotes.push(creditNote._id);
+        invoice.status = resolveInvoiceStatus(invoice);
+        invoice.updatedBy = currentUser._id;
+        await invoice.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.INVOICE_UPDATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Invoice,
+            invoice._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Invoice ${invoice.invoiceNumber} credited ${invoice.currency} ${creditNote.amount.toLocaleString()} by credit note ${creditNote.invoiceNumber}.`,
+                status: 'success',
+                oldValue,
+                newValue: { creditedAmount: invoice.creditedAmount, status: invoice.status },
+                metadata: { creditNoteId: creditNote._id }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`InvoiceService: Credit note ${creditNote.invoiceNumber} issued against ${invoice.invoiceNumber} by ${currentUser.email}.`);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`InvoiceService - Error creating credit note: ${error.message}`, {
+            userId: currentUser?._id,
+            invoiceId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to create credit note: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+
+    await renderInvoiceDocument(creditNote, currentUser, ipAddress);
+
+    return findPopulatedInvoice(creditNote._id);
+};
+
+/**
+ * Records a payment directly against an invoice's non-rent lines. Rent lines are settled by
+ * recording the payment against the rent record, which updates the invoice.
+ * @param {string} invoiceId - Invoice ID
+ * @param {Object} paymentData - Payment details
+ * @param {number} paymentData.amount - Amount paid
+ * @param {Date} [paymentData.paymentDate=new Date()] - Payment date
+ * @param {string} [paymentData.paymentMethod] - Payment method
+ * @param {string} [paymentData.transactionId] - Transaction reference
+ * @param {string} [paymentData.notes] - Notes
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Updated invoice
+ * @throws {AppError} If the payment is more than is directly payable or unauthorized
+ */
+const markInvoiceAsPaid = async (invoiceId, paymentData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const invoice = await loadManagedInvoice(invoiceId, currentUser, 'record payments on this invoice', session);
+
+        if (invoice.type !== 'invoice' || !OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+            throw new AppError(`Payments cannot be recorded on a ${invoice.status} ${invoice.type.replace('_', ' ')}.`, 400);
+        }
+
+        const directTotal = calculateDirectTotal(invoice.items);
+        if (directTotal === 0) {
+            throw new AppError('This invoice only has rent lines; record the payment against the rent record instead.', 400);
+        }
+
+        const directPaid = invoice.payments.reduce((sum, payment) => sum + payment.amount, 0);
+        const payable = roundCurrency(Math.min(directTotal - directPaid, invoice.balance));
+        const amount = paymentData.amount !== undefined ? roundCurrency(parseFloat(paymentData.amount)) : payable;
+        if (!(amount > 0)) {
+            throw new AppError('Payment amount must be greater than zero.', 400);
+        }
+        if (amount > payable) {
+            throw new AppError(`Payment exceeds the amount payable on this invoice's non-rent lines (${invoice.currency} ${payable.toLocaleString()}).`, 400);
+        }
+
+        const oldValue = { amountPaid: invoice.amountPaid, status: invoice.status };
+
+        invoice.payments.push({
+            amount,
+            paymentMethod: paymentData.paymentMethod,
+            paymentDate: paymentData.paymentDate ? new Date(paymentData.paymentDate) : new Date(),
+            transactionId: paymentData.transactionId,
+            notes: paymentData.notes,
+            recordedBy: currentUser._id
+        });
+        await refreshAmountPaid(invoice, session);
+        invoice.updatedBy = currentUser._id;
+        await invoice.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.INVOICE_PAID,
+            AUDIT_RESOURCE_TYPE_ENUM.Invoice,
+            invoice._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Payment of ${invoice.currency} ${amount.toLocaleString()} recorded on invoice ${invoice.invoiceNumber} by ${currentUser.email}.`,
+                status: 'success',
+                oldValue,
+                newValue: { amountPaid: invoice.amountPaid, status: invoice.status },
+                metadata: { paymentMethod: paymentData.paymentMethod, transactionId: paymentData.transactionId }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`InvoiceService: Payment of ${amount} recorded on invoice ${invoice.invoiceNumber} by ${currentUser.email}.`);
+
+        return findPopulatedInvoice(invoice._id);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`InvoiceService - Error recording invoice payment: ${error.message}`, {
+            userId: currentUser?._id,
+            invoiceId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to record invoice payment: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Brings issued invoices up to date after payments on their rent records. Called inside the
+ * rent payment transaction.
+ * @param {Array<string>} rentIds - Rent records that changed
+ * @param {Object} [session] - MongoDB session
+ * @returns {Promise<number>} Number of invoices updated
+ */
+const syncRentInvoices = async (rentIds, session = null) => {
+    if (!rentIds || rentIds.length === 0) {
+        return 0;
+    }
+
+    const invoices = await Invoice.find({
+        'items.rent': { $in: rentIds },
+        type: 'invoice',
+        status: { $nin: ['draft', 'void'] }
+    }).session(session);
+
+    for (const invoice of invoices) {
+        await refreshAmountPaid(invoice, session);
+        await invoice.save({ session });
+    }
+
+    return invoices.length;
+};
+
+module.exports = {
+    createInvoice,
+    generateInvoiceFromRent,
+    createInvoiceFromBill,
+    getAllInvoices,
+    getInvoiceById,
+    updateInvoice,
+    issueInvoice,
+    sendInvoice,
+    voidInvoice,
+    createCreditNote,
+    markInvoiceAsPaid,
+    syncRentInvoices,
+    nextDocumentNumber
+};
@@ -0,0 +1,700 @@
+// src/services/jobService.js
+
+const os = require('os');
+const cron = require('node-cron');
+const ScheduledJob = require('../models/scheduledJob');
+const JobRun = require('../models/jobRun');
+const Rent = require('../models/rent');
+const rentService = require('./rentService');
+const lateFeeService = require('./lateFeeService');
+const dunningService = require('./dunningService');
+const rentEscalationService = require('./rentEscalationService');
+const leaseService = require('./leaseService');
+const leaseLifecycleService = require('./leaseLifecycleService');
+const scheduledMaintenanceService = require('./scheduledMaintenanceService');
+const ownerStatementService = require('./ownerStatementService');
+const notificationService = require('./notificationService');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const {
+    JOB_TIMEZONE = 'Africa/Kampala',
+    JOB_LOCK_TTL_MINUTES = 30,
+    RENT_REMINDER_DAYS_AHEAD = 3,
+    RENT_REMINDER_INTERVAL_DAYS = 3,
+    LEASE_EXPIRY_NOTICE_DAYS = '60,30,7'
+} = process.env;
+
+// Identifies this process when it holds a job lock
+const INSTANCE_ID = `${os.hostname()}-${process.pid}`;
+
+// Actor passed to services that expect an authenticated user
+const SYSTEM_ACTOR = Object.freeze({ _id: null, role: ROLE_ENUM.ADMIN, email: 'system@scheduler' });
+
+// name -> { name, schedule, description, handler, task }
+const jobRegistry = new Map();
+
+/**
+ * Registers a job with the scheduler. Must be called before startScheduler().
+ * @param {object} definition - Job definition.
+ * @param {string} definition.name - Unique job name.
+ * @param {string} definition.schedule - Cron expression.
+ * @param {string} [definition.description] - Human-readable description.
+ * @param {function} definition.handler - Async function receiving { asOfDate, actor } and returning counts.
+ * @throws {AppError} If the cron expression is invalid.
+ */
+const registerJob = ({ name, schedule, description = null, handler }) => {
+    if (!cron.validate(schedule)) {
+        throw new AppError(`Invalid cron expression "${schedule}" for job ${name}.`, 500);
+    }
+
+    jobRegistry.set(name, { name, schedule, description, handler, task: null });
+};
+
+/**
+ * Reduces a handler result to the counts stored on a JobRun.
+ * Handlers may return { processed, succeeded, failed, skipped, details } or service-specific
+ * shapes such as { generated, skipped, failed } from rentService.generateRentRecords.
+ * @param {object} [result={}] - Handler result.
+ * @returns {object} Normalized counts and details.
+ */
+const summarizeResult = (result = {}) => {
+    const succeeded = result.succeeded ?? result.generated ?? result.sent ?? 0;
+    const failed = result.failed ?? 0;
+    const skipped = result.skipped ?? 0;
+    const processed = result.processed ?? (succeeded + failed + skipped);
+
+    return { processed, succeeded, failed, skipped, details: result.details || null };
+};
+
+/**
+ * Works out the overall status of a finished run from its counts.
+ * @param {object} counts - Normalized counts from summarizeResult.
+ * @returns {string} One of JOB_RUN_STATUS_ENUM.
+ */
+const resolveRunStatus = ({ succeeded, failed }) => {
+    if (failed === 0) return 'success';
+    return succeeded > 0 ? 'partial' : 'failed';
+};
+
+/**
+ * Atomically takes the Mongo lock for a job. Expired locks (e.g. from a crashed instance) are taken over.
+ * @param {string} name - Job name.
+ * @param {boolean} ignorePause - Whether a paused job may still be locked (manual triggers).
+ * @returns {Promise<object|null>} The locked ScheduledJob document, or null if another run holds it.
+ */
+const acquireLock = async (name, ignorePause) => {
+    const now = new Date();
+    const filter = {
+        name,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    };
+
+    if (!ignorePause) {
+        filter.isPaused = false;
+    }
+
+    return ScheduledJob.findOneAndUpdate(
+        filter,
+        {
+            $set: {
+                lockedBy: INSTANCE_ID,
+                lockedAt: now,
+                lockedUntil: new Date(now.getTime() + parseInt(JOB_LOCK_TTL_MINUTES, 10) * 60 * 1000)
+            }
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Takes the job lock and opens a JobRun record.
+ * @param {string} name - Job name.
+ * @param {object} options - Run options.
+ * @param {string} options.trigger - 'schedule' or 'manual'.
+ * @param {string|null} options.triggeredBy - User ID for manual triggers.
+ * @returns {Promise<object|null>} The running JobRun, or null if the lock is held or the job is paused.
+ */
+const startRun = async (name, { trigger, triggeredBy }) => {
+    const lockedJob = await acquireLock(name, trigger === 'manual');
+    if (!lockedJob) {
+        return null;
+    }
+
+    return JobRun.create({
+        jobName: name,
+        trigger,
+        triggeredBy,
+        instanceId: INSTANCE_ID,
+        startedAt: new Date()
+    });
+};
+
+/**
+ * Executes a job handler for an open run, records the outcome and releases the lock.
+ * Never throws - failures are captured on the JobRun.
+ * @param {object} job - Registered job definition.
+ * @param {object} run - JobRun document created by startRun.
+ * @returns {Promise<object>} The finished JobRun.
+ */
+const executeRun = async (job, run) => {
+    try {
+        const result = await job.handler({ asOfDate: run.startedAt, actor: SYSTEM_ACTOR });
+        const counts = summarizeResult(result);
+
+        Object.assign(run, counts);
+        run.status = resolveRunStatus(counts);
+    } catch (error) {
+        run.status = 'failed';
+        run.error = error.message;
+        logger.error(`JobService - Job ${job.name} failed: ${error.message}`, { runId: run._id });
+    }
+
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+
+    try {
+        await run.save();
+        await ScheduledJob.updateOne(
+            { name: job.name, lockedBy: INSTANCE_ID },
+            {
+                $set: {
+                    lockedBy: null,
+                    lockedAt: null,
+                    lockedUntil: null,
+                    lastRunAt: run.startedAt,
+                    lastRunStatus: run.status,
+                    lastRun: run._id
+                }
+            }
+        );
+    } catch (error) {
+        logger.error(`JobService - Failed to record run for job ${job.name}: ${error.message}`, { runId: run._id });
+    }
+
+    logger.info(`JobService: Job ${job.name} finished with status ${run.status} (${run.succeeded} succeeded, ${run.failed} failed, ${run.skipped} skipped).`);
+
+    return run;
+};
+
+/**
+ * Cron tick handler. Silently skips when the job is paused or running elsewhere.
+ * @param {string} name - Job name.
+ */
+const runScheduledJob = async (name) => {
+    const job = jobRegistry.get(name);
+
+    try {
+        const run = await startRun(name, { trigger: 'schedule', triggeredBy: null });
+        if (!run) {
+            logger.debug(`JobService: Skipping ${name} - paused or locked by another instance.`);
+            return;
+        }
+
+        await executeRun(job, run);
+    } catch (error) {
+        logger.error(`JobService - Error running scheduled job ${name}: ${error.message}`);
+    }
+};
+
+/**
+ * Looks up a registered job or fails with 404.
+ * @param {string} name - Job name.
+ * @returns {object} Registered job definition.
+ * @throws {AppError} If no job is registered under that name.
+ */
+const getRegisteredJob = (name) => {
+    const job = jobRegistry.get(name);
+    if (!job) {
+        throw new AppError(`Job "${name}" not found.`, 404);
+    }
+    return job;
+};
+
+// --- Built-in jobs ---
+
+/**
+ * Generates this period's rent records from active rent schedules.
+ */
+const generateRentJob = async ({ asOfDate, actor }) => {
+    return rentService.generateRentRecords(asOfDate, {}, actor, null);
+};
+
+/**
+ * Charges late fees on overdue rent according to lease/property late fee policies.
+ */
+const lateFeeJob = async ({ asOfDate, actor }) => {
+    const results = await lateFeeService.applyLateFees(asOfDate, actor, null);
+    return { ...results, succeeded: results.applied };
+};
+
+/**
+ * Sends the next due step of each property's dunning sequence for overdue rent.
+ */
+const dunningJob = async ({ asOfDate, actor }) => {
+    return dunningService.processDunning(asOfDate, actor, null);
+};
+
+/**
+ * Sends advance notice of upcoming rent increases and rolls schedules over once the notice period ends.
+ */
+const rentEscalationJob = async ({ asOfDate, actor }) => {
+    const results = await rentEscalationService.processRentEscalations(asOfDate, actor, null);
+    return { ...results, succeeded: results.notified + results.escalated };
+};
+
+/**
+ * Moves leases through draft -> active -> pending_renewal -> expired as their dates and renewal offers dictate.
+ */
+const leaseLifecycleJob = async ({ asOfDate, actor }) => {
+    const results = await leaseLifecycleService.processLeaseLifecycle(asOfDate, actor, null);
+    return { ...results, succeeded: results.transitioned };
+};
+
+/**
+ * Sends lease expiry notices when a lease is exactly one of the configured number of days from ending.
+ */
+const leaseExpiryNoticeJob = async ({ asOfDate, actor }) => {
+    const noticeDays = LEASE_EXPIRY_NOTICE_DAYS.split(',').map(day => parseInt(day, 10)).filter(day => !isNaN(day));
+    const results = { processed: 0, sent: 0, skipped: 0, failed: 0, details: [] };
+
+    if (noticeDays.length === 0) {
+        return results;
+    }
+
+    const today = new Date(asOfDate);
+    today.setHours(0, 0, 0, 0);
+
+    const leases = await leaseService.getExpiringLeases(actor, { daysAhead: Math.max(...noticeDays) });
+
+    for (const lease of leases) {
+        results.processed++;
+
+        const leaseEnd = new Date(lease.leaseEndDate);
+        leaseEnd.setHours(0, 0, 0, 0);
+        const daysRemaining = Math.round((leaseEnd - today) / (1000 * 60 * 60 * 24));
+
+        if (!noticeDays.includes(daysRemaining)) {
+            results.skipped++;
+            continue;
+        }
+
+        try {
+            await notificationService.sendLeaseExpiry({
+                lease,
+                leaseLink: `${FRONTEND_URL}/leases/${lease._id}`
+            });
+            results.sent++;
+            results.details.push({ lease: lease._id, daysRemaining, status: 'sent' });
+        } catch (error) {
+            results.failed++;
+            results.details.push({ lease: lease._id, daysRemaining, status: 'failed', reason: error.message });
+        }
+    }
+
+    return results;
+};
+
+/**
+ * Creates maintenance requests for scheduled maintenance tasks that have come due.
+ */
+const scheduledMaintenanceJob = async ({ asOfDate }) => {
+    return scheduledMaintenanceService.generateDueMaintenanceRequests(asOfDate);
+};
+
+/**
+ * Draws up last month's owner statements once the month has closed.
+ */
+const ownerStatementJob = async ({ asOfDate, actor }) => {
+    return ownerStatementService.generateMonthlyOwnerStatements(asOfDate, actor, null);
+};
+
+/**
+ * Reminds tenants about rent that is due soon or overdue. Each rent is reminded at most once
+ * per RENT_REMINDER_INTERVAL_DAYS. Overdue rent in properties with a dunning sequence is left
+ * to the dunning job.
+ */
+const rentReminderJob = async ({ asOfDate }) => {
+    const results = { processed: 0, sent: 0, skipped: 0, failed: 0, details: [] };
+
+    const reminderHorizon = new Date(asOfDate);
+    reminderHorizon.setDate(reminderHorizon.getDate() + parseInt(RENT_REMINDER_DAYS_AHEAD, 10));
+
+    const lastReminderCutoff = new Date(asOfDate);
+    lastReminderCutoff.setDate(lastReminderCutoff.getDate() - parseInt(RENT_REMINDER_INTERVAL_DAYS, 10));
+
+    const startOfToday = new Date(asOfDate);
+    startOfToday.setHours(0, 0, 0, 0);
+
+    const rents = await Rent.find({
+        isActive: { $ne: false },
+        status: { $in: ['due', 'overdue', 'partially_paid'] },
+        dueDate: { $lte: reminderHorizon },
+        $or: [
+            { lastReminderDate: null },
+            { lastReminderDate: { $lte: lastReminderCutoff } }
+        ]
+    })
+        .populate('tenant', 'firstName lastName email phone')
+        .populate('property', 'name dunningPolicy')
+        .populate('unit', 'unitName');
+
+    for (const rent of rents) {
+        results.processed++;
+
+        if (!rent.tenant || !rent.property || !rent.unit) {
+            results.skipped++;
+            results.details.push({ rent: rent._id, status: 'skipped', reason: 'Missing tenant, property or unit' });
+            continue;
+        }
+
+        const type = rent.dueDate < startOfToday ? 'overdue' : 'due';
+
+        if (type === 'overdue' && rent.property.dunningPolicy?.enabled) {
+            results.skipped++;
+            results.details.push({ rent: rent._id, type, status: 'skipped', reason: 'Handled by the dunning sequence' });
+            continue;
+        }
+
+        try {
+            await notificationService.sendRentReminder({
+                tenant: rent.tenant,
+                property: rent.property,
+                unit: rent.unit,
+                billingPeriod: rent.billingPeriod,
+                amountDue: rent.balanceDue,
+                dueDate: rent.dueDate,
+                rentLink: `${FRONTEND_URL}/rents/${rent._id}`,
+                type,
+                rentId: rent._id
+            });
+
+            await Rent.updateOne(
+                { _id: rent._id },
+                { $set: { reminderSent: true, lastReminderDate: new Date() } }
+            );
+
+            results.sent++;
+            results.details.push({ rent: rent._id, type, status: 'sent' });
+        } catch (error) {
+            results.failed++;
+            results.details.push({ rent: rent._id, type, status: 'failed', reason: error.message });
+        }
+    }
+
+    return results;
+};
+
+/**
+ * Registers the jobs that ship with the application. Schedules can be overridden via env.
+ * Runs on module load so the admin endpoints work even where the scheduler is disabled.
+ */
+const registerBuiltInJobs = () => {
+    registerJob({
+        name: 'generate-rent-records',
+        schedule: process.env.JOB_GENERATE_RENT_CRON || '0 1 * * *',
+        description: 'Generates rent records from active rent schedules.',
+        handler: generateRentJob
+    });
+
+    registerJob({
+        name: 'lease-lifecycle',
+        schedule: process.env.JOB_LEASE_LIFECYCLE_CRON || '15 0 * * *',
+        description: 'Activates signed leases, flags leases due for renewal and expires leases past their end date.',
+        handler: leaseLifecycleJob
+    });
+
+    registerJob({
+        name: 'apply-late-fees',
+        schedule: process.env.JOB_LATE_FEES_CRON || '30 0 * * *',
+        description: 'Applies late fees to overdue rent records.',
+        handler: lateFeeJob
+    });
+
+    registerJob({
+        name: 'dunning',
+        schedule: process.env.JOB_DUNNING_CRON || '0 10 * * *',
+        description: 'Sends dunning reminders and formal notices for overdue rent.',
+        handler: dunningJob
+    });
+
+    registerJob({
+        name: 'rent-escalations',
+        schedule: process.env.JOB_RENT_ESCALATION_CRON || '0 7 * * *',
+        description: 'Sends rent increase notices and applies rent escalations that have taken effect.',
+        handler: rentEscalationJob
+    });
+
+    registerJob({
+        name: 'lease-expiry-notices',
+        schedule: process.env.JOB_LEASE_EXPIRY_CRON || '0 8 * * *',
+        description: 'Notifies tenants, landlords and managers about leases nearing expiry.',
+        handler: leaseExpiryNoticeJob
+    });
+
+    registerJob({
+        name: 'scheduled-maintenance-requests',
+        schedule: process.env.JOB_SCHEDULED_MAINTENANCE_CRON || '0 6 * * *',
+        description: 'Creates maintenance requests for scheduled maintenance tasks that are due.',
+        handler: scheduledMaintenanceJob
+    });
+
+    registerJob({
+        name: 'rent-reminders',
+        schedule: process.env.JOB_RENT_REMINDER_CRON || '0 9 * * *',
+        description: 'Sends reminders for upcoming and overdue rent.',
+        handler: rentReminderJob
+    });
+
+    registerJob({
+        name: 'owner-statements',
+        schedule: process.env.JOB_OWNER_STATEMENT_CRON || '0 5 1 * *',
+        description: 'Generates the previous month\'s statements for property owners.',
+        handler: ownerStatementJob
+    });
+};
+
+/**
+ * Syncs registered jobs to Mongo and starts their cron tasks.
+ * @returns {Promise<void>}
+ */
+const startScheduler = async () => {
+    for (const job of jobRegistry.values()) {
+        await ScheduledJob.updateOne(
+            { name: job.name },
+            { $set: { schedule: job.schedule, description: job.description } },
+            { upsert: true }
+        );
+
+        if (!job.task) {
+            job.task = cron.schedule(job.schedule, () => runScheduledJob(job.name), {
+                name: job.name,
+                timezone: JOB_TIMEZONE,
+                noOverlap: true
+            });
+        }
+    }
+
+    logger.info(`JobService: Scheduler started with ${jobRegistry.size} job(s) on instance ${INSTANCE_ID}.`);
+};
+
+/**
+ * Stops all cron tasks started by this process.
+ * @returns {Promise<void>}
+ */
+const stopScheduler = async () => {
+    for (const job of jobRegistry.values()) {
+        if (job.task) {
+            await job.task.stop();
+            job.task = null;
+        }
+    }
+};
+
+/**
+ * Lists registered jobs with their persisted state.
+ * @returns {Promise<Array<object>>} Jobs with schedule, pause/lock state, last run and next run.
+ */
+const listJobs = async () => {
+    const jobDocs = await ScheduledJob.find({ name: { $in: Array.from(jobRegistry.keys()) } })
+        .populate('lastRun');
+    const docsByName = new Map(jobDocs.map(doc => [doc.name, doc]));
+
+    return Array.from(jobRegistry.values()).map(job => {
+        const doc = docsByName.get(job.name);
+
+        return {
+            name: job.name,
+            description: job.description,
+            schedule: job.schedule,
+            isPaused: doc?.isPaused || false,
+            isRunning: doc?.isRunning || false,
+            lockedBy: doc?.lockedBy || null,
+            lastRunAt: doc?.lastRunAt || null,
+            lastRunStatus: doc?.lastRunStatus || null,
+            lastRun: doc?.lastRun || null,
+            nextRunAt: job.task ? job.task.getNextRun() : null
+        };
+    });
+};
+
+/**
+ * Triggers a job immediately. The job runs in the background; poll getJobRuns for the outcome.
+ * Paused jobs can still be triggered manually.
+ * @param {string} name - Job name.
+ * @param {object} currentUser - The admin triggering the job.
+ * @param {string} ipAddress - Request IP address.
+ * @returns {Promise<object>} The JobRun that was started.
+ * @throws {AppError} If the job does not exist or is already running.
+ */
+const triggerJob = async (name, currentUser, ipAddress) => {
+    const job = getRegisteredJob(name);
+
+    // Make sure the lock document exists even if the scheduler is disabled on this instance
+    await ScheduledJob.updateOne(
+        { name },
+        { $set: { schedule: job.schedule, description: job.description } },
+        { upsert: true }
+    );
+
+    const run = await startRun(name, { trigger: 'manual', triggeredBy: currentUser._id });
+    if (!run) {
+        throw new AppError(`Job "${name}" is already running.`, 409);
+    }
+
+    await auditService.logActivity(
+        AUDIT_ACTION_ENUM.JOB_TRIGGERED,
+        AUDIT_RESOURCE_TYPE_ENUM.System,
+        run._id,
+        {
+            userId: currentUser._id,
+            ipAddress,
+            description: `Job ${name} triggered manually by ${currentUser.email}.`,
+            status: 'success',
+            metadata: { jobName: name }
+        }
+    );
+
+    // Intentionally not awaited - executeRun records its own outcome
+    executeRun(job, run);
+
+    return run;
+};
+
+/**
+ * Pauses or resumes a job across all instances.
+ * @param {string} name - Job name.
+ * @param {boolean} isPaused - Target state.
+ * @param {object} currentUser - The admin making the change.
+ * @param {string} ipAddress - Request IP address.
+ * @returns {Promise<object>} The updated ScheduledJob document.
+ * @throws {AppError} If the job does not exist.
+ */
+const setJobPaused = async (name, isPaused, currentUser, ipAddress) => {
+    const job = getRegisteredJob(name);
+
+    const jobDoc = await ScheduledJob.findOneAndUpdate(
+        { name },
+        {
+            $set: {
+                schedule: job.schedule,
+                description: job.description,
+                isPaused,
+                pausedAt: isPaused ? new Date() : null,
+                pausedBy: isPaused ? currentUser._id : null
+            }
+        },
+        { new: true, upsert: true }
+    );
+
+    await auditService.logActivity(
+        isPaused ? AUDIT_ACTION_ENUM.JOB_PAUSED : AUDIT_ACTION_ENUM.JOB_RESUMED,
+        AUDIT_RESOURCE_TYPE_ENUM.System,
+        jobDoc._id,
+        {
+            userId: currentUser._id,
+            ipAddress,
+            description: `Job ${name} ${isPaused ? 'paused' : 'resumed'} by ${currentUser.email}.`,
+            status: 'success',
+            metadata: { jobName: name }
+        }
+    );
+
+    logger.info(`JobService: Job ${name} ${isPaused ? 'paused' : 'resumed'} by ${currentUser.email}.`);
+
+    return jobDoc;
+};
+
+/**
+ * Pauses a job. Scheduled ticks are skipped until it is resumed.
+ * @param {string} name - Job name.
+ * @param {object} currentUser - The admin pausing the job.
+ * @param {string} ipAddress - Request IP address.
+ * @returns {Promise<object>} The updated ScheduledJob document.
+ */
+const pauseJob = (name, currentUser, ipAddress) => setJobPaused(name, true, currentUser, ipAddress);
+
+/**
+ * Resumes a paused job.
+ * @param {string} name - Job name.
+ * @param {object} currentUser - The admin resuming the job.
+ * @param {string} ipAddress - Request IP address.
+ * @returns {Promise<object>} The updated ScheduledJob document.
+ */
+const resumeJob = (name, currentUser, ipAddress) => setJobPaused(name, false, currentUser, ipAddress);
+
+/**
+ * Gets the run history for a job, newest first.
+ * @param {string} name - Job name.
+ * @param {object} [filters={}] - Filters: status, page, limit.
+ * @returns {Promise<object>} Paginated runs.
+ * @throws {AppError} If the job does not exist.
+ */
+const getJobRuns = async (name, filters = {}) => {
+    getRegisteredJob(name);
+
+    const page = parseInt(filters.page, 10) || 1;
+    const limit = parseInt(filters.limit, 10) || 20;
+    const query = { jobName: name };
+
+    if (filters.status) {
+        query.status = filters.status;
+    }
+
+    const [runs, total] = await Promise.all([
+        JobRun.find(query)
+            .populate('triggeredBy', 'firstName lastName email')
+            .sort({ startedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        JobRun.countDocuments(query)
+    ]);
+
+    return {
+        runs,
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+    };
+};
+
+/**
+ * Gets a single job run.
+ * @param {string} runId - JobRun ID.
+ * @returns {Promise<object>} The JobRun.
+ * @throws {AppError} If the run does not exist.
+ */
+const getJobRunById = async (runId) => {
+    const run = await JobRun.findById(runId).populate('triggeredBy', 'firstName lastName email');
+    if (!run) {
+        throw new AppError('Job run not found.', 404);
+    }
+    return run;
+};
+
+registerBuiltInJobs();
+
+module.exports = {
+    registerJob,
+    startScheduler,
+    stopScheduler,
+    listJobs,
+    triggerJob,
+    pauseJob,
+    resumeJob,
+    getJobRuns,
+    getJobRunById,
+    getRegisteredJob,
+    summarizeResult,
+    resolveRunStatus
+};
@@ -0,0 +1,338 @@
+// src/services/lateFeeService.js
+
+const mongoose = require('mongoose');
+const Rent = require('../models/rent');
+const Lease = require('../models/lease');
+const Property = require('../models/property');
+const PropertyUser = require('../models/propertyUser');
+const auditService = require('./auditService');
+const { resolveLateFeePolicy, planLateFeeCharges } = require('../utils/lateFeeUtils');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    PROPERTY_USER_ROLES_ENUM,
+    LATE_FEE_TYPE_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+/**
+ * Helper to check if a user has management permission for a given property
+ * @param {Object} user - The authenticated user
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkPropertyManagementPermission = async (user, propertyId) => {
+    try {
+        if (user.role === ROLE_ENUM.ADMIN) {
+            return true; // Admin has global access
+        }
+
+        const hasAccess = await PropertyUser.exists({
+            user: user._id,
+            property: propertyId,
+            isActive: true,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]}
+        });
+
+        return !!hasAccess;
+    } catch (error) {
+        logger.error(`LateFeeService - Error checking property management permission: ${error.message}`, {
+            userId: user?._id,
+            propertyId
+        });
+        return false; // Fail safely
+    }
+};
+
+/**
+ * Applies late fees to every overdue rent record that falls under a late fee policy.
+ * Safe to run repeatedly (e.g. daily from the job scheduler): only the difference between
+ * what the policy says is owed and what was already assessed is added.
+ * @param {Date} [asOfDate=new Date()] - Date to assess fees for
+ * @param {Object} currentUser - The authenticated user (or the scheduler's system actor)
+ * @param {string} ipAddress - Request IP address
+ * @param {Object} [filters={}] - Optional filters: propertyId, leaseId
+ * @returns {Promise<Object>} Counts of processed, applied, skipped and failed rent records
+ * @throws {AppError} If unauthorized
+ */
+const applyLateFees = async (asOfDate = new Date(), currentUser, ipAddress, filters = {}) => {
+    try {
+        const targetDate = new Date(asOfDate);
+
+        const query = {
+            isActive: { $ne: false },
+            status: { $in: ['due', 'overdue', 'partially_paid'] },
+            dueDate: { $lt: targetDate }
+        };
+
+        if (filters.propertyId) {
+            const isAuthorized = await checkPropertyManagementPermission(currentUser, filters.propertyId);
+            if (!isAuthorized) {
+                throw new AppError('Not authorized to apply late fees for this property.', 403);
+            }
+            query.property = filters.propertyId;
+        } else if (currentUser.role !== ROLE_ENUM.ADMIN) {
+            const managedProperties = await PropertyUser.find({
+                user: currentUser._id,
+                roles: { $in: [
+                    PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                    PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                    PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+                ]},
+                isActive: true
+            }).distinct('property');
+
+            query.property = { $in: managedProperties };
+        }
+
+        if (filters.leaseId) {
+            query.lease = filters.leaseId;
+        }
+
+        const rents = await Rent.find(query)
+            .populate('lease', 'lateFeePolicy')
+            .populate('property', 'name lateFeePolicy');
+
+        const results = {
+            processed: 0,
+            applied: 0,
+            skipped: 0,
+            failed: 0,
+            totalAmount: 0,
+            details: []
+        };
+
+        for (const rent of rents) {
+            results.processed++;
+
+            // Fees only accrue while the rent (and the charges and tax billed with it) is unpaid
+            if ((rent.amountPaid || 0) >= rent.totalDue - rent.lateFeeTotal) {
+                results.skipped++;
+                continue;
+            }
+
+            const policy = resolveLateFeePolicy(rent.lease, rent.property);
+            const charges = planLateFeeCharges(policy, rent, targetDate);
+
+            if (charges.length === 0) {
+                results.skipped++;
+                continue;
+            }
+
+            try {
+                const oldLateFeeTotal = rent.lateFeeTotal;
+
+                for (const charge of charges) {
+                    rent.lateFees.push({ ...charge, assessedAt: targetDate });
+                }
+                if (rent.status === 'due') {
+                    rent.status = 'overdue';
+                }
+                rent.updatedBy = currentUser._id;
+
+                await rent.save();
+
+                const chargedAmount = charges.reduce((sum, charge) => sum + charge.amount, 0);
+
+                await auditService.logActivity(
+                    AUDIT_ACTION_ENUM.LATE_FEE_APPLIED,
+                    AUDIT_RESOURCE_TYPE_ENUM.Rent,
+                    rent._id,
+                    {
+                        userId: currentUser._id,
+                        ipAddress,
+                        description: `Late fee of ${rent.currency} ${chargedAmount.toLocaleString()} applied to rent ${rent._id} by ${currentUser.email}.`,
+                        status: 'success',
+                        oldValue: { lateFeeTotal: oldLateFeeTotal },
+                        newValue: { lateFeeTotal: rent.lateFeeTotal, status: rent.status },
+                        metadata: { charges, asOfDate: targetDate }
+                    }
+                );
+
+                results.applied++;
+                results.totalAmount += chargedAmount;
+                results.details.push({ rent: rent._id, status: 'applied', amount: chargedAmount });
+            } catch (error) {
+                results.failed++;
+                results.details.push({ rent: rent._id, status: 'failed', reason: error.message });
+                logger.error(`LateFeeService - Error applying late fee to rent ${rent._id}: ${error.message}`);
+            }
+        }
+
+        logger.info(`LateFeeService: Applied late fees to ${results.applied} of ${results.processed} overdue rent record(s).`);
+
+        return results;
+    } catch (error) {
+        logger.error(`LateFeeService - Error applying late fees: ${error.message}`, {
+            userId: currentUser?._id,
+            filters
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to apply late fees: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Waives a single late fee line item on a rent record
+ * @param {string} rentId - Rent record ID
+ * @param {string} feeId - Late fee line item ID
+ * @param {string} reason - Reason for the waiver (kept on the line item and in the audit log)
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Updated rent record
+ * @throws {AppError} If rent or fee not found, already waived, or unauthorized
+ */
+const waiveLateFee = async (rentId, feeId, reason, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const rent = await Rent.findById(rentId).session(session);
+        if (!rent) {
+            throw new AppError('Rent record not found.', 404);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, rent.property);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to waive late fees for this rent record.', 403);
+        }
+
+        const fee = rent.lateFees.id(feeId);
+        if (!fee) {
+            throw new AppError('Late fee not found on this rent record.', 404);
+        }
+        if (fee.status === 'waived') {
+            throw new AppError('This late fee has already been waived.', 400);
+        }
+
+        const oldValue = { fee: fee.toObject(), lateFeeTotal: rent.lateFeeTotal, status: rent.status };
+
+        fee.status = 'waived';
+        fee.waivedAt = new Date();
+        fee.waivedBy = currentUser._id;
+        fee.waiverReason = reason;
+
+        // Waiving the last outstanding fee can settle the record
+        if (rent.amountPaid > 0 && rent.amountPaid >= rent.totalDue) {
+            rent.status = 'paid';
+        }
+        rent.updatedBy = currentUser._id;
+
+        const updatedRent = await rent.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LATE_FEE_WAIVED,
+            AUDIT_RESOURCE_TYPE_ENUM.Rent,
+            updatedRent._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Late fee of ${updatedRent.currency} ${fee.amount.toLocaleString()} on rent ${updatedRent._id} waived by ${currentUser.email}.`,
+                status: 'success',
+                oldValue,
+                newValue: { fee: fee.toObject(), lateFeeTotal: updatedRent.lateFeeTotal, status: updatedRent.status },
+                metadata: { feeId, reason }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`LateFeeService: Late fee ${feeId} on rent ${rentId} waived by ${currentUser.email}.`);
+
+        return updatedRent;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`LateFeeService - Error waiving late fee: ${error.message}`, {
+            userId: currentUser?._id,
+            rentId,
+            feeId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to waive late fee: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Sets the late fee policy on a lease or a property
+ * @param {string} resourceType - 'lease' or 'property'
+ * @param {string} resourceId - Lease or Property ID
+ * @param {Object} policyData - Policy fields (see LateFeePolicySchema)
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The saved policy
+ * @throws {AppError} If resource not found, policy invalid, or unauthorized
+ */
+const updateLateFeePolicy = async (resourceType, resourceId, policyData, currentUser, ipAddress) => {
+    try {
+        const Model = resourceType === 'lease' ? Lease : Property;
+        const doc = await Model.findById(resourceId);
+        if (!doc) {
+            throw new AppError(`${resourceType === 'lease' ? 'Lease' : 'Property'} not found.`, 404);
+        }
+
+        const propertyId = resourceType === 'lease' ? doc.property : doc._id;
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, propertyId);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to change the late fee policy.', 403);
+        }
+
+        if (policyData.feeType && !LATE_FEE_TYPE_ENUM.includes(policyData.feeType)) {
+            throw new AppError(`Invalid fee type. Must be one of: ${LATE_FEE_TYPE_ENUM.join(', ')}`, 400);
+        }
+
+        const oldPolicy = doc.lateFeePolicy ? doc.lateFeePolicy.toObject() : null;
+
+        doc.lateFeePolicy = {
+            ...(oldPolicy || {}),
+            ...policyData,
+            dailyAccrual: {
+                ...(oldPolicy?.dailyAccrual || {}),
+                ...(policyData.dailyAccrual || {})
+            }
+        };
+        doc.updatedBy = currentUser._id;
+
+        await doc.save();
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LATE_FEE_POLICY_UPDATED,
+            resourceType === 'lease' ? AUDIT_RESOURCE_TYPE_ENUM.Lease : AUDIT_RESOURCE_TYPE_ENUM.Property,
+            doc._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Late fee policy for ${resourceType} ${doc._id} updated by ${currentUser.email}.`,
+                status: 'success',
+                oldValue: oldPolicy,
+                newValue: doc.lateFeePolicy.toObject()
+            }
+        );
+
+        return doc.lateFeePolicy;
+    } catch (error) {
+        logger.error(`LateFeeService - Error updating late fee policy: ${error.message}`, {
+            userId: currentUser?._id,
+            resourceType,
+            resourceId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to update late fee policy: ${error.message}`, 500);
+    }
+};
+
+module.exports = {
+    applyLateFees,
+    waiveLateFee,
+    updateLateFeePolicy
+};
@@ -0,0 +1,432 @@
+// src/services/leaseChargeService.js
+
+const mongoose = require('mongoose');
+const Lease = require('../models/lease');
+const PropertyUser = require('../models/propertyUser');
+const LeaseSignatureRequest = require('../models/leaseSignatureRequest');
+const auditService = require('./auditService');
+const { roundCurrency } = require('../utils/lateFeeUtils');
+const { computeLeaseTermsHash } = require('../utils/leaseSignatureUtils');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    PROPERTY_USER_ROLES_ENUM,
+    LEASE_CHARGE_CATEGORY_ENUM,
+    RENT_BILLING_PERIOD_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+// Lease statuses at which charges can no longer be added or changed
+const CLOSED_LEASE_STATUSES = ['terminated', 'expired'];
+
+/**
+ * Helper to check if a user has management permission for a given property
+ * @param {Object} user - The authenticated user
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkPropertyManagementPermission = async (user, propertyId) => {
+    try {
+        if (user.role === ROLE_ENUM.ADMIN) {
+            return true; // Admin has global access
+        }
+
+        const hasAccess = await PropertyUser.exists({
+            user: user._id,
+            property: propertyId,
+            isActive: true,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]}
+        });
+
+        return !!hasAccess;
+    } catch (error) {
+        logger.error(`LeaseChargeService - Error checking property management permission: ${error.message}`, {
+            userId: user?._id,
+            propertyId
+        });
+        return false; // Fail safely
+    }
+};
+
+/**
+ * Loads a lease that is still open for changes and checks the user manages its property
+ * @param {string} leaseId - Lease ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} action - What the user is trying to do, for the error message
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} Lease document
+ * @throws {AppError} If lease not found, closed or unauthorized
+ */
+const loadManagedLease = async (leaseId, currentUser, action, session) => {
+    const lease = await Lease.findById(leaseId).session(session);
+    if (!lease) {
+        throw new AppError('Lease not found.', 404);
+    }
+
+    const isAuthorized = await checkPropertyManagementPermission(currentUser, lease.property);
+    if (!isAuthorized) {
+        throw new AppError(`Not authorized to ${action} for this lease.`, 403);
+    }
+
+    if (CLOSED_LEASE_STATUSES.includes(lease.status)) {
+        throw new AppError(`Cannot ${action} for a ${lease.status} lease.`, 400);
+    }
+
+    return lease;
+};
+
+/**
+ * Finds a charge on a lease
+ * @param {Object} lease - Lease document
+ * @param {string} chargeId - Charge ID
+ * @returns {Object} Charge subdocument
+ * @throws {AppError} If the charge is not on the lease
+ */
+const findCharge = (lease, chargeId) => {
+    const charge = lease.charges.id(chargeId);
+    if (!charge) {
+        throw new AppError('Charge not found on this lease.', 404);
+    }
+    return charge;
+};
+
+/**
+ * Starts signing over when a charge change alters the signed lease terms: pending signature
+ * requests are voided and the lease goes back to unsigned
+ * @param {Object} lease - Lease document with the change applied, not yet saved
+ * @param {string} oldTermsHash - Terms hash from before the change
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<boolean>} True if the signatures were reset
+ */
+const resetSignaturesIfTermsChanged = async (lease, oldTermsHash, session) => {
+    if (lease.signatureStatus === 'unsigned' || computeLeaseTermsHash(lease) === oldTermsHash) {
+        return false;
+    }
+
+    await LeaseSignatureRequest.updateMany(
+        { lease: lease._id, status: 'pending' },
+        { $set: { status: 'voided', voidedAt: new Date(), voidReason: 'Lease terms changed.', 'signers.$[].tokenHash': null } },
+        { session }
+    );
+    lease.signatureStatus = 'unsigned';
+    lease.signedAt = null;
+    lease.signedDocument = null;
+
+    return true;
+};
+
+/**
+ * Checks and normalizes charge fields, filling in defaults for a new charge
+ * @param {Object} chargeData - Charge fields from the request
+ * @param {Object} lease - Lease document
+ * @param {Object} [existing={}] - Current values when updating a charge
+ * @returns {Object} Fields to set on the charge
+ * @throws {AppError} If a field is invalid
+ */
+const buildChargeFields = (chargeData, lease, existing = {}) => {
+    const fields = {};
+
+    if (chargeData.name !== undefined) {
+        if (!chargeData.name || !String(chargeData.name).trim()) {
+            throw new AppError('Charge name is required.', 400);
+        }
+        fields.name = String(chargeData.name).trim();
+    }
+
+    if (chargeData.category !== undefined) {
+        if (!LEASE_CHARGE_CATEGORY_ENUM.includes(chargeData.category)) {
+            throw new AppError(`Invalid charge category. Must be one of: ${LEASE_CHARGE_CATEGORY_ENUM.join(', ')}`, 400);
+        }
+        fields.category = chargeData.category;
+    }
+
+    if (chargeData.amount !== undefined) {
+        const amount = roundCurrency(parseFloat(chargeData.amount));
+        if (!(amount >= 0)) {
+            throw new AppError('Charge amount must be a non-negative number.', 400);
+        }
+        fields.amount = amount;
+    }
+
+    if (chargeData.frequency !== undefined) {
+        if (!RENT_BILLING_PERIOD_ENUM.includes(chargeData.frequency)) {
+            throw new AppError(`Invalid charge frequency. Must be one of: ${RENT_BILLING_PERIOD_ENUM.join(', ')}`, 400);
+        }
+        fields.frequency = chargeData.frequency;
+    }
+
+    if (chargeData.startDate !== undefined) {
+        fields.startDate = new Date(chargeData.startDate);
+    } else if (!existing.startDate) {
+        // New charges start with the lease unless told otherwise
+        fields.startDate = lease.leaseStartDate;
+    }
+
+    if (chargeData.endDate !== undefined) {
+        fields.endDate = chargeData.endDate ? new Date(chargeData.endDate) : null;
+    }
+
+    if (chargeData.notes !== undefined) {
+        fields.notes = chargeData.notes;
+    }
+
+    const startDate = fields.startDate || existing.startDate;
+    const endDate = fields.endDate !== undefined ? fields.endDate : existing.endDate;
+    if (endDate && startDate && endDate < startDate) {
+        throw new AppError('Charge end date cannot be before its start date.', 400);
+    }
+
+    return fields;
+};
+
+/**
+ * Gets the recurring charges on a lease
+ * @param {string} leaseId - Lease ID
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Array<Object>>} Lease charges
+ * @throws {AppError} If lease not found or unauthorized
+ */
+const getLeaseCharges = async (leaseId, currentUser) => {
+    try {
+        const lease = await Lease.findById(leaseId).select('tenant property charges');
+        if (!lease) {
+            throw new AppError('Lease not found.', 404);
+        }
+
+        // Tenant can view the charges on their own lease
+        const isTenant = lease.tenant && lease.tenant.toString() === currentUser._id.toString();
+        if (!isTenant && !(await checkPropertyManagementPermission(currentUser, lease.property))) {
+            throw new AppError('Not authorized to view the charges for this lease.', 403);
+        }
+
+        return lease.charges;
+    } catch (error) {
+        logger.error(`LeaseChargeService - Error getting lease charges: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get lease charges: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Adds a recurring charge to a lease. It is billed on the rent records generated from then on.
+ * Charges are signed terms, so a lease already sent for signature has to be signed again.
+ * @param {string} leaseId - Lease ID
+ * @param {Object} chargeData - Charge details
+ * @param {string} chargeData.name - Name shown on rent records and invoices
+ * @param {string} [chargeData.category='other'] - One of LEASE_CHARGE_CATEGORY_ENUM
+ * @param {number} chargeData.amount - Amount for each charge period
+ * @param {string} [chargeData.frequency='monthly'] - One of RENT_BILLING_PERIOD_ENUM
+ * @param {Date} [chargeData.startDate] - First day charged (defaults to the lease start)
+ * @param {Date} [chargeData.endDate] - Last day charged (defaults to the lease end)
+ * @param {string} [chargeData.notes] - Notes
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The new charge
+ * @throws {AppError} If validation fails or unauthorized
+ */
+const addLeaseCharge = async (leaseId, chargeData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const lease = await loadManagedLease(leaseId, currentUser, 'add charges', session);
+        const oldTermsHash = computeLeaseTermsHash(lease);
+
+        if (chargeData.name === undefined || chargeData.amount === undefined) {
+            throw new AppError('Charge name and amount are required.', 400);
+        }
+
+        const fields = buildChargeFields(chargeData, lease);
+        lease.charges.push(fields);
+        const charge = lease.charges[lease.charges.length - 1];
+        lease.updatedBy = currentUser._id;
+        const signaturesReset = await resetSignaturesIfTermsChanged(lease, oldTermsHash, session);
+
+        await lease.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_CHARGE_ADDED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            lease._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Recurring charge "${charge.name}" of ${lease.currency} ${charge.amount.toLocaleString()} (${charge.frequency}) added to lease ${lease._id} by ${currentUser.email}.`,
+                status: 'success',
+                newValue: charge.toObject(),
+                metadata: { chargeId: charge._id, signaturesReset }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`LeaseChargeService: Charge ${charge._id} added to lease ${lease._id} by ${currentUser.email}.`);
+
+        return charge;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`LeaseChargeService - Error adding lease charge: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to add lease charge: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Updates a recurring charge on a lease. Rent records already generated keep the amounts they were
+ * billed with; regenerate them to pick up the change.
+ * @param {string} leaseId - Lease ID
+ * @param {string} chargeId - Charge ID
+ * @param {Object} updateData - Fields to change (name, category, amount, frequency, startDate, endDate, isActive, notes)
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The updated charge
+ * @throws {AppError} If validation fails or unauthorized
+ */
+const updateLeaseCharge = async (leaseId, chargeId, updateData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const lease = await loadManagedLease(leaseId, currentUser, 'update charges', session);
+        const oldTermsHash = computeLeaseTermsHash(lease);
+        const charge = findCharge(lease, chargeId);
+        const oldValue = charge.toObject();
+
+        const fields = buildChargeFields(updateData, lease, charge);
+        if (updateData.isActive !== undefined) {
+            fields.isActive = updateData.isActive === true || updateData.isActive === 'true';
+        }
+
+        charge.set(fields);
+        lease.updatedBy = currentUser._id;
+        const signaturesReset = await resetSignaturesIfTermsChanged(lease, oldTermsHash, session);
+
+        await lease.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_CHARGE_UPDATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            lease._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Recurring charge "${charge.name}" on lease ${lease._id} updated by ${currentUser.email}.`,
+                status: 'success',
+                oldValue,
+                newValue: charge.toObject(),
+                metadata: { chargeId: charge._id, signaturesReset }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`LeaseChargeService: Charge ${charge._id} on lease ${lease._id} updated by ${currentUser.email}.`);
+
+        return charge;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`LeaseChargeService - Error updating lease charge: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId,
+            chargeId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to update lease charge: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Ends a recurring charge on a lease. The charge is kept (rent records point at it) and billed
+ * up to its end date; a charge ended before it started is switched off altogether.
+ * @param {string} leaseId - Lease ID
+ * @param {string} chargeId - Charge ID
+ * @param {Date} [endDate=new Date()] - Last day charged
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The ended charge
+ * @throws {AppError} If the charge is not found or unauthorized
+ */
+const endLeaseCharge = async (leaseId, chargeId, endDate, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const lease = await loadManagedLease(leaseId, currentUser, 'end charges', session);
+        const oldTermsHash = computeLeaseTermsHash(lease);
+        const charge = findCharge(lease, chargeId);
+        const oldValue = { endDate: charge.endDate, isActive: charge.isActive };
+
+        const lastDay = endDate ? new Date(endDate) : new Date();
+        if (lastDay < charge.startDate) {
+            charge.isActive = false;
+        } else {
+            charge.endDate = charge.endDate && charge.endDate < lastDay ? charge.endDate : lastDay;
+        }
+        lease.updatedBy = currentUser._id;
+        const signaturesReset = await resetSignaturesIfTermsChanged(lease, oldTermsHash, session);
+
+        await lease.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_CHARGE_ENDED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            lease._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Recurring charge "${charge.name}" on lease ${lease._id} ended by ${currentUser.email}.`,
+                status: 'success',
+                oldValue,
+                newValue: { endDate: charge.endDate, isActive: charge.isActive },
+                metadata: { chargeId: charge._id, signaturesReset }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`LeaseChargeService: Charge ${charge._id} on lease ${lease._id} ended by ${currentUser.email}.`);
+
+        return charge;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`LeaseChargeService - Error ending lease charge: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId,
+            chargeId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to end lease charge: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+module.exports = {
+    getLeaseCharges,
+    addLeaseCharge,
+    updateLeaseCharge,
+    endLeaseCharge
+};
@@ -0,0 +1,350 @@
+// src/services/leaseLifecycleService.js
+
+const mongoose = require('mongoose');
+const Lease = require('../models/lease');
+const LeaseRenewalOffer = require('../models/leaseRenewalOffer');
+const RentSchedule = require('../models/rentSchedule');
+const Unit = require('../models/unit');
+const PropertyUser = require('../models/propertyUser');
+const auditService = require('./auditService');
+const { addDays } = require('../utils/rentEscalationUtils');
+const {
+    DEFAULT_RENEWAL_WINDOW_DAYS,
+    IN_FORCE_LEASE_STATUSES,
+    CLOSED_LEASE_STATUSES,
+    startOfDay,
+    getLifecycleTransition
+} = require('../utils/leaseLifecycleUtils');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    PROPERTY_USER_ROLES_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+const LEASE_RENEWAL_WINDOW_DAYS = parseInt(process.env.LEASE_RENEWAL_WINDOW_DAYS, 10) || DEFAULT_RENEWAL_WINDOW_DAYS;
+
+/**
+ * Leases with a renewal offer awaiting a response: sent to the tenant and not lapsed, or countered
+ * @param {Date} asOfDate - Date to check offer expiry against
+ * @param {Array<string>} [leaseIds] - Only check these leases
+ * @returns {Promise<Set<string>>} Lease IDs
+ */
+const getLeasesWithOpenRenewalOffers = async (asOfDate, leaseIds = null) => {
+    const query = {
+        $or: [
+            { status: 'sent', $or: [{ expiresAt: null }, { expiresAt: { $gte: asOfDate } }] },
+            { status: 'countered' }
+        ]
+    };
+    if (leaseIds) {
+        query.lease = { $in: leaseIds };
+    }
+
+    const ids = await LeaseRenewalOffer.distinct('lease', query);
+    return new Set(ids.map(id => id.toString()));
+};
+
+/**
+ * Brings the unit, the tenant's PropertyUser lease info and the lease's rent schedules in line
+ * with a lease status change. A lease coming into force occupies the unit; one that expires or is
+ * terminated frees it (unless another lease on the unit is in force), records the end date in the
+ * tenant's lease info and stops its rent schedules at that date.
+ * @param {Object} lease - The lease, already saved with its new status
+ * @param {string} fromStatus - Previous status
+ * @param {string} toStatus - New status
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} { unitStatus, schedulesDeactivated } describing what changed
+ */
+const syncLinkedRecords = async (lease, fromStatus, toStatus, session) => {
+    const wasInForce = IN_FORCE_LEASE_STATUSES.includes(fromStatus);
+    const isInForce = IN_FORCE_LEASE_STATUSES.includes(toStatus);
+    const changes = { unitStatus: null, schedulesDeactivated: 0 };
+
+    const tenantFilter = {
+        user: lease.tenant,
+        property: lease.property,
+        unit: lease.unit,
+        roles: PROPERTY_USER_ROLES_ENUM.TENANT,
+        isActive: true
+    };
+
+    if (!wasInForce && isInForce) {
+        await Unit.updateOne({ _id: lease.unit }, { $set: { status: 'occupied' } }, { session });
+        changes.unitStatus = 'occupied';
+
+        await PropertyUser.updateOne(
+            tenantFilter,
+            {
+                $set: {
+                    'leaseInfo.leaseId': lease._id,
+                    'leaseInfo.leaseStartDate': lease.leaseStartDate,
+                    'leaseInfo.leaseEndDate': lease.leaseEndDate
+                }
+            },
+            { session }
+        );
+    } else if (wasInForce && CLOSED_LEASE_STATUSES.includes(toStatus)) {
+        const endedAt = toStatus === 'terminated' && lease.terminatedAt ? lease.terminatedAt : lease.leaseEndDate;
+
+        const otherLeaseInForce = await Lease.exists({
+            unit: lease.unit,
+            status: { $in: IN_FORCE_LEASE_STATUSES },
+            isActive: true,
+            _id: { $ne: lease._id }
+        }).session(session);
+
+        // A unit under maintenance or taken off the market keeps that status
+        if (!otherLeaseInForce) {
+            const result = await Unit.updateOne(
+                { _id: lease.unit, status: { $in: ['occupied', 'leased'] } },
+                { $set: { status: 'vacant' } },
+                { session }
+            );
+            if (result.modifiedCount) {
+                changes.unitStatus = 'vacant';
+            }
+        }
+
+        // The tenant's lease info keeps the lease until a renewal or new lease comes into force
+        await PropertyUser.updateOne(
+            { ...tenantFilter, 'leaseInfo.leaseId': lease._id },
+            { $set: { 'leaseInfo.leaseEndDate': endedAt } },
+            { session }
+        );
+
+        // Rent stops when the lease does; periods already billed are left alone
+        const scheduleEnd = new Date(endedAt);
+        scheduleEnd.setHours(23, 59, 59, 999);
+
+        await RentSchedule.updateMany(
+            { lease: lease._id, isActive: true, $or: [{ effectiveEndDate: null }, { effectiveEndDate: { $gt: scheduleEnd } }] },
+            { $set: { effectiveEndDate: scheduleEnd } },
+            { session }
+        );
+        const result = await RentSchedule.updateMany(
+            { lease: lease._id, isActive: true },
+            { $set: { isActive: false } },
+            { session }
+        );
+        changes.schedulesDeactivated = result.modifiedCount;
+    }
+
+    return changes;
+};
+
+/**
+ * Switches off rent schedules left running past their end date on the closed lease a renewal
+ * replaced, such as a lease closed when it was renewed that went on billing the rest of its term.
+ * @param {Object} lease - The renewal, with previousLease
+ * @param {Date} asOfDate - Day being evaluated
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<number>} Number of schedules switched off
+ */
+const closeLapsedPreviousSchedules = async (lease, asOfDate, session) => {
+    if (!lease.previousLease) {
+        return 0;
+    }
+
+    const previousLease = await Lease.findById(lease.previousLease).select('status').session(session);
+    if (!previousLease || !CLOSED_LEASE_STATUSES.includes(previousLease.status)) {
+        return 0;
+    }
+
+    const result = await RentSchedule.updateMany(
+        { lease: previousLease._id, isActive: true, effectiveEndDate: { $lt: startOfDay(asOfDate) } },
+        { $set: { isActive: false } },
+        { session }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Moves a lease to a new status, updates its linked records and audits the change
+ * @param {string} leaseId - Lease ID
+ * @param {Object} transition - { from, to, reason } from getLifecycleTransition
+ * @param {Object} actor - User (or system actor) making the change
+ * @param {string} ipAddress - Request IP address
+ * @param {Date} [asOfDate=new Date()] - Day being evaluated
+ * @returns {Promise<Object|null>} { lease, unitStatus, schedulesDeactivated, schedulesClosed }, or null if the lease cannot move yet
+ * @throws {AppError} If the lease changed while being processed
+ */
+const applyTransition = async (leaseId, transition, actor, ipAddress, asOfDate = new Date()) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const lease = await Lease.findOne({ _id: leaseId, status: transition.from, isActive: true }).session(session);
+        if (!lease) {
+            throw new AppError(`Lease ${leaseId} is no longer ${transition.from}.`, 409);
+        }
+
+        // A signed draft waits while an earlier lease on the unit is still in force
+        if (!IN_FORCE_LEASE_STATUSES.includes(transition.from) && IN_FORCE_LEASE_STATUSES.includes(transition.to)) {
+            const unitTaken = await Lease.exists({
+                unit: lease.unit,
+                status: { $in: IN_FORCE_LEASE_STATUSES },
+                isActive: true,
+                _id: { $ne: lease._id }
+            }).session(session);
+            if (unitTaken) {
+                await session.abortTransaction();
+                return null;
+            }
+        }
+
+        lease.status = transition.to;
+        lease.updatedBy = actor?._id || null;
+        await lease.save({ session });
+
+        const changes = await syncLinkedRecords(lease, transition.from, transition.to, session);
+        changes.schedulesClosed = await closeLapsedPreviousSchedules(lease, asOfDate, session);
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_STATUS_TRANSITIONED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            lease._id,
+            {
+                userId: actor?._id || null,
+                ipAddress,
+                description: `Lease ${lease._id} moved from ${transition.from} to ${transition.to}: ${transition.reason}`,
+                status: 'success',
+                oldValue: { status: transition.from },
+                newValue: { status: transition.to },
+                metadata: {
+                    reason: transition.reason,
+                    unitId: lease.unit,
+                    unitStatus: changes.unitStatus,
+                    schedulesDeactivated: changes.schedulesDeactivated,
+                    schedulesClosed: changes.schedulesClosed
+                }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`LeaseLifecycleService: Lease ${lease._id} moved from ${transition.from} to ${transition.to}.`);
+
+        return { lease, ...changes };
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+        throw error;
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Re-evaluates one lease's status now, e.g. after its renewal offer was sent or answered
+ * @param {string} leaseId - Lease ID
+ * @param {Object} actor - User (or system actor) whose action prompted the check
+ * @param {string} ipAddress - Request IP address
+ * @param {Date} [asOfDate=new Date()] - Day to evaluate
+ * @returns {Promise<Object|null>} { from, to, reason } if the lease moved, otherwise null
+ */
+const syncLeaseLifecycle = async (leaseId, actor, ipAddress, asOfDate = new Date()) => {
+    try {
+        const lease = await Lease.findOne({ _id: leaseId, isActive: true });
+        if (!lease) {
+            return null;
+        }
+
+        const openOffers = await getLeasesWithOpenRenewalOffers(asOfDate, [lease._id]);
+        const transition = getLifecycleTransition(lease, {
+            asOfDate,
+            hasOpenRenewalOffer: openOffers.has(lease._id.toString()),
+            renewalWindowDays: LEASE_RENEWAL_WINDOW_DAYS
+        });
+        if (!transition) {
+            return null;
+        }
+
+        const applied = await applyTransition(lease._id, transition, actor, ipAddress, asOfDate);
+        return applied ? transition : null;
+    } catch (error) {
+        logger.error(`LeaseLifecycleService - Error syncing lease status: ${error.message}`, {
+            userId: actor?._id,
+            leaseId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to sync lease status: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Moves every lease whose dates or renewal state call for it to its next status, switching off
+ * rent schedules that have run out on the leases they replace as it goes
+ * @param {Date} [asOfDate=new Date()] - Day to evaluate
+ * @param {Object} actor - User (or system actor) running the job
+ * @param {string} [ipAddress] - Request IP address
+ * @returns {Promise<Object>} { processed, transitioned, skipped, failed, schedulesClosed, details }
+ */
+const processLeaseLifecycle = async (asOfDate = new Date(), actor, ipAddress = null) => {
+    const results = { processed: 0, transitioned: 0, skipped: 0, failed: 0, schedulesClosed: 0, details: [] };
+
+    const today = startOfDay(asOfDate);
+    const tomorrow = addDays(today, 1);
+    const openOffers = await getLeasesWithOpenRenewalOffers(asOfDate);
+
+    const leases = await Lease.find({
+        isActive: true,
+        $or: [
+            { status: 'draft', signatureStatus: 'signed', leaseStartDate: { $lt: tomorrow } },
+            {
+                status: 'active',
+                $or: [
+                    { leaseEndDate: { $lt: addDays(today, LEASE_RENEWAL_WINDOW_DAYS + 1) } },
+                    { _id: { $in: [...openOffers] } }
+                ]
+            },
+            { status: 'pending_renewal' }
+        ]
+    }).sort({ leaseEndDate: 1 });
+
+    for (const lease of leases) {
+        results.processed++;
+
+        const transition = getLifecycleTransition(lease, {
+            asOfDate,
+            hasOpenRenewalOffer: openOffers.has(lease._id.toString()),
+            renewalWindowDays: LEASE_RENEWAL_WINDOW_DAYS
+        });
+        if (!transition) {
+            results.skipped++;
+            continue;
+        }
+
+        try {
+            const applied = await applyTransition(lease._id, transition, actor, ipAddress, asOfDate);
+            if (!applied) {
+                results.skipped++;
+                results.details.push({ lease: lease._id, from: transition.from, to: transition.to, status: 'skipped', reason: 'Another lease on the unit is still in force' });
+                continue;
+            }
+
+            results.transitioned++;
+            results.schedulesClosed += applied.schedulesClosed;
+            results.details.push({ lease: lease._id, from: transition.from, to: transition.to, status: 'transitioned', reason: transition.reason });
+        } catch (error) {
+            results.failed++;
+            results.details.push({ lease: lease._id, from: transition.from, to: transition.to, status: 'failed', reason: error.message });
+
+            logger.error(`LeaseLifecycleService - Error moving lease ${lease._id} to ${transition.to}: ${error.message}`);
+        }
+    }
+
+    logger.info(`LeaseLifecycleService: ${results.transitioned} lease(s) moved, ${results.failed} failed, ${results.schedulesClosed} rent schedule(s) closed.`);
+
+    return results;
+};
+
+module.exports = {
+    syncLinkedRecords,
+    syncLeaseLifecycle,
+    processLeaseLifecycle
+};
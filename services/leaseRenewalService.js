@@ -0,0 +1,1048 @@
+// src/services/leaseRenewalService.js
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Lease = require('../models/lease');
+const LeaseRenewalOffer = require('../models/leaseRenewalOffer');
+const RentSchedule = require('../models/rentSchedule');
+const Property = require('../models/property');
+const Unit = require('../models/unit');
+const User = require('../models/user');
+const PropertyUser = require('../models/propertyUser');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const leaseLifecycleService = require('./leaseLifecycleService');
+const { roundCurrency } = require('../utils/lateFeeUtils');
+const {
+    buildDefaultRenewalTerms,
+    mergeRenewalTerms,
+    validateRenewalTerms,
+    getOfferExpiryDate,
+    isOfferOpenForResponse
+} = require('../utils/leaseRenewalUtils');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    PROPERTY_USER_ROLES_ENUM,
+    RENEWAL_RESPONSE_ACTION_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Leases that can still be renewed
+const RENEWABLE_LEASE_STATUSES = ['active', 'pending_renewal'];
+
+// Offers still under negotiation; a lease has at most one at a time
+const OPEN_OFFER_STATUSES = ['draft', 'sent', 'countered'];
+
+/**
+ * Helper to check if a user has management permission for a given property
+ * @param {Object} user - The authenticated user
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkPropertyManagementPermission = async (user, propertyId) => {
+    try {
+        if (user.role === ROLE_ENUM.ADMIN) {
+            return true; // Admin has global access
+        }
+
+        const hasAccess = await PropertyUser.exists({
+            user: user._id,
+            property: propertyId,
+            isActive: true,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]}
+        });
+
+        return !!hasAccess;
+    } catch (error) {
+        logger.error(`LeaseRenewalService - Error checking property management permission: ${error.message}`, {
+            userId: user?._id,
+            propertyId
+        });
+        return false; // Fail safely
+    }
+};
+
+/**
+ * Hashes a response link token for storage and lookup
+ * @param {string} token - Plain token from the link
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Loads a renewal offer on a lease and checks the user manages the lease's property
+ * @param {string} leaseId - Lease ID
+ * @param {string} offerId - Renewal offer ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} action - What the user is trying to do, for the error message
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} Renewal offer document
+ * @throws {AppError} If the offer is not found or unauthorized
+ */
+const loadManagedOffer = async (leaseId, offerId, currentUser, action, session) => {
+    const offer = await LeaseRenewalOffer.findOne({ _id: offerId, lease: leaseId }).session(session);
+    if (!offer) {
+        throw new AppError('Renewal offer not found.', 404);
+    }
+
+    const isAuthorized = await checkPropertyManagementPermission(currentUser, offer.property);
+    if (!isAuthorized) {
+        throw new AppError(`Not authorized to ${action} for this lease.`, 403);
+    }
+
+    return offer;
+};
+
+/**
+ * Checks a lease can still be renewed
+ * @param {Object} lease - Lease document
+ * @throws {AppError} If the lease is missing, already renewed or closed
+ */
+const assertRenewable = (lease) => {
+    if (!lease) {
+        throw new AppError('Lease not found.', 404);
+    }
+    if (lease.renewedTo) {
+        throw new AppError('This lease has already been renewed.', 409);
+    }
+    if (!RENEWABLE_LEASE_STATUSES.includes(lease.status)) {
+        throw new AppError(`Cannot renew a ${lease.status} lease.`, 400);
+    }
+};
+
+/**
+ * Checks and normalizes renewal terms against the lease they renew
+ * @param {Object} base - Current terms
+ * @param {Object} changes - Proposed changes
+ * @param {Object} lease - The lease being renewed
+ * @returns {Object} The merged terms
+ * @throws {AppError} If the terms are invalid
+ */
+const buildTerms = (base, changes, lease) => {
+    const terms = mergeRenewalTerms(base, changes);
+    const problem = validateRenewalTerms(terms, lease);
+    if (problem) {
+        throw new AppError(problem, 400);
+    }
+    return terms;
+};
+
+/**
+ * Fetches an offer with its lease, property, unit and tenant for responses
+ * @param {string} offerId - Renewal offer ID
+ * @returns {Promise<Object>} Populated renewal offer
+ */
+const findPopulatedOffer = (offerId) => LeaseRenewalOffer.findById(offerId)
+    .populate('lease', 'leaseStartDate leaseEndDate monthlyRent currency status version')
+    .populate('property', 'name address')
+    .populate('unit', 'unitName')
+    .populate('tenant', 'firstName lastName email')
+    .populate('newLease', 'leaseStartDate leaseEndDate monthlyRent currency status version');
+
+/**
+ * Marks sent offers whose response date has passed as expired
+ * @param {Object} filter - Extra conditions (e.g. { lease })
+ * @returns {Promise<void>}
+ */
+const expireLapsedOffers = async (filter) => {
+    const now = new Date();
+    await LeaseRenewalOffer.updateMany(
+        { ...filter, status: 'sent', expiresAt: { $lt: now } },
+        {
+            $set: { status: 'expired', responseTokenHash: null },
+            $push: { history: { action: 'expired', by: 'system', at: now } }
+        }
+    );
+};
+
+/**
+ * Re-checks a lease's status after its renewal state changed (e.g. an offer was sent or declined).
+ * Failures are logged; the nightly lease lifecycle job picks the lease up again.
+ * @param {string} leaseId - Lease ID
+ * @param {Object} actor - User whose action changed the renewal state
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<void>}
+ */
+const syncLeaseStatus = async (leaseId, actor, ipAddress) => {
+    try {
+        await leaseLifecycleService.syncLeaseLifecycle(leaseId, actor, ipAddress);
+    } catch (error) {
+        logger.warn(`Failed to sync status of lease ${leaseId} after a renewal change: ${error.message}`);
+    }
+};
+
+/**
+ * Creates the renewed lease from agreed terms: a new draft lease version linked to the old one,
+ * with the rent schedule rolled forward. Like any new lease, the renewal has to be signed; the
+ * lease lifecycle job then expires the old lease at its end date and activates the renewal, which
+ * moves the unit and the tenant's lease info over. The old lease keeps billing to its end date
+ * through its own schedule, and the new schedule only bills once the renewal is in force.
+ * @param {Object} offer - The accepted renewal offer
+ * @param {Object} terms - Agreed terms
+ * @param {string} actorId - User accepting (the tenant, or the manager accepting a counter offer)
+ * @param {string} ipAddress - Request IP address
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} The new lease
+ * @throws {AppError} If the lease can no longer be renewed or the terms are invalid
+ */
+const renewLease = async (offer, terms, actorId, ipAddress, session) => {
+    const lease = await Lease.findById(offer.lease).session(session);
+    assertRenewable(lease);
+
+    const problem = validateRenewalTerms(terms, lease);
+    if (problem) {
+        throw new AppError(problem, 400);
+    }
+
+    const newStart = new Date(terms.leaseStartDate);
+
+    const [newLease] = await Lease.create([{
+        property: lease.property,
+        unit: lease.unit,
+        tenant: lease.tenant,
+        landlord: lease.landlord,
+        leaseStartDate: newStart,
+        leaseEndDate: new Date(terms.leaseEndDate),
+        monthlyRent: terms.monthlyRent,
+        currency: terms.currency || lease.currency,
+        paymentDueDate: terms.paymentDueDate,
+        securityDeposit: terms.securityDeposit,
+        terms: terms.conditions,
+        lateFeePolicy: lease.lateFeePolicy ? lease.lateFeePolicy.toObject() : null,
+        // The next increase is counted from the new start rather than a date in the old term
+        rentEscalation: lease.rentEscalation ? { ...lease.rentEscalation.toObject(), nextEscalationDate: null } : null,
+        // Charges still running at the renewal carry over from the new start date
+        charges: lease.charges
+            .filter(charge => charge.isActive && (!charge.endDate || charge.endDate >= newStart))
+            .map(charge => {
+                const { _id, createdAt, updatedAt, ...fields } = charge.toObject();
+                return { ...fields, startDate: charge.startDate > newStart ? charge.startDate : newStart };
+            }),
+        withholdsTax: lease.withholdsTax,
+        status: 'draft',
+        version: (lease.version || 1) + 1,
+        previousLease: lease._id,
+        createdBy: actorId
+    }], { session });
+
+    lease.renewedTo = newLease._id;
+    lease.updatedBy = actorId;
+    await lease.save({ session });
+
+    // Roll the rent schedule forward: the current schedule runs to the old lease end and a new
+    // schedule bills the renewed lease from its start
+    const oldEnd = new Date(lease.leaseEndDate);
+    oldEnd.setHours(23, 59, 59, 999);
+
+    const current = await RentSchedule.findOne({ lease: lease._id, isActive: true })
+        .sort({ effectiveStartDate: -1 })
+        .session(session);
+
+    let newSchedule = null;
+    if (current) {
+        if (!current.effectiveEndDate || current.effectiveEndDate > oldEnd) {
+            current.effectiveEndDate = oldEnd;
+        }
+        current.updatedBy = actorId;
+        await current.save({ session });
+
+        const amount = current.billingPeriod === 'monthly' || !(lease.monthlyRent > 0)
+            ? terms.monthlyRent
+            : roundCurrency(current.amount * terms.monthlyRent / lease.monthlyRent);
+
+        [newSchedule] = await RentSchedule.create([{
+            lease: newLease._id,
+            tenant: current.tenant,
+            property: current.property,
+            unit: current.unit,
+            amount,
+            currency: newLease.currency,
+            dueDateDay: terms.paymentDueDate,
+            billingPeriod: current.billingPeriod,
+            effectiveStartDate: newStart,
+            effectiveEndDate: current.effectiveEndDate ? newLease.leaseEndDate : null,
+            isActive: true,
+            autoGenerateRent: current.autoGenerateRent,
+            notes: `Rolled forward from lease ${lease._id} on renewal.`,
+            escalation: current.escalation?.enabled ? { ...current.escalation.toObject(), nextEscalationDate: null } : null,
+            previousSchedule: current._id,
+            createdBy: actorId
+        }], { session });
+    }
+
+    await auditService.logActivity(
+        AUDIT_ACTION_ENUM.LEASE_RENEWED,
+        AUDIT_RESOURCE_TYPE_ENUM.Lease,
+        newLease._id,
+        {
+            userId: actorId,
+            ipAddress,
+            description: `Lease ${lease._id} renewed as lease ${newLease._id} (version ${newLease.version}) from ${newStart.toDateString()} to ${newLease.leaseEndDate.toDateString()} at ${newLease.currency} ${newLease.monthlyRent.toLocaleString()} per month; the renewal is a draft until it is signed.`,
+            status: 'success',
+            oldValue: { leaseId: lease._id, status: lease.status, monthlyRent: lease.monthlyRent, scheduleId: current?._id || null },
+            newValue: { leaseId: newLease._id, status: newLease.status, monthlyRent: newLease.monthlyRent, scheduleId: newSchedule?._id || null },
+            metadata: { offerId: offer._id, previousLeaseId: lease._id }
+        },
+        { session }
+    );
+
+    return newLease;
+};
+
+/**
+ * Sends the post-response notifications. Failures are logged; the response has already been saved.
+ * @param {Object} offer - The renewal offer
+ * @param {string} action - 'accept', 'counter' or 'decline'
+ * @param {Object} [newLease] - The renewed lease when the offer was accepted
+ * @returns {Promise<void>}
+ */
+const notifyResponse = async (offer, action, newLease) => {
+    try {
+        const [tenant, property, unit] = await Promise.all([
+            User.findById(offer.tenant),
+            Property.findById(offer.property),
+            Unit.findById(offer.unit)
+        ]);
+        if (!tenant || !property) return;
+
+        await notificationService.sendLeaseRenewalResponse({
+            offer,
+            action,
+            terms: action === 'counter' ? offer.counterOffer.terms : (action === 'accept' ? offer.terms : null),
+            message: action === 'counter' ? offer.counterOffer.message : (action === 'decline' ? offer.declineReason : null),
+            tenant,
+            property,
+            unit,
+            offerLink: `${FRONTEND_URL}/leases/${offer.lease}/renewal-offers`
+        });
+
+        if (newLease) {
+            await notificationService.sendLeaseRenewed({
+                lease: newLease,
+                tenant,
+                property,
+                unit,
+                leaseLink: `${FRONTEND_URL}/leases/${newLease._id}`
+            });
+        }
+    } catch (notificationError) {
+        logger.warn(`Failed to send lease renewal response notifications for offer ${offer._id}: ${notificationError.message}`);
+    }
+};
+
+/**
+ * Records a tenant's accept, counter or decline on a sent offer
+ * @param {Object} offer - Renewal offer document
+ * @param {Object} response - { action, terms, message }
+ * @param {Object} actor - { userId, ipAddress, via: 'account' | 'link' }
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object|null>} The renewed lease when accepted, otherwise null
+ * @throws {AppError} If the offer is not open or the response is invalid
+ */
+const applyTenantResponse = async (offer, response, actor, session) => {
+    const { action, terms: proposed, message } = response;
+
+    if (!RENEWAL_RESPONSE_ACTION_ENUM.includes(action)) {
+        throw new AppError(`Response must be one of: ${RENEWAL_RESPONSE_ACTION_ENUM.join(', ')}`, 400);
+    }
+    if (!isOfferOpenForResponse(offer)) {
+        if (offer.status === 'sent') {
+            throw new AppError('This renewal offer has expired.', 410);
+        }
+        throw new AppError(`This renewal offer is ${offer.status} and can no longer be answered.`, 409);
+    }
+
+    const oldStatus = offer.status;
+    const entry = {
+        by: 'tenant',
+        message: message || null,
+        via: actor.via,
+        user: actor.userId,
+        ipAddress: actor.ipAddress,
+        at: new Date()
+    };
+    let newLease = null;
+
+    if (action === 'accept') {
+        newLease = await renewLease(offer, offer.terms, actor.userId, actor.ipAddress, session);
+        offer.status = 'accepted';
+        offer.newLease = newLease._id;
+        offer.history.push({ ...entry, action: 'accepted', terms: offer.terms });
+    } else if (action === 'counter') {
+        if (!proposed && !message) {
+            throw new AppError('A counter offer needs proposed terms or a message.', 400);
+        }
+        const lease = await Lease.findById(offer.lease).session(session);
+        const counterTerms = buildTerms(offer.terms, proposed || {}, lease);
+        offer.status = 'countered';
+        offer.counterOffer = { terms: counterTerms, message: message || null, submittedAt: entry.at };
+        offer.history.push({ ...entry, action: 'countered', terms: counterTerms });
+    } else {
+        offer.status = 'declined';
+        offer.declineReason = message || null;
+        offer.history.push({ ...entry, action: 'declined' });
+    }
+
+    // The link answers the offer once; a revised offer is sent with a new link
+    offer.responseTokenHash = null;
+    offer.respondedAt = entry.at;
+    await offer.save({ session });
+
+    await auditService.logActivity(
+        AUDIT_ACTION_ENUM.LEASE_RENEWAL_OFFER_RESPONDED,
+        AUDIT_RESOURCE_TYPE_ENUM.Lease,
+        offer.lease,
+        {
+            userId: actor.userId,
+            ipAddress: actor.ipAddress,
+            description: `Tenant ${action === 'accept' ? 'accepted' : action === 'counter' ? 'countered' : 'declined'} renewal offer ${offer._id} for lease ${offer.lease} via ${actor.via === 'link' ? 'the emailed link' : 'their account'}.`,
+            status: 'success',
+            oldValue: { status: oldStatus },
+            newValue: { status: offer.status, counterOffer: action === 'counter' ? offer.counterOffer.terms : undefined, newLeaseId: newLease?._id },
+            metadata: { offerId: offer._id, via: actor.via }
+        },
+        { session }
+    );
+
+    return newLease;
+};
+
+/**
+ * Drafts a renewal offer for a lease. Terms not given default to the current lease's terms for
+ * the same length of time, starting the day after it ends.
+ * @param {string} leaseId - Lease ID
+ * @param {Object} offerData - Offer details
+ * @param {Date} [offerData.leaseStartDate] - Start of the renewed term
+ * @param {Date} [offerData.leaseEndDate] - End of the renewed term
+ * @param {number} [offerData.monthlyRent] - Renewal rent
+ * @param {number} [offerData.paymentDueDate] - Day of the month rent is due
+ * @param {number} [offerData.securityDeposit] - Security deposit
+ * @param {string} [offerData.conditions] - Conditions; become the renewed lease's terms
+ * @param {Date} [offerData.expiresAt] - Respond-by date (defaults when the offer is sent)
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The draft offer
+ * @throws {AppError} If the lease cannot be renewed, an offer is already open, or unauthorized
+ */
+const createRenewalOffer = async (leaseId, offerData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const lease = await Lease.findById(leaseId).session(session);
+        if (!lease) {
+            throw new AppError('Lease not found.', 404);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, lease.property);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to offer a renewal for this lease.', 403);
+        }
+
+        assertRenewable(lease);
+
+        const openOffer = await LeaseRenewalOffer.exists({
+            lease: lease._id,
+            status: { $in: OPEN_OFFER_STATUSES },
+            $or: [{ status: { $ne: 'sent' } }, { expiresAt: null }, { expiresAt: { $gte: new Date() } }]
+        }).session(session);
+        if (openOffer) {
+            throw new AppError('This lease already has an open renewal offer. Revise or withdraw it instead.', 409);
+        }
+
+        const terms = buildTerms(buildDefaultRenewalTerms(lease), offerData, lease);
+
+        const [offer] = await LeaseRenewalOffer.create([{
+            lease: lease._id,
+            property: lease.property,
+            unit: lease.unit,
+            tenant: lease.tenant,
+            status: 'draft',
+            terms,
+            expiresAt: offerData.expiresAt ? new Date(offerData.expiresAt) : null,
+            history: [{ action: 'created', by: 'manager', terms, user: currentUser._id, ipAddress }],
+            createdBy: currentUser._id
+        }], { session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_RENEWAL_OFFER_CREATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            lease._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Renewal offer drafted for lease ${lease._id} at ${terms.currency} ${terms.monthlyRent.toLocaleString()} per month by ${currentUser.email}.`,
+                status: 'success',
+                newValue: terms,
+                metadata: { offerId: offer._id }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`LeaseRenewalService: Renewal offer ${offer._id} drafted for lease ${lease._id} by ${currentUser.email}.`);
+
+        return findPopulatedOffer(offer._id);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`LeaseRenewalService - Error creating renewal offer: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to create renewal offer: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Gets the renewal offers made on a lease, newest first. Tenants see offers once they are sent.
+ * @param {string} leaseId - Lease ID
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Array<Object>>} Renewal offers
+ * @throws {AppError} If lease not found or unauthorized
+ */
+const getRenewalOffers = async (leaseId, currentUser) => {
+    try {
+        const lease = await Lease.findById(leaseId).select('tenant property');
+        if (!lease) {
+            throw new AppError('Lease not found.', 404);
+        }
+
+        const isTenant = lease.tenant && lease.tenant.toString() === currentUser._id.toString();
+        if (!isTenant && !(await checkPropertyManagementPermission(currentUser, lease.property))) {
+            throw new AppError('Not authorized to view the renewal offers for this lease.', 403);
+        }
+
+        await expireLapsedOffers({ lease: lease._id });
+
+        const query = { lease: lease._id };
+        if (isTenant) {
+            query.status = { $ne: 'draft' };
+        }
+
+        return LeaseRenewalOffer.find(query)
+            .sort({ createdAt: -1 })
+            .populate('tenant', 'firstName lastName email')
+            .populate('newLease', 'leaseStartDate leaseEndDate monthlyRent currency status version');
+    } catch (error) {
+        logger.error(`LeaseRenewalService - Error getting renewal offers: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get renewal offers: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Revises a draft offer, or answers a counter offer with new terms. A revised counter offer has
+ * to be sent again for the tenant to respond.
+ * @param {string} leaseId - Lease ID
+ * @param {string} offerId - Renewal offer ID
+ * @param {Object} updateData - Term fields to change, plus expiresAt
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The updated offer
+ * @throws {AppError} If the offer cannot be changed or unauthorized
+ */
+const updateRenewalOffer = async (leaseId, offerId, updateData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const offer = await loadManagedOffer(leaseId, offerId, currentUser, 'revise renewal offers', session);
+        if (!['draft', 'countered'].includes(offer.status)) {
+            throw new AppError(`A ${offer.status} renewal offer cannot be revised.`, 400);
+        }
+
+        const lease = await Lease.findById(offer.lease).session(session);
+        assertRenewable(lease);
+        const oldTerms = offer.terms.toObject();
+
+        offer.terms = buildTerms(oldTerms, updateData, lease);
+        if (updateData.expiresAt !== undefined) {
+            offer.expiresAt = updateData.expiresAt ? new Date(updateData.expiresAt) : null;
+        }
+        offer.history.push({ action: 'revised', by: 'manager', terms: offer.terms, user: currentUser._id, ipAddress });
+        offer.updatedBy = currentUser._id;
+
+        await offer.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_RENEWAL_OFFER_UPDATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            offer.lease,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Renewal offer ${offer._id} for lease ${offer.lease} revised by ${currentUser.email}.`,
+                status: 'success',
+                oldValue: oldTerms,
+                newValue: offer.terms.toObject(),
+                metadata: { offerId: offer._id }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`LeaseRenewalService: Renewal offer ${offer._id} revised by ${currentUser.email}.`);
+
+        return findPopulatedOffer(offer._id);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`LeaseRenewalService - Error updating renewal offer: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId,
+            offerId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to update renewal offer: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Sends a draft or revised offer to the tenant with a tokenized link to respond, and records the
+ * renewal notice on the lease. Sending again replaces the previous link.
+ * @param {string} leaseId - Lease ID
+ * @param {string} offerId - Renewal offer ID
+ * @param {Object} [options={}] - { expiresAt } respond-by date
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The sent offer
+ * @throws {AppError} If the offer cannot be sent or unauthorized
+ */
+const sendRenewalOffer = async (leaseId, offerId, options = {}, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const offer = await loadManagedOffer(leaseId, offerId, currentUser, 'send renewal offers', session);
+        if (!['draft', 'countered'].includes(offer.status)) {
+            throw new AppError(`A ${offer.status} renewal offer cannot be sent.`, 400);
+        }
+
+        const lease = await Lease.findById(offer.lease).session(session);
+        assertRenewable(lease);
+        buildTerms(offer.terms.toObject(), {}, lease);
+
+        const now = new Date();
+        const requestedExpiry = options.expiresAt || (offer.expiresAt && offer.expiresAt > now ? offer.expiresAt : null);
+        const expiresAt = getOfferExpiryDate(now, lease, requestedExpiry);
+        if (expiresAt <= now) {
+            throw new AppError('The respond-by date must be in the future.', 400);
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const oldStatus = offer.status;
+
+        offer.status = 'sent';
+        offer.sentAt = now;
+        offer.expiresAt = expiresAt;
+        offer.responseTokenHash = hashToken(token);
+        offer.history.push({ action: 'sent', by: 'manager', terms: offer.terms, user: currentUser._id, ipAddress, at: now });
+        offer.updatedBy = currentUser._id;
+        await offer.save({ session });
+
+        lease.renewalNoticeSent = true;
+        lease.lastRenewalNoticeDate = now;
+        lease.updatedBy = currentUser._id;
+        await lease.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_RENEWAL_OFFER_SENT,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            lease._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Renewal offer ${offer._id} sent to the tenant of lease ${lease._id} by ${currentUser.email}, open until ${expiresAt.toDateString()}.`,
+                status: 'success',
+                oldValue: { status: oldStatus },
+                newValue: { status: offer.status, expiresAt },
+                metadata: { offerId: offer._id }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        try {
+            const [tenant, property, unit] = await Promise.all([
+                User.findById(offer.tenant),
+                Property.findById(offer.property),
+                Unit.findById(offer.unit)
+            ]);
+            if (tenant && property) {
+                await notificationService.sendLeaseRenewalOffer({
+                    offer,
+                    tenant,
+                    property,
+                    unit,
+                    currentRent: lease.monthlyRent,
+                    responseLink: `${FRONTEND_URL}/lease-renewals/${token}`
+                });
+            }
+        } catch (notificationError) {
+            logger.warn(`Failed to send lease renewal offer notification: ${notificationError.message}`);
+            // Continue even if notification fails
+        }
+
+        await syncLeaseStatus(lease._id, currentUser, ipAddress);
+
+        logger.info(`LeaseRenewalService: Renewal offer ${offer._id} sent for lease ${lease._id} by ${currentUser.email}.`);
+
+        return findPopulatedOffer(offer._id);
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
+        logger.error(`LeaseRenewalService - Error sending renewal offer: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId,
+            offerId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to send renewal offer: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Withdraws an open offer. Its link stops working.
+ * @param {string} leaseId - Lease ID
+ * @param {string} offerId - Renewal offer ID
+ * @param {string} [reason] - Why the offer was withdrawn
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The withdrawn offer
+ * @throws {AppError} If the offer is not open or unauthorized
+ */
+const withdrawRenewalOffer = async (leaseId, offerId, reason, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const offer = await loadManagedOffer(leaseId, offerId, currentUser, 'withdraw renewal offers', session);
+        if (!OPEN_OFFER_STATUSES.includes(offer.status)) {
+            throw new AppError(`A ${offer.status} renewal offer cannot be withdrawn.`, 400);
+        }
+
+        const oldStatus = offer.status;
+        offer.status = 'withdrawn';
+        offer.responseTokenHash = null;
+        offer.history.push({ action: 'withdrawn', by: 'manager', message: reason || null, user: currentUser._id, ipAddress });
+        offer.updatedBy = currentUser._id;
+        await offer.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_RENEWAL_OFFER_WITHDRAWN,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            offer.lease,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Renewal offer ${offer._id} for lease ${offer.lease} withdrawn by ${currentUser.email}.`,
+                status: 'success',
+                oldValue: { status: oldStatus },
+                newValue: { status: offer.status },
+                metadata: { offerId: offer._id, reason: reason || null }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        await syncLeaseStatus(offer.lease, currentUser, ipAddress);
+
+        logger.info(`LeaseRenewalService: Renewal offer ${offer._id} withdrawn by ${currentUser.email}.`);
+
+        return findPopulatedOffer(offer._id);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`LeaseRenewalService - Error withdrawing renewal offer: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId,
+            offerId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to withdraw renewal offer: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Accepts the tenant's counter offer, renewing the lease on the terms they proposed
+ * @param {string} leaseId - Lease ID
+ * @param {string} offerId - Renewal offer ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The accepted offer with its new lease
+ * @throws {AppError} If there is no counter offer to accept or unauthorized
+ */
+const acceptCounterOffer = async (leaseId, offerId, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const offer = await loadManagedOffer(leaseId, offerId, currentUser, 'accept counter offers', session);
+        if (offer.status !== 'countered' || !offer.counterOffer?.terms) {
+            throw new AppError('There is no counter offer waiting on this renewal offer.', 400);
+        }
+
+        const agreedTerms = offer.counterOffer.terms.toObject();
+        const newLease = await renewLease(offer, agreedTerms, currentUser._id, ipAddress, session);
+
+        offer.terms = agreedTerms;
+        offer.status = 'accepted';
+        offer.newLease = newLease._id;
+        offer.history.push({ action: 'accepted', by: 'manager', terms: agreedTerms, user: currentUser._id, ipAddress });
+        offer.updatedBy = currentUser._id;
+        await offer.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_RENEWAL_OFFER_RESPONDED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            offer.lease,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Counter offer on renewal offer ${offer._id} for lease ${offer.lease} accepted by ${currentUser.email}.`,
+                status: 'success',
+                oldValue: { status: 'countered' },
+                newValue: { status: offer.status, newLeaseId: newLease._id },
+                metadata: { offerId: offer._id }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        try {
+            const [tenant, property, unit] = await Promise.all([
+                User.findById(offer.tenant),
+                Property.findById(offer.property),
+                Unit.findById(offer.unit)
+            ]);
+            if (tenant && property) {
+                await notificationService.sendLeaseRenewed({
+                    lease: newLease,
+                    tenant,
+                    property,
+                    unit,
+                    leaseLink: `${FRONTEND_URL}/leases/${newLease._id}`
+                });
+            }
+        } catch (notificationError) {
+            logger.warn(`Failed to send lease renewal confirmation: ${notificationError.message}`);
+            // Continue even if notification fails
+        }
+
+        logger.info(`LeaseRenewalService: Counter offer on ${offer._id} accepted by ${currentUser.email}; lease ${offer.lease} renewed as ${newLease._id}.`);
+
+        return findPopulatedOffer(offer._id);
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
+        logger.error(`LeaseRenewalService - Error accepting counter offer: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId,
+            offerId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to accept counter offer: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Records the signed-in tenant's response to a renewal offer on their lease
+ * @param {string} leaseId - Lease ID
+ * @param {string} offerId - Renewal offer ID
+ * @param {Object} response - Tenant response
+ * @param {string} response.action - 'accept', 'counter' or 'decline'
+ * @param {Object} [response.terms] - Proposed term changes when countering
+ * @param {string} [response.message] - Message to the landlord, or reason for declining
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The answered offer (with its new lease when accepted)
+ * @throws {AppError} If the user is not the tenant, the offer is not open, or the response is invalid
+ */
+const respondToRenewalOffer = async (leaseId, offerId, response, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const offer = await LeaseRenewalOffer.findOne({ _id: offerId, lease: leaseId }).session(session);
+        if (!offer) {
+            throw new AppError('Renewal offer not found.', 404);
+        }
+        if (offer.tenant.toString() !== currentUser._id.toString()) {
+            throw new AppError('Only the tenant can respond to this renewal offer.', 403);
+        }
+
+        const newLease = await applyTenantResponse(offer, response, { userId: currentUser._id, ipAddress, via: 'account' }, session);
+
+        await session.commitTransaction();
+
+        await notifyResponse(offer, response.action, newLease);
+
+        await syncLeaseStatus(offer.lease, currentUser, ipAddress);
+
+        logger.info(`LeaseRenewalService: Tenant ${currentUser.email} responded "${response.action}" to renewal offer ${offer._id}.`);
+
+        return findPopulatedOffer(offer._id);
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
+        logger.error(`LeaseRenewalService - Error responding to renewal offer: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId,
+            offerId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to respond to renewal offer: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Shapes an offer for the public response page: the offer itself and the lease it renews,
+ * without internal IDs or negotiation history.
+ * @param {Object} offer - Populated renewal offer
+ * @returns {Object} Public view of the offer
+ */
+const sanitizeOfferForPublic = (offer) => ({
+    status: offer.status,
+    propertyName: offer.property?.name,
+    unitName: offer.unit?.unitName,
+    tenantName: offer.tenant ? `${offer.tenant.firstName} ${offer.tenant.lastName}` : null,
+    currentLease: offer.lease ? {
+        leaseStartDate: offer.lease.leaseStartDate,
+        leaseEndDate: offer.lease.leaseEndDate,
+        monthlyRent: offer.lease.monthlyRent,
+        currency: offer.lease.currency
+    } : null,
+    terms: offer.terms,
+    expiresAt: offer.expiresAt,
+    sentAt: offer.sentAt
+});
+
+/**
+ * Finds the offer behind a response link
+ * @param {string} token - Plain token from the link
+ * @param {Object} [session=null] - MongoDB session
+ * @returns {Promise<Object>} Renewal offer document
+ * @throws {AppError} If the link is invalid or no longer active
+ */
+const findOfferByToken = async (token, session = null) => {
+    if (!token || typeof token !== 'string') {
+        throw new AppError('Invalid renewal link.', 400);
+    }
+
+    const offer = await LeaseRenewalOffer.findOne({ responseTokenHash: hashToken(token) }).session(session);
+    if (!offer) {
+        throw new AppError('Renewal link is invalid or has already been used.', 404);
+    }
+    return offer;
+};
+
+/**
+ * Gets a renewal offer from the tokenized link emailed to the tenant
+ * @param {string} token - Plain token from the link
+ * @returns {Promise<Object>} Public view of the offer
+ * @throws {AppError} If the link is invalid, used or expired
+ */
+const getRenewalOfferByToken = async (token) => {
+    try {
+        const offer = await findOfferByToken(token);
+        if (!isOfferOpenForResponse(offer)) {
+            throw new AppError('This renewal offer has expired.', 410);
+        }
+
+        const populated = await findPopulatedOffer(offer._id);
+        return sanitizeOfferForPublic(populated);
+    } catch (error) {
+        logger.error(`LeaseRenewalService - Error getting renewal offer by link: ${error.message}`);
+        throw error instanceof AppError ? error : new AppError(`Failed to get renewal offer: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Records the tenant's response through the tokenized link emailed to them
+ * @param {string} token - Plain token from the link
+ * @param {Object} response - { action, terms, message } (see respondToRenewalOffer)
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Public view of the answered offer
+ * @throws {AppError} If the link is invalid, used or expired, or the response is invalid
+ */
+const respondToRenewalOfferByToken = async (token, response, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const offer = await findOfferByToken(token, session);
+
+        const newLease = await applyTenantResponse(offer, response, { userId: offer.tenant, ipAddress, via: 'link' }, session);
+
+        await session.commitTransaction();
+
+        await notifyResponse(offer, response.action, newLease);
+
+        await syncLeaseStatus(offer.lease, { _id: offer.tenant }, ipAddress);
+
+        logger.info(`LeaseRenewalService: Tenant responded "${response.action}" to renewal offer ${offer._id} via link.`);
+
+        const populated = await findPopulatedOffer(offer._id);
+        return sanitizeOfferForPublic(populated);
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
+        logger.error(`LeaseRenewalService - Error responding to renewal offer by link: ${error.message}`, { ipAddress });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to respond to renewal offer: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+module.exports = {
+    createRenewalOffer,
+    getRenewalOffers,
+    updateRenewalOffer,
+    sendRenewalOffer,
+    withdrawRenewalOffer,
+    acceptCounterOffer,
+    respondToRenewalOffer,
+    getRenewalOfferByToken,
+    respondToRenewalOfferByToken
+};
@@ -8,9 +8,15 @@ const User = require('../models/user');
 const PropertyUser = require('../models/propertyUser');
 const Rent = require('../models/rent');
 const Media = require('../models/media');
+const LeaseSignatureRequest = require('../models/leaseSignatureRequest');
 const auditService = require('./auditService');
 const notificationService = require('./notificationService');
+const documentGenerationService = require('./documentGenerationService');
+const leaseTemplateService = require('./leaseTemplateService');
+const leaseLifecycleService = require('./leaseLifecycleService');
 const { uploadFile, deleteFile } = require('../utils/fileUpload');
+const { computeLeaseTermsHash } = require('../utils/leaseSignatureUtils');
+const { IN_FORCE_LEASE_STATUSES, getManualStatusChangeError } = require('../utils/leaseLifecycleUtils');
 const logger = require('../utils/logger');
 const AppError = require('../utils/AppError');
 
@@ -88,7 +94,8 @@ const checkLeaseAccess = async (user, lease) => {
 };
 
 /**
- * Creates a new lease agreement
+ * Creates a new lease agreement as a draft. It goes active, occupying the unit and updating the
+ * tenant's lease info, once it has been fully signed and its start date arrives.
  * @param {Object} leaseData - Lease data
  * @param {string} leaseData.property - Property ID
  * @param {string} leaseData.unit - Unit ID
@@ -100,7 +107,8 @@ const checkLeaseAccess = async (user, lease) => {
  * @param {number} leaseData.paymentDueDate - Payment due date
  * @param {number} [leaseData.securityDeposit=0] - Security deposit
  * @param {string} [leaseData.terms] - Lease terms
- * @param {string} [leaseData.status='active'] - Initial status
+ * @param {boolean} [leaseData.withholdsTax=false] - Tenant deducts withholding tax from payments
+ * @param {string} [leaseData.status='draft'] - Initial status; only 'draft' is accepted
  * @param {Object} currentUser - The authenticated user
  * @param {string} ipAddress - Request IP address
  * @returns {Promise<Object>} Created lease
@@ -122,9 +130,15 @@ const createLease = async (leaseData, currentUser, ipAddress) => {
             paymentDueDate,
             securityDeposit = 0,
             terms,
-            status = 'active'
+            withholdsTax = false,
+            status = 'draft'
         } = leaseData;
 
+        // A lease cannot have been signed before it exists
+        if (status.toLowerCase() !== 'draft') {
+            throw new AppError('A new lease starts as a draft and goes active once it has been fully signed.', 400);
+        }
+
         // Find entities and validate
         const [property, unit, tenant] = await Promise.all([
             Property.findById(propertyId).session(session),
@@ -168,10 +182,10 @@ const createLease = async (leaseData, currentUser, ipAddress) => {
             throw new AppError('Tenant is not actively associated with this unit. Please ensure they are assigned to the unit first.', 400);
         }
 
-        // Check for existing active lease
+        // Check for existing active lease (one pending renewal is still in force)
         const existingActiveLease = await Lease.findOne({
             unit: unitId,
-            status: 'active',
+            status: { $in: IN_FORCE_LEASE_STATUSES },
             isActive: true
         }).session(session);
         
@@ -205,30 +219,14 @@ const createLease = async (leaseData, currentUser, ipAddress) => {
             paymentDueDate,
             securityDeposit,
             terms,
-            status: status.toLowerCase(),
+            withholdsTax,
+            status: 'draft',
             createdBy: currentUser._id
         });
 
+        // The unit and the tenant's lease info follow the lease when the lifecycle job activates it
         const createdLease = await newLease.save({ session });
 
-        // Update unit status to occupied
-        await Unit.findByIdAndUpdate(
-            unitId,
-            { status: 'occupied' },
-            { session }
-        );
-        
-        // Update PropertyUser with lease info
-        await PropertyUser.findByIdAndUpdate(
-            tenantPropertyUser._id,
-            { 
-                'leaseInfo.leaseId': createdLease._id,
-                'leaseInfo.leaseStartDate': createdLease.leaseStartDate,
-                'leaseInfo.leaseEndDate': createdLease.leaseEndDate
-            },
-            { session }
-        );
-
         // Create audit log
         await auditService.logActivity(
             AUDIT_ACTION_ENUM.CREATE,
@@ -565,7 +563,7 @@ const getLeaseById = async (leaseId, currentUser) => {
  * @param {Object} currentUser - The authenticated user
  * @param {string} ipAddress - Request IP address
  * @returns {Promise<Object>} Updated lease
- * @throws {AppError} If lease not found or unauthorized
+ * @throws {AppError} If lease not found, unauthorized, or a draft is moved out of draft by hand
  */
 const updateLease = async (leaseId, updateData, currentUser, ipAddress) => {
     const session = await mongoose.startSession();
@@ -623,10 +621,12 @@ const updateLease = async (leaseId, updateData, currentUser, ipAddress) => {
             }
         }
 
+        const oldTermsHash = computeLeaseTermsHash(lease);
+
         // Apply updates
         const updatableFields = [
             'leaseStartDate', 'leaseEndDate', 'monthlyRent', 'currency',
-            'paymentDueDate', 'securityDeposit', 'terms', 'status'
+            'paymentDueDate', 'securityDeposit', 'terms', 'withholdsTax', 'status'
         ];
         
         for (const field of updatableFields) {
@@ -648,50 +648,39 @@ const updateLease = async (leaseId, updateData, currentUser, ipAddress) => {
             lease.terminationReason = updateData.terminationReason || 'Lease terminated by property manager.';
         }
         
+        // Signatures only cover the terms that were signed, so changing them starts signing over
+        const termsChanged = computeLeaseTermsHash(lease) !== oldTermsHash;
+        if (termsChanged && lease.signatureStatus !== 'unsigned') {
+            await LeaseSignatureRequest.updateMany(
+                { lease: lease._id, status: 'pending' },
+                { $set: { status: 'voided', voidedAt: new Date(), voidReason: 'Lease terms changed.', 'signers.$[].tokenHash': null } },
+                { session }
+            );
+            lease.signatureStatus = 'unsigned';
+            lease.signedAt = null;
+            lease.signedDocument = null;
+        }
+
+        // A draft lease only goes live through signing and the lease lifecycle job
+        const statusChangeError = getManualStatusChangeError(oldStatus, newStatus);
+        if (statusChangeError) {
+            throw new AppError(statusChangeError, 400);
+        }
+
         // Update tracking fields
         lease.updatedBy = currentUser._id;
 
         // Save changes
         const updatedLease = await lease.save({ session });
 
-        // Update unit status if lease status changed to terminated and was active before
-        if (oldStatus === 'active' && newStatus === 'terminated') {
-            // Check if there are other active leases for this unit
-            const activeLeaseCount = await Lease.countDocuments({
-                unit: lease.unit,
-                status: 'active',
-                isActive: true,
-                _id: { $ne: leaseId }
-            }).session(session);
-            
-            if (activeLeaseCount === 0) {
-                // No other active leases, update unit status to vacant
-                await Unit.findByIdAndUpdate(
-                    lease.unit,
-                    { status: 'vacant' },
-                    { session }
-                );
-                
-                logger.info(`LeaseService: Unit ${lease.unit} status updated to vacant after lease termination.`);
+        // Keep the unit, tenant lease info and rent schedules in step with the new status
+        let linkedChanges = null;
+        if (oldStatus !== newStatus) {
+            linkedChanges = await leaseLifecycleService.syncLinkedRecords(updatedLease, oldStatus, newStatus, session);
+
+            if (linkedChanges.unitStatus) {
+                logger.info(`LeaseService: Unit ${lease.unit} status updated to ${linkedChanges.unitStatus} after lease moved to ${newStatus}.`);
             }
-            
-            // Update PropertyUser record for tenant
-            await PropertyUser.updateOne(
-                {
-                    user: lease.tenant,
-                    property: lease.property,
-                    unit: lease.unit,
-                    roles: PROPERTY_USER_ROLES_ENUM.TENANT,
-                    isActive: true,
-                    'leaseInfo.leaseId': lease._id
-                },
-                {
-                    $set: {
-                        'leaseInfo.leaseEndDate': new Date()
-                    }
-                },
-                { session }
-            );
         }
 
         // Create audit log
@@ -709,7 +698,9 @@ const updateLease = async (leaseId, updateData, currentUser, ipAddress) => {
                 metadata: {
                     statusChanged: oldStatus !== newStatus,
                     oldStatus,
-                    newStatus
+                    newStatus,
+                    linkedChanges,
+                    signaturesReset: termsChanged && oldLease.signatureStatus !== 'unsigned'
                 }
             },
             { session }
@@ -1012,7 +1003,7 @@ const getExpiringLeases = async (currentUser, filters) => {
     try {
         // Build base query
         let query = {
-            status: 'active',
+            status: { $in: IN_FORCE_LEASE_STATUSES },
             isActive: true
         };
 
@@ -1422,28 +1413,25 @@ const downloadLeaseDocument = async (leaseId, documentId, currentUser, ipAddress
  * @param {string} documentType - Document type
  * @param {Object} currentUser - The authenticated user
  * @param {string} ipAddress - Request IP address
+ * @param {string} [templateId] - Lease template for a lease_agreement; defaults to the property's current template
  * @returns {Promise<Object>} Created media document
  * @throws {AppError} If lease not found or unauthorized
  */
-const generateLeaseDocument = async (leaseId, documentType, currentUser, ipAddress) => {
+const generateLeaseDocument = async (leaseId, documentType, currentUser, ipAddress, templateId = null) => {
     const session = await mongoose.startSession();
     session.startTransaction();
     
     try {
         // Validate document type
-        if (!['renewal_notice', 'exit_letter', 'termination_notice', 'lease_notice'].includes(documentType)) {
-            throw new AppError(`Invalid document type: ${documentType}. Allowed types: renewal_notice, exit_letter, termination_notice, lease_notice`, 400);
+        if (!['lease_agreement', 'renewal_notice', 'exit_letter', 'termination_notice', 'lease_notice'].includes(documentType)) {
+            throw new AppError(`Invalid document type: ${documentType}. Allowed types: lease_agreement, renewal_notice, exit_letter, termination_notice, lease_notice`, 400);
         }
 
-        // Get lease with all needed relations
-        const lease = await Lease.findOne({
+        // Get lease with all needed relations (including the fields lease templates merge in)
+        const lease = await leaseTemplateService.populateLeaseForAgreement(Lease.findOne({
             _id: leaseId,
             isActive: true
-        })
-            .populate('property', 'name address')
-            .populate('unit', 'unitName')
-            .populate('tenant', 'firstName lastName email')
-            .populate('landlord', 'firstName lastName email')
+        }))
             .session(session);
         
         if (!lease) {
@@ -1474,6 +1462,7 @@ const generateLeaseDocument = async (leaseId, documentType, currentUser, ipAddre
         };
         
         // Add document-specific data
+        let agreementTemplate = null;
         switch (documentType) {
             case 'renewal_notice':
                 // Calculate new dates and rent for renewal
@@ -1514,6 +1503,26 @@ const generateLeaseDocument = async (leaseId, documentType, currentUser, ipAddre
                 documentData.legalDisclosure = "Legal Disclosure: This termination is in accordance with the terms of your lease agreement and applicable laws. If you have questions about your rights, please consult with legal counsel.";
                 break;
                 
+            case 'lease_agreement': {
+                const template = await leaseTemplateService.resolveTemplateForLease(lease, templateId, session);
+                const templateChanged = String(template?._id || null) !== String(lease.leaseTemplate || null);
+
+                // Signers agreed to the agreement as worded; switching templates would change it under them
+                if (templateChanged && lease.signatureStatus !== 'unsigned') {
+                    throw new AppError('This lease has been sent for signature; void the signature request before switching its template.', 409);
+                }
+
+                const { data, missingFields } = leaseTemplateService.buildLeaseAgreementData(lease, template);
+                Object.assign(documentData, data);
+                documentData.subject = 'Lease Agreement';
+                agreementTemplate = template;
+
+                if (missingFields.length) {
+                    logger.warn(`LeaseService: Lease ${leaseId} agreement generated with blank merge fields: ${missingFields.join(', ')}.`);
+                }
+                break;
+            }
+
             case 'lease_notice':
                 documentData.subject = 'Important Information About Your Lease';
                 documentData.content = `This notice contains important information regarding your lease for Unit ${lease.unit.unitName} at ${lease.property.name}.`;
@@ -1547,11 +1556,18 @@ const generateLeaseDocument = async (leaseId, documentType, currentUser, ipAddre
             await lease.save({ session });
         }
 
+        // Remember which template version the agreement came from, so the signed copy uses it too
+        if (documentType === 'lease_agreement') {
+            lease.leaseTemplate = agreementTemplate?._id || null;
+            await lease.save({ session });
+        }
+
         // Notify tenant about the document
         const tenant = await User.findById(lease.tenant).session(session);
         if (tenant) {
             try {
                 const notificationMessages = {
+                    lease_agreement: 'Your lease agreement has been generated for your review',
                     renewal_notice: 'A lease renewal notice has been generated for your review',
                     exit_letter: 'An exit letter has been generated for your upcoming lease end',
                     termination_notice: 'A termination notice has been issued for your lease',
@@ -0,0 +1,914 @@
+// src/services/leaseSignatureService.js
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Lease = require('../models/lease');
+const LeaseSignatureRequest = require('../models/leaseSignatureRequest');
+const LeaseTemplate = require('../models/leaseTemplate');
+const Media = require('../models/media');
+const Property = require('../models/property');
+const Unit = require('../models/unit');
+const User = require('../models/user');
+const PropertyUser = require('../models/propertyUser');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const documentGenerationService = require('./documentGenerationService');
+const leaseTemplateService = require('./leaseTemplateService');
+const leaseLifecycleService = require('./leaseLifecycleService');
+const {
+    sha256,
+    computeLeaseTermsHash,
+    validateSigners,
+    getNextSigner,
+    isFullySigned,
+    getSigningExpiryDate,
+    parseSignatureImage
+} = require('../utils/leaseSignatureUtils');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    PROPERTY_USER_ROLES_ENUM,
+    SIGNATURE_TYPE_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Leases that can be sent for signature
+const SIGNABLE_LEASE_STATUSES = ['draft', 'active'];
+
+/**
+ * Helper to check if a user has management permission for a given property
+ * @param {Object} user - The authenticated user
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkPropertyManagementPermission = async (user, propertyId) => {
+    try {
+        if (user.role === ROLE_ENUM.ADMIN) {
+            return true; // Admin has global access
+        }
+
+        const hasAccess = await PropertyUser.exists({
+            user: user._id,
+            property: propertyId,
+            isActive: true,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]}
+        });
+
+        return !!hasAccess;
+    } catch (error) {
+        logger.error(`LeaseSignatureService - Error checking property management permission: ${error.message}`, {
+            userId: user?._id,
+            propertyId
+        });
+        return false; // Fail safely
+    }
+};
+
+/**
+ * Hashes a signing link token for storage and lookup
+ * @param {string} token - Plain token from the link
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => sha256(token);
+
+/**
+ * Gives a signer a new signing link, replacing any earlier one
+ * @param {Object} signer - Signer subdocument
+ * @param {Date} now - Current date
+ * @returns {string} The plain token for the link
+ */
+const issueSigningToken = (signer, now) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    signer.status = 'sent';
+    signer.sentAt = now;
+    signer.tokenHash = hashToken(token);
+    return token;
+};
+
+/**
+ * Loads a signature request on a lease and checks the user manages the lease's property
+ * @param {string} leaseId - Lease ID
+ * @param {string} requestId - Signature request ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} action - What the user is trying to do, for the error message
+ * @param {Object} [session=null] - MongoDB session
+ * @returns {Promise<Object>} Signature request document
+ * @throws {AppError} If the request is not found or unauthorized
+ */
+const loadManagedRequest = async (leaseId, requestId, currentUser, action, session = null) => {
+    const request = await LeaseSignatureRequest.findOne({ _id: requestId, lease: leaseId })
+        .select('+signers.tokenHash')
+        .session(session);
+    if (!request) {
+        throw new AppError('Signature request not found.', 404);
+    }
+
+    const isAuthorized = await checkPropertyManagementPermission(currentUser, request.property);
+    if (!isAuthorized) {
+        throw new AppError(`Not authorized to ${action} for this lease.`, 403);
+    }
+
+    return request;
+};
+
+/**
+ * Builds the ordered signer list for a lease. Without a list the tenant signs first and the
+ * lease's landlord second. Tenants and co-tenants must be tenants of the unit; landlord signers
+ * must be a landlord or property manager of the property.
+ * @param {Array<Object>} [signerInput] - Signers in signing order, each { role, user }
+ * @param {Object} lease - The lease being signed
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Array<Object>>} Signers ready to store
+ * @throws {AppError} If a signer cannot sign this lease or the list is invalid
+ */
+const resolveSigners = async (signerInput, lease, session) => {
+    const requested = Array.isArray(signerInput) && signerInput.length > 0
+        ? signerInput
+        : [{ role: 'tenant', user: lease.tenant }, { role: 'landlord', user: lease.landlord }];
+
+    const signers = [];
+    for (const [index, { role, user: userId }] of requested.entries()) {
+        const user = await User.findById(userId).select('firstName lastName email').session(session);
+        if (!user) {
+            throw new AppError(`Signer ${index + 1} was not found.`, 404);
+        }
+
+        const roles = role === 'landlord'
+            ? [PROPERTY_USER_ROLES_ENUM.LANDLORD, PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER]
+            : [PROPERTY_USER_ROLES_ENUM.TENANT];
+        const association = await PropertyUser.exists({
+            user: user._id,
+            property: lease.property,
+            ...(role === 'landlord' ? {} : { unit: lease.unit }),
+            roles: { $in: roles },
+            isActive: true
+        }).session(session);
+        if (!association) {
+            throw new AppError(role === 'landlord'
+                ? `${user.email} is not a landlord or manager of this property.`
+                : `${user.email} is not a tenant of this unit.`, 400);
+        }
+
+        signers.push({
+            role,
+            user: user._id,
+            name: `${user.firstName} ${user.lastName}`.trim(),
+            email: user.email,
+            order: index + 1,
+            status: 'waiting'
+        });
+    }
+
+    const problem = validateSigners(signers, lease);
+    if (problem) {
+        throw new AppError(problem, 400);
+    }
+    return signers;
+};
+
+/**
+ * Marks pending requests whose links have lapsed as expired and returns their leases to unsigned
+ * @param {Object} filter - Extra conditions (e.g. { lease })
+ * @returns {Promise<void>}
+ */
+const expireLapsedRequests = async (filter) => {
+    const lapsed = await LeaseSignatureRequest.find({ ...filter, status: 'pending', expiresAt: { $lt: new Date() } }).select('lease');
+    if (lapsed.length === 0) return;
+
+    await LeaseSignatureRequest.updateMany(
+        { _id: { $in: lapsed.map(request => request._id) } },
+        { $set: { status: 'expired', 'signers.$[].tokenHash': null } }
+    );
+    await Lease.updateMany(
+        { _id: { $in: lapsed.map(request => request.lease) }, signatureStatus: 'pending' },
+        { $set: { signatureStatus: 'unsigned' } }
+    );
+};
+
+/**
+ * Sends the signer whose turn it is their link. Failures are logged; the request has already been saved.
+ * @param {Object} request - Signature request
+ * @param {Object} signer - The signer to notify
+ * @param {string} token - Plain token for their link
+ * @returns {Promise<void>}
+ */
+const notifySigner = async (request, signer, token) => {
+    try {
+        const [lease, property, unit] = await Promise.all([
+            Lease.findById(request.lease),
+            Property.findById(request.property),
+            Unit.findById(request.unit)
+        ]);
+        if (!lease || !property) return;
+
+        await notificationService.sendLeaseSignatureRequest({
+            request,
+            signer,
+            lease,
+            property,
+            unit,
+            signingLink: `${FRONTEND_URL}/lease-signatures/${token}`
+        });
+    } catch (notificationError) {
+        logger.warn(`Failed to send lease signing link for request ${request._id}: ${notificationError.message}`);
+        // Continue even if notification fails
+    }
+};
+
+/**
+ * Produces the signed lease once everyone has signed: the lease agreement PDF with each signature
+ * and a certificate page, stored with its SHA-256 so later tampering can be detected. The lease
+ * is then marked signed, and a draft lease that has already started is activated straight away.
+ * @param {string} requestId - Signature request ID
+ * @param {string} [userId] - User completing the request (the last signer, or a manager retrying)
+ * @param {string} [ipAddress] - Request IP address
+ * @returns {Promise<Object>} The completed signature request
+ * @throws {AppError} If the request is not fully signed or the document cannot be produced
+ */
+const completeSigning = async (requestId, userId, ipAddress) => {
+    const request = await LeaseSignatureRequest.findById(requestId);
+    if (!request || request.status !== 'pending' || !isFullySigned(request.signers)) {
+        throw new AppError('This signature request is not waiting to be completed.', 409);
+    }
+
+    const lease = await leaseTemplateService.populateLeaseForAgreement(Lease.findById(request.lease));
+    if (!lease) {
+        throw new AppError('Lease not found.', 404);
+    }
+
+    // The signed copy uses the template version the agreement was generated from
+    const template = lease.leaseTemplate ? await LeaseTemplate.findById(lease.leaseTemplate) : null;
+    const { data } = leaseTemplateService.buildLeaseAgreementData(lease, template);
+
+    const completedAt = new Date();
+    const signers = [...request.signers].sort((a, b) => a.order - b.order).map(signer => signer.toObject());
+
+    const mediaDoc = await documentGenerationService.generateAndUploadDocument(
+        'lease_agreement',
+        {
+            ...data,
+            signers,
+            certificate: {
+                requestId: request._id.toString(),
+                termsHash: request.termsHash,
+                completedAt
+            }
+        },
+        {
+            relatedResourceType: 'Lease',
+            relatedResourceId: lease._id,
+            userId,
+            ipAddress
+        }
+    );
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        request.status = 'completed';
+        request.completedAt = completedAt;
+        request.signedDocument = mediaDoc._id;
+        request.documentHash = mediaDoc.checksum;
+        await request.save({ session });
+
+        await Lease.updateOne(
+            { _id: lease._id },
+            { $set: { signatureStatus: 'signed', signedAt: completedAt, signedDocument: mediaDoc._id } },
+            { session }
+        );
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_SIGNATURE_COMPLETED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            lease._id,
+            {
+                userId,
+                ipAddress,
+                description: `Lease ${lease._id} fully signed by ${signers.map(signer => signer.name).join(', ')}; signed document ${mediaDoc._id} stored with SHA-256 ${mediaDoc.checksum}.`,
+                status: 'success',
+                oldValue: { signatureStatus: 'pending' },
+                newValue: { signatureStatus: 'signed', signedDocument: mediaDoc._id, documentHash: mediaDoc.checksum },
+                metadata: { requestId: request._id }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+
+    try {
+        await notificationService.sendLeaseSigned({
+            request,
+            property: lease.property,
+            unit: lease.unit,
+            leaseLink: `${FRONTEND_URL}/leases/${lease._id}`
+        });
+    } catch (notificationError) {
+        logger.warn(`Failed to send signed lease notifications for request ${request._id}: ${notificationError.message}`);
+        // Continue even if notification fails
+    }
+
+    // Otherwise the nightly lease lifecycle job activates it on its start date
+    try {
+        await leaseLifecycleService.syncLeaseLifecycle(lease._id, { _id: userId }, ipAddress);
+    } catch (lifecycleError) {
+        logger.warn(`Failed to sync status of lease ${lease._id} after signing: ${lifecycleError.message}`);
+    }
+
+    logger.info(`LeaseSignatureService: Lease ${lease._id} fully signed; signed document ${mediaDoc._id}.`);
+
+    return request;
+};
+
+/**
+ * Fetches a signature request with the people and document on it
+ * @param {string} requestId - Signature request ID
+ * @returns {Promise<Object>} Populated signature request
+ */
+const findPopulatedRequest = (requestId) => LeaseSignatureRequest.findById(requestId)
+    .populate('signers.user', 'firstName lastName email')
+    .populate('signedDocument', 'url originalname checksum createdAt')
+    .populate('createdBy', 'firstName lastName email');
+
+/**
+ * Sends a lease for electronic signature. Signers sign in the order given; each is emailed a
+ * personal signing link when the signer before them has signed.
+ * @param {string} leaseId - Lease ID
+ * @param {Object} requestData - Request details
+ * @param {Array<Object>} [requestData.signers] - Signers in signing order, each { role, user }.
+ *   Defaults to the tenant then the landlord.
+ * @param {Date} [requestData.expiresAt] - Date the signing links stop working
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The signature request
+ * @throws {AppError} If the lease cannot be signed, a request is already pending, or unauthorized
+ */
+const createSignatureRequest = async (leaseId, requestData, currentUser, ipAddress) => {
+    // Lapsed requests no longer block a new one
+    await expireLapsedRequests({ lease: leaseId });
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const lease = await Lease.findOne({ _id: leaseId, isActive: true }).session(session);
+        if (!lease) {
+            throw new AppError('Lease not found.', 404);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, lease.property);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to send this lease for signature.', 403);
+        }
+
+        if (!SIGNABLE_LEASE_STATUSES.includes(lease.status)) {
+            throw new AppError(`A ${lease.status} lease cannot be sent for signature.`, 400);
+        }
+        if (lease.signatureStatus === 'signed') {
+            throw new AppError('This lease has already been signed.', 409);
+        }
+
+        const pendingRequest = await LeaseSignatureRequest.exists({ lease: lease._id, status: 'pending' }).session(session);
+        if (pendingRequest) {
+            throw new AppError('This lease is already out for signature. Void that request to start again.', 409);
+        }
+
+        const now = new Date();
+        const expiresAt = getSigningExpiryDate(now, requestData.expiresAt);
+        if (expiresAt <= now) {
+            throw new AppError('The sign-by date must be in the future.', 400);
+        }
+
+        const signers = await resolveSigners(requestData.signers, lease, session);
+
+        const request = new LeaseSignatureRequest({
+            lease: lease._id,
+            property: lease.property,
+            unit: lease.unit,
+            signers,
+            termsHash: computeLeaseTermsHash(lease),
+            expiresAt,
+            createdBy: currentUser._id
+        });
+        const firstSigner = getNextSigner(request.signers);
+        const token = issueSigningToken(firstSigner, now);
+        await request.save({ session });
+
+        const oldSignatureStatus = lease.signatureStatus;
+        lease.signatureStatus = 'pending';
+        lease.updatedBy = currentUser._id;
+        await lease.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_SIGNATURE_REQUESTED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            lease._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Lease ${lease._id} sent for signature by ${currentUser.email} to ${signers.map(signer => `${signer.name} (${signer.role})`).join(', ')}, open until ${expiresAt.toDateString()}.`,
+                status: 'success',
+                oldValue: { signatureStatus: oldSignatureStatus },
+                newValue: { signatureStatus: 'pending' },
+                metadata: { requestId: request._id, termsHash: request.termsHash }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        await notifySigner(request, firstSigner, token);
+
+        logger.info(`LeaseSignatureService: Lease ${lease._id} sent for signature (request ${request._id}) by ${currentUser.email}.`);
+
+        return findPopulatedRequest(request._id);
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
+        logger.error(`LeaseSignatureService - Error creating signature request: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to send lease for signature: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Gets the signature requests on a lease, newest first. Signers on the lease can see them too.
+ * @param {string} leaseId - Lease ID
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Array<Object>>} Signature requests
+ * @throws {AppError} If lease not found or unauthorized
+ */
+const getSignatureRequests = async (leaseId, currentUser) => {
+    try {
+        const lease = await Lease.findById(leaseId).select('tenant property');
+        if (!lease) {
+            throw new AppError('Lease not found.', 404);
+        }
+
+        const isManager = await checkPropertyManagementPermission(currentUser, lease.property);
+        const isSigner = !isManager && await LeaseSignatureRequest.exists({ lease: lease._id, 'signers.user': currentUser._id });
+        const isTenant = lease.tenant && lease.tenant.toString() === currentUser._id.toString();
+        if (!isManager && !isSigner && !isTenant) {
+            throw new AppError('Not authorized to view the signature requests for this lease.', 403);
+        }
+
+        await expireLapsedRequests({ lease: lease._id });
+
+        return LeaseSignatureRequest.find({ lease: lease._id })
+            .sort({ createdAt: -1 })
+            .populate('signers.user', 'firstName lastName email')
+            .populate('signedDocument', 'url originalname checksum createdAt');
+    } catch (error) {
+        logger.error(`LeaseSignatureService - Error getting signature requests: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get signature requests: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Sends the signer whose turn it is a fresh link; their previous link stops working
+ * @param {string} leaseId - Lease ID
+ * @param {string} requestId - Signature request ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The signature request
+ * @throws {AppError} If the request is not pending or unauthorized
+ */
+const resendSigningLink = async (leaseId, requestId, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const request = await loadManagedRequest(leaseId, requestId, currentUser, 'resend signing links', session);
+        if (request.status !== 'pending') {
+            throw new AppError(`A ${request.status} signature request cannot be resent.`, 400);
+        }
+        if (request.expiresAt && request.expiresAt < new Date()) {
+            throw new AppError('This signature request has expired. Send the lease for signature again.', 410);
+        }
+
+        const signer = getNextSigner(request.signers);
+        if (!signer) {
+            throw new AppError('Everyone has signed; complete the request instead.', 400);
+        }
+
+        const token = issueSigningToken(signer, new Date());
+        request.updatedBy = currentUser._id;
+        await request.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_SIGNATURE_REQUESTED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            request.lease,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Signing link for lease ${request.lease} resent to ${signer.name} (${signer.role}) by ${currentUser.email}.`,
+                status: 'success',
+                metadata: { requestId: request._id, signer: signer.user, resent: true }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        await notifySigner(request, signer, token);
+
+        logger.info(`LeaseSignatureService: Signing link for request ${request._id} resent to ${signer.email} by ${currentUser.email}.`);
+
+        return findPopulatedRequest(request._id);
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
+        logger.error(`LeaseSignatureService - Error resending signing link: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId,
+            requestId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to resend signing link: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Cancels a pending signature request. Its links stop working and signatures already collected
+ * on it no longer count.
+ * @param {string} leaseId - Lease ID
+ * @param {string} requestId - Signature request ID
+ * @param {string} [reason] - Why the request was voided
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The voided request
+ * @throws {AppError} If the request is not pending or unauthorized
+ */
+const voidSignatureRequest = async (leaseId, requestId, reason, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const request = await loadManagedRequest(leaseId, requestId, currentUser, 'void signature requests', session);
+        if (request.status !== 'pending') {
+            throw new AppError(`A ${request.status} signature request cannot be voided.`, 400);
+        }
+
+        request.status = 'voided';
+        request.voidedAt = new Date();
+        request.voidReason = reason || null;
+        request.signers.forEach(signer => { signer.tokenHash = null; });
+        request.updatedBy = currentUser._id;
+        await request.save({ session });
+
+        await Lease.updateOne(
+            { _id: request.lease, signatureStatus: 'pending' },
+            { $set: { signatureStatus: 'unsigned', updatedBy: currentUser._id } },
+            { session }
+        );
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_SIGNATURE_VOIDED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            request.lease,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Signature request ${request._id} for lease ${request.lease} voided by ${currentUser.email}.`,
+                status: 'success',
+                oldValue: { status: 'pending' },
+                newValue: { status: 'voided' },
+                metadata: { requestId: request._id, reason: reason || null }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`LeaseSignatureService: Signature request ${request._id} voided by ${currentUser.email}.`);
+
+        return findPopulatedRequest(request._id);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`LeaseSignatureService - Error voiding signature request: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId,
+            requestId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to void signature request: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Produces the signed document for a request where everyone has signed but the document could
+ * not be generated at the time (e.g. storage was unavailable)
+ * @param {string} leaseId - Lease ID
+ * @param {string} requestId - Signature request ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The completed request
+ * @throws {AppError} If the request is not fully signed or unauthorized
+ */
+const completeSignatureRequest = async (leaseId, requestId, currentUser, ipAddress) => {
+    try {
+        const request = await loadManagedRequest(leaseId, requestId, currentUser, 'complete signature requests');
+
+        await completeSigning(request._id, currentUser._id, ipAddress);
+
+        return findPopulatedRequest(request._id);
+    } catch (error) {
+        logger.error(`LeaseSignatureService - Error completing signature request: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId,
+            requestId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to complete signature request: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Checks the stored signed PDF still matches the SHA-256 recorded when it was generated
+ * @param {string} leaseId - Lease ID
+ * @param {string} requestId - Signature request ID
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Object>} { requestId, documentId, expectedHash, actualHash, isValid, checkedAt }
+ * @throws {AppError} If the request has no signed document or unauthorized
+ */
+const verifySignedDocument = async (leaseId, requestId, currentUser) => {
+    try {
+        const request = await LeaseSignatureRequest.findOne({ _id: requestId, lease: leaseId });
+        if (!request) {
+            throw new AppError('Signature request not found.', 404);
+        }
+
+        const isSigner = request.signers.some(signer => signer.user.toString() === currentUser._id.toString());
+        if (!isSigner && !(await checkPropertyManagementPermission(currentUser, request.property))) {
+            throw new AppError('Not authorized to verify this signed lease.', 403);
+        }
+
+        if (request.status !== 'completed' || !request.signedDocument) {
+            throw new AppError('This lease has not been fully signed yet.', 400);
+        }
+
+        const media = await Media.findById(request.signedDocument);
+        if (!media) {
+            throw new AppError('The signed document could not be found.', 404);
+        }
+
+        const response = await fetch(media.url);
+        if (!response.ok) {
+            throw new AppError(`Could not download the signed document (HTTP ${response.status}).`, 502);
+        }
+        const actualHash = sha256(Buffer.from(await response.arrayBuffer()));
+
+        const result = {
+            requestId: request._id,
+            documentId: media._id,
+            expectedHash: request.documentHash,
+            actualHash,
+            isValid: actualHash === request.documentHash,
+            checkedAt: new Date()
+        };
+
+        if (!result.isValid) {
+            logger.warn(`LeaseSignatureService: Signed document ${media._id} for lease ${leaseId} does not match its recorded hash.`);
+        }
+
+        return result;
+    } catch (error) {
+        logger.error(`LeaseSignatureService - Error verifying signed document: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId,
+            requestId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to verify signed document: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Finds the request and signer behind a signing link
+ * @param {string} token - Plain token from the link
+ * @param {Object} [session=null] - MongoDB session
+ * @returns {Promise<Object>} { request, signer }
+ * @throws {AppError} If the link is invalid, used or expired
+ */
+const findSignerByToken = async (token, session = null) => {
+    if (!token || typeof token !== 'string') {
+        throw new AppError('Invalid signing link.', 400);
+    }
+
+    const tokenHash = hashToken(token);
+    const request = await LeaseSignatureRequest.findOne({ 'signers.tokenHash': tokenHash, status: 'pending' })
+        .select('+signers.tokenHash')
+        .session(session);
+    if (!request) {
+        throw new AppError('Signing link is invalid or has already been used.', 404);
+    }
+
+    if (request.expiresAt && request.expiresAt < new Date()) {
+        await expireLapsedRequests({ _id: request._id });
+        throw new AppError('This signing link has expired.', 410);
+    }
+
+    return { request, signer: request.signers.find(signer => signer.tokenHash === tokenHash) };
+};
+
+/**
+ * Shapes a request for the public signing page: the lease being signed and who has signed,
+ * without internal IDs, contact details or signature images.
+ * @param {Object} request - Signature request
+ * @param {Object} lease - Lease with property, unit and tenant populated
+ * @param {Object} [signer] - The signer the link belongs to
+ * @returns {Object} Public view of the request
+ */
+const sanitizeRequestForPublic = (request, lease, signer) => ({
+    status: request.status,
+    signer: signer ? { name: signer.name, role: signer.role, status: signer.status } : null,
+    signers: [...request.signers]
+        .sort((a, b) => a.order - b.order)
+        .map(({ name, role, order, status, signature }) => ({ name, role, order, status, signedAt: signature?.signedAt || null })),
+    lease: lease ? {
+        propertyName: lease.property?.name,
+        unitName: lease.unit?.unitName,
+        leaseStartDate: lease.leaseStartDate,
+        leaseEndDate: lease.leaseEndDate,
+        monthlyRent: lease.monthlyRent,
+        currency: lease.currency,
+        paymentDueDate: lease.paymentDueDate,
+        securityDeposit: lease.securityDeposit,
+        terms: lease.terms
+    } : null,
+    termsHash: request.termsHash,
+    expiresAt: request.expiresAt,
+    completedAt: request.completedAt
+});
+
+/**
+ * Loads the lease a public signing page shows
+ * @param {string} leaseId - Lease ID
+ * @returns {Promise<Object>} Lease with property and unit names
+ */
+const findLeaseForSigning = (leaseId) => Lease.findById(leaseId)
+    .populate('property', 'name')
+    .populate('unit', 'unitName');
+
+/**
+ * Gets the lease to review from a signer's signing link
+ * @param {string} token - Plain token from the link
+ * @returns {Promise<Object>} Public view of the request
+ * @throws {AppError} If the link is invalid, used or expired
+ */
+const getSignatureRequestByToken = async (token) => {
+    try {
+        const { request, signer } = await findSignerByToken(token);
+        const lease = await findLeaseForSigning(request.lease);
+
+        return sanitizeRequestForPublic(request, lease, signer);
+    } catch (error) {
+        logger.error(`LeaseSignatureService - Error getting signature request by link: ${error.message}`);
+        throw error instanceof AppError ? error : new AppError(`Failed to get signature request: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Signs the lease through a signer's link. The signature is recorded with the signer's IP and
+ * device, the next signer is sent their link, and after the last signature the signed PDF is produced.
+ * @param {string} token - Plain token from the link
+ * @param {Object} signatureData - The signature
+ * @param {string} signatureData.signatureType - 'typed' or 'drawn'
+ * @param {string} [signatureData.typedName] - Name as typed, for typed signatures
+ * @param {string} [signatureData.signatureImage] - PNG or JPEG data URL, for drawn signatures
+ * @param {string} ipAddress - Signer's IP address
+ * @param {string} userAgent - Signer's browser user agent
+ * @returns {Promise<Object>} Public view of the request
+ * @throws {AppError} If the link is invalid, the lease changed since it was sent, or the signature is invalid
+ */
+const signByToken = async (token, signatureData, ipAddress, userAgent) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { request, signer } = await findSignerByToken(token, session);
+
+        const lease = await Lease.findById(request.lease).session(session);
+        if (!lease || computeLeaseTermsHash(lease) !== request.termsHash) {
+            throw new AppError('The lease has changed since it was sent for signature. Please ask your landlord for a new signing link.', 409);
+        }
+
+        const { signatureType, typedName, signatureImage } = signatureData;
+        if (!SIGNATURE_TYPE_ENUM.includes(signatureType)) {
+            throw new AppError(`Signature type must be one of: ${SIGNATURE_TYPE_ENUM.join(', ')}`, 400);
+        }
+        if (signatureType === 'typed' && !(typedName && typedName.trim())) {
+            throw new AppError('Type your full name to sign.', 400);
+        }
+        if (signatureType === 'drawn' && !parseSignatureImage(signatureImage)) {
+            throw new AppError('The drawn signature must be a PNG or JPEG image under 50 KB.', 400);
+        }
+
+        const now = new Date();
+        signer.signature = {
+            type: signatureType,
+            typedName: signatureType === 'typed' ? typedName.trim() : null,
+            image: signatureType === 'drawn' ? signatureImage.trim() : null,
+            ipAddress,
+            userAgent,
+            signedAt: now
+        };
+        signer.status = 'signed';
+        signer.tokenHash = null;
+
+        const nextSigner = getNextSigner(request.signers);
+        const nextToken = nextSigner ? issueSigningToken(nextSigner, now) : null;
+        await request.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_SIGNED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            request.lease,
+            {
+                userId: signer.user,
+                ipAddress,
+                description: `${signer.name} (${signer.role}) signed lease ${request.lease} with a ${signatureType} signature.`,
+                status: 'success',
+                newValue: { signer: signer.user, role: signer.role, signatureType, signedAt: now },
+                metadata: { requestId: request._id, userAgent, nextSigner: nextSigner?.user || null }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`LeaseSignatureService: ${signer.email} signed lease ${request.lease} (request ${request._id}).`);
+
+        if (nextSigner) {
+            await notifySigner(request, nextSigner, nextToken);
+        } else {
+            try {
+                await completeSigning(request._id, signer.user, ipAddress);
+            } catch (completionError) {
+                // Every signature is saved; a manager can retry producing the document
+                logger.error(`LeaseSignatureService - Error producing signed lease for request ${request._id}: ${completionError.message}`);
+            }
+        }
+
+        const [updated, populatedLease] = await Promise.all([
+            LeaseSignatureRequest.findById(request._id),
+            findLeaseForSigning(request.lease)
+        ]);
+        return sanitizeRequestForPublic(updated, populatedLease, updated.signers.id(signer._id));
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
+        logger.error(`LeaseSignatureService - Error signing lease by link: ${error.message}`, { ipAddress });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to sign lease: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+module.exports = {
+    createSignatureRequest,
+    getSignatureRequests,
+    resendSigningLink,
+    voidSignatureRequest,
+    completeSignatureRequest,
+    verifySignedDocument,
+    getSignatureRequestByToken,
+    signByToken
+};
@@ -0,0 +1,831 @@
+// src/services/leaseTemplateService.js
+
+const mongoose = require('mongoose');
+const LeaseClause = require('../models/leaseClause');
+const LeaseTemplate = require('../models/leaseTemplate');
+const Lease = require('../models/lease');
+const PropertyUser = require('../models/propertyUser');
+const auditService = require('./auditService');
+const {
+    MERGE_FIELDS,
+    buildMergeContext,
+    findUnknownMergeFields,
+    validateCondition,
+    assembleLeaseTemplate
+} = require('../utils/leaseTemplateUtils');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    PROPERTY_USER_ROLES_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+/**
+ * Helper to check if a user has management permission for a given property
+ * @param {Object} user - The authenticated user
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkPropertyManagementPermission = async (user, propertyId) => {
+    try {
+        if (user.role === ROLE_ENUM.ADMIN) {
+            return true; // Admin has global access
+        }
+
+        const hasAccess = await PropertyUser.exists({
+            user: user._id,
+            property: propertyId,
+            isActive: true,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]}
+        });
+
+        return !!hasAccess;
+    } catch (error) {
+        logger.error(`LeaseTemplateService - Error checking property management permission: ${error.message}`, {
+            userId: user?._id,
+            propertyId
+        });
+        return false; // Fail safely
+    }
+};
+
+/**
+ * Checks the user may change a clause or template. Shared (property-less) ones are managed by
+ * admins; property ones by the property's landlords and managers.
+ * @param {Object} currentUser - The authenticated user
+ * @param {string|null} propertyId - Property ID, or null for the shared library
+ * @param {string} action - What the user is trying to do, for the error message
+ * @throws {AppError} If unauthorized
+ */
+const assertCanManage = async (currentUser, propertyId, action) => {
+    if (!propertyId) {
+        if (currentUser.role !== ROLE_ENUM.ADMIN) {
+            throw new AppError(`Only admins can ${action} shared by all properties.`, 403);
+        }
+        return;
+    }
+
+    const isAuthorized = await checkPropertyManagementPermission(currentUser, propertyId);
+    if (!isAuthorized) {
+        throw new AppError(`Not authorized to ${action} for this property.`, 403);
+    }
+};
+
+/**
+ * Checks template text only uses merge fields that exist
+ * @param {Object} texts - Text to check, keyed by what it is (e.g. { title, body })
+ * @throws {AppError} If unknown merge fields are used
+ */
+const assertKnownMergeFields = (texts) => {
+    for (const [name, text] of Object.entries(texts)) {
+        const unknown = findUnknownMergeFields(text);
+        if (unknown.length) {
+            throw new AppError(`Unknown merge field${unknown.length > 1 ? 's' : ''} in ${name}: ${unknown.map(field => `{{${field}}}`).join(', ')}.`, 400);
+        }
+    }
+};
+
+/**
+ * Checks a clause condition is well formed
+ * @param {Object} [condition] - { field, operator, value }
+ * @throws {AppError} If the condition is invalid
+ */
+const assertValidCondition = (condition) => {
+    const problem = validateCondition(condition);
+    if (problem) {
+        throw new AppError(problem, 400);
+    }
+};
+
+/**
+ * Normalizes a condition from a request body
+ * @param {Object|null} condition - { field, operator, value }
+ * @returns {Object|null} Condition to store
+ */
+const toCondition = (condition) => (condition
+    ? { field: condition.field, operator: condition.operator || 'equals', value: condition.value ?? null }
+    : null);
+
+/**
+ * Turns requested template sections into stored snapshots. A section is either a library clause
+ * ({ clauseId, title?, condition? }) whose text is copied now, or inline text ({ title, body, condition? }).
+ * @param {Array<Object>} sections - Requested sections in order
+ * @param {string|null} propertyId - The template's property
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Array<Object>>} Sections to store
+ * @throws {AppError} If a clause cannot be used or the text is invalid
+ */
+const buildSections = async (sections, propertyId, session) => {
+    if (!Array.isArray(sections) || !sections.length) {
+        throw new AppError('A template needs at least one section.', 400);
+    }
+
+    const clauseIds = sections.filter(section => section.clauseId).map(section => section.clauseId);
+    const clauses = await LeaseClause.find({ _id: { $in: clauseIds } }).session(session);
+    const clausesById = new Map(clauses.map(clause => [clause._id.toString(), clause]));
+
+    return sections.map((section, index) => {
+        let built;
+
+        if (section.clauseId) {
+            const clause = clausesById.get(String(section.clauseId));
+            if (!clause || !clause.isActive) {
+                throw new AppError(`Section ${index + 1}: clause not found or inactive.`, 400);
+            }
+            if (clause.property && String(clause.property) !== String(propertyId)) {
+                throw new AppError(`Section ${index + 1}: clause "${clause.key}" belongs to another property.`, 400);
+            }
+
+            built = {
+                clause: clause._id,
+                title: section.title || clause.title,
+                body: clause.body,
+                condition: section.condition !== undefined ? toCondition(section.condition) : clause.condition
+            };
+        } else {
+            if (!section.title || !section.body) {
+                throw new AppError(`Section ${index + 1}: a title and text, or a clause, are required.`, 400);
+            }
+            built = { clause: null, title: section.title, body: section.body, condition: toCondition(section.condition) };
+        }
+
+        assertKnownMergeFields({ [`section ${index + 1}`]: `${built.title}\n${built.body}` });
+        assertValidCondition(built.condition);
+
+        return built;
+    });
+};
+
+/**
+ * Populates a lease query with the records its merge fields draw from
+ * @param {Object} query - Mongoose query for a lease
+ * @returns {Object} The query
+ */
+const populateLeaseForAgreement = (query) => query
+    .populate('property', 'name address propertyType')
+    .populate('unit', 'unitName floor numBedrooms numBathrooms squareFootage utilityResponsibility amenities')
+    .populate('tenant', 'firstName lastName email phone')
+    .populate('landlord', 'firstName lastName email phone');
+
+/**
+ * Lists the merge fields templates can use
+ * @returns {Array<Object>} Fields with key, label and type
+ */
+const getMergeFields = () => Object.entries(MERGE_FIELDS).map(([key, definition]) => ({ key, ...definition }));
+
+/**
+ * Gets the clause library: shared clauses, plus a property's own clauses when a property is given
+ * @param {Object} currentUser - The authenticated user
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.propertyId] - Include this property's clauses
+ * @param {string} [filters.category] - Filter by category
+ * @param {boolean} [filters.includeInactive] - Include retired clauses
+ * @returns {Promise<Array<Object>>} Clauses
+ * @throws {AppError} If unauthorized
+ */
+const getClauses = async (currentUser, filters = {}) => {
+    try {
+        const properties = [null];
+        if (filters.propertyId) {
+            const isAuthorized = await checkPropertyManagementPermission(currentUser, filters.propertyId);
+            if (!isAuthorized) {
+                throw new AppError('Not authorized to view lease clauses for this property.', 403);
+            }
+            properties.push(filters.propertyId);
+        }
+
+        const query = { property: { $in: properties } };
+        if (filters.category) {
+            query.category = filters.category;
+        }
+        if (!filters.includeInactive) {
+            query.isActive = true;
+        }
+
+        return LeaseClause.find(query).sort({ category: 1, title: 1 }).populate('property', 'name');
+    } catch (error) {
+        logger.error(`LeaseTemplateService - Error getting lease clauses: ${error.message}`, {
+            userId: currentUser?._id,
+            filters
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get lease clauses: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Adds a clause to the library
+ * @param {Object} clauseData - Clause data
+ * @param {string} [clauseData.propertyId] - Property the clause belongs to; omit for the shared library
+ * @param {string} clauseData.key - Short identifier, unique within its library
+ * @param {string} clauseData.title - Clause heading
+ * @param {string} clauseData.body - Clause text with merge fields
+ * @param {string} [clauseData.category] - Clause category
+ * @param {Object} [clauseData.condition] - When to include the clause
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Created clause
+ * @throws {AppError} If validation fails or unauthorized
+ */
+const createClause = async (clauseData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const propertyId = clauseData.propertyId || null;
+        await assertCanManage(currentUser, propertyId, 'manage lease clauses');
+
+        assertKnownMergeFields({ title: clauseData.title, body: clauseData.body });
+        assertValidCondition(clauseData.condition);
+
+        const clause = new LeaseClause({
+            property: propertyId,
+            key: clauseData.key,
+            title: clauseData.title,
+            category: clauseData.category,
+            body: clauseData.body,
+            condition: toCondition(clauseData.condition),
+            createdBy: currentUser._id
+        });
+
+        await clause.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_CLAUSE_CREATED,
+            AUDIT_RESOURCE_TYPE_ENUM.LeaseClause,
+            clause._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Lease clause "${clause.key}" added to the ${propertyId ? 'property' : 'shared'} library by ${currentUser.email}.`,
+                status: 'success',
+                newValue: clause.toObject(),
+                metadata: { propertyId }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`LeaseTemplateService: Clause ${clause.key} created by ${currentUser.email}.`);
+
+        return clause;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`LeaseTemplateService - Error creating lease clause: ${error.message}`, {
+            userId: currentUser?._id,
+            propertyId: clauseData?.propertyId
+        });
+
+        if (error.code === 11000) {
+            throw new AppError(`A clause with the key "${clauseData.key}" already exists in this library.`, 409);
+        }
+        if (error.name === 'ValidationError') {
+            throw new AppError(`Invalid lease clause: ${error.message}`, 400);
+        }
+        throw error instanceof AppError ? error : new AppError(`Failed to create lease clause: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Updates a library clause. Templates already saved keep the text they copied; the change
+ * reaches them when a new template version is saved.
+ * @param {string} clauseId - Clause ID
+ * @param {Object} updateData - Fields to change (title, category, body, condition, isActive)
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Updated clause
+ * @throws {AppError} If validation fails or unauthorized
+ */
+const updateClause = async (clauseId, updateData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const clause = await LeaseClause.findById(clauseId).session(session);
+        if (!clause) {
+            throw new AppError('Lease clause not found.', 404);
+        }
+
+        await assertCanManage(currentUser, clause.property, 'manage lease clauses');
+
+        const oldValue = clause.toObject();
+
+        ['title', 'category', 'body'].forEach(field => {
+            if (updateData[field] !== undefined) {
+                clause[field] = updateData[field];
+            }
+        });
+        if (updateData.condition !== undefined) {
+            clause.condition = toCondition(updateData.condition);
+        }
+        if (updateData.isActive !== undefined) {
+            clause.isActive = updateData.isActive === true || updateData.isActive === 'true';
+        }
+        clause.updatedBy = currentUser._id;
+
+        assertKnownMergeFields({ title: clause.title, body: clause.body });
+        assertValidCondition(clause.condition);
+
+        await clause.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_CLAUSE_UPDATED,
+            AUDIT_RESOURCE_TYPE_ENUM.LeaseClause,
+            clause._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Lease clause "${clause.key}" updated by ${currentUser.email}.`,
+                status: 'success',
+                oldValue,
+                newValue: clause.toObject(),
+                metadata: { propertyId: clause.property }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`LeaseTemplateService: Clause ${clause.key} updated by ${currentUser.email}.`);
+
+        return clause;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`LeaseTemplateService - Error updating lease clause: ${error.message}`, {
+            userId: currentUser?._id,
+            clauseId
+        });
+
+        if (error.name === 'ValidationError') {
+            throw new AppError(`Invalid lease clause: ${error.message}`, 400);
+        }
+        throw error instanceof AppError ? error : new AppError(`Failed to update lease clause: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Gets lease templates: shared templates, plus a property's own templates when a property is given
+ * @param {Object} currentUser - The authenticated user
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.propertyId] - Include this property's templates
+ * @param {boolean} [filters.allVersions] - Include earlier versions
+ * @param {boolean} [filters.includeArchived] - Include archived templates
+ * @returns {Promise<Array<Object>>} Templates
+ * @throws {AppError} If unauthorized
+ */
+const getTemplates = async (currentUser, filters = {}) => {
+    try {
+        const properties = [null];
+        if (filters.propertyId) {
+            const isAuthorized = await checkPropertyManagementPermission(currentUser, filters.propertyId);
+            if (!isAuthorized) {
+                throw new AppError('Not authorized to view lease templates for this property.', 403);
+            }
+            properties.push(filters.propertyId);
+        }
+
+        const query = { property: { $in: properties } };
+        if (!filters.allVersions) {
+            query.isCurrent = true;
+        }
+        if (!filters.includeArchived) {
+            query.isActive = true;
+        }
+
+        return LeaseTemplate.find(query)
+            .sort({ property: -1, name: 1, version: -1 })
+            .select('-sections')
+            .populate('property', 'name')
+            .populate('createdBy', 'firstName lastName email');
+    } catch (error) {
+        logger.error(`LeaseTemplateService - Error getting lease templates: ${error.message}`, {
+            userId: currentUser?._id,
+            filters
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get lease templates: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Gets one template version with its sections
+ * @param {string} templateId - Template ID
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Object>} Template
+ * @throws {AppError} If not found or unauthorized
+ */
+const getTemplateById = async (templateId, currentUser) => {
+    try {
+        const template = await LeaseTemplate.findById(templateId)
+            .populate('property', 'name')
+            .populate('sections.clause', 'key category')
+            .populate('createdBy', 'firstName lastName email');
+        if (!template) {
+            throw new AppError('Lease template not found.', 404);
+        }
+
+        if (template.property) {
+            const isAuthorized = await checkPropertyManagementPermission(currentUser, template.property._id);
+            if (!isAuthorized) {
+                throw new AppError('Not authorized to view this lease template.', 403);
+            }
+        }
+
+        return template;
+    } catch (error) {
+        logger.error(`LeaseTemplateService - Error getting lease template: ${error.message}`, {
+            userId: currentUser?._id,
+            templateId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get lease template: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Creates version 1 of a lease template
+ * @param {Object} templateData - Template data
+ * @param {string} [templateData.propertyId] - Property the template belongs to; omit for all properties
+ * @param {string} templateData.name - Template name
+ * @param {string} [templateData.description] - What the template is for
+ * @param {string} [templateData.title] - Heading printed on the agreement
+ * @param {string} [templateData.preamble] - Text before the clauses
+ * @param {Array<Object>} templateData.sections - Library clauses or inline sections, in order
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Created template
+ * @throws {AppError} If validation fails or unauthorized
+ */
+const createTemplate = async (templateData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const propertyId = templateData.propertyId || null;
+        await assertCanManage(currentUser, propertyId, 'manage lease templates');
+
+        const existing = await LeaseTemplate.exists({ property: propertyId, name: templateData.name }).session(session);
+        if (existing) {
+            throw new AppError(`A template named "${templateData.name}" already exists; save a new version of it instead.`, 409);
+        }
+
+        assertKnownMergeFields({ title: templateData.title, preamble: templateData.preamble });
+        const sections = await buildSections(templateData.sections, propertyId, session);
+
+        const template = new LeaseTemplate({
+            property: propertyId,
+            name: templateData.name,
+            description: templateData.description,
+            title: templateData.title,
+            preamble: templateData.preamble,
+            sections,
+            version: 1,
+            createdBy: currentUser._id
+        });
+
+        await template.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_TEMPLATE_CREATED,
+            AUDIT_RESOURCE_TYPE_ENUM.LeaseTemplate,
+            template._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Lease template "${template.name}" created by ${currentUser.email}.`,
+                status: 'success',
+                newValue: template.toObject(),
+                metadata: { propertyId, version: template.version }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`LeaseTemplateService: Template ${template._id} (${template.name}) created by ${currentUser.email}.`);
+
+        return template;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`LeaseTemplateService - Error creating lease template: ${error.message}`, {
+            userId: currentUser?._id,
+            propertyId: templateData?.propertyId
+        });
+
+        if (error.name === 'ValidationError') {
+            throw new AppError(`Invalid lease template: ${error.message}`, 400);
+        }
+        throw error instanceof AppError ? error : new AppError(`Failed to create lease template: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Saves a new version of a template. Fields not given are carried over from the current version,
+ * which stays on record for leases already generated from it.
+ * @param {string} templateId - ID of the current version
+ * @param {Object} updateData - Fields to change (description, title, preamble, sections)
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The new version
+ * @throws {AppError} If validation fails or unauthorized
+ */
+const createTemplateVersion = async (templateId, updateData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const current = await LeaseTemplate.findById(templateId).session(session);
+        if (!current) {
+            throw new AppError('Lease template not found.', 404);
+        }
+
+        await assertCanManage(currentUser, current.property, 'manage lease templates');
+
+        if (!current.isCurrent) {
+            throw new AppError(`Only the latest version of a template can be revised; this is version ${current.version}.`, 409);
+        }
+        if (!current.isActive) {
+            throw new AppError('This template has been archived.', 409);
+        }
+
+        const next = {
+            description: updateData.description !== undefined ? updateData.description : current.description,
+            title: updateData.title !== undefined ? updateData.title : current.title,
+            preamble: updateData.preamble !== undefined ? updateData.preamble : current.preamble
+        };
+        assertKnownMergeFields({ title: next.title, preamble: next.preamble });
+
+        const sections = updateData.sections !== undefined
+            ? await buildSections(updateData.sections, current.property, session)
+            : current.sections.map(section => section.toObject());
+
+        current.isCurrent = false;
+        await current.save({ session });
+
+        const [template] = await LeaseTemplate.create([{
+            property: current.property,
+            name: current.name,
+            ...next,
+            sections,
+            version: current.version + 1,
+            previousVersion: current._id,
+            createdBy: currentUser._id
+        }], { session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_TEMPLATE_VERSIONED,
+            AUDIT_RESOURCE_TYPE_ENUM.LeaseTemplate,
+            template._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Lease template "${template.name}" revised to version ${template.version} by ${currentUser.email}.`,
+                status: 'success',
+                oldValue: current.toObject(),
+                newValue: template.toObject(),
+                metadata: { propertyId: template.property, previousVersion: current._id, version: template.version }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`LeaseTemplateService: Template ${current.name} version ${template.version} saved by ${currentUser.email}.`);
+
+        return template;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`LeaseTemplateService - Error versioning lease template: ${error.message}`, {
+            userId: currentUser?._id,
+            templateId
+        });
+
+        if (error.name === 'ValidationError') {
+            throw new AppError(`Invalid lease template: ${error.message}`, 400);
+        }
+        throw error instanceof AppError ? error : new AppError(`Failed to save lease template version: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Archives a template (all its versions) so it can no longer be chosen for new documents.
+ * Leases generated from it keep their reference.
+ * @param {string} templateId - ID of any version of the template
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The current version, archived
+ * @throws {AppError} If not found or unauthorized
+ */
+const archiveTemplate = async (templateId, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const template = await LeaseTemplate.findById(templateId).session(session);
+        if (!template) {
+            throw new AppError('Lease template not found.', 404);
+        }
+
+        await assertCanManage(currentUser, template.property, 'manage lease templates');
+
+        if (!template.isActive) {
+            throw new AppError('This template is already archived.', 409);
+        }
+
+        await LeaseTemplate.updateMany(
+            { property: template.property, name: template.name },
+            { $set: { isActive: false } },
+            { session }
+        );
+
+        const current = await LeaseTemplate.findOne({ property: template.property, name: template.name, isCurrent: true }).session(session);
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.LEASE_TEMPLATE_ARCHIVED,
+            AUDIT_RESOURCE_TYPE_ENUM.LeaseTemplate,
+            current._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Lease template "${template.name}" archived by ${currentUser.email}.`,
+                status: 'success',
+                oldValue: { isActive: true },
+                newValue: { isActive: false },
+                metadata: { propertyId: template.property, version: current.version }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`LeaseTemplateService: Template ${template.name} archived by ${currentUser.email}.`);
+
+        return current;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`LeaseTemplateService - Error archiving lease template: ${error.message}`, {
+            userId: currentUser?._id,
+            templateId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to archive lease template: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Picks the template for a lease's agreement: the one asked for, else the property's newest
+ * template, else the newest shared template. Returns null when there is none, in which case the
+ * built-in layout is used.
+ * @param {Object} lease - Lease (property may be populated)
+ * @param {string} [templateId] - Template chosen by the user
+ * @param {Object} [session] - MongoDB session
+ * @returns {Promise<Object|null>} Template
+ * @throws {AppError} If the chosen template cannot be used for this lease
+ */
+const resolveTemplateForLease = async (lease, templateId = null, session = null) => {
+    const propertyId = lease.property?._id || lease.property;
+
+    if (templateId) {
+        const template = await LeaseTemplate.findById(templateId).session(session);
+        if (!template || !template.isActive) {
+            throw new AppError('Lease template not found or archived.', 404);
+        }
+        if (template.property && String(template.property) !== String(propertyId)) {
+            throw new AppError('This template belongs to another property.', 400);
+        }
+        if (!template.isCurrent) {
+            throw new AppError(`Version ${template.version} of "${template.name}" has been replaced; use the latest version.`, 400);
+        }
+        return template;
+    }
+
+    for (const property of [propertyId, null]) {
+        const template = await LeaseTemplate.findOne({ property, isCurrent: true, isActive: true })
+            .sort({ updatedAt: -1 })
+            .session(session);
+        if (template) return template;
+    }
+    return null;
+};
+
+/**
+ * Builds the data for a 'lease_agreement' document. With a template, the agreement's title,
+ * preamble and clauses come from it, with merge fields filled from the lease.
+ * @param {Object} lease - Lease populated with populateLeaseForAgreement
+ * @param {Object|null} template - LeaseTemplate, or null for the built-in layout
+ * @returns {Object} { data, missingFields }
+ */
+const buildLeaseAgreementData = (lease, template) => {
+    const data = {
+        leaseId: lease._id.toString(),
+        tenantName: `${lease.tenant.firstName} ${lease.tenant.lastName}`,
+        landlordName: `${lease.landlord.firstName} ${lease.landlord.lastName}`,
+        unitName: lease.unit.unitName,
+        propertyName: lease.property.name,
+        leaseStartDate: lease.leaseStartDate,
+        leaseEndDate: lease.leaseEndDate,
+        monthlyRent: lease.monthlyRent,
+        currency: lease.currency,
+        paymentDueDate: lease.paymentDueDate,
+        securityDeposit: lease.securityDeposit,
+        terms: lease.terms
+    };
+
+    if (!template) {
+        return { data, missingFields: [] };
+    }
+
+    const context = buildMergeContext({
+        lease,
+        property: lease.property,
+        unit: lease.unit,
+        tenant: lease.tenant,
+        landlord: lease.landlord
+    });
+    const { title, preamble, sections, missingFields } = assembleLeaseTemplate(template, context);
+
+    return {
+        data: { ...data, title, preamble, sections },
+        missingFields
+    };
+};
+
+/**
+ * Shows how a template reads for a lease, without generating a document
+ * @param {string} templateId - Template ID
+ * @param {string} leaseId - Lease ID
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Object>} { template, title, preamble, sections, missingFields }
+ * @throws {AppError} If not found or unauthorized
+ */
+const previewTemplate = async (templateId, leaseId, currentUser) => {
+    try {
+        const lease = await populateLeaseForAgreement(Lease.findOne({ _id: leaseId, isActive: true }));
+        if (!lease) {
+            throw new AppError('Lease not found.', 404);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, lease.property._id);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to view documents for this lease.', 403);
+        }
+
+        const template = await resolveTemplateForLease(lease, templateId);
+        const { data, missingFields } = buildLeaseAgreementData(lease, template);
+
+        return {
+            template: { _id: template._id, name: template.name, version: template.version },
+            title: data.title,
+            preamble: data.preamble,
+            sections: data.sections,
+            missingFields
+        };
+    } catch (error) {
+        logger.error(`LeaseTemplateService - Error previewing lease template: ${error.message}`, {
+            userId: currentUser?._id,
+            templateId,
+            leaseId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to preview lease template: ${error.message}`, 500);
+    }
+};
+
+module.exports = {
+    getMergeFields,
+    getClauses,
+    createClause,
+    updateClause,
+    getTemplates,
+    getTemplateById,
+    createTemplate,
+    createTemplateVersion,
+    archiveTemplate,
+    previewTemplate,
+    populateLeaseForAgreement,
+    resolveTemplateForLease,
+    buildLeaseAgreementData
+};
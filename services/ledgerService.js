@@ -0,0 +1,183 @@
+// src/services/ledgerService.js
+
+const Lease = require('../models/lease');
+const Rent = require('../models/rent');
+const LeasePayment = require('../models/leasePayment');
+const SecurityDeposit = require('../models/securityDeposit');
+const PropertyUser = require('../models/propertyUser');
+const auditService = require('./auditService');
+const {
+    buildRentEntries,
+    buildLeasePaymentEntries,
+    buildDepositEntries,
+    buildLedger
+} = require('../utils/ledgerUtils');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    PROPERTY_USER_ROLES_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+/**
+ * Helper to check if a user has management permission for a given property
+ * @param {Object} user - The authenticated user
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkPropertyManagementPermission = async (user, propertyId) => {
+    try {
+        if (user.role === ROLE_ENUM.ADMIN) {
+            return true; // Admin has global access
+        }
+
+        const hasAccess = await PropertyUser.exists({
+            user: user._id,
+            property: propertyId,
+            isActive: true,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]}
+        });
+
+        return !!hasAccess;
+    } catch (error) {
+        logger.error(`LedgerService - Error checking property management permission: ${error.message}`, {
+            userId: user?._id,
+            propertyId
+        });
+        return false; // Fail safely
+    }
+};
+
+/**
+ * Helper to check if a user has access to a lease's account
+ * @param {Object} user - The authenticated user
+ * @param {Object} lease - Lease document
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkLeaseAccess = async (user, lease) => {
+    if (user.role === ROLE_ENUM.ADMIN) {
+        return true;
+    }
+
+    // Tenant can view their own account
+    const tenantId = lease.tenant?._id || lease.tenant;
+    if (tenantId && tenantId.toString() === user._id.toString()) {
+        return true;
+    }
+
+    const propertyId = lease.property?._id || lease.property;
+    return await checkPropertyManagementPermission(user, propertyId);
+};
+
+/**
+ * Gets the tenant account ledger for a lease: every charge, late fee, waiver and payment
+ * with a running balance, plus the security deposit held.
+ * @param {string} leaseId - Lease ID
+ * @param {Object} [filters={}] - Statement period
+ * @param {Date} [filters.startDate] - Entries before this date are rolled into the opening balance
+ * @param {Date} [filters.endDate] - Entries after this date are left out
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Object>} Ledger with opening balance, entries, totals and closing balance
+ * @throws {AppError} If lease not found or unauthorized
+ */
+const getLeaseLedger = async (leaseId, filters = {}, currentUser) => {
+    try {
+        const lease = await Lease.findById(leaseId)
+            .populate('property', 'name address')
+            .populate('unit', 'unitName')
+            .populate('tenant', 'firstName lastName email phone');
+
+        if (!lease) {
+            throw new AppError('Lease not found.', 404);
+        }
+
+        const isAuthorized = await checkLeaseAccess(currentUser, lease);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to view the ledger for this lease.', 403);
+        }
+
+        const startDate = filters.startDate ? new Date(filters.startDate) : null;
+        const endDate = filters.endDate ? new Date(filters.endDate) : new Date();
+        endDate.setHours(23, 59, 59, 999);
+
+        if (startDate && startDate > endDate) {
+            throw new AppError('Start date must be before end date.', 400);
+        }
+
+        const rents = await Rent.find({
+            lease: lease._id,
+            isActive: { $ne: false }
+        }).sort({ dueDate: 1 });
+
+        const leasePayments = await LeasePayment.find({
+            lease: lease._id,
+            creditAmount: { $gt: 0 }
+        });
+
+        const entries = [
+            ...rents.flatMap(rent => buildRentEntries(rent)),
+            ...leasePayments.flatMap(payment => buildLeasePaymentEntries(payment))
+        ];
+        const ledger = buildLedger(entries, { startDate, endDate });
+
+        const securityDeposit = await SecurityDeposit.findOne({ lease: lease._id });
+        const deposit = buildLedger(buildDepositEntries(lease, securityDeposit), { endDate });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.FETCH_ONE,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            lease._id,
+            {
+                userId: currentUser._id,
+                description: `User ${currentUser.email} viewed the account ledger for lease ${lease._id}.`,
+                status: 'success',
+                metadata: { startDate, endDate, entryCount: ledger.entries.length }
+            }
+        );
+
+        return {
+            lease: {
+                id: lease._id,
+                status: lease.status,
+                leaseStartDate: lease.leaseStartDate,
+                leaseEndDate: lease.leaseEndDate,
+                monthlyRent: lease.monthlyRent
+            },
+            property: lease.property,
+            unit: lease.unit,
+            tenant: lease.tenant,
+            currency: lease.currency,
+            period: { startDate, endDate },
+            openingBalance: ledger.openingBalance,
+            entries: ledger.entries,
+            totals: ledger.totals,
+            closingBalance: ledger.closingBalance,
+            creditBalance: lease.creditBalance || 0,
+            deposit: {
+                status: securityDeposit?.status || null,
+                entries: deposit.entries,
+                // Deposits are credits to the tenant, so the amount held is the negative balance
+                held: deposit.closingBalance ? -deposit.closingBalance : 0
+            }
+        };
+    } catch (error) {
+        logger.error(`LedgerService - Error getting lease ledger: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId,
+            filters
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get lease ledger: ${error.message}`, 500);
+    }
+};
+
+module.exports = {
+    getLeaseLedger
+};
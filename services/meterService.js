@@ -0,0 +1,992 @@
+// src/services/meterService.js
+
+const mongoose = require('mongoose');
+const Meter = require('../models/meter');
+const MeterReading = require('../models/meterReading');
+const UtilityTariff = require('../models/utilityTariff');
+const Unit = require('../models/unit');
+const Media = require('../models/media');
+const PropertyUser = require('../models/propertyUser');
+const auditService = require('./auditService');
+const { uploadFile } = require('../utils/fileUpload');
+const {
+    DEFAULT_SPIKE_FACTOR,
+    DEFAULT_UNIT_OF_MEASURE,
+    calculateConsumption,
+    calculateTieredCharge,
+    findApplicableTariff,
+    detectReadingAnomalies
+} = require('../utils/meterUtils');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    PROPERTY_USER_ROLES_ENUM,
+    UTILITY_TYPE_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+const METER_SPIKE_FACTOR = parseFloat(process.env.METER_SPIKE_FACTOR) || DEFAULT_SPIKE_FACTOR;
+
+/**
+ * Helper to check if a user has management permission for a given property
+ * @param {Object} user - The authenticated user
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkPropertyManagementPermission = async (user, propertyId) => {
+    try {
+        if (user.role === ROLE_ENUM.ADMIN) {
+            return true; // Admin has global access
+        }
+
+        const hasAccess = await PropertyUser.exists({
+            user: user._id,
+            property: propertyId,
+            isActive: true,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]}
+        });
+
+        return !!hasAccess;
+    } catch (error) {
+        logger.error(`MeterService - Error checking property management permission: ${error.message}`, {
+            userId: user?._id,
+            propertyId
+        });
+        return false; // Fail safely
+    }
+};
+
+/**
+ * Properties the user manages, or null for admins (all properties)
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Array<string>|null>} Property IDs
+ */
+const getManagedPropertyIds = async (currentUser) => {
+    if (currentUser.role === ROLE_ENUM.ADMIN) {
+        return null;
+    }
+
+    return PropertyUser.find({
+        user: currentUser._id,
+        roles: { $in: [
+            PROPERTY_USER_ROLES_ENUM.LANDLORD,
+            PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+            PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+        ]},
+        isActive: true
+    }).distinct('property');
+};
+
+/**
+ * Loads a meter and checks the user manages its property
+ * @param {string} meterId - Meter ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} action - What the user is trying to do, for the error message
+ * @param {Object} [session] - MongoDB session
+ * @returns {Promise<Object>} Meter document
+ * @throws {AppError} If meter not found or unauthorized
+ */
+const loadManagedMeter = async (meterId, currentUser, action, session = null) => {
+    const meter = await Meter.findById(meterId).session(session);
+    if (!meter) {
+        throw new AppError('Meter not found.', 404);
+    }
+
+    const isAuthorized = await checkPropertyManagementPermission(currentUser, meter.property);
+    if (!isAuthorized) {
+        throw new AppError(`Not authorized to ${action}.`, 403);
+    }
+
+    return meter;
+};
+
+/**
+ * Populates a meter for API responses
+ * @param {string} meterId - Meter ID
+ * @returns {Promise<Object>} Populated meter
+ */
+const findPopulatedMeter = (meterId) => Meter.findById(meterId)
+    .populate('property', 'name')
+    .populate('unit', 'unitName utilityResponsibility')
+    .populate('createdBy', 'firstName lastName email');
+
+/**
+ * Populates a meter reading for API responses
+ * @param {string} readingId - Reading ID
+ * @returns {Promise<Object>} Populated reading
+ */
+const findPopulatedReading = (readingId) => MeterReading.findById(readingId)
+    .populate('meter', 'serialNumber utilityType unitOfMeasure')
+    .populate('unit', 'unitName')
+    .populate('photos', 'url thumbnailUrl originalname mimeType')
+    .populate('rent', 'billingPeriod status')
+    .populate('recordedBy', 'firstName lastName email')
+    .populate('review.reviewedBy', 'firstName lastName email');
+
+/**
+ * Uploads photos of the meter dial and attaches them to a reading
+ * @param {Object} reading - MeterReading document (not yet saved)
+ * @param {Array<Object>} files - Uploaded files
+ * @param {Object} currentUser - The authenticated user
+ * @param {Object} session - MongoDB session
+ * @throws {AppError} If an upload fails
+ */
+const attachPhotos = async (reading, files, currentUser, session) => {
+    for (const file of files || []) {
+        try {
+            const uploadResult = await uploadFile(
+                file.buffer,
+                file.mimetype,
+                file.originalname,
+                'meter-readings'
+            );
+
+            const mediaDoc = new Media({
+                filename: file.originalname,
+                originalname: file.originalname,
+                mimeType: file.mimetype,
+                size: file.size,
+                url: uploadResult.url,
+                thumbnailUrl: uploadResult.thumbnailUrl || null,
+                uploadedBy: currentUser._id,
+                relatedTo: 'MeterReading',
+                relatedId: reading._id,
+                description: `${reading.utilityType} meter reading of ${reading.value}`,
+                tags: ['meter', 'reading', reading.utilityType],
+                isPublic: false
+            });
+
+            await mediaDoc.save({ session });
+            reading.photos.push(mediaDoc._id);
+        } catch (error) {
+            throw new AppError(`Failed to upload meter photo: ${error.message}`, 500);
+        }
+    }
+};
+
+/**
+ * Prices a reading's consumption with the tariff in force on the day it was read
+ * @param {Object} reading - MeterReading document
+ * @param {Object} session - MongoDB session
+ * @throws {AppError} If no tariff applies
+ */
+const priceReading = async (reading, session) => {
+    const tariffs = await UtilityTariff.find({
+        property: reading.property,
+        utilityType: reading.utilityType,
+        isActive: true,
+        effectiveFrom: { $lte: reading.readAt }
+    }).session(session);
+
+    const tariff = findApplicableTariff(tariffs, reading.readAt);
+    if (!tariff) {
+        throw new AppError(`No ${reading.utilityType} tariff is in force at this property on ${reading.readAt.toDateString()}. Add a tariff before recording billable readings.`, 400);
+    }
+
+    const { amount, calculation } = calculateTieredCharge(reading.consumption, tariff);
+    reading.charge = {
+        tariff: tariff._id,
+        currency: tariff.currency,
+        amount,
+        calculation: calculation ? `${reading.consumption} units: ${calculation}` : null
+    };
+};
+
+/**
+ * Registers a sub-meter on a unit
+ * @param {Object} meterData - Meter details
+ * @param {string} meterData.unitId - Unit the meter measures
+ * @param {string} meterData.utilityType - One of UTILITY_TYPE_ENUM
+ * @param {string} meterData.serialNumber - Serial number on the meter
+ * @param {string} [meterData.unitOfMeasure] - e.g. m³ or kWh (defaults by utility)
+ * @param {number} [meterData.initialReading=0] - Reading on the dial at registration
+ * @param {Date} [meterData.installedAt=new Date()] - When the meter was installed or first read
+ * @param {string} [meterData.notes] - Notes
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Created meter
+ * @throws {AppError} If validation fails or unauthorized
+ */
+const registerMeter = async (meterData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let meter;
+    try {
+        const { unitId, utilityType, serialNumber } = meterData;
+
+        if (!unitId || !utilityType || !serialNumber) {
+            throw new AppError('Unit, utility type and serial number are required.', 400);
+        }
+        if (!UTILITY_TYPE_ENUM.includes(utilityType)) {
+            throw new AppError(`Invalid utility type. Must be one of: ${UTILITY_TYPE_ENUM.join(', ')}`, 400);
+        }
+
+        const unit = await Unit.findById(unitId).session(session);
+        if (!unit) {
+            throw new AppError('Unit not found.', 404);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, unit.property);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to register meters for this property.', 403);
+        }
+
+        const activeMeter = await Meter.exists({ unit: unit._id, utilityType, isActive: true }).session(session);
+        if (activeMeter) {
+            throw new AppError(`Unit already has an active ${utilityType} meter. Deactivate it before registering a replacement.`, 409);
+        }
+
+        const duplicate = await Meter.exists({ property: unit.property, serialNumber: serialNumber.trim() }).session(session);
+        if (duplicate) {
+            throw new AppError('A meter with this serial number is already registered at this property.', 409);
+        }
+
+        const initialReading = parseFloat(meterData.initialReading) || 0;
+        const installedAt = meterData.installedAt ? new Date(meterData.installedAt) : new Date();
+
+        meter = new Meter({
+            property: unit.property,
+            unit: unit._id,
+            utilityType,
+            serialNumber,
+            unitOfMeasure: meterData.unitOfMeasure || DEFAULT_UNIT_OF_MEASURE[utilityType],
+            initialReading,
+            installedAt,
+            lastReading: { value: initialReading, readAt: installedAt, reading: null },
+            notes: meterData.notes,
+            createdBy: currentUser._id
+        });
+
+        await meter.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.METER_REGISTERED,
+            AUDIT_RESOURCE_TYPE_ENUM.Meter,
+            meter._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `${utilityType} meter ${meter.serialNumber} registered on unit ${unit.unitName} by ${currentUser.email}.`,
+                status: 'success',
+                newValue: meter.toObject(),
+                metadata: { propertyId: unit.property, unitId: unit._id }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`MeterService: Meter ${meter._id} registered on unit ${unit._id} by ${currentUser.email}.`);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`MeterService - Error registering meter: ${error.message}`, {
+            userId: currentUser?._id,
+            unitId: meterData?.unitId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to register meter: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+
+    return findPopulatedMeter(meter._id);
+};
+
+/**
+ * Gets meters for the properties the user manages
+ * @param {Object} currentUser - The authenticated user
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.propertyId] - Filter by property
+ * @param {string} [filters.unitId] - Filter by unit
+ * @param {string} [filters.utilityType] - Filter by utility
+ * @param {boolean} [filters.isActive] - Filter by active status
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=10] - Items per page
+ * @returns {Promise<Object>} Paginated meters
+ * @throws {AppError} If unauthorized
+ */
+const getMeters = async (currentUser, filters = {}, page = 1, limit = 10) => {
+    try {
+        const query = {};
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const managedProperties = await getManagedPropertyIds(currentUser);
+        if (managedProperties) {
+            if (managedProperties.length === 0) {
+                return { meters: [], total: 0, page: parseInt(page), limit: parseInt(limit), pages: 0 };
+            }
+            query.property = { $in: managedProperties };
+        }
+
+        if (filters.propertyId) {
+            const hasAccess = await checkPropertyManagementPermission(currentUser, filters.propertyId);
+            if (!hasAccess) {
+                throw new AppError('Not authorized to filter by this property.', 403);
+            }
+            query.property = filters.propertyId;
+        }
+        if (filters.unitId) {
+            query.unit = filters.unitId;
+        }
+        if (filters.utilityType) {
+            query.utilityType = filters.utilityType;
+        }
+        if (filters.isActive !== undefined) {
+            query.isActive = filters.isActive === true || filters.isActive === 'true';
+        }
+
+        const [meters, total] = await Promise.all([
+            Meter.find(query)
+                .populate('property', 'name')
+                .populate('unit', 'unitName utilityResponsibility')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            Meter.countDocuments(query)
+        ]);
+
+        return {
+            meters,
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            pages: Math.ceil(total / parseInt(limit))
+        };
+    } catch (error) {
+        logger.error(`MeterService - Error getting meters: ${error.message}`, {
+            userId: currentUser?._id,
+            filters
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get meters: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Gets a meter by ID
+ * @param {string} meterId - Meter ID
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Object>} Meter
+ * @throws {AppError} If not found or unauthorized
+ */
+const getMeterById = async (meterId, currentUser) => {
+    try {
+        await loadManagedMeter(meterId, currentUser, 'view this meter');
+        return findPopulatedMeter(meterId);
+    } catch (error) {
+        logger.error(`MeterService - Error getting meter: ${error.message}`, {
+            userId: currentUser?._id,
+            meterId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get meter: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Updates a meter's details or takes it out of service
+ * @param {string} meterId - Meter ID
+ * @param {Object} updateData - Fields to change (serialNumber, unitOfMeasure, isActive, notes)
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Updated meter
+ * @throws {AppError} If validation fails or unauthorized
+ */
+const updateMeter = async (meterId, updateData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const meter = await loadManagedMeter(meterId, currentUser, 'update this meter', session);
+        const oldValue = meter.toObject();
+
+        if (updateData.serialNumber !== undefined && updateData.serialNumber.trim() !== meter.serialNumber) {
+            const duplicate = await Meter.exists({
+                _id: { $ne: meter._id },
+                property: meter.property,
+                serialNumber: updateData.serialNumber.trim()
+            }).session(session);
+            if (duplicate) {
+                throw new AppError('A meter with this serial number is already registered at this property.', 409);
+            }
+            meter.serialNumber = updateData.serialNumber;
+        }
+
+        if (updateData.isActive !== undefined) {
+            const isActive = updateData.isActive === true || updateData.isActive === 'true';
+            if (isActive && !meter.isActive) {
+                const activeMeter = await Meter.exists({
+                    _id: { $ne: meter._id },
+                    unit: meter.unit,
+                    utilityType: meter.utilityType,
+                    isActive: true
+                }).session(session);
+                if (activeMeter) {
+                    throw new AppError(`Unit already has an active ${meter.utilityType} meter.`, 409);
+                }
+            }
+            meter.isActive = isActive;
+        }
+
+        ['unitOfMeasure', 'notes'].forEach(field => {
+            if (updateData[field] !== undefined) {
+                meter[field] = updateData[field];
+            }
+        });
+        meter.updatedBy = currentUser._id;
+
+        await meter.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.METER_UPDATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Meter,
+            meter._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Meter ${meter.serialNumber} updated by ${currentUser.email}.`,
+                status: 'success',
+                oldValue,
+                newValue: meter.toObject()
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`MeterService: Meter ${meter._id} updated by ${currentUser.email}.`);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`MeterService - Error updating meter: ${error.message}`, {
+            userId: currentUser?._id,
+            meterId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to update meter: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+
+    return findPopulatedMeter(meterId);
+};
+
+/**
+ * Records a meter reading with optional photos of the dial. Consumption is measured from the
+ * meter's last reading and, for units with partially included utilities, priced on the tariff
+ * in force on the reading date so it is billed with the next rent. Readings that go backwards or
+ * spike are flagged and held back from billing until reviewed.
+ * @param {string} meterId - Meter ID
+ * @param {Object} readingData - Reading details
+ * @param {number} readingData.value - Reading on the dial
+ * @param {Date} [readingData.readAt=new Date()] - When the meter was read
+ * @param {boolean} [readingData.isMeterReset=false] - Meter was replaced or rolled over since the last reading
+ * @param {string} [readingData.notes] - Notes
+ * @param {Array<Object>} [files=[]] - Photos of the meter dial
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Created reading
+ * @throws {AppError} If validation fails or unauthorized
+ */
+const recordReading = async (meterId, readingData, files = [], currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let reading;
+    try {
+        const meter = await loadManagedMeter(meterId, currentUser, 'record readings for this meter', session);
+        if (!meter.isActive) {
+            throw new AppError('Meter is no longer in service.', 400);
+        }
+
+        const value = parseFloat(readingData.value);
+        if (!(value >= 0)) {
+            throw new AppError('Reading value must be a non-negative number.', 400);
+        }
+
+        const readAt = readingData.readAt ? new Date(readingData.readAt) : new Date();
+        if (meter.lastReading?.readAt && readAt <= meter.lastReading.readAt) {
+            throw new AppError(`Reading date must be after the last reading on ${meter.lastReading.readAt.toDateString()}.`, 400);
+        }
+
+        const unit = await Unit.findById(meter.unit).session(session);
+        const isMeterReset = readingData.isMeterReset === true || readingData.isMeterReset === 'true';
+        const previousValue = meter.lastReading?.value ?? meter.initialReading;
+        const previousReadAt = meter.lastReading?.readAt || meter.installedAt;
+
+        const history = await MeterReading.find({
+            meter: meter._id,
+            status: { $in: ['recorded', 'billed'] },
+            isMeterReset: false
+        })
+            .sort({ readAt: -1 })
+            .limit(6)
+            .session(session);
+
+        const anomalies = detectReadingAnomalies(
+            { value, readAt, previousValue, previousReadAt, isMeterReset },
+            history,
+            METER_SPIKE_FACTOR
+        );
+
+        reading = new MeterReading({
+            meter: meter._id,
+            property: meter.property,
+            unit: meter.unit,
+            utilityType: meter.utilityType,
+            value,
+            readAt,
+            previousValue,
+            previousReadAt,
+            isMeterReset,
+            consumption: calculateConsumption(previousValue, value, isMeterReset),
+            anomalies,
+            status: anomalies.length ? 'flagged' : 'recorded',
+            billable: unit?.utilityResponsibility === 'partial_included',
+            notes: readingData.notes,
+            recordedBy: currentUser._id
+        });
+
+        if (reading.billable) {
+            await priceReading(reading, session);
+        }
+
+        await attachPhotos(reading, files, currentUser, session);
+        await reading.save({ session });
+
+        meter.lastReading = { value, readAt, reading: reading._id };
+        meter.updatedBy = currentUser._id;
+        await meter.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.METER_READING_RECORDED,
+            AUDIT_RESOURCE_TYPE_ENUM.Meter,
+            meter._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Reading of ${value} (${reading.consumption} ${meter.unitOfMeasure || 'units'} used) recorded on meter ${meter.serialNumber} by ${currentUser.email}${anomalies.length ? `; flagged: ${anomalies.map(anomaly => anomaly.type).join(', ')}` : ''}.`,
+                status: 'success',
+                newValue: { readingId: reading._id, value, consumption: reading.consumption, status: reading.status, charge: reading.charge },
+                metadata: { propertyId: meter.property, unitId: meter.unit, anomalies }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        if (anomalies.length) {
+            logger.warn(`MeterService: Reading ${reading._id} on meter ${meter._id} flagged for review: ${anomalies.map(anomaly => anomaly.message).join(' ')}`);
+        } else {
+            logger.info(`MeterService: Reading ${reading._id} recorded on meter ${meter._id} by ${currentUser.email}.`);
+        }
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`MeterService - Error recording meter reading: ${error.message}`, {
+            userId: currentUser?._id,
+            meterId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to record meter reading: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+
+    return findPopulatedReading(reading._id);
+};
+
+/**
+ * Gets meter readings for the properties the user manages
+ * @param {Object} currentUser - The authenticated user
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.meterId] - Filter by meter
+ * @param {string} [filters.propertyId] - Filter by property
+ * @param {string} [filters.unitId] - Filter by unit
+ * @param {string} [filters.status] - Filter by status (e.g. 'flagged' for readings awaiting review)
+ * @param {Date} [filters.startDate] - Read on or after
+ * @param {Date} [filters.endDate] - Read on or before
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=10] - Items per page
+ * @returns {Promise<Object>} Paginated readings
+ * @throws {AppError} If unauthorized
+ */
+const getMeterReadings = async (currentUser, filters = {}, page = 1, limit = 10) => {
+    try {
+        const query = {};
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        if (filters.meterId) {
+            await loadManagedMeter(filters.meterId, currentUser, 'view readings for this meter');
+            query.meter = filters.meterId;
+        } else {
+            const managedProperties = await getManagedPropertyIds(currentUser);
+            if (managedProperties) {
+                if (managedProperties.length === 0) {
+                    return { readings: [], total: 0, page: parseInt(page), limit: parseInt(limit), pages: 0 };
+                }
+                query.property = { $in: managedProperties };
+            }
+        }
+
+        if (filters.propertyId) {
+            const hasAccess = await checkPropertyManagementPermission(currentUser, filters.propertyId);
+            if (!hasAccess) {
+                throw new AppError('Not authorized to filter by this property.', 403);
+            }
+            query.property = filters.propertyId;
+        }
+        if (filters.unitId) {
+            query.unit = filters.unitId;
+        }
+        if (filters.status) {
+            query.status = filters.status;
+        }
+        if (filters.startDate || filters.endDate) {
+            query.readAt = {};
+            if (filters.startDate) {
+                query.readAt.$gte = new Date(filters.startDate);
+            }
+            if (filters.endDate) {
+                query.readAt.$lte = new Date(filters.endDate);
+            }
+        }
+
+        const [readings, total] = await Promise.all([
+            MeterReading.find(query)
+                .populate('meter', 'serialNumber utilityType unitOfMeasure')
+                .populate('unit', 'unitName')
+                .populate('photos', 'url thumbnailUrl')
+                .sort({ readAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            MeterReading.countDocuments(query)
+        ]);
+
+        return {
+            readings,
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            pages: Math.ceil(total / parseInt(limit))
+        };
+    } catch (error) {
+        logger.error(`MeterService - Error getting meter readings: ${error.message}`, {
+            userId: currentUser?._id,
+            filters
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get meter readings: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Reviews a reading. Accepting a flagged reading releases it for billing; voiding a reading
+ * (e.g. a misread dial) drops it and, if it was the latest, the meter goes back to the reading before.
+ * Billed readings cannot be changed.
+ * @param {string} readingId - Reading ID
+ * @param {Object} reviewData - Review details
+ * @param {string} reviewData.decision - 'accept' or 'void'
+ * @param {string} [reviewData.notes] - Reason for the decision
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Reviewed reading
+ * @throws {AppError} If the reading cannot be reviewed or unauthorized
+ */
+const reviewReading = async (readingId, reviewData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const reading = await MeterReading.findById(readingId).session(session);
+        if (!reading) {
+            throw new AppError('Meter reading not found.', 404);
+        }
+
+        const meter = await loadManagedMeter(reading.meter, currentUser, 'review readings for this meter', session);
+
+        const { decision, notes } = reviewData;
+        if (!['accept', 'void'].includes(decision)) {
+            throw new AppError("Decision must be 'accept' or 'void'.", 400);
+        }
+        if (['billed', 'void'].includes(reading.status)) {
+            throw new AppError(`Reading is already ${reading.status} and can no longer be reviewed.`, 400);
+        }
+        if (decision === 'accept' && reading.status !== 'flagged') {
+            throw new AppError('Only flagged readings need to be accepted.', 400);
+        }
+
+        const oldStatus = reading.status;
+        reading.status = decision === 'accept' ? 'recorded' : 'void';
+        reading.review = {
+            decision: decision === 'accept' ? 'accepted' : 'voided',
+            notes,
+            reviewedBy: currentUser._id,
+            reviewedAt: new Date()
+        };
+        await reading.save({ session });
+
+        // Measure the next reading from the last one still standing
+        if (decision === 'void' && meter.lastReading?.reading?.toString() === reading._id.toString()) {
+            const previous = await MeterReading.findOne({ meter: meter._id, status: { $ne: 'void' } })
+                .sort({ readAt: -1 })
+                .session(session);
+            meter.lastReading = previous
+                ? { value: previous.value, readAt: previous.readAt, reading: previous._id }
+                : { value: meter.initialReading, readAt: meter.installedAt, reading: null };
+            meter.updatedBy = currentUser._id;
+            await meter.save({ session });
+        }
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.METER_READING_REVIEWED,
+            AUDIT_RESOURCE_TYPE_ENUM.Meter,
+            meter._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Reading of ${reading.value} on meter ${meter.serialNumber} ${reading.review.decision} by ${currentUser.email}.`,
+                status: 'success',
+                oldValue: { status: oldStatus },
+                newValue: { status: reading.status },
+                metadata: { readingId: reading._id, notes, anomalies: reading.anomalies }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`MeterService: Reading ${reading._id} ${reading.review.decision} by ${currentUser.email}.`);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`MeterService - Error reviewing meter reading: ${error.message}`, {
+            userId: currentUser?._id,
+            readingId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to review meter reading: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+
+    return findPopulatedReading(readingId);
+};
+
+/**
+ * Adds a utility tariff for a property. It applies to readings taken from its effective date
+ * until a later tariff takes over.
+ * @param {Object} tariffData - Tariff details
+ * @param {string} tariffData.propertyId - Property ID
+ * @param {string} tariffData.utilityType - One of UTILITY_TYPE_ENUM
+ * @param {Array<Object>} tariffData.tiers - [{ upTo, rate }] ascending, last tier open-ended (upTo null)
+ * @param {number} [tariffData.fixedCharge=0] - Standing charge per billed reading
+ * @param {string} [tariffData.currency='UGX'] - Currency
+ * @param {Date} [tariffData.effectiveFrom=new Date()] - First day the tariff applies
+ * @param {string} [tariffData.name] - Tariff name
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Created tariff
+ * @throws {AppError} If validation fails or unauthorized
+ */
+const createTariff = async (tariffData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { propertyId, utilityType, tiers } = tariffData;
+
+        if (!propertyId || !utilityType || !Array.isArray(tiers) || !tiers.length) {
+            throw new AppError('Property, utility type and at least one tier are required.', 400);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, propertyId);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to manage tariffs for this property.', 403);
+        }
+
+        const tariff = new UtilityTariff({
+            property: propertyId,
+            utilityType,
+            name: tariffData.name,
+            currency: tariffData.currency || 'UGX',
+            fixedCharge: tariffData.fixedCharge || 0,
+            tiers: tiers.map(tier => ({ upTo: tier.upTo ?? null, rate: tier.rate })),
+            effectiveFrom: tariffData.effectiveFrom ? new Date(tariffData.effectiveFrom) : new Date(),
+            createdBy: currentUser._id
+        });
+
+        await tariff.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.UTILITY_TARIFF_CREATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Property,
+            propertyId,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `${utilityType} tariff effective ${tariff.effectiveFrom.toDateString()} added by ${currentUser.email}.`,
+                status: 'success',
+                newValue: tariff.toObject(),
+                metadata: { tariffId: tariff._id }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`MeterService: Tariff ${tariff._id} added for property ${propertyId} by ${currentUser.email}.`);
+
+        return tariff;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`MeterService - Error creating utility tariff: ${error.message}`, {
+            userId: currentUser?._id,
+            propertyId: tariffData?.propertyId
+        });
+
+        if (error.name === 'ValidationError') {
+            throw new AppError(`Invalid tariff: ${error.message}`, 400);
+        }
+        throw error instanceof AppError ? error : new AppError(`Failed to create utility tariff: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Gets the utility tariffs for a property, newest first
+ * @param {Object} currentUser - The authenticated user
+ * @param {Object} filters - Query filters
+ * @param {string} filters.propertyId - Property ID
+ * @param {string} [filters.utilityType] - Filter by utility
+ * @returns {Promise<Array<Object>>} Tariffs
+ * @throws {AppError} If unauthorized
+ */
+const getTariffs = async (currentUser, filters = {}) => {
+    try {
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, filters.propertyId);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to view tariffs for this property.', 403);
+        }
+
+        const query = { property: filters.propertyId };
+        if (filters.utilityType) {
+            query.utilityType = filters.utilityType;
+        }
+
+        return UtilityTariff.find(query).sort({ utilityType: 1, effectiveFrom: -1 });
+    } catch (error) {
+        logger.error(`MeterService - Error getting utility tariffs: ${error.message}`, {
+            userId: currentUser?._id,
+            filters
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get utility tariffs: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Updates a utility tariff. Readings already priced keep their charge.
+ * @param {string} tariffId - Tariff ID
+ * @param {Object} updateData - Fields to change (name, currency, fixedCharge, tiers, effectiveFrom, isActive)
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Updated tariff
+ * @throws {AppError} If validation fails or unauthorized
+ */
+const updateTariff = async (tariffId, updateData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const tariff = await UtilityTariff.findById(tariffId).session(session);
+        if (!tariff) {
+            throw new AppError('Utility tariff not found.', 404);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, tariff.property);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to manage tariffs for this property.', 403);
+        }
+
+        const oldValue = tariff.toObject();
+
+        ['name', 'currency', 'fixedCharge'].forEach(field => {
+            if (updateData[field] !== undefined) {
+                tariff[field] = updateData[field];
+            }
+        });
+        if (updateData.tiers !== undefined) {
+            tariff.tiers = updateData.tiers.map(tier => ({ upTo: tier.upTo ?? null, rate: tier.rate }));
+        }
+        if (updateData.effectiveFrom !== undefined) {
+            tariff.effectiveFrom = new Date(updateData.effectiveFrom);
+        }
+        if (updateData.isActive !== undefined) {
+            tariff.isActive = updateData.isActive === true || updateData.isActive === 'true';
+        }
+        tariff.updatedBy = currentUser._id;
+
+        await tariff.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.UTILITY_TARIFF_UPDATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Property,
+            tariff.property,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `${tariff.utilityType} tariff ${tariff._id} updated by ${currentUser.email}.`,
+                status: 'success',
+                oldValue,
+                newValue: tariff.toObject(),
+                metadata: { tariffId: tariff._id }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`MeterService: Tariff ${tariff._id} updated by ${currentUser.email}.`);
+
+        return tariff;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`MeterService - Error updating utility tariff: ${error.message}`, {
+            userId: currentUser?._id,
+            tariffId
+        });
+
+        if (error.name === 'ValidationError') {
+            throw new AppError(`Invalid tariff: ${error.message}`, 400);
+        }
+        throw error instanceof AppError ? error : new AppError(`Failed to update utility tariff: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+module.exports = {
+    registerMeter,
+    getMeters,
+    getMeterById,
+    updateMeter,
+    recordReading,
+    getMeterReadings,
+    reviewReading,
+    createTariff,
+    getTariffs,
+    updateTariff
+};
@@ -2,6 +2,8 @@
 
 const emailService = require('./emailService');
 const smsService = require('./smsService');
+const emailTemplates = require('../utils/emailTemplates');
+const smsTemplates = require('../utils/smsTemplates');
 const logger = require('../utils/logger');
 const AppError = require('../utils/AppError');
 const Notification = require('../models/notification');
@@ -665,6 +667,7 @@ async function sendDailyDigest({ user, subject, html, text, smsText }) {
  * @param {Date} options.dueDate - Due date
  * @param {string} options.rentLink - Link to rent details
  * @param {string} options.type - 'due' or 'overdue'
+ * @param {string} options.rentId - Rent record the reminder is about
  * @returns {Promise<Object>} Send results
  */
 async function sendRentReminder({
@@ -676,16 +679,17 @@ async function sendRentReminder({
     dueDate,
     rentLink,
     type,
+    rentId,
 }) {
     try {
         // Generate email content using email templates
-        const emailContent = emailService.generateRentReminderEmailContent({
+        const emailContent = emailTemplates.generateRentReminderEmail({
             tenantName: `${tenant.firstName} ${tenant.lastName}`,
             propertyName: property.name,
             unitNumber: unit.unitName,
             billingPeriod,
             amountDue,
-            dueDate,
+            dueDate: new Date(dueDate),
             rentLink,
             type
         });
@@ -705,8 +709,8 @@ async function sendRentReminder({
             type: type === 'due' ? 'rent_due' : 'rent_overdue',
             message: `Your rent of ${amountDue} is ${type} for ${property.name} Unit ${unit.unitName}`,
             link: rentLink,
-            relatedResourceType: AUDIT_RESOURCE_TYPE_ENUM.Rent,
-            relatedResourceId: unit._id, // Using unit ID as we may not have a rent ID
+            relatedResourceType: 'Rent',
+            relatedResourceId: rentId,
             emailDetails: {
                 subject: emailContent.subject,
                 html: emailContent.html,
@@ -762,11 +766,11 @@ async function sendLeaseExpiry({ lease, leaseLink }) {
         }
         
         // Generate email content
-        const emailContent = emailService.generateLeaseExpiryReminderEmailContent({
+        const emailContent = emailTemplates.generateLeaseExpiryReminderEmail({
             tenantName: tenant ? `${tenant.firstName} ${tenant.lastName}` : 'Tenant',
             propertyName,
             unitNumber: unitName,
-            leaseEndDate: lease.leaseEndDate,
+            leaseEndDate: new Date(lease.leaseEndDate),
             leaseLink
         });
         
@@ -783,7 +787,7 @@ async function sendLeaseExpiry({ lease, leaseLink }) {
             type: 'lease_expiry',
             message: `Lease expiry notice for ${propertyName} Unit ${unitName}`,
             link: leaseLink,
-            relatedResourceType: AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            relatedResourceType: 'Lease',
             relatedResourceId: lease._id,
             emailDetails: {
                 subject: emailContent.subject,
@@ -801,6 +805,751 @@ async function sendLeaseExpiry({ lease, leaseLink }) {
     }
 }
 
+/**
+ * Sends a tenant advance notice of a rent increase under their lease's escalation terms.
+ * @param {Object} options - Notice options
+ * @param {Object} options.tenant - Tenant user document
+ * @param {Object} options.property - Property document
+ * @param {Object} options.unit - Unit document
+ * @param {Object} options.schedule - Rent schedule being escalated
+ * @param {number} options.newAmount - Rent amount from the effective date
+ * @param {Date} options.effectiveDate - Date the new rent takes effect
+ * @param {string} options.leaseLink - Link to lease details
+ * @returns {Promise<Object>} Send results
+ */
+async function sendRentEscalationNotice({
+    tenant,
+    property,
+    unit,
+    schedule,
+    newAmount,
+    effectiveDate,
+    leaseLink
+}) {
+    try {
+        const emailContent = emailTemplates.generateRentEscalationNoticeEmail({
+            tenantName: `${tenant.firstName} ${tenant.lastName}`,
+            propertyName: property.name,
+            unitNumber: unit.unitName,
+            currentAmount: schedule.amount,
+            newAmount,
+            currency: schedule.currency,
+            billingPeriod: schedule.billingPeriod,
+            effectiveDate,
+            leaseLink
+        });
+
+        const smsMessage = smsTemplates.generateRentEscalationSms({
+            propertyName: property.name,
+            unitNumber: unit.unitName,
+            newAmount,
+            currency: schedule.currency,
+            effectiveDate,
+            leaseLink
+        });
+
+        return await sendNotification({
+            recipientId: tenant._id,
+            type: 'rent_escalation',
+            message: `Your rent for ${property.name} Unit ${unit.unitName} changes to ${schedule.currency} ${newAmount.toLocaleString()} from ${effectiveDate.toLocaleDateString()}`,
+            link: leaseLink,
+            relatedResourceType: AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            relatedResourceId: schedule.lease?._id || schedule.lease,
+            emailDetails: {
+                subject: emailContent.subject,
+                html: emailContent.html,
+                text: emailContent.text
+            },
+            smsDetails: {
+                message: smsMessage
+            }
+        });
+    } catch (err) {
+        logger.error(`Failed to send rent escalation notice to ${tenant.email || tenant.phone}: ${err.message}`);
+        throw err;
+    }
+}
+
+/**
+ * Sends a tenant an invoice or credit note with a link to its PDF.
+ * @param {Object} options - Notification options
+ * @param {Object} options.invoice - Invoice document
+ * @param {Object} options.tenant - Tenant user document
+ * @param {Object} options.property - Property document
+ * @param {Object} [options.unit] - Unit document
+ * @param {string} options.documentLink - Link to the invoice PDF
+ * @param {string} options.invoiceLink - Link to the invoice in the app
+ * @returns {Promise<Object>} Send results
+ */
+async function sendInvoiceNotification({
+    invoice,
+    tenant,
+    property,
+    unit,
+    documentLink,
+    invoiceLink
+}) {
+    try {
+        const isCreditNote = invoice.type === 'credit_note';
+        const label = isCreditNote ? 'Credit note' : 'Invoice';
+
+        const emailContent = emailTemplates.generateInvoiceEmail({
+            tenantName: `${tenant.firstName} ${tenant.lastName}`,
+            propertyName: property.name,
+            unitNumber: unit?.unitName,
+            invoiceNumber: invoice.invoiceNumber,
+            isCreditNote,
+            amount: invoice.amount,
+            balance: invoice.balance,
+            currency: invoice.currency,
+            dueDate: invoice.dueDate,
+            documentLink
+        });
+
+        const smsMessage = smsTemplates.generateInvoiceSms({
+            invoiceNumber: invoice.invoiceNumber,
+            isCreditNote,
+            amount: invoice.amount,
+            balance: invoice.balance,
+            currency: invoice.currency,
+            dueDate: invoice.dueDate,
+            documentLink
+        });
+
+        return await sendNotification({
+            recipientId: tenant._id,
+            type: 'invoice_sent',
+            message: `${label} ${invoice.invoiceNumber} for ${invoice.currency} ${invoice.amount.toLocaleString()} has been issued`,
+            link: invoiceLink,
+            relatedResourceType: AUDIT_RESOURCE_TYPE_ENUM.Invoice,
+            relatedResourceId: invoice._id,
+            emailDetails: {
+                subject: emailContent.subject,
+                html: emailContent.html,
+                text: emailContent.text
+            },
+            smsDetails: {
+                message: smsMessage
+            }
+        });
+    } catch (err) {
+        logger.error(`Failed to send invoice ${invoice.invoiceNumber} to ${tenant.email || tenant.phone}: ${err.message}`);
+        throw err;
+    }
+}
+
+/**
+ * Sends a tenant the receipt for a rent payment with a link to its PDF.
+ * @param {Object} options - Notification options
+ * @param {Object} options.rent - Rent document
+ * @param {Object} options.payment - Payment history entry the receipt is for
+ * @param {Object} options.tenant - Tenant user document
+ * @param {Object} options.property - Property document
+ * @param {Object} [options.unit] - Unit document
+ * @param {string} options.documentLink - Link to the receipt PDF
+ * @param {string} options.rentLink - Link to the rent record in the app
+ * @returns {Promise<Object>} Send results
+ */
+async function sendPaymentReceiptNotification({
+    rent,
+    payment,
+    tenant,
+    property,
+    unit,
+    documentLink,
+    rentLink
+}) {
+    try {
+        const balance = Math.max((rent.totalDue || rent.amountDue) - rent.amountPaid, 0);
+
+        const emailContent = emailTemplates.generatePaymentReceiptEmail({
+            tenantName: `${tenant.firstName} ${tenant.lastName}`,
+            propertyName: property.name,
+            unitNumber: unit?.unitName,
+            receiptNumber: payment.receiptNumber,
+            amount: payment.amount,
+            balance,
+            currency: rent.currency,
+            billingPeriod: rent.billingPeriod,
+            paymentDate: payment.date,
+            documentLink
+        });
+
+        const smsMessage = smsTemplates.generatePaymentReceiptSms({
+            receiptNumber: payment.receiptNumber,
+            amount: payment.amount,
+            balance,
+            currency: rent.currency,
+            billingPeriod: rent.billingPeriod,
+            documentLink
+        });
+
+        return await sendNotification({
+            recipientId: tenant._id,
+            type: 'payment_receipt',
+            message: `Receipt ${payment.receiptNumber} for your payment of ${rent.currency} ${payment.amount.toLocaleString()} (${rent.billingPeriod})`,
+            link: rentLink,
+            relatedResourceType: AUDIT_RESOURCE_TYPE_ENUM.Rent,
+            relatedResourceId: rent._id,
+            emailDetails: {
+                subject: emailContent.subject,
+                html: emailContent.html,
+                text: emailContent.text
+            },
+            smsDetails: {
+                message: smsMessage
+            }
+        });
+    } catch (err) {
+        logger.error(`Failed to send payment receipt ${payment.receiptNumber} to ${tenant.email || tenant.phone}: ${err.message}`);
+        throw err;
+    }
+}
+
+// Channels used for each dunning step; a formal notice goes out on every channel
+const DUNNING_STEP_CHANNELS = {
+    sms: ['in_app', 'sms'],
+    email: ['in_app', 'email'],
+    formal_notice: ['in_app', 'email', 'sms']
+};
+
+/**
+ * Sends a tenant one step of their property's dunning sequence for overdue rent.
+ * The step's channel overrides the tenant's notification preferences.
+ * @param {Object} options - Notice options
+ * @param {Object} options.rent - Rent document
+ * @param {Object} options.step - Dunning step being sent
+ * @param {Object} options.tenant - Tenant user document
+ * @param {Object} options.property - Property document
+ * @param {Object} [options.unit] - Unit document
+ * @param {number} options.daysOverdue - Days past the due date
+ * @param {string} [options.documentLink] - Link to the formal notice PDF
+ * @param {string} options.rentLink - Link to the rent record in the app
+ * @returns {Promise<Object>} Send results
+ */
+async function sendDunningNotice({
+    rent,
+    step,
+    tenant,
+    property,
+    unit,
+    daysOverdue,
+    documentLink,
+    rentLink
+}) {
+    try {
+        const isFormal = step.channel === 'formal_notice';
+        const balance = rent.balanceDue ?? Math.max(rent.amountDue - (rent.amountPaid || 0), 0);
+
+        const emailContent = emailTemplates.generateDunningNoticeEmail({
+            tenantName: `${tenant.firstName} ${tenant.lastName}`,
+            propertyName: property.name,
+            unitNumber: unit?.unitName,
+            billingPeriod: rent.billingPeriod,
+            balance,
+            currency: rent.currency,
+            dueDate: rent.dueDate,
+            daysOverdue,
+            isFormal,
+            customMessage: step.message,
+            documentLink,
+            rentLink
+        });
+
+        const smsMessage = smsTemplates.generateDunningNoticeSms({
+            propertyName: property.name,
+            unitNumber: unit?.unitName,
+            balance,
+            currency: rent.currency,
+            daysOverdue,
+            isFormal,
+            link: documentLink || rentLink
+        });
+
+        return await sendNotification({
+            recipientId: tenant._id,
+            type: 'dunning_notice',
+            message: `${isFormal ? 'Formal notice: your' : 'Your'} rent for ${property.name}${unit ? ` Unit ${unit.unitName}` : ''} is ${daysOverdue} day(s) overdue (${rent.currency} ${balance.toLocaleString()} outstanding)`,
+            link: rentLink,
+            relatedResourceType: 'Rent',
+            relatedResourceId: rent._id,
+            emailDetails: {
+                subject: emailContent.subject,
+                html: emailContent.html,
+                text: emailContent.text
+            },
+            smsDetails: {
+                message: smsMessage
+            },
+            channels: DUNNING_STEP_CHANNELS[step.channel]
+        });
+    } catch (err) {
+        logger.error(`Failed to send dunning notice for rent ${rent._id} to ${tenant.email || tenant.phone}: ${err.message}`);
+        throw err;
+    }
+}
+
+/**
+ * Alerts a property's landlords and managers that a tenant's overdue rent has reached an
+ * escalating dunning step.
+ * @param {Object} options - Escalation options
+ * @param {Object} options.rent - Rent document
+ * @param {Object} options.step - Dunning step that was sent
+ * @param {Object} options.tenant - Tenant user document
+ * @param {Object} options.property - Property document
+ * @param {Object} [options.unit] - Unit document
+ * @param {number} options.daysOverdue - Days past the due date
+ * @param {string} options.rentLink - Link to the rent record in the app
+ * @returns {Promise<Object>} Results summary
+ */
+async function sendDunningEscalation({
+    rent,
+    step,
+    tenant,
+    property,
+    unit,
+    daysOverdue,
+    rentLink
+}) {
+    try {
+        const managers = await PropertyUser.find({
+            property: property._id,
+            roles: { $in: ['landlord', 'propertymanager'] },
+            isActive: true,
+        }).populate('user', 'firstName lastName');
+
+        const recipientIds = [...new Set(managers
+            .filter(pu => pu.user?._id)
+            .map(pu => pu.user._id.toString()))];
+
+        if (recipientIds.length === 0) {
+            logger.warn(`No landlord or manager found to escalate overdue rent ${rent._id}`);
+            return { success: false, message: 'No recipients found' };
+        }
+
+        const tenantName = `${tenant.firstName} ${tenant.lastName}`;
+        const balance = rent.balanceDue ?? Math.max(rent.amountDue - (rent.amountPaid || 0), 0);
+
+        const emailContent = emailTemplates.generateDunningEscalationEmail({
+            recipientName: 'Property Manager',
+            tenantName,
+            propertyName: property.name,
+            unitNumber: unit?.unitName,
+            billingPeriod: rent.billingPeriod,
+            balance,
+            currency: rent.currency,
+            daysOverdue,
+            stepName: step.name,
+            rentLink
+        });
+
+        const smsMessage = smsTemplates.generateDunningEscalationSms({
+            tenantName,
+            propertyName: property.name,
+            unitNumber: unit?.unitName,
+            balance,
+            currency: rent.currency,
+            daysOverdue,
+            rentLink
+        });
+
+        return await sendBulkNotification({
+            type: 'dunning_escalation',
+            message: `${tenantName}'s rent for ${property.name}${unit ? ` Unit ${unit.unitName}` : ''} is ${daysOverdue} day(s) overdue and has been escalated`,
+            link: rentLink,
+            relatedResourceType: 'Rent',
+            relatedResourceId: rent._id,
+            emailDetails: {
+                subject: emailContent.subject,
+                html: emailContent.html,
+                text: emailContent.text
+            },
+            smsDetails: {
+                message: smsMessage
+            },
+            recipientIds
+        });
+    } catch (err) {
+        logger.error(`Failed to escalate overdue rent ${rent._id}: ${err.message}`);
+        throw err;
+    }
+}
+
+/**
+ * Alerts a property's landlords and managers that spending has passed a threshold of its annual operating budget.
+ * @param {Object} options - Alert details
+ * @param {Object} options.property - Property document
+ * @param {number} options.year - Budget year
+ * @param {number} options.threshold - Threshold passed, as a percentage of the budget
+ * @param {number} options.spent - Amount spent so far this year
+ * @param {number} options.budget - Annual operating budget
+ * @param {string} options.currency - Budget currency
+ * @param {string} options.budgetLink - Link to the budget-vs-actual report
+ * @returns {Promise<Object>} Result of the bulk notification
+ */
+async function sendBudgetAlert({
+    property,
+    year,
+    threshold,
+    spent,
+    budget,
+    currency,
+    budgetLink
+}) {
+    try {
+        const managers = await PropertyUser.find({
+            property: property._id,
+            roles: { $in: ['landlord', 'propertymanager'] },
+            isActive: true,
+        }).select('user');
+
+        const recipientIds = [...new Set(managers
+            .filter(pu => pu.user)
+            .map(pu => pu.user.toString()))];
+
+        if (recipientIds.length === 0) {
+            logger.warn(`No landlord or manager found for the budget alert on property ${property._id}`);
+            return { success: false, message: 'No recipients found' };
+        }
+
+        const emailContent = emailTemplates.generateBudgetAlertEmail({
+            recipientName: 'Property Manager',
+            propertyName: property.name,
+            year,
+            threshold,
+            spent,
+            budget,
+            currency,
+            budgetLink
+        });
+
+        return await sendBulkNotification({
+            type: 'budget_alert',
+            message: `${property.name} has passed ${threshold}% of its ${year} operating budget (${spent.toLocaleString()} of ${budget.toLocaleString()} ${currency})`,
+            link: budgetLink,
+            relatedResourceType: 'Property',
+            relatedResourceId: property._id,
+            emailDetails: {
+                subject: emailContent.subject,
+                html: emailContent.html,
+                text: emailContent.text
+            },
+            channels: ['in_app', 'email'],
+            recipientIds
+        });
+    } catch (err) {
+        logger.error(`Failed to send budget alert for property ${property._id}: ${err.message}`);
+        throw err;
+    }
+}
+
+/**
+ * Sends a tenant a lease renewal offer with a link to accept, counter or decline it.
+ * @param {Object} options - Offer options
+ * @param {Object} options.offer - LeaseRenewalOffer document
+ * @param {Object} options.tenant - Tenant user document
+ * @param {Object} options.property - Property document
+ * @param {Object} [options.unit] - Unit document
+ * @param {number} options.currentRent - Current monthly rent
+ * @param {string} options.responseLink - Tokenized link to respond to the offer
+ * @returns {Promise<Object>} Send results
+ */
+async function sendLeaseRenewalOffer({
+    offer,
+    tenant,
+    property,
+    unit,
+    currentRent,
+    responseLink
+}) {
+    try {
+        const emailContent = emailTemplates.generateLeaseRenewalOfferEmail({
+            tenantName: `${tenant.firstName} ${tenant.lastName}`,
+            propertyName: property.name,
+            unitNumber: unit?.unitName,
+            currentRent,
+            terms: offer.terms,
+            expiresAt: offer.expiresAt,
+            responseLink
+        });
+
+        const smsMessage = smsTemplates.generateLeaseRenewalOfferSms({
+            propertyName: property.name,
+            unitNumber: unit?.unitName,
+            monthlyRent: offer.terms.monthlyRent,
+            currency: offer.terms.currency,
+            leaseEndDate: offer.terms.leaseEndDate,
+            expiresAt: offer.expiresAt,
+            responseLink
+        });
+
+        return await sendNotification({
+            recipientId: tenant._id,
+            type: 'lease_renewal',
+            message: `You have a lease renewal offer for ${property.name}${unit ? ` Unit ${unit.unitName}` : ''} at ${offer.terms.currency} ${offer.terms.monthlyRent.toLocaleString()} per month`,
+            link: responseLink,
+            relatedResourceType: 'LeaseRenewalOffer',
+            relatedResourceId: offer._id,
+            emailDetails: {
+                subject: emailContent.subject,
+                html: emailContent.html,
+                text: emailContent.text
+            },
+            smsDetails: {
+                message: smsMessage
+            }
+        });
+    } catch (err) {
+        logger.error(`Failed to send lease renewal offer ${offer._id} to ${tenant.email || tenant.phone}: ${err.message}`);
+        throw err;
+    }
+}
+
+/**
+ * Tells a property's landlords and managers that a tenant accepted, countered or declined a
+ * lease renewal offer.
+ * @param {Object} options - Response options
+ * @param {Object} options.offer - LeaseRenewalOffer document
+ * @param {string} options.action - 'accept', 'counter' or 'decline'
+ * @param {Object} [options.terms] - The accepted or counter-proposed terms
+ * @param {string} [options.message] - The tenant's message
+ * @param {Object} options.tenant - Tenant user document
+ * @param {Object} options.property - Property document
+ * @param {Object} [options.unit] - Unit document
+ * @param {string} options.offerLink - Link to the renewal offer in the app
+ * @returns {Promise<Object>} Results summary
+ */
+async function sendLeaseRenewalResponse({
+    offer,
+    action,
+    terms,
+    message,
+    tenant,
+    property,
+    unit,
+    offerLink
+}) {
+    try {
+        const managers = await PropertyUser.find({
+            property: property._id,
+            roles: { $in: ['landlord', 'propertymanager'] },
+            isActive: true,
+        }).select('user');
+
+        const recipientIds = [...new Set(managers
+            .filter(pu => pu.user)
+            .map(pu => pu.user.toString()))];
+
+        if (recipientIds.length === 0) {
+            logger.warn(`No landlord or manager found to notify of the response to renewal offer ${offer._id}`);
+            return { success: false, message: 'No recipients found' };
+        }
+
+        const tenantName = `${tenant.firstName} ${tenant.lastName}`;
+
+        const emailContent = emailTemplates.generateLeaseRenewalResponseEmail({
+            recipientName: 'Property Manager',
+            tenantName,
+            propertyName: property.name,
+            unitNumber: unit?.unitName,
+            action,
+            terms,
+            message,
+            offerLink
+        });
+
+        const smsMessage = smsTemplates.generateLeaseRenewalResponseSms({
+            tenantName,
+            propertyName: property.name,
+            unitNumber: unit?.unitName,
+            action,
+            offerLink
+        });
+
+        return await sendBulkNotification({
+            type: 'lease_renewal',
+            message: emailContent.subject,
+            link: offerLink,
+            relatedResourceType: 'LeaseRenewalOffer',
+            relatedResourceId: offer._id,
+            emailDetails: {
+                subject: emailContent.subject,
+                html: emailContent.html,
+                text: emailContent.text
+            },
+            smsDetails: {
+                message: smsMessage
+            },
+            recipientIds
+        });
+    } catch (err) {
+        logger.error(`Failed to send the response to renewal offer ${offer._id}: ${err.message}`);
+        throw err;
+    }
+}
+
+/**
+ * Confirms to a tenant that their lease has been renewed.
+ * @param {Object} options - Notification options
+ * @param {Object} options.lease - The renewed lease
+ * @param {Object} options.tenant - Tenant user document
+ * @param {Object} options.property - Property document
+ * @param {Object} [options.unit] - Unit document
+ * @param {string} options.leaseLink - Link to the renewed lease
+ * @returns {Promise<Object>} Send results
+ */
+async function sendLeaseRenewed({
+    lease,
+    tenant,
+    property,
+    unit,
+    leaseLink
+}) {
+    try {
+        const emailContent = emailTemplates.generateLeaseRenewedEmail({
+            tenantName: `${tenant.firstName} ${tenant.lastName}`,
+            propertyName: property.name,
+            unitNumber: unit?.unitName,
+            lease,
+            leaseLink
+        });
+
+        return await sendNotification({
+            recipientId: tenant._id,
+            type: 'lease_renewal',
+            message: `Your lease for ${property.name}${unit ? ` Unit ${unit.unitName}` : ''} has been renewed until ${new Date(lease.leaseEndDate).toLocaleDateString()}`,
+            link: leaseLink,
+            relatedResourceType: 'Lease',
+            relatedResourceId: lease._id,
+            emailDetails: {
+                subject: emailContent.subject,
+                html: emailContent.html,
+                text: emailContent.text
+            },
+            channels: ['in_app', 'email']
+        });
+    } catch (err) {
+        logger.error(`Failed to send lease renewal confirmation for lease ${lease._id}: ${err.message}`);
+        throw err;
+    }
+}
+
+/**
+ * Sends a signer their personal link to sign a lease.
+ * @param {Object} options - Notification options
+ * @param {Object} options.request - LeaseSignatureRequest document
+ * @param {Object} options.signer - The signer (role, user, name) whose turn it is
+ * @param {Object} options.lease - Lease document
+ * @param {Object} options.property - Property document
+ * @param {Object} [options.unit] - Unit document
+ * @param {string} options.signingLink - Tokenized link to review and sign
+ * @returns {Promise<Object>} Send results
+ */
+async function sendLeaseSignatureRequest({
+    request,
+    signer,
+    lease,
+    property,
+    unit,
+    signingLink
+}) {
+    try {
+        const emailContent = emailTemplates.generateLeaseSignatureRequestEmail({
+            signerName: signer.name,
+            role: signer.role,
+            propertyName: property.name,
+            unitNumber: unit?.unitName,
+            lease,
+            expiresAt: request.expiresAt,
+            signingLink
+        });
+
+        const smsMessage = smsTemplates.generateLeaseSignatureRequestSms({
+            propertyName: property.name,
+            unitNumber: unit?.unitName,
+            expiresAt: request.expiresAt,
+            signingLink
+        });
+
+        return await sendNotification({
+            recipientId: signer.user,
+            type: 'lease_signature',
+            message: `The lease for ${property.name}${unit ? ` Unit ${unit.unitName}` : ''} is ready for your signature`,
+            link: signingLink,
+            relatedResourceType: 'LeaseSignatureRequest',
+            relatedResourceId: request._id,
+            emailDetails: {
+                subject: emailContent.subject,
+                html: emailContent.html,
+                text: emailContent.text
+            },
+            smsDetails: {
+                message: smsMessage
+            }
+        });
+    } catch (err) {
+        logger.error(`Failed to send lease signature request ${request._id} to ${signer.email}: ${err.message}`);
+        throw err;
+    }
+}
+
+/**
+ * Tells every signer, and the property's landlords and managers, that a lease is fully signed.
+ * @param {Object} options - Notification options
+ * @param {Object} options.request - The completed LeaseSignatureRequest
+ * @param {Object} options.property - Property document
+ * @param {Object} [options.unit] - Unit document
+ * @param {string} options.leaseLink - Link to the lease in the app
+ * @returns {Promise<Object>} Results summary
+ */
+async function sendLeaseSigned({
+    request,
+    property,
+    unit,
+    leaseLink
+}) {
+    try {
+        const managers = await PropertyUser.find({
+            property: property._id,
+            roles: { $in: ['landlord', 'propertymanager'] },
+            isActive: true,
+        }).select('user');
+
+        const recipientIds = [...new Set([
+            ...request.signers.map(signer => signer.user.toString()),
+            ...managers.filter(pu => pu.user).map(pu => pu.user.toString())
+        ])];
+
+        const signers = [...request.signers].sort((a, b) => a.order - b.order);
+        const emailContent = emailTemplates.generateLeaseSignedEmail({
+            propertyName: property.name,
+            unitNumber: unit?.unitName,
+            signerNames: signers.map(signer => signer.name),
+            completedAt: request.completedAt,
+            documentHash: request.documentHash,
+            leaseLink
+        });
+
+        return await sendBulkNotification({
+            type: 'lease_signature',
+            message: emailContent.subject,
+            link: leaseLink,
+            relatedResourceType: 'Lease',
+            relatedResourceId: request.lease,
+            emailDetails: {
+                subject: emailContent.subject,
+                html: emailContent.html,
+                text: emailContent.text
+            },
+            channels: ['in_app', 'email'],
+            recipientIds
+        });
+    } catch (err) {
+        logger.error(`Failed to send the signed lease notice for signature request ${request._id}: ${err.message}`);
+        throw err;
+    }
+}
+
 /**
  * Sends notification when scheduled maintenance request is generated.
  * @param {Object} options - Notification options
@@ -1064,6 +1813,17 @@ module.exports = {
     sendDailyDigest,
     sendRentReminder,
     sendLeaseExpiry,
+    sendRentEscalationNotice,
+    sendInvoiceNotification,
+    sendPaymentReceiptNotification,
+    sendDunningNotice,
+    sendDunningEscalation,
+    sendBudgetAlert,
+    sendLeaseRenewalOffer,
+    sendLeaseRenewalResponse,
+    sendLeaseRenewed,
+    sendLeaseSignatureRequest,
+    sendLeaseSigned,
     sendMaintenanceRequestGenerated,
     sendMaintenanceReminder
 };
\ No newline at end of file
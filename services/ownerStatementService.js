@@ -0,0 +1,701 @@
+// src/services/ownerStatementService.js
+
+const mongoose = require('mongoose');
+const OwnerStatement = require('../models/ownerStatement');
+const Property = require('../models/property');
+const PropertyUser = require('../models/propertyUser');
+const Rent = require('../models/rent');
+const Expense = require('../models/expense');
+const Unit = require('../models/unit');
+const User = require('../models/user');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const documentGenerationService = require('./documentGenerationService');
+const { roundCurrency } = require('../utils/lateFeeUtils');
+const {
+    getStatementPeriodRange,
+    getPreviousStatementPeriod,
+    buildOwnerStatement
+} = require('../utils/ownerStatementUtils');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    PROPERTY_USER_ROLES_ENUM,
+    MANAGEMENT_FEE_TYPE_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Disbursement statuses a user can set; 'not_required' is set when the statement is generated
+const SETTABLE_DISBURSEMENT_STATUSES = ['pending', 'on_hold', 'paid'];
+
+/**
+ * Helper to check if a user has management permission for a given property
+ * @param {Object} user - The authenticated user
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkPropertyManagementPermission = async (user, propertyId) => {
+    try {
+        if (user.role === ROLE_ENUM.ADMIN) {
+            return true; // Admin has global access
+        }
+
+        const hasAccess = await PropertyUser.exists({
+            user: user._id,
+            property: propertyId,
+            isActive: true,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]}
+        });
+
+        return !!hasAccess;
+    } catch (error) {
+        logger.error(`OwnerStatementService - Error checking property management permission: ${error.message}`, {
+            userId: user?._id,
+            propertyId
+        });
+        return false; // Fail safely
+    }
+};
+
+/**
+ * Loads a statement the user may see: admins, the owner, and anyone managing one of its properties
+ * @param {string} statementId - Owner statement ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {Object} [session] - MongoDB session
+ * @returns {Promise<Object>} OwnerStatement document
+ * @throws {AppError} If statement not found or unauthorized
+ */
+const loadAccessibleStatement = async (statementId, currentUser, session = null) => {
+    const statement = await OwnerStatement.findById(statementId).session(session);
+    if (!statement) {
+        throw new AppError('Owner statement not found.', 404);
+    }
+
+    if (currentUser.role === ROLE_ENUM.ADMIN || statement.owner.toString() === currentUser._id.toString()) {
+        return statement;
+    }
+
+    for (const line of statement.properties) {
+        if (await checkPropertyManagementPermission(currentUser, line.property)) {
+            return statement;
+        }
+    }
+
+    throw new AppError('Not authorized to view this owner statement.', 403);
+};
+
+/**
+ * Populates an owner statement for API responses
+ * @param {string} statementId - Owner statement ID
+ * @returns {Promise<Object>} Populated statement
+ */
+const findPopulatedStatement = (statementId) => OwnerStatement.findById(statementId)
+    .populate('owner', 'firstName lastName email')
+    .populate('properties.property', 'name')
+    .populate('document', 'url originalname')
+    .populate('generatedBy', 'firstName lastName email')
+    .populate('disbursement.updatedBy', 'firstName lastName email');
+
+/**
+ * Rent payments received in a period, grouped by property. Credit drawn from the tenant's
+ * balance is not new money and is left out.
+ * @param {Array<string>} propertyIds - Property IDs
+ * @param {Object} range - { start, end }
+ * @returns {Promise<Map>} Property ID -> collections
+ */
+const getCollectionsByProperty = async (propertyIds, { start, end }) => {
+    const rents = await Rent.find({
+        property: { $in: propertyIds },
+        isActive: { $ne: false },
+        paymentHistory: { $elemMatch: { date: { $gte: start, $lte: end }, source: { $ne: 'credit' } } }
+    })
+        .populate('unit', 'unitName')
+        .populate('tenant', 'firstName lastName');
+
+    const collections = new Map();
+    for (const rent of rents) {
+        const tenantName = rent.tenant ? `${rent.tenant.firstName || ''} ${rent.tenant.lastName || ''}`.trim() : null;
+        const items = collections.get(rent.property.toString()) || [];
+
+        rent.paymentHistory
+            .filter(payment => payment.source !== 'credit' && payment.date >= start && payment.date <= end)
+            .forEach(payment => items.push({
+                rent: rent._id,
+                unitName: rent.unit?.unitName,
+                tenantName,
+                billingPeriod: rent.billingPeriod,
+                date: payment.date,
+                amount: payment.amount,
+                currency: rent.currency
+            }));
+
+        collections.set(rent.property.toString(), items);
+    }
+
+    for (const items of collections.values()) {
+        items.sort((a, b) => a.date - b.date);
+    }
+
+    return collections;
+};
+
+/**
+ * Recorded expenses in a period, grouped by property
+ * @param {Array<string>} propertyIds - Property IDs
+ * @param {Object} range - { start, end }
+ * @returns {Promise<Map>} Property ID -> expense items
+ */
+const getExpensesByProperty = async (propertyIds, { start, end }) => {
+    const expenses = await Expense.find({
+        property: { $in: propertyIds },
+        status: 'recorded',
+        expenseDate: { $gte: start, $lte: end }
+    }).sort({ expenseDate: 1 });
+
+    const expenseItems = new Map();
+    for (const expense of expenses) {
+        const items = expenseItems.get(expense.property.toString()) || [];
+        items.push({
+            expense: expense._id,
+            category: expense.category,
+            description: expense.description,
+            date: expense.expenseDate,
+            amount: expense.amount,
+            currency: expense.currency
+        });
+        expenseItems.set(expense.property.toString(), items);
+    }
+
+    return expenseItems;
+};
+
+/**
+ * Number of active units in each property, for flat per-unit management fees
+ * @param {Array<string>} propertyIds - Property IDs
+ * @returns {Promise<Map>} Property ID -> unit count
+ */
+const getUnitCounts = async (propertyIds) => {
+    const counts = await Unit.aggregate([
+        { $match: { property: { $in: propertyIds.map(id => new mongoose.Types.ObjectId(id)) }, isActive: { $ne: false } } },
+        { $group: { _id: '$property', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+/**
+ * Draws up an owner's statement for a month: rent collected on each of their properties, less
+ * expenses and the property's management fee, and the net amount to pay out. The statement is
+ * rendered as a PDF and sent to the owner. Generating it again for the same month replaces it,
+ * unless the disbursement has already been paid.
+ *
+ * Only properties the user manages are included, so a manager sees the part of the portfolio they run.
+ * @param {Object} statementData - Statement details
+ * @param {string} statementData.ownerId - Owner (a landlord of one or more properties)
+ * @param {string} statementData.period - Month, e.g. '2025-03'
+ * @param {string} [statementData.currency='UGX'] - Statement currency
+ * @param {boolean} [statementData.notify=true] - Send the statement to the owner
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Generated statement
+ * @throws {AppError} If the period is invalid, the user owns no properties, the statement is paid, or unauthorized
+ */
+const generateOwnerStatement = async ({ ownerId, period, currency = 'UGX', notify = true }, currentUser, ipAddress) => {
+    try {
+        const range = getStatementPeriodRange(period);
+        if (!range) {
+            throw new AppError('Statement period must be a month in the format YYYY-MM.', 400);
+        }
+
+        const owner = await User.findById(ownerId).select('firstName lastName email');
+        if (!owner) {
+            throw new AppError('Owner not found.', 404);
+        }
+
+        const ownedPropertyIds = await PropertyUser.find({
+            user: owner._id,
+            roles: PROPERTY_USER_ROLES_ENUM.LANDLORD,
+            isActive: true
+        }).distinct('property');
+
+        if (ownedPropertyIds.length === 0) {
+            throw new AppError('This user is not the owner of any property.', 400);
+        }
+
+        const properties = [];
+        for (const property of await Property.find({ _id: { $in: ownedPropertyIds } }).select('name managementFee').sort({ name: 1 })) {
+            if (await checkPropertyManagementPermission(currentUser, property._id)) {
+                properties.push(property);
+            }
+        }
+
+        if (properties.length === 0) {
+            throw new AppError('Not authorized to prepare statements for this owner\'s properties.', 403);
+        }
+
+        let statement = await OwnerStatement.findOne({ owner: owner._id, period, currency });
+        if (statement?.disbursement?.status === 'paid') {
+            throw new AppError(`The ${period} statement has already been paid out and cannot be regenerated.`, 400);
+        }
+
+        const propertyIds = properties.map(property => property._id.toString());
+        const [collections, expenseItems, unitCounts] = await Promise.all([
+            getCollectionsByProperty(propertyIds, range),
+            getExpensesByProperty(propertyIds, range),
+            getUnitCounts(propertyIds)
+        ]);
+
+        const summary = buildOwnerStatement({
+            currency,
+            properties: properties.map(property => ({
+                property: property._id,
+                propertyName: property.name,
+                unitCount: unitCounts.get(property._id.toString()) || 0,
+                managementFee: property.managementFee,
+                collections: collections.get(property._id.toString()) || [],
+                expenseItems: expenseItems.get(property._id.toString()) || []
+            }))
+        });
+
+        const isNew = !statement;
+        const oldValue = statement ? { totals: statement.totals, disbursement: statement.disbursement } : null;
+        statement = statement || new OwnerStatement({ owner: owner._id, period, currency });
+
+        const netDue = summary.totals.netDue;
+        const previousStatus = statement.disbursement?.status;
+
+        statement.set({
+            periodStart: range.start,
+            periodEnd: range.end,
+            properties: summary.properties,
+            totals: summary.totals,
+            excluded: summary.excluded,
+            generatedAt: new Date(),
+            generatedBy: currentUser._id
+        });
+        statement.disbursement.amount = Math.max(netDue, 0);
+        // Keep a hold in place if the figures change; otherwise derive the status from the amount due
+        statement.disbursement.status = netDue > 0
+            ? (previousStatus === 'on_hold' ? 'on_hold' : 'pending')
+            : 'not_required';
+
+        const ownerName = `${owner.firstName || ''} ${owner.lastName || ''}`.trim() || owner.email;
+
+        const document = await documentGenerationService.generateAndUploadDocument(
+            'owner_statement',
+            {
+                ownerName,
+                period,
+                periodStart: range.start,
+                periodEnd: range.end,
+                currency,
+                properties: summary.properties,
+                totals: summary.totals,
+                excluded: summary.excluded,
+                disbursementStatus: statement.disbursement.status
+            },
+            {
+                relatedResourceType: 'OwnerStatement',
+                relatedResourceId: statement._id,
+                userId: currentUser._id,
+                ipAddress,
+                userName: `${currentUser.firstName || ''} ${currentUser.lastName || ''}`.trim() || null
+            }
+        );
+
+        statement.document = document._id;
+        await statement.save();
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.OWNER_STATEMENT_GENERATED,
+            AUDIT_RESOURCE_TYPE_ENUM.OwnerStatement,
+            statement._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `${isNew ? 'Owner statement' : 'Owner statement regenerated'} for ${ownerName}, ${period}: collected ${currency} ${summary.totals.rentCollected.toLocaleString()}, net due ${currency} ${netDue.toLocaleString()}.`,
+                status: 'success',
+                oldValue,
+                newValue: { totals: statement.totals, disbursement: statement.disbursement },
+                metadata: { ownerId: owner._id, period, currency, propertyIds, documentId: document._id }
+            }
+        );
+
+        if (notify) {
+            try {
+                await notificationService.sendNotification({
+                    recipientId: owner._id,
+                    type: 'document_shared',
+                    message: `Your owner statement for ${period} is ready. Net due: ${currency} ${netDue.toLocaleString()}.`,
+                    link: `${FRONTEND_URL}/owner-statements/${statement._id}`,
+                    relatedResourceType: 'OwnerStatement',
+                    relatedResourceId: statement._id,
+                    emailDetails: {
+                        subject: `Owner Statement: ${period}`,
+                        html: `
+                            <p>Hello ${owner.firstName || ownerName},</p>
+                            <p>Your owner statement for ${period} has been prepared.</p>
+                            <ul>
+                                <li>Rent collected: ${currency} ${summary.totals.rentCollected.toLocaleString()}</li>
+                                <li>Expenses: ${currency} ${summary.totals.expenses.toLocaleString()}</li>
+                                <li>Management fees: ${currency} ${summary.totals.managementFee.toLocaleString()}</li>
+                                <li>Net due to you: ${currency} ${netDue.toLocaleString()}</li>
+                            </ul>
+                            <p><a href="${document.url}">Download the statement</a></p>
+                        `,
+                        text: `Hello ${owner.firstName || ownerName}, your owner statement for ${period} is ready. Rent collected: ${currency} ${summary.totals.rentCollected.toLocaleString()}. Net due: ${currency} ${netDue.toLocaleString()}. Download: ${document.url}`
+                    },
+                    senderId: currentUser._id
+                });
+            } catch (notificationError) {
+                logger.warn(`OwnerStatementService: Failed to send owner statement to ${owner._id}: ${notificationError.message}`);
+                // Continue even if notification fails
+            }
+        }
+
+        logger.info(`OwnerStatementService: Statement ${statement._id} generated for owner ${owner._id}, ${period}.`);
+
+        return findPopulatedStatement(statement._id);
+    } catch (error) {
+        logger.error(`OwnerStatementService - Error generating owner statement: ${error.message}`, {
+            userId: currentUser?._id,
+            ownerId,
+            period
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to generate owner statement: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Generates last month's statement for every property owner that does not have one yet
+ * @param {Date} [asOfDate=new Date()] - Run date; statements cover the month before it
+ * @param {Object} currentUser - The user (or system actor) running the job
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} { period, processed, generated, skipped, failed, details }
+ */
+const generateMonthlyOwnerStatements = async (asOfDate = new Date(), currentUser, ipAddress) => {
+    const period = getPreviousStatementPeriod(asOfDate);
+    const results = { period, processed: 0, generated: 0, skipped: 0, failed: 0, details: [] };
+
+    const ownerIds = await PropertyUser.find({
+        roles: PROPERTY_USER_ROLES_ENUM.LANDLORD,
+        isActive: true
+    }).distinct('user');
+
+    for (const ownerId of ownerIds) {
+        results.processed++;
+
+        const alreadyGenerated = await OwnerStatement.exists({ owner: ownerId, period });
+        if (alreadyGenerated) {
+            results.skipped++;
+            results.details.push({ owner: ownerId, status: 'skipped', reason: 'Statement already generated' });
+            continue;
+        }
+
+        try {
+            const statement = await generateOwnerStatement({ ownerId, period }, currentUser, ipAddress);
+            results.generated++;
+            results.details.push({ owner: ownerId, statement: statement._id, status: 'generated' });
+        } catch (error) {
+            results.failed++;
+            results.details.push({ owner: ownerId, status: 'failed', reason: error.message });
+        }
+    }
+
+    logger.info(`OwnerStatementService: ${period} statements - ${results.generated} generated, ${results.skipped} skipped, ${results.failed} failed.`);
+
+    return results;
+};
+
+/**
+ * Gets owner statements visible to the user: their own as an owner, and those for properties they manage
+ * @param {Object} currentUser - The authenticated user
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.ownerId] - Filter by owner
+ * @param {string} [filters.propertyId] - Filter by property
+ * @param {string} [filters.period] - Filter by month (YYYY-MM)
+ * @param {string} [filters.status] - Filter by disbursement status
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=10] - Items per page
+ * @returns {Promise<Object>} Paginated statements
+ * @throws {AppError} If unauthorized
+ */
+const getOwnerStatements = async (currentUser, filters = {}, page = 1, limit = 10) => {
+    try {
+        const query = {};
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        if (currentUser.role !== ROLE_ENUM.ADMIN) {
+            const managedProperties = await PropertyUser.find({
+                user: currentUser._id,
+                roles: { $in: [
+                    PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                    PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                    PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+                ]},
+                isActive: true
+            }).distinct('property');
+
+            query.$or = [
+                { owner: currentUser._id },
+                { 'properties.property': { $in: managedProperties } }
+            ];
+        }
+
+        if (filters.propertyId) {
+            const hasAccess = await checkPropertyManagementPermission(currentUser, filters.propertyId);
+            if (!hasAccess) {
+                throw new AppError('Not authorized to filter by this property.', 403);
+            }
+            query['properties.property'] = filters.propertyId;
+        }
+        if (filters.ownerId) {
+            query.owner = filters.ownerId;
+        }
+        if (filters.period) {
+            query.period = filters.period;
+        }
+        if (filters.status) {
+            query['disbursement.status'] = filters.status;
+        }
+
+        const [statements, total] = await Promise.all([
+            OwnerStatement.find(query)
+                .select('-properties.collections -properties.expenseItems')
+                .populate('owner', 'firstName lastName email')
+                .populate('document', 'url originalname')
+                .sort({ period: -1, createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            OwnerStatement.countDocuments(query)
+        ]);
+
+        return {
+            statements,
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            pages: Math.ceil(total / parseInt(limit))
+        };
+    } catch (error) {
+        logger.error(`OwnerStatementService - Error getting owner statements: ${error.message}`, {
+            userId: currentUser?._id,
+            filters
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get owner statements: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Gets an owner statement by ID
+ * @param {string} statementId - Owner statement ID
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Object>} Owner statement
+ * @throws {AppError} If not found or unauthorized
+ */
+const getOwnerStatementById = async (statementId, currentUser) => {
+    try {
+        await loadAccessibleStatement(statementId, currentUser);
+        return findPopulatedStatement(statementId);
+    } catch (error) {
+        logger.error(`OwnerStatementService - Error getting owner statement: ${error.message}`, {
+            userId: currentUser?._id,
+            statementId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get owner statement: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Records progress on paying the owner: put the payout on hold, release it, or mark it paid.
+ * A paid disbursement is final. The user must manage every property on the statement.
+ * @param {string} statementId - Owner statement ID
+ * @param {Object} disbursementData - Disbursement details
+ * @param {string} disbursementData.status - 'pending', 'on_hold' or 'paid'
+ * @param {number} [disbursementData.amount] - Amount paid (defaults to the net due)
+ * @param {Date} [disbursementData.paidAt=new Date()] - Date paid
+ * @param {string} [disbursementData.method] - Payment method (required when paid)
+ * @param {string} [disbursementData.reference] - Payment reference
+ * @param {string} [disbursementData.notes] - Notes, e.g. why the payout is on hold
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Updated statement
+ * @throws {AppError} If the status change is not allowed, the amount is wrong, or unauthorized
+ */
+const updateDisbursement = async (statementId, disbursementData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const statement = await loadAccessibleStatement(statementId, currentUser, session);
+
+        for (const line of statement.properties) {
+            if (!(await checkPropertyManagementPermission(currentUser, line.property))) {
+                throw new AppError('Not authorized to update the disbursement for this owner statement.', 403);
+            }
+        }
+
+        const { status } = disbursementData;
+        if (!SETTABLE_DISBURSEMENT_STATUSES.includes(status)) {
+            throw new AppError(`Disbursement status must be one of: ${SETTABLE_DISBURSEMENT_STATUSES.join(', ')}`, 400);
+        }
+        if (statement.disbursement.status === 'paid') {
+            throw new AppError('This disbursement has already been paid.', 400);
+        }
+        if (statement.disbursement.status === 'not_required') {
+            throw new AppError('Nothing is due to the owner on this statement.', 400);
+        }
+
+        const oldValue = statement.disbursement.toObject();
+        const netDue = statement.totals.netDue;
+
+        if (status === 'paid') {
+            const amount = disbursementData.amount !== undefined && disbursementData.amount !== null
+                ? roundCurrency(parseFloat(disbursementData.amount))
+                : netDue;
+
+            if (Number.isNaN(amount) || amount <= 0 || amount > netDue) {
+                throw new AppError(`Disbursement amount must be greater than zero and no more than the ${statement.currency} ${netDue.toLocaleString()} due.`, 400);
+            }
+            if (!disbursementData.method) {
+                throw new AppError('Payment method is required to mark a disbursement as paid.', 400);
+            }
+
+            statement.disbursement.amount = amount;
+            statement.disbursement.paidAt = disbursementData.paidAt ? new Date(disbursementData.paidAt) : new Date();
+            statement.disbursement.method = disbursementData.method;
+            statement.disbursement.reference = disbursementData.reference;
+        }
+
+        statement.disbursement.status = status;
+        if (disbursementData.notes !== undefined) {
+            statement.disbursement.notes = disbursementData.notes;
+        }
+        statement.disbursement.updatedBy = currentUser._id;
+
+        await statement.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.OWNER_DISBURSEMENT_UPDATED,
+            AUDIT_RESOURCE_TYPE_ENUM.OwnerStatement,
+            statement._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: status === 'paid'
+                    ? `Owner disbursement of ${statement.currency} ${statement.disbursement.amount.toLocaleString()} for ${statement.period} marked paid by ${currentUser.email}.`
+                    : `Owner disbursement for ${statement.period} set to ${status} by ${currentUser.email}.`,
+                status: 'success',
+                oldValue,
+                newValue: statement.disbursement.toObject(),
+                metadata: { ownerId: statement.owner, period: statement.period }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`OwnerStatementService: Disbursement for statement ${statement._id} set to ${status} by ${currentUser.email}.`);
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`OwnerStatementService - Error updating disbursement: ${error.message}`, {
+            userId: currentUser?._id,
+            statementId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to update disbursement: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+
+    return findPopulatedStatement(statementId);
+};
+
+/**
+ * Sets the management fee deducted from a property's rent on owner statements
+ * @param {string} propertyId - Property ID
+ * @param {Object} feeData - { type, rate, amountPerUnit } (see ManagementFeeSchema)
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The saved management fee
+ * @throws {AppError} If property not found, fee invalid, or unauthorized
+ */
+const updateManagementFee = async (propertyId, feeData, currentUser, ipAddress) => {
+    try {
+        const property = await Property.findById(propertyId);
+        if (!property) {
+            throw new AppError('Property not found.', 404);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, property._id);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to change the management fee for this property.', 403);
+        }
+
+        const type = feeData.type || 'percentage';
+        if (!MANAGEMENT_FEE_TYPE_ENUM.includes(type)) {
+            throw new AppError(`Management fee type must be one of: ${MANAGEMENT_FEE_TYPE_ENUM.join(', ')}`, 400);
+        }
+
+        const rate = type === 'percentage' ? parseFloat(feeData.rate) : 0;
+        const amountPerUnit = type === 'flat_per_unit' ? parseFloat(feeData.amountPerUnit) : 0;
+        if (type === 'percentage' && !(rate >= 0 && rate <= 100)) {
+            throw new AppError('A percentage management fee needs a rate between 0 and 100.', 400);
+        }
+        if (type === 'flat_per_unit' && !(amountPerUnit >= 0)) {
+            throw new AppError('A flat per-unit management fee needs an amount per unit of 0 or more.', 400);
+        }
+
+        const oldFee = property.managementFee ? property.managementFee.toObject() : null;
+
+        property.managementFee = { type, rate, amountPerUnit };
+        property.updatedBy = currentUser._id;
+
+        await property.save();
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.MANAGEMENT_FEE_UPDATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Property,
+            property._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Management fee for property ${property._id} updated by ${currentUser.email}.`,
+                status: 'success',
+                oldValue: oldFee,
+                newValue: property.managementFee.toObject()
+            }
+        );
+
+        return property.managementFee;
+    } catch (error) {
+        logger.error(`OwnerStatementService - Error updating management fee: ${error.message}`, {
+            userId: currentUser?._id,
+            propertyId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to update management fee: ${error.message}`, 500);
+    }
+};
+
+module.exports = {
+    generateOwnerStatement,
+    generateMonthlyOwnerStatements,
+    getOwnerStatements,
+    getOwnerStatementById,
+    updateDisbursement,
+    updateManagementFee
+};
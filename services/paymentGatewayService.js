@@ -0,0 +1,456 @@
+// src/services/paymentGatewayService.js
+
+const crypto = require('crypto');
+const Rent = require('../models/rent');
+const User = require('../models/user');
+const PropertyUser = require('../models/propertyUser');
+const PaymentTransaction = require('../models/paymentTransaction');
+const paymentGatewayClient = require('../lib/paymentGatewayClient');
+const rentService = require('./rentService');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    PROPERTY_USER_ROLES_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+/**
+ * Helper to check if a user has access to a rent record
+ * @param {Object} user - The authenticated user
+ * @param {Object} rent - Rent document
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkRentAccess = async (user, rent) => {
+    try {
+        if (user.role === ROLE_ENUM.ADMIN) {
+            return true;
+        }
+
+        // Tenant can pay their own rent
+        if (rent.tenant && rent.tenant.toString() === user._id.toString()) {
+            return true;
+        }
+
+        const hasAccess = await PropertyUser.exists({
+            user: user._id,
+            property: rent.property,
+            isActive: true,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]}
+        });
+
+        return !!hasAccess;
+    } catch (error) {
+        logger.error(`PaymentGatewayService - Error checking rent access: ${error.message}`, {
+            userId: user?._id,
+            rentId: rent?._id
+        });
+        return false; // Fail safely
+    }
+};
+
+/**
+ * Sends a mobile-money collection request to the tenant's phone for a rent record
+ * @param {string} rentId - Rent record ID
+ * @param {Object} paymentData - Collection details
+ * @param {string} paymentData.provider - 'mtn' or 'airtel' ('simulator' in test mode only)
+ * @param {string} [paymentData.phoneNumber] - Payer phone (defaults to the tenant's phone)
+ * @param {number} [paymentData.amount] - Amount to collect (defaults to the balance due)
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The pending payment transaction
+ * @throws {AppError} If rent not found, nothing is owed, or unauthorized
+ */
+const initiateMobileMoneyPayment = async (rentId, paymentData, currentUser, ipAddress) => {
+    try {
+        const rent = await Rent.findOne({ _id: rentId, isActive: true });
+        if (!rent) {
+            throw new AppError('Rent record not found.', 404);
+        }
+
+        const isAuthorized = await checkRentAccess(currentUser, rent);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to collect payment for this rent record.', 403);
+        }
+
+        if (['paid', 'waived'].includes(rent.status) || rent.balanceDue <= 0) {
+            throw new AppError('This rent record has nothing left to pay.', 400);
+        }
+
+        const amount = paymentData.amount !== undefined ? parseFloat(paymentData.amount) : rent.balanceDue;
+        if (!(amount > 0)) {
+            throw new AppError('Amount must be greater than zero.', 400);
+        }
+        if (amount > rent.balanceDue) {
+            throw new AppError(`Amount cannot exceed the balance due of ${rent.currency} ${rent.balanceDue.toLocaleString()}.`, 400);
+        }
+
+        let phoneNumber = paymentData.phoneNumber;
+        if (!phoneNumber) {
+            const tenant = await User.findById(rent.tenant).select('phone');
+            phoneNumber = tenant?.phone;
+        }
+        if (!phoneNumber) {
+            throw new AppError('A phone number is required for mobile money payments.', 400);
+        }
+
+        // Saved before calling the provider so a fast callback can always find it
+        const transaction = new PaymentTransaction({
+            provider: paymentData.provider,
+            rent: rent._id,
+            lease: rent.lease,
+            tenant: rent.tenant,
+            property: rent.property,
+            amount,
+            currency: rent.currency,
+            phoneNumber,
+            externalId: crypto.randomUUID(),
+            initiatedBy: currentUser._id
+        });
+        await transaction.save();
+
+        try {
+            const result = await paymentGatewayClient.requestToPay(paymentData.provider, {
+                amount,
+                currency: rent.currency,
+                phoneNumber,
+                externalId: transaction.externalId,
+                description: `Rent ${rent.billingPeriod}`
+            });
+
+            transaction.provider = result.provider;
+            transaction.providerReference = result.providerReference;
+            await transaction.save();
+        } catch (error) {
+            transaction.status = 'failed';
+            transaction.failureReason = error.message;
+            transaction.completedAt = new Date();
+            await transaction.save();
+            throw error;
+        }
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.MOBILE_MONEY_REQUESTED,
+            AUDIT_RESOURCE_TYPE_ENUM.Rent,
+            rent._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Mobile money collection of ${rent.currency} ${amount.toLocaleString()} requested via ${transaction.provider} for rent ${rent._id} by ${currentUser.email}.`,
+                status: 'success',
+                metadata: {
+                    transactionId: transaction._id,
+                    externalId: transaction.externalId,
+                    provider: transaction.provider,
+                    phoneNumber
+                }
+            }
+        );
+
+        logger.info(`PaymentGatewayService: Collection ${transaction.externalId} requested via ${transaction.provider} for rent ${rent._id}.`);
+
+        return transaction;
+    } catch (error) {
+        logger.error(`PaymentGatewayService - Error initiating mobile money payment: ${error.message}`, {
+            userId: currentUser?._id,
+            rentId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to initiate mobile money payment: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Applies a provider result to a transaction and, for successful payments, records the
+ * rent payment as the tenant. Idempotent on the provider transaction ID: a result that was
+ * already applied is reported as a duplicate and nothing is recorded twice.
+ * @param {Object} transaction - PaymentTransaction document
+ * @param {Object} result - Normalized provider result
+ * @param {string} ipAddress - Request IP address
+ * @param {Object} [payload=null] - Raw provider payload, kept for reference
+ * @returns {Promise<Object>} { transaction, recorded, duplicate }
+ * @throws {AppError} If recording the rent payment fails (so the provider retries the callback)
+ */
+const processProviderResult = async (transaction, result, ipAddress, payload = null) => {
+    if (result.status === 'pending') {
+        return { transaction, recorded: false, duplicate: false };
+    }
+
+    // Claim the transaction: only a pending one, or a successful one whose recording failed, can be processed
+    let claimed;
+    try {
+        claimed = await PaymentTransaction.findOneAndUpdate(
+            {
+                _id: transaction._id,
+                paymentRecordedAt: null,
+                $or: [
+                    { status: 'pending' },
+                    { status: 'successful', paymentRecordError: { $ne: null } }
+                ]
+            },
+            {
+                $set: {
+                    status: result.status,
+                    providerTransactionId: result.providerTransactionId || transaction.providerTransactionId,
+                    failureReason: result.status === 'failed' ? (result.reason || 'Payment failed') : null,
+                    completedAt: new Date(),
+                    paymentRecordError: null,
+                    ...(payload ? { callbackPayload: payload } : {})
+                }
+            },
+            { new: true }
+        );
+    } catch (error) {
+        // Unique index on provider + providerTransactionId: another transaction already holds this payment
+        if (error.code === 11000) {
+            logger.warn(`PaymentGatewayService: Provider transaction ${result.providerTransactionId} was already processed.`);
+            return { transaction, recorded: false, duplicate: true };
+        }
+        throw error;
+    }
+
+    if (!claimed) {
+        return { transaction: await PaymentTransaction.findById(transaction._id), recorded: false, duplicate: true };
+    }
+
+    await auditService.logActivity(
+        AUDIT_ACTION_ENUM.MOBILE_MONEY_CALLBACK_RECEIVED,
+        AUDIT_RESOURCE_TYPE_ENUM.Rent,
+        claimed.rent,
+        {
+            userId: null,
+            ipAddress,
+            description: `Mobile money transaction ${claimed.externalId} reported ${claimed.status} by ${claimed.provider}.`,
+            status: claimed.status === 'successful' ? 'success' : 'failure',
+            metadata: {
+                transactionId: claimed._id,
+                providerTransactionId: claimed.providerTransactionId,
+                amount: result.amount,
+                reason: claimed.failureReason
+            }
+        }
+    );
+
+    if (claimed.status !== 'successful') {
+        return { transaction: claimed, recorded: false, duplicate: false };
+    }
+
+    const paymentReference = claimed.providerTransactionId || claimed.externalId;
+
+    // Belt and braces: never credit the same provider transaction to a rent record twice
+    const alreadyOnRent = await Rent.exists({ _id: claimed.rent, 'paymentHistory.transactionId': paymentReference });
+    if (alreadyOnRent) {
+        claimed.paymentRecordedAt = new Date();
+        await claimed.save();
+        return { transaction: claimed, recorded: false, duplicate: true };
+    }
+
+    try {
+        // Recorded as the tenant, the same as a tenant recording their own payment
+        const tenant = await User.findById(claimed.tenant);
+        if (!tenant) {
+            throw new AppError('Tenant for this transaction no longer exists.', 404);
+        }
+
+        // The amount requested is what the payer approved; a differing reported amount is only logged
+        if (result.amount !== undefined && result.amount !== claimed.amount) {
+            logger.warn(`PaymentGatewayService: ${claimed.provider} reported ${result.amount} for transaction ${claimed.externalId}, which requested ${claimed.amount}.`);
+        }
+
+        await rentService.recordRentPayment(
+            claimed.rent,
+            {
+                amountPaid: claimed.amount,
+                paymentDate: claimed.completedAt,
+                paymentMethod: 'mobile_money',
+                transactionId: paymentReference,
+                notes: `${claimed.provider.toUpperCase()} mobile money payment from ${claimed.phoneNumber}`
+            },
+            null,
+            tenant,
+            ipAddress
+        );
+
+        claimed.paymentRecordedAt = new Date();
+        await claimed.save();
+
+        logger.info(`PaymentGatewayService: Recorded rent payment for mobile money transaction ${claimed.externalId}.`);
+
+        return { transaction: claimed, recorded: true, duplicate: false };
+    } catch (error) {
+        claimed.paymentRecordError = error.message;
+        await claimed.save();
+
+        logger.error(`PaymentGatewayService - Error recording rent payment for transaction ${claimed.externalId}: ${error.message}`);
+
+        throw error instanceof AppError ? error : new AppError(`Failed to record rent payment: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Handles a provider webhook: verifies the signature, matches the transaction and applies the result.
+ * For providers that do not sign callbacks, the result is fetched from the provider instead.
+ * @param {string} providerName - Provider named in the webhook URL
+ * @param {Object} request - { rawBody, body, headers, query }
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} { transaction, recorded, duplicate }
+ * @throws {AppError} If the signature is invalid or the transaction is unknown
+ */
+const handleProviderCallback = async (providerName, request, ipAddress) => {
+    try {
+        if (!paymentGatewayClient.verifyCallback(providerName, request)) {
+            logger.warn(`PaymentGatewayService: Rejected ${providerName} callback with an invalid signature from ${ipAddress}.`);
+            throw new AppError('Invalid webhook signature.', 401);
+        }
+
+        const result = paymentGatewayClient.parseCallback(providerName, request.body);
+
+        const references = [];
+        if (result.externalId) references.push({ externalId: result.externalId });
+        if (result.providerReference) references.push({ providerReference: result.providerReference });
+        if (references.length === 0) {
+            throw new AppError('Callback does not identify a transaction.', 400);
+        }
+
+        const transaction = await PaymentTransaction.findOne({ provider: providerName, $or: references });
+        if (!transaction) {
+            throw new AppError('Payment transaction not found.', 404);
+        }
+
+        // An unsigned callback only says something happened; ask the provider what
+        const confirmedResult = paymentGatewayClient.callbackNeedsConfirmation(providerName)
+            ? await paymentGatewayClient.getTransactionStatus(providerName, {
+                externalId: transaction.externalId,
+                providerReference: transaction.providerReference
+            })
+            : result;
+
+        return await processProviderResult(transaction, confirmedResult, ipAddress, request.body);
+    } catch (error) {
+        logger.error(`PaymentGatewayService - Error handling ${providerName} callback: ${error.message}`);
+
+        throw error instanceof AppError ? error : new AppError(`Failed to process payment callback: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Polls the provider for a transaction's status, for callbacks that never arrived or failed to record
+ * @param {string} transactionId - PaymentTransaction ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} { transaction, recorded, duplicate }
+ * @throws {AppError} If transaction not found or unauthorized
+ */
+const refreshTransactionStatus = async (transactionId, currentUser, ipAddress) => {
+    try {
+        const transaction = await PaymentTransaction.findById(transactionId);
+        if (!transaction) {
+            throw new AppError('Payment transaction not found.', 404);
+        }
+
+        const isAuthorized = await checkRentAccess(currentUser, transaction);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to view this payment transaction.', 403);
+        }
+
+        const needsUpdate = transaction.status === 'pending'
+            || (transaction.status === 'successful' && !transaction.paymentRecordedAt);
+        if (!needsUpdate) {
+            return { transaction, recorded: false, duplicate: false };
+        }
+
+        const result = await paymentGatewayClient.getTransactionStatus(transaction.provider, {
+            externalId: transaction.externalId,
+            providerReference: transaction.providerReference
+        });
+
+        return await processProviderResult(transaction, result, ipAddress);
+    } catch (error) {
+        logger.error(`PaymentGatewayService - Error refreshing transaction status: ${error.message}`, {
+            userId: currentUser?._id,
+            transactionId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to refresh payment status: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Gets a payment transaction
+ * @param {string} transactionId - PaymentTransaction ID
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Object>} Payment transaction
+ * @throws {AppError} If transaction not found or unauthorized
+ */
+const getPaymentTransactionById = async (transactionId, currentUser) => {
+    try {
+        const transaction = await PaymentTransaction.findById(transactionId)
+            .populate('rent', 'billingPeriod amountDue amountPaid status dueDate')
+            .populate('initiatedBy', 'firstName lastName email');
+        if (!transaction) {
+            throw new AppError('Payment transaction not found.', 404);
+        }
+
+        const isAuthorized = await checkRentAccess(currentUser, transaction);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to view this payment transaction.', 403);
+        }
+
+        return transaction;
+    } catch (error) {
+        logger.error(`PaymentGatewayService - Error getting payment transaction: ${error.message}`, {
+            userId: currentUser?._id,
+            transactionId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get payment transaction: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Completes a simulator transaction by sending its signed callback through the normal webhook path.
+ * Only available in payment test mode.
+ * @param {string} transactionId - PaymentTransaction ID
+ * @param {Object} outcome - { status: 'successful'|'failed', amount, reason }
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} { transaction, recorded, duplicate }
+ * @throws {AppError} If not a simulator transaction, outside test mode, or unauthorized
+ */
+const simulateProviderCallback = async (transactionId, outcome, currentUser, ipAddress) => {
+    if (process.env.NODE_ENV === 'production' || !paymentGatewayClient.isTestMode()) {
+        throw new AppError('The payment simulator is only available in test mode.', 403);
+    }
+
+    const transaction = await PaymentTransaction.findById(transactionId);
+    if (!transaction) {
+        throw new AppError('Payment transaction not found.', 404);
+    }
+    if (transaction.provider !== 'simulator') {
+        throw new AppError('Only simulator transactions can be completed manually.', 400);
+    }
+
+    const isAuthorized = await checkRentAccess(currentUser, transaction);
+    if (!isAuthorized) {
+        throw new AppError('Not authorized to complete this payment transaction.', 403);
+    }
+
+    const callback = paymentGatewayClient.simulator.simulateCallback(transaction.externalId, outcome);
+
+    return handleProviderCallback('simulator', callback, ipAddress);
+};
+
+module.exports = {
+    initiateMobileMoneyPayment,
+    handleProviderCallback,
+    refreshTransactionStatus,
+    getPaymentTransactionById,
+    simulateProviderCallback
+};
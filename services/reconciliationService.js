@@ -0,0 +1,718 @@
+// src/services/reconciliationService.js
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Property = require('../models/property');
+const Rent = require('../models/rent');
+const PropertyUser = require('../models/propertyUser');
+const StatementImport = require('../models/statementImport');
+const StatementLine = require('../models/statementLine');
+const rentService = require('./rentService');
+const auditService = require('./auditService');
+const { parseStatement } = require('../utils/statementParser');
+const { classifyLine } = require('../utils/reconciliationUtils');
+const { roundCurrency } = require('../utils/lateFeeUtils');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    PROPERTY_USER_ROLES_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+// Lines a manager still has to act on
+const REVIEW_STATUSES = ['matched', 'ambiguous', 'unmatched'];
+const OPEN_RENT_STATUSES = ['due', 'overdue', 'partially_paid'];
+
+/**
+ * Helper to check if a user has management permission for a given property
+ * @param {Object} user - The authenticated user
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkPropertyManagementPermission = async (user, propertyId) => {
+    try {
+        if (user.role === ROLE_ENUM.ADMIN) {
+            return true; // Admin has global access
+        }
+
+        const hasAccess = await PropertyUser.exists({
+            user: user._id,
+            property: propertyId,
+            isActive: true,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]}
+        });
+
+        return !!hasAccess;
+    } catch (error) {
+        logger.error(`ReconciliationService - Error checking property management permission: ${error.message}`, {
+            userId: user?._id,
+            propertyId
+        });
+        return false; // Fail safely
+    }
+};
+
+/**
+ * Gets the IDs of the properties a user manages (null for admins, meaning all)
+ * @param {Object} user - The authenticated user
+ * @returns {Promise<Array<string>|null>} Property IDs, or null for unrestricted access
+ */
+const getManagedPropertyIds = async (user) => {
+    if (user.role === ROLE_ENUM.ADMIN) {
+        return null;
+    }
+
+    return await PropertyUser.distinct('property', {
+        user: user._id,
+        isActive: true,
+        roles: { $in: [
+            PROPERTY_USER_ROLES_ENUM.LANDLORD,
+            PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+            PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+        ]}
+    });
+};
+
+/**
+ * Renders a one-page PDF of a statement line, attached to the rent payment as its proof
+ * @param {Object} line - StatementLine document
+ * @param {Object} statementImport - StatementImport document
+ * @returns {Promise<Buffer>} PDF contents
+ */
+const renderStatementLineProof = (line, statementImport) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(16).text('Bank Statement Line', { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(10);
+
+    const rows = [
+        ['Statement file', statementImport?.fileName || 'N/A'],
+        ['Imported', statementImport?.createdAt ? new Date(statementImport.createdAt).toLocaleString() : 'N/A'],
+        ['Line', line.lineNumber],
+        ['Date', line.date ? new Date(line.date).toLocaleDateString() : 'N/A'],
+        ['Amount', `${line.currency} ${Number(line.amount).toLocaleString()}`],
+        ['Transaction ID', line.transactionId || 'N/A'],
+        ['Reference', line.reference || 'N/A'],
+        ['Description', line.description || 'N/A'],
+        ['Payer phone', line.phoneNumber || 'N/A'],
+        ['Fingerprint', line.fingerprint]
+    ];
+    rows.forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+        doc.font('Helvetica').text(String(value));
+    });
+
+    if (line.raw) {
+        doc.moveDown();
+        doc.font('Helvetica-Bold').text('Original statement entry:');
+        doc.font('Courier').fontSize(8).text(line.raw);
+    }
+
+    doc.end();
+});
+
+/**
+ * Records the payment for a statement line against a rent record. The line is claimed first
+ * so that two managers (or an import and a manager) can never post the same line twice.
+ * @param {Object} line - StatementLine document
+ * @param {string} rentId - Rent record to credit
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} { line, recorded, duplicate }
+ * @throws {AppError} If the payment could not be recorded
+ */
+const postLinePayment = async (line, rentId, currentUser, ipAddress) => {
+    const previousStatus = line.status;
+
+    const claimed = await StatementLine.findOneAndUpdate(
+        { _id: line._id, status: { $in: REVIEW_STATUSES }, paymentRecordedAt: null },
+        {
+            $set: {
+                status: 'confirmed',
+                matchedRent: rentId,
+                confirmedBy: currentUser._id,
+                confirmedAt: new Date(),
+                paymentRecordError: null
+            }
+        },
+        { new: true }
+    );
+
+    if (!claimed) {
+        return { line: await StatementLine.findById(line._id), recorded: false, duplicate: true };
+    }
+
+    const paymentReference = claimed.transactionId || `STMT-${claimed.fingerprint.slice(0, 16)}`;
+
+    // The same bank transaction must never be credited to a rent record twice
+    const alreadyOnRent = await Rent.exists({ _id: rentId, 'paymentHistory.transactionId': paymentReference });
+    if (alreadyOnRent) {
+        claimed.paymentRecordedAt = new Date();
+        await claimed.save();
+        return { line: claimed, recorded: false, duplicate: true };
+    }
+
+    try {
+        const statementImport = await StatementImport.findById(claimed.statementImport);
+        const proof = await renderStatementLineProof(claimed, statementImport);
+
+        await rentService.recordRentPayment(
+            rentId,
+            {
+                amountPaid: claimed.amount,
+                paymentDate: claimed.date || claimed.createdAt,
+                paymentMethod: 'bank_transfer',
+                transactionId: paymentReference,
+                notes: `Reconciled from bank statement ${statementImport?.fileName || ''} line ${claimed.lineNumber}`.trim()
+            },
+            {
+                buffer: proof,
+                mimetype: 'application/pdf',
+                originalname: `statement-line-${claimed._id}.pdf`,
+                size: proof.length
+            },
+            currentUser,
+            ipAddress
+        );
+
+        claimed.paymentRecordedAt = new Date();
+        await claimed.save();
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.STATEMENT_LINE_CONFIRMED,
+            AUDIT_RESOURCE_TYPE_ENUM.Rent,
+            rentId,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Statement line ${claimed.lineNumber} (${claimed.currency} ${claimed.amount.toLocaleString()}) reconciled to rent ${rentId} by ${currentUser.email}.`,
+                status: 'success',
+                oldValue: { status: previousStatus },
+                newValue: { status: claimed.status, matchedRent: rentId },
+                metadata: {
+                    statementLineId: claimed._id,
+                    statementImportId: claimed.statementImport,
+                    transactionId: paymentReference
+                }
+            }
+        );
+
+        logger.info(`ReconciliationService: Statement line ${claimed._id} reconciled to rent ${rentId}.`);
+
+        return { line: claimed, recorded: true, duplicate: false };
+    } catch (error) {
+        // Put the line back in the review queue with the reason it failed
+        claimed.status = previousStatus;
+        claimed.confirmedBy = null;
+        claimed.confirmedAt = null;
+        claimed.paymentRecordError = error.message;
+        await claimed.save();
+
+        logger.error(`ReconciliationService - Error recording payment for statement line ${claimed._id}: ${error.message}`);
+
+        throw error instanceof AppError ? error : new AppError(`Failed to record rent payment: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Imports a bank or mobile-money statement for a property, matches each credit line to the
+ * property's open rent records and, by default, records payments for confident matches.
+ * Lines already imported in an earlier statement are kept but flagged as duplicates.
+ * @param {string} propertyId - Property ID
+ * @param {Object} file - Uploaded statement (multer file)
+ * @param {Object} [options={}] - Import options
+ * @param {string} [options.format] - 'csv' or 'ofx' (detected when omitted)
+ * @param {boolean} [options.autoConfirm=true] - Record payments for matched lines straight away
+ * @param {string} [options.currency='UGX'] - Statement currency
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} { statementImport, lines }
+ * @throws {AppError} If the file is invalid or unauthorized
+ */
+const importStatement = async (propertyId, file, options = {}, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let statementImport;
+    let lineDocs;
+
+    try {
+        if (!file || !file.buffer) {
+            throw new AppError('A statement file is required.', 400);
+        }
+
+        const property = await Property.findById(propertyId).session(session);
+        if (!property) {
+            throw new AppError('Property not found.', 404);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, propertyId);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to import statements for this property.', 403);
+        }
+
+        const text = file.buffer.toString('utf8');
+
+        let parsed;
+        try {
+            parsed = parseStatement(text, options.format, file.originalname);
+        } catch (error) {
+            throw new AppError(`Could not read statement: ${error.message}`, 400);
+        }
+
+        if (parsed.lines.length === 0) {
+            throw new AppError('No incoming payments were found in this statement.', 400);
+        }
+
+        const currency = options.currency || 'UGX';
+
+        const openRents = await Rent.find({
+            property: propertyId,
+            isActive: true,
+            status: { $in: OPEN_RENT_STATUSES }
+        })
+            .populate('tenant', 'firstName lastName phone')
+            .populate('unit', 'unitName')
+            .sort({ dueDate: 1 })
+            .session(session);
+
+        const fingerprints = parsed.lines.map(line => line.fingerprint);
+        const alreadyImported = new Set(await StatementLine.distinct('fingerprint', {
+            property: propertyId,
+            fingerprint: { $in: fingerprints },
+            isDuplicate: false
+        }).session(session));
+
+        const dates = parsed.lines.map(line => line.date).filter(Boolean).sort((a, b) => a - b);
+
+        statementImport = new StatementImport({
+            property: propertyId,
+            fileName: file.originalname,
+            format: parsed.format,
+            fileHash: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+            currency,
+            periodStart: dates[0] || null,
+            periodEnd: dates[dates.length - 1] || null,
+            uploadedBy: currentUser._id
+        });
+
+        const counts = { total: parsed.lines.length, matched: 0, confirmed: 0, ambiguous: 0, unmatched: 0, duplicate: 0, failed: 0 };
+        const seen = new Set();
+
+        lineDocs = parsed.lines.map(line => {
+            const base = {
+                statementImport: statementImport._id,
+                property: propertyId,
+                lineNumber: line.lineNumber,
+                date: line.date,
+                amount: line.amount,
+                currency,
+                transactionId: line.transactionId,
+                reference: line.reference,
+                description: line.description,
+                phoneNumber: line.phoneNumber,
+                raw: line.raw,
+                fingerprint: line.fingerprint
+            };
+
+            if (alreadyImported.has(line.fingerprint) || seen.has(line.fingerprint)) {
+                counts.duplicate++;
+                return new StatementLine({ ...base, status: 'duplicate', isDuplicate: true });
+            }
+            seen.add(line.fingerprint);
+
+            const result = classifyLine(line, openRents);
+            counts[result.status]++;
+
+            // Later lines in the same file should see the balance this line is expected to clear
+            if (result.status === 'matched') {
+                result.suggestedRent.amountPaid = roundCurrency((result.suggestedRent.amountPaid || 0) + line.amount);
+            }
+
+            return new StatementLine({
+                ...base,
+                status: result.status,
+                matchedRent: result.status === 'matched' ? result.suggestedRent._id : null,
+                candidates: result.candidates.map(candidate => ({
+                    rent: candidate.rent._id,
+                    score: candidate.score,
+                    reasons: candidate.reasons
+                }))
+            });
+        });
+
+        statementImport.counts = counts;
+        statementImport.totalAmount = roundCurrency(parsed.lines.reduce((sum, line) => sum + line.amount, 0));
+
+        await statementImport.save({ session });
+        await StatementLine.insertMany(lineDocs, { session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.STATEMENT_IMPORTED,
+            AUDIT_RESOURCE_TYPE_ENUM.Property,
+            propertyId,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Statement ${file.originalname} imported for property ${property.name} by ${currentUser.email}: ${counts.total} lines, ${counts.matched} matched, ${counts.ambiguous} ambiguous, ${counts.unmatched} unmatched, ${counts.duplicate} duplicates.`,
+                status: 'success',
+                newValue: { counts },
+                metadata: {
+                    statementImportId: statementImport._id,
+                    format: parsed.format,
+                    fileHash: statementImport.fileHash
+                }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`ReconciliationService - Error importing statement: ${error.message}`, {
+            userId: currentUser?._id,
+            propertyId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to import statement: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+
+    // Payments are recorded one line at a time once the import itself is committed, so a
+    // failure on one line leaves it in the review queue without losing the rest of the import
+    if (options.autoConfirm !== false) {
+        for (const line of lineDocs.filter(doc => doc.status === 'matched')) {
+            try {
+                const result = await postLinePayment(line, line.matchedRent, currentUser, ipAddress);
+                if (result.recorded) {
+                    statementImport.counts.matched--;
+                    statementImport.counts.confirmed++;
+                }
+            } catch (error) {
+                statementImport.counts.failed++;
+            }
+        }
+        statementImport.markModified('counts');
+        await statementImport.save();
+    }
+
+    logger.info(`ReconciliationService: Statement ${statementImport._id} imported for property ${propertyId}.`);
+
+    const lines = await StatementLine.find({ statementImport: statementImport._id })
+        .populate('matchedRent', 'billingPeriod amountDue amountPaid dueDate status')
+        .sort({ lineNumber: 1 });
+
+    return { statementImport, lines };
+};
+
+/**
+ * Lists statement imports for the properties the user manages
+ * @param {Object} currentUser - The authenticated user
+ * @param {Object} [filters={}] - { propertyId }
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=10] - Items per page
+ * @returns {Promise<Object>} Paginated imports
+ */
+const getStatementImports = async (currentUser, filters = {}, page = 1, limit = 10) => {
+    try {
+        const query = {};
+        const managedPropertyIds = await getManagedPropertyIds(currentUser);
+
+        if (filters.propertyId) {
+            const isAuthorized = await checkPropertyManagementPermission(currentUser, filters.propertyId);
+            if (!isAuthorized) {
+                throw new AppError('Not authorized to view statements for this property.', 403);
+            }
+            query.property = filters.propertyId;
+        } else if (managedPropertyIds) {
+            query.property = { $in: managedPropertyIds };
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [imports, total] = await Promise.all([
+            StatementImport.find(query)
+                .populate('property', 'name')
+                .populate('uploadedBy', 'firstName lastName email')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            StatementImport.countDocuments(query)
+        ]);
+
+        return {
+            imports,
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            pages: Math.ceil(total / parseInt(limit))
+        };
+    } catch (error) {
+        logger.error(`ReconciliationService - Error getting statement imports: ${error.message}`, {
+            userId: currentUser?._id,
+            filters
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get statement imports: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Gets a statement import with all of its lines
+ * @param {string} importId - StatementImport ID
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Object>} { statementImport, lines }
+ * @throws {AppError} If not found or unauthorized
+ */
+const getStatementImportById = async (importId, currentUser) => {
+    try {
+        const statementImport = await StatementImport.findById(importId)
+            .populate('property', 'name')
+            .populate('uploadedBy', 'firstName lastName email');
+
+        if (!statementImport) {
+            throw new AppError('Statement import not found.', 404);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, statementImport.property._id);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to view this statement.', 403);
+        }
+
+        const lines = await StatementLine.find({ statementImport: statementImport._id })
+            .populate('matchedRent', 'billingPeriod amountDue amountPaid dueDate status')
+            .populate('candidates.rent', 'billingPeriod amountDue amountPaid dueDate status tenant unit')
+            .sort({ lineNumber: 1 });
+
+        return { statementImport, lines };
+    } catch (error) {
+        logger.error(`ReconciliationService - Error getting statement import: ${error.message}`, {
+            userId: currentUser?._id,
+            importId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get statement import: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Gets statement lines waiting for a manager: ambiguous and unmatched lines by default,
+ * plus matched lines that were not confirmed automatically
+ * @param {Object} currentUser - The authenticated user
+ * @param {Object} [filters={}] - { propertyId, status, importId }
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=10] - Items per page
+ * @returns {Promise<Object>} Paginated lines with their candidate rent records
+ */
+const getReviewQueue = async (currentUser, filters = {}, page = 1, limit = 10) => {
+    try {
+        const query = {
+            status: filters.status ? filters.status : { $in: REVIEW_STATUSES }
+        };
+        const managedPropertyIds = await getManagedPropertyIds(currentUser);
+
+        if (filters.propertyId) {
+            const isAuthorized = await checkPropertyManagementPermission(currentUser, filters.propertyId);
+            if (!isAuthorized) {
+                throw new AppError('Not authorized to view statements for this property.', 403);
+            }
+            query.property = filters.propertyId;
+        } else if (managedPropertyIds) {
+            query.property = { $in: managedPropertyIds };
+        }
+
+        if (filters.importId) {
+            query.statementImport = filters.importId;
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [lines, total] = await Promise.all([
+            StatementLine.find(query)
+                .populate('property', 'name')
+                .populate('matchedRent', 'billingPeriod amountDue amountPaid dueDate status')
+                .populate({
+                    path: 'candidates.rent',
+                    select: 'billingPeriod amountDue amountPaid dueDate status tenant unit',
+                    populate: [
+                        { path: 'tenant', select: 'firstName lastName phone' },
+                        { path: 'unit', select: 'unitName' }
+                    ]
+                })
+                .sort({ date: -1, lineNumber: 1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            StatementLine.countDocuments(query)
+        ]);
+
+        return {
+            lines,
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            pages: Math.ceil(total / parseInt(limit))
+        };
+    } catch (error) {
+        logger.error(`ReconciliationService - Error getting review queue: ${error.message}`, {
+            userId: currentUser?._id,
+            filters
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get review queue: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Confirms a statement line against a rent record and records the payment, with the statement
+ * line as proof. Without a rentId the line's suggested match is used; a rentId reassigns it.
+ * @param {string} lineId - StatementLine ID
+ * @param {Object} [data={}] - { rentId }
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} { line, recorded, duplicate }
+ * @throws {AppError} If not found, already handled, unauthorized or the rent is not on the property
+ */
+const confirmStatementLine = async (lineId, data = {}, currentUser, ipAddress) => {
+    try {
+        const line = await StatementLine.findById(lineId);
+        if (!line) {
+            throw new AppError('Statement line not found.', 404);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, line.property);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to reconcile statements for this property.', 403);
+        }
+
+        if (!REVIEW_STATUSES.includes(line.status)) {
+            throw new AppError(`Statement line is already ${line.status}.`, 400);
+        }
+
+        const rentId = data.rentId || line.matchedRent || line.candidates[0]?.rent;
+        if (!rentId) {
+            throw new AppError('Choose the rent record this payment belongs to.', 400);
+        }
+
+        const rent = await Rent.findOne({ _id: rentId, isActive: true });
+        if (!rent) {
+            throw new AppError('Rent record not found.', 404);
+        }
+
+        if (rent.property.toString() !== line.property.toString()) {
+            throw new AppError('Rent record does not belong to the property this statement was imported for.', 400);
+        }
+
+        const result = await postLinePayment(line, rent._id, currentUser, ipAddress);
+
+        if (result.recorded) {
+            await StatementImport.updateOne(
+                { _id: line.statementImport },
+                { $inc: { 'counts.confirmed': 1, [`counts.${line.status}`]: -1 } }
+            );
+        }
+
+        return result;
+    } catch (error) {
+        logger.error(`ReconciliationService - Error confirming statement line: ${error.message}`, {
+            userId: currentUser?._id,
+            lineId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to confirm statement line: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Marks a statement line as not a rent payment (e.g. a refund or an unrelated transfer)
+ * @param {string} lineId - StatementLine ID
+ * @param {string} reason - Why the line is ignored
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Updated line
+ * @throws {AppError} If not found, already handled or unauthorized
+ */
+const ignoreStatementLine = async (lineId, reason, currentUser, ipAddress) => {
+    try {
+        const line = await StatementLine.findById(lineId);
+        if (!line) {
+            throw new AppError('Statement line not found.', 404);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, line.property);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to reconcile statements for this property.', 403);
+        }
+
+        const previousStatus = line.status;
+        const updated = await StatementLine.findOneAndUpdate(
+            { _id: line._id, status: { $in: REVIEW_STATUSES }, paymentRecordedAt: null },
+            {
+                $set: {
+                    status: 'ignored',
+                    matchedRent: null,
+                    confirmedBy: currentUser._id,
+                    confirmedAt: new Date(),
+                    notes: reason
+                }
+            },
+            { new: true }
+        );
+
+        if (!updated) {
+            throw new AppError(`Statement line is already ${line.status}.`, 400);
+        }
+
+        await StatementImport.updateOne({ _id: line.statementImport }, { $inc: { [`counts.${previousStatus}`]: -1 } });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.STATEMENT_LINE_IGNORED,
+            AUDIT_RESOURCE_TYPE_ENUM.Property,
+            line.property,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Statement line ${line.lineNumber} (${line.currency} ${line.amount.toLocaleString()}) ignored by ${currentUser.email}${reason ? `: ${reason}` : ''}.`,
+                status: 'success',
+                oldValue: { status: previousStatus },
+                newValue: { status: updated.status },
+                metadata: {
+                    statementLineId: line._id,
+                    statementImportId: line.statementImport
+                }
+            }
+        );
+
+        return updated;
+    } catch (error) {
+        logger.error(`ReconciliationService - Error ignoring statement line: ${error.message}`, {
+            userId: currentUser?._id,
+            lineId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to ignore statement line: ${error.message}`, 500);
+    }
+};
+
+module.exports = {
+    importStatement,
+    getStatementImports,
+    getStatementImportById,
+    getReviewQueue,
+    confirmStatementLine,
+    ignoreStatementLine
+};
@@ -0,0 +1,403 @@
+// src/services/rentEscalationService.js
+
+const mongoose = require('mongoose');
+const Lease = require('../models/lease');
+const RentSchedule = require('../models/rentSchedule');
+const PropertyUser = require('../models/propertyUser');
+const notificationService = require('./notificationService');
+const auditService = require('./auditService');
+const {
+    resolveEscalationRule,
+    planEscalation,
+    addMonths,
+    addDays
+} = require('../utils/rentEscalationUtils');
+const { IN_FORCE_LEASE_STATUSES } = require('../utils/leaseLifecycleUtils');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    PROPERTY_USER_ROLES_ENUM,
+    RENT_ESCALATION_TYPE_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const EMPTY_NOTICE = Object.freeze({ sentAt: null, effectiveDate: null, newAmount: null });
+
+/**
+ * Helper to check if a user has management permission for a given property
+ * @param {Object} user - The authenticated user
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkPropertyManagementPermission = async (user, propertyId) => {
+    try {
+        if (user.role === ROLE_ENUM.ADMIN) {
+            return true; // Admin has global access
+        }
+
+        const hasAccess = await PropertyUser.exists({
+            user: user._id,
+            property: propertyId,
+            isActive: true,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]}
+        });
+
+        return !!hasAccess;
+    } catch (error) {
+        logger.error(`RentEscalationService - Error checking property management permission: ${error.message}`, {
+            userId: user?._id,
+            propertyId
+        });
+        return false; // Fail safely
+    }
+};
+
+/**
+ * Sends the tenant advance notice of an increase and records it on the schedule, fixing the
+ * date and amount the increase will take effect at
+ * @param {Object} schedule - Populated RentSchedule document
+ * @param {Object} plan - Plan from planEscalation
+ * @param {Object} currentUser - The acting user (or the scheduler's system actor)
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<void>}
+ */
+const sendEscalationNotice = async (schedule, plan, currentUser, ipAddress) => {
+    await notificationService.sendRentEscalationNotice({
+        tenant: schedule.tenant,
+        property: schedule.property,
+        unit: schedule.unit,
+        schedule,
+        newAmount: plan.newAmount,
+        effectiveDate: plan.effectiveDate,
+        leaseLink: `${FRONTEND_URL}/leases/${schedule.lease._id}`
+    });
+
+    schedule.escalationNotice = {
+        sentAt: new Date(),
+        effectiveDate: plan.effectiveDate,
+        newAmount: plan.newAmount
+    };
+    await schedule.save();
+
+    await auditService.logActivity(
+        AUDIT_ACTION_ENUM.RENT_ESCALATION_NOTICE_SENT,
+        AUDIT_RESOURCE_TYPE_ENUM.Lease,
+        schedule.lease._id,
+        {
+            userId: currentUser._id,
+            ipAddress,
+            description: `Rent increase notice sent for lease ${schedule.lease._id}: ${schedule.currency} ${schedule.amount.toLocaleString()} to ${plan.newAmount.toLocaleString()} from ${plan.effectiveDate.toDateString()}.`,
+            status: 'success',
+            metadata: {
+                scheduleId: schedule._id,
+                currentAmount: schedule.amount,
+                newAmount: plan.newAmount,
+                escalationDate: plan.escalationDate,
+                effectiveDate: plan.effectiveDate
+            }
+        }
+    );
+};
+
+/**
+ * Closes a rent schedule the day before its increase takes effect and opens a new schedule at
+ * the escalated amount from the effective date
+ * @param {Object} schedule - Populated RentSchedule document
+ * @param {Object} plan - Plan from planEscalation
+ * @param {Object} currentUser - The acting user (or the scheduler's system actor)
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The new rent schedule
+ */
+const escalateSchedule = async (schedule, plan, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const current = await RentSchedule.findOne({ _id: schedule._id, isActive: true }).session(session);
+        if (!current) {
+            throw new AppError('Rent schedule is no longer active.', 409);
+        }
+
+        const lease = await Lease.findById(current.lease).session(session);
+        const effectiveDate = addDays(plan.effectiveDate, 0);
+        const closeDate = addDays(effectiveDate, -1);
+        closeDate.setHours(23, 59, 59, 999);
+
+        const originalEndDate = current.effectiveEndDate;
+        const ownRule = current.escalation?.enabled ? current.escalation.toObject() : null;
+
+        current.effectiveEndDate = closeDate;
+        current.isActive = false;
+        current.updatedBy = currentUser._id;
+        await current.save({ session });
+
+        const [newSchedule] = await RentSchedule.create([{
+            lease: current.lease,
+            tenant: current.tenant,
+            property: current.property,
+            unit: current.unit,
+            amount: plan.newAmount,
+            currency: current.currency,
+            dueDateDay: current.dueDateDay,
+            billingPeriod: current.billingPeriod,
+            effectiveStartDate: effectiveDate,
+            effectiveEndDate: originalEndDate && originalEndDate > effectiveDate ? originalEndDate : null,
+            isActive: true,
+            autoGenerateRent: current.autoGenerateRent,
+            lastGeneratedDate: current.lastGeneratedDate,
+            notes: `Escalated from ${current.currency} ${current.amount.toLocaleString()} under the lease escalation terms.`,
+            // An explicit next date on the rule is a one-off; later increases keep the same interval from it
+            escalation: ownRule ? {
+                ...ownRule,
+                nextEscalationDate: ownRule.nextEscalationDate ? addMonths(effectiveDate, ownRule.intervalMonths || 12) : null
+            } : null,
+            previousSchedule: current._id,
+            createdBy: currentUser._id || current.createdBy
+        }], { session });
+
+        const oldLeaseRent = lease?.monthlyRent;
+        if (lease) {
+            if (current.billingPeriod === 'monthly') {
+                lease.monthlyRent = plan.newAmount;
+            }
+            if (!ownRule && lease.rentEscalation?.nextEscalationDate) {
+                lease.rentEscalation.nextEscalationDate = addMonths(effectiveDate, lease.rentEscalation.intervalMonths || 12);
+            }
+            await lease.save({ session });
+        }
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.RENT_ESCALATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            current.lease,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Rent for lease ${current.lease} escalated from ${current.currency} ${current.amount.toLocaleString()} to ${plan.newAmount.toLocaleString()} effective ${effectiveDate.toDateString()}.`,
+                status: 'success',
+                oldValue: { scheduleId: current._id, amount: current.amount, monthlyRent: oldLeaseRent },
+                newValue: { scheduleId: newSchedule._id, amount: newSchedule.amount, monthlyRent: lease?.monthlyRent },
+                metadata: {
+                    closedScheduleEndDate: closeDate,
+                    effectiveDate,
+                    noticeSentAt: current.escalationNotice?.sentAt || null
+                }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`RentEscalationService: Rent schedule ${current._id} escalated to ${newSchedule._id}.`);
+
+        return newSchedule;
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Sends due rent increase notices and applies increases whose notice period has ended.
+ * Safe to run repeatedly: a notice is sent once per increase and a schedule is only escalated
+ * while it is still active.
+ * @param {Date} [asOfDate=new Date()] - Date to process escalations for
+ * @param {Object} currentUser - The authenticated user (or the scheduler's system actor)
+ * @param {string} ipAddress - Request IP address
+ * @param {Object} [filters={}] - Optional filters: propertyId, leaseId
+ * @returns {Promise<Object>} Counts of processed, notified, escalated, skipped and failed schedules
+ * @throws {AppError} If unauthorized
+ */
+const processRentEscalations = async (asOfDate = new Date(), currentUser, ipAddress, filters = {}) => {
+    try {
+        const targetDate = new Date(asOfDate);
+        const query = { isActive: true };
+
+        if (filters.propertyId) {
+            const isAuthorized = await checkPropertyManagementPermission(currentUser, filters.propertyId);
+            if (!isAuthorized) {
+                throw new AppError('Not authorized to process rent escalations for this property.', 403);
+            }
+            query.property = filters.propertyId;
+        } else if (currentUser.role !== ROLE_ENUM.ADMIN) {
+            const managedProperties = await PropertyUser.find({
+                user: currentUser._id,
+                roles: { $in: [
+                    PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                    PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                    PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+                ]},
+                isActive: true
+            }).distinct('property');
+
+            query.property = { $in: managedProperties };
+        }
+
+        if (filters.leaseId) {
+            query.lease = filters.leaseId;
+        }
+
+        const schedules = await RentSchedule.find(query)
+            .populate('lease', 'status leaseStartDate leaseEndDate rentEscalation monthlyRent')
+            .populate('property', 'name')
+            .populate('unit', 'unitName')
+            .populate('tenant', 'firstName lastName email phone');
+
+        const results = {
+            processed: 0,
+            notified: 0,
+            escalated: 0,
+            skipped: 0,
+            failed: 0,
+            details: []
+        };
+
+        for (const schedule of schedules) {
+            const rule = resolveEscalationRule(schedule, schedule.lease);
+            if (!rule) {
+                continue;
+            }
+
+            results.processed++;
+
+            if (!schedule.lease || !IN_FORCE_LEASE_STATUSES.includes(schedule.lease.status)) {
+                results.skipped++;
+                results.details.push({ schedule: schedule._id, status: 'skipped', reason: 'Lease is not active' });
+                continue;
+            }
+
+            try {
+                let plan = planEscalation(rule, schedule, schedule.lease, targetDate);
+
+                if (plan.action === 'notice') {
+                    await sendEscalationNotice(schedule, plan, currentUser, ipAddress);
+                    results.notified++;
+                    results.details.push({ schedule: schedule._id, status: 'notified', effectiveDate: plan.effectiveDate, newAmount: plan.newAmount });
+
+                    // With no notice period the increase can take effect straight away
+                    plan = planEscalation(rule, schedule, schedule.lease, targetDate);
+                }
+
+                if (plan.action === 'escalate') {
+                    const newSchedule = await escalateSchedule(schedule, plan, currentUser, ipAddress);
+                    results.escalated++;
+                    results.details.push({ schedule: schedule._id, status: 'escalated', newSchedule: newSchedule._id, newAmount: plan.newAmount });
+                } else if (plan.action === 'none') {
+                    results.skipped++;
+                }
+            } catch (error) {
+                results.failed++;
+                results.details.push({ schedule: schedule._id, status: 'failed', reason: error.message });
+                logger.error(`RentEscalationService - Error processing escalation for schedule ${schedule._id}: ${error.message}`);
+            }
+        }
+
+        logger.info(`RentEscalationService: Sent ${results.notified} rent increase notice(s) and escalated ${results.escalated} schedule(s).`);
+
+        return results;
+    } catch (error) {
+        logger.error(`RentEscalationService - Error processing rent escalations: ${error.message}`, {
+            userId: currentUser?._id,
+            filters
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to process rent escalations: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Sets the escalation rule on a lease or on a single rent schedule. Disabling a rule withdraws
+ * any increase that has been announced but not yet applied; changing an enabled rule does not
+ * alter an increase the tenant has already been notified of.
+ * @param {string} resourceType - 'lease' or 'schedule'
+ * @param {string} resourceId - Lease or RentSchedule ID
+ * @param {Object} ruleData - Rule fields (see RentEscalationSchema)
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The saved rule
+ * @throws {AppError} If resource not found, rule invalid, or unauthorized
+ */
+const updateEscalationRule = async (resourceType, resourceId, ruleData, currentUser, ipAddress) => {
+    try {
+        const Model = resourceType === 'lease' ? Lease : RentSchedule;
+        const label = resourceType === 'lease' ? 'Lease' : 'Rent schedule';
+
+        const doc = await Model.findById(resourceId);
+        if (!doc) {
+            throw new AppError(`${label} not found.`, 404);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, doc.property);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to change the rent escalation rule.', 403);
+        }
+
+        if (ruleData.escalationType && !RENT_ESCALATION_TYPE_ENUM.includes(ruleData.escalationType)) {
+            throw new AppError(`Invalid escalation type. Must be one of: ${RENT_ESCALATION_TYPE_ENUM.join(', ')}`, 400);
+        }
+
+        const field = resourceType === 'lease' ? 'rentEscalation' : 'escalation';
+        const oldRule = doc[field] ? doc[field].toObject() : null;
+
+        doc[field] = {
+            ...(oldRule || {}),
+            ...ruleData
+        };
+        doc.updatedBy = currentUser._id;
+
+        if (!doc[field].enabled && resourceType === 'schedule') {
+            doc.escalationNotice = { ...EMPTY_NOTICE };
+        }
+
+        await doc.save();
+
+        // Schedules without their own rule follow the lease's, so their pending increase goes with it
+        if (!doc[field].enabled && resourceType === 'lease') {
+            await RentSchedule.updateMany(
+                { lease: doc._id, isActive: true, 'escalation.enabled': { $ne: true } },
+                { $set: { escalationNotice: { ...EMPTY_NOTICE } } }
+            );
+        }
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.RENT_ESCALATION_RULE_UPDATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            resourceType === 'lease' ? doc._id : doc.lease,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Rent escalation rule for ${resourceType} ${doc._id} updated by ${currentUser.email}.`,
+                status: 'success',
+                oldValue: oldRule,
+                newValue: doc[field].toObject(),
+                metadata: { resourceType, resourceId: doc._id }
+            }
+        );
+
+        return doc[field];
+    } catch (error) {
+        logger.error(`RentEscalationService - Error updating escalation rule: ${error.message}`, {
+            userId: currentUser?._id,
+            resourceType,
+            resourceId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to update rent escalation rule: ${error.message}`, 500);
+    }
+};
+
+module.exports = {
+    processRentEscalations,
+    updateEscalationRule
+};
@@ -9,9 +9,20 @@ const Unit = require('../models/unit');
 const User = require('../models/user');
 const PropertyUser = require('../models/propertyUser');
 const Media = require('../models/media');
+const LeasePayment = require('../models/leasePayment');
+const MeterReading = require('../models/meterReading');
 const auditService = require('./auditService');
 const notificationService = require('./notificationService');
+const invoiceService = require('./invoiceService');
+const documentGenerationService = require('./documentGenerationService');
 const { uploadFile, deleteFile } = require('../utils/fileUpload');
+const { allocatePayment } = require('../utils/paymentAllocationUtils');
+const { roundCurrency } = require('../utils/lateFeeUtils');
+const { isValidBillingPeriodLabel, getBillingPeriod, getPeriodDueDate, prorateForPeriod } = require('../utils/billingPeriodUtils');
+const { calculatePeriodCharges } = require('../utils/leaseChargeUtils');
+const { buildUtilityChargeLines } = require('../utils/meterUtils');
+const { calculateRentTaxes, sumTaxes } = require('../utils/taxUtils');
+const { IN_FORCE_LEASE_STATUSES } = require('../utils/leaseLifecycleUtils');
 const logger = require('../utils/logger');
 const AppError = require('../utils/AppError');
 
@@ -21,7 +32,8 @@ const {
     PAYMENT_STATUS_ENUM,
     AUDIT_ACTION_ENUM,
     AUDIT_RESOURCE_TYPE_ENUM,
-    NOTIFICATION_TYPE_ENUM
+    NOTIFICATION_TYPE_ENUM,
+    RENT_BILLING_PERIOD_ENUM
 } = require('../utils/constants/enums');
 
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
@@ -87,13 +99,162 @@ const checkRentRecordAccess = async (user, rent) => {
     }
 };
 
+/**
+ * Adds a payment to a rent record's history and updates the paid amount and status.
+ * The caller is responsible for saving the record.
+ * @param {Object} rent - Rent document
+ * @param {Object} payment - Payment details
+ * @param {number} payment.amount - Amount applied to this record
+ * @param {Date} payment.date - Payment date
+ * @param {string} [payment.method] - Payment method
+ * @param {string} [payment.transactionId] - Transaction ID
+ * @param {string} [payment.notes] - Notes
+ * @param {string} [payment.source='payment'] - 'payment' for new money, 'credit' when drawn from the lease credit balance
+ * @param {string} [payment.leasePayment] - LeasePayment ID when part of a lease-level payment
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Object} The updated (unsaved) rent document
+ */
+const applyPaymentToRent = (rent, payment, currentUser) => {
+    rent.paymentHistory.push({
+        date: new Date(payment.date),
+        amount: payment.amount,
+        method: payment.method,
+        transactionId: payment.transactionId,
+        notes: payment.notes,
+        source: payment.source || 'payment',
+        leasePayment: payment.leasePayment || null,
+        recordedBy: currentUser._id
+    });
+
+    rent.amountPaid = (rent.amountPaid || 0) + payment.amount;
+    rent.paymentDate = new Date(payment.date);
+    rent.paymentMethod = payment.method || rent.paymentMethod;
+    rent.transactionId = payment.transactionId || rent.transactionId;
+    rent.notes = payment.notes || rent.notes;
+
+    // Update status based on payment (late fees must be cleared too)
+    if (rent.amountPaid >= rent.totalDue) {
+        rent.status = 'paid';
+    } else if (rent.amountPaid > 0) {
+        rent.status = 'partially_paid';
+    }
+
+    rent.updatedBy = currentUser._id;
+
+    return rent;
+};
+
+/**
+ * Renders the PDF receipt for a numbered payment, links it to the payment and, unless told not
+ * to, sends it to the tenant. Runs after the payment is committed, so a failure is logged and
+ * the receipt can be produced later from getPaymentReceipt.
+ * @param {string} rentId - Rent record ID
+ * @param {string} paymentId - Payment history entry ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.notify=true] - Send the receipt to the tenant
+ * @returns {Promise<Object|null>} Receipt Media document, or null if it could not be produced
+ */
+const issuePaymentReceipt = async (rentId, paymentId, currentUser, ipAddress, options = {}) => {
+    const { notify = true } = options;
+
+    try {
+        const rent = await Rent.findById(rentId)
+            .populate('property', 'name address')
+            .populate('unit', 'unitName')
+            .populate('tenant', 'firstName lastName email phone')
+            .populate('paymentHistory.recordedBy', 'firstName lastName');
+        const payment = rent?.paymentHistory.id(paymentId);
+        if (!payment || !payment.receiptNumber) {
+            return null;
+        }
+
+        const totalDue = rent.totalDue;
+        const document = await documentGenerationService.generateAndUploadDocument(
+            'payment_receipt',
+            {
+                receiptNumber: payment.receiptNumber,
+                tenantName: `${rent.tenant?.firstName || ''} ${rent.tenant?.lastName || ''}`.trim() || 'Tenant',
+                tenantEmail: rent.tenant?.email,
+                propertyName: rent.property?.name,
+                propertyAddress: rent.property?.address,
+                unitName: rent.unit?.unitName,
+                currency: rent.currency,
+                amount: payment.amount,
+                paymentDate: payment.date,
+                paymentMethod: payment.method,
+                transactionId: payment.transactionId,
+                billingPeriod: rent.billingPeriod,
+                amountDue: rent.amountDue,
+                charges: rent.charges,
+                taxTotal: rent.taxTotal,
+                withholdingTotal: rent.withholdingTotal,
+                lateFeeTotal: rent.lateFeeTotal,
+                totalPaid: rent.amountPaid,
+                balance: roundCurrency(Math.max(totalDue - rent.amountPaid, 0)),
+                recordedBy: payment.recordedBy ? `${payment.recordedBy.firstName} ${payment.recordedBy.lastName}` : null,
+                notes: payment.notes
+            },
+            {
+                relatedResourceType: 'Rent',
+                relatedResourceId: rent._id,
+                userId: currentUser._id,
+                ipAddress,
+                userName: `${currentUser.firstName || ''} ${currentUser.lastName || ''}`.trim()
+            }
+        );
+
+        await Rent.updateOne(
+            { _id: rent._id, 'paymentHistory._id': payment._id },
+            { $set: { 'paymentHistory.$.receipt': document._id } }
+        );
+        payment.receipt = document._id;
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.RECEIPT_ISSUED,
+            AUDIT_RESOURCE_TYPE_ENUM.Rent,
+            rent._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Receipt ${payment.receiptNumber} for ${rent.currency} ${payment.amount.toLocaleString()} issued for rent ${rent._id}.`,
+                status: 'success',
+                metadata: { paymentId: payment._id, receiptNumber: payment.receiptNumber, documentId: document._id }
+            }
+        );
+
+        if (notify && rent.tenant) {
+            try {
+                await notificationService.sendPaymentReceiptNotification({
+                    rent,
+                    payment,
+                    tenant: rent.tenant,
+                    property: rent.property,
+                    unit: rent.unit,
+                    documentLink: document.url,
+                    rentLink: `${FRONTEND_URL}/rents/${rent._id}`
+                });
+            } catch (notificationError) {
+                logger.warn(`RentService: Failed to send receipt ${payment.receiptNumber} to tenant: ${notificationError.message}`);
+                // Continue even if notification fails
+            }
+        }
+
+        return document;
+    } catch (error) {
+        logger.warn(`RentService: Failed to issue receipt for payment ${paymentId} on rent ${rentId}: ${error.message}`);
+        return null;
+    }
+};
+
 /**
  * Creates a new rent record
  * @param {Object} rentData - Rent data
  * @param {string} rentData.lease - Lease ID
  * @param {number} rentData.amountDue - Amount due
  * @param {Date} rentData.dueDate - Due date
- * @param {string} rentData.billingPeriod - Billing period (YYYY-MM)
+ * @param {string} rentData.billingPeriod - Billing period label (YYYY-MM, YYYY-Q1, YYYY-H1, YYYY, YYYY-W01 or YYYY-W01-W02)
  * @param {string} [rentData.status='due'] - Initial status
  * @param {Object} currentUser - The authenticated user
  * @param {string} ipAddress - Request IP address
@@ -135,9 +296,9 @@ const createRentRecord = async (rentData, currentUser, ipAddress) => {
             throw new AppError('Not authorized to create rent records for this lease.', 403);
         }
 
-        // Validate billing period format (YYYY-MM)
-        if (!billingPeriod.match(/^\d{4}-\d{2}$/)) {
-            throw new AppError('Billing period must be in YYYY-MM format.', 400);
+        // Validate billing period label
+        if (!isValidBillingPeriodLabel(billingPeriod)) {
+            throw new AppError('Billing period must be a valid period label (e.g. 2025-03, 2025-Q1, 2025-H1, 2025, 2025-W09).', 400);
         }
 
         // Check for duplicate rent record
@@ -309,8 +470,8 @@ const getAllRentRecords = async (currentUser, filters, page = 1, limit = 10) =>
         }
         
         if (filters.billingPeriod) {
-            if (!filters.billingPeriod.match(/^\d{4}-\d{2}$/)) {
-                throw new AppError('Billing period must be in YYYY-MM format.', 400);
+            if (!isValidBillingPeriodLabel(filters.billingPeriod)) {
+                throw new AppError('Billing period must be a valid period label (e.g. 2025-03, 2025-Q1, 2025-H1, 2025, 2025-W09).', 400);
             }
             query.billingPeriod = filters.billingPeriod;
         }
@@ -529,8 +690,8 @@ const updateRentRecord = async (rentId, updateData, currentUser, ipAddress) => {
         const oldRent = rent.toObject();
 
         // Validate billing period if provided
-        if (updateData.billingPeriod && !updateData.billingPeriod.match(/^\d{4}-\d{2}$/)) {
-            throw new AppError('Billing period must be in YYYY-MM format.', 400);
+        if (updateData.billingPeriod && !isValidBillingPeriodLabel(updateData.billingPeriod)) {
+            throw new AppError('Billing period must be a valid period label (e.g. 2025-03, 2025-Q1, 2025-H1, 2025, 2025-W09).', 400);
         }
 
         // Apply updates
@@ -559,6 +720,9 @@ const updateRentRecord = async (rentId, updateData, currentUser, ipAddress) => {
         // Save changes
         const updatedRent = await rent.save({ session });
 
+        // Keep any invoice carrying this rent in step
+        await invoiceService.syncRentInvoices([updatedRent._id], session);
+
         // Create audit log
         await auditService.logActivity(
             AUDIT_ACTION_ENUM.UPDATE,
@@ -722,41 +886,30 @@ const recordRentPayment = async (rentId, paymentData, file, currentUser, ipAddre
             }
         }
 
-        // Add payment to history
-        rent.paymentHistory.push({
-            date: new Date(paymentDate),
+        // Add payment to history and update payment info and status
+        applyPaymentToRent(rent, {
             amount: parseFloat(amountPaid),
+            date: paymentDate,
             method: paymentMethod,
             transactionId,
-            notes,
-            recordedBy: currentUser._id
-        });
-        
-        // Update payment info
-        rent.amountPaid = (rent.amountPaid || 0) + parseFloat(amountPaid);
-        rent.paymentDate = new Date(paymentDate);
-        rent.paymentMethod = paymentMethod || rent.paymentMethod;
-        rent.transactionId = transactionId || rent.transactionId;
-        rent.notes = notes || rent.notes;
+            notes
+        }, currentUser);
+
+        // Number the receipt with the payment so the sequence has no gaps
+        const payment = rent.paymentHistory[rent.paymentHistory.length - 1];
+        payment.receiptNumber = await invoiceService.nextDocumentNumber(rent.property, 'receipt', paymentDate, session);
         
         // Set payment proof if uploaded
         if (mediaDoc) {
             rent.paymentProof = mediaDoc._id;
         }
-        
-        // Update status based on payment
-        if (rent.amountPaid >= rent.amountDue) {
-            rent.status = 'paid';
-        } else if (rent.amountPaid > 0) {
-            rent.status = 'partially_paid';
-        }
-        
-        // Update tracking fields
-        rent.updatedBy = currentUser._id;
 
         // Save changes
         const updatedRent = await rent.save({ session });
 
+        // Keep any invoice carrying this rent in step
+        await invoiceService.syncRentInvoices([updatedRent._id], session);
+
         // Create audit log
         await auditService.logActivity(
             AUDIT_ACTION_ENUM.PAYMENT_RECORDED,
@@ -876,6 +1029,8 @@ const recordRentPayment = async (rentId, paymentData, file, currentUser, ipAddre
         
         logger.info(`RentService: Payment of ${updatedRent.currency} ${amountPaid.toLocaleString()} recorded for rent ${updatedRent._id} by ${currentUser.email}.`);
         
+        await issuePaymentReceipt(updatedRent._id, payment._id, currentUser, ipAddress);
+
         // Return populated rent record
         return Rent.findById(updatedRent._id)
             .populate('lease', 'leaseStartDate leaseEndDate monthlyRent')
@@ -901,6 +1056,318 @@ const recordRentPayment = async (rentId, paymentData, file, currentUser, ipAddre
     }
 };
 
+/**
+ * Records a lump-sum payment against a lease and allocates it across the lease's open
+ * rent records, oldest due date first unless explicit allocations are given.
+ * Anything left over is added to the lease's credit balance, which is applied to the next
+ * rent record created by generateRentRecords. Each rent record paid gets its own receipt.
+ * @param {string} leaseId - Lease ID
+ * @param {Object} paymentData - Payment data
+ * @param {number} paymentData.amountPaid - Amount paid
+ * @param {Date} paymentData.paymentDate - Payment date
+ * @param {string} [paymentData.paymentMethod] - Payment method
+ * @param {string} [paymentData.transactionId] - Transaction ID
+ * @param {string} [paymentData.notes] - Notes
+ * @param {Array<Object>|string} [paymentData.allocations] - Explicit allocations: [{ rent, amount }] (JSON string for multipart requests)
+ * @param {Object} [file] - Optional payment proof file
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} The lease payment with its allocations and the lease's new credit balance
+ * @throws {AppError} If lease not found, allocations invalid, or unauthorized
+ */
+const recordLeasePayment = async (leaseId, paymentData, file, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { amountPaid, paymentDate, paymentMethod, transactionId, notes } = paymentData;
+
+        if (!amountPaid || !paymentDate) {
+            throw new AppError('Amount paid and payment date are required.', 400);
+        }
+
+        const amount = parseFloat(amountPaid);
+        if (!(amount > 0)) {
+            throw new AppError('Amount paid must be greater than zero.', 400);
+        }
+
+        let instructions = paymentData.allocations || [];
+        if (typeof instructions === 'string') {
+            try {
+                instructions = JSON.parse(instructions);
+            } catch (parseError) {
+                throw new AppError('Allocations must be a valid JSON array.', 400);
+            }
+        }
+
+        const lease = await Lease.findById(leaseId).session(session);
+        if (!lease) {
+            throw new AppError('Lease not found.', 404);
+        }
+
+        // Lease has the same tenant/property fields the rent access check uses
+        const isAuthorized = await checkRentRecordAccess(currentUser, lease);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to record payments for this lease.', 403);
+        }
+
+        const openRents = await Rent.find({
+            lease: lease._id,
+            isActive: true,
+            status: { $in: ['due', 'overdue', 'partially_paid'] }
+        }).session(session);
+
+        let allocation;
+        try {
+            allocation = allocatePayment(amount, openRents, instructions);
+        } catch (allocationError) {
+            throw new AppError(allocationError.message, 400);
+        }
+
+        // Upload payment proof if provided
+        let mediaDoc = null;
+        if (file) {
+            try {
+                const uploadResult = await uploadFile(
+                    file.buffer,
+                    file.mimetype,
+                    file.originalname,
+                    'payment_proofs'
+                );
+
+                mediaDoc = new Media({
+                    filename: file.originalname,
+                    originalname: file.originalname,
+                    mimeType: file.mimetype,
+                    size: file.size,
+                    url: uploadResult.url,
+                    thumbnailUrl: uploadResult.thumbnailUrl || null,
+                    uploadedBy: currentUser._id,
+                    relatedTo: AUDIT_RESOURCE_TYPE_ENUM.Lease,
+                    relatedId: lease._id,
+                    description: `Payment proof for lease payment of ${lease.currency} ${amount.toLocaleString()}`,
+                    tags: ['payment', 'proof'],
+                    isPublic: false
+                });
+
+                await mediaDoc.save({ session });
+            } catch (error) {
+                throw new AppError(`Failed to upload payment proof: ${error.message}`, 500);
+            }
+        }
+
+        const leasePayment = new LeasePayment({
+            lease: lease._id,
+            tenant: lease.tenant,
+            property: lease.property,
+            unit: lease.unit,
+            amount,
+            currency: lease.currency,
+            paymentDate: new Date(paymentDate),
+            paymentMethod,
+            transactionId,
+            notes,
+            paymentProof: mediaDoc ? mediaDoc._id : null,
+            strategy: instructions.length > 0 ? 'explicit' : 'oldest_first',
+            allocations: allocation.allocations.map(({ rent, amount: allocated }) => ({
+                rent: rent._id,
+                billingPeriod: rent.billingPeriod,
+                amount: allocated
+            })),
+            creditAmount: allocation.unallocated,
+            recordedBy: currentUser._id
+        });
+
+        const receipts = [];
+        for (const { rent, amount: allocated } of allocation.allocations) {
+            applyPaymentToRent(rent, {
+                amount: allocated,
+                date: paymentDate,
+                method: paymentMethod,
+                transactionId,
+                notes,
+                leasePayment: leasePayment._id
+            }, currentUser);
+
+            // Each rent record gets its own receipt, numbered with the payment
+            const payment = rent.paymentHistory[rent.paymentHistory.length - 1];
+            payment.receiptNumber = await invoiceService.nextDocumentNumber(rent.property, 'receipt', paymentDate, session);
+            receipts.push({ rentId: rent._id, paymentId: payment._id });
+
+            if (mediaDoc) {
+                rent.paymentProof = mediaDoc._id;
+            }
+
+            await rent.save({ session });
+        }
+
+        const oldCreditBalance = lease.creditBalance || 0;
+        if (allocation.unallocated > 0) {
+            lease.creditBalance = roundCurrency(oldCreditBalance + allocation.unallocated);
+            lease.updatedBy = currentUser._id;
+            await lease.save({ session });
+        }
+
+        await leasePayment.save({ session });
+
+        await invoiceService.syncRentInvoices(allocation.allocations.map(({ rent }) => rent._id), session);
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.PAYMENT_ALLOCATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            lease._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Payment of ${lease.currency} ${amount.toLocaleString()} allocated across ${allocation.allocations.length} rent record(s) for lease ${lease._id} by ${currentUser.email}.`,
+                status: 'success',
+                oldValue: { creditBalance: oldCreditBalance },
+                newValue: { creditBalance: lease.creditBalance },
+                metadata: {
+                    leasePaymentId: leasePayment._id,
+                    strategy: leasePayment.strategy,
+                    allocations: leasePayment.allocations,
+                    creditAmount: allocation.unallocated,
+                    paymentMethod,
+                    transactionId
+                }
+            },
+            { session }
+        );
+
+        // Tenant-recorded payments go to the managers, manager-recorded ones to the tenant
+        const tenant = await User.findById(lease.tenant).session(session);
+        const periods = leasePayment.allocations.map(item => item.billingPeriod).join(', ') || 'no open periods';
+        const creditNote = allocation.unallocated > 0
+            ? ` ${lease.currency} ${allocation.unallocated.toLocaleString()} is held as credit.`
+            : '';
+
+        let recipients = [];
+        if (tenant && currentUser._id.toString() === tenant._id.toString()) {
+            const propertyManagers = await PropertyUser.find({
+                property: lease.property,
+                roles: { $in: [PROPERTY_USER_ROLES_ENUM.LANDLORD, PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER] },
+                isActive: true
+            })
+                .populate('user')
+                .session(session);
+
+            recipients = propertyManagers.map(pm => ({
+                user: pm.user,
+                type: NOTIFICATION_TYPE_ENUM.PAYMENT_RECEIVED,
+                message: `${tenant.firstName} ${tenant.lastName} has recorded a payment of ${lease.currency} ${amount.toLocaleString()} covering ${periods}.${creditNote}`
+            }));
+        } else if (tenant) {
+            recipients = [{
+                user: tenant,
+                type: NOTIFICATION_TYPE_ENUM.PAYMENT_RECORDED,
+                message: `A payment of ${lease.currency} ${amount.toLocaleString()} has been recorded against your lease, covering ${periods}.${creditNote}`
+            }];
+        }
+
+        for (const recipient of recipients) {
+            try {
+                await notificationService.sendNotification({
+                    recipientId: recipient.user._id,
+                    type: recipient.type,
+                    message: recipient.message,
+                    link: `${FRONTEND_URL}/leases/${lease._id}`,
+                    relatedResourceType: AUDIT_RESOURCE_TYPE_ENUM.Lease,
+                    relatedResourceId: lease._id,
+                    emailDetails: {
+                        subject: 'Rent Payment Recorded',
+                        html: `<p>Hello ${recipient.user.firstName},</p><p>${recipient.message}</p><p><a href="${FRONTEND_URL}/leases/${lease._id}">View Lease Account</a></p>`,
+                        text: `Hello ${recipient.user.firstName}, ${recipient.message} View details at: ${FRONTEND_URL}/leases/${lease._id}`
+                    },
+                    senderId: currentUser._id
+                }, { session });
+            } catch (notificationError) {
+                logger.warn(`Failed to send lease payment notification: ${notificationError.message}`);
+                // Continue even if a notification fails
+            }
+        }
+
+        await session.commitTransaction();
+
+        logger.info(`RentService: Lease payment of ${lease.currency} ${amount.toLocaleString()} allocated for lease ${lease._id} by ${currentUser.email}. Credit held: ${allocation.unallocated}.`);
+
+        for (const { rentId, paymentId } of receipts) {
+            await issuePaymentReceipt(rentId, paymentId, currentUser, ipAddress);
+        }
+
+        const savedPayment = await LeasePayment.findById(leasePayment._id)
+            .populate('allocations.rent', 'billingPeriod amountDue amountPaid dueDate status')
+            .populate('paymentProof');
+
+        return {
+            payment: savedPayment,
+            creditBalance: lease.creditBalance || 0
+        };
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`RentService - Error recording lease payment: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to record lease payment: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Gets the lease-level payments recorded against a lease
+ * @param {string} leaseId - Lease ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=10] - Items per page
+ * @returns {Promise<Object>} Paginated payments and the lease's current credit balance
+ * @throws {AppError} If lease not found or unauthorized
+ */
+const getLeasePayments = async (leaseId, currentUser, page = 1, limit = 10) => {
+    try {
+        const lease = await Lease.findById(leaseId);
+        if (!lease) {
+            throw new AppError('Lease not found.', 404);
+        }
+
+        const isAuthorized = await checkRentRecordAccess(currentUser, lease);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to view payments for this lease.', 403);
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [payments, total] = await Promise.all([
+            LeasePayment.find({ lease: lease._id })
+                .populate('allocations.rent', 'billingPeriod amountDue amountPaid dueDate status')
+                .populate('recordedBy', 'firstName lastName email')
+                .sort({ paymentDate: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            LeasePayment.countDocuments({ lease: lease._id })
+        ]);
+
+        return {
+            payments,
+            creditBalance: lease.creditBalance || 0,
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            pages: Math.ceil(total / parseInt(limit))
+        };
+    } catch (error) {
+        logger.error(`RentService - Error getting lease payments: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get lease payments: ${error.message}`, 500);
+    }
+};
+
 /**
  * Deletes a rent record (soft delete)
  * @param {string} rentId - Rent record ID
@@ -1245,6 +1712,7 @@ const getRentHistory = async (currentUser, filters) => {
             .populate('unit', 'unitName')
             .populate('tenant', 'firstName lastName email avatar')
             .populate('paymentProof')
+            .populate('lateFees.waivedBy', 'firstName lastName email')
             .sort({ dueDate: -1 }); // Most recent first
 
         // Log access
@@ -1551,6 +2019,132 @@ const downloadPaymentProof = async (rentId, currentUser, ipAddress) => {
     }
 };
 
+/**
+ * Numbers the receipt of a payment recorded before receipts were numbered. The number is only
+ * kept if the payment still has none when it is written, so concurrent downloads neither burn
+ * numbers nor overwrite each other; the one that loses gets the winner's number.
+ * @param {Object} rent - Rent record
+ * @param {Object} payment - Payment history entry without a receipt number
+ * @returns {Promise<string>} The payment's receipt number
+ */
+const assignReceiptNumber = async (rent, payment) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const receiptNumber = await invoiceService.nextDocumentNumber(rent.property, 'receipt', payment.date, session);
+        const result = await Rent.updateOne(
+            { _id: rent._id, paymentHistory: { $elemMatch: { _id: payment._id, receiptNumber: null } } },
+            { $set: { 'paymentHistory.$.receiptNumber': receiptNumber } },
+            { session }
+        );
+
+        if (result.modifiedCount === 0) {
+            // Numbered by another request in the meantime; give the sequence number back
+            await session.abortTransaction();
+
+            const current = await Rent.findById(rent._id).select('paymentHistory');
+            const existingNumber = current?.paymentHistory.id(payment._id)?.receiptNumber;
+            if (!existingNumber) {
+                throw new AppError('No payment found for this rent record.', 404);
+            }
+            return existingNumber;
+        }
+
+        await session.commitTransaction();
+        return receiptNumber;
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+        throw error;
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Gets the receipt for a payment on a rent record (the latest payment unless one is given).
+ * Receipts that failed to render, and payments recorded before receipts were numbered, are
+ * produced on demand.
+ * @param {string} rentId - Rent record ID
+ * @param {string} [paymentId] - Payment history entry ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} { downloadUrl, fileName, mimeType, receiptNumber }
+ * @throws {AppError} If rent record or payment not found, or unauthorized
+ */
+const getPaymentReceipt = async (rentId, paymentId, currentUser, ipAddress) => {
+    try {
+        const rent = await Rent.findOne({
+            _id: rentId,
+            isActive: true
+        });
+
+        if (!rent) {
+            throw new AppError('Rent record not found.', 404);
+        }
+
+        // Check authorization
+        const isAuthorized = await checkRentRecordAccess(currentUser, rent);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to view receipts for this rent record.', 403);
+        }
+
+        const payments = rent.paymentHistory.filter(entry => entry.source !== 'credit');
+        const payment = paymentId
+            ? payments.find(entry => entry._id.toString() === paymentId.toString())
+            : payments[payments.length - 1];
+        if (!payment) {
+            throw new AppError('No payment found for this rent record.', 404);
+        }
+
+        if (!payment.receiptNumber) {
+            payment.receiptNumber = await assignReceiptNumber(rent, payment);
+        }
+
+        let mediaDoc = payment.receipt ? await Media.findById(payment.receipt) : null;
+        if (!mediaDoc) {
+            mediaDoc = await issuePaymentReceipt(rent._id, payment._id, currentUser, ipAddress, { notify: false });
+            if (!mediaDoc) {
+                throw new AppError('The receipt could not be generated. Please try again later.', 500);
+            }
+        }
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.FILE_DOWNLOAD,
+            AUDIT_RESOURCE_TYPE_ENUM.Media,
+            mediaDoc._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Receipt ${payment.receiptNumber} downloaded for rent ${rent._id} by ${currentUser.email}.`,
+                status: 'success',
+                metadata: {
+                    rentId: rent._id,
+                    paymentId: payment._id,
+                    mediaId: mediaDoc._id
+                }
+            }
+        );
+
+        return {
+            downloadUrl: mediaDoc.url,
+            fileName: `${payment.receiptNumber}.pdf`,
+            mimeType: mediaDoc.mimeType,
+            receiptNumber: payment.receiptNumber
+        };
+    } catch (error) {
+        logger.error(`RentService - Error getting payment receipt: ${error.message}`, {
+            userId: currentUser?._id,
+            rentId,
+            paymentId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get payment receipt: ${error.message}`, 500);
+    }
+};
+
 /**
  * Creates a rent schedule for automatic rent generation
  * @param {Object} scheduleData - Schedule data
@@ -1605,8 +2199,8 @@ const createRentSchedule = async (scheduleData, currentUser, ipAddress) => {
         }
 
         // Validate billing period
-        if (!['monthly', 'quarterly', 'semi_annual', 'annual'].includes(billingPeriod.toLowerCase())) {
-            throw new AppError(`Invalid billing period: ${billingPeriod}. Must be one of: monthly, quarterly, semi_annual, annual`, 400);
+        if (!RENT_BILLING_PERIOD_ENUM.includes(billingPeriod.toLowerCase())) {
+            throw new AppError(`Invalid billing period: ${billingPeriod}. Must be one of: ${RENT_BILLING_PERIOD_ENUM.join(', ')}`, 400);
         }
 
         // Check for overlapping schedules
@@ -1902,8 +2496,8 @@ const updateRentSchedule = async (scheduleId, updateData, currentUser, ipAddress
             if (updateData[field] !== undefined) {
                 if (field === 'billingPeriod') {
                     const period = updateData[field].toLowerCase();
-                    if (!['monthly', 'quarterly', 'semi_annual', 'annual'].includes(period)) {
-                        throw new AppError(`Invalid billing period: ${updateData[field]}. Must be one of: monthly, quarterly, semi_annual, annual`, 400);
+                    if (!RENT_BILLING_PERIOD_ENUM.includes(period)) {
+                        throw new AppError(`Invalid billing period: ${updateData[field]}. Must be one of: ${RENT_BILLING_PERIOD_ENUM.join(', ')}`, 400);
                     }
                     schedule[field] = period;
                 } else if (field === 'currency') {
@@ -2071,7 +2665,14 @@ const deleteRentSchedule = async (scheduleId, currentUser, ipAddress) => {
 };
 
 /**
- * Generates rent records based on schedules
+ * Generates rent records based on schedules.
+ * Each schedule is billed for the period of its own billingPeriod (week, fortnight, month, quarter,
+ * half-year or year) that contains forDate. When the lease starts or ends part-way through that
+ * period the amount is prorated by day and the calculation is kept on the rent record.
+ * Recurring charges on the lease (service charge, parking...) that fall due in the period are
+ * billed on the same record as separate charge lines, as is metered utility consumption read by
+ * the end of the period that has not been billed yet.
+ * Credit held on a lease (from overpayments) is applied to the newly created record.
  * @param {Date} [forDate=new Date()] - Date to generate rent for
  * @param {Object} [options={}] - Generation options
  * @param {boolean} [options.forceGeneration=false] - Force generation even if already generated
@@ -2091,18 +2692,22 @@ const generateRentRecords = async (forDate = new Date(), options = {}, currentUs
         }
 
         const targetDate = new Date(forDate);
+        const targetLabel = targetDate.toISOString().split('T')[0];
+
+        // Periods containing targetDate lie somewhere between the start of its year (annual) and
+        // two weeks either side of it (bi-weekly); each schedule is checked against its own period below
         const year = targetDate.getFullYear();
-        const month = targetDate.getMonth() + 1;
-        const billingPeriod = `${year}-${month.toString().padStart(2, '0')}`;
+        const windowStart = new Date(Math.min(new Date(year, 0, 1), targetDate - 14 * 24 * 60 * 60 * 1000));
+        const windowEnd = new Date(Math.max(new Date(year, 11, 31, 23, 59, 59, 999), targetDate.getTime() + 14 * 24 * 60 * 60 * 1000));
         
         // Find applicable schedules
         let scheduleQuery = {
             isActive: true,
             autoGenerateRent: true,
-            effectiveStartDate: { $lte: targetDate },
+            effectiveStartDate: { $lte: windowEnd },
             $or: [
                 { effectiveEndDate: null },
-                { effectiveEndDate: { $gte: targetDate } }
+                { effectiveEndDate: { $gte: windowStart } }
             ]
         };
         
@@ -2130,8 +2735,9 @@ const generateRentRecords = async (forDate = new Date(), options = {}, currentUs
             scheduleQuery.property = { $in: userAssociatedProperties };
         }
         
-        // Get applicable schedules
+        // Get applicable schedules, oldest first so the earliest schedule bills a shared period
         const schedules = await RentSchedule.find(scheduleQuery)
+            .sort({ effectiveStartDate: 1 })
             .populate('lease')
             .populate('property')
             .populate('unit')
@@ -2148,9 +2754,20 @@ const generateRentRecords = async (forDate = new Date(), options = {}, currentUs
         
         // Process each schedule
         for (const schedule of schedules) {
+            const period = getBillingPeriod(schedule.billingPeriod || 'monthly', targetDate, schedule.effectiveStartDate);
+            const billingPeriod = period.label;
+
+            // Schedules picked up by the query window that are not in force during this period
+            const periodEnd = new Date(period.end);
+            periodEnd.setHours(23, 59, 59, 999);
+            if (schedule.effectiveStartDate > periodEnd ||
+                (schedule.effectiveEndDate && schedule.effectiveEndDate < period.start)) {
+                continue;
+            }
+
             try {
-                // Skip if lease is not active
-                if (schedule.lease.status !== 'active') {
+                // Skip if lease is not in force; a renewed lease stays in force until its own term ends
+                if (!IN_FORCE_LEASE_STATUSES.includes(schedule.lease.status)) {
                     results.skipped++;
                     results.details.push({
                         lease: schedule.lease._id,
@@ -2163,6 +2780,21 @@ const generateRentRecords = async (forDate = new Date(), options = {}, currentUs
                     });
                     continue;
                 }
+
+                if (schedule.lease.leaseStartDate > periodEnd ||
+                    (schedule.lease.leaseEndDate && schedule.lease.leaseEndDate < period.start)) {
+                    results.skipped++;
+                    results.details.push({
+                        lease: schedule.lease._id,
+                        tenant: schedule.tenant._id,
+                        property: schedule.property._id,
+                        unit: schedule.unit._id,
+                        billingPeriod,
+                        status: 'skipped',
+                        reason: 'Lease does not cover this period'
+                    });
+                    continue;
+                }
                 
                 // Check if rent record already exists for this period
                 const existingRent = await Rent.findOne({
@@ -2184,9 +2816,50 @@ const generateRentRecords = async (forDate = new Date(), options = {}, currentUs
                     });
                     continue;
                 }
-                
-                // Calculate due date based on dueDateDay
-                const dueDate = new Date(year, month - 1, schedule.dueDateDay);
+
+                // Prorate partial first/last periods by the days the lease is in force
+                const { amountDue, chargeStart, chargeEnd, proration } = prorateForPeriod(
+                    schedule.amount,
+                    period,
+                    { start: schedule.lease.leaseStartDate, end: schedule.lease.leaseEndDate },
+                    schedule.currency
+                );
+
+                // Recurring lease charges falling due in this period
+                const charges = calculatePeriodCharges(
+                    schedule.lease.charges,
+                    period,
+                    { start: schedule.lease.leaseStartDate, end: schedule.lease.leaseEndDate },
+                    schedule.currency
+                );
+
+                // Metered utility readings taken during the lease and not yet billed (or already
+                // on this record when it is regenerated)
+                const utilityReadings = await MeterReading.find({
+                    unit: schedule.unit._id,
+                    billable: true,
+                    'charge.currency': schedule.currency,
+                    $or: [
+                        { status: 'recorded', rent: null, readAt: { $gte: schedule.lease.leaseStartDate, $lte: periodEnd } },
+                        ...(existingRent ? [{ rent: existingRent._id }] : [])
+                    ]
+                })
+                    .populate('meter', 'unitOfMeasure')
+                    .sort({ readAt: 1 })
+                    .session(session);
+                charges.push(...buildUtilityChargeLines(utilityReadings));
+
+                // Tax on the rent and each charge from the property's rules in force when the period starts
+                const taxes = calculateRentTaxes(
+                    [{ category: 'rent', amount: amountDue }, ...charges.map(charge => ({ category: charge.category, amount: charge.amount }))],
+                    schedule.property.taxRules,
+                    { date: chargeStart, withholdsTax: schedule.lease.withholdsTax }
+                );
+
+                // Due date from dueDateDay, kept within the days actually charged
+                let dueDate = getPeriodDueDate(schedule.billingPeriod || 'monthly', period, schedule.dueDateDay);
+                if (dueDate < chargeStart) dueDate = chargeStart;
+                if (dueDate > chargeEnd) dueDate = chargeEnd;
                 
                 // Create new rent record
                 const rentData = {
@@ -2195,26 +2868,80 @@ const generateRentRecords = async (forDate = new Date(), options = {}, currentUs
                     property: schedule.property._id,
                     unit: schedule.unit._id,
                     billingPeriod,
-                    amountDue: schedule.amount,
+                    periodStart: period.start,
+                    periodEnd: period.end,
+                    proration,
+                    amountDue,
+                    charges,
+                    taxes,
                     currency: schedule.currency,
                     dueDate,
                     status: 'due',
-                    notes: `Auto-generated rent for ${billingPeriod}`,
+                    notes: proration.applied
+                        ? `Auto-generated prorated rent for ${billingPeriod}: ${proration.calculation}`
+                        : `Auto-generated rent for ${billingPeriod}`,
                     isActive: true,
                     createdBy: currentUser._id
                 };
                 
                 // If a record already exists and we're forcing generation, update it
+                let creditApplied = 0;
+                let rentRecord;
                 if (existingRent && options.forceGeneration) {
                     Object.assign(existingRent, rentData);
                     existingRent.updatedBy = currentUser._id;
                     await existingRent.save({ session });
+                    rentRecord = existingRent;
                 } else {
                     // Create new record
                     const newRent = new Rent(rentData);
+                    rentRecord = newRent;
+
+                    // Draw down any overpayment held on the lease
+                    const creditBalance = schedule.lease.creditBalance || 0;
+                    if (creditBalance > 0) {
+                        creditApplied = Math.min(creditBalance, newRent.totalDue);
+                        applyPaymentToRent(newRent, {
+                            amount: creditApplied,
+                            date: new Date(),
+                            method: 'credit',
+                            notes: 'Applied from lease credit balance',
+                            source: 'credit'
+                        }, currentUser);
+                    }
+
                     await newRent.save({ session });
+
+                    if (creditApplied > 0) {
+                        schedule.lease.creditBalance = roundCurrency(creditBalance - creditApplied);
+                        await schedule.lease.save({ session });
+
+                        await auditService.logActivity(
+                            AUDIT_ACTION_ENUM.CREDIT_APPLIED,
+                            AUDIT_RESOURCE_TYPE_ENUM.Rent,
+                            newRent._id,
+                            {
+                                userId: currentUser._id,
+                                ipAddress,
+                                description: `Lease credit of ${newRent.currency} ${creditApplied.toLocaleString()} applied to rent for ${billingPeriod}.`,
+                                status: 'success',
+                                oldValue: { creditBalance },
+                                newValue: { creditBalance: schedule.lease.creditBalance, amountPaid: newRent.amountPaid, status: newRent.status },
+                                metadata: { lease: schedule.lease._id, billingPeriod }
+                            },
+                            { session }
+                        );
+                    }
                 }
                 
+                if (utilityReadings.length > 0) {
+                    await MeterReading.updateMany(
+                        { _id: { $in: utilityReadings.map(reading => reading._id) } },
+                        { $set: { status: 'billed', rent: rentRecord._id, billedAt: new Date() } },
+                        { session }
+                    );
+                }
+
                 // Update schedule's lastGeneratedDate
                 schedule.lastGeneratedDate = new Date();
                 await schedule.save({ session });
@@ -2227,7 +2954,12 @@ const generateRentRecords = async (forDate = new Date(), options = {}, currentUs
                     unit: schedule.unit._id,
                     billingPeriod,
                     status: 'generated',
-                    amount: schedule.amount,
+                    amount: amountDue,
+                    chargeTotal: roundCurrency(charges.reduce((sum, charge) => sum + charge.amount, 0)),
+                    utilityReadings: utilityReadings.length,
+                    ...sumTaxes(taxes),
+                    prorated: proration.applied,
+                    creditApplied,
                     dueDate
                 });
             } catch (error) {
@@ -2255,10 +2987,9 @@ const generateRentRecords = async (forDate = new Date(), options = {}, currentUs
             {
                 userId: currentUser._id,
                 ipAddress,
-                description: `Rent generation for ${billingPeriod} by ${currentUser.email}. Generated: ${results.generated}, Skipped: ${results.skipped}, Failed: ${results.failed}`,
+                description: `Rent generation for ${targetLabel} by ${currentUser.email}. Generated: ${results.generated}, Skipped: ${results.skipped}, Failed: ${results.failed}`,
                 status: 'success',
                 metadata: {
-                    billingPeriod,
                     forDate: targetDate,
                     results
                 }
@@ -2268,7 +2999,7 @@ const generateRentRecords = async (forDate = new Date(), options = {}, currentUs
 
         await session.commitTransaction();
         
-        logger.info(`RentService: Rent generation for ${billingPeriod} completed by ${currentUser.email}. Generated: ${results.generated}, Skipped: ${results.skipped}, Failed: ${results.failed}`);
+        logger.info(`RentService: Rent generation for ${targetLabel} completed by ${currentUser.email}. Generated: ${results.generated}, Skipped: ${results.skipped}, Failed: ${results.failed}`);
         
         return results;
     } catch (error) {
@@ -2291,11 +3022,14 @@ module.exports = {
     getRentRecordById,
     updateRentRecord,
     recordRentPayment,
+    recordLeasePayment,
+    getLeasePayments,
     deleteRentRecord,
     getUpcomingRent,
     getRentHistory,
     uploadPaymentProof,
     downloadPaymentProof,
+    getPaymentReceipt,
     createRentSchedule,
     getRentSchedules,
     updateRentSchedule,
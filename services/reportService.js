@@ -8,7 +8,21 @@ const Property = require('../models/property');
 const User = require('../models/user');
 const Vendor = require('../models/vendor');
 const PropertyUser = require('../models/propertyUser');
+const Unit = require('../models/unit');
+const RentSchedule = require('../models/rentSchedule');
+const SecurityDeposit = require('../models/securityDeposit');
+const Expense = require('../models/expense');
+const Invoice = require('../models/invoice');
 const { createAuditLog } = require('./auditService');
+const { getDunningPosition } = require('../utils/dunningUtils');
+const { calculateOutstandingAsOf, buildAgingReport, AGING_BUCKETS, AGING_GROUP_BY } = require('../utils/agingUtils');
+const { daysBetween, roundCurrency } = require('../utils/lateFeeUtils');
+const { findLeaseAsOf, findScheduleAsOf, toMonthlyAmount, calculateDepositHeldAsOf, summarizeRentRoll } = require('../utils/rentRollUtils');
+const { getBudgetYearRange, buildBudgetVsActual } = require('../utils/budgetUtils');
+const { buildTaxSummary } = require('../utils/taxUtils');
+const { REPORT_EXPORT_FORMATS, toCsvFields, calculateReportTotals, describeReportFilters, formatReportTitle } = require('../utils/reportExportUtils');
+const { generatePdf, generateReportPdf } = require('../lib/pdfGenerator');
+const { generateReportXlsx } = require('../lib/xlsxGenerator');
 const logger = require('../utils/logger');
 const AppError = require('../utils/AppError');
 const { Parser } = require('json2csv'); // For CSV export
@@ -466,8 +480,18 @@ const generateRentCollectionReport = async (filters, user) => {
             tenantEmail: rent.tenant?.email || 'N/A',
             propertyName: rent.property?.name || 'N/A',
             unitName: rent.unit?.unitName || 'N/A',
+            currency: rent.currency,
             amountDue: rent.amountDue,
+            charges: rent.chargeTotal,
+            tax: rent.taxTotal,
+            taxWithheld: rent.withholdingTotal,
+            lateFees: rent.lateFeeTotal,
+            lateFeesWaived: (rent.lateFees || [])
+                .filter(fee => fee.status === 'waived')
+                .reduce((sum, fee) => sum + fee.amount, 0),
+            totalDue: rent.totalDue,
             amountPaid: rent.amountPaid,
+            balanceDue: rent.balanceDue,
             dueDate: rent.dueDate,
             paymentDate: rent.paymentDate,
             status: rent.status,
@@ -491,6 +515,515 @@ const generateRentCollectionReport = async (filters, user) => {
     return reportData;
 };
 
+/**
+ * Generates a dunning report showing where each overdue rent record sits in its property's
+ * dunning sequence, plus records whose sequence was resolved by payment.
+ * @param {object} filters - Filtering criteria (propertyId, unitId, tenantId, dunningStatus).
+ * @param {object} user - The authenticated user.
+ * @returns {Promise<Array<object>>} Array of dunning position data.
+ * @throws {AppError} If user not authorized.
+ */
+const generateDunningReport = async (filters, user) => {
+    let rentQuery = {
+        isActive: { $ne: false },
+        $or: [
+            { status: { $in: ['due', 'overdue', 'partially_paid'] }, dueDate: { $lt: new Date() } },
+            { 'dunning.status': { $ne: null } }
+        ]
+    };
+
+    // Authorization and filtering based on user role
+    if (user.role === ROLE_ENUM.ADMIN) {
+        // Admin can see everything
+    } else if ([ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER].includes(user.role)) {
+        const userAssociatedProperties = await PropertyUser.find({
+            user: user._id,
+            roles: { $in: [PROPERTY_USER_ROLES_ENUM.LANDLORD, PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER, PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS] },
+            isActive: true
+        }).distinct('property');
+
+        if (userAssociatedProperties.length === 0) {
+            return [];
+        }
+        rentQuery.property = { $in: userAssociatedProperties };
+    } else {
+        throw new AppError('Not authorized to generate dunning reports.', 403);
+    }
+
+    // Apply filters
+    if (filters.propertyId) {
+        if (rentQuery.property && !rentQuery.property.$in.map(id => id.toString()).includes(filters.propertyId)) {
+            throw new AppError('Not authorized to view reports for this property.', 403);
+        }
+        rentQuery.property = filters.propertyId;
+    }
+    if (filters.unitId) {
+        rentQuery.unit = filters.unitId;
+    }
+    if (filters.tenantId) {
+        rentQuery.tenant = filters.tenantId;
+    }
+
+    const rents = await Rent.find(rentQuery)
+        .populate('tenant', 'firstName lastName email phone')
+        .populate('property', 'name dunningPolicy')
+        .populate('unit', 'unitName')
+        .sort({ dueDate: 1 });
+
+    const asOfDate = new Date();
+    let reportData = rents.map(rent => {
+        const position = getDunningPosition(rent.property?.dunningPolicy, rent, asOfDate);
+
+        return {
+            id: rent._id,
+            billingPeriod: rent.billingPeriod,
+            tenantName: rent.tenant ? `${rent.tenant.firstName} ${rent.tenant.lastName}` : 'N/A',
+            tenantEmail: rent.tenant?.email || 'N/A',
+            tenantPhone: rent.tenant?.phone || 'N/A',
+            propertyName: rent.property?.name || 'N/A',
+            unitName: rent.unit?.unitName || 'N/A',
+            currency: rent.currency,
+            totalDue: rent.totalDue,
+            amountPaid: rent.amountPaid,
+            balanceDue: rent.balanceDue,
+            dueDate: rent.dueDate,
+            rentStatus: rent.status,
+            daysOverdue: position.status === 'resolved' ? 0 : position.daysOverdue,
+            dunningStatus: position.status,
+            stepsSent: position.stepsSent,
+            totalSteps: position.totalSteps,
+            lastStep: position.lastStep,
+            lastSentAt: position.lastSentAt,
+            nextStep: position.nextStep,
+            nextStepDate: position.nextStepDate,
+            escalated: (rent.dunning?.history || []).some(entry => entry.escalated),
+            resolvedAt: rent.dunning?.resolvedAt || null,
+        };
+    });
+
+    if (filters.dunningStatus) {
+        reportData = reportData.filter(row => row.dunningStatus === filters.dunningStatus);
+    }
+
+    await createAuditLog({
+        action: AUDIT_ACTION_ENUM.GENERATE_REPORT,
+        user: user._id,
+        resourceType: AUDIT_RESOURCE_TYPE_ENUM.Report,
+        description: `User ${user.email} generated dunning report.`,
+        status: 'success',
+        metadata: { reportType: 'dunning', filters }
+    });
+
+    return reportData;
+};
+
+/**
+ * Generates a receivables aging report: rent and late fees outstanding at the end of a date,
+ * bucketed into current / 1-30 / 31-60 / 61-90 / 90+ days past due per tenant, unit or property.
+ * @param {object} filters - Filtering criteria (propertyId, unitId, tenantId, asOfDate, groupBy).
+ * @param {object} user - The authenticated user.
+ * @returns {Promise<object>} { asOfDate, groupBy, buckets, rows, totals } with totals per currency.
+ * @throws {AppError} If user not authorized or filters are invalid.
+ */
+const generateReceivablesAgingReport = async (filters, user) => {
+    const asOfDate = filters.asOfDate ? new Date(filters.asOfDate) : new Date();
+    const groupBy = filters.groupBy || 'tenant';
+    const buckets = AGING_BUCKETS.map(({ key, label }) => ({ key, label }));
+
+    if (isNaN(asOfDate.getTime())) {
+        throw new AppError('Invalid asOfDate.', 400);
+    }
+    if (!AGING_GROUP_BY.includes(groupBy)) {
+        throw new AppError(`Invalid groupBy. Must be one of: ${AGING_GROUP_BY.join(', ')}`, 400);
+    }
+
+    const endOfDay = new Date(asOfDate);
+    endOfDay.setHours(23, 59, 59, 999);
+
+    // Open records, plus records paid off after the date that were still owed on it
+    let rentQuery = {
+        isActive: { $ne: false },
+        createdAt: { $lte: endOfDay },
+        $or: [
+            { status: { $in: ['due', 'overdue', 'partially_paid'] } },
+            { status: 'paid', paymentDate: { $gt: endOfDay } }
+        ]
+    };
+
+    // Authorization and filtering based on user role
+    if (user.role === ROLE_ENUM.ADMIN) {
+        // Admin can see everything
+    } else if ([ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER].includes(user.role)) {
+        const userAssociatedProperties = await PropertyUser.find({
+            user: user._id,
+            roles: { $in: [PROPERTY_USER_ROLES_ENUM.LANDLORD, PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER, PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS] },
+            isActive: true
+        }).distinct('property');
+
+        if (userAssociatedProperties.length === 0) {
+            return { asOfDate, groupBy, buckets, rows: [], totals: [] };
+        }
+        rentQuery.property = { $in: userAssociatedProperties };
+    } else {
+        throw new AppError('Not authorized to generate receivables aging reports.', 403);
+    }
+
+    // Apply filters
+    if (filters.propertyId) {
+        if (rentQuery.property && !rentQuery.property.$in.map(id => id.toString()).includes(filters.propertyId)) {
+            throw new AppError('Not authorized to view reports for this property.', 403);
+        }
+        rentQuery.property = filters.propertyId;
+    }
+    if (filters.unitId) {
+        rentQuery.unit = filters.unitId;
+    }
+    if (filters.tenantId) {
+        rentQuery.tenant = filters.tenantId;
+    }
+
+    const rents = await Rent.find(rentQuery)
+        .populate('tenant', 'firstName lastName')
+        .populate('property', 'name')
+        .populate('unit', 'unitName');
+
+    const items = rents.map(rent => ({
+        tenant: rent.tenant ? { id: rent.tenant._id, name: `${rent.tenant.firstName} ${rent.tenant.lastName}` } : null,
+        unit: rent.unit ? { id: rent.unit._id, name: rent.unit.unitName } : null,
+        property: rent.property ? { id: rent.property._id, name: rent.property.name } : null,
+        currency: rent.currency,
+        balance: calculateOutstandingAsOf(rent, asOfDate),
+        daysPastDue: daysBetween(rent.dueDate, asOfDate)
+    }));
+
+    const { rows, totals } = buildAgingReport(items, groupBy);
+
+    await createAuditLog({
+        action: AUDIT_ACTION_ENUM.GENERATE_REPORT,
+        user: user._id,
+        resourceType: AUDIT_RESOURCE_TYPE_ENUM.Report,
+        description: `User ${user.email} generated receivables aging report.`,
+        status: 'success',
+        metadata: { reportType: 'receivables_aging', filters }
+    });
+
+    return { asOfDate, groupBy, buckets, rows, totals };
+};
+
+/**
+ * Generates a rent roll for a property: every unit with its tenant, lease dates, contracted
+ * rent, deposit held, balance owed and occupancy as of a date.
+ * @param {object} filters - Filtering criteria (propertyId is required, asOfDate defaults to today).
+ * @param {object} user - The authenticated user.
+ * @returns {Promise<object>} { property, asOfDate, rows, summary }
+ * @throws {AppError} If user not authorized, property not found or filters are invalid.
+ */
+const generateRentRollReport = async (filters, user) => {
+    if (!filters.propertyId) {
+        throw new AppError('A property is required for the rent roll.', 400);
+    }
+
+    const asOfDate = filters.asOfDate ? new Date(filters.asOfDate) : new Date();
+    if (isNaN(asOfDate.getTime())) {
+        throw new AppError('Invalid asOfDate.', 400);
+    }
+
+    if (![ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER].includes(user.role)) {
+        throw new AppError('Not authorized to generate rent roll reports.', 403);
+    }
+    const isAuthorized = await checkPropertyManagementPermission(user, filters.propertyId);
+    if (!isAuthorized) {
+        throw new AppError('Not authorized to view reports for this property.', 403);
+    }
+
+    const property = await Property.findById(filters.propertyId).select('name address');
+    if (!property) {
+        throw new AppError('Property not found.', 404);
+    }
+
+    const endOfDay = new Date(asOfDate);
+    endOfDay.setHours(23, 59, 59, 999);
+
+    const [units, leases] = await Promise.all([
+        Unit.find({ property: property._id, isActive: { $ne: false } }).sort({ unitName: 1 }),
+        Lease.find({ property: property._id, status: { $ne: 'draft' }, leaseStartDate: { $lte: endOfDay } })
+            .populate('tenant', 'firstName lastName email phone')
+    ]);
+
+    const leasesByUnit = new Map();
+    for (const lease of leases) {
+        const unitId = lease.unit.toString();
+        leasesByUnit.set(unitId, [...(leasesByUnit.get(unitId) || []), lease]);
+    }
+
+    const currentLeases = new Map();
+    for (const unit of units) {
+        const lease = findLeaseAsOf(leasesByUnit.get(unit._id.toString()), asOfDate);
+        if (lease) {
+            currentLeases.set(unit._id.toString(), lease);
+        }
+    }
+    const leaseIds = [...currentLeases.values()].map(lease => lease._id);
+
+    const [schedules, deposits, rents] = await Promise.all([
+        RentSchedule.find({ lease: { $in: leaseIds } }),
+        SecurityDeposit.find({ lease: { $in: leaseIds } }),
+        Rent.find({
+            lease: { $in: leaseIds },
+            isActive: { $ne: false },
+            status: { $ne: 'waived' },
+            createdAt: { $lte: endOfDay }
+        })
+    ]);
+
+    const balances = new Map();
+    for (const rent of rents) {
+        const leaseId = rent.lease.toString();
+        balances.set(leaseId, (balances.get(leaseId) || 0) + calculateOutstandingAsOf(rent, asOfDate));
+    }
+
+    const rows = units.map(unit => {
+        const lease = currentLeases.get(unit._id.toString());
+        const base = {
+            unitId: unit._id,
+            unitName: unit.unitName,
+            floor: unit.floor,
+            numBedrooms: unit.numBedrooms,
+            marketRent: unit.rentAmount
+        };
+
+        if (!lease) {
+            return {
+                ...base,
+                // Units out of service keep their status; anything else without a lease is vacant
+                occupancyStatus: ['under_maintenance', 'unavailable'].includes(unit.status) ? unit.status : 'vacant',
+                tenantName: '',
+                tenantEmail: '',
+                leaseId: null,
+                leaseStatus: '',
+                leaseStartDate: null,
+                leaseEndDate: null,
+                currency: 'UGX',
+                contractedRent: 0,
+                billingPeriod: '',
+                monthlyRent: 0,
+                depositRequired: 0,
+                depositHeld: 0,
+                balance: 0
+            };
+        }
+
+        const leaseId = lease._id.toString();
+        const schedule = findScheduleAsOf(schedules.filter(s => s.lease.toString() === leaseId), asOfDate);
+        const deposit = deposits.find(d => d.lease.toString() === leaseId);
+        const contractedRent = schedule ? schedule.amount : lease.monthlyRent;
+        const billingPeriod = schedule ? schedule.billingPeriod : 'monthly';
+
+        return {
+            ...base,
+            occupancyStatus: 'occupied',
+            tenantName: lease.tenant ? `${lease.tenant.firstName} ${lease.tenant.lastName}` : 'N/A',
+            tenantEmail: lease.tenant?.email || '',
+            leaseId: lease._id,
+            leaseStatus: lease.status,
+            leaseStartDate: lease.leaseStartDate,
+            leaseEndDate: lease.leaseEndDate,
+            currency: schedule?.currency || lease.currency,
+            contractedRent,
+            billingPeriod,
+            monthlyRent: toMonthlyAmount(contractedRent, billingPeriod),
+            depositRequired: deposit ? deposit.amountRequired : (lease.securityDeposit || 0),
+            depositHeld: calculateDepositHeldAsOf(deposit, asOfDate),
+            balance: roundCurrency(balances.get(leaseId) || 0)
+        };
+    });
+
+    await createAuditLog({
+        action: AUDIT_ACTION_ENUM.GENERATE_REPORT,
+        user: user._id,
+        resourceType: AUDIT_RESOURCE_TYPE_ENUM.Report,
+        description: `User ${user.email} generated rent roll for property ${property.name}.`,
+        status: 'success',
+        metadata: { reportType: 'rent_roll', filters }
+    });
+
+    return {
+        property: { id: property._id, name: property.name, address: property.address },
+        asOfDate,
+        rows,
+        summary: summarizeRentRoll(rows)
+    };
+};
+
+/**
+ * Compares a property's expenses with its annual operating budget for a calendar year,
+ * month by month and by category, with the budget alerts sent that year.
+ * @param {object} filters - Filtering criteria (propertyId is required, year defaults to the current year).
+ * @param {object} user - The authenticated user.
+ * @returns {Promise<object>} { property, year, currency, annualBudget, months, categories, totals, excluded, alertsSent }
+ * @throws {AppError} If user not authorized, property not found or filters are invalid.
+ */
+const generateBudgetVsActualReport = async (filters, user) => {
+    if (!filters.propertyId) {
+        throw new AppError('A property is required for the budget report.', 400);
+    }
+
+    const year = filters.year ? parseInt(filters.year, 10) : new Date().getFullYear();
+    if (isNaN(year)) {
+        throw new AppError('Invalid year.', 400);
+    }
+
+    if (![ROLE_ENUM.ADMIN, ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER].includes(user.role)) {
+        throw new AppError('Not authorized to generate budget reports.', 403);
+    }
+    const isAuthorized = await checkPropertyManagementPermission(user, filters.propertyId);
+    if (!isAuthorized) {
+        throw new AppError('Not authorized to view reports for this property.', 403);
+    }
+
+    const property = await Property.findById(filters.propertyId).select('name annualOperatingBudget budgetAlertPolicy');
+    if (!property) {
+        throw new AppError('Property not found.', 404);
+    }
+
+    const { start, end } = getBudgetYearRange(year);
+    const expenses = await Expense.find({
+        property: property._id,
+        status: 'recorded',
+        expenseDate: { $gte: start, $lte: end }
+    }).select('amount currency category expenseDate').lean();
+
+    const policy = property.budgetAlertPolicy;
+    const report = buildBudgetVsActual({
+        annualBudget: property.annualOperatingBudget || 0,
+        expenses,
+        year,
+        currency: policy?.currency || 'UGX'
+    });
+
+    await createAuditLog({
+        action: AUDIT_ACTION_ENUM.GENERATE_REPORT,
+        user: user._id,
+        resourceType: AUDIT_RESOURCE_TYPE_ENUM.Report,
+        description: `User ${user.email} generated budget vs actual report for property ${property.name} (${year}).`,
+        status: 'success',
+        metadata: { reportType: 'budget_vs_actual', filters }
+    });
+
+    return {
+        property: { id: property._id, name: property.name },
+        ...report,
+        alertsSent: (policy?.sent || []).filter(alert => alert.year === year)
+    };
+};
+
+/**
+ * Summarizes the tax charged and withheld in a period for filing, by month, property and tax.
+ * Rent records are counted by due date; invoice lines not billed through a rent record (which
+ * is already counted) by issue date, with credit notes reducing the tax.
+ * @param {object} filters - Filtering criteria (startDate and endDate default to the current month; propertyId is optional).
+ * @param {object} user - The authenticated user.
+ * @returns {Promise<object>} { startDate, endDate, rows, totals }
+ * @throws {AppError} If user not authorized or filters are invalid.
+ */
+const generateTaxSummaryReport = async (filters, user) => {
+    const now = new Date();
+    const startDate = filters.startDate ? new Date(filters.startDate) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const endDate = filters.endDate ? new Date(filters.endDate) : new Date(now.getFullYear(), now.getMonth() + 1, 0);
+    if (isNaN(startDate) || isNaN(endDate) || endDate < startDate) {
+        throw new AppError('Invalid date range for the tax summary.', 400);
+    }
+    endDate.setHours(23, 59, 59, 999);
+
+    let propertyFilter = null;
+    if (user.role === ROLE_ENUM.ADMIN) {
+        // Admin can see everything
+    } else if ([ROLE_ENUM.LANDLORD, ROLE_ENUM.PROPERTY_MANAGER].includes(user.role)) {
+        const userAssociatedProperties = await PropertyUser.find({
+            user: user._id,
+            roles: { $in: [PROPERTY_USER_ROLES_ENUM.LANDLORD, PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER, PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS] },
+            isActive: true
+        }).distinct('property');
+        propertyFilter = { $in: userAssociatedProperties };
+    } else {
+        throw new AppError('Not authorized to generate tax reports.', 403);
+    }
+
+    if (filters.propertyId) {
+        if (propertyFilter && !propertyFilter.$in.map(id => id.toString()).includes(filters.propertyId)) {
+            throw new AppError('Not authorized to view reports for this property.', 403);
+        }
+        propertyFilter = filters.propertyId;
+    }
+
+    const scope = propertyFilter ? { property: propertyFilter } : {};
+    const toPeriod = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+    const [rents, invoices] = await Promise.all([
+        Rent.find({
+            ...scope,
+            isActive: true,
+            status: { $ne: 'waived' },
+            dueDate: { $gte: startDate, $lte: endDate },
+            'taxes.0': { $exists: true }
+        }).populate('property', 'name').select('property dueDate currency taxes').lean(),
+        Invoice.find({
+            ...scope,
+            status: { $nin: ['draft', 'void'] },
+            issueDate: { $gte: startDate, $lte: endDate },
+            'items.taxes.0': { $exists: true }
+        }).populate('property', 'name').select('type property issueDate currency items').lean()
+    ]);
+
+    const entries = [];
+    for (const rent of rents) {
+        for (const tax of rent.taxes) {
+            entries.push({
+                period: toPeriod(rent.dueDate),
+                propertyId: rent.property?._id?.toString(),
+                propertyName: rent.property?.name || 'N/A',
+                currency: rent.currency,
+                name: tax.name,
+                type: tax.type,
+                rate: tax.rate,
+                base: tax.base,
+                amount: tax.amount
+            });
+        }
+    }
+    for (const invoice of invoices) {
+        const sign = invoice.type === 'credit_note' ? -1 : 1;
+        for (const item of invoice.items.filter(line => !line.rent)) {
+            for (const tax of item.taxes || []) {
+                entries.push({
+                    period: toPeriod(invoice.issueDate),
+                    propertyId: invoice.property?._id?.toString(),
+                    propertyName: invoice.property?.name || 'N/A',
+                    currency: invoice.currency,
+                    name: tax.name,
+                    type: tax.type,
+                    rate: tax.rate,
+                    base: sign * item.amount,
+                    amount: sign * tax.amount
+                });
+            }
+        }
+    }
+
+    const summary = buildTaxSummary(entries);
+
+    await createAuditLog({
+        action: AUDIT_ACTION_ENUM.GENERATE_REPORT,
+        user: user._id,
+        resourceType: AUDIT_RESOURCE_TYPE_ENUM.Report,
+        description: `User ${user.email} generated tax summary report for ${startDate.toDateString()} - ${endDate.toDateString()}.`,
+        status: 'success',
+        metadata: { reportType: 'tax_summary', filters }
+    });
+
+    return { startDate, endDate, ...summary };
+};
+
 /**
  * Generates a lease expiry report.
  * @param {object} filters - Filtering criteria.
@@ -586,135 +1119,272 @@ const generateLeaseExpiryReport = async (filters, user) => {
 
 
 /**
- * Exports report data to a specified format (CSV).
- * For PDF, this would typically involve a dedicated PDF generation library.
+ * Exports report data as CSV, PDF or XLSX.
+ * Every report is described by typed export fields ({ label, value, type, total, pdf, pdfWidth }):
+ * CSV writes them as text, XLSX keeps numbers and dates as real cell values, and PDF lays them out
+ * as a paginated table with the filters used and totals. Fields marked `total` are added up per
+ * currency, unless the report supplies its own totals.
  * @param {string} reportType - The type of report to export (e.g., 'maintenance_summary', 'rent_collection').
  * @param {object} filters - Filters to apply when generating data.
  * @param {object} user - The user requesting the export.
- * @param {string} format - 'csv' or 'pdf'.
+ * @param {string} format - 'csv', 'pdf' or 'xlsx'.
  * @returns {Promise<object>} Object containing filePath, fileName, and mimeType of the generated file.
  * @throws {AppError} If format is unsupported or report generation fails.
  */
 const exportReport = async (reportType, filters, user, format) => {
+    const exportFormat = (format || '').toLowerCase();
+    if (!REPORT_EXPORT_FORMATS.includes(exportFormat)) {
+        throw new AppError(`Invalid export format. Must be one of: ${REPORT_EXPORT_FORMATS.join(', ')}.`, 400);
+    }
+
     let data = [];
     let fields = [];
+    let totals = null; // Reports that already total their rows set this; otherwise `total` fields are summed
     let fileNamePrefix = reportType.replace(/_/g, '-');
+    let pdfData = null; // Reports with a dedicated PDF layout in lib/pdfGenerator
 
     switch (reportType) {
         case 'maintenance_summary':
             data = await generateMaintenanceSummaryReport(filters, user);
             fields = [
                 { label: 'Type', value: 'type' },
-                { label: 'ID', value: 'id' },
-                { label: 'Title', value: 'title' },
-                { label: 'Description', value: 'description' },
+                { label: 'ID', value: 'id', pdf: false },
+                { label: 'Title', value: 'title', pdfWidth: 2 },
+                { label: 'Description', value: 'description', pdf: false },
                 { label: 'Category', value: 'category' },
                 { label: 'Priority', value: 'priority' },
                 { label: 'Status', value: 'status' },
-                { label: 'Property Name', value: 'propertyName' },
-                { label: 'Property Address', value: 'propertyAddress' },
+                { label: 'Property Name', value: 'propertyName', pdfWidth: 1.5 },
+                { label: 'Property Address', value: 'propertyAddress', pdf: false },
                 { label: 'Unit Name', value: 'unitName' },
-                { label: 'Created By', value: 'createdBy' },
-                { label: 'Assigned To', value: 'assignedTo' },
-                { label: 'Created At', value: (row) => row.createdAt ? row.createdAt.toISOString() : '' },
-                { label: 'Resolved At', value: (row) => row.resolvedAt ? row.resolvedAt.toISOString() : '' },
-                { label: 'Recurring', value: 'recurring' },
-                { label: 'Frequency', value: 'frequency' },
-                { label: 'Public Link Enabled', value: 'publicLinkEnabled' },
-                { label: 'Public Token', value: 'publicToken' },
-                { label: 'Feedback Rating', value: 'feedbackRating' },
-                { label: 'Feedback Comment', value: 'feedbackComment' },
+                { label: 'Created By', value: 'createdBy', pdf: false },
+                { label: 'Assigned To', value: 'assignedTo', pdfWidth: 1.5 },
+                { label: 'Created At', value: 'createdAt', type: 'datetime' },
+                { label: 'Resolved At', value: 'resolvedAt', type: 'datetime' },
+                { label: 'Recurring', value: 'recurring', type: 'boolean', pdf: false },
+                { label: 'Frequency', value: 'frequency', pdf: false },
+                { label: 'Public Link Enabled', value: 'publicLinkEnabled', type: 'boolean', pdf: false },
+                { label: 'Public Token', value: 'publicToken', pdf: false },
+                { label: 'Feedback Rating', value: 'feedbackRating', type: 'number' },
+                { label: 'Feedback Comment', value: 'feedbackComment', pdf: false },
             ];
             break;
         case 'vendor_performance':
             data = await generateVendorPerformanceReport(filters, user);
             fields = [
-                { label: 'Vendor Name', value: 'vendorName' },
-                { label: 'Total Requests', value: 'totalRequests' },
-                { label: 'Average Resolution Time (Hours)', value: 'averageResolutionTimeHours' },
-                { label: 'Average Rating (1-5)', value: 'averageRating' },
+                { label: 'Vendor Name', value: 'vendorName', pdfWidth: 2 },
+                { label: 'Total Requests', value: 'totalRequests', type: 'integer', total: true },
+                { label: 'Average Resolution Time (Hours)', value: 'averageResolutionTimeHours', type: 'number' },
+                { label: 'Average Rating (1-5)', value: 'averageRating', type: 'number' },
             ];
             break;
         case 'common_issues':
             data = await generateCommonIssuesReport(filters, user);
             fields = [
-                { label: 'Category', value: 'category' },
-                { label: 'Count', value: 'count' },
-                { label: 'Average Resolution Time (Hours)', value: 'averageResolutionTimeHours' },
+                { label: 'Category', value: 'category', pdfWidth: 2 },
+                { label: 'Count', value: 'count', type: 'integer', total: true },
+                { label: 'Average Resolution Time (Hours)', value: 'averageResolutionTimeHours', type: 'number' },
             ];
             break;
         case 'rent_collection':
             data = await generateRentCollectionReport(filters, user);
             fields = [
-                { label: 'ID', value: 'id' },
+                { label: 'ID', value: 'id', pdf: false },
                 { label: 'Billing Period', value: 'billingPeriod' },
-                { label: 'Tenant Name', value: 'tenantName' },
-                { label: 'Tenant Email', value: 'tenantEmail' },
-                { label: 'Property Name', value: 'propertyName' },
+                { label: 'Tenant Name', value: 'tenantName', pdfWidth: 1.5 },
+                { label: 'Tenant Email', value: 'tenantEmail', pdf: false },
+                { label: 'Property Name', value: 'propertyName', pdfWidth: 1.5 },
                 { label: 'Unit Name', value: 'unitName' },
-                { label: 'Amount Due', value: 'amountDue' },
-                { label: 'Amount Paid', value: 'amountPaid' },
-                { label: 'Due Date', value: (row) => row.dueDate ? row.dueDate.toISOString().split('T')[0] : '' },
-                { label: 'Payment Date', value: (row) => row.paymentDate ? row.paymentDate.toISOString().split('T')[0] : '' },
+                { label: 'Currency', value: 'currency' },
+                { label: 'Amount Due', value: 'amountDue', type: 'number', total: true },
+                { label: 'Charges', value: 'charges', type: 'number', total: true },
+                { label: 'Tax', value: 'tax', type: 'number', total: true },
+                { label: 'Tax Withheld', value: 'taxWithheld', type: 'number', total: true },
+                { label: 'Late Fees', value: 'lateFees', type: 'number', total: true },
+                { label: 'Late Fees Waived', value: 'lateFeesWaived', type: 'number', total: true, pdf: false },
+                { label: 'Total Due', value: 'totalDue', type: 'number', total: true },
+                { label: 'Amount Paid', value: 'amountPaid', type: 'number', total: true },
+                { label: 'Balance Due', value: 'balanceDue', type: 'number', total: true },
+                { label: 'Due Date', value: 'dueDate', type: 'date' },
+                { label: 'Payment Date', value: 'paymentDate', type: 'date' },
                 { label: 'Status', value: 'status' },
-                { label: 'Days Late', value: 'daysLate' },
-                { label: 'Payment Method', value: 'paymentMethod' },
-                { label: 'Transaction ID', value: 'transactionId' },
-                { label: 'Notes', value: 'notes' },
-                { label: 'Created At', value: (row) => row.createdAt ? row.createdAt.toISOString() : '' },
+                { label: 'Days Late', value: 'daysLate', type: 'integer' },
+                { label: 'Payment Method', value: 'paymentMethod', pdf: false },
+                { label: 'Transaction ID', value: 'transactionId', pdf: false },
+                { label: 'Notes', value: 'notes', pdf: false },
+                { label: 'Created At', value: 'createdAt', type: 'datetime', pdf: false },
             ];
             break;
         case 'lease_expiry':
             data = await generateLeaseExpiryReport(filters, user);
             fields = [
-                { label: 'ID', value: 'id' },
-                { label: 'Tenant Name', value: 'tenantName' },
-                { label: 'Tenant Email', value: 'tenantEmail' },
-                { label: 'Property Name', value: 'propertyName' },
+                { label: 'ID', value: 'id', pdf: false },
+                { label: 'Tenant Name', value: 'tenantName', pdfWidth: 1.5 },
+                { label: 'Tenant Email', value: 'tenantEmail', pdfWidth: 1.5 },
+                { label: 'Property Name', value: 'propertyName', pdfWidth: 1.5 },
                 { label: 'Unit Name', value: 'unitName' },
-                { label: 'Lease Start Date', value: (row) => row.leaseStartDate ? row.leaseStartDate.toISOString().split('T')[0] : '' },
-                { label: 'Lease End Date', value: (row) => row.leaseEndDate ? row.leaseEndDate.toISOString().split('T')[0] : '' },
-                { label: 'Monthly Rent', value: 'monthlyRent' },
+                { label: 'Lease Start Date', value: 'leaseStartDate', type: 'date' },
+                { label: 'Lease End Date', value: 'leaseEndDate', type: 'date' },
+                { label: 'Monthly Rent', value: 'monthlyRent', type: 'number', total: true },
                 { label: 'Currency', value: 'currency' },
                 { label: 'Status', value: 'status' },
-                { label: 'Days Until Expiry', value: 'daysUntilExpiry' },
-                { label: 'Renewal Notice Sent', value: 'renewalNoticeSent' },
-                { label: 'Last Renewal Notice Date', value: (row) => row.lastRenewalNoticeDate ? row.lastRenewalNoticeDate.toISOString().split('T')[0] : '' },
-                { label: 'Created At', value: (row) => row.createdAt ? row.createdAt.toISOString() : '' },
+                { label: 'Days Until Expiry', value: 'daysUntilExpiry', type: 'integer' },
+                { label: 'Renewal Notice Sent', value: 'renewalNoticeSent', type: 'boolean' },
+                { label: 'Last Renewal Notice Date', value: 'lastRenewalNoticeDate', type: 'date', pdf: false },
+                { label: 'Created At', value: 'createdAt', type: 'datetime', pdf: false },
             ];
             break;
+        case 'dunning':
+            data = await generateDunningReport(filters, user);
+            fields = [
+                { label: 'ID', value: 'id', pdf: false },
+                { label: 'Billing Period', value: 'billingPeriod' },
+                { label: 'Tenant Name', value: 'tenantName', pdfWidth: 1.5 },
+                { label: 'Tenant Email', value: 'tenantEmail', pdf: false },
+                { label: 'Tenant Phone', value: 'tenantPhone', pdf: false },
+                { label: 'Property Name', value: 'propertyName', pdfWidth: 1.5 },
+                { label: 'Unit Name', value: 'unitName' },
+                { label: 'Currency', value: 'currency' },
+                { label: 'Total Due', value: 'totalDue', type: 'number', total: true },
+                { label: 'Amount Paid', value: 'amountPaid', type: 'number', total: true },
+                { label: 'Balance Due', value: 'balanceDue', type: 'number', total: true },
+                { label: 'Due Date', value: 'dueDate', type: 'date' },
+                { label: 'Days Overdue', value: 'daysOverdue', type: 'integer' },
+                { label: 'Dunning Status', value: 'dunningStatus' },
+                { label: 'Steps Sent', value: 'stepsSent', type: 'integer', pdf: false },
+                { label: 'Total Steps', value: 'totalSteps', type: 'integer', pdf: false },
+                { label: 'Last Step', value: 'lastStep', pdfWidth: 1.5 },
+                { label: 'Last Sent At', value: 'lastSentAt', type: 'datetime', pdf: false },
+                { label: 'Next Step', value: 'nextStep', pdfWidth: 1.5 },
+                { label: 'Next Step Date', value: 'nextStepDate', type: 'date' },
+                { label: 'Escalated', value: 'escalated', type: 'boolean', pdf: false },
+                { label: 'Resolved At', value: 'resolvedAt', type: 'datetime', pdf: false },
+            ];
+            break;
+        case 'receivables_aging': {
+            const aging = await generateReceivablesAgingReport(filters, user);
+            data = aging.rows;
+            totals = aging.totals.map(total => ({ ...total, tenantName: 'TOTAL', unitName: '', propertyName: '' }));
+            fields = [
+                { label: 'Tenant', value: 'tenantName', pdfWidth: 1.5 },
+                { label: 'Unit', value: 'unitName' },
+                { label: 'Property', value: 'propertyName', pdfWidth: 1.5 },
+                { label: 'Currency', value: 'currency' },
+                ...aging.buckets.map(bucket => ({ label: bucket.label, value: bucket.key, type: 'number' })),
+                { label: 'Total', value: 'total', type: 'number' },
+                { label: 'Records', value: 'recordCount', type: 'integer' },
+                { label: 'Oldest Days Past Due', value: 'oldestDaysPastDue', type: 'integer' },
+            ];
+            fileNamePrefix = `receivables-aging-by-${aging.groupBy}`;
+            break;
+        }
+        case 'rent_roll': {
+            const rentRoll = await generateRentRollReport(filters, user);
+            data = rentRoll.rows;
+            totals = rentRoll.summary.totals.map(total => ({ ...total, unitName: 'TOTAL', occupancyStatus: `${rentRoll.summary.occupiedCount}/${rentRoll.summary.unitCount} occupied` }));
+            fields = [
+                { label: 'Unit', value: 'unitName' },
+                { label: 'Status', value: 'occupancyStatus' },
+                { label: 'Tenant', value: 'tenantName' },
+                { label: 'Tenant Email', value: 'tenantEmail' },
+                { label: 'Lease Status', value: 'leaseStatus' },
+                { label: 'Lease Start', value: 'leaseStartDate', type: 'date' },
+                { label: 'Lease End', value: 'leaseEndDate', type: 'date' },
+                { label: 'Currency', value: 'currency' },
+                { label: 'Contracted Rent', value: 'contractedRent', type: 'number' },
+                { label: 'Billing Period', value: 'billingPeriod' },
+                { label: 'Monthly Rent', value: 'monthlyRent', type: 'number' },
+                { label: 'Market Rent', value: 'marketRent', type: 'number' },
+                { label: 'Deposit Required', value: 'depositRequired', type: 'number' },
+                { label: 'Deposit Held', value: 'depositHeld', type: 'number' },
+                { label: 'Balance', value: 'balance', type: 'number' },
+            ];
+            fileNamePrefix = `rent-roll-${rentRoll.asOfDate.toISOString().split('T')[0]}`;
+            pdfData = rentRoll;
+            break;
+        }
+        case 'budget_vs_actual': {
+            const budget = await generateBudgetVsActualReport(filters, user);
+            data = budget.months;
+            totals = [{ month: 'TOTAL', budget: budget.totals.budget, actual: budget.totals.actual, variance: budget.totals.variance, percentOfAnnualBudget: budget.totals.percentUsed }];
+            fields = [
+                { label: 'Month', value: 'month' },
+                { label: `Budget (${budget.currency})`, value: 'budget', type: 'number' },
+                { label: `Actual (${budget.currency})`, value: 'actual', type: 'number' },
+                { label: 'Variance', value: 'variance', type: 'number' },
+                { label: 'Year-to-Date Budget', value: 'cumulativeBudget', type: 'number' },
+                { label: 'Year-to-Date Actual', value: 'cumulativeActual', type: 'number' },
+                { label: 'Year-to-Date Variance', value: 'cumulativeVariance', type: 'number' },
+                { label: '% of Annual Budget', value: 'percentOfAnnualBudget', type: 'number' },
+            ];
+            fileNamePrefix = `budget-vs-actual-${budget.year}`;
+            break;
+        }
+        case 'tax_summary': {
+            const taxSummary = await generateTaxSummaryReport(filters, user);
+            data = taxSummary.rows;
+            totals = [
+                { period: 'TOTAL VAT', taxableAmount: taxSummary.totals.taxableAmount, taxAmount: taxSummary.totals.vat },
+                { period: 'TOTAL WITHHOLDING', taxAmount: taxSummary.totals.withholding }
+            ];
+            fields = [
+                { label: 'Period', value: 'period' },
+                { label: 'Property', value: 'propertyName', pdfWidth: 1.5 },
+                { label: 'Tax', value: 'taxName', pdfWidth: 1.5 },
+                { label: 'Type', value: 'taxType' },
+                { label: 'Rate (%)', value: 'rate', type: 'number' },
+                { label: 'Currency', value: 'currency' },
+                { label: 'Taxable Amount', value: 'taxableAmount', type: 'number' },
+                { label: 'Tax Amount', value: 'taxAmount', type: 'number' },
+            ];
+            fileNamePrefix = `tax-summary-${taxSummary.startDate.toISOString().split('T')[0]}`;
+            break;
+        }
         default:
             throw new AppError('Unsupported report type for export.', 400);
     }
 
-    let filePath;
-    let fileName;
+    if (!totals) {
+        totals = calculateReportTotals(data, fields);
+    }
+
+    const fileName = `${fileNamePrefix}_report_${Date.now()}.${exportFormat}`;
+    const filePath = path.join(__dirname, '../../temp', fileName); // Save to a temp directory
     let mimeType;
 
-    if (format.toLowerCase() === 'csv') {
-        const parser = new Parser({ fields });
-        const csv = parser.parse(data);
-        fileName = `${fileNamePrefix}_report_${Date.now()}.csv`;
-        filePath = path.join(__dirname, '../../temp', fileName); // Save to a temp directory
+    if (exportFormat === 'csv') {
+        const parser = new Parser({ fields: toCsvFields(fields) });
+        const csv = parser.parse([...data, ...totals]);
         mimeType = 'text/csv';
 
         await fs.writeFile(filePath, csv);
-    } else if (format.toLowerCase() === 'pdf') {
-        // Placeholder for PDF generation. This would require a library like 'pdfkit' or 'html-pdf'
-        // and a more complex setup to render data into a PDF document.
-        // For now, we'll throw an error as it's outside the scope of direct code generation without specific libraries.
-        throw new AppError('PDF export is not yet implemented. Please choose CSV format.', 501);
     } else {
-        throw new AppError('Invalid export format. Only "csv" is supported at this time.', 400);
+        const property = filters.propertyId ? await Property.findById(filters.propertyId).select('name') : null;
+        const report = {
+            title: formatReportTitle(reportType),
+            columns: fields,
+            rows: data,
+            totals,
+            filters: describeReportFilters(filters, property ? { propertyId: property.name } : {}),
+            generatedAt: new Date()
+        };
+
+        if (exportFormat === 'pdf') {
+            mimeType = 'application/pdf';
+            await (pdfData ? generatePdf(reportType, pdfData, filePath) : generateReportPdf(report, filePath));
+        } else {
+            mimeType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+            await generateReportXlsx(report, filePath);
+        }
     }
 
     await createAuditLog({
         action: AUDIT_ACTION_ENUM.EXPORT_REPORT,
         user: user._id,
         resourceType: AUDIT_RESOURCE_TYPE_ENUM.Report,
-        description: `User ${user.email} exported ${reportType} report as ${format}.`,
+        description: `User ${user.email} exported ${reportType} report as ${exportFormat}.`,
         status: 'success',
-        metadata: { reportType, format, filters, fileName }
+        metadata: { reportType, format: exportFormat, filters, fileName }
     });
 
     return { filePath, fileName, mimeType };
@@ -758,7 +1428,8 @@ const generateReportDocument = async (reportType, filters, user, options = {}) =
     case 'rent_collection':
       documentType = 'rent_report';
       const rents = await generateRentCollectionReport(filters, user);
-      const totalDue = rents.reduce((sum, rent) => sum + (rent.amountDue || 0), 0);
+      const totalDue = rents.reduce((sum, rent) => sum + (rent.totalDue || 0), 0);
+      const totalLateFees = rents.reduce((sum, rent) => sum + (rent.lateFees || 0), 0);
       const totalCollected = rents.reduce((sum, rent) => sum + (rent.amountPaid || 0), 0);
       
       documentData = {
@@ -767,13 +1438,14 @@ const generateReportDocument = async (reportType, filters, user, options = {}) =
         endDate: filters.endDate || new Date(),
         generatedBy: `${user.firstName} ${user.lastName}`,
         totalDue,
+        totalLateFees,
         totalCollected,
         currency: 'UGX',
         rentEntries: rents.map(rent => ({
           unitName: rent.unitName,
           tenantName: rent.tenantName,
           dueDate: rent.dueDate,
-          amountDue: rent.amountDue,
+          amountDue: rent.totalDue,
           amountPaid: rent.amountPaid,
           status: rent.status
         })),
@@ -844,6 +1516,11 @@ module.exports = {
     generateCommonIssuesReport,
     generateRentCollectionReport,
     generateLeaseExpiryReport,
+    generateDunningReport,
+    generateReceivablesAgingReport,
+    generateRentRollReport,
+    generateBudgetVsActualReport,
+    generateTaxSummaryReport,
     generateReportDocument,
     exportReport,
 };
@@ -2339,6 +2339,73 @@ const createRequestFromScheduledMaintenance = async (taskId, currentUser, ipAddr
     }
 };
 
+/**
+ * Generates maintenance requests for every scheduled task whose next due date has passed.
+ * Used by the background job scheduler. Each request is created on behalf of the user who
+ * created the task, and recurring tasks are rolled forward to their next due date.
+ * @param {Date} [asOfDate=new Date()] - Tasks due on or before this date are processed.
+ * @returns {Promise<object>} Counts of processed, generated, skipped and failed tasks, plus per-task details.
+ */
+const generateDueMaintenanceRequests = async (asOfDate = new Date()) => {
+    const results = {
+        processed: 0,
+        generated: 0,
+        skipped: 0,
+        failed: 0,
+        details: []
+    };
+
+    const dueTasks = await ScheduledMaintenance.find({
+        status: { $nin: ['paused', 'completed', 'canceled'] },
+        nextDueDate: { $ne: null, $lte: asOfDate }
+    }).populate('createdByPropertyUser', 'user');
+
+    for (const task of dueTasks) {
+        results.processed++;
+
+        const creatorId = task.createdByPropertyUser?.user;
+        const creator = creatorId ? await User.findById(creatorId) : null;
+
+        if (!creator) {
+            results.skipped++;
+            results.details.push({ task: task._id, status: 'skipped', reason: 'Task creator no longer exists' });
+            continue;
+        }
+
+        try {
+            const { request } = await createRequestFromScheduledMaintenance(task._id, creator, null);
+
+            // Roll the task forward; one-off tasks have no next occurrence
+            const nextDueDate = task.calculateNextDueDate();
+            await ScheduledMaintenance.updateOne(
+                { _id: task._id },
+                {
+                    $set: { nextDueDate, nextExecutionAttempt: nextDueDate, lastExecutedAt: new Date() },
+                    $push: { generatedRequests: request._id }
+                }
+            );
+
+            results.generated++;
+            results.details.push({ task: task._id, request: request._id, status: 'generated', nextDueDate });
+        } catch (error) {
+            // An open request for the task is not a failure - it will be picked up again next run
+            if (error instanceof AppError && error.statusCode === 400) {
+                results.skipped++;
+                results.details.push({ task: task._id, status: 'skipped', reason: error.message });
+                continue;
+            }
+
+            results.failed++;
+            results.details.push({ task: task._id, status: 'failed', reason: error.message });
+            logger.error(`ScheduledMaintenanceService - Error generating due request for task ${task._id}: ${error.message}`);
+        }
+    }
+
+    logger.info(`ScheduledMaintenanceService: Generated ${results.generated} request(s) from ${results.processed} due task(s).`);
+
+    return results;
+};
+
 module.exports = {
     createScheduledMaintenance,
     getAllScheduledMaintenance,
@@ -2352,5 +2419,6 @@ module.exports = {
     uploadMediaToScheduledMaintenance,
     deleteMediaFromScheduledMaintenance,
     addCommentToScheduledMaintenance,
-    createRequestFromScheduledMaintenance
+    createRequestFromScheduledMaintenance,
+    generateDueMaintenanceRequests
 };
\ No newline at end of file
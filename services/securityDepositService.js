@@ -0,0 +1,713 @@
+// src/services/securityDepositService.js
+
+const mongoose = require('mongoose');
+const SecurityDeposit = require('../models/securityDeposit');
+const Lease = require('../models/lease');
+const Request = require('../models/request');
+const Inspection = require('../models/inspection');
+const Media = require('../models/media');
+const PropertyUser = require('../models/propertyUser');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const documentGenerationService = require('./documentGenerationService');
+const { uploadFile } = require('../utils/fileUpload');
+const { getHoldingStatus, calculateDisposition } = require('../utils/securityDepositUtils');
+const { roundCurrency } = require('../utils/lateFeeUtils');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    PROPERTY_USER_ROLES_ENUM,
+    DEPOSIT_DEDUCTION_CATEGORY_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Lease statuses at which the deposit can be settled
+const SETTLEABLE_LEASE_STATUSES = ['terminated', 'expired'];
+
+/**
+ * Helper to check if a user has management permission for a given property
+ * @param {Object} user - The authenticated user
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkPropertyManagementPermission = async (user, propertyId) => {
+    try {
+        if (user.role === ROLE_ENUM.ADMIN) {
+            return true; // Admin has global access
+        }
+
+        const hasAccess = await PropertyUser.exists({
+            user: user._id,
+            property: propertyId,
+            isActive: true,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]}
+        });
+
+        return !!hasAccess;
+    } catch (error) {
+        logger.error(`SecurityDepositService - Error checking property management permission: ${error.message}`, {
+            userId: user?._id,
+            propertyId
+        });
+        return false; // Fail safely
+    }
+};
+
+/**
+ * Loads a lease and checks the user manages its property
+ * @param {string} leaseId - Lease ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} action - What the user is trying to do, for the error message
+ * @param {Object} [session] - MongoDB session
+ * @returns {Promise<Object>} Lease document
+ * @throws {AppError} If lease not found or unauthorized
+ */
+const loadManagedLease = async (leaseId, currentUser, action, session = null) => {
+    const lease = await Lease.findById(leaseId).session(session);
+    if (!lease) {
+        throw new AppError('Lease not found.', 404);
+    }
+
+    const isAuthorized = await checkPropertyManagementPermission(currentUser, lease.property);
+    if (!isAuthorized) {
+        throw new AppError(`Not authorized to ${action} for this lease.`, 403);
+    }
+
+    return lease;
+};
+
+/**
+ * Gets the deposit record for a lease, creating it from the lease's agreed deposit if needed
+ * @param {Object} lease - Lease document
+ * @param {Object} currentUser - The authenticated user
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} SecurityDeposit document
+ */
+const findOrCreateDeposit = async (lease, currentUser, session) => {
+    const existing = await SecurityDeposit.findOne({ lease: lease._id }).session(session);
+    if (existing) {
+        return existing;
+    }
+
+    return new SecurityDeposit({
+        lease: lease._id,
+        tenant: lease.tenant,
+        property: lease.property,
+        unit: lease.unit,
+        currency: lease.currency,
+        amountRequired: lease.securityDeposit || 0,
+        createdBy: currentUser._id
+    });
+};
+
+/**
+ * Deductions are locked once the refund is recorded. Changing them after a disposition was
+ * issued withdraws it, so a fresh statement has to be issued.
+ * @param {Object} deposit - SecurityDeposit document
+ * @throws {AppError} If the deposit is already settled
+ */
+const reopenForDeductions = (deposit) => {
+    if (['refunded', 'forfeited'].includes(deposit.status)) {
+        throw new AppError('Deposit has already been settled; deductions can no longer be changed.', 400);
+    }
+
+    if (deposit.status === 'disposition_issued') {
+        deposit.disposition = { document: null, issuedAt: null, issuedBy: null, totalDeductions: 0, refundAmount: 0, amountOwed: 0 };
+        deposit.status = getHoldingStatus(deposit.amountRequired, deposit.amountReceived);
+    }
+};
+
+/**
+ * Gets the security deposit for a lease: receipts, deductions, disposition and refund
+ * @param {string} leaseId - Lease ID
+ * @param {Object} currentUser - The authenticated user
+ * @returns {Promise<Object>} Deposit with the current settlement figures
+ * @throws {AppError} If lease not found or unauthorized
+ */
+const getSecurityDeposit = async (leaseId, currentUser) => {
+    try {
+        const lease = await Lease.findById(leaseId);
+        if (!lease) {
+            throw new AppError('Lease not found.', 404);
+        }
+
+        // Tenant can view their own deposit
+        const isTenant = lease.tenant && lease.tenant.toString() === currentUser._id.toString();
+        if (!isTenant && !(await checkPropertyManagementPermission(currentUser, lease.property))) {
+            throw new AppError('Not authorized to view the security deposit for this lease.', 403);
+        }
+
+        let deposit = await SecurityDeposit.findOne({ lease: lease._id })
+            .populate('deductions.request', 'title status')
+            .populate('deductions.media', 'url thumbnailUrl originalname mimeType')
+            .populate('disposition.document', 'url originalname');
+
+        // Nothing recorded yet: show the agreed deposit as pending without saving anything
+        if (!deposit) {
+            deposit = new SecurityDeposit({
+                lease: lease._id,
+                tenant: lease.tenant,
+                property: lease.property,
+                unit: lease.unit,
+                currency: lease.currency,
+                amountRequired: lease.securityDeposit || 0
+            });
+        }
+
+        return {
+            deposit,
+            settlement: calculateDisposition(deposit)
+        };
+    } catch (error) {
+        logger.error(`SecurityDepositService - Error getting security deposit: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to get security deposit: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Records money received towards a lease's security deposit
+ * @param {string} leaseId - Lease ID
+ * @param {Object} receiptData - Receipt details
+ * @param {number} receiptData.amount - Amount received
+ * @param {Date} [receiptData.receivedAt=new Date()] - Date received
+ * @param {string} [receiptData.method] - Payment method
+ * @param {string} [receiptData.transactionId] - Transaction reference
+ * @param {string} [receiptData.holdingAccount] - Account the deposit is held in
+ * @param {string} [receiptData.notes] - Notes
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Updated SecurityDeposit
+ * @throws {AppError} If validation fails or unauthorized
+ */
+const recordDepositReceipt = async (leaseId, receiptData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const lease = await loadManagedLease(leaseId, currentUser, 'record deposit receipts', session);
+
+        const amount = roundCurrency(parseFloat(receiptData.amount));
+        if (!(amount > 0)) {
+            throw new AppError('Receipt amount must be greater than zero.', 400);
+        }
+
+        const deposit = await findOrCreateDeposit(lease, currentUser, session);
+        if (!['pending', 'partially_received', 'held'].includes(deposit.status)) {
+            throw new AppError('Deposit has already been settled; no further receipts can be recorded.', 400);
+        }
+
+        const oldValue = { amountReceived: deposit.amountReceived, status: deposit.status };
+
+        deposit.receipts.push({
+            amount,
+            receivedAt: receiptData.receivedAt ? new Date(receiptData.receivedAt) : new Date(),
+            method: receiptData.method,
+            transactionId: receiptData.transactionId,
+            notes: receiptData.notes,
+            recordedBy: currentUser._id
+        });
+        deposit.amountReceived = roundCurrency(deposit.amountReceived + amount);
+        deposit.status = getHoldingStatus(deposit.amountRequired, deposit.amountReceived);
+        if (receiptData.holdingAccount !== undefined) {
+            deposit.holdingAccount = receiptData.holdingAccount;
+        }
+        deposit.updatedBy = currentUser._id;
+
+        await deposit.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.DEPOSIT_RECEIVED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            lease._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Security deposit of ${deposit.currency} ${amount.toLocaleString()} received for lease ${lease._id} by ${currentUser.email}.`,
+                status: 'success',
+                oldValue,
+                newValue: { amountReceived: deposit.amountReceived, status: deposit.status },
+                metadata: { depositId: deposit._id, transactionId: receiptData.transactionId, holdingAccount: deposit.holdingAccount }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`SecurityDepositService: Deposit receipt of ${amount} recorded for lease ${lease._id} by ${currentUser.email}.`);
+
+        return deposit;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`SecurityDepositService - Error recording deposit receipt: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to record deposit receipt: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Adds an itemized deduction to a lease's security deposit. Deductions can point at the
+ * maintenance request for the repair or the move-out inspection that found the damage, and carry
+ * damage photos, either already-uploaded Media or new files uploaded with the deduction.
+ * @param {string} leaseId - Lease ID
+ * @param {Object} deductionData - Deduction details
+ * @param {string} [deductionData.category='damage'] - One of DEPOSIT_DEDUCTION_CATEGORY_ENUM
+ * @param {string} deductionData.description - What the deduction is for
+ * @param {number} deductionData.amount - Amount deducted
+ * @param {string} [deductionData.requestId] - Related maintenance request
+ * @param {string} [deductionData.inspectionId] - Move-out inspection the deduction comes from
+ * @param {Array<string>} [deductionData.mediaIds] - Existing Media (e.g. damage photos)
+ * @param {Array<Object>} [files=[]] - Newly uploaded photos
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Updated SecurityDeposit
+ * @throws {AppError} If validation fails or unauthorized
+ */
+const addDeduction = async (leaseId, deductionData, files = [], currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const lease = await loadManagedLease(leaseId, currentUser, 'add deposit deductions', session);
+
+        const amount = roundCurrency(parseFloat(deductionData.amount));
+        if (!(amount > 0)) {
+            throw new AppError('Deduction amount must be greater than zero.', 400);
+        }
+
+        const category = deductionData.category || 'damage';
+        if (!DEPOSIT_DEDUCTION_CATEGORY_ENUM.includes(category)) {
+            throw new AppError(`Invalid deduction category. Must be one of: ${DEPOSIT_DEDUCTION_CATEGORY_ENUM.join(', ')}`, 400);
+        }
+
+        if (!deductionData.description || !deductionData.description.trim()) {
+            throw new AppError('Deduction description is required.', 400);
+        }
+
+        let request = null;
+        if (deductionData.requestId) {
+            request = await Request.findById(deductionData.requestId).session(session);
+            if (!request || request.property.toString() !== lease.property.toString()) {
+                throw new AppError('Maintenance request not found for this property.', 404);
+            }
+        }
+
+        let inspection = null;
+        if (deductionData.inspectionId) {
+            inspection = await Inspection.findById(deductionData.inspectionId).session(session);
+            if (!inspection || inspection.lease.toString() !== lease._id.toString() || inspection.type !== 'move_out') {
+                throw new AppError('Move-out inspection not found for this lease.', 404);
+            }
+        }
+
+        const mediaIds = typeof deductionData.mediaIds === 'string'
+            ? JSON.parse(deductionData.mediaIds)
+            : (deductionData.mediaIds || []);
+        if (mediaIds.length > 0) {
+            const found = await Media.countDocuments({ _id: { $in: mediaIds } }).session(session);
+            if (found !== mediaIds.length) {
+                throw new AppError('One or more photos could not be found.', 404);
+            }
+        }
+
+        const deposit = await findOrCreateDeposit(lease, currentUser, session);
+        reopenForDeductions(deposit);
+
+        // Upload any new damage photos
+        const media = [...mediaIds];
+        for (const file of files || []) {
+            try {
+                const uploadResult = await uploadFile(
+                    file.buffer,
+                    file.mimetype,
+                    file.originalname,
+                    'deposit_deductions'
+                );
+
+                const mediaDoc = new Media({
+                    filename: file.originalname,
+                    originalname: file.originalname,
+                    mimeType: file.mimetype,
+                    size: file.size,
+                    url: uploadResult.url,
+                    thumbnailUrl: uploadResult.thumbnailUrl || null,
+                    uploadedBy: currentUser._id,
+                    relatedTo: 'Lease',
+                    relatedId: lease._id,
+                    description: `Deposit deduction evidence: ${deductionData.description}`,
+                    tags: ['deposit', 'deduction'],
+                    isPublic: false
+                });
+
+                await mediaDoc.save({ session });
+                media.push(mediaDoc._id);
+            } catch (error) {
+                throw new AppError(`Failed to upload deduction photo: ${error.message}`, 500);
+            }
+        }
+
+        deposit.deductions.push({
+            category,
+            description: deductionData.description.trim(),
+            amount,
+            request: request?._id || null,
+            inspection: inspection?._id || null,
+            media,
+            addedBy: currentUser._id
+        });
+        deposit.updatedBy = currentUser._id;
+
+        await deposit.save({ session });
+
+        const deduction = deposit.deductions[deposit.deductions.length - 1];
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.DEPOSIT_DEDUCTION_ADDED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            lease._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Deposit deduction of ${deposit.currency} ${amount.toLocaleString()} (${category}) added to lease ${lease._id} by ${currentUser.email}.`,
+                status: 'success',
+                newValue: deduction.toObject(),
+                metadata: { depositId: deposit._id, request: request?._id, inspection: inspection?._id, photoCount: media.length }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`SecurityDepositService: Deduction of ${amount} added to deposit for lease ${lease._id} by ${currentUser.email}.`);
+
+        return deposit;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`SecurityDepositService - Error adding deposit deduction: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to add deposit deduction: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Removes a deduction from a lease's security deposit
+ * @param {string} leaseId - Lease ID
+ * @param {string} deductionId - Deduction subdocument ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Updated SecurityDeposit
+ * @throws {AppError} If not found or unauthorized
+ */
+const removeDeduction = async (leaseId, deductionId, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const lease = await loadManagedLease(leaseId, currentUser, 'remove deposit deductions', session);
+
+        const deposit = await SecurityDeposit.findOne({ lease: lease._id }).session(session);
+        const deduction = deposit?.deductions.id(deductionId);
+        if (!deduction) {
+            throw new AppError('Deduction not found.', 404);
+        }
+
+        reopenForDeductions(deposit);
+
+        const oldValue = deduction.toObject();
+        deduction.deleteOne();
+        deposit.updatedBy = currentUser._id;
+
+        await deposit.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.DEPOSIT_DEDUCTION_REMOVED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            lease._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Deposit deduction of ${deposit.currency} ${oldValue.amount.toLocaleString()} removed from lease ${lease._id} by ${currentUser.email}.`,
+                status: 'success',
+                oldValue,
+                metadata: { depositId: deposit._id }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        return deposit;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`SecurityDepositService - Error removing deposit deduction: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId,
+            deductionId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to remove deposit deduction: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Issues the deposit disposition statement once the lease has ended: works out the refund
+ * after deductions, generates the itemized PDF and sends it to the tenant
+ * @param {string} leaseId - Lease ID
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} { deposit, document }
+ * @throws {AppError} If the lease has not ended, the deposit is settled, or unauthorized
+ */
+const issueDisposition = async (leaseId, currentUser, ipAddress) => {
+    try {
+        const lease = await loadManagedLease(leaseId, currentUser, 'issue the deposit disposition');
+
+        if (!SETTLEABLE_LEASE_STATUSES.includes(lease.status)) {
+            throw new AppError('The deposit disposition can only be issued once the lease is terminated or expired.', 400);
+        }
+
+        await lease.populate([
+            { path: 'property', select: 'name address' },
+            { path: 'unit', select: 'unitName' },
+            { path: 'tenant', select: 'firstName lastName email' }
+        ]);
+
+        const deposit = await SecurityDeposit.findOne({ lease: lease._id })
+            .populate('deductions.request', 'title');
+        if (!deposit || !(deposit.amountReceived > 0 || deposit.deductions.length > 0)) {
+            throw new AppError('No security deposit has been recorded for this lease.', 400);
+        }
+        if (['refunded', 'forfeited'].includes(deposit.status)) {
+            throw new AppError('Deposit has already been settled.', 400);
+        }
+
+        const settlement = calculateDisposition(deposit);
+        const tenantName = `${lease.tenant?.firstName || ''} ${lease.tenant?.lastName || ''}`.trim() || 'Tenant';
+
+        const document = await documentGenerationService.generateAndUploadDocument(
+            'deposit_disposition',
+            {
+                tenantName,
+                propertyName: lease.property?.name,
+                propertyAddress: lease.property?.address,
+                unitName: lease.unit?.unitName,
+                leaseStartDate: lease.leaseStartDate,
+                leaseEndDate: lease.terminatedAt || lease.leaseEndDate,
+                currency: deposit.currency,
+                amountRequired: deposit.amountRequired,
+                receipts: deposit.receipts,
+                deductions: deposit.deductions.map(deduction => ({
+                    category: deduction.category,
+                    description: deduction.description,
+                    amount: deduction.amount,
+                    requestTitle: deduction.request?.title || null,
+                    photoCount: deduction.media.length
+                })),
+                ...settlement
+            },
+            {
+                relatedResourceType: 'Lease',
+                relatedResourceId: lease._id,
+                userId: currentUser._id,
+                ipAddress,
+                userName: `${currentUser.firstName || ''} ${currentUser.lastName || ''}`.trim()
+            }
+        );
+
+        const oldValue = { status: deposit.status, disposition: deposit.disposition?.toObject?.() || null };
+
+        deposit.disposition = {
+            document: document._id,
+            issuedAt: new Date(),
+            issuedBy: currentUser._id,
+            totalDeductions: settlement.totalDeductions,
+            refundAmount: settlement.refundAmount,
+            amountOwed: settlement.amountOwed
+        };
+        deposit.status = 'disposition_issued';
+        deposit.updatedBy = currentUser._id;
+        await deposit.save();
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.DEPOSIT_DISPOSITION_ISSUED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            lease._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Deposit disposition issued for lease ${lease._id} by ${currentUser.email}: deductions ${deposit.currency} ${settlement.totalDeductions.toLocaleString()}, refund ${deposit.currency} ${settlement.refundAmount.toLocaleString()}.`,
+                status: 'success',
+                oldValue,
+                newValue: { status: deposit.status, disposition: deposit.disposition.toObject() },
+                metadata: { depositId: deposit._id, documentId: document._id }
+            }
+        );
+
+        try {
+            await notificationService.sendNotification({
+                recipientId: lease.tenant._id,
+                type: 'document_shared',
+                message: `Your security deposit statement for unit ${lease.unit?.unitName} in ${lease.property?.name} is ready.`,
+                link: `${FRONTEND_URL}/leases/${lease._id}`,
+                relatedResourceType: AUDIT_RESOURCE_TYPE_ENUM.Lease,
+                relatedResourceId: lease._id,
+                emailDetails: {
+                    subject: `Security Deposit Statement: ${lease.property?.name} - ${lease.unit?.unitName}`,
+                    html: `
+                        <p>Hello ${lease.tenant.firstName},</p>
+                        <p>Your security deposit statement for unit ${lease.unit?.unitName} in ${lease.property?.name} has been issued.</p>
+                        <ul>
+                            <li>Deposit held: ${deposit.currency} ${settlement.amountHeld.toLocaleString()}</li>
+                            <li>Deductions: ${deposit.currency} ${settlement.totalDeductions.toLocaleString()}</li>
+                            <li>Refund due: ${deposit.currency} ${settlement.refundAmount.toLocaleString()}</li>
+                        </ul>
+                        <p><a href="${document.url}">Download the statement</a></p>
+                    `,
+                    text: `Hello ${lease.tenant.firstName}, your security deposit statement has been issued. Deductions: ${deposit.currency} ${settlement.totalDeductions.toLocaleString()}. Refund due: ${deposit.currency} ${settlement.refundAmount.toLocaleString()}. Download: ${document.url}`
+                },
+                senderId: currentUser._id
+            });
+        } catch (notificationError) {
+            logger.warn(`SecurityDepositService: Failed to send deposit statement to tenant: ${notificationError.message}`);
+            // Continue even if notification fails
+        }
+
+        logger.info(`SecurityDepositService: Deposit disposition issued for lease ${lease._id} by ${currentUser.email}.`);
+
+        return { deposit, document };
+    } catch (error) {
+        logger.error(`SecurityDepositService - Error issuing deposit disposition: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to issue deposit disposition: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Records the refund paid to the tenant after the disposition. A deposit fully used up by
+ * deductions is closed as forfeited with a zero refund.
+ * @param {string} leaseId - Lease ID
+ * @param {Object} refundData - Refund details
+ * @param {number} [refundData.amount] - Amount refunded (defaults to the disposition's refund)
+ * @param {Date} [refundData.paidAt=new Date()] - Date paid
+ * @param {string} [refundData.method] - Payment method
+ * @param {string} [refundData.transactionId] - Transaction reference
+ * @param {string} [refundData.notes] - Notes
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} Updated SecurityDeposit
+ * @throws {AppError} If no disposition has been issued, the amount is wrong, or unauthorized
+ */
+const recordDepositRefund = async (leaseId, refundData, currentUser, ipAddress) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const lease = await loadManagedLease(leaseId, currentUser, 'record deposit refunds', session);
+
+        const deposit = await SecurityDeposit.findOne({ lease: lease._id }).session(session);
+        if (!deposit || deposit.status !== 'disposition_issued') {
+            throw new AppError('Issue the deposit disposition before recording the refund.', 400);
+        }
+
+        const refundDue = deposit.disposition.refundAmount;
+        const amount = refundData.amount !== undefined && refundData.amount !== null
+            ? roundCurrency(parseFloat(refundData.amount))
+            : refundDue;
+
+        if (Number.isNaN(amount) || amount < 0 || amount > refundDue) {
+            throw new AppError(`Refund amount must be between 0 and the ${deposit.currency} ${refundDue.toLocaleString()} due on the disposition.`, 400);
+        }
+        if (amount > 0 && !refundData.method) {
+            throw new AppError('Payment method is required for a refund.', 400);
+        }
+
+        const oldValue = { status: deposit.status, refund: deposit.refund?.toObject?.() || null };
+
+        deposit.refund = {
+            amount,
+            paidAt: refundData.paidAt ? new Date(refundData.paidAt) : new Date(),
+            method: refundData.method,
+            transactionId: refundData.transactionId,
+            notes: refundData.notes,
+            recordedBy: currentUser._id
+        };
+        deposit.status = amount > 0 ? 'refunded' : 'forfeited';
+        deposit.updatedBy = currentUser._id;
+
+        await deposit.save({ session });
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.DEPOSIT_REFUNDED,
+            AUDIT_RESOURCE_TYPE_ENUM.Lease,
+            lease._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: amount > 0
+                    ? `Security deposit refund of ${deposit.currency} ${amount.toLocaleString()} recorded for lease ${lease._id} by ${currentUser.email}.`
+                    : `Security deposit for lease ${lease._id} closed as forfeited by ${currentUser.email}.`,
+                status: 'success',
+                oldValue,
+                newValue: { status: deposit.status, refund: deposit.refund.toObject() },
+                metadata: { depositId: deposit._id, refundDue }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        logger.info(`SecurityDepositService: Deposit refund of ${amount} recorded for lease ${lease._id} by ${currentUser.email}.`);
+
+        return deposit;
+    } catch (error) {
+        await session.abortTransaction();
+
+        logger.error(`SecurityDepositService - Error recording deposit refund: ${error.message}`, {
+            userId: currentUser?._id,
+            leaseId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to record deposit refund: ${error.message}`, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+module.exports = {
+    getSecurityDeposit,
+    recordDepositReceipt,
+    addDeduction,
+    removeDeduction,
+    issueDisposition,
+    recordDepositRefund
+};
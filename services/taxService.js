@@ -0,0 +1,156 @@
+// src/services/taxService.js
+
+const Property = require('../models/property');
+const PropertyUser = require('../models/propertyUser');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+const AppError = require('../utils/AppError');
+
+const {
+    ROLE_ENUM,
+    PROPERTY_USER_ROLES_ENUM,
+    TAX_TYPE_ENUM,
+    INVOICE_LINE_CATEGORY_ENUM,
+    AUDIT_ACTION_ENUM,
+    AUDIT_RESOURCE_TYPE_ENUM
+} = require('../utils/constants/enums');
+
+/**
+ * Helper to check if a user has management permission for a given property
+ * @param {Object} user - The authenticated user
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<boolean>} True if authorized
+ */
+const checkPropertyManagementPermission = async (user, propertyId) => {
+    try {
+        if (user.role === ROLE_ENUM.ADMIN) {
+            return true; // Admin has global access
+        }
+
+        const hasAccess = await PropertyUser.exists({
+            user: user._id,
+            property: propertyId,
+            isActive: true,
+            roles: { $in: [
+                PROPERTY_USER_ROLES_ENUM.LANDLORD,
+                PROPERTY_USER_ROLES_ENUM.PROPERTY_MANAGER,
+                PROPERTY_USER_ROLES_ENUM.ADMIN_ACCESS
+            ]}
+        });
+
+        return !!hasAccess;
+    } catch (error) {
+        logger.error(`TaxService - Error checking property management permission: ${error.message}`, {
+            userId: user?._id,
+            propertyId
+        });
+        return false; // Fail safely
+    }
+};
+
+/**
+ * Checks and normalizes one tax rule
+ * @param {Object} rule - { _id, name, type, rate, categories, effectiveFrom, effectiveTo, isActive }
+ * @returns {Object} Normalized rule
+ * @throws {AppError} If the rule is invalid
+ */
+const normalizeTaxRule = (rule) => {
+    if (!rule.name || !String(rule.name).trim()) {
+        throw new AppError('Every tax rule needs a name.', 400);
+    }
+    if (!TAX_TYPE_ENUM.includes(rule.type)) {
+        throw new AppError(`Tax type must be one of: ${TAX_TYPE_ENUM.join(', ')}`, 400);
+    }
+
+    const rate = parseFloat(rule.rate);
+    if (!(rate >= 0 && rate <= 100)) {
+        throw new AppError(`Tax rate for ${rule.name} must be between 0 and 100.`, 400);
+    }
+
+    const categories = rule.categories || [];
+    const invalid = categories.filter(category => !INVOICE_LINE_CATEGORY_ENUM.includes(category));
+    if (invalid.length > 0) {
+        throw new AppError(`Invalid tax rule categories: ${invalid.join(', ')}. Must be one of: ${INVOICE_LINE_CATEGORY_ENUM.join(', ')}`, 400);
+    }
+
+    const effectiveFrom = rule.effectiveFrom ? new Date(rule.effectiveFrom) : null;
+    const effectiveTo = rule.effectiveTo ? new Date(rule.effectiveTo) : null;
+    if (effectiveFrom && effectiveTo && effectiveTo < effectiveFrom) {
+        throw new AppError(`Tax rule ${rule.name} cannot end before it takes effect.`, 400);
+    }
+
+    return {
+        ...(rule._id ? { _id: rule._id } : {}),
+        name: String(rule.name).trim(),
+        type: rule.type,
+        rate,
+        categories,
+        effectiveFrom,
+        effectiveTo,
+        isActive: rule.isActive !== false
+    };
+};
+
+/**
+ * Replaces a property's tax rules. Existing rules keep their IDs when sent back with them, so
+ * rent records and invoices still point at the rule they were taxed under.
+ * @param {string} propertyId - Property ID
+ * @param {Array<Object>} rules - Tax rules (see TaxRuleSchema)
+ * @param {Object} currentUser - The authenticated user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Array<Object>>} The saved tax rules
+ * @throws {AppError} If property not found, a rule is invalid, or unauthorized
+ */
+const updateTaxRules = async (propertyId, rules, currentUser, ipAddress) => {
+    try {
+        const property = await Property.findById(propertyId);
+        if (!property) {
+            throw new AppError('Property not found.', 404);
+        }
+
+        const isAuthorized = await checkPropertyManagementPermission(currentUser, property._id);
+        if (!isAuthorized) {
+            throw new AppError('Not authorized to change the tax rules for this property.', 403);
+        }
+
+        if (!Array.isArray(rules)) {
+            throw new AppError('Tax rules must be a list.', 400);
+        }
+
+        const oldRules = property.taxRules.map(rule => rule.toObject());
+
+        property.taxRules = rules.map(normalizeTaxRule);
+        property.updatedBy = currentUser._id;
+
+        await property.save();
+
+        await auditService.logActivity(
+            AUDIT_ACTION_ENUM.TAX_RULES_UPDATED,
+            AUDIT_RESOURCE_TYPE_ENUM.Property,
+            property._id,
+            {
+                userId: currentUser._id,
+                ipAddress,
+                description: `Tax rules for property ${property._id} updated by ${currentUser.email}.`,
+                status: 'success',
+                oldValue: oldRules,
+                newValue: property.taxRules.map(rule => rule.toObject())
+            }
+        );
+
+        logger.info(`TaxService: Tax rules for property ${property._id} updated by ${currentUser.email}.`);
+
+        return property.taxRules;
+    } catch (error) {
+        logger.error(`TaxService - Error updating tax rules: ${error.message}`, {
+            userId: currentUser?._id,
+            propertyId
+        });
+
+        throw error instanceof AppError ? error : new AppError(`Failed to update tax rules: ${error.message}`, 500);
+    }
+};
+
+module.exports = {
+    updateTaxRules
+};
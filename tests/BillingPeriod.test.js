@@ -0,0 +1,113 @@
+// tests/BillingPeriod.test.js
+
+const {
+    isValidBillingPeriodLabel,
+    getIsoWeek,
+    getBillingPeriod,
+    getPeriodDueDate,
+    prorateForPeriod
+} = require('../utils/billingPeriodUtils');
+
+describe('Billing Period Tests', () => {
+    describe('getBillingPeriod', () => {
+        it('should keep the YYYY-MM label for monthly periods', () => {
+            const period = getBillingPeriod('monthly', new Date(2025, 1, 14));
+
+            expect(period.label).toBe('2025-02');
+            expect(period.start).toEqual(new Date(2025, 1, 1));
+            expect(period.end).toEqual(new Date(2025, 1, 28));
+        });
+
+        it('should label quarters, halves and years', () => {
+            expect(getBillingPeriod('quarterly', new Date(2025, 4, 10))).toEqual({
+                label: '2025-Q2', start: new Date(2025, 3, 1), end: new Date(2025, 5, 30)
+            });
+            expect(getBillingPeriod('bi_annually', new Date(2025, 6, 1))).toEqual({
+                label: '2025-H2', start: new Date(2025, 6, 1), end: new Date(2025, 11, 31)
+            });
+            expect(getBillingPeriod('annually', new Date(2025, 6, 1)).label).toBe('2025');
+        });
+
+        it('should use ISO weeks for weekly periods, including across the year boundary', () => {
+            const period = getBillingPeriod('weekly', new Date(2025, 0, 1));
+
+            expect(period.label).toBe('2025-W01');
+            expect(period.start).toEqual(new Date(2024, 11, 30));
+            expect(period.end).toEqual(new Date(2025, 0, 5));
+        });
+
+        it('should count bi-weekly periods from the week of the anchor date', () => {
+            const period = getBillingPeriod('bi_weekly', new Date(2025, 2, 20), new Date(2025, 2, 5));
+
+            expect(period.label).toBe('2025-W12-W13');
+            expect(period.start).toEqual(new Date(2025, 2, 17));
+            expect(period.end).toEqual(new Date(2025, 2, 30));
+        });
+
+        it('should reject unknown billing periods', () => {
+            expect(() => getBillingPeriod('daily', new Date())).toThrow('Unknown billing period');
+        });
+    });
+
+    describe('getIsoWeek', () => {
+        it('should put early January days in the last week of the previous year when needed', () => {
+            expect(getIsoWeek(new Date(2021, 0, 3))).toEqual({ year: 2020, week: 53 });
+        });
+    });
+
+    describe('getPeriodDueDate', () => {
+        it('should clamp the due day to the length of the month', () => {
+            const period = getBillingPeriod('quarterly', new Date(2025, 1, 10));
+            expect(getPeriodDueDate('quarterly', period, 31)).toEqual(new Date(2025, 0, 31));
+            expect(getPeriodDueDate('monthly', getBillingPeriod('monthly', new Date(2025, 1, 3)), 31)).toEqual(new Date(2025, 1, 28));
+        });
+
+        it('should treat the due day as a weekday for weekly periods', () => {
+            const period = getBillingPeriod('weekly', new Date(2025, 0, 1));
+            expect(getPeriodDueDate('weekly', period, 5)).toEqual(new Date(2025, 0, 3));
+        });
+    });
+
+    describe('prorateForPeriod', () => {
+        const march = getBillingPeriod('monthly', new Date(2025, 2, 1));
+
+        it('should charge the full amount when the lease covers the whole period', () => {
+            const result = prorateForPeriod(1000000, march, { start: new Date(2024, 0, 1), end: null });
+
+            expect(result.amountDue).toBe(1000000);
+            expect(result.proration.applied).toBe(false);
+        });
+
+        it('should prorate a lease that starts mid-period and show the calculation', () => {
+            const result = prorateForPeriod(1000000, march, { start: new Date(2025, 2, 15), end: null });
+
+            expect(result.amountDue).toBe(548387.1);
+            expect(result.proration).toMatchObject({ applied: true, daysInPeriod: 31, daysCharged: 17, fullAmount: 1000000 });
+            expect(result.proration.calculation).toMatch(/1,000,000 × 17\/31 days/);
+            expect(result.chargeStart).toEqual(new Date(2025, 2, 15));
+        });
+
+        it('should prorate a lease that ends mid-period', () => {
+            const result = prorateForPeriod(3000000, getBillingPeriod('quarterly', new Date(2025, 0, 1)), {
+                start: new Date(2024, 0, 1),
+                end: new Date(2025, 0, 31)
+            });
+
+            expect(result.proration.daysInPeriod).toBe(90);
+            expect(result.proration.daysCharged).toBe(31);
+            expect(result.amountDue).toBe(1033333.33);
+            expect(result.chargeEnd).toEqual(new Date(2025, 0, 31));
+        });
+    });
+
+    describe('isValidBillingPeriodLabel', () => {
+        it('should accept every label format and reject others', () => {
+            ['2025-03', '2025-Q4', '2025-H1', '2025', '2025-W09', '2025-W52-W01'].forEach(label => {
+                expect(isValidBillingPeriodLabel(label)).toBe(true);
+            });
+            ['2025-3', '2025-Q5', 'March 2025', null].forEach(label => {
+                expect(isValidBillingPeriodLabel(label)).toBe(false);
+            });
+        });
+    });
+});
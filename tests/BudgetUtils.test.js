@@ -0,0 +1,68 @@
+// tests/BudgetUtils.test.js
+
+const { buildBudgetVsActual, getNewBudgetAlerts, percentOfBudget } = require('../utils/budgetUtils');
+
+describe('Budget Utils Tests', () => {
+    describe('buildBudgetVsActual', () => {
+        const expenses = [
+            { amount: 300000, currency: 'UGX', category: 'utilities', expenseDate: new Date(2025, 0, 15) },
+            { amount: 200000, currency: 'UGX', category: 'repairs_maintenance', expenseDate: new Date(2025, 0, 20) },
+            { amount: 500000, currency: 'UGX', category: 'utilities', expenseDate: new Date(2025, 2, 3) },
+            { amount: 150, currency: 'USD', category: 'supplies', expenseDate: new Date(2025, 1, 1) }
+        ];
+
+        it('should spread the budget so the months add up to the annual figure', () => {
+            const report = buildBudgetVsActual({ annualBudget: 1000000, expenses: [], year: 2025 });
+
+            expect(report.months).toHaveLength(12);
+            expect(report.months[0].month).toBe('2025-01');
+            expect(report.months.reduce((sum, month) => sum + month.budget, 0)).toBeCloseTo(1000000, 2);
+            expect(report.months[11].cumulativeBudget).toBe(1000000);
+        });
+
+        it('should total actuals by month and category and track cumulative variance', () => {
+            const report = buildBudgetVsActual({ annualBudget: 1200000, expenses, year: 2025 });
+
+            expect(report.months[0]).toMatchObject({ budget: 100000, actual: 500000, variance: -400000 });
+            expect(report.months[2]).toMatchObject({ actual: 500000, cumulativeActual: 1000000, cumulativeVariance: -700000 });
+            expect(report.categories).toEqual([
+                { category: 'utilities', actual: 800000, percentOfActual: 80, percentOfAnnualBudget: 66.7 },
+                { category: 'repairs_maintenance', actual: 200000, percentOfActual: 20, percentOfAnnualBudget: 16.7 }
+            ]);
+            expect(report.totals).toEqual({ budget: 1200000, actual: 1000000, variance: 200000, percentUsed: 83.3 });
+        });
+
+        it('should leave out expenses in another currency and list them separately', () => {
+            const report = buildBudgetVsActual({ annualBudget: 1200000, expenses, year: 2025 });
+
+            expect(report.months[1].actual).toBe(0);
+            expect(report.excluded).toEqual([{ currency: 'USD', amount: 150, count: 1 }]);
+        });
+    });
+
+    describe('percentOfBudget', () => {
+        it('should return null when there is no budget', () => {
+            expect(percentOfBudget(500, 0)).toBeNull();
+            expect(percentOfBudget(500, 2000)).toBe(25);
+        });
+    });
+
+    describe('getNewBudgetAlerts', () => {
+        const policy = { enabled: true, thresholds: [100, 75, 90], sent: [] };
+
+        it('should return every newly crossed threshold, lowest first', () => {
+            expect(getNewBudgetAlerts(policy, { year: 2025, spent: 950, budget: 1000 })).toEqual([75, 90]);
+        });
+
+        it('should skip thresholds already alerted for the same year', () => {
+            const sentPolicy = { ...policy, sent: [{ year: 2025, threshold: 75 }, { year: 2024, threshold: 90 }] };
+
+            expect(getNewBudgetAlerts(sentPolicy, { year: 2025, spent: 950, budget: 1000 })).toEqual([90]);
+        });
+
+        it('should return nothing when alerts are disabled or there is no budget', () => {
+            expect(getNewBudgetAlerts({ ...policy, enabled: false }, { year: 2025, spent: 950, budget: 1000 })).toEqual([]);
+            expect(getNewBudgetAlerts(policy, { year: 2025, spent: 950, budget: 0 })).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,137 @@
+// tests/Dunning.test.js
+
+jest.mock('../models/rent', () => ({ find: jest.fn() }));
+jest.mock('../services/auditService', () => ({ createAuditLog: jest.fn().mockResolvedValue(null) }));
+
+const Rent = require('../models/rent');
+const { createAuditLog } = require('../services/auditService');
+const { generateDunningReport } = require('../services/reportService');
+const {
+    sortDunningSteps,
+    planDunningStep,
+    getDunningPosition
+} = require('../utils/dunningUtils');
+
+const dueDate = new Date(2025, 0, 1);
+const daysAfterDue = (days) => new Date(2025, 0, 1 + days);
+
+const policy = {
+    enabled: true,
+    steps: [
+        { name: 'Friendly reminder', daysOverdue: 1, channel: 'sms' },
+        { name: 'Second reminder', daysOverdue: 7, channel: 'email' },
+        { name: 'Formal notice', daysOverdue: 14, channel: 'formal_notice', escalateToLandlord: true }
+    ]
+};
+
+describe('Dunning Tests', () => {
+    describe('sortDunningSteps', () => {
+        it('should order steps by days overdue without changing the input', () => {
+            const steps = [{ daysOverdue: 14 }, { daysOverdue: 1 }, { daysOverdue: 7 }];
+            expect(sortDunningSteps(steps).map(step => step.daysOverdue)).toEqual([1, 7, 14]);
+            expect(steps[0].daysOverdue).toBe(14);
+        });
+    });
+
+    describe('planDunningStep', () => {
+        it('should send nothing before the first step is due', () => {
+            expect(planDunningStep(policy, { dueDate }, dueDate)).toBeNull();
+        });
+
+        it('should pick the next unsent step once it is due', () => {
+            const rent = { dueDate, dunning: { status: 'active', history: [{ stepIndex: 0 }] } };
+
+            expect(planDunningStep(policy, rent, daysAfterDue(6))).toBeNull();
+            expect(planDunningStep(policy, rent, daysAfterDue(7))).toMatchObject({ stepIndex: 1, daysOverdue: 7, skipped: [] });
+        });
+
+        it('should jump to the furthest due step and report the ones skipped', () => {
+            const plan = planDunningStep(policy, { dueDate }, daysAfterDue(20));
+
+            expect(plan.stepIndex).toBe(2);
+            expect(plan.step.channel).toBe('formal_notice');
+            expect(plan.skipped).toEqual([0, 1]);
+        });
+
+        it('should stop for resolved records, disabled policies and finished sequences', () => {
+            const finished = { dueDate, dunning: { status: 'active', history: [{ stepIndex: 2 }] } };
+
+            expect(planDunningStep(policy, { dueDate, dunning: { status: 'resolved' } }, daysAfterDue(30))).toBeNull();
+            expect(planDunningStep({ ...policy, enabled: false }, { dueDate }, daysAfterDue(30))).toBeNull();
+            expect(planDunningStep(policy, finished, daysAfterDue(30))).toBeNull();
+        });
+    });
+
+    describe('getDunningPosition', () => {
+        it('should show the last step sent and when the next one is due', () => {
+            const sentAt = daysAfterDue(1);
+            const rent = {
+                dueDate,
+                dunning: { status: 'active', history: [{ stepIndex: 0, name: 'Friendly reminder', sentAt }] }
+            };
+            const position = getDunningPosition(policy, rent, daysAfterDue(3));
+
+            expect(position).toMatchObject({
+                status: 'active',
+                daysOverdue: 3,
+                stepsSent: 1,
+                totalSteps: 3,
+                lastStep: 'Friendly reminder',
+                lastSentAt: sentAt,
+                nextStep: 'Second reminder'
+            });
+            expect(position.nextStepDate).toEqual(daysAfterDue(7));
+        });
+
+        it('should report completed, resolved and missing sequences', () => {
+            const history = [{ stepIndex: 2, name: 'Formal notice' }];
+
+            expect(getDunningPosition(policy, { dueDate, dunning: { status: 'active', history } }).status).toBe('completed');
+            expect(getDunningPosition(policy, { dueDate, dunning: { status: 'resolved', history } }).nextStep).toBeNull();
+            expect(getDunningPosition(null, { dueDate }).status).toBe('no_policy');
+            expect(getDunningPosition(policy, { dueDate }, dueDate)).toMatchObject({ status: 'not_started', nextStep: 'Friendly reminder' });
+        });
+    });
+
+    describe('generateDunningReport', () => {
+        const admin = { _id: 'admin1', role: 'admin', email: 'admin@example.com' };
+        const overdueRent = {
+            _id: 'rent1',
+            billingPeriod: '2025-01',
+            tenant: { firstName: 'Amina', lastName: 'Nakato', email: 'amina@example.com' },
+            property: { name: 'Kololo Heights', dunningPolicy: policy },
+            unit: { unitName: 'A1' },
+            currency: 'UGX',
+            dueDate,
+            status: 'overdue',
+            dunning: { status: 'active', history: [{ stepIndex: 0, name: 'Friendly reminder', sentAt: daysAfterDue(1) }] }
+        };
+
+        beforeEach(() => {
+            jest.clearAllMocks();
+            const query = { populate: jest.fn(() => query), sort: jest.fn().mockResolvedValue([overdueRent]) };
+            Rent.find.mockReturnValue(query);
+        });
+
+        it('should audit the report with its type and filters', async () => {
+            const filters = { dunningStatus: 'active' };
+
+            const report = await generateDunningReport(filters, admin);
+
+            expect(report).toHaveLength(1);
+            expect(report[0]).toMatchObject({ tenantName: 'Amina Nakato', dunningStatus: 'active', lastStep: 'Friendly reminder' });
+            expect(createAuditLog).toHaveBeenCalledTimes(1);
+            expect(createAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'GENERATE_REPORT',
+                user: 'admin1',
+                status: 'success',
+                metadata: { reportType: 'dunning', filters }
+            }));
+        });
+
+        it('should not audit a report the user may not run', async () => {
+            await expect(generateDunningReport({}, { _id: 'tenant1', role: 'tenant' })).rejects.toMatchObject({ statusCode: 403 });
+            expect(createAuditLog).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,148 @@
+// tests/Inspection.test.js
+
+const {
+    buildDefaultChecklist,
+    copyChecklist,
+    getConditionRank,
+    findUnratedItems,
+    compareInspections,
+    proposeDeductions
+} = require('../utils/inspectionUtils');
+
+const moveIn = {
+    rooms: [
+        {
+            name: 'Kitchen',
+            items: [
+                { name: 'Walls', condition: 'good', notes: null, photos: ['m1'] },
+                { name: 'Cabinets', condition: 'excellent' },
+                { name: 'Appliances', condition: 'not_applicable' }
+            ]
+        },
+        {
+            name: 'Entrance',
+            items: [
+                { name: 'Keys', condition: 'good', notes: '2 keys handed over' },
+                { name: 'Doorbell', condition: 'fair' }
+            ]
+        }
+    ]
+};
+
+const moveOut = {
+    rooms: [
+        {
+            name: 'kitchen',
+            items: [
+                { name: 'walls', condition: 'damaged', notes: 'Large hole by the door', photos: ['m7'], estimatedCost: 150000 },
+                { name: 'Cabinets', condition: 'excellent' },
+                { name: 'Appliances', condition: 'good' }
+            ]
+        },
+        {
+            name: 'Entrance',
+            items: [
+                { name: 'Keys', condition: 'missing', notes: 'Only 1 key returned' },
+                { name: 'Shoe rack', condition: 'good' }
+            ]
+        }
+    ]
+};
+
+describe('Inspection Tests', () => {
+    describe('buildDefaultChecklist', () => {
+        it('should add a room per bedroom and bathroom', () => {
+            const rooms = buildDefaultChecklist({ numBedrooms: 2, numBathrooms: 1 }).map(room => room.name);
+
+            expect(rooms).toEqual(['Entrance', 'Living Room', 'Kitchen', 'Bedroom 1', 'Bedroom 2', 'Bathroom']);
+        });
+
+        it('should give units without counts one bedroom and bathroom, and studios no bedroom', () => {
+            expect(buildDefaultChecklist({}).map(room => room.name)).toContain('Bedroom');
+            expect(buildDefaultChecklist({ numBedrooms: 0, numBathrooms: 0 }).map(room => room.name))
+                .toEqual(['Entrance', 'Living Room', 'Kitchen', 'Bathroom']);
+        });
+    });
+
+    describe('copyChecklist', () => {
+        it('should keep room and item names but drop ratings, notes and photos', () => {
+            expect(copyChecklist(moveIn.rooms)[1]).toEqual({
+                name: 'Entrance',
+                items: [{ name: 'Keys' }, { name: 'Doorbell' }]
+            });
+        });
+    });
+
+    describe('getConditionRank', () => {
+        it('should rank conditions from best to worst', () => {
+            expect(getConditionRank('excellent')).toBeLessThan(getConditionRank('fair'));
+            expect(getConditionRank('damaged')).toBeLessThan(getConditionRank('missing'));
+        });
+
+        it('should not rank unrated or not applicable items', () => {
+            expect(getConditionRank(null)).toBeNull();
+            expect(getConditionRank('not_applicable')).toBeNull();
+        });
+    });
+
+    describe('findUnratedItems', () => {
+        it('should list items without a condition', () => {
+            const rooms = [{ name: 'Bathroom', items: [{ name: 'Toilet', condition: 'good' }, { name: 'Mirror' }] }];
+
+            expect(findUnratedItems(rooms)).toEqual(['Bathroom: Mirror']);
+        });
+    });
+
+    describe('compareInspections', () => {
+        const { rows, summary } = compareInspections(moveIn, moveOut);
+
+        it('should match items by room and name regardless of case', () => {
+            expect(rows[0]).toEqual({
+                room: 'kitchen',
+                item: 'walls',
+                moveIn: { condition: 'good', notes: null, photos: ['m1'] },
+                moveOut: { condition: 'damaged', notes: 'Large hole by the door', photos: ['m7'] },
+                change: 'worse',
+                estimatedCost: 150000
+            });
+        });
+
+        it('should only compare items rated at both inspections', () => {
+            expect(rows.map(row => [row.item, row.change])).toEqual([
+                ['walls', 'worse'],
+                ['Cabinets', 'unchanged'],
+                ['Appliances', 'not_compared'],
+                ['Keys', 'worse'],
+                ['Shoe rack', 'not_compared'],
+                ['Doorbell', 'not_compared']
+            ]);
+            expect(rows[5].moveOut).toBeNull();
+            expect(summary).toEqual({ worse: 2, unchanged: 1, better: 0, not_compared: 3 });
+        });
+    });
+
+    describe('proposeDeductions', () => {
+        it('should propose a deduction for each item that got worse', () => {
+            const proposals = proposeDeductions(compareInspections(moveIn, moveOut).rows);
+
+            expect(proposals).toEqual([
+                {
+                    room: 'kitchen',
+                    item: 'walls',
+                    category: 'damage',
+                    description: 'kitchen - walls: good at move-in, damaged at move-out. Large hole by the door',
+                    amount: 150000,
+                    mediaIds: ['m7']
+                },
+                {
+                    room: 'Entrance',
+                    item: 'Keys',
+                    category: 'key_replacement',
+                    description: 'Entrance - Keys: good at move-in, missing at move-out. Only 1 key returned',
+                    amount: null,
+                    mediaIds: []
+                }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,107 @@
+// tests/InvoiceUtils.test.js
+
+const {
+    calculateLineItem,
+    calculateTotals,
+    formatDocumentNumber,
+    calculateRentSettlement,
+    calculateDirectTotal,
+    resolveInvoiceStatus
+} = require('../utils/invoiceUtils');
+
+describe('Invoice Utils Tests', () => {
+    describe('calculateLineItem', () => {
+        it('should treat a plain amount as one unit', () => {
+            const item = calculateLineItem({ description: 'Rent', amount: 1000000 });
+            expect(item).toMatchObject({ quantity: 1, unitPrice: 1000000, amount: 1000000, taxAmount: 0 });
+        });
+
+        it('should multiply quantity by unit price and apply tax', () => {
+            const item = calculateLineItem({ description: 'Water', quantity: 3, unitPrice: 12500.5, taxRate: 18 });
+            expect(item.amount).toBe(37501.5);
+            expect(item.taxAmount).toBe(6750.27);
+        });
+    });
+
+    describe('calculateTotals', () => {
+        it('should add up subtotal, tax and total', () => {
+            const totals = calculateTotals([
+                { description: 'Rent', amount: 1000000 },
+                { description: 'Service charge', amount: 100000, taxRate: 18 }
+            ]);
+            expect(totals.subtotal).toBe(1100000);
+            expect(totals.taxTotal).toBe(18000);
+            expect(totals.total).toBe(1118000);
+        });
+
+        it('should add VAT, take off tax withheld and break each tax down', () => {
+            const vat = { rule: 'vat1', name: 'VAT', type: 'vat', rate: 18 };
+            const wht = { rule: 'wht1', name: 'WHT', type: 'withholding', rate: 6 };
+            const totals = calculateTotals([
+                { description: 'Rent', amount: 1000000, taxes: [vat, wht] },
+                { description: 'Service charge', amount: 100000, taxes: [vat] }
+            ]);
+
+            expect(totals.items[0]).toMatchObject({ taxRate: 18, taxAmount: 180000, withholdingRate: 6, withholdingAmount: 60000 });
+            expect(totals.taxTotal).toBe(198000);
+            expect(totals.withholdingTotal).toBe(60000);
+            expect(totals.total).toBe(1100000 + 198000 - 60000);
+            expect(totals.taxBreakdown).toEqual([
+                { name: 'VAT', type: 'vat', rate: 18, base: 1100000, amount: 198000 },
+                { name: 'WHT', type: 'withholding', rate: 6, base: 1000000, amount: 60000 }
+            ]);
+        });
+    });
+
+    describe('formatDocumentNumber', () => {
+        it('should pad the sequence and prefix by type', () => {
+            expect(formatDocumentNumber('invoice', 2025, 7)).toBe('INV-2025-0007');
+            expect(formatDocumentNumber('credit_note', 2025, 12)).toBe('CN-2025-0012');
+            expect(formatDocumentNumber('receipt', 2026, 1)).toBe('RCT-2026-0001');
+        });
+    });
+
+    describe('calculateRentSettlement', () => {
+        const items = [
+            { description: 'Rent', amount: 1000000, taxAmount: 0, rent: 'r1' },
+            { description: 'Late fee', amount: 50000, taxAmount: 0, rent: 'r1' },
+            { description: 'Repair', amount: 200000, taxAmount: 0 }
+        ];
+
+        it('should cap each rent at its lines on the invoice', () => {
+            const rents = new Map([['r1', { amountPaid: 2000000, status: 'paid' }]]);
+            expect(calculateRentSettlement(items, rents)).toBe(1050000);
+        });
+
+        it('should count partial rent payments and waived rents', () => {
+            expect(calculateRentSettlement(items, new Map([['r1', { amountPaid: 400000, status: 'partially_paid' }]]))).toBe(400000);
+            expect(calculateRentSettlement(items, new Map([['r1', { amountPaid: 0, status: 'waived' }]]))).toBe(1050000);
+        });
+    });
+
+    describe('calculateDirectTotal', () => {
+        it('should only count lines without a rent', () => {
+            expect(calculateDirectTotal([
+                { amount: 1000000, rent: 'r1' },
+                { amount: 200000, taxAmount: 36000 }
+            ])).toBe(236000);
+        });
+    });
+
+    describe('resolveInvoiceStatus', () => {
+        it('should leave drafts, void invoices and credit notes alone', () => {
+            expect(resolveInvoiceStatus({ status: 'draft', amount: 100 })).toBe('draft');
+            expect(resolveInvoiceStatus({ status: 'void', amount: 100, amountPaid: 100 })).toBe('void');
+            expect(resolveInvoiceStatus({ type: 'credit_note', status: 'pending', amount: 100 })).toBe('pending');
+        });
+
+        it('should follow payments and credits', () => {
+            const base = { type: 'invoice', status: 'pending', amount: 1000 };
+            expect(resolveInvoiceStatus(base)).toBe('pending');
+            expect(resolveInvoiceStatus({ ...base, sentAt: new Date() })).toBe('sent');
+            expect(resolveInvoiceStatus({ ...base, amountPaid: 400 })).toBe('partially_paid');
+            expect(resolveInvoiceStatus({ ...base, amountPaid: 600, creditedAmount: 400 })).toBe('paid');
+            expect(resolveInvoiceStatus({ ...base, creditedAmount: 1000 })).toBe('credited');
+        });
+    });
+});
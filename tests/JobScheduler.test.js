@@ -0,0 +1,128 @@
+// tests/JobScheduler.test.js
+
+process.env.NODE_ENV = 'test';
+
+const mockNotifications = [];
+jest.mock('../models/notification', () => jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(this);
+    mockNotifications.push(this);
+}));
+jest.mock('../models/user', () => ({
+    findById: jest.fn(() => ({ select: jest.fn().mockResolvedValue({ email: 'tenant@example.com', preferences: {} }) }))
+}));
+jest.mock('../models/propertyUser', () => ({
+    find: jest.fn(() => ({ populate: jest.fn().mockResolvedValue([]) }))
+}));
+jest.mock('../models/rent', () => ({
+    find: jest.fn(),
+    updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 })
+}));
+jest.mock('../services/leaseService', () => ({ getExpiringLeases: jest.fn() }));
+jest.mock('../services/emailService', () => ({ sendEmail: jest.fn().mockResolvedValue({ messageId: 'email-1' }) }));
+
+const Rent = require('../models/rent');
+const leaseService = require('../services/leaseService');
+const emailService = require('../services/emailService');
+const jobService = require('../services/jobService');
+const AppError = require('../utils/AppError');
+
+describe('Job Scheduler Tests', () => {
+    describe('summarizeResult', () => {
+        it('should map rent generation results onto run counts', () => {
+            const counts = jobService.summarizeResult({ generated: 4, skipped: 2, failed: 1, details: [] });
+
+            expect(counts).toEqual({ processed: 7, succeeded: 4, failed: 1, skipped: 2, details: [] });
+        });
+
+        it('should prefer explicit processed counts', () => {
+            const counts = jobService.summarizeResult({ processed: 10, sent: 3 });
+
+            expect(counts.processed).toBe(10);
+            expect(counts.succeeded).toBe(3);
+            expect(counts.failed).toBe(0);
+        });
+
+        it('should treat an empty result as an empty run', () => {
+            expect(jobService.summarizeResult(undefined)).toEqual({
+                processed: 0, succeeded: 0, failed: 0, skipped: 0, details: null
+            });
+        });
+    });
+
+    describe('resolveRunStatus', () => {
+        it('should be success when nothing failed', () => {
+            expect(jobService.resolveRunStatus({ succeeded: 0, failed: 0 })).toBe('success');
+        });
+
+        it('should be partial when some items failed', () => {
+            expect(jobService.resolveRunStatus({ succeeded: 2, failed: 1 })).toBe('partial');
+        });
+
+        it('should be failed when every item failed', () => {
+            expect(jobService.resolveRunStatus({ succeeded: 0, failed: 3 })).toBe('failed');
+        });
+    });
+
+    describe('registerJob', () => {
+        it('should reject invalid cron expressions', () => {
+            expect(() => jobService.registerJob({
+                name: 'broken-job',
+                schedule: 'not a cron',
+                handler: async () => ({})
+            })).toThrow(AppError);
+        });
+    });
+
+    describe('notification jobs', () => {
+        const asOfDate = new Date(2025, 6, 1);
+        const tenant = { _id: 'tenant-1', firstName: 'Jane', lastName: 'Doe' };
+
+        beforeEach(() => {
+            jest.clearAllMocks();
+            mockNotifications.length = 0;
+        });
+
+        it('should email and notify tenants about rent that is due', async () => {
+            const rents = [{
+                _id: 'rent-1',
+                tenant,
+                property: { name: 'Palm Court', dunningPolicy: null },
+                unit: { unitName: 'A1' },
+                billingPeriod: '2025-07',
+                balanceDue: 500000,
+                dueDate: new Date(2025, 6, 3)
+            }];
+            const populate = jest.fn();
+            populate.mockReturnValueOnce({ populate }).mockReturnValueOnce({ populate }).mockResolvedValueOnce(rents);
+            Rent.find.mockReturnValue({ populate });
+
+            const result = await jobService.getRegisteredJob('rent-reminders').handler({ asOfDate });
+
+            expect(result).toMatchObject({ processed: 1, sent: 1, failed: 0 });
+            expect(emailService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+                to: 'tenant@example.com',
+                subject: 'Rent Due Reminder: Palm Court - Unit A1 for 2025-07'
+            }));
+            expect(mockNotifications[0]).toMatchObject({ type: 'rent_due', relatedResource: { kind: 'Rent', item: 'rent-1' } });
+        });
+
+        it('should email and notify tenants about leases nearing expiry', async () => {
+            leaseService.getExpiringLeases.mockResolvedValue([{
+                _id: 'lease-1',
+                tenant,
+                property: { _id: 'property-1', name: 'Palm Court' },
+                unit: { unitName: 'A1' },
+                leaseEndDate: new Date(2025, 6, 31)
+            }]);
+
+            const result = await jobService.getRegisteredJob('lease-expiry-notices').handler({ asOfDate, actor: {} });
+
+            expect(result).toMatchObject({ processed: 1, sent: 1, failed: 0 });
+            expect(emailService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+                subject: 'Important: Lease Expiry Reminder for Palm Court - Unit A1'
+            }));
+            expect(mockNotifications[0]).toMatchObject({ type: 'lease_expiry', relatedResource: { kind: 'Lease', item: 'lease-1' } });
+        });
+    });
+});
@@ -0,0 +1,130 @@
+// tests/LateFee.test.js
+
+const mockSave = jest.fn(function () { return Promise.resolve(this); });
+jest.mock('../models/auditLog', () => jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = mockSave;
+}));
+
+const {
+    resolveLateFeePolicy,
+    calculateLateFee,
+    planLateFeeCharges
+} = require('../utils/lateFeeUtils');
+const auditService = require('../services/auditService');
+
+const dueDate = new Date(2025, 0, 1);
+const rent = { amountDue: 1000000, dueDate, lateFees: [] };
+const daysAfterDue = (days) => new Date(2025, 0, 1 + days);
+
+describe('Late Fee Tests', () => {
+    describe('resolveLateFeePolicy', () => {
+        it('should prefer an enabled lease policy over the property policy', () => {
+            const lease = { lateFeePolicy: { enabled: true, feeAmount: 10 } };
+            const property = { lateFeePolicy: { enabled: true, feeAmount: 20 } };
+
+            expect(resolveLateFeePolicy(lease, property).feeAmount).toBe(10);
+        });
+
+        it('should fall back to the property policy when the lease has none enabled', () => {
+            const lease = { lateFeePolicy: { enabled: false, feeAmount: 10 } };
+            const property = { lateFeePolicy: { enabled: true, feeAmount: 20 } };
+
+            expect(resolveLateFeePolicy(lease, property).feeAmount).toBe(20);
+        });
+
+        it('should return null when no policy is enabled', () => {
+            expect(resolveLateFeePolicy({}, {})).toBeNull();
+        });
+    });
+
+    describe('calculateLateFee', () => {
+        const flatPolicy = { enabled: true, gracePeriodDays: 5, feeType: 'flat', feeAmount: 50000 };
+
+        it('should not charge within the grace period', () => {
+            expect(calculateLateFee(flatPolicy, rent, daysAfterDue(5)).total).toBe(0);
+        });
+
+        it('should charge the flat fee the day after the grace period', () => {
+            const result = calculateLateFee(flatPolicy, rent, daysAfterDue(6));
+
+            expect(result.daysLate).toBe(1);
+            expect(result.total).toBe(50000);
+        });
+
+        it('should calculate percentage fees from the rent amount due', () => {
+            const policy = { enabled: true, gracePeriodDays: 0, feeType: 'percentage', feeAmount: 5 };
+
+            expect(calculateLateFee(policy, rent, daysAfterDue(1)).total).toBe(50000);
+        });
+
+        it('should accrue daily after the first late day', () => {
+            const policy = { ...flatPolicy, dailyAccrual: { enabled: true, amount: 2000 } };
+            const result = calculateLateFee(policy, rent, daysAfterDue(10));
+
+            expect(result.daysLate).toBe(5);
+            expect(result.accruedFee).toBe(8000);
+            expect(result.total).toBe(58000);
+        });
+
+        it('should cap the total fee', () => {
+            const policy = { ...flatPolicy, dailyAccrual: { enabled: true, amount: 2000 }, maxFee: 55000 };
+            const result = calculateLateFee(policy, rent, daysAfterDue(30));
+
+            expect(result.capped).toBe(true);
+            expect(result.total).toBe(55000);
+        });
+    });
+
+    describe('planLateFeeCharges', () => {
+        const policy = {
+            enabled: true,
+            gracePeriodDays: 0,
+            feeType: 'flat',
+            feeAmount: 50000,
+            dailyAccrual: { enabled: true, amount: 1000 }
+        };
+
+        it('should create an initial fee and an accrual line item', () => {
+            const charges = planLateFeeCharges(policy, rent, daysAfterDue(3));
+
+            expect(charges).toHaveLength(2);
+            expect(charges[0]).toMatchObject({ feeType: 'initial', amount: 50000 });
+            expect(charges[1]).toMatchObject({ feeType: 'accrual', amount: 2000 });
+        });
+
+        it('should only add the difference to fees already assessed', () => {
+            const assessedRent = {
+                ...rent,
+                lateFees: [
+                    { feeType: 'initial', amount: 50000, status: 'active' },
+                    { feeType: 'accrual', amount: 2000, status: 'active' }
+                ]
+            };
+            const charges = planLateFeeCharges(policy, assessedRent, daysAfterDue(5));
+
+            expect(charges).toHaveLength(1);
+            expect(charges[0]).toMatchObject({ feeType: 'accrual', amount: 2000 });
+        });
+
+        it('should not re-charge a waived fee', () => {
+            const waivedRent = {
+                ...rent,
+                lateFees: [{ feeType: 'initial', amount: 50000, status: 'waived' }]
+            };
+            const charges = planLateFeeCharges({ ...policy, dailyAccrual: { enabled: false } }, waivedRent, daysAfterDue(5));
+
+            expect(charges).toHaveLength(0);
+        });
+    });
+
+    describe('late fee audit logging', () => {
+        it('should write the audit entry in the session of the waiver transaction', async () => {
+            const session = { id: 'waiver-session' };
+
+            await auditService.logActivity('LATE_FEE_WAIVED', 'Rent', 'rent-1', { description: 'Late fee waived.' }, { session });
+
+            expect(mockSave).toHaveBeenCalledWith({ session });
+        });
+    });
+});
@@ -0,0 +1,139 @@
+// tests/LeaseCharge.test.js
+
+jest.mock('../services/auditService', () => ({ logActivity: jest.fn().mockResolvedValue(null) }));
+
+const mongoose = require('mongoose');
+const Lease = require('../models/lease');
+const LeaseSignatureRequest = require('../models/leaseSignatureRequest');
+const leaseChargeService = require('../services/leaseChargeService');
+const { getChargeWindow, calculatePeriodCharges } = require('../utils/leaseChargeUtils');
+const { getBillingPeriod } = require('../utils/billingPeriodUtils');
+
+const makeCharge = (overrides = {}) => ({
+    _id: 'charge1',
+    name: 'Service charge',
+    category: 'service_charge',
+    amount: 90000,
+    frequency: 'monthly',
+    startDate: new Date(2025, 0, 1),
+    endDate: null,
+    isActive: true,
+    ...overrides
+});
+
+const lease = { start: new Date(2025, 0, 1), end: new Date(2025, 11, 31) };
+
+describe('Lease Charge Tests', () => {
+    describe('getChargeWindow', () => {
+        it('should keep the charge within the lease', () => {
+            const window = getChargeWindow(makeCharge({ startDate: new Date(2024, 11, 1), endDate: null }), lease);
+
+            expect(window).toEqual({ start: new Date(2025, 0, 1), end: new Date(2025, 11, 31) });
+        });
+
+        it('should run open-ended when neither the charge nor the lease has an end', () => {
+            expect(getChargeWindow(makeCharge(), { start: lease.start }).end).toBeNull();
+        });
+    });
+
+    describe('calculatePeriodCharges', () => {
+        const march = getBillingPeriod('monthly', new Date(2025, 2, 10));
+
+        it('should bill a monthly charge once on monthly rent', () => {
+            expect(calculatePeriodCharges([makeCharge()], march, lease)).toEqual([{
+                charge: 'charge1',
+                name: 'Service charge',
+                category: 'service_charge',
+                frequency: 'monthly',
+                quantity: 1,
+                amount: 90000,
+                calculation: null
+            }]);
+        });
+
+        it('should bill a weekly charge for each week starting in the rent period', () => {
+            // March 2025 has ISO weeks starting on the 3rd, 10th, 17th, 24th and 31st
+            const [line] = calculatePeriodCharges([makeCharge({ name: 'Parking', category: 'parking', amount: 10000, frequency: 'weekly' })], march, lease);
+
+            expect(line).toMatchObject({ quantity: 5, amount: 50000 });
+        });
+
+        it('should bill a quarterly charge only on the rent period in which its quarter starts', () => {
+            const charge = makeCharge({ amount: 150000, frequency: 'quarterly' });
+            const april = getBillingPeriod('monthly', new Date(2025, 3, 1));
+
+            expect(calculatePeriodCharges([charge], march, lease)).toEqual([]);
+            expect(calculatePeriodCharges([charge], april, lease)[0]).toMatchObject({ quantity: 1, amount: 150000 });
+        });
+
+        it('should prorate a charge that starts part-way through its period', () => {
+            const [line] = calculatePeriodCharges([makeCharge({ amount: 31000, startDate: new Date(2025, 2, 17) })], march, lease);
+
+            expect(line.amount).toBe(15000);
+            expect(line.calculation).toContain('15/31 days');
+        });
+
+        it('should skip inactive charges and charges outside the period', () => {
+            const charges = [
+                makeCharge({ isActive: false }),
+                makeCharge({ endDate: new Date(2025, 1, 28) }),
+                makeCharge({ startDate: new Date(2025, 3, 1) })
+            ];
+
+            expect(calculatePeriodCharges(charges, march, lease)).toEqual([]);
+        });
+    });
+
+    describe('leaseChargeService', () => {
+        const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin', email: 'admin@example.com' };
+        let signedLease;
+
+        beforeEach(() => {
+            signedLease = new Lease({
+                property: new mongoose.Types.ObjectId(),
+                unit: new mongoose.Types.ObjectId(),
+                tenant: new mongoose.Types.ObjectId(),
+                landlord: new mongoose.Types.ObjectId(),
+                leaseStartDate: new Date(2025, 0, 1),
+                leaseEndDate: new Date(2025, 11, 31),
+                monthlyRent: 1000000,
+                currency: 'UGX',
+                paymentDueDate: 5,
+                status: 'draft',
+                signatureStatus: 'signed',
+                charges: [makeCharge({ _id: new mongoose.Types.ObjectId() })]
+            });
+            jest.spyOn(signedLease, 'save').mockResolvedValue(signedLease);
+            jest.spyOn(Lease, 'findById').mockReturnValue({ session: jest.fn().mockResolvedValue(signedLease) });
+            jest.spyOn(LeaseSignatureRequest, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+            jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+                startTransaction: jest.fn(),
+                commitTransaction: jest.fn(),
+                abortTransaction: jest.fn(),
+                endSession: jest.fn()
+            });
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should reset the signatures when a charge on a signed lease changes', async () => {
+            await leaseChargeService.updateLeaseCharge(signedLease._id, signedLease.charges[0]._id, { amount: 100000 }, admin, '127.0.0.1');
+
+            expect(signedLease.signatureStatus).toBe('unsigned');
+            expect(LeaseSignatureRequest.updateMany).toHaveBeenCalledWith(
+                { lease: signedLease._id, status: 'pending' },
+                expect.objectContaining({ $set: expect.objectContaining({ status: 'voided' }) }),
+                expect.any(Object)
+            );
+        });
+
+        it('should keep the signatures when a charge is saved unchanged', async () => {
+            await leaseChargeService.updateLeaseCharge(signedLease._id, signedLease.charges[0]._id, { notes: 'Billed with the rent.' }, admin, '127.0.0.1');
+
+            expect(signedLease.signatureStatus).toBe('signed');
+            expect(LeaseSignatureRequest.updateMany).not.toHaveBeenCalled();
+        });
+    });
+});
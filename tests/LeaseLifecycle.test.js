@@ -0,0 +1,144 @@
+// tests/LeaseLifecycle.test.js
+
+jest.mock('../models/lease', () => ({
+    exists: jest.fn(() => ({ session: jest.fn().mockResolvedValue(null) }))
+}));
+jest.mock('../models/unit', () => ({ updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 }) }));
+jest.mock('../models/propertyUser', () => ({ updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 }) }));
+jest.mock('../models/rentSchedule', () => ({ updateMany: jest.fn().mockResolvedValue({ modifiedCount: 1 }) }));
+jest.mock('../models/leaseRenewalOffer', () => ({}));
+jest.mock('../services/auditService', () => ({}));
+
+const PropertyUser = require('../models/propertyUser');
+const Unit = require('../models/unit');
+const {
+    IN_FORCE_LEASE_STATUSES,
+    startOfDay,
+    getLifecycleTransition,
+    getManualStatusChangeError
+} = require('../utils/leaseLifecycleUtils');
+const { syncLinkedRecords } = require('../services/leaseLifecycleService');
+
+const lease = {
+    status: 'active',
+    signatureStatus: 'signed',
+    leaseStartDate: new Date(2025, 0, 1),
+    leaseEndDate: new Date(2025, 11, 31)
+};
+
+describe('Lease Lifecycle Tests', () => {
+    describe('startOfDay', () => {
+        it('should drop the time of day', () => {
+            expect(startOfDay(new Date(2025, 5, 15, 17, 45))).toEqual(new Date(2025, 5, 15));
+        });
+    });
+
+    describe('getLifecycleTransition', () => {
+        it('should activate a signed draft once its start date arrives', () => {
+            const draft = { ...lease, status: 'draft' };
+
+            expect(getLifecycleTransition(draft, { asOfDate: new Date(2024, 11, 31) })).toBeNull();
+            expect(getLifecycleTransition(draft, { asOfDate: new Date(2025, 0, 1, 9) })).toMatchObject({ from: 'draft', to: 'active' });
+        });
+
+        it('should leave unsigned drafts alone', () => {
+            const draft = { ...lease, status: 'draft', signatureStatus: 'pending' };
+
+            expect(getLifecycleTransition(draft, { asOfDate: new Date(2025, 2, 1) })).toBeNull();
+        });
+
+        it('should move an active lease to pending_renewal inside the renewal window', () => {
+            expect(getLifecycleTransition(lease, { asOfDate: new Date(2025, 9, 31), renewalWindowDays: 60 })).toBeNull();
+            expect(getLifecycleTransition(lease, { asOfDate: new Date(2025, 10, 1), renewalWindowDays: 60 }))
+                .toMatchObject({ from: 'active', to: 'pending_renewal' });
+        });
+
+        it('should move an active lease to pending_renewal while a renewal offer is open', () => {
+            const transition = getLifecycleTransition(lease, { asOfDate: new Date(2025, 5, 1), hasOpenRenewalOffer: true });
+
+            expect(transition).toEqual({ from: 'active', to: 'pending_renewal', reason: 'A renewal offer is awaiting the tenant.' });
+        });
+
+        it('should return a pending_renewal lease to active once neither applies', () => {
+            const pending = { ...lease, status: 'pending_renewal' };
+
+            expect(getLifecycleTransition(pending, { asOfDate: new Date(2025, 5, 1) })).toMatchObject({ to: 'active' });
+            expect(getLifecycleTransition(pending, { asOfDate: new Date(2025, 5, 1), hasOpenRenewalOffer: true })).toBeNull();
+        });
+
+        it('should expire a lease the day after it ends', () => {
+            const pending = { ...lease, status: 'pending_renewal' };
+
+            expect(getLifecycleTransition(pending, { asOfDate: new Date(2025, 11, 31, 23) })).toBeNull();
+            expect(getLifecycleTransition(pending, { asOfDate: new Date(2026, 0, 1) })).toMatchObject({ from: 'pending_renewal', to: 'expired' });
+            expect(getLifecycleTransition(lease, { asOfDate: new Date(2026, 0, 1), hasOpenRenewalOffer: true })).toMatchObject({ to: 'expired' });
+        });
+
+        it('should hand over from a lease to its signed renewal on the day after it ends', () => {
+            const renewed = { ...lease, status: 'pending_renewal' };
+            const renewal = { status: 'draft', signatureStatus: 'signed', leaseStartDate: new Date(2026, 0, 1), leaseEndDate: new Date(2026, 11, 31) };
+
+            expect(getLifecycleTransition(renewal, { asOfDate: new Date(2025, 11, 31) })).toBeNull();
+            expect(getLifecycleTransition(renewed, { asOfDate: new Date(2026, 0, 1) })).toMatchObject({ to: 'expired' });
+            expect(getLifecycleTransition(renewal, { asOfDate: new Date(2026, 0, 1) })).toMatchObject({ from: 'draft', to: 'active' });
+            expect(getLifecycleTransition({ ...renewal, signatureStatus: 'unsigned' }, { asOfDate: new Date(2026, 0, 1) })).toBeNull();
+        });
+
+        it('should never move closed leases', () => {
+            expect(getLifecycleTransition({ ...lease, status: 'terminated' }, { asOfDate: new Date(2026, 0, 1) })).toBeNull();
+            expect(getLifecycleTransition({ ...lease, status: 'expired' }, { asOfDate: new Date(2025, 5, 1) })).toBeNull();
+        });
+    });
+
+    describe('getManualStatusChangeError', () => {
+        it('should not let a draft be put in force or expired by hand', () => {
+            expect(getManualStatusChangeError('draft', 'active')).toMatch(/fully signed/);
+            expect(getManualStatusChangeError('draft', 'pending_renewal')).toMatch(/fully signed/);
+            expect(getManualStatusChangeError('draft', 'expired')).toMatch(/fully signed/);
+        });
+
+        it('should let a draft be terminated and other leases change status', () => {
+            expect(getManualStatusChangeError('draft', 'draft')).toBeNull();
+            expect(getManualStatusChangeError('draft', 'terminated')).toBeNull();
+            expect(getManualStatusChangeError('active', 'terminated')).toBeNull();
+        });
+    });
+
+    describe('syncLinkedRecords', () => {
+        const closingLease = { _id: 'lease-1', tenant: 'tenant-1', property: 'property-1', unit: 'unit-1', leaseEndDate: new Date(2025, 11, 31) };
+
+        beforeEach(() => {
+            jest.clearAllMocks();
+        });
+
+        it('should free the unit and record the end date in the tenant\'s lease info when a lease expires', async () => {
+            const changes = await syncLinkedRecords(closingLease, 'pending_renewal', 'expired', null);
+
+            expect(changes).toEqual({ unitStatus: 'vacant', schedulesDeactivated: 1 });
+            expect(Unit.updateOne).toHaveBeenCalledWith(expect.objectContaining({ _id: 'unit-1' }), { $set: { status: 'vacant' } }, { session: null });
+            expect(PropertyUser.updateOne).toHaveBeenCalledWith(
+                expect.objectContaining({ user: 'tenant-1', 'leaseInfo.leaseId': 'lease-1' }),
+                { $set: { 'leaseInfo.leaseEndDate': closingLease.leaseEndDate } },
+                { session: null }
+            );
+        });
+
+        it('should record the termination date rather than the end date when a lease is terminated', async () => {
+            const terminatedAt = new Date(2025, 6, 15);
+
+            await syncLinkedRecords({ ...closingLease, terminatedAt }, 'active', 'terminated', null);
+
+            expect(PropertyUser.updateOne).toHaveBeenCalledWith(
+                expect.objectContaining({ 'leaseInfo.leaseId': 'lease-1' }),
+                { $set: { 'leaseInfo.leaseEndDate': terminatedAt } },
+                { session: null }
+            );
+        });
+    });
+
+    describe('IN_FORCE_LEASE_STATUSES', () => {
+        it('should treat leases pending renewal as in force', () => {
+            expect(IN_FORCE_LEASE_STATUSES).toEqual(['active', 'pending_renewal']);
+        });
+    });
+});
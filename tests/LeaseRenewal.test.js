@@ -0,0 +1,104 @@
+// tests/LeaseRenewal.test.js
+
+const {
+    getLeaseTermMonths,
+    buildDefaultRenewalTerms,
+    mergeRenewalTerms,
+    validateRenewalTerms,
+    getOfferExpiryDate,
+    isOfferOpenForResponse,
+    summarizeRentChange
+} = require('../utils/leaseRenewalUtils');
+
+const lease = {
+    leaseStartDate: new Date(2025, 0, 1),
+    leaseEndDate: new Date(2025, 11, 31),
+    monthlyRent: 1000000,
+    currency: 'UGX',
+    paymentDueDate: 5,
+    securityDeposit: 2000000,
+    terms: 'No pets.'
+};
+
+describe('Lease Renewal Tests', () => {
+    describe('getLeaseTermMonths', () => {
+        it('should count the end date as the last day of the term', () => {
+            expect(getLeaseTermMonths(lease)).toBe(12);
+            expect(getLeaseTermMonths({ leaseStartDate: new Date(2025, 0, 15), leaseEndDate: new Date(2025, 6, 14) })).toBe(6);
+        });
+    });
+
+    describe('buildDefaultRenewalTerms', () => {
+        it('should renew on the same terms for the same length from the day after the lease ends', () => {
+            expect(buildDefaultRenewalTerms(lease)).toEqual({
+                leaseStartDate: new Date(2026, 0, 1),
+                leaseEndDate: new Date(2026, 11, 31),
+                monthlyRent: 1000000,
+                currency: 'UGX',
+                paymentDueDate: 5,
+                securityDeposit: 2000000,
+                conditions: 'No pets.'
+            });
+        });
+    });
+
+    describe('mergeRenewalTerms', () => {
+        it('should only change the fields proposed', () => {
+            const terms = mergeRenewalTerms(buildDefaultRenewalTerms(lease), { monthlyRent: '1100000', conditions: ' Pets allowed. ' });
+
+            expect(terms.monthlyRent).toBe(1100000);
+            expect(terms.conditions).toBe('Pets allowed.');
+            expect(terms.paymentDueDate).toBe(5);
+            expect(terms.leaseEndDate).toEqual(new Date(2026, 11, 31));
+        });
+    });
+
+    describe('validateRenewalTerms', () => {
+        it('should accept the default renewal', () => {
+            expect(validateRenewalTerms(buildDefaultRenewalTerms(lease), lease)).toBeNull();
+        });
+
+        it('should reject a renewal that overlaps the current lease', () => {
+            const terms = mergeRenewalTerms(buildDefaultRenewalTerms(lease), { leaseStartDate: new Date(2025, 11, 1) });
+
+            expect(validateRenewalTerms(terms, lease)).toMatch(/must start after the current lease ends/);
+        });
+
+        it('should reject an end date before the start date', () => {
+            const terms = mergeRenewalTerms(buildDefaultRenewalTerms(lease), { leaseEndDate: new Date(2025, 11, 31) });
+
+            expect(validateRenewalTerms(terms, { ...lease, leaseEndDate: null })).toBe('Renewal end date must be after its start date.');
+        });
+    });
+
+    describe('getOfferExpiryDate', () => {
+        it('should give the tenant 30 days to respond', () => {
+            expect(getOfferExpiryDate(new Date(2025, 9, 1), lease)).toEqual(new Date(2025, 9, 31));
+        });
+
+        it('should not run past the end of the current lease', () => {
+            expect(getOfferExpiryDate(new Date(2025, 11, 15), lease)).toEqual(new Date(2025, 11, 31, 23, 59, 59, 999));
+        });
+
+        it('should use the date chosen by the manager', () => {
+            expect(getOfferExpiryDate(new Date(2025, 9, 1), lease, '2025-10-10')).toEqual(new Date('2025-10-10'));
+        });
+    });
+
+    describe('isOfferOpenForResponse', () => {
+        it('should only allow responses to sent offers that have not expired', () => {
+            const now = new Date(2025, 9, 15);
+
+            expect(isOfferOpenForResponse({ status: 'sent', expiresAt: new Date(2025, 9, 31) }, now)).toBe(true);
+            expect(isOfferOpenForResponse({ status: 'sent', expiresAt: new Date(2025, 9, 1) }, now)).toBe(false);
+            expect(isOfferOpenForResponse({ status: 'countered', expiresAt: new Date(2025, 9, 31) }, now)).toBe(false);
+        });
+    });
+
+    describe('summarizeRentChange', () => {
+        it('should give the increase and percentage', () => {
+            expect(summarizeRentChange(1000000, 1075000)).toEqual({ change: 75000, percent: 7.5 });
+            expect(summarizeRentChange(0, 500000)).toEqual({ change: 500000, percent: null });
+        });
+    });
+});
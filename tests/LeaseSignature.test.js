@@ -0,0 +1,117 @@
+// tests/LeaseSignature.test.js
+
+const {
+    sha256,
+    computeLeaseTermsHash,
+    validateSigners,
+    getNextSigner,
+    isFullySigned,
+    getSigningExpiryDate,
+    parseSignatureImage
+} = require('../utils/leaseSignatureUtils');
+
+const lease = {
+    property: 'property1',
+    unit: 'unit1',
+    tenant: 'tenant1',
+    landlord: 'landlord1',
+    leaseStartDate: new Date(2025, 0, 1),
+    leaseEndDate: new Date(2025, 11, 31),
+    monthlyRent: 1000000,
+    currency: 'UGX',
+    paymentDueDate: 5,
+    securityDeposit: 2000000,
+    terms: 'No pets.'
+};
+
+const tenant = { role: 'tenant', user: 'tenant1', name: 'Amina Nakato', email: 'amina@example.com' };
+const landlord = { role: 'landlord', user: 'landlord1', name: 'John Okello', email: 'john@example.com' };
+
+// 1x1 transparent PNG
+const png = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+describe('Lease Signature Tests', () => {
+    describe('computeLeaseTermsHash', () => {
+        it('should hash the same terms the same way however the IDs are held', () => {
+            const populated = { ...lease, tenant: { _id: 'tenant1', firstName: 'Amina' }, status: 'draft' };
+
+            expect(computeLeaseTermsHash(populated)).toBe(computeLeaseTermsHash(lease));
+            expect(computeLeaseTermsHash(lease)).toMatch(/^[a-f0-9]{64}$/);
+        });
+
+        it('should change when a signed term changes', () => {
+            expect(computeLeaseTermsHash({ ...lease, monthlyRent: 1100000 })).not.toBe(computeLeaseTermsHash(lease));
+            expect(computeLeaseTermsHash({ ...lease, terms: 'Pets allowed.' })).not.toBe(computeLeaseTermsHash(lease));
+        });
+
+        it('should change when the recurring charges or withholding tax change', () => {
+            const charge = { _id: 'charge1', name: 'Service charge', category: 'service_charge', amount: 90000, frequency: 'monthly', startDate: new Date(2025, 0, 1) };
+            const withCharge = { ...lease, charges: [charge] };
+
+            expect(computeLeaseTermsHash(withCharge)).not.toBe(computeLeaseTermsHash(lease));
+            expect(computeLeaseTermsHash({ ...lease, charges: [{ ...charge, amount: 100000 }] })).not.toBe(computeLeaseTermsHash(withCharge));
+            expect(computeLeaseTermsHash({ ...lease, charges: [{ ...charge, _id: 'charge2' }] })).toBe(computeLeaseTermsHash(withCharge));
+            expect(computeLeaseTermsHash({ ...lease, withholdsTax: true })).not.toBe(computeLeaseTermsHash(lease));
+        });
+    });
+
+    describe('validateSigners', () => {
+        it('should accept the tenant, a co-tenant and the landlord', () => {
+            const coTenant = { role: 'co_tenant', user: 'tenant2', name: 'Peter Mugisha', email: 'peter@example.com' };
+
+            expect(validateSigners([tenant, coTenant, landlord], lease)).toBeNull();
+        });
+
+        it('should require the lease tenant and a landlord', () => {
+            expect(validateSigners([landlord], lease)).toBe("The lease's tenant must sign as the tenant.");
+            expect(validateSigners([{ ...tenant, user: 'someoneElse' }, landlord], lease)).toBe("The lease's tenant must sign as the tenant.");
+            expect(validateSigners([tenant], lease)).toBe('A landlord must sign the lease.');
+        });
+
+        it('should not let anyone sign twice', () => {
+            expect(validateSigners([tenant, { ...tenant, role: 'co_tenant' }, landlord], lease)).toBe('Each person can only sign once.');
+        });
+    });
+
+    describe('getNextSigner', () => {
+        it('should return the first unsigned signer in signing order', () => {
+            const signers = [
+                { name: 'Landlord', order: 2, status: 'waiting' },
+                { name: 'Tenant', order: 1, status: 'signed' }
+            ];
+
+            expect(getNextSigner(signers).name).toBe('Landlord');
+            expect(getNextSigner([{ order: 1, status: 'signed' }])).toBeNull();
+        });
+    });
+
+    describe('isFullySigned', () => {
+        it('should only be true once everyone has signed', () => {
+            expect(isFullySigned([{ status: 'signed' }, { status: 'signed' }])).toBe(true);
+            expect(isFullySigned([{ status: 'signed' }, { status: 'sent' }])).toBe(false);
+            expect(isFullySigned([])).toBe(false);
+        });
+    });
+
+    describe('getSigningExpiryDate', () => {
+        it('should give signers 14 days unless a date is chosen', () => {
+            expect(getSigningExpiryDate(new Date(2025, 9, 1))).toEqual(new Date(2025, 9, 15));
+            expect(getSigningExpiryDate(new Date(2025, 9, 1), '2025-10-05')).toEqual(new Date('2025-10-05'));
+        });
+    });
+
+    describe('parseSignatureImage', () => {
+        it('should decode a PNG data URL', () => {
+            const image = parseSignatureImage(png);
+
+            expect(image.mimeType).toBe('image/png');
+            expect(sha256(image.buffer)).toMatch(/^[a-f0-9]{64}$/);
+        });
+
+        it('should reject other content and oversized images', () => {
+            expect(parseSignatureImage('data:image/svg+xml;base64,PHN2Zz4=')).toBeNull();
+            expect(parseSignatureImage('not an image')).toBeNull();
+            expect(parseSignatureImage(`data:image/png;base64,${Buffer.alloc(60 * 1024).toString('base64')}`)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,113 @@
+// tests/LeaseTemplate.test.js
+
+const {
+    MISSING_VALUE_PLACEHOLDER,
+    buildMergeContext,
+    findUnknownMergeFields,
+    renderMergeFields,
+    validateCondition,
+    evaluateCondition,
+    assembleLeaseTemplate
+} = require('../utils/leaseTemplateUtils');
+
+const lease = {
+    leaseStartDate: new Date(2025, 0, 1),
+    leaseEndDate: new Date(2025, 11, 31),
+    monthlyRent: 1000000,
+    currency: 'UGX',
+    paymentDueDate: 5,
+    securityDeposit: 2000000,
+    terms: null
+};
+const property = { name: 'Kololo Heights', address: { street: '12 Acacia Ave', city: 'Kampala', country: 'Uganda' }, propertyType: 'residential' };
+const unit = { unitName: 'A4', numBedrooms: 2, utilityResponsibility: 'tenant_pays_all', amenities: [] };
+const tenant = { firstName: 'Amina', lastName: 'Nakato', email: 'amina@example.com' };
+const landlord = { firstName: 'John', lastName: 'Okello' };
+
+const context = buildMergeContext({ lease, property, unit, tenant, landlord }, new Date(2024, 11, 20));
+
+describe('Lease Template Tests', () => {
+    describe('buildMergeContext', () => {
+        it('should collect values from the lease, property, unit and people', () => {
+            expect(context['tenant.fullName']).toBe('Amina Nakato');
+            expect(context['property.address']).toBe('12 Acacia Ave, Kampala, Uganda');
+            expect(context['unit.name']).toBe('A4');
+            expect(context['lease.termMonths']).toBe(12);
+            expect(context['unit.amenities']).toBeNull();
+        });
+    });
+
+    describe('renderMergeFields', () => {
+        it('should print values by type', () => {
+            const { text, missing } = renderMergeFields(
+                '{{tenant.fullName}} pays {{ lease.monthlyRent }} from {{lease.startDate}}; utilities: {{unit.utilityResponsibility}}.',
+                context
+            );
+
+            expect(text).toBe('Amina Nakato pays 1,000,000.00 UGX from January 1, 2025; utilities: tenant pays all.');
+            expect(missing).toEqual([]);
+        });
+
+        it('should leave a blank for fields without a value and report them', () => {
+            const { text, missing } = renderMergeFields('Tenant phone: {{tenant.phone}}', context);
+
+            expect(text).toBe(`Tenant phone: ${MISSING_VALUE_PLACEHOLDER}`);
+            expect(missing).toEqual(['tenant.phone']);
+        });
+    });
+
+    describe('findUnknownMergeFields', () => {
+        it('should list fields that do not exist', () => {
+            expect(findUnknownMergeFields('{{tenant.fullName}} and {{tenant.nickname}} on {{today}}')).toEqual(['tenant.nickname']);
+        });
+    });
+
+    describe('validateCondition', () => {
+        it('should reject unknown fields and missing values', () => {
+            expect(validateCondition(null)).toBeNull();
+            expect(validateCondition({ field: 'unit.bedrooms', operator: 'greater_than', value: 1 })).toBeNull();
+            expect(validateCondition({ field: 'unit.pets', operator: 'exists' })).toBe('Unknown condition field "unit.pets".');
+            expect(validateCondition({ field: 'unit.bedrooms', operator: 'in', value: 2 })).toBe('An "in" condition needs a list of values.');
+            expect(validateCondition({ field: 'unit.bedrooms', operator: 'equals' })).toBe('A "equals" condition needs a value.');
+        });
+    });
+
+    describe('evaluateCondition', () => {
+        it('should compare numbers, dates, text and lists', () => {
+            expect(evaluateCondition({ field: 'unit.bedrooms', operator: 'greater_than', value: '1' }, context)).toBe(true);
+            expect(evaluateCondition({ field: 'lease.endDate', operator: 'less_than', value: '2025-06-01' }, context)).toBe(false);
+            expect(evaluateCondition({ field: 'property.propertyType', operator: 'equals', value: 'Residential' }, context)).toBe(true);
+            expect(evaluateCondition({ field: 'unit.utilityResponsibility', operator: 'in', value: ['tenant_pays_all', 'shared'] }, context)).toBe(true);
+            expect(evaluateCondition({ field: 'lease.withholdsTax', operator: 'equals', value: 'false' }, context)).toBe(true);
+        });
+
+        it('should treat blank values as missing', () => {
+            expect(evaluateCondition({ field: 'lease.terms', operator: 'exists' }, context)).toBe(false);
+            expect(evaluateCondition({ field: 'lease.terms', operator: 'not_exists' }, context)).toBe(true);
+            expect(evaluateCondition({ field: 'lease.terms', operator: 'equals', value: 'x' }, context)).toBe(false);
+            expect(evaluateCondition(null, context)).toBe(true);
+        });
+    });
+
+    describe('assembleLeaseTemplate', () => {
+        it('should drop sections whose condition fails and number the rest', () => {
+            const template = {
+                title: 'Lease for {{unit.name}}',
+                preamble: 'Between {{landlord.fullName}} and {{tenant.fullName}}.',
+                sections: [
+                    { title: 'Rent', body: 'Rent is due on day {{lease.paymentDueDate}}.' },
+                    { title: 'Pets', body: 'Pets need written consent.', condition: { field: 'unit.bedrooms', operator: 'greater_than', value: 3 } },
+                    { title: 'Contact', body: 'Reach the tenant on {{tenant.phone}}.' }
+                ]
+            };
+
+            const result = assembleLeaseTemplate(template, context);
+
+            expect(result.title).toBe('Lease for A4');
+            expect(result.preamble).toBe('Between John Okello and Amina Nakato.');
+            expect(result.sections.map(section => section.title)).toEqual(['1. Rent', '2. Contact']);
+            expect(result.sections[0].body).toBe('Rent is due on day 5.');
+            expect(result.missingFields).toEqual(['tenant.phone']);
+        });
+    });
+});
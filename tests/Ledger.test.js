@@ -0,0 +1,213 @@
+// tests/Ledger.test.js
+
+const {
+    buildRentEntries,
+    buildLeasePaymentEntries,
+    buildDepositEntries,
+    buildLedger
+} = require('../utils/ledgerUtils');
+
+const makeRent = (overrides = {}) => ({
+    _id: 'rent1',
+    billingPeriod: '2025-01',
+    amountDue: 1000000,
+    amountPaid: 0,
+    dueDate: new Date(2025, 0, 1),
+    status: 'due',
+    lateFees: [],
+    paymentHistory: [],
+    ...overrides
+});
+
+describe('Ledger Tests', () => {
+    describe('buildRentEntries', () => {
+        it('should debit the tenant for the rent charge on the due date', () => {
+            const [charge] = buildRentEntries(makeRent());
+
+            expect(charge).toMatchObject({
+                type: 'rent_charge',
+                debitAccount: 'tenant_receivable',
+                creditAccount: 'rent_income',
+                debit: 1000000,
+                credit: 0
+            });
+            expect(charge.date).toEqual(new Date(2025, 0, 1));
+        });
+
+        it('should add a credit for each payment in the payment history', () => {
+            const entries = buildRentEntries(makeRent({
+                amountPaid: 1000000,
+                paymentHistory: [
+                    { date: new Date(2025, 0, 3), amount: 400000, method: 'mobile_money' },
+                    { date: new Date(2025, 0, 9), amount: 600000, method: 'cash' }
+                ]
+            }));
+            const payments = entries.filter(entry => entry.type === 'payment');
+
+            expect(payments).toHaveLength(2);
+            expect(payments[0].credit).toBe(400000);
+            expect(payments[0].description).toContain('mobile money');
+        });
+
+        it('should fall back to amountPaid for records without payment history', () => {
+            const entries = buildRentEntries(makeRent({ amountPaid: 250000, paymentDate: new Date(2025, 0, 5) }));
+            const payments = entries.filter(entry => entry.type === 'payment');
+
+            expect(payments).toHaveLength(1);
+            expect(payments[0].credit).toBe(250000);
+        });
+
+        it('should skip payments drawn from the lease credit balance', () => {
+            const entries = buildRentEntries(makeRent({
+                amountPaid: 300000,
+                paymentHistory: [{ date: new Date(2025, 0, 1), amount: 300000, source: 'credit' }]
+            }));
+
+            expect(entries.filter(entry => entry.type === 'payment')).toHaveLength(0);
+        });
+
+        it('should reverse waived late fees', () => {
+            const entries = buildRentEntries(makeRent({
+                lateFees: [{ amount: 50000, status: 'waived', assessedAt: new Date(2025, 0, 6), waivedAt: new Date(2025, 0, 7) }]
+            }));
+
+            expect(entries.map(entry => entry.type)).toEqual(['rent_charge', 'late_fee', 'late_fee_waiver']);
+            expect(entries[2].credit).toBe(50000);
+        });
+
+        it('should write off the unpaid part of a waived rent', () => {
+            const entries = buildRentEntries(makeRent({ status: 'waived', amountPaid: 300000 }));
+            const waiver = entries.find(entry => entry.type === 'rent_waiver');
+
+            expect(waiver.credit).toBe(700000);
+        });
+
+        it('should debit each recurring charge separately and include it in a write-off', () => {
+            const entries = buildRentEntries(makeRent({
+                status: 'waived',
+                amountPaid: 300000,
+                charges: [{ name: 'Service charge', amount: 80000, quantity: 1 }, { name: 'Parking', amount: 40000, quantity: 4 }]
+            }));
+            const charges = entries.filter(entry => entry.type === 'recurring_charge');
+
+            expect(charges.map(entry => entry.description)).toEqual(['Service charge for 2025-01', 'Parking for 2025-01 (x4)']);
+            expect(charges[1]).toMatchObject({ debitAccount: 'tenant_receivable', creditAccount: 'charge_income', debit: 40000 });
+            expect(entries.find(entry => entry.type === 'rent_waiver').credit).toBe(820000);
+        });
+
+        it('should charge VAT to the tenant and clear withheld tax from their balance', () => {
+            const entries = buildRentEntries(makeRent({
+                taxes: [
+                    { name: 'VAT', type: 'vat', rate: 18, category: 'rent', base: 1000000, amount: 180000 },
+                    { name: 'WHT', type: 'withholding', rate: 6, category: 'rent', base: 1000000, amount: 60000 }
+                ]
+            }));
+
+            expect(entries.find(entry => entry.type === 'tax_charge')).toMatchObject({
+                description: 'VAT (18%) on rent for 2025-01', debitAccount: 'tenant_receivable', creditAccount: 'tax_payable', debit: 180000
+            });
+            expect(entries.find(entry => entry.type === 'tax_withheld')).toMatchObject({
+                debitAccount: 'withholding_tax_receivable', creditAccount: 'tenant_receivable', credit: 60000
+            });
+        });
+    });
+
+    describe('buildLeasePaymentEntries', () => {
+        it('should credit the tenant with the overpayment held on the lease', () => {
+            const [entry] = buildLeasePaymentEntries({ _id: 'pay1', creditAmount: 300000, paymentDate: new Date(2025, 0, 1) });
+
+            expect(entry).toMatchObject({ type: 'overpayment', creditAccount: 'tenant_receivable', credit: 300000 });
+        });
+
+        it('should return no entries when the payment was fully allocated', () => {
+            expect(buildLeasePaymentEntries({ creditAmount: 0 })).toEqual([]);
+        });
+    });
+
+    describe('buildDepositEntries', () => {
+        it('should hold the deposit in its own account', () => {
+            const [entry] = buildDepositEntries({ _id: 'lease1', securityDeposit: 2000000, leaseStartDate: new Date(2025, 0, 1) });
+
+            expect(entry).toMatchObject({ type: 'deposit_held', creditAccount: 'security_deposit', credit: 2000000 });
+        });
+
+        it('should return no entries when there is no deposit', () => {
+            expect(buildDepositEntries({ securityDeposit: 0 })).toEqual([]);
+        });
+
+        it('should use recorded receipts, issued deductions and the refund when a deposit record exists', () => {
+            const deposit = {
+                _id: 'deposit1',
+                receipts: [{ amount: 2000000, receivedAt: new Date(2025, 0, 1), method: 'bank_transfer' }],
+                deductions: [{ amount: 300000, description: 'Broken window' }],
+                disposition: { issuedAt: new Date(2026, 0, 5) },
+                refund: { amount: 1700000, paidAt: new Date(2026, 0, 10) }
+            };
+            const ledger = buildLedger(buildDepositEntries({ securityDeposit: 2000000 }, deposit));
+
+            expect(ledger.entries.map(entry => entry.type)).toEqual(['deposit_held', 'deposit_deduction', 'deposit_refund']);
+            expect(ledger.closingBalance).toBe(0);
+        });
+
+        it('should not deduct more than the deposit held', () => {
+            const entries = buildDepositEntries({}, {
+                _id: 'deposit1',
+                receipts: [{ amount: 500000, receivedAt: new Date(2025, 0, 1) }],
+                deductions: [{ amount: 400000, description: 'Repaint' }, { amount: 400000, description: 'Carpet' }],
+                disposition: { issuedAt: new Date(2026, 0, 5) }
+            });
+
+            expect(entries.filter(entry => entry.type === 'deposit_deduction').map(entry => entry.debit)).toEqual([400000, 100000]);
+        });
+
+        it('should leave proposed deductions out until the disposition is issued', () => {
+            const entries = buildDepositEntries({}, {
+                _id: 'deposit1',
+                receipts: [{ amount: 500000, receivedAt: new Date(2025, 0, 1) }],
+                deductions: [{ amount: 100000, description: 'Cleaning' }],
+                disposition: { issuedAt: null }
+            });
+
+            expect(entries).toHaveLength(1);
+        });
+    });
+
+    describe('buildLedger', () => {
+        const entries = [
+            ...buildRentEntries(makeRent({
+                amountPaid: 1000000,
+                paymentHistory: [{ date: new Date(2025, 0, 1), amount: 1000000 }]
+            })),
+            ...buildRentEntries(makeRent({
+                _id: 'rent2',
+                billingPeriod: '2025-02',
+                dueDate: new Date(2025, 1, 1),
+                amountPaid: 400000,
+                paymentHistory: [{ date: new Date(2025, 1, 10), amount: 400000 }]
+            }))
+        ];
+
+        it('should keep a running balance with charges before same-day payments', () => {
+            const ledger = buildLedger(entries);
+
+            expect(ledger.entries.map(entry => entry.balance)).toEqual([1000000, 0, 1000000, 600000]);
+            expect(ledger.closingBalance).toBe(600000);
+            expect(ledger.totals).toEqual({ debit: 2000000, credit: 1400000 });
+        });
+
+        it('should roll entries before the start date into the opening balance', () => {
+            const ledger = buildLedger(entries, { startDate: new Date(2025, 1, 5) });
+
+            expect(ledger.openingBalance).toBe(1000000);
+            expect(ledger.entries).toHaveLength(1);
+            expect(ledger.closingBalance).toBe(600000);
+        });
+
+        it('should leave out entries after the end date', () => {
+            const ledger = buildLedger(entries, { endDate: new Date(2025, 1, 5) });
+
+            expect(ledger.entries).toHaveLength(3);
+            expect(ledger.closingBalance).toBe(1000000);
+        });
+    });
+});
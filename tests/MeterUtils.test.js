@@ -0,0 +1,126 @@
+// tests/MeterUtils.test.js
+
+const {
+    calculateConsumption,
+    calculateTieredCharge,
+    findApplicableTariff,
+    detectReadingAnomalies,
+    buildUtilityChargeLines
+} = require('../utils/meterUtils');
+
+describe('Meter Utils Tests', () => {
+    describe('calculateConsumption', () => {
+        it('should measure use from the previous reading', () => {
+            expect(calculateConsumption(1200, 1234.5)).toBe(34.5);
+        });
+
+        it('should never return negative use for a reading that went backwards', () => {
+            expect(calculateConsumption(1200, 1100)).toBe(0);
+        });
+
+        it('should count from zero after a meter reset', () => {
+            expect(calculateConsumption(98000, 40, true)).toBe(40);
+        });
+    });
+
+    describe('calculateTieredCharge', () => {
+        const tariff = {
+            currency: 'UGX',
+            fixedCharge: 5000,
+            tiers: [{ upTo: 10, rate: 2000 }, { upTo: 30, rate: 3000 }, { upTo: null, rate: 4500 }]
+        };
+
+        it('should charge each block at its own rate plus the fixed charge', () => {
+            const { amount, breakdown, calculation } = calculateTieredCharge(35, tariff);
+
+            expect(breakdown.map(block => block.units)).toEqual([10, 20, 5]);
+            expect(amount).toBe(20000 + 60000 + 22500 + 5000);
+            expect(calculation).toBe('10 × UGX 2,000 + 20 × UGX 3,000 + 5 × UGX 4,500 + UGX 5,000 fixed = UGX 107,500');
+        });
+
+        it('should only use the blocks the consumption reaches', () => {
+            const { amount, breakdown } = calculateTieredCharge(8, tariff);
+
+            expect(breakdown).toHaveLength(1);
+            expect(amount).toBe(21000);
+        });
+
+        it('should treat a single open-ended tier as a flat rate', () => {
+            expect(calculateTieredCharge(120, { tiers: [{ upTo: null, rate: 750 }] }).amount).toBe(90000);
+        });
+    });
+
+    describe('findApplicableTariff', () => {
+        const tariffs = [
+            { name: 'old', effectiveFrom: new Date(2024, 0, 1) },
+            { name: 'current', effectiveFrom: new Date(2025, 6, 1) },
+            { name: 'withdrawn', effectiveFrom: new Date(2025, 8, 1), isActive: false },
+            { name: 'future', effectiveFrom: new Date(2026, 0, 1) }
+        ];
+
+        it('should pick the latest active tariff in force on the reading date', () => {
+            expect(findApplicableTariff(tariffs, new Date(2025, 9, 15)).name).toBe('current');
+            expect(findApplicableTariff(tariffs, new Date(2025, 2, 1)).name).toBe('old');
+        });
+
+        it('should return null before any tariff applies', () => {
+            expect(findApplicableTariff(tariffs, new Date(2023, 5, 1))).toBeNull();
+        });
+    });
+
+    describe('detectReadingAnomalies', () => {
+        // About 1 unit a day over the last three months
+        const history = [
+            { consumption: 31, previousReadAt: new Date(2025, 2, 1), readAt: new Date(2025, 3, 1) },
+            { consumption: 28, previousReadAt: new Date(2025, 1, 1), readAt: new Date(2025, 2, 1) },
+            { consumption: 31, previousReadAt: new Date(2025, 0, 1), readAt: new Date(2025, 1, 1) }
+        ];
+        const previous = { previousValue: 500, previousReadAt: new Date(2025, 3, 1) };
+
+        it('should flag a reading lower than the previous one', () => {
+            const anomalies = detectReadingAnomalies({ ...previous, value: 480, readAt: new Date(2025, 4, 1) }, history);
+
+            expect(anomalies).toEqual([{ type: 'rollback', message: 'Reading 480 is lower than the previous reading 500.' }]);
+        });
+
+        it('should flag daily use far above the recent average', () => {
+            const anomalies = detectReadingAnomalies({ ...previous, value: 620, readAt: new Date(2025, 4, 1) }, history);
+
+            expect(anomalies.map(anomaly => anomaly.type)).toEqual(['spike']);
+        });
+
+        it('should accept normal use, however far apart the readings are', () => {
+            expect(detectReadingAnomalies({ ...previous, value: 560, readAt: new Date(2025, 5, 1) }, history)).toEqual([]);
+        });
+
+        it('should not flag a reset meter or a meter without history', () => {
+            expect(detectReadingAnomalies({ ...previous, value: 10, readAt: new Date(2025, 4, 1), isMeterReset: true }, history)).toEqual([]);
+            expect(detectReadingAnomalies({ ...previous, value: 900, readAt: new Date(2025, 4, 1) }, [])).toEqual([]);
+        });
+    });
+
+    describe('buildUtilityChargeLines', () => {
+        it('should bill each reading as a utility line with its consumption', () => {
+            const [line] = buildUtilityChargeLines([{
+                _id: 'reading1',
+                utilityType: 'water',
+                consumption: 12,
+                previousReadAt: new Date(2025, 1, 1),
+                readAt: new Date(2025, 2, 1),
+                meter: { unitOfMeasure: 'm³' },
+                charge: { amount: 36000, calculation: '12 units: 12 × UGX 3,000 = UGX 36,000' }
+            }]);
+
+            expect(line).toEqual({
+                charge: null,
+                meterReading: 'reading1',
+                name: 'Water: 12 m³ (Feb 1 - Mar 1)',
+                category: 'utility',
+                frequency: null,
+                quantity: 1,
+                amount: 36000,
+                calculation: '12 units: 12 × UGX 3,000 = UGX 36,000'
+            });
+        });
+    });
+});
@@ -0,0 +1,95 @@
+// tests/OwnerStatement.test.js
+
+const {
+    getStatementPeriodRange,
+    getPreviousStatementPeriod,
+    calculateManagementFee,
+    buildOwnerStatement
+} = require('../utils/ownerStatementUtils');
+
+describe('Owner Statement Tests', () => {
+    describe('getStatementPeriodRange', () => {
+        it('should cover the whole month', () => {
+            const { start, end } = getStatementPeriodRange('2024-02');
+
+            expect(start).toEqual(new Date(2024, 1, 1));
+            expect(end).toEqual(new Date(2024, 1, 29, 23, 59, 59, 999));
+        });
+
+        it('should reject labels that are not a month', () => {
+            expect(getStatementPeriodRange('2024-13')).toBeNull();
+            expect(getStatementPeriodRange('2024-Q1')).toBeNull();
+            expect(getStatementPeriodRange()).toBeNull();
+        });
+    });
+
+    describe('getPreviousStatementPeriod', () => {
+        it('should return the month before, across a year end', () => {
+            expect(getPreviousStatementPeriod(new Date(2025, 0, 1))).toBe('2024-12');
+            expect(getPreviousStatementPeriod(new Date(2025, 6, 31))).toBe('2025-06');
+        });
+    });
+
+    describe('calculateManagementFee', () => {
+        it('should charge a percentage of rent collected', () => {
+            expect(calculateManagementFee({ type: 'percentage', rate: 8.5 }, { rentCollected: 2000000 }))
+                .toEqual({ amount: 170000, basis: '8.5% of rent collected' });
+        });
+
+        it('should charge a flat amount for each unit', () => {
+            expect(calculateManagementFee({ type: 'flat_per_unit', amountPerUnit: 25000 }, { rentCollected: 0, unitCount: 6 }))
+                .toEqual({ amount: 150000, basis: '6 unit(s) at UGX 25,000' });
+        });
+
+        it('should charge nothing without a fee policy', () => {
+            expect(calculateManagementFee(null, { rentCollected: 2000000 }).amount).toBe(0);
+        });
+    });
+
+    describe('buildOwnerStatement', () => {
+        const properties = [
+            {
+                property: 'p1',
+                propertyName: 'Sunset Apartments',
+                unitCount: 4,
+                managementFee: { type: 'percentage', rate: 10 },
+                collections: [
+                    { amount: 1000000, currency: 'UGX' },
+                    { amount: 500000, currency: 'UGX' },
+                    { amount: 200, currency: 'USD' }
+                ],
+                expenseItems: [{ amount: 300000, currency: 'UGX' }]
+            },
+            {
+                property: 'p2',
+                propertyName: 'Hilltop Villas',
+                unitCount: 2,
+                managementFee: { type: 'flat_per_unit', amountPerUnit: 50000 },
+                collections: [],
+                expenseItems: [{ amount: 80000, currency: 'UGX' }]
+            }
+        ];
+
+        it('should net expenses and management fees off rent collected for each property', () => {
+            const statement = buildOwnerStatement({ currency: 'UGX', properties });
+
+            expect(statement.properties[0]).toMatchObject({
+                propertyName: 'Sunset Apartments',
+                feeType: 'percentage',
+                rentCollected: 1500000,
+                expenses: 300000,
+                managementFee: 150000,
+                netDue: 1050000
+            });
+            expect(statement.properties[1]).toMatchObject({ rentCollected: 0, managementFee: 100000, netDue: -180000 });
+            expect(statement.totals).toEqual({ rentCollected: 1500000, expenses: 380000, managementFee: 250000, netDue: 870000 });
+        });
+
+        it('should leave out items in another currency and list them separately', () => {
+            const statement = buildOwnerStatement({ currency: 'UGX', properties });
+
+            expect(statement.properties[0].collections).toHaveLength(2);
+            expect(statement.excluded).toEqual([{ source: 'rent', currency: 'USD', amount: 200, count: 1 }]);
+        });
+    });
+});
@@ -0,0 +1,75 @@
+// tests/PaymentAllocation.test.js
+
+const { getOutstandingAmount, allocatePayment } = require('../utils/paymentAllocationUtils');
+
+const rents = [
+    { _id: 'feb', billingPeriod: '2025-02', amountDue: 500000, amountPaid: 0, dueDate: new Date(2025, 1, 1), lateFees: [] },
+    { _id: 'jan', billingPeriod: '2025-01', amountDue: 500000, amountPaid: 200000, dueDate: new Date(2025, 0, 1), lateFees: [] },
+    { _id: 'mar', billingPeriod: '2025-03', amountDue: 500000, amountPaid: 0, dueDate: new Date(2025, 2, 1), lateFees: [] }
+];
+
+describe('Payment Allocation Tests', () => {
+    describe('getOutstandingAmount', () => {
+        it('should include active late fees but not waived ones', () => {
+            const rent = {
+                amountDue: 500000,
+                amountPaid: 100000,
+                lateFees: [
+                    { amount: 25000, status: 'active' },
+                    { amount: 10000, status: 'waived' }
+                ]
+            };
+
+            expect(getOutstandingAmount(rent)).toBe(425000);
+        });
+
+        it('should use the balanceDue virtual when present', () => {
+            expect(getOutstandingAmount({ balanceDue: 1234.5 })).toBe(1234.5);
+        });
+    });
+
+    describe('allocatePayment', () => {
+        it('should pay the oldest due date first', () => {
+            const { allocations, unallocated } = allocatePayment(600000, rents);
+
+            expect(allocations.map(item => [item.rent._id, item.amount])).toEqual([
+                ['jan', 300000],
+                ['feb', 300000]
+            ]);
+            expect(unallocated).toBe(0);
+        });
+
+        it('should return the overpayment as unallocated', () => {
+            const { allocations, unallocated } = allocatePayment(2000000, rents);
+
+            expect(allocations).toHaveLength(3);
+            expect(allocations.every(item => item.outstandingAfter === 0)).toBe(true);
+            expect(unallocated).toBe(700000);
+        });
+
+        it('should follow explicit instructions and leave the rest unallocated', () => {
+            const { allocations, unallocated } = allocatePayment(700000, rents, [
+                { rent: 'mar', amount: 500000 }
+            ]);
+
+            expect(allocations).toHaveLength(1);
+            expect(allocations[0]).toMatchObject({ amount: 500000, outstandingAfter: 0 });
+            expect(unallocated).toBe(200000);
+        });
+
+        it('should reject an instruction for a record that is not open on the lease', () => {
+            expect(() => allocatePayment(100000, rents, [{ rent: 'apr', amount: 100000 }])).toThrow(/not an open rent record/);
+        });
+
+        it('should reject an instruction larger than the outstanding amount', () => {
+            expect(() => allocatePayment(400000, rents, [{ rent: 'jan', amount: 400000 }])).toThrow(/exceeds the outstanding/);
+        });
+
+        it('should reject instructions that add up to more than the payment', () => {
+            expect(() => allocatePayment(500000, rents, [
+                { rent: 'jan', amount: 300000 },
+                { rent: 'feb', amount: 300000 }
+            ])).toThrow(/exceed the payment amount/);
+        });
+    });
+});
@@ -0,0 +1,242 @@
+// tests/PaymentGateway.test.js
+
+process.env.NODE_ENV = 'test';
+process.env.PAYMENT_TEST_MODE = 'true';
+process.env.PAYMENT_SIMULATOR_SECRET = 'simulator-secret';
+process.env.MTN_MOMO_CALLBACK_SECRET = 'mtn-secret';
+process.env.AIRTEL_MONEY_CALLBACK_SECRET = 'airtel-secret';
+
+jest.mock('../models/rent', () => ({ exists: jest.fn() }));
+jest.mock('../models/user', () => ({ findById: jest.fn() }));
+jest.mock('../models/propertyUser', () => ({}));
+jest.mock('../models/paymentTransaction', () => ({ findOne: jest.fn(), findOneAndUpdate: jest.fn() }));
+jest.mock('../services/rentService', () => ({ recordRentPayment: jest.fn() }));
+jest.mock('../services/auditService', () => ({ logActivity: jest.fn() }));
+
+const Rent = require('../models/rent');
+const User = require('../models/user');
+const PaymentTransaction = require('../models/paymentTransaction');
+const rentService = require('../services/rentService');
+const paymentGatewayClient = require('../lib/paymentGatewayClient');
+const paymentGatewayService = require('../services/paymentGatewayService');
+const AppError = require('../utils/AppError');
+
+describe('Payment Gateway Tests', () => {
+    describe('getProvider', () => {
+        it('should route every provider to the simulator in test mode', () => {
+            expect(paymentGatewayClient.getProvider('airtel').name).toBe('simulator');
+        });
+
+        it('should reject unknown providers', () => {
+            expect(() => paymentGatewayClient.getProvider('paypal')).toThrow(AppError);
+        });
+    });
+
+    describe('outside test mode', () => {
+        /**
+         * Loads a fresh client with the given environment, restoring the test environment after
+         * @param {Object} env - Environment variables to set (undefined values are removed)
+         * @returns {Object} paymentGatewayClient module
+         */
+        const loadClient = (env) => {
+            const saved = { ...process.env };
+            Object.entries(env).forEach(([key, value]) => {
+                if (value === undefined) delete process.env[key];
+                else process.env[key] = value;
+            });
+
+            let client;
+            jest.isolateModules(() => {
+                client = require('../lib/paymentGatewayClient');
+            });
+            process.env = saved;
+            return client;
+        };
+
+        it('should refuse a provider without credentials instead of falling back to the simulator', () => {
+            const client = loadClient({ PAYMENT_TEST_MODE: 'false' });
+
+            expect(() => client.getProvider('airtel')).toThrow(expect.objectContaining({ statusCode: 503 }));
+        });
+
+        it('should not offer or accept the simulator', () => {
+            const client = loadClient({ PAYMENT_TEST_MODE: 'false' });
+            const rawBody = JSON.stringify({ externalId: 'ext-forged', status: 'successful' });
+            const callback = { rawBody, headers: { 'x-simulator-signature': client.sign(rawBody, 'simulator-secret') } };
+
+            expect(client.getAvailableProviders()).toEqual(['mtn', 'airtel']);
+            expect(() => client.getProvider('simulator')).toThrow(expect.objectContaining({ statusCode: 400 }));
+            expect(client.verifyCallback('simulator', callback)).toBe(false);
+        });
+
+        it('should never use test mode in production', () => {
+            const client = loadClient({ NODE_ENV: 'production', PAYMENT_TEST_MODE: 'true' });
+
+            expect(client.isTestMode()).toBe(false);
+        });
+
+        it('should not verify simulator callbacks when no simulator secret is set', () => {
+            const client = loadClient({ PAYMENT_SIMULATOR_SECRET: undefined });
+            const forged = { rawBody: '{}', headers: { 'x-simulator-signature': client.sign('{}', 'local-simulator-secret') } };
+
+            expect(client.verifyCallback('simulator', forged)).toBe(false);
+        });
+    });
+
+    describe('requestToPay', () => {
+        it('should reject phone numbers that are not in E.164 format', async () => {
+            await expect(paymentGatewayClient.requestToPay('simulator', {
+                amount: 1000, currency: 'UGX', phoneNumber: '0772123456', externalId: 'ext-1'
+            })).rejects.toThrow(/E.164/);
+        });
+
+        it('should create a pending simulated collection', async () => {
+            const result = await paymentGatewayClient.requestToPay('simulator', {
+                amount: 500000, currency: 'UGX', phoneNumber: '+256772123456', externalId: 'ext-2'
+            });
+
+            expect(result.provider).toBe('simulator');
+            expect(result.status).toBe('pending');
+            expect(result.providerReference).toMatch(/^sim-/);
+        });
+    });
+
+    describe('simulator callbacks', () => {
+        beforeAll(async () => {
+            await paymentGatewayClient.requestToPay('simulator', {
+                amount: 300000, currency: 'UGX', phoneNumber: '+256772123456', externalId: 'ext-3'
+            });
+        });
+
+        it('should produce a signed callback that verifies', () => {
+            const callback = paymentGatewayClient.simulator.simulateCallback('ext-3');
+
+            expect(paymentGatewayClient.verifyCallback('simulator', callback)).toBe(true);
+            expect(paymentGatewayClient.parseCallback('simulator', callback.body)).toMatchObject({
+                externalId: 'ext-3',
+                status: 'successful',
+                amount: 300000
+            });
+        });
+
+        it('should reject a callback whose body was tampered with', () => {
+            const callback = paymentGatewayClient.simulator.simulateCallback('ext-3');
+            const tampered = { ...callback, rawBody: callback.rawBody.replace('300000', '900000') };
+
+            expect(paymentGatewayClient.verifyCallback('simulator', tampered)).toBe(false);
+        });
+
+        it('should keep the same provider transaction ID across repeated callbacks', () => {
+            const first = paymentGatewayClient.simulator.simulateCallback('ext-3');
+            const second = paymentGatewayClient.simulator.simulateCallback('ext-3');
+
+            expect(second.body.transactionId).toBe(first.body.transactionId);
+        });
+    });
+
+    describe('MTN callbacks', () => {
+        const body = {
+            financialTransactionId: '123456789',
+            externalId: 'ext-mtn',
+            amount: '250000',
+            currency: 'UGX',
+            payer: { partyIdType: 'MSISDN', partyId: '256772123456' },
+            status: 'SUCCESSFUL'
+        };
+
+        it('should verify the callback token derived from the externalId', () => {
+            const token = paymentGatewayClient.sign('ext-mtn', 'mtn-secret');
+
+            expect(paymentGatewayClient.verifyCallback('mtn', { body, query: { token } })).toBe(true);
+            expect(paymentGatewayClient.verifyCallback('mtn', { body, query: { token: 'forged' } })).toBe(false);
+        });
+
+        it('should normalize the callback payload', () => {
+            expect(paymentGatewayClient.parseCallback('mtn', body)).toMatchObject({
+                externalId: 'ext-mtn',
+                providerTransactionId: '123456789',
+                status: 'successful',
+                amount: 250000,
+                phoneNumber: '+256772123456'
+            });
+        });
+
+        it('should need confirming with MTN, unlike signed callbacks', () => {
+            expect(paymentGatewayClient.callbackNeedsConfirmation('mtn')).toBe(true);
+            expect(paymentGatewayClient.callbackNeedsConfirmation('airtel')).toBe(false);
+        });
+
+        describe('handleProviderCallback', () => {
+            const request = { body: { ...body, amount: '1' }, query: { token: paymentGatewayClient.sign('ext-mtn', 'mtn-secret') } };
+            const transaction = {
+                _id: 'transaction1',
+                provider: 'mtn',
+                externalId: 'ext-mtn',
+                providerReference: 'mtn-reference',
+                rent: 'rent1',
+                tenant: 'tenant1',
+                amount: 250000,
+                phoneNumber: '+256772123456'
+            };
+
+            beforeEach(() => {
+                jest.clearAllMocks();
+                PaymentTransaction.findOne.mockResolvedValue(transaction);
+                PaymentTransaction.findOneAndUpdate.mockImplementation(async (filter, update) => ({
+                    ...transaction,
+                    ...update.$set,
+                    save: jest.fn()
+                }));
+                Rent.exists.mockResolvedValue(null);
+                User.findById.mockResolvedValue({ _id: 'tenant1' });
+            });
+
+            afterEach(() => {
+                jest.restoreAllMocks();
+            });
+
+            it('should record the requested amount once MTN confirms the payment', async () => {
+                const getTransactionStatus = jest.spyOn(paymentGatewayClient, 'getTransactionStatus')
+                    .mockResolvedValue({ status: 'successful', providerTransactionId: '123456789', amount: 250000 });
+
+                const outcome = await paymentGatewayService.handleProviderCallback('mtn', request, '127.0.0.1');
+
+                expect(getTransactionStatus).toHaveBeenCalledWith('mtn', { externalId: 'ext-mtn', providerReference: 'mtn-reference' });
+                expect(outcome.recorded).toBe(true);
+                expect(rentService.recordRentPayment).toHaveBeenCalledWith(
+                    'rent1',
+                    expect.objectContaining({ amountPaid: 250000, transactionId: '123456789' }),
+                    null,
+                    { _id: 'tenant1' },
+                    '127.0.0.1'
+                );
+            });
+
+            it('should not record a payment MTN has not confirmed', async () => {
+                jest.spyOn(paymentGatewayClient, 'getTransactionStatus').mockResolvedValue({ status: 'pending' });
+
+                const outcome = await paymentGatewayService.handleProviderCallback('mtn', request, '127.0.0.1');
+
+                expect(outcome.recorded).toBe(false);
+                expect(PaymentTransaction.findOneAndUpdate).not.toHaveBeenCalled();
+                expect(rentService.recordRentPayment).not.toHaveBeenCalled();
+            });
+        });
+    });
+
+    describe('Airtel callbacks', () => {
+        const transaction = { id: 'ext-airtel', message: 'Paid', status_code: 'TS', airtel_money_id: 'MP210603.1234.L06941' };
+
+        it('should verify the hash of the transaction object', () => {
+            const hash = paymentGatewayClient.sign(JSON.stringify(transaction), 'airtel-secret', 'base64');
+
+            expect(paymentGatewayClient.verifyCallback('airtel', { body: { transaction, hash } })).toBe(true);
+            expect(paymentGatewayClient.verifyCallback('airtel', { body: { transaction } })).toBe(false);
+        });
+
+        it('should map Airtel status codes', () => {
+            expect(paymentGatewayClient.parseCallback('airtel', { transaction }).status).toBe('successful');
+            expect(paymentGatewayClient.parseCallback('airtel', { transaction: { ...transaction, status_code: 'TF' } }).status).toBe('failed');
+        });
+    });
+});
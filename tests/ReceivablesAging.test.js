@@ -0,0 +1,93 @@
+// tests/ReceivablesAging.test.js
+
+const {
+    getAgingBucket,
+    calculateOutstandingAsOf,
+    buildAgingReport
+} = require('../utils/agingUtils');
+
+const alice = { id: 't1', name: 'Alice Tenant' };
+const bob = { id: 't2', name: 'Bob Tenant' };
+const unitA = { id: 'u1', name: 'A1' };
+const unitB = { id: 'u2', name: 'B1' };
+const tower = { id: 'p1', name: 'Tower' };
+
+describe('Receivables Aging Tests', () => {
+    describe('getAgingBucket', () => {
+        it('should treat balances not yet past due as current', () => {
+            expect(getAgingBucket(-5)).toBe('current');
+            expect(getAgingBucket(0)).toBe('current');
+        });
+
+        it('should put bucket edges in the lower bucket', () => {
+            expect(getAgingBucket(1)).toBe('days1To30');
+            expect(getAgingBucket(30)).toBe('days1To30');
+            expect(getAgingBucket(31)).toBe('days31To60');
+            expect(getAgingBucket(60)).toBe('days31To60');
+            expect(getAgingBucket(90)).toBe('days61To90');
+            expect(getAgingBucket(91)).toBe('days90Plus');
+        });
+    });
+
+    describe('calculateOutstandingAsOf', () => {
+        const rent = {
+            amountDue: 1000000,
+            amountPaid: 700000,
+            lateFees: [
+                { amount: 50000, status: 'active', assessedAt: new Date(2025, 0, 10) },
+                { amount: 20000, status: 'waived', assessedAt: new Date(2025, 0, 10) }
+            ],
+            paymentHistory: [
+                { amount: 400000, date: new Date(2025, 0, 5) },
+                { amount: 300000, date: new Date(2025, 1, 5) }
+            ]
+        };
+
+        it('should only count fees and payments up to the date', () => {
+            expect(calculateOutstandingAsOf(rent, new Date(2025, 0, 6))).toBe(600000);
+            expect(calculateOutstandingAsOf(rent, new Date(2025, 0, 31))).toBe(650000);
+            expect(calculateOutstandingAsOf(rent, new Date(2025, 1, 5))).toBe(350000);
+        });
+
+        it('should fall back to amountPaid when there is no payment history', () => {
+            expect(calculateOutstandingAsOf({ amountDue: 500, amountPaid: 600 })).toBe(0);
+            expect(calculateOutstandingAsOf({ amountDue: 500, amountPaid: 200 })).toBe(300);
+        });
+    });
+
+    describe('buildAgingReport', () => {
+        const items = [
+            { tenant: alice, unit: unitA, property: tower, currency: 'UGX', balance: 100, daysPastDue: 0 },
+            { tenant: alice, unit: unitA, property: tower, currency: 'UGX', balance: 200, daysPastDue: 45 },
+            { tenant: bob, unit: unitB, property: tower, currency: 'UGX', balance: 500, daysPastDue: 120 },
+            { tenant: bob, unit: unitB, property: tower, currency: 'USD', balance: 10, daysPastDue: 5 },
+            { tenant: bob, unit: unitB, property: tower, currency: 'UGX', balance: 0, daysPastDue: 200 }
+        ];
+
+        it('should bucket balances per tenant and sort by amount owed', () => {
+            const { rows } = buildAgingReport(items, 'tenant');
+
+            expect(rows).toHaveLength(3);
+            expect(rows[0]).toMatchObject({ id: 't2', currency: 'UGX', days90Plus: 500, total: 500, oldestDaysPastDue: 120 });
+            expect(rows[1]).toMatchObject({ tenantName: 'Alice Tenant', unitName: 'A1', current: 100, days31To60: 200, total: 300, recordCount: 2 });
+        });
+
+        it('should keep a total per currency', () => {
+            const { totals } = buildAgingReport(items, 'property');
+
+            expect(totals).toEqual([
+                { currency: 'UGX', recordCount: 3, current: 100, days1To30: 0, days31To60: 200, days61To90: 0, days90Plus: 500, total: 800 },
+                { currency: 'USD', recordCount: 1, current: 0, days1To30: 10, days31To60: 0, days61To90: 0, days90Plus: 0, total: 10 }
+            ]);
+        });
+
+        it('should list every tenant in a property group', () => {
+            const { rows } = buildAgingReport(items, 'property');
+            expect(rows[0].tenantName).toBe('Alice Tenant, Bob Tenant');
+        });
+
+        it('should reject an unknown grouping', () => {
+            expect(() => buildAgingReport(items, 'lease')).toThrow('Invalid aging group');
+        });
+    });
+});
@@ -0,0 +1,127 @@
+// tests/RentEscalation.test.js
+
+const {
+    resolveEscalationRule,
+    addMonths,
+    getNextEscalationDate,
+    calculateEscalatedAmount,
+    planEscalation
+} = require('../utils/rentEscalationUtils');
+
+const percentageRule = {
+    enabled: true,
+    escalationType: 'percentage',
+    value: 10,
+    intervalMonths: 12,
+    noticeDays: 60,
+    maxAmount: null,
+    nextEscalationDate: null
+};
+
+const lease = {
+    leaseStartDate: new Date(2024, 0, 15),
+    leaseEndDate: new Date(2027, 0, 14)
+};
+
+const makeSchedule = (overrides = {}) => ({
+    amount: 1000000,
+    effectiveStartDate: new Date(2024, 0, 15),
+    escalation: null,
+    escalationNotice: { sentAt: null, effectiveDate: null, newAmount: null },
+    ...overrides
+});
+
+describe('Rent Escalation Tests', () => {
+    describe('resolveEscalationRule', () => {
+        it('should prefer an enabled schedule rule over the lease rule', () => {
+            const scheduleRule = { ...percentageRule, value: 5 };
+            expect(resolveEscalationRule({ escalation: scheduleRule }, { rentEscalation: percentageRule })).toBe(scheduleRule);
+        });
+
+        it('should fall back to the lease rule and return null when neither is enabled', () => {
+            expect(resolveEscalationRule({ escalation: { enabled: false } }, { rentEscalation: percentageRule })).toBe(percentageRule);
+            expect(resolveEscalationRule({}, { rentEscalation: { enabled: false } })).toBeNull();
+        });
+    });
+
+    describe('addMonths', () => {
+        it('should clamp to the end of shorter months', () => {
+            expect(addMonths(new Date(2025, 0, 31), 1)).toEqual(new Date(2025, 1, 28));
+            expect(addMonths(new Date(2024, 1, 29), 12)).toEqual(new Date(2025, 1, 28));
+        });
+    });
+
+    describe('getNextEscalationDate', () => {
+        it('should use the first lease anniversary after the schedule started', () => {
+            expect(getNextEscalationDate(percentageRule, makeSchedule(), lease)).toEqual(new Date(2025, 0, 15));
+            expect(getNextEscalationDate(percentageRule, makeSchedule({ effectiveStartDate: new Date(2025, 0, 15) }), lease))
+                .toEqual(new Date(2026, 0, 15));
+        });
+
+        it('should use an explicit next escalation date when set', () => {
+            const rule = { ...percentageRule, nextEscalationDate: new Date(2024, 6, 1) };
+            expect(getNextEscalationDate(rule, makeSchedule(), lease)).toEqual(new Date(2024, 6, 1));
+        });
+    });
+
+    describe('calculateEscalatedAmount', () => {
+        it('should apply percentage and fixed increases', () => {
+            expect(calculateEscalatedAmount(percentageRule, 1000000)).toBe(1100000);
+            expect(calculateEscalatedAmount({ ...percentageRule, escalationType: 'fixed', value: 50000 }, 1000000)).toBe(1050000);
+        });
+
+        it('should not escalate past the cap', () => {
+            expect(calculateEscalatedAmount({ ...percentageRule, maxAmount: 1080000 }, 1000000)).toBe(1080000);
+        });
+    });
+
+    describe('planEscalation', () => {
+        it('should do nothing before the notice window opens', () => {
+            const plan = planEscalation(percentageRule, makeSchedule(), lease, new Date(2024, 9, 1));
+
+            expect(plan.action).toBe('none');
+            expect(plan.noticeDate).toEqual(new Date(2024, 10, 16));
+        });
+
+        it('should send notice once the window opens, effective on the anniversary', () => {
+            const plan = planEscalation(percentageRule, makeSchedule(), lease, new Date(2024, 10, 16));
+
+            expect(plan.action).toBe('notice');
+            expect(plan.effectiveDate).toEqual(new Date(2025, 0, 15));
+            expect(plan.newAmount).toBe(1100000);
+        });
+
+        it('should push the increase back when notice is given late', () => {
+            const plan = planEscalation(percentageRule, makeSchedule(), lease, new Date(2025, 0, 1));
+
+            expect(plan.action).toBe('notice');
+            expect(plan.effectiveDate).toEqual(new Date(2025, 2, 2));
+        });
+
+        it('should escalate at the notified amount once the effective date arrives', () => {
+            const schedule = makeSchedule({
+                escalationNotice: { sentAt: new Date(2024, 10, 16), effectiveDate: new Date(2025, 0, 15), newAmount: 1100000 }
+            });
+
+            expect(planEscalation(percentageRule, schedule, lease, new Date(2025, 0, 14)).action).toBe('none');
+
+            const plan = planEscalation({ ...percentageRule, value: 20 }, schedule, lease, new Date(2025, 0, 15));
+            expect(plan.action).toBe('escalate');
+            expect(plan.newAmount).toBe(1100000);
+        });
+
+        it('should not plan an increase that falls after the lease ends', () => {
+            const shortLease = { ...lease, leaseEndDate: new Date(2025, 0, 1) };
+            const plan = planEscalation(percentageRule, makeSchedule(), shortLease, new Date(2024, 10, 20));
+
+            expect(plan.action).toBe('none');
+            expect(plan.reason).toMatch(/after the lease ends/);
+        });
+
+        it('should not plan an increase when the rent is already at the cap', () => {
+            const plan = planEscalation({ ...percentageRule, maxAmount: 1000000 }, makeSchedule(), lease, new Date(2024, 10, 20));
+
+            expect(plan.action).toBe('none');
+        });
+    });
+});
@@ -0,0 +1,89 @@
+// tests/RentRoll.test.js
+
+const {
+    findLeaseAsOf,
+    findScheduleAsOf,
+    toMonthlyAmount,
+    calculateDepositHeldAsOf,
+    summarizeRentRoll
+} = require('../utils/rentRollUtils');
+
+const asOfDate = new Date(2025, 5, 15);
+
+describe('Rent Roll Tests', () => {
+    describe('findLeaseAsOf', () => {
+        const expired = { id: 'old', status: 'expired', leaseStartDate: new Date(2024, 0, 1), leaseEndDate: new Date(2024, 11, 31) };
+        const current = { id: 'current', status: 'active', leaseStartDate: new Date(2025, 0, 1), leaseEndDate: new Date(2025, 11, 31) };
+
+        it('should pick the lease covering the date', () => {
+            expect(findLeaseAsOf([expired, current], asOfDate).id).toBe('current');
+            expect(findLeaseAsOf([expired, current], new Date(2024, 6, 1)).id).toBe('old');
+        });
+
+        it('should ignore drafts and leases terminated before the date', () => {
+            expect(findLeaseAsOf([{ ...current, status: 'draft' }], asOfDate)).toBeNull();
+            expect(findLeaseAsOf([{ ...current, status: 'terminated', terminatedAt: new Date(2025, 3, 1) }], asOfDate)).toBeNull();
+            expect(findLeaseAsOf([{ ...current, status: 'terminated', terminatedAt: new Date(2025, 8, 1) }], asOfDate).id).toBe('current');
+        });
+    });
+
+    describe('findScheduleAsOf', () => {
+        it('should pick the schedule in effect after an escalation', () => {
+            const schedules = [
+                { amount: 1000, effectiveStartDate: new Date(2025, 0, 1), effectiveEndDate: new Date(2025, 4, 31) },
+                { amount: 1100, effectiveStartDate: new Date(2025, 5, 1), effectiveEndDate: null }
+            ];
+            expect(findScheduleAsOf(schedules, asOfDate).amount).toBe(1100);
+            expect(findScheduleAsOf(schedules, new Date(2025, 2, 1)).amount).toBe(1000);
+        });
+    });
+
+    describe('toMonthlyAmount', () => {
+        it('should convert each billing period to a monthly figure', () => {
+            expect(toMonthlyAmount(1000)).toBe(1000);
+            expect(toMonthlyAmount(3000, 'quarterly')).toBe(1000);
+            expect(toMonthlyAmount(12000, 'annually')).toBe(1000);
+            expect(toMonthlyAmount(300, 'weekly')).toBe(1300);
+        });
+    });
+
+    describe('calculateDepositHeldAsOf', () => {
+        const deposit = {
+            receipts: [
+                { amount: 500, receivedAt: new Date(2025, 0, 1) },
+                { amount: 500, receivedAt: new Date(2025, 6, 1) }
+            ],
+            refund: { paidAt: null }
+        };
+
+        it('should count receipts up to the date', () => {
+            expect(calculateDepositHeldAsOf(deposit, asOfDate)).toBe(500);
+            expect(calculateDepositHeldAsOf(deposit, new Date(2025, 6, 1))).toBe(1000);
+            expect(calculateDepositHeldAsOf(null, asOfDate)).toBe(0);
+        });
+
+        it('should hold nothing once the refund is paid', () => {
+            const refunded = { ...deposit, refund: { paidAt: new Date(2025, 5, 1) } };
+            expect(calculateDepositHeldAsOf(refunded, asOfDate)).toBe(0);
+        });
+    });
+
+    describe('summarizeRentRoll', () => {
+        it('should count occupancy and total money per currency', () => {
+            const summary = summarizeRentRoll([
+                { occupancyStatus: 'occupied', currency: 'UGX', monthlyRent: 1000, depositHeld: 1000, balance: 200 },
+                { occupancyStatus: 'occupied', currency: 'UGX', monthlyRent: 1500, depositHeld: 0, balance: 0 },
+                { occupancyStatus: 'vacant', currency: 'UGX', monthlyRent: 0, depositHeld: 0, balance: 0 },
+                { occupancyStatus: 'under_maintenance', currency: 'UGX', monthlyRent: 0, depositHeld: 0, balance: 0 }
+            ]);
+
+            expect(summary).toEqual({
+                unitCount: 4,
+                occupiedCount: 2,
+                vacantCount: 2,
+                occupancyRate: 50,
+                totals: [{ currency: 'UGX', monthlyRent: 2500, depositHeld: 1000, balance: 200 }]
+            });
+        });
+    });
+});
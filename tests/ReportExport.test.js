@@ -0,0 +1,109 @@
+// tests/ReportExport.test.js
+
+const {
+    toCellValue,
+    formatCellText,
+    toCsvFields,
+    calculateReportTotals,
+    describeReportFilters,
+    formatReportTitle
+} = require('../utils/reportExportUtils');
+const { buildReportWorkbook } = require('../lib/xlsxGenerator');
+const { AUDIT_ACTION_ENUM } = require('../utils/constants/enums');
+
+const fields = [
+    { label: 'Tenant', value: 'tenantName' },
+    { label: 'Currency', value: 'currency' },
+    { label: 'Amount Due', value: 'amountDue', type: 'number', total: true },
+    { label: 'Due Date', value: 'dueDate', type: 'date' }
+];
+
+const rows = [
+    { tenantName: 'Jane Doe', currency: 'UGX', amountDue: 500000, dueDate: new Date('2025-01-01T00:00:00Z') },
+    { tenantName: 'John Roe', currency: 'UGX', amountDue: '250000.50', dueDate: new Date('2025-02-01T00:00:00Z') },
+    { tenantName: 'Ann Poe', currency: 'USD', amountDue: 300, dueDate: null }
+];
+
+describe('Report Export Tests', () => {
+    describe('toCellValue', () => {
+        it('should convert values to their column type and keep values that do not fit as text', () => {
+            expect(toCellValue('12.50', 'number')).toBe(12.5);
+            expect(toCellValue('N/A', 'number')).toBe('N/A');
+            expect(toCellValue('2025-03-01', 'date')).toEqual(new Date('2025-03-01'));
+            expect(toCellValue(true, 'boolean')).toBe(true);
+            expect(toCellValue('', 'string')).toBeNull();
+            expect(toCellValue(undefined, 'date')).toBeNull();
+        });
+    });
+
+    describe('formatCellText', () => {
+        it('should write ISO dates for CSV and readable text for display', () => {
+            const date = new Date('2025-03-01T14:30:00Z');
+
+            expect(formatCellText(date, 'date')).toBe('2025-03-01');
+            expect(formatCellText(date, 'datetime')).toBe('2025-03-01T14:30:00.000Z');
+            expect(formatCellText(date, 'datetime', true)).toBe('2025-03-01 14:30');
+            expect(formatCellText(1234567.891, 'number', true)).toBe('1,234,567.89');
+            expect(formatCellText(false, 'boolean', true)).toBe('No');
+        });
+    });
+
+    describe('toCsvFields', () => {
+        it('should format typed dates and leave empty cells blank', () => {
+            const [, , amount, dueDate] = toCsvFields(fields);
+
+            expect(dueDate.value(rows[0])).toBe('2025-01-01');
+            expect(dueDate.value(rows[2])).toBe('');
+            expect(amount.value(rows[1])).toBe(250000.5);
+        });
+    });
+
+    describe('calculateReportTotals', () => {
+        it('should total marked fields per currency', () => {
+            expect(calculateReportTotals(rows, fields)).toEqual([
+                { tenantName: 'TOTAL', currency: 'UGX', amountDue: 750000.5 },
+                { tenantName: 'TOTAL', currency: 'USD', amountDue: 300 }
+            ]);
+        });
+
+        it('should return no totals when nothing is marked or there are no rows', () => {
+            expect(calculateReportTotals(rows, fields.map(({ total, ...field }) => field))).toEqual([]);
+            expect(calculateReportTotals([], fields)).toEqual([]);
+        });
+    });
+
+    describe('describeReportFilters', () => {
+        it('should label the filters used and leave out the export options', () => {
+            const filters = { type: 'rent_collection', format: 'pdf', propertyId: '64b000000000000000000001', startDate: new Date('2025-01-01T00:00:00Z'), status: '' };
+
+            expect(describeReportFilters(filters, { propertyId: 'Sunset Apartments' })).toEqual([
+                { label: 'Property', value: 'Sunset Apartments' },
+                { label: 'Start Date', value: '2025-01-01' }
+            ]);
+        });
+    });
+
+    describe('formatReportTitle', () => {
+        it('should title-case the report type', () => {
+            expect(formatReportTitle('receivables_aging')).toBe('Receivables Aging Report');
+        });
+    });
+
+    describe('buildReportWorkbook', () => {
+        it('should produce a zip package with the report and details sheets', () => {
+            const workbook = buildReportWorkbook({ title: 'Rent Collection Report', columns: fields, rows, totals: [] });
+
+            expect(workbook.subarray(0, 4)).toEqual(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+            // End of central directory record lists all seven package parts
+            expect(workbook.readUInt32LE(workbook.length - 22)).toBe(0x06054b50);
+            expect(workbook.readUInt16LE(workbook.length - 12)).toBe(7);
+            expect(workbook.includes(Buffer.from('xl/worksheets/sheet2.xml'))).toBe(true);
+        });
+    });
+
+    describe('export audit action', () => {
+        it('should be a defined audit action so exports are audited', () => {
+            expect(AUDIT_ACTION_ENUM.EXPORT_REPORT).toBe('EXPORT_REPORT');
+        });
+    });
+});
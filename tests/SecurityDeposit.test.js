@@ -0,0 +1,52 @@
+// tests/SecurityDeposit.test.js
+
+const {
+    getHoldingStatus,
+    sumDeductions,
+    calculateDisposition
+} = require('../utils/securityDepositUtils');
+
+describe('Security Deposit Tests', () => {
+    describe('getHoldingStatus', () => {
+        it('should be pending until money is received', () => {
+            expect(getHoldingStatus(2000000, 0)).toBe('pending');
+        });
+
+        it('should be partially received until the agreed deposit is in', () => {
+            expect(getHoldingStatus(2000000, 500000)).toBe('partially_received');
+            expect(getHoldingStatus(2000000, 2000000)).toBe('held');
+        });
+
+        it('should treat any receipt as held when no deposit was agreed', () => {
+            expect(getHoldingStatus(0, 100000)).toBe('held');
+        });
+    });
+
+    describe('sumDeductions', () => {
+        it('should add up itemized deductions', () => {
+            expect(sumDeductions([{ amount: 150000.5 }, { amount: 49999.5 }])).toBe(200000);
+            expect(sumDeductions()).toBe(0);
+        });
+    });
+
+    describe('calculateDisposition', () => {
+        it('should refund what is left after deductions', () => {
+            const result = calculateDisposition({
+                amountReceived: 2000000,
+                deductions: [{ amount: 300000 }, { amount: 200000 }]
+            });
+
+            expect(result).toEqual({ amountHeld: 2000000, totalDeductions: 500000, refundAmount: 1500000, amountOwed: 0 });
+        });
+
+        it('should leave deductions beyond the deposit owing by the tenant', () => {
+            const result = calculateDisposition({
+                amountReceived: 1000000,
+                deductions: [{ amount: 1250000 }]
+            });
+
+            expect(result.refundAmount).toBe(0);
+            expect(result.amountOwed).toBe(250000);
+        });
+    });
+});
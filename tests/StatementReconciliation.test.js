@@ -0,0 +1,172 @@
+// tests/StatementReconciliation.test.js
+
+const {
+    parseAmount,
+    parseStatementDate,
+    normalizePhone,
+    parseCsvStatement,
+    parseOfxStatement,
+    parseStatement
+} = require('../utils/statementParser');
+const { scoreCandidate, classifyLine } = require('../utils/reconciliationUtils');
+
+const csvStatement = [
+    'Date,Description,Reference,Debit,Credit,Balance',
+    '05/03/2025,"Rent A1 - Jane Doe, 0772123456",TXN1001,,"1,200,000.00","5,000,000.00"',
+    '06/03/2025,Bank charges,CHG22,"5,000.00",,"4,995,000.00"',
+    '07/03/2025,Deposit from John Okello,TXN1002,,800000,"5,795,000.00"'
+].join('\n');
+
+const ofxStatement = `OFXHEADER:100
+DATA:OFXSGML
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20250305120000[+3:EAT]
+<TRNAMT>1200000.00
+<FITID>FIT-001
+<NAME>JANE DOE
+<MEMO>RENT MARCH UNIT A1
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20250306
+<TRNAMT>-5000.00
+<FITID>FIT-002
+<NAME>SERVICE CHARGE
+</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+const makeRent = (overrides = {}) => ({
+    _id: '64b7f0c2a1b2c3d4e5f60718',
+    amountDue: 1200000,
+    amountPaid: 0,
+    lateFees: [],
+    dueDate: new Date(2025, 2, 1),
+    billingPeriod: '2025-03',
+    tenant: { firstName: 'Jane', lastName: 'Doe', phone: '+256772123456' },
+    unit: { unitName: 'A1' },
+    ...overrides
+});
+
+describe('Statement Reconciliation Tests', () => {
+    describe('parseAmount', () => {
+        it('should parse thousands separators, currency prefixes and bracketed negatives', () => {
+            expect(parseAmount('1,200,000.00')).toBe(1200000);
+            expect(parseAmount('UGX 50,000')).toBe(50000);
+            expect(parseAmount('(3,000)')).toBe(-3000);
+            expect(parseAmount('')).toBeNull();
+        });
+    });
+
+    describe('parseStatementDate', () => {
+        it('should read day-first, ISO and OFX dates', () => {
+            expect(parseStatementDate('05/03/2025')).toEqual(new Date(2025, 2, 5));
+            expect(parseStatementDate('2025-03-05')).toEqual(new Date(2025, 2, 5));
+            expect(parseStatementDate('20250305120000[+3:EAT]')).toEqual(new Date(2025, 2, 5, 12, 0));
+        });
+    });
+
+    describe('normalizePhone', () => {
+        it('should convert local Ugandan numbers to E.164', () => {
+            expect(normalizePhone('0772 123 456')).toBe('+256772123456');
+            expect(normalizePhone('256772123456')).toBe('+256772123456');
+            expect(normalizePhone('12345')).toBeNull();
+        });
+    });
+
+    describe('parseCsvStatement', () => {
+        it('should return only credit lines with phone numbers picked out of the narration', () => {
+            const lines = parseCsvStatement(csvStatement);
+
+            expect(lines).toHaveLength(2);
+            expect(lines[0]).toMatchObject({
+                lineNumber: 2,
+                amount: 1200000,
+                transactionId: 'TXN1001',
+                phoneNumber: '+256772123456'
+            });
+            expect(lines[1].amount).toBe(800000);
+            expect(lines[0].fingerprint).not.toBe(lines[1].fingerprint);
+        });
+
+        it('should reject a file without date and amount columns', () => {
+            expect(() => parseCsvStatement('Foo,Bar\n1,2')).toThrow(/date and amount/);
+        });
+    });
+
+    describe('parseOfxStatement', () => {
+        it('should return credit transactions with their FITID', () => {
+            const lines = parseOfxStatement(ofxStatement);
+
+            expect(lines).toHaveLength(1);
+            expect(lines[0]).toMatchObject({
+                amount: 1200000,
+                transactionId: 'FIT-001',
+                description: 'JANE DOE - RENT MARCH UNIT A1'
+            });
+        });
+
+        it('should give the same line the same fingerprint across imports', () => {
+            expect(parseOfxStatement(ofxStatement)[0].fingerprint).toBe(parseOfxStatement(ofxStatement)[0].fingerprint);
+        });
+    });
+
+    describe('parseStatement', () => {
+        it('should detect the format from the file contents', () => {
+            expect(parseStatement(ofxStatement, undefined, 'statement.txt').format).toBe('ofx');
+            expect(parseStatement(csvStatement, undefined, 'statement.csv').format).toBe('csv');
+        });
+    });
+
+    describe('scoreCandidate', () => {
+        it('should score amount, reference, phone and date signals', () => {
+            const [line] = parseCsvStatement(csvStatement);
+            const { score, reasons } = scoreCandidate(line, makeRent());
+
+            expect(score).toBe(40 + 30 + 35 + 15);
+            expect(reasons).toEqual(expect.arrayContaining([
+                'Amount matches balance due',
+                'Reference mentions the unit',
+                'Reference mentions the tenant',
+                'Payer phone matches the tenant'
+            ]));
+        });
+
+        it('should give little weight to an unrelated payment', () => {
+            const [, line] = parseCsvStatement(csvStatement);
+            expect(scoreCandidate(line, makeRent()).score).toBeLessThan(35);
+        });
+    });
+
+    describe('classifyLine', () => {
+        it('should match a line with one clear candidate', () => {
+            const [line] = parseCsvStatement(csvStatement);
+            const result = classifyLine(line, [makeRent()]);
+
+            expect(result.status).toBe('matched');
+            expect(result.suggestedRent._id).toBe('64b7f0c2a1b2c3d4e5f60718');
+        });
+
+        it('should flag a line as ambiguous when two records score alike', () => {
+            const line = { amount: 500000, reference: 'RENT', description: '', date: new Date(2025, 2, 2), phoneNumber: null };
+            const rents = [
+                makeRent({ _id: '64b7f0c2a1b2c3d4e5f60001', amountDue: 500000, tenant: { firstName: 'Ann' }, unit: { unitName: 'B1' } }),
+                makeRent({ _id: '64b7f0c2a1b2c3d4e5f60002', amountDue: 500000, tenant: { firstName: 'Tom' }, unit: { unitName: 'B2' } })
+            ];
+
+            const result = classifyLine(line, rents);
+
+            expect(result.status).toBe('ambiguous');
+            expect(result.candidates).toHaveLength(2);
+        });
+
+        it('should leave a line unmatched when nothing scores high enough', () => {
+            const [, line] = parseCsvStatement(csvStatement);
+            const result = classifyLine(line, [makeRent()]);
+
+            expect(result.status).toBe('unmatched');
+            expect(result.suggestedRent).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,82 @@
+// tests/TaxUtils.test.js
+
+const {
+    getApplicableTaxRules,
+    calculateLineTaxes,
+    sumTaxes,
+    calculateRentTaxes,
+    buildTaxSummary
+} = require('../utils/taxUtils');
+
+const vat = { _id: 'vat1', name: 'VAT', type: 'vat', rate: 18, categories: [], isActive: true };
+const wht = { _id: 'wht1', name: 'WHT', type: 'withholding', rate: 6, categories: ['rent'], isActive: true };
+
+describe('Tax Utils Tests', () => {
+    describe('getApplicableTaxRules', () => {
+        it('should only apply withholding when the tenant withholds tax', () => {
+            expect(getApplicableTaxRules([vat, wht], { category: 'rent' }).map(rule => rule.name)).toEqual(['VAT']);
+            expect(getApplicableTaxRules([vat, wht], { category: 'rent', withholdsTax: true }).map(rule => rule.name)).toEqual(['VAT', 'WHT']);
+        });
+
+        it('should skip rules for other categories, inactive rules and rules not in force', () => {
+            const rules = [
+                wht,
+                { ...vat, isActive: false },
+                { ...vat, effectiveFrom: new Date(2026, 0, 1) },
+                { ...vat, effectiveTo: new Date(2024, 11, 31) }
+            ];
+
+            expect(getApplicableTaxRules(rules, { date: new Date(2025, 5, 1), category: 'parking', withholdsTax: true })).toEqual([]);
+        });
+    });
+
+    describe('calculateLineTaxes', () => {
+        it('should charge each tax on the line amount', () => {
+            expect(calculateLineTaxes(250000, [vat, wht])).toEqual([
+                { rule: 'vat1', name: 'VAT', type: 'vat', rate: 18, amount: 45000 },
+                { rule: 'wht1', name: 'WHT', type: 'withholding', rate: 6, amount: 15000 }
+            ]);
+        });
+    });
+
+    describe('sumTaxes', () => {
+        it('should keep tax charged apart from tax withheld', () => {
+            expect(sumTaxes([{ type: 'vat', amount: 45000 }, { type: 'withholding', amount: 15000 }])).toEqual({ taxTotal: 45000, withholdingTotal: 15000 });
+        });
+    });
+
+    describe('calculateRentTaxes', () => {
+        it('should tax the rent and charges by category', () => {
+            const taxes = calculateRentTaxes(
+                [{ category: 'rent', amount: 1000000 }, { category: 'service_charge', amount: 50000 }, { category: 'service_charge', amount: 30000 }],
+                [vat, wht],
+                { date: new Date(2025, 5, 1), withholdsTax: true }
+            );
+
+            expect(taxes).toEqual([
+                { rule: 'vat1', name: 'VAT', type: 'vat', rate: 18, category: 'rent', base: 1000000, amount: 180000 },
+                { rule: 'wht1', name: 'WHT', type: 'withholding', rate: 6, category: 'rent', base: 1000000, amount: 60000 },
+                { rule: 'vat1', name: 'VAT', type: 'vat', rate: 18, category: 'service_charge', base: 80000, amount: 14400 }
+            ]);
+        });
+    });
+
+    describe('buildTaxSummary', () => {
+        it('should total each tax per period and property, netting credits', () => {
+            const base = { propertyId: 'p1', propertyName: 'Kampala Plaza', currency: 'UGX', name: 'VAT', type: 'vat', rate: 18 };
+            const { rows, totals } = buildTaxSummary([
+                { ...base, period: '2025-02', base: 1000000, amount: 180000 },
+                { ...base, period: '2025-01', base: 1000000, amount: 180000 },
+                { ...base, period: '2025-01', base: -100000, amount: -18000 },
+                { ...base, period: '2025-01', name: 'WHT', type: 'withholding', rate: 6, base: 1000000, amount: 60000 }
+            ]);
+
+            expect(rows.map(row => [row.period, row.taxName, row.taxAmount])).toEqual([
+                ['2025-01', 'VAT', 162000],
+                ['2025-01', 'WHT', 60000],
+                ['2025-02', 'VAT', 180000]
+            ]);
+            expect(totals).toEqual({ vat: 342000, withholding: 60000, taxableAmount: 1900000 });
+        });
+    });
+});
@@ -5,6 +5,8 @@
  * This file centralizes all document templates used in the system
  */
 
+const { parseSignatureImage } = require('./leaseSignatureUtils');
+
 /**
  * Format date in a readable format
  * @param {Date|string} date - Date to format
@@ -31,6 +33,28 @@ const formatCurrency = (amount, currency = 'UGX') => {
   })} ${currency}`;
 };
 
+/**
+ * Writes a footer with the page number at the bottom of every buffered page
+ * @param {PDFDocument} doc - PDFKit document created with bufferPages
+ * @param {string} text - Footer text; the page number is appended
+ */
+const drawFooter = (doc, text) => {
+  const pageCount = doc.bufferedPageRange().count;
+  for (let i = 0; i < pageCount; i++) {
+    doc.switchToPage(i);
+
+    // Footer sits inside the bottom margin, so drop it to stop pdfkit wrapping onto a new page
+    doc.page.margins.bottom = 0;
+    doc.fontSize(8)
+      .text(
+        `${text} | Page ${i + 1} of ${pageCount}`,
+        50,
+        doc.page.height - 50,
+        { align: 'center', width: doc.page.width - 100 }
+      );
+  }
+};
+
 /**
  * Templates for document generation
  */
@@ -251,7 +275,7 @@ const DOCUMENT_TEMPLATES = {
     name: 'Rent Report',
     description: 'Summary of rent payments for a property or properties.',
     requiredFields: ['startDate', 'endDate', 'rentEntries'],
-    optionalFields: ['propertyName', 'totalDue', 'totalCollected', 'currency', 'statusSummary', 'generatedBy'],
+    optionalFields: ['propertyName', 'totalDue', 'totalLateFees', 'totalCollected', 'currency', 'statusSummary', 'generatedBy'],
     generator: (doc, data, options = {}) => {
       doc.fontSize(16).text(`Rent Report for ${data.propertyName || 'All Properties'}`, { align: 'center' });
       doc.moveDown();
@@ -261,7 +285,13 @@ const DOCUMENT_TEMPLATES = {
         .text(`Generated On: ${formatDate(new Date(), { month: 'short', day: 'numeric', year: 'numeric' })}`)
         .text(`Generated By: ${data.generatedBy || options.userName || 'System'}`)
         .moveDown(0.5)
-        .text(`Total Rent Due: ${formatCurrency(data.totalDue, data.currency)}`)
+        .text(`Total Rent Due: ${formatCurrency(data.totalDue, data.currency)}`);
+
+      if (data.totalLateFees) {
+        doc.text(`Including Late Fees: ${formatCurrency(data.totalLateFees, data.currency)}`);
+      }
+
+      doc
         .text(`Total Rent Collected: ${formatCurrency(data.totalCollected, data.currency)}`)
         .text(`Outstanding Balance: ${formatCurrency(data.totalDue - data.totalCollected, data.currency)}`)
         .moveDown(1);
@@ -488,6 +518,867 @@ const DOCUMENT_TEMPLATES = {
           );
       }
     }
+  },
+
+  statement_of_account: {
+    name: 'Statement of Account',
+    description: 'Tenant account ledger for a lease with running balance.',
+    requiredFields: ['tenantName', 'endDate', 'entries'],
+    optionalFields: ['startDate', 'propertyName', 'unitName', 'openingBalance', 'closingBalance', 'totalDebits', 'totalCredits', 'depositHeld', 'currency', 'generatedBy'],
+    generator: (doc, data, options = {}) => {
+      const dateFormat = { month: 'short', day: 'numeric', year: 'numeric' };
+
+      doc.fontSize(16).text('Statement of Account', { align: 'center' });
+      doc.moveDown();
+
+      doc.fontSize(11)
+        .text(`Tenant: ${data.tenantName}`)
+        .text(`Property: ${data.propertyName || 'N/A'}`)
+        .text(`Unit: ${data.unitName || 'N/A'}`)
+        .text(`Period: ${data.startDate ? formatDate(data.startDate, dateFormat) : 'Start of lease'} - ${formatDate(data.endDate, dateFormat)}`)
+        .text(`Generated By: ${data.generatedBy || options.userName || 'System'}`)
+        .moveDown(0.5)
+        .text(`Opening Balance: ${formatCurrency(data.openingBalance || 0, data.currency)}`)
+        .text(`Charges: ${formatCurrency(data.totalDebits || 0, data.currency)}`)
+        .text(`Payments & Credits: ${formatCurrency(data.totalCredits || 0, data.currency)}`)
+        .text(`Closing Balance: ${formatCurrency(data.closingBalance || 0, data.currency)}`);
+
+      if (data.depositHeld) {
+        doc.text(`Security Deposit Held: ${formatCurrency(data.depositHeld, data.currency)}`);
+      }
+      doc.moveDown(1);
+
+      doc.strokeColor('#cccccc').lineWidth(1);
+      doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+      doc.moveDown(0.5);
+
+      const drawHeaders = () => {
+        const yPos = doc.y;
+        doc.fillColor('#000000').fontSize(10)
+           .text('Date', 50, yPos, { width: 70, align: 'left' })
+           .text('Description', 120, yPos, { width: 190, align: 'left' })
+           .text('Debit', 310, yPos, { width: 80, align: 'right' })
+           .text('Credit', 390, yPos, { width: 80, align: 'right' })
+           .text('Balance', 470, yPos, { width: 80, align: 'right' });
+        doc.moveDown(0.5);
+        doc.strokeColor('#000000').lineWidth(0.5);
+        doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+        doc.moveDown(0.5);
+      };
+
+      drawHeaders();
+
+      const rows = [
+        { date: data.startDate, description: 'Opening balance', balance: data.openingBalance || 0 },
+        ...(data.entries || [])
+      ];
+
+      let isAlternate = false;
+      rows.forEach(entry => {
+        // Leave room for the footer before starting a new row
+        if (doc.y > doc.page.height - 90) {
+          doc.addPage();
+          drawHeaders();
+        }
+
+        if (isAlternate) {
+          doc.rect(50, doc.y - 2, 500, 16).fill('#f5f5f5');
+        }
+        isAlternate = !isAlternate;
+
+        const yPos = doc.y;
+        doc.fillColor('#000000').fontSize(9)
+           .text(entry.date ? formatDate(entry.date, dateFormat) : '', 50, yPos, { width: 70, align: 'left' })
+           .text(entry.description, 120, yPos, { width: 190, align: 'left' })
+           .text(entry.debit ? formatCurrency(entry.debit, '').trim() : '', 310, yPos, { width: 80, align: 'right' })
+           .text(entry.credit ? formatCurrency(entry.credit, '').trim() : '', 390, yPos, { width: 80, align: 'right' })
+           .text(formatCurrency(entry.balance, '').trim(), 470, yPos, { width: 80, align: 'right' });
+
+        doc.moveDown(0.6);
+      });
+
+      doc.moveDown(1);
+      doc.fontSize(11).text(`Balance Due: ${formatCurrency(data.closingBalance || 0, data.currency)}`, 50, doc.y, { align: 'right', width: 500 });
+
+      drawFooter(doc, `Generated on ${formatDate(new Date(), dateFormat)} by LeaseLogix`);
+    }
+  },
+
+  rent_invoice: {
+    name: 'Invoice',
+    description: 'Tenant invoice or credit note with line items and taxes.',
+    requiredFields: ['invoiceNumber', 'tenantName', 'items', 'dueDate'],
+    optionalFields: ['isCreditNote', 'originalInvoiceNumber', 'issueDate', 'tenantEmail', 'propertyName', 'propertyAddress', 'unitName', 'currency', 'subtotal', 'taxTotal', 'withholdingTotal', 'taxBreakdown', 'amount', 'amountPaid', 'creditedAmount', 'balance', 'notes'],
+    generator: (doc, data, options = {}) => {
+      const dateFormat = { month: 'short', day: 'numeric', year: 'numeric' };
+      const money = (value) => formatCurrency(value || 0, '').trim();
+      const address = data.propertyAddress
+        ? [data.propertyAddress.street, data.propertyAddress.city, data.propertyAddress.country].filter(Boolean).join(', ')
+        : null;
+
+      doc.fontSize(16).text(data.isCreditNote ? 'Credit Note' : 'Invoice', { align: 'center' });
+      doc.moveDown();
+
+      const headerTop = doc.y;
+      doc.fontSize(11)
+        .text(`Bill To: ${data.tenantName}`, 50, headerTop, { width: 250 })
+        .text(data.tenantEmail || '', { width: 250 })
+        .text(`Property: ${data.propertyName || 'N/A'}`, { width: 250 });
+      if (address) doc.text(address, { width: 250 });
+      if (data.unitName) doc.text(`Unit: ${data.unitName}`, { width: 250 });
+      const leftBottom = doc.y;
+
+      doc.text(`${data.isCreditNote ? 'Credit Note' : 'Invoice'} No: ${data.invoiceNumber}`, 320, headerTop, { width: 230, align: 'right' })
+        .text(`Issue Date: ${data.issueDate ? formatDate(data.issueDate, dateFormat) : 'N/A'}`, { width: 230, align: 'right' })
+        .text(`${data.isCreditNote ? 'Date' : 'Due Date'}: ${formatDate(data.dueDate, dateFormat)}`, { width: 230, align: 'right' });
+      if (data.originalInvoiceNumber) {
+        doc.text(`Credits Invoice: ${data.originalInvoiceNumber}`, { width: 230, align: 'right' });
+      }
+      doc.y = Math.max(doc.y, leftBottom);
+      doc.moveDown(1.5);
+
+      const drawHeaders = () => {
+        const yPos = doc.y;
+        doc.fillColor('#000000').fontSize(10)
+           .text('Description', 50, yPos, { width: 220, align: 'left' })
+           .text('Qty', 270, yPos, { width: 40, align: 'right' })
+           .text('Unit Price', 310, yPos, { width: 80, align: 'right' })
+           .text('Tax', 390, yPos, { width: 70, align: 'right' })
+           .text('Amount', 460, yPos, { width: 90, align: 'right' });
+        doc.moveDown(0.5);
+        doc.strokeColor('#000000').lineWidth(0.5);
+        doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+        doc.moveDown(0.5);
+      };
+
+      drawHeaders();
+
+      data.items.forEach(item => {
+        if (doc.y > doc.page.height - 90) {
+          doc.addPage();
+          drawHeaders();
+        }
+
+        const yPos = doc.y;
+        doc.fontSize(9)
+           .text(item.description, 50, yPos, { width: 220, align: 'left' });
+        const rowBottom = doc.y;
+        doc.text(String(item.quantity ?? 1), 270, yPos, { width: 40, align: 'right' })
+           .text(money(item.unitPrice ?? item.amount), 310, yPos, { width: 80, align: 'right' })
+           .text(item.taxAmount ? `${money(item.taxAmount)} (${item.taxRate}%)` : '-', 390, yPos, { width: 70, align: 'right' })
+           .text(money((item.amount || 0) + (item.taxAmount || 0)), 460, yPos, { width: 90, align: 'right' });
+        doc.y = Math.max(doc.y, rowBottom);
+        doc.moveDown(0.4);
+      });
+
+      doc.moveDown(0.5);
+      doc.strokeColor('#cccccc').lineWidth(1);
+      doc.moveTo(300, doc.y).lineTo(550, doc.y).stroke();
+      doc.moveDown(0.5);
+
+      const totalLine = (label, value, bold = false) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10)
+          .text(`${label}: ${formatCurrency(value || 0, data.currency)}`, 300, doc.y, { width: 250, align: 'right' });
+      };
+
+      totalLine('Subtotal', data.subtotal);
+      if (data.taxBreakdown && data.taxBreakdown.length > 0) {
+        // Each tax with what it was charged on; tax withheld by the tenant comes off the total
+        data.taxBreakdown.forEach(tax => {
+          const label = `${tax.type === 'withholding' ? 'Less ' : ''}${tax.name} ${tax.rate}% on ${money(tax.base)}`;
+          totalLine(label, tax.type === 'withholding' ? -tax.amount : tax.amount);
+        });
+      } else {
+        totalLine('Tax', data.taxTotal);
+      }
+      totalLine('Total', data.amount, true);
+      if (!data.isCreditNote) {
+        if (data.amountPaid) totalLine('Paid', data.amountPaid);
+        if (data.creditedAmount) totalLine('Credited', data.creditedAmount);
+        totalLine('Balance Due', data.balance, true);
+      }
+      doc.font('Helvetica');
+
+      if (data.notes) {
+        doc.moveDown(1);
+        doc.fontSize(10).text('Notes:', 50, doc.y);
+        doc.font('Helvetica-Oblique').text(data.notes, { width: 500 });
+        doc.font('Helvetica');
+      }
+
+      drawFooter(doc, `Generated on ${formatDate(new Date(), dateFormat)} by LeaseLogix`);
+    }
+  },
+
+  payment_receipt: {
+    name: 'Payment Receipt',
+    description: 'Numbered receipt for a rent payment.',
+    requiredFields: ['receiptNumber', 'tenantName', 'paymentDate', 'billingPeriod'],
+    optionalFields: ['tenantEmail', 'propertyName', 'propertyAddress', 'unitName', 'currency', 'amount', 'paymentMethod', 'transactionId', 'amountDue', 'charges', 'taxTotal', 'withholdingTotal', 'lateFeeTotal', 'totalPaid', 'balance', 'recordedBy', 'notes'],
+    generator: (doc, data, options = {}) => {
+      const dateFormat = { month: 'short', day: 'numeric', year: 'numeric' };
+      const address = data.propertyAddress
+        ? [data.propertyAddress.street, data.propertyAddress.city, data.propertyAddress.country].filter(Boolean).join(', ')
+        : null;
+
+      doc.fontSize(16).text('Payment Receipt', { align: 'center' });
+      doc.fontSize(11).text(`Receipt No: ${data.receiptNumber}`, { align: 'center' });
+      doc.moveDown(1.5);
+
+      doc.fontSize(11)
+        .text(`Received From: ${data.tenantName}`)
+        .text(data.tenantEmail || '')
+        .text(`Property: ${data.propertyName || 'N/A'}`);
+      if (address) doc.text(address);
+      if (data.unitName) doc.text(`Unit: ${data.unitName}`);
+      doc.moveDown();
+
+      doc.fontSize(13).font('Helvetica-Bold')
+        .text(`Amount Received: ${formatCurrency(data.amount || 0, data.currency)}`);
+      doc.font('Helvetica').fontSize(11).moveDown(0.5);
+
+      doc.text(`Payment Date: ${formatDate(data.paymentDate, dateFormat)}`)
+        .text(`Payment For: Rent ${data.billingPeriod}`)
+        .text(`Payment Method: ${data.paymentMethod || 'Not specified'}`);
+      if (data.transactionId) doc.text(`Transaction Reference: ${data.transactionId}`);
+      doc.moveDown();
+
+      doc.strokeColor('#cccccc').lineWidth(1);
+      doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+      doc.moveDown(0.5);
+
+      doc.fontSize(12).text('Account for this Period', { underline: true });
+      doc.moveDown(0.5);
+      doc.fontSize(10)
+        .text(`Rent Due: ${formatCurrency(data.amountDue || 0, data.currency)}`);
+      (data.charges || []).forEach(charge => doc.text(`${charge.name}: ${formatCurrency(charge.amount, data.currency)}`));
+      if (data.taxTotal) doc.text(`Tax: ${formatCurrency(data.taxTotal, data.currency)}`);
+      if (data.withholdingTotal) doc.text(`Less Tax Withheld: ${formatCurrency(-data.withholdingTotal, data.currency)}`);
+      if (data.lateFeeTotal) doc.text(`Late Fees: ${formatCurrency(data.lateFeeTotal, data.currency)}`);
+      doc.text(`Total Paid to Date: ${formatCurrency(data.totalPaid || 0, data.currency)}`);
+      doc.font('Helvetica-Bold')
+        .text(`Balance Outstanding: ${formatCurrency(data.balance || 0, data.currency)}`);
+      doc.font('Helvetica');
+
+      if (data.notes) {
+        doc.moveDown();
+        doc.fontSize(10).text('Notes:');
+        doc.font('Helvetica-Oblique').text(data.notes, { width: 500 });
+        doc.font('Helvetica');
+      }
+
+      if (data.recordedBy) {
+        doc.moveDown();
+        doc.fontSize(10).text(`Recorded by: ${data.recordedBy}`);
+      }
+
+      drawFooter(doc, `Generated on ${formatDate(new Date(), dateFormat)} by LeaseLogix`);
+    }
+  },
+
+  dunning_notice: {
+    name: 'Formal Notice of Overdue Rent',
+    description: 'Formal demand for overdue rent sent as part of a dunning sequence.',
+    requiredFields: ['tenantName', 'billingPeriod', 'dueDate', 'noticeDate'],
+    optionalFields: ['propertyName', 'propertyAddress', 'unitName', 'currency', 'amountDue', 'charges', 'taxTotal', 'withholdingTotal', 'lateFeeTotal', 'amountPaid', 'balance', 'daysOverdue', 'message', 'previousNotices', 'issuedBy'],
+    generator: (doc, data, options = {}) => {
+      const dateFormat = { month: 'short', day: 'numeric', year: 'numeric' };
+      const address = data.propertyAddress
+        ? [data.propertyAddress.street, data.propertyAddress.city, data.propertyAddress.country].filter(Boolean).join(', ')
+        : null;
+
+      doc.fontSize(16).text('Formal Notice of Overdue Rent', { align: 'center' });
+      doc.moveDown();
+
+      doc.fontSize(11)
+        .text(`Date: ${formatDate(data.noticeDate, dateFormat)}`)
+        .text(`To: ${data.tenantName}`)
+        .text(`Property: ${data.propertyName || 'N/A'}${address ? ` (${address})` : ''}`)
+        .text(`Unit: ${data.unitName || 'N/A'}`);
+      doc.moveDown();
+
+      doc.fontSize(11).text(
+        `Rent for the period ${data.billingPeriod} was due on ${formatDate(data.dueDate, dateFormat)} and remains unpaid` +
+        `${data.daysOverdue ? ` ${data.daysOverdue} day(s) later` : ''}. You are required to pay the outstanding balance below without further delay.`,
+        { width: 500 }
+      );
+      doc.moveDown();
+
+      doc.strokeColor('#cccccc').lineWidth(1);
+      doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+      doc.moveDown(0.5);
+
+      doc.fontSize(10)
+        .text(`Rent Due: ${formatCurrency(data.amountDue || 0, data.currency)}`);
+      (data.charges || []).forEach(charge => doc.text(`${charge.name}: ${formatCurrency(charge.amount, data.currency)}`));
+      if (data.taxTotal) doc.text(`Tax: ${formatCurrency(data.taxTotal, data.currency)}`);
+      if (data.withholdingTotal) doc.text(`Less Tax Withheld: ${formatCurrency(-data.withholdingTotal, data.currency)}`);
+      if (data.lateFeeTotal) doc.text(`Late Fees: ${formatCurrency(data.lateFeeTotal, data.currency)}`);
+      doc.text(`Paid to Date: ${formatCurrency(data.amountPaid || 0, data.currency)}`);
+      doc.fontSize(12).font('Helvetica-Bold')
+        .text(`Balance Outstanding: ${formatCurrency(data.balance || 0, data.currency)}`);
+      doc.font('Helvetica');
+      doc.moveDown();
+
+      if (data.message) {
+        doc.fontSize(11).text(data.message, { width: 500 });
+        doc.moveDown();
+      }
+
+      if (data.previousNotices && data.previousNotices.length > 0) {
+        doc.fontSize(12).text('Previous Reminders', { underline: true });
+        doc.moveDown(0.5);
+        data.previousNotices.forEach(notice => {
+          doc.fontSize(10).text(`${formatDate(notice.sentAt, dateFormat)}  ${notice.name} (${notice.channel.replace(/_/g, ' ')})`);
+        });
+        doc.moveDown();
+      }
+
+      doc.fontSize(10).text(
+        'If you have already made this payment, please disregard this notice and share your payment reference with your property manager.',
+        { width: 500 }
+      );
+      doc.moveDown(2);
+      doc.fontSize(11).text(`Issued by: ${data.issuedBy || options.userName || 'Property Management'}`);
+
+      drawFooter(doc, `Generated on ${formatDate(new Date(), dateFormat)} by LeaseLogix`);
+    }
+  },
+
+  deposit_disposition: {
+    name: 'Security Deposit Disposition',
+    description: 'Itemized statement of deductions from a security deposit and the refund due.',
+    requiredFields: ['tenantName', 'currency', 'deductions'],
+    optionalFields: ['propertyName', 'propertyAddress', 'unitName', 'leaseStartDate', 'leaseEndDate', 'amountRequired', 'receipts', 'amountHeld', 'totalDeductions', 'refundAmount', 'amountOwed', 'generatedBy'],
+    generator: (doc, data, options = {}) => {
+      const dateFormat = { month: 'short', day: 'numeric', year: 'numeric' };
+      const address = data.propertyAddress
+        ? [data.propertyAddress.street, data.propertyAddress.city, data.propertyAddress.country].filter(Boolean).join(', ')
+        : null;
+
+      doc.fontSize(16).text('Security Deposit Disposition', { align: 'center' });
+      doc.moveDown();
+
+      doc.fontSize(11)
+        .text(`Tenant: ${data.tenantName}`)
+        .text(`Property: ${data.propertyName || 'N/A'}${address ? ` (${address})` : ''}`)
+        .text(`Unit: ${data.unitName || 'N/A'}`)
+        .text(`Lease: ${data.leaseStartDate ? formatDate(data.leaseStartDate, dateFormat) : 'N/A'} - ${data.leaseEndDate ? formatDate(data.leaseEndDate, dateFormat) : 'N/A'}`)
+        .text(`Issued By: ${data.generatedBy || options.userName || 'System'}`);
+      doc.moveDown(1);
+
+      // Deposit received
+      doc.fontSize(13).text('Deposit Received', { underline: true });
+      doc.moveDown(0.5);
+      doc.fontSize(10).text(`Agreed Deposit: ${formatCurrency(data.amountRequired || 0, data.currency)}`);
+      (data.receipts || []).forEach(receipt => {
+        doc.text(`${formatDate(receipt.receivedAt, dateFormat)}  ${formatCurrency(receipt.amount, data.currency)}${receipt.method ? ` (${receipt.method})` : ''}${receipt.transactionId ? ` Ref: ${receipt.transactionId}` : ''}`);
+      });
+      doc.font('Helvetica-Bold').text(`Total Held: ${formatCurrency(data.amountHeld || 0, data.currency)}`);
+      doc.font('Helvetica');
+      doc.moveDown(1);
+
+      // Itemized deductions
+      doc.fontSize(13).text('Deductions', { underline: true });
+      doc.moveDown(0.5);
+
+      if (data.deductions.length === 0) {
+        doc.fontSize(10).text('No deductions.');
+      } else {
+        const drawHeaders = () => {
+          const yPos = doc.y;
+          doc.fillColor('#000000').fontSize(10)
+             .text('Category', 50, yPos, { width: 100, align: 'left' })
+             .text('Description', 150, yPos, { width: 300, align: 'left' })
+             .text('Amount', 450, yPos, { width: 100, align: 'right' });
+          doc.moveDown(0.5);
+          doc.strokeColor('#000000').lineWidth(0.5);
+          doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+          doc.moveDown(0.5);
+        };
+
+        drawHeaders();
+
+        data.deductions.forEach(deduction => {
+          if (doc.y > doc.page.height - 90) {
+            doc.addPage();
+            drawHeaders();
+          }
+
+          const details = [
+            deduction.description,
+            deduction.requestTitle ? `Repair: ${deduction.requestTitle}` : null,
+            deduction.photoCount ? `${deduction.photoCount} photo(s) on file` : null
+          ].filter(Boolean).join(' - ');
+
+          const yPos = doc.y;
+          doc.fontSize(9)
+             .text(deduction.category.replace(/_/g, ' '), 50, yPos, { width: 100, align: 'left' })
+             .text(details, 150, yPos, { width: 300, align: 'left' });
+          const rowBottom = doc.y;
+          doc.text(formatCurrency(deduction.amount, '').trim(), 450, yPos, { width: 100, align: 'right' });
+          doc.y = Math.max(doc.y, rowBottom);
+          doc.moveDown(0.4);
+        });
+      }
+      doc.moveDown(1);
+
+      // Settlement
+      doc.strokeColor('#cccccc').lineWidth(1);
+      doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+      doc.moveDown(0.5);
+      doc.fontSize(11)
+        .text(`Deposit Held: ${formatCurrency(data.amountHeld || 0, data.currency)}`, 50, doc.y, { align: 'right', width: 500 })
+        .text(`Less Deductions: ${formatCurrency(data.totalDeductions || 0, data.currency)}`, { align: 'right', width: 500 });
+      doc.font('Helvetica-Bold')
+        .text(`Refund Due to Tenant: ${formatCurrency(data.refundAmount || 0, data.currency)}`, { align: 'right', width: 500 });
+      if (data.amountOwed) {
+        doc.text(`Balance Owed by Tenant: ${formatCurrency(data.amountOwed, data.currency)}`, { align: 'right', width: 500 });
+      }
+      doc.font('Helvetica');
+
+      drawFooter(doc, `Generated on ${formatDate(new Date(), dateFormat)} by LeaseLogix`);
+    }
+  },
+
+  inspection_comparison: {
+    name: 'Move-In vs Move-Out Inspection Comparison',
+    description: 'Side-by-side condition of every checklist item at move-in and move-out, with the proposed deposit deductions and both inspections\' signatures.',
+    requiredFields: ['tenantName', 'unitName', 'moveInDate', 'moveOutDate', 'rows'],
+    optionalFields: ['propertyName', 'propertyAddress', 'leaseStartDate', 'leaseEndDate', 'currency', 'summary', 'proposedDeductions', 'moveInSignatures', 'moveOutSignatures'],
+    generator: (doc, data, options = {}) => {
+      const dateFormat = { month: 'short', day: 'numeric', year: 'numeric' };
+      const dateTimeFormat = { ...dateFormat, hour: '2-digit', minute: '2-digit', timeZone: 'UTC', timeZoneName: 'short' };
+      const address = data.propertyAddress
+        ? [data.propertyAddress.street, data.propertyAddress.city, data.propertyAddress.country].filter(Boolean).join(', ')
+        : null;
+      const conditionLabel = (entry) => (entry?.condition ? entry.condition.replace(/_/g, ' ') : 'not inspected');
+      const changeLabels = { worse: 'Worse', unchanged: 'Same', better: 'Better', not_compared: '-' };
+
+      doc.fontSize(16).text('Move-In vs Move-Out Inspection', { align: 'center' });
+      doc.moveDown();
+
+      doc.fontSize(11)
+        .text(`Tenant: ${data.tenantName}`)
+        .text(`Property: ${data.propertyName || 'N/A'}${address ? ` (${address})` : ''}`)
+        .text(`Unit: ${data.unitName}`)
+        .text(`Lease: ${data.leaseStartDate ? formatDate(data.leaseStartDate, dateFormat) : 'N/A'} - ${data.leaseEndDate ? formatDate(data.leaseEndDate, dateFormat) : 'N/A'}`)
+        .text(`Move-In Inspection: ${formatDate(data.moveInDate, dateFormat)}`)
+        .text(`Move-Out Inspection: ${formatDate(data.moveOutDate, dateFormat)}`);
+      if (data.summary) {
+        doc.text(`Items Worse: ${data.summary.worse}   Same: ${data.summary.unchanged}   Better: ${data.summary.better}   Not Compared: ${data.summary.not_compared}`);
+      }
+      doc.moveDown(1);
+
+      // Side-by-side table, grouped by room
+      const drawHeaders = () => {
+        const yPos = doc.y;
+        doc.font('Helvetica-Bold').fillColor('#000000').fontSize(10)
+           .text('Item', 50, yPos, { width: 110, align: 'left' })
+           .text('Move-In', 160, yPos, { width: 165, align: 'left' })
+           .text('Move-Out', 330, yPos, { width: 165, align: 'left' })
+           .text('Change', 500, yPos, { width: 50, align: 'right' });
+        doc.font('Helvetica');
+        doc.moveDown(0.5);
+        doc.strokeColor('#000000').lineWidth(0.5);
+        doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+        doc.moveDown(0.5);
+      };
+
+      const describeEntry = (entry) => (entry
+        ? [conditionLabel(entry), entry.notes, entry.photoCount ? `${entry.photoCount} photo(s)` : null].filter(Boolean).join(' - ')
+        : 'Not inspected');
+
+      drawHeaders();
+
+      let currentRoom = null;
+      data.rows.forEach(row => {
+        if (doc.y > doc.page.height - 100) {
+          doc.addPage();
+          drawHeaders();
+          currentRoom = null;
+        }
+
+        if (row.room !== currentRoom) {
+          currentRoom = row.room;
+          doc.font('Helvetica-Bold').fontSize(10).text(row.room, 50, doc.y);
+          doc.font('Helvetica');
+          doc.moveDown(0.3);
+        }
+
+        const yPos = doc.y;
+        doc.fontSize(9).fillColor('#000000')
+           .text(row.item, 60, yPos, { width: 100, align: 'left' });
+        let rowBottom = doc.y;
+        doc.text(describeEntry(row.moveIn), 160, yPos, { width: 165, align: 'left' });
+        rowBottom = Math.max(rowBottom, doc.y);
+        doc.text(describeEntry(row.moveOut), 330, yPos, { width: 165, align: 'left' });
+        rowBottom = Math.max(rowBottom, doc.y);
+        doc.fillColor(row.change === 'worse' ? '#b00020' : '#000000')
+           .text(changeLabels[row.change] || row.change, 500, yPos, { width: 50, align: 'right' });
+        doc.fillColor('#000000');
+        doc.y = Math.max(doc.y, rowBottom);
+        doc.moveDown(0.4);
+      });
+      doc.moveDown(1);
+
+      // Proposed deductions, for the manager to review before anything is charged
+      const proposals = data.proposedDeductions || [];
+      if (doc.y > doc.page.height - 150) {
+        doc.addPage();
+      }
+      doc.fontSize(13).text('Proposed Deposit Deductions', 50, doc.y, { underline: true });
+      doc.moveDown(0.5);
+
+      if (proposals.length === 0) {
+        doc.fontSize(10).text('No items were found in a worse condition than at move-in.');
+      } else {
+        proposals.forEach(proposal => {
+          if (doc.y > doc.page.height - 90) {
+            doc.addPage();
+          }
+
+          const yPos = doc.y;
+          doc.fontSize(9)
+             .text(proposal.category.replace(/_/g, ' '), 50, yPos, { width: 100, align: 'left' })
+             .text(proposal.description, 150, yPos, { width: 300, align: 'left' });
+          const rowBottom = doc.y;
+          doc.text(proposal.amount ? formatCurrency(proposal.amount, data.currency || '').trim() : 'To be priced', 450, yPos, { width: 100, align: 'right' });
+          doc.y = Math.max(doc.y, rowBottom);
+          doc.moveDown(0.4);
+        });
+
+        const estimated = proposals.reduce((sum, proposal) => sum + (proposal.amount || 0), 0);
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Bold').fontSize(10)
+          .text(`Estimated Total: ${formatCurrency(estimated, data.currency || 'UGX')}`, 50, doc.y, { align: 'right', width: 500 });
+        doc.font('Helvetica');
+      }
+      doc.moveDown(0.5);
+      doc.fontSize(8).fillColor('#555555')
+        .text('Proposed deductions are not charged until they are confirmed against the security deposit.', 50, doc.y);
+      doc.fillColor('#000000');
+      doc.moveDown(1);
+
+      // Sign-off on each inspection
+      const drawSignatures = (title, signatures = []) => {
+        if (doc.y > doc.page.height - 150) {
+          doc.addPage();
+        }
+        doc.fontSize(13).text(title, 50, doc.y, { underline: true });
+        doc.moveDown(0.5);
+
+        ['tenant', 'manager'].forEach(role => {
+          const signature = signatures.find(entry => entry.role === role);
+          if (doc.y > doc.page.height - 120) {
+            doc.addPage();
+          }
+
+          doc.font('Helvetica').fontSize(10).text(`${role === 'tenant' ? 'Tenant' : 'Manager'}: ${signature?.name || ''}`, 50);
+          const top = doc.y + 5;
+
+          const image = signature?.type === 'drawn' ? parseSignatureImage(signature.image) : null;
+          if (image) {
+            doc.image(image.buffer, 50, top, { fit: [200, 50] });
+          } else if (signature?.type === 'typed') {
+            doc.font('Times-Italic').fontSize(20).text(signature.typedName, 50, top + 20, { width: 250 });
+            doc.font('Helvetica');
+          }
+
+          doc.strokeColor('#000000').lineWidth(0.5);
+          doc.moveTo(50, top + 55).lineTo(300, top + 55).stroke();
+          doc.fontSize(8).text(
+            signature ? `Signed electronically on ${formatDate(signature.signedAt, dateTimeFormat)}` : 'Not signed',
+            50,
+            top + 60
+          );
+          doc.moveDown(1.5);
+        });
+      };
+
+      drawSignatures('Move-In Inspection Sign-Off', data.moveInSignatures);
+      drawSignatures('Move-Out Inspection Sign-Off', data.moveOutSignatures);
+
+      drawFooter(doc, `Generated on ${formatDate(new Date(), dateFormat)} by LeaseLogix`);
+    }
+  },
+
+  owner_statement: {
+    name: 'Owner Statement',
+    description: 'Monthly statement of rent collected, expenses and management fees, and the net amount due to the owner.',
+    requiredFields: ['ownerName', 'period', 'currency', 'properties'],
+    optionalFields: ['periodStart', 'periodEnd', 'totals', 'excluded', 'disbursementStatus', 'generatedBy'],
+    generator: (doc, data, options = {}) => {
+      const dateFormat = { month: 'short', day: 'numeric', year: 'numeric' };
+      const amount = (value) => formatCurrency(value || 0, '').trim();
+      const totals = data.totals || {};
+
+      doc.fontSize(16).text('Owner Statement', { align: 'center' });
+      doc.moveDown();
+
+      doc.fontSize(11)
+        .text(`Owner: ${data.ownerName}`)
+        .text(`Period: ${data.periodStart ? formatDate(data.periodStart, dateFormat) : data.period} - ${data.periodEnd ? formatDate(data.periodEnd, dateFormat) : data.period}`)
+        .text(`Currency: ${data.currency}`)
+        .text(`Prepared By: ${data.generatedBy || options.userName || 'System'}`);
+      doc.moveDown(1);
+
+      // Summary by property
+      doc.fontSize(13).text('Summary', { underline: true });
+      doc.moveDown(0.5);
+
+      const drawSummaryHeaders = () => {
+        const yPos = doc.y;
+        doc.fillColor('#000000').fontSize(10)
+           .text('Property', 50, yPos, { width: 140, align: 'left' })
+           .text('Collected', 190, yPos, { width: 90, align: 'right' })
+           .text('Expenses', 280, yPos, { width: 90, align: 'right' })
+           .text('Mgmt Fee', 370, yPos, { width: 90, align: 'right' })
+           .text('Net', 460, yPos, { width: 90, align: 'right' });
+        doc.moveDown(0.5);
+        doc.strokeColor('#000000').lineWidth(0.5);
+        doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+        doc.moveDown(0.5);
+      };
+
+      const drawSummaryRow = (row, bold = false) => {
+        if (doc.y > doc.page.height - 90) {
+          doc.addPage();
+          drawSummaryHeaders();
+        }
+
+        const yPos = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+           .text(row.propertyName, 50, yPos, { width: 140, align: 'left' });
+        const rowBottom = doc.y;
+        doc.text(amount(row.rentCollected), 190, yPos, { width: 90, align: 'right' })
+           .text(amount(row.expenses), 280, yPos, { width: 90, align: 'right' })
+           .text(amount(row.managementFee), 370, yPos, { width: 90, align: 'right' })
+           .text(amount(row.netDue), 460, yPos, { width: 90, align: 'right' });
+        doc.y = Math.max(doc.y, rowBottom);
+        doc.font('Helvetica').moveDown(0.4);
+      };
+
+      drawSummaryHeaders();
+      data.properties.forEach(property => drawSummaryRow(property));
+      drawSummaryRow({ propertyName: 'Total', ...totals }, true);
+      doc.moveDown(1);
+
+      // Detail for each property
+      data.properties.forEach(property => {
+        if (doc.y > doc.page.height - 160) {
+          doc.addPage();
+        }
+
+        doc.fontSize(12).text(property.propertyName, 50, doc.y, { underline: true });
+        doc.fontSize(9).text(`Management fee: ${property.feeBasis || 'No management fee'}`);
+        doc.moveDown(0.5);
+
+        const sections = [
+          {
+            title: 'Rent Collected',
+            empty: 'No rent collected.',
+            items: (property.collections || []).map(item => ({
+              date: item.date,
+              text: [item.unitName, item.tenantName, item.billingPeriod].filter(Boolean).join(' - '),
+              amount: item.amount
+            }))
+          },
+          {
+            title: 'Expenses',
+            empty: 'No expenses.',
+            items: (property.expenseItems || []).map(item => ({
+              date: item.date,
+              text: `${(item.category || '').replace(/_/g, ' ')}: ${item.description}`,
+              amount: item.amount
+            }))
+          }
+        ];
+
+        sections.forEach(section => {
+          doc.fontSize(10).font('Helvetica-Bold').text(section.title, 50, doc.y);
+          doc.font('Helvetica');
+
+          if (section.items.length === 0) {
+            doc.fontSize(9).text(section.empty);
+          }
+
+          section.items.forEach(item => {
+            if (doc.y > doc.page.height - 90) {
+              doc.addPage();
+            }
+
+            const yPos = doc.y;
+            doc.fontSize(9)
+               .text(item.date ? formatDate(item.date, dateFormat) : '', 60, yPos, { width: 80, align: 'left' })
+               .text(item.text, 140, yPos, { width: 310, align: 'left' });
+            const rowBottom = doc.y;
+            doc.text(amount(item.amount), 450, yPos, { width: 100, align: 'right' });
+            doc.y = Math.max(doc.y, rowBottom);
+            doc.moveDown(0.2);
+          });
+          doc.moveDown(0.5);
+        });
+        doc.moveDown(0.5);
+      });
+
+      if ((data.excluded || []).length > 0) {
+        doc.fontSize(9).fillColor('#555555')
+          .text(`Not included (other currencies): ${data.excluded.map(item => `${item.count} ${item.source === 'rent' ? 'payment' : 'expense'}(s) totalling ${formatCurrency(item.amount, item.currency)}`).join('; ')}`, 50, doc.y);
+        doc.fillColor('#000000').moveDown(1);
+      }
+
+      // Amount due to the owner
+      doc.strokeColor('#cccccc').lineWidth(1);
+      doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+      doc.moveDown(0.5);
+      doc.fontSize(11)
+        .text(`Rent Collected: ${formatCurrency(totals.rentCollected || 0, data.currency)}`, 50, doc.y, { align: 'right', width: 500 })
+        .text(`Less Expenses: ${formatCurrency(totals.expenses || 0, data.currency)}`, { align: 'right', width: 500 })
+        .text(`Less Management Fees: ${formatCurrency(totals.managementFee || 0, data.currency)}`, { align: 'right', width: 500 });
+      doc.font('Helvetica-Bold')
+        .text(`Net Due to Owner: ${formatCurrency(totals.netDue || 0, data.currency)}`, { align: 'right', width: 500 });
+      doc.font('Helvetica');
+      if (data.disbursementStatus) {
+        doc.fontSize(10).text(`Disbursement: ${data.disbursementStatus.replace(/_/g, ' ')}`, { align: 'right', width: 500 });
+      }
+
+      drawFooter(doc, `Generated on ${formatDate(new Date(), dateFormat)} by LeaseLogix`);
+    }
+  },
+  lease_agreement: {
+    name: 'Lease Agreement',
+    description: 'The lease agreement, with clauses from a lease template when one is used, a block for each signer and, once signed electronically, a signature certificate page.',
+    requiredFields: ['tenantName', 'unitName', 'propertyName', 'leaseStartDate', 'leaseEndDate'],
+    optionalFields: ['leaseId', 'landlordName', 'monthlyRent', 'currency', 'paymentDueDate', 'securityDeposit', 'terms', 'title', 'preamble', 'sections', 'signers', 'certificate'],
+    generator: (doc, data, options = {}) => {
+      const dateFormat = { month: 'short', day: 'numeric', year: 'numeric' };
+      const dateTimeFormat = { ...dateFormat, hour: '2-digit', minute: '2-digit', second: '2-digit', timeZone: 'UTC', timeZoneName: 'short' };
+      const roleLabels = { tenant: 'Tenant', co_tenant: 'Co-Tenant', landlord: 'Landlord' };
+      const signers = data.signers || [];
+      const coTenants = signers.filter(signer => signer.role === 'co_tenant');
+
+      doc.fontSize(16).text(data.title || 'Residential Lease Agreement', { align: 'center' });
+      doc.moveDown();
+
+      doc.fontSize(11)
+        .text(`Property: ${data.propertyName}`)
+        .text(`Unit: ${data.unitName}`)
+        .text(`Landlord: ${data.landlordName || 'N/A'}`)
+        .text(`Tenant: ${data.tenantName}`);
+      if (coTenants.length > 0) {
+        doc.text(`Co-Tenants: ${coTenants.map(signer => signer.name).join(', ')}`);
+      }
+      if (data.leaseId) {
+        doc.text(`Lease Reference: ${data.leaseId}`);
+      }
+      doc.moveDown();
+
+      doc.fontSize(13).text('Terms', { underline: true });
+      doc.moveDown(0.5);
+      doc.fontSize(10)
+        .text(`Lease Term: ${formatDate(data.leaseStartDate)} to ${formatDate(data.leaseEndDate)}`)
+        .text(`Monthly Rent: ${formatCurrency(data.monthlyRent, data.currency)}`);
+      if (data.paymentDueDate) {
+        doc.text(`Rent Due: Day ${data.paymentDueDate} of each month`);
+      }
+      doc.text(`Security Deposit: ${formatCurrency(data.securityDeposit || 0, data.currency)}`);
+      doc.moveDown();
+
+      // Template clauses, already numbered and filled in; templates place lease.terms themselves
+      if (data.sections) {
+        if (data.preamble) {
+          doc.fontSize(10).text(data.preamble);
+          doc.moveDown();
+        }
+
+        data.sections.forEach(section => {
+          if (doc.y > doc.page.height - 120) {
+            doc.addPage();
+          }
+          doc.font('Helvetica-Bold').fontSize(11).text(section.title, 50);
+          doc.moveDown(0.3);
+          doc.font('Helvetica').fontSize(10).text(section.body, { align: 'justify' });
+          doc.moveDown();
+        });
+      } else if (data.terms) {
+        doc.fontSize(13).text('Additional Terms', { underline: true });
+        doc.moveDown(0.5);
+        doc.fontSize(10).text(data.terms);
+        doc.moveDown();
+      }
+
+      // One block per signer: the drawn image or typed name above the line
+      doc.moveDown(0.5);
+      doc.fontSize(13).text('Signatures', 50, doc.y, { underline: true });
+      doc.moveDown(0.5);
+
+      signers.forEach(signer => {
+        if (doc.y > doc.page.height - 170) {
+          doc.addPage();
+        }
+
+        const signature = signer.signature;
+        doc.font('Helvetica').fontSize(10).text(`${roleLabels[signer.role] || signer.role}: ${signer.name}`, 50);
+        const top = doc.y + 5;
+
+        const image = signature?.type === 'drawn' ? parseSignatureImage(signature.image) : null;
+        if (image) {
+          doc.image(image.buffer, 50, top, { fit: [200, 50] });
+        } else if (signature?.type === 'typed') {
+          doc.font('Times-Italic').fontSize(20).text(signature.typedName, 50, top + 20, { width: 250 });
+          doc.font('Helvetica');
+        }
+
+        doc.strokeColor('#000000').lineWidth(0.5);
+        doc.moveTo(50, top + 55).lineTo(300, top + 55).stroke();
+        doc.fontSize(8).text(
+          signature ? `Signed electronically on ${formatDate(signature.signedAt, dateTimeFormat)}` : 'Signature and date',
+          50,
+          top + 60
+        );
+        doc.moveDown(1.5);
+      });
+
+      // Certificate page: who signed, when and from where
+      if (data.certificate) {
+        const certificate = data.certificate;
+
+        doc.addPage();
+        doc.fontSize(16).text('Signature Certificate', { align: 'center' });
+        doc.moveDown();
+
+        doc.fontSize(10)
+          .text(`Signature Request: ${certificate.requestId}`)
+          .text(`Lease: ${data.leaseId || 'N/A'}`)
+          .text(`Completed: ${formatDate(certificate.completedAt, dateTimeFormat)}`)
+          .text(`Lease Terms Fingerprint (SHA-256): ${certificate.termsHash}`);
+        doc.moveDown();
+
+        doc.fontSize(9).fillColor('#555555')
+          .text('Each signer was emailed a personal signing link, in the order below, and signed after reviewing the lease terms identified by the fingerprint above. A SHA-256 hash of this PDF is stored when it is generated so any later change to the file can be detected.');
+        doc.fillColor('#000000').moveDown();
+
+        signers.forEach((signer, index) => {
+          if (doc.y > doc.page.height - 150) {
+            doc.addPage();
+          }
+
+          const signature = signer.signature || {};
+          doc.font('Helvetica-Bold').fontSize(10).text(`${index + 1}. ${signer.name} (${roleLabels[signer.role] || signer.role})`, 50);
+          doc.font('Helvetica').fontSize(9)
+            .text(`Email: ${signer.email}`)
+            .text(`Link Sent: ${formatDate(signer.sentAt, dateTimeFormat)}`)
+            .text(`Signed: ${formatDate(signature.signedAt, dateTimeFormat)}`)
+            .text(`Signature: ${signature.type === 'typed' ? `Typed name "${signature.typedName}"` : 'Drawn'}`)
+            .text(`IP Address: ${signature.ipAddress || 'Unknown'}`)
+            .text(`Device: ${signature.userAgent || 'Unknown'}`);
+          doc.moveDown(0.8);
+        });
+      }
+
+      drawFooter(doc, `Generated on ${formatDate(new Date(), dateFormat)} by LeaseLogix`);
+    }
   }
 };
 
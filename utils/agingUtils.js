@@ -0,0 +1,138 @@
+// src/utils/agingUtils.js
+
+const { roundCurrency } = require('./lateFeeUtils');
+const { sumTaxes } = require('./taxUtils');
+
+// Aging buckets by days past due; `max` is inclusive and null means open-ended
+const AGING_BUCKETS = [
+    { key: 'current', label: 'Current', min: null, max: 0 },
+    { key: 'days1To30', label: '1-30 Days', min: 1, max: 30 },
+    { key: 'days31To60', label: '31-60 Days', min: 31, max: 60 },
+    { key: 'days61To90', label: '61-90 Days', min: 61, max: 90 },
+    { key: 'days90Plus', label: '90+ Days', min: 91, max: null }
+];
+
+const AGING_GROUP_BY = ['tenant', 'unit', 'property'];
+
+/**
+ * Picks the aging bucket for a balance that is a number of days past due.
+ * Anything not yet past due (zero or negative days) is current.
+ * @param {number} daysPastDue - Days since the due date.
+ * @returns {string} Bucket key.
+ */
+const getAgingBucket = (daysPastDue) => {
+    const bucket = AGING_BUCKETS.find(b => (b.min === null || daysPastDue >= b.min) && (b.max === null || daysPastDue <= b.max));
+    return bucket.key;
+};
+
+/**
+ * What a tenant owed on a rent record at the end of a given day: rent and its recurring charges
+ * with tax (less tax withheld) plus late fees assessed by then, less payments dated on or before it. Waived late fees are
+ * treated as never owed.
+ * @param {object} rent - Rent record with amountDue, charges, taxes, lateFees and paymentHistory.
+ * @param {Date} [asOfDate=new Date()] - Date to calculate for.
+ * @returns {number} Outstanding balance (never negative).
+ */
+const calculateOutstandingAsOf = (rent, asOfDate = new Date()) => {
+    const cutoff = new Date(asOfDate);
+    cutoff.setHours(23, 59, 59, 999);
+
+    const lateFees = (rent.lateFees || [])
+        .filter(fee => fee.status !== 'waived' && (!fee.assessedAt || new Date(fee.assessedAt) <= cutoff))
+        .reduce((sum, fee) => sum + fee.amount, 0);
+
+    const charges = (rent.charges || []).reduce((sum, charge) => sum + charge.amount, 0);
+    const { taxTotal, withholdingTotal } = sumTaxes(rent.taxes);
+
+    const paid = (rent.paymentHistory || []).length > 0
+        ? rent.paymentHistory
+            .filter(payment => !payment.date || new Date(payment.date) <= cutoff)
+            .reduce((sum, payment) => sum + (payment.amount || 0), 0)
+        : (rent.amountPaid || 0);
+
+    return roundCurrency(Math.max((rent.amountDue || 0) + charges + taxTotal - withholdingTotal + lateFees - paid, 0));
+};
+
+/**
+ * Creates an empty row of bucket totals.
+ * @returns {object} Object with every bucket key and total set to 0.
+ */
+const emptyBuckets = () => AGING_BUCKETS.reduce((row, bucket) => ({ ...row, [bucket.key]: 0 }), { total: 0 });
+
+/**
+ * Groups outstanding balances into aging buckets per tenant, unit or property, with totals.
+ * Different currencies are never added together: each group and each total is per currency.
+ * @param {Array<object>} items - Balances: { tenant, unit, property, currency, balance, daysPastDue },
+ *   where tenant, unit and property are { id, name }.
+ * @param {string} [groupBy='tenant'] - 'tenant', 'unit' or 'property'.
+ * @returns {object} { rows, totals } - rows sorted by total owed, totals one per currency.
+ */
+const buildAgingReport = (items, groupBy = 'tenant') => {
+    if (!AGING_GROUP_BY.includes(groupBy)) {
+        throw new Error(`Invalid aging group: ${groupBy}. Must be one of: ${AGING_GROUP_BY.join(', ')}`);
+    }
+
+    const groups = new Map();
+    const totals = new Map();
+
+    for (const item of items) {
+        if (!item.balance || item.balance <= 0) {
+            continue;
+        }
+
+        const currency = item.currency || 'UGX';
+        const groupId = item[groupBy]?.id ? item[groupBy].id.toString() : 'unassigned';
+        const key = `${groupId}|${currency}`;
+
+        if (!groups.has(key)) {
+            groups.set(key, {
+                groupBy,
+                id: groupId === 'unassigned' ? null : groupId,
+                tenantNames: new Set(),
+                unitNames: new Set(),
+                propertyNames: new Set(),
+                currency,
+                recordCount: 0,
+                oldestDaysPastDue: 0,
+                ...emptyBuckets()
+            });
+        }
+        if (!totals.has(currency)) {
+            totals.set(currency, { currency, recordCount: 0, ...emptyBuckets() });
+        }
+
+        const group = groups.get(key);
+        const total = totals.get(currency);
+        const bucket = getAgingBucket(item.daysPastDue);
+
+        if (item.tenant?.name) group.tenantNames.add(item.tenant.name);
+        if (item.unit?.name) group.unitNames.add(item.unit.name);
+        if (item.property?.name) group.propertyNames.add(item.property.name);
+
+        for (const row of [group, total]) {
+            row[bucket] = roundCurrency(row[bucket] + item.balance);
+            row.total = roundCurrency(row.total + item.balance);
+            row.recordCount++;
+        }
+        group.oldestDaysPastDue = Math.max(group.oldestDaysPastDue, item.daysPastDue);
+    }
+
+    const rows = [...groups.values()]
+        .map(({ tenantNames, unitNames, propertyNames, ...row }) => ({
+            ...row,
+            tenantName: [...tenantNames].join(', ') || 'N/A',
+            unitName: [...unitNames].join(', ') || 'N/A',
+            propertyName: [...propertyNames].join(', ') || 'N/A'
+        }))
+        .sort((a, b) => b.total - a.total);
+
+    return { rows, totals: [...totals.values()] };
+};
+
+module.exports = {
+    AGING_BUCKETS,
+    AGING_GROUP_BY,
+    getAgingBucket,
+    calculateOutstandingAsOf,
+    buildAgingReport
+};
@@ -0,0 +1,186 @@
+// src/utils/billingPeriodUtils.js
+
+const { roundCurrency, daysBetween } = require('./lateFeeUtils');
+const { addDays } = require('./rentEscalationUtils');
+
+// Labels stored on Rent.billingPeriod, one format per RENT_BILLING_PERIOD_ENUM value:
+// monthly 2025-03, quarterly 2025-Q1, bi_annually 2025-H1, annually 2025,
+// weekly 2025-W09, bi_weekly 2025-W09-W10 (ISO weeks)
+const BILLING_PERIOD_LABEL_REGEX = /^\d{4}(-\d{2}|-Q[1-4]|-H[12]|-W\d{2}(-W\d{2})?)?$/;
+
+/**
+ * Checks that a string is a valid rent billing period label.
+ * @param {string} label - Billing period label.
+ * @returns {boolean} True if valid.
+ */
+const isValidBillingPeriodLabel = (label) => typeof label === 'string' && BILLING_PERIOD_LABEL_REGEX.test(label);
+
+const startOfDay = (date) => addDays(date, 0);
+
+/**
+ * Monday of the ISO week containing a date.
+ * @param {Date} date - Date.
+ * @returns {Date} Monday at midnight.
+ */
+const startOfIsoWeek = (date) => {
+    const day = startOfDay(date).getDay() || 7; // Sunday is 7 in ISO weeks
+    return addDays(date, 1 - day);
+};
+
+/**
+ * ISO 8601 week-numbering year and week of a date.
+ * @param {Date} date - Date.
+ * @returns {object} { year, week }
+ */
+const getIsoWeek = (date) => {
+    // The ISO year and week are those of the Thursday in the same week
+    const thursday = addDays(startOfIsoWeek(date), 3);
+    const firstThursday = addDays(startOfIsoWeek(new Date(thursday.getFullYear(), 0, 4)), 3);
+    return {
+        year: thursday.getFullYear(),
+        week: Math.round(daysBetween(firstThursday, thursday) / 7) + 1
+    };
+};
+
+const formatIsoWeek = ({ year, week }) => `${year}-W${String(week).padStart(2, '0')}`;
+
+/**
+ * Works out the billing period that contains a date.
+ * Monthly, quarterly, bi-annual and annual periods follow the calendar. Weekly periods are ISO
+ * weeks (Monday to Sunday); bi-weekly periods are pairs of ISO weeks counted from the week the
+ * anchor date (normally the schedule start) falls in.
+ * @param {string} billingPeriod - One of RENT_BILLING_PERIOD_ENUM.
+ * @param {Date} date - Any date in the period.
+ * @param {Date} [anchorDate] - Start of the bi-weekly cycle.
+ * @returns {object} { label, start, end } with end being the last day of the period.
+ * @throws {Error} If the billing period is unknown.
+ */
+const getBillingPeriod = (billingPeriod, date, anchorDate) => {
+    const day = startOfDay(date);
+    const year = day.getFullYear();
+    const month = day.getMonth();
+
+    switch (billingPeriod) {
+        case 'monthly':
+            return {
+                label: `${year}-${String(month + 1).padStart(2, '0')}`,
+                start: new Date(year, month, 1),
+                end: new Date(year, month + 1, 0)
+            };
+        case 'quarterly': {
+            const quarter = Math.floor(month / 3);
+            return {
+                label: `${year}-Q${quarter + 1}`,
+                start: new Date(year, quarter * 3, 1),
+                end: new Date(year, quarter * 3 + 3, 0)
+            };
+        }
+        case 'bi_annually': {
+            const half = month < 6 ? 0 : 1;
+            return {
+                label: `${year}-H${half + 1}`,
+                start: new Date(year, half * 6, 1),
+                end: new Date(year, half * 6 + 6, 0)
+            };
+        }
+        case 'annually':
+            return {
+                label: `${year}`,
+                start: new Date(year, 0, 1),
+                end: new Date(year, 11, 31)
+            };
+        case 'weekly': {
+            const start = startOfIsoWeek(day);
+            return {
+                label: formatIsoWeek(getIsoWeek(start)),
+                start,
+                end: addDays(start, 6)
+            };
+        }
+        case 'bi_weekly': {
+            const cycleStart = startOfIsoWeek(anchorDate || day);
+            const index = Math.floor(daysBetween(cycleStart, day) / 14);
+            const start = addDays(cycleStart, index * 14);
+            const secondWeek = getIsoWeek(addDays(start, 7));
+            return {
+                label: `${formatIsoWeek(getIsoWeek(start))}-W${String(secondWeek.week).padStart(2, '0')}`,
+                start,
+                end: addDays(start, 13)
+            };
+        }
+        default:
+            throw new Error(`Unknown billing period: ${billingPeriod}`);
+    }
+};
+
+/**
+ * Due date for a billing period. For calendar periods dueDateDay is the day of the period's
+ * first month (clamped to the month's length, so 31 means the last day of a short month).
+ * For weekly and bi-weekly periods dueDateDay is the ISO weekday of the first week (1 = Monday,
+ * 7 = Sunday); larger values wrap around.
+ * @param {string} billingPeriod - One of RENT_BILLING_PERIOD_ENUM.
+ * @param {object} period - Period from getBillingPeriod.
+ * @param {number} dueDateDay - Schedule's due date day.
+ * @returns {Date} Due date.
+ */
+const getPeriodDueDate = (billingPeriod, period, dueDateDay) => {
+    if (billingPeriod === 'weekly' || billingPeriod === 'bi_weekly') {
+        return addDays(period.start, ((dueDateDay - 1) % 7));
+    }
+
+    const year = period.start.getFullYear();
+    const month = period.start.getMonth();
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(dueDateDay, lastDay));
+};
+
+/**
+ * Prorates a period's rent by the days the lease actually covers. Periods the lease covers in
+ * full are charged the full amount.
+ * @param {number} amount - Full rent for the period.
+ * @param {object} period - Period from getBillingPeriod.
+ * @param {object} coverage - { start, end } dates the lease is in force (end may be null).
+ * @param {string} [currency='UGX'] - Currency for the calculation text.
+ * @returns {object} { amountDue, chargeStart, chargeEnd, proration: { applied, daysInPeriod, daysCharged, fullAmount, calculation } }
+ */
+const prorateForPeriod = (amount, period, coverage = {}, currency = 'UGX') => {
+    const chargeStart = coverage.start && startOfDay(coverage.start) > period.start ? startOfDay(coverage.start) : period.start;
+    const chargeEnd = coverage.end && startOfDay(coverage.end) < period.end ? startOfDay(coverage.end) : period.end;
+
+    const daysInPeriod = daysBetween(period.start, period.end) + 1;
+    const daysCharged = Math.max(daysBetween(chargeStart, chargeEnd) + 1, 0);
+
+    if (daysCharged >= daysInPeriod) {
+        return {
+            amountDue: roundCurrency(amount),
+            chargeStart,
+            chargeEnd,
+            proration: { applied: false, daysInPeriod, daysCharged: daysInPeriod, fullAmount: amount, calculation: null }
+        };
+    }
+
+    const amountDue = roundCurrency((amount * daysCharged) / daysInPeriod);
+
+    return {
+        amountDue,
+        chargeStart,
+        chargeEnd,
+        proration: {
+            applied: true,
+            daysInPeriod,
+            daysCharged,
+            fullAmount: amount,
+            calculation: `${currency} ${amount.toLocaleString()} × ${daysCharged}/${daysInPeriod} days (${chargeStart.toDateString()} - ${chargeEnd.toDateString()}) = ${currency} ${amountDue.toLocaleString()}`
+        }
+    };
+};
+
+module.exports = {
+    BILLING_PERIOD_LABEL_REGEX,
+    isValidBillingPeriodLabel,
+    startOfIsoWeek,
+    getIsoWeek,
+    getBillingPeriod,
+    getPeriodDueDate,
+    prorateForPeriod
+};
@@ -0,0 +1,124 @@
+// src/utils/budgetUtils.js
+
+const { roundCurrency } = require('./lateFeeUtils');
+
+/**
+ * First and last moment of a calendar (budget) year.
+ * @param {number} year - Year.
+ * @returns {object} { start, end }
+ */
+const getBudgetYearRange = (year) => ({
+    start: new Date(year, 0, 1),
+    end: new Date(year, 11, 31, 23, 59, 59, 999)
+});
+
+/**
+ * Percentage of a budget that has been spent, to one decimal place.
+ * @param {number} spent - Amount spent.
+ * @param {number} budget - Budget.
+ * @returns {number|null} Percentage, or null if there is no budget.
+ */
+const percentOfBudget = (spent, budget) => (budget > 0 ? Math.round((spent / budget) * 1000) / 10 : null);
+
+/**
+ * Compares a property's expenses for a year with its annual operating budget, month by month
+ * and by category. The budget is spread evenly across the months. Expenses in a currency other
+ * than the budget's are not counted; they are listed separately under `excluded`.
+ * @param {object} options - Options.
+ * @param {number} options.annualBudget - Annual operating budget.
+ * @param {Array<object>} options.expenses - Expenses for the year: { amount, currency, category, expenseDate }.
+ * @param {number} options.year - Budget year.
+ * @param {string} [options.currency='UGX'] - Budget currency.
+ * @returns {object} { year, currency, annualBudget, months, categories, totals, excluded }
+ */
+const buildBudgetVsActual = ({ annualBudget = 0, expenses = [], year, currency = 'UGX' }) => {
+    const monthlyActuals = new Array(12).fill(0);
+    const categories = new Map();
+    const excluded = new Map();
+
+    for (const expense of expenses) {
+        const expenseCurrency = expense.currency || 'UGX';
+        if (expenseCurrency !== currency) {
+            const other = excluded.get(expenseCurrency) || { currency: expenseCurrency, amount: 0, count: 0 };
+            other.amount = roundCurrency(other.amount + expense.amount);
+            other.count++;
+            excluded.set(expenseCurrency, other);
+            continue;
+        }
+
+        const month = new Date(expense.expenseDate).getMonth();
+        monthlyActuals[month] = roundCurrency(monthlyActuals[month] + expense.amount);
+        categories.set(expense.category, roundCurrency((categories.get(expense.category) || 0) + expense.amount));
+    }
+
+    let cumulativeActual = 0;
+    let previousCumulativeBudget = 0;
+    const months = monthlyActuals.map((actual, index) => {
+        // Spread the budget so the months add up to exactly the annual figure
+        const cumulativeBudget = roundCurrency(annualBudget * (index + 1) / 12);
+        const budget = roundCurrency(cumulativeBudget - previousCumulativeBudget);
+        previousCumulativeBudget = cumulativeBudget;
+        cumulativeActual = roundCurrency(cumulativeActual + actual);
+
+        return {
+            month: `${year}-${String(index + 1).padStart(2, '0')}`,
+            budget,
+            actual,
+            variance: roundCurrency(budget - actual),
+            cumulativeBudget,
+            cumulativeActual,
+            cumulativeVariance: roundCurrency(cumulativeBudget - cumulativeActual),
+            percentOfAnnualBudget: percentOfBudget(cumulativeActual, annualBudget)
+        };
+    });
+
+    return {
+        year,
+        currency,
+        annualBudget,
+        months,
+        categories: [...categories.entries()]
+            .map(([category, actual]) => ({
+                category,
+                actual,
+                percentOfActual: cumulativeActual > 0 ? Math.round((actual / cumulativeActual) * 1000) / 10 : 0,
+                percentOfAnnualBudget: percentOfBudget(actual, annualBudget)
+            }))
+            .sort((a, b) => b.actual - a.actual),
+        totals: {
+            budget: annualBudget,
+            actual: cumulativeActual,
+            variance: roundCurrency(annualBudget - cumulativeActual),
+            percentUsed: percentOfBudget(cumulativeActual, annualBudget)
+        },
+        excluded: [...excluded.values()]
+    };
+};
+
+/**
+ * Finds the budget thresholds that spending has reached for a year but that have not been alerted yet.
+ * @param {object} policy - Budget alert policy (see BudgetAlertPolicySchema).
+ * @param {object} spending - { year, spent, budget }.
+ * @returns {Array<number>} Newly crossed thresholds, lowest first.
+ */
+const getNewBudgetAlerts = (policy, { year, spent, budget }) => {
+    if (!policy?.enabled || !(budget > 0)) {
+        return [];
+    }
+
+    const percentUsed = (spent / budget) * 100;
+    const alreadySent = new Set((policy.sent || [])
+        .filter(alert => alert.year === year)
+        .map(alert => alert.threshold));
+
+    return [...new Set(policy.thresholds || [])]
+        .filter(threshold => percentUsed >= threshold && !alreadySent.has(threshold))
+        .sort((a, b) => a - b);
+};
+
+module.exports = {
+    getBudgetYearRange,
+    percentOfBudget,
+    buildBudgetVsActual,
+    getNewBudgetAlerts
+};
@@ -49,8 +49,80 @@ const FREQUENCY_TYPE_ENUM = [
 
 // --- Lease & Rent Enums ---
 const LEASE_STATUS_ENUM = ['active', 'expired', 'pending_renewal', 'terminated', 'draft'];
+// 'countered' offers wait on the manager; 'sent' offers wait on the tenant
+const RENEWAL_OFFER_STATUS_ENUM = ['draft', 'sent', 'countered', 'accepted', 'declined', 'withdrawn', 'expired'];
+const RENEWAL_RESPONSE_ACTION_ENUM = ['accept', 'counter', 'decline'];
+// A lease is 'signed' once every signer on its latest signature request has signed
+const LEASE_SIGNATURE_STATUS_ENUM = ['unsigned', 'pending', 'signed'];
+const SIGNATURE_REQUEST_STATUS_ENUM = ['pending', 'completed', 'voided', 'expired'];
+const SIGNER_ROLE_ENUM = ['tenant', 'co_tenant', 'landlord'];
+// Signers are sent their link in order: 'waiting' signers have not been sent one yet
+const SIGNER_STATUS_ENUM = ['waiting', 'sent', 'signed'];
+const SIGNATURE_TYPE_ENUM = ['typed', 'drawn'];
+const LEASE_CLAUSE_CATEGORY_ENUM = [
+  'pets', 'subletting', 'utilities', 'early_termination', 'maintenance', 'deposit', 'rent', 'general'
+];
+// How a clause condition compares a merge field with its value; 'exists' checks the field has a value
+const CLAUSE_CONDITION_OPERATOR_ENUM = [
+  'exists', 'not_exists', 'equals', 'not_equals', 'greater_than', 'less_than', 'in', 'contains'
+];
 const PAYMENT_STATUS_ENUM = ['due', 'paid', 'overdue', 'partially_paid', 'waived'];
 const RENT_BILLING_PERIOD_ENUM = ['monthly', 'quarterly', 'bi_annually', 'annually', 'bi_weekly', 'weekly'];
+const LATE_FEE_TYPE_ENUM = ['flat', 'percentage'];
+const LATE_FEE_STATUS_ENUM = ['active', 'waived'];
+const RENT_ESCALATION_TYPE_ENUM = ['percentage', 'fixed'];
+// 'formal_notice' is a PDF demand letter sent by every channel
+const DUNNING_CHANNEL_ENUM = ['sms', 'email', 'formal_notice'];
+const DUNNING_STATUS_ENUM = ['active', 'resolved'];
+const PAYMENT_ALLOCATION_STRATEGY_ENUM = ['oldest_first', 'explicit'];
+const MOBILE_MONEY_PROVIDER_ENUM = ['mtn', 'airtel', 'simulator'];
+const PAYMENT_TRANSACTION_STATUS_ENUM = ['pending', 'successful', 'failed'];
+const STATEMENT_FORMAT_ENUM = ['csv', 'ofx'];
+const STATEMENT_LINE_STATUS_ENUM = ['matched', 'ambiguous', 'unmatched', 'confirmed', 'ignored', 'duplicate'];
+const SECURITY_DEPOSIT_STATUS_ENUM = ['pending', 'partially_received', 'held', 'disposition_issued', 'refunded', 'forfeited'];
+const INVOICE_TYPE_ENUM = ['invoice', 'credit_note'];
+// 'pending' is an issued (numbered) invoice that has not been sent yet
+const INVOICE_STATUS_ENUM = ['draft', 'pending', 'sent', 'partially_paid', 'paid', 'credited', 'void'];
+const INVOICE_LINE_CATEGORY_ENUM = [
+  'rent', 'late_fee', 'utility', 'service_charge', 'parking', 'garbage_collection', 'repair', 'deposit', 'other'
+];
+// Recurring charges billed with the rent; each is also an invoice line category
+const LEASE_CHARGE_CATEGORY_ENUM = ['service_charge', 'parking', 'garbage_collection', 'utility', 'other'];
+const BILL_STATUS_ENUM = ['pending', 'partially_paid', 'paid', 'void'];
+const EXPENSE_CATEGORY_ENUM = [
+  'repairs_maintenance', 'utilities', 'insurance', 'property_tax', 'management_fees', 'cleaning',
+  'landscaping', 'security', 'supplies', 'professional_fees', 'advertising', 'capital_improvement', 'other'
+];
+const EXPENSE_STATUS_ENUM = ['recorded', 'void'];
+const MANAGEMENT_FEE_TYPE_ENUM = ['percentage', 'flat_per_unit'];
+// 'not_required' is a statement with nothing due to the owner (expenses and fees exceeded collections)
+const DISBURSEMENT_STATUS_ENUM = ['pending', 'on_hold', 'paid', 'not_required'];
+// Numbered documents with their own per-property sequence
+const DOCUMENT_SEQUENCE_TYPE_ENUM = ['invoice', 'credit_note', 'receipt'];
+const UTILITY_TYPE_ENUM = ['water', 'electricity', 'gas'];
+// 'flagged' readings went backwards or spiked and are held back from billing until reviewed
+const METER_READING_STATUS_ENUM = ['recorded', 'flagged', 'billed', 'void'];
+const METER_ANOMALY_TYPE_ENUM = ['rollback', 'spike'];
+// 'vat' is added to what the tenant owes; 'withholding' is deducted by the tenant and paid to the tax authority
+const TAX_TYPE_ENUM = ['vat', 'withholding'];
+const DEPOSIT_DEDUCTION_CATEGORY_ENUM = [
+  'damage', 'cleaning', 'unpaid_rent', 'unpaid_utilities', 'key_replacement', 'other'
+];
+const INSPECTION_TYPE_ENUM = ['move_in', 'move_out'];
+// 'completed' inspections have every item rated and the checklist locked; 'signed' once tenant and manager both sign
+const INSPECTION_STATUS_ENUM = ['in_progress', 'completed', 'signed'];
+// Best to worst; 'not_applicable' items are left out of move-in vs move-out comparisons
+const INSPECTION_CONDITION_ENUM = ['excellent', 'good', 'fair', 'poor', 'damaged', 'missing', 'not_applicable'];
+const INSPECTION_SIGNER_ROLE_ENUM = ['tenant', 'manager'];
+const LEDGER_ENTRY_TYPE_ENUM = [
+  'rent_charge', 'late_fee', 'late_fee_waiver', 'rent_waiver', 'payment',
+  'overpayment', 'deposit_held', 'deposit_deduction', 'deposit_refund', 'recurring_charge',
+  'utility_charge', 'tax_charge', 'tax_withheld'
+];
+const LEDGER_ACCOUNT_ENUM = [
+  'tenant_receivable', 'rent_income', 'late_fee_income', 'cash', 'security_deposit',
+  'deposit_deductions', 'charge_income', 'tax_payable', 'withholding_tax_receivable'
+];
 
 // --- Communication & Invite Enums ---
 const MESSAGE_CATEGORY_ENUM = ['general', 'maintenance', 'billing', 'onboarding', 'urgent'];
@@ -60,17 +132,22 @@ const NOTIFICATION_TYPE_ENUM = [
   'invite_received', 'task_completed', 'task_verified', 'property_added', 'unit_added',
   'payment_reminder', 'document_shared', 'user_deactivated', 'lease_expiry',
   'rent_due', 'rent_overdue', 'new_message', 'onboarding_task', 'user_approval_request',
-  'general_alert', 'property_update', 'unit_update'
+  'general_alert', 'property_update', 'unit_update', 'rent_escalation', 'invoice_sent',
+  'payment_receipt', 'dunning_notice', 'dunning_escalation', 'budget_alert', 'lease_renewal',
+  'lease_signature', 'inspection'
 ];
 const INVITE_STATUS_ENUM = ['pending', 'accepted', 'expired', 'revoked'];
 
 // --- Document, Media, & Onboarding Enums ---
 const MEDIA_RELATED_TO_ENUM = [
   'Property', 'Request', 'User', 'Unit', 'Vendor', 'ScheduledMaintenance', 'Lease',
-  'Rent', 'Comment', 'Onboarding', 'Bill', 'Invoice'
+  'Rent', 'Comment', 'Onboarding', 'Bill', 'Invoice', 'Expense', 'OwnerStatement', 'MeterReading',
+  'Inspection'
 ];
 const DOCUMENT_TYPE_ENUM = [
-  'lease_agreement', 'rent_invoice', 'maintenance_report', 'lease_notice', 'rent_report'
+  'lease_agreement', 'rent_invoice', 'maintenance_report', 'lease_notice', 'rent_report',
+  'statement_of_account', 'deposit_disposition', 'payment_receipt',
+  'dunning_notice', 'owner_statement', 'inspection_comparison'
 ];
 const ONBOARDING_CATEGORY_ENUM = [
     'SOP', 'Training', 'Welcome Guide', 'Maintenance', 'Emergency Info', 'Other', 'Forms'
@@ -175,17 +252,127 @@ const AUDIT_ACTION_ENUM = {
     INVOICE_UPDATED: 'INVOICE_UPDATED',
     INVOICE_SENT: 'INVOICE_SENT',
     INVOICE_PAID: 'INVOICE_PAID',
+    INVOICE_ISSUED: 'INVOICE_ISSUED',
+    INVOICE_VOIDED: 'INVOICE_VOIDED',
+    CREDIT_NOTE_ISSUED: 'CREDIT_NOTE_ISSUED',
+    BILL_VOIDED: 'BILL_VOIDED',
+    RECEIPT_ISSUED: 'RECEIPT_ISSUED',
+    EXPENSE_CREATED: 'EXPENSE_CREATED',
+    EXPENSE_UPDATED: 'EXPENSE_UPDATED',
+    EXPENSE_VOIDED: 'EXPENSE_VOIDED',
+    BUDGET_ALERT_SENT: 'BUDGET_ALERT_SENT',
+    BUDGET_ALERT_POLICY_UPDATED: 'BUDGET_ALERT_POLICY_UPDATED',
+    MANAGEMENT_FEE_UPDATED: 'MANAGEMENT_FEE_UPDATED',
+    OWNER_STATEMENT_GENERATED: 'OWNER_STATEMENT_GENERATED',
+    OWNER_DISBURSEMENT_UPDATED: 'OWNER_DISBURSEMENT_UPDATED',
     FETCH_ALL_RENTS: 'FETCH_ALL_RENTS',
     FETCH_ALL_LEASES: 'FETCH_ALL_LEASES',
+
+    // Job Scheduler Actions
+    JOB_TRIGGERED: 'JOB_TRIGGERED',
+    JOB_PAUSED: 'JOB_PAUSED',
+    JOB_RESUMED: 'JOB_RESUMED',
+
+    // Late Fee Actions
+    LATE_FEE_APPLIED: 'LATE_FEE_APPLIED',
+    LATE_FEE_WAIVED: 'LATE_FEE_WAIVED',
+    LATE_FEE_POLICY_UPDATED: 'LATE_FEE_POLICY_UPDATED',
+
+    // Report Actions
+    GENERATE_REPORT: 'GENERATE_REPORT',
+    EXPORT_REPORT: 'EXPORT_REPORT',
+
+    // Dunning Actions
+    DUNNING_STEP_SENT: 'DUNNING_STEP_SENT',
+    DUNNING_RESOLVED: 'DUNNING_RESOLVED',
+    DUNNING_POLICY_UPDATED: 'DUNNING_POLICY_UPDATED',
+
+    // Payment Allocation Actions
+    PAYMENT_ALLOCATED: 'PAYMENT_ALLOCATED',
+    CREDIT_APPLIED: 'CREDIT_APPLIED',
+
+    // Mobile Money Actions
+    MOBILE_MONEY_REQUESTED: 'MOBILE_MONEY_REQUESTED',
+    MOBILE_MONEY_CALLBACK_RECEIVED: 'MOBILE_MONEY_CALLBACK_RECEIVED',
+
+    // Bank Reconciliation Actions
+    STATEMENT_IMPORTED: 'STATEMENT_IMPORTED',
+    STATEMENT_LINE_CONFIRMED: 'STATEMENT_LINE_CONFIRMED',
+    STATEMENT_LINE_IGNORED: 'STATEMENT_LINE_IGNORED',
+
+    // Rent Escalation Actions
+    RENT_ESCALATION_RULE_UPDATED: 'RENT_ESCALATION_RULE_UPDATED',
+    RENT_ESCALATION_NOTICE_SENT: 'RENT_ESCALATION_NOTICE_SENT',
+    RENT_ESCALATED: 'RENT_ESCALATED',
+
+    // Security Deposit Actions
+    DEPOSIT_RECEIVED: 'DEPOSIT_RECEIVED',
+    DEPOSIT_DEDUCTION_ADDED: 'DEPOSIT_DEDUCTION_ADDED',
+    DEPOSIT_DEDUCTION_REMOVED: 'DEPOSIT_DEDUCTION_REMOVED',
+    DEPOSIT_DISPOSITION_ISSUED: 'DEPOSIT_DISPOSITION_ISSUED',
+    DEPOSIT_REFUNDED: 'DEPOSIT_REFUNDED',
+
+    // Recurring Lease Charge Actions
+    LEASE_CHARGE_ADDED: 'LEASE_CHARGE_ADDED',
+    LEASE_CHARGE_UPDATED: 'LEASE_CHARGE_UPDATED',
+    LEASE_CHARGE_ENDED: 'LEASE_CHARGE_ENDED',
+
+    // Utility Metering Actions
+    METER_REGISTERED: 'METER_REGISTERED',
+    METER_UPDATED: 'METER_UPDATED',
+    METER_READING_RECORDED: 'METER_READING_RECORDED',
+    METER_READING_REVIEWED: 'METER_READING_REVIEWED',
+    UTILITY_TARIFF_CREATED: 'UTILITY_TARIFF_CREATED',
+    UTILITY_TARIFF_UPDATED: 'UTILITY_TARIFF_UPDATED',
+
+    // Tax Actions
+    TAX_RULES_UPDATED: 'TAX_RULES_UPDATED',
+
+    // Lease Renewal Actions
+    LEASE_RENEWAL_OFFER_CREATED: 'LEASE_RENEWAL_OFFER_CREATED',
+    LEASE_RENEWAL_OFFER_UPDATED: 'LEASE_RENEWAL_OFFER_UPDATED',
+    LEASE_RENEWAL_OFFER_SENT: 'LEASE_RENEWAL_OFFER_SENT',
+    LEASE_RENEWAL_OFFER_RESPONDED: 'LEASE_RENEWAL_OFFER_RESPONDED',
+    LEASE_RENEWAL_OFFER_WITHDRAWN: 'LEASE_RENEWAL_OFFER_WITHDRAWN',
+    LEASE_RENEWED: 'LEASE_RENEWED',
+
+    // Lease Signature Actions
+    LEASE_SIGNATURE_REQUESTED: 'LEASE_SIGNATURE_REQUESTED',
+    LEASE_SIGNED: 'LEASE_SIGNED',
+    LEASE_SIGNATURE_COMPLETED: 'LEASE_SIGNATURE_COMPLETED',
+    LEASE_SIGNATURE_VOIDED: 'LEASE_SIGNATURE_VOIDED',
+
+    // Lease Template Actions
+    LEASE_CLAUSE_CREATED: 'LEASE_CLAUSE_CREATED',
+    LEASE_CLAUSE_UPDATED: 'LEASE_CLAUSE_UPDATED',
+    LEASE_TEMPLATE_CREATED: 'LEASE_TEMPLATE_CREATED',
+    LEASE_TEMPLATE_VERSIONED: 'LEASE_TEMPLATE_VERSIONED',
+    LEASE_TEMPLATE_ARCHIVED: 'LEASE_TEMPLATE_ARCHIVED',
+
+    // Lease Lifecycle Actions
+    LEASE_STATUS_TRANSITIONED: 'LEASE_STATUS_TRANSITIONED',
+
+    // Inspection Actions
+    INSPECTION_CREATED: 'INSPECTION_CREATED',
+    INSPECTION_UPDATED: 'INSPECTION_UPDATED',
+    INSPECTION_COMPLETED: 'INSPECTION_COMPLETED',
+    INSPECTION_SIGNED: 'INSPECTION_SIGNED',
+    INSPECTION_COMPARISON_GENERATED: 'INSPECTION_COMPARISON_GENERATED',
 };
 
 const AUDIT_RESOURCE_TYPE_ENUM = [
   'User', 'Property', 'Unit', 'Request', 'ScheduledMaintenance',
   'Vendor', 'Invite', 'Media', 'Comment', 'Bill', 'Invoice',
-  'Lease', 'Rent', 'Message', 'Notification', 'Onboarding', 'PropertyUser', 'System'
+  'Lease', 'Rent', 'Message', 'Notification', 'Onboarding', 'PropertyUser', 'Expense',
+  'OwnerStatement', 'Meter', 'LeaseRenewalOffer', 'LeaseSignatureRequest', 'LeaseTemplate', 'LeaseClause',
+  'Inspection', 'System'
 ];
 const AUDIT_STATUS_ENUM = ['success', 'failure'];
 
+// --- Job Scheduler Enums ---
+const JOB_RUN_STATUS_ENUM = ['running', 'success', 'partial', 'failed', 'skipped'];
+const JOB_TRIGGER_ENUM = ['schedule', 'manual'];
+
 
 module.exports = {
   SERVICE_ENUM,
@@ -203,6 +390,15 @@ module.exports = {
   REQUEST_STATUS_ENUM,
   PAYMENT_STATUS_ENUM,
   LEASE_STATUS_ENUM,
+  RENEWAL_OFFER_STATUS_ENUM,
+  RENEWAL_RESPONSE_ACTION_ENUM,
+  LEASE_SIGNATURE_STATUS_ENUM,
+  SIGNATURE_REQUEST_STATUS_ENUM,
+  SIGNER_ROLE_ENUM,
+  SIGNER_STATUS_ENUM,
+  SIGNATURE_TYPE_ENUM,
+  LEASE_CLAUSE_CATEGORY_ENUM,
+  CLAUSE_CONDITION_OPERATOR_ENUM,
   MESSAGE_CATEGORY_ENUM,
   NOTIFICATION_TYPE_ENUM,
   MEDIA_RELATED_TO_ENUM,
@@ -212,7 +408,41 @@ module.exports = {
   AUDIT_ACTION_ENUM,
   AUDIT_RESOURCE_TYPE_ENUM,
   AUDIT_STATUS_ENUM,
+  JOB_RUN_STATUS_ENUM,
+  JOB_TRIGGER_ENUM,
   RENT_BILLING_PERIOD_ENUM,
+  LATE_FEE_TYPE_ENUM,
+  LATE_FEE_STATUS_ENUM,
+  RENT_ESCALATION_TYPE_ENUM,
+  DUNNING_CHANNEL_ENUM,
+  DUNNING_STATUS_ENUM,
+  PAYMENT_ALLOCATION_STRATEGY_ENUM,
+  MOBILE_MONEY_PROVIDER_ENUM,
+  PAYMENT_TRANSACTION_STATUS_ENUM,
+  STATEMENT_FORMAT_ENUM,
+  STATEMENT_LINE_STATUS_ENUM,
+  INVOICE_TYPE_ENUM,
+  INVOICE_STATUS_ENUM,
+  INVOICE_LINE_CATEGORY_ENUM,
+  LEASE_CHARGE_CATEGORY_ENUM,
+  BILL_STATUS_ENUM,
+  EXPENSE_CATEGORY_ENUM,
+  EXPENSE_STATUS_ENUM,
+  MANAGEMENT_FEE_TYPE_ENUM,
+  DISBURSEMENT_STATUS_ENUM,
+  DOCUMENT_SEQUENCE_TYPE_ENUM,
+  SECURITY_DEPOSIT_STATUS_ENUM,
+  DEPOSIT_DEDUCTION_CATEGORY_ENUM,
+  INSPECTION_TYPE_ENUM,
+  INSPECTION_STATUS_ENUM,
+  INSPECTION_CONDITION_ENUM,
+  INSPECTION_SIGNER_ROLE_ENUM,
+  UTILITY_TYPE_ENUM,
+  METER_READING_STATUS_ENUM,
+  METER_ANOMALY_TYPE_ENUM,
+  TAX_TYPE_ENUM,
+  LEDGER_ENTRY_TYPE_ENUM,
+  LEDGER_ACCOUNT_ENUM,
   DOCUMENT_TYPE_ENUM,
   ONBOARDING_CATEGORY_ENUM,
   ONBOARDING_VISIBILITY_ENUM,
@@ -0,0 +1,116 @@
+// src/utils/dunningUtils.js
+
+const { daysBetween } = require('./lateFeeUtils');
+
+/**
+ * Orders dunning steps by how overdue the rent must be. Policies are saved in this order,
+ * so a step's position is its index in the history kept on each rent record.
+ * @param {Array<object>} [steps=[]] - Dunning steps.
+ * @returns {Array<object>} Sorted copy of the steps.
+ */
+const sortDunningSteps = (steps = []) => [...steps].sort((a, b) => a.daysOverdue - b.daysOverdue);
+
+/**
+ * Whole days a rent record is past its due date (0 if not yet due).
+ * @param {object} rent - Object with dueDate.
+ * @param {Date} [asOfDate=new Date()] - Date to calculate for.
+ * @returns {number} Days overdue.
+ */
+const getDaysOverdue = (rent, asOfDate = new Date()) => {
+    if (!rent?.dueDate) {
+        return 0;
+    }
+    return Math.max(daysBetween(rent.dueDate, asOfDate), 0);
+};
+
+/**
+ * Index of the furthest step already sent for a rent record, or -1 if none.
+ * @param {object} [dunning] - The rent record's dunning state.
+ * @returns {number} Step index.
+ */
+const getLastSentStepIndex = (dunning) => (dunning?.history || [])
+    .reduce((max, entry) => Math.max(max, entry.stepIndex ?? -1), -1);
+
+/**
+ * Works out which dunning step to send next. When several steps have come due at once
+ * (e.g. the sequence was only just switched on) only the furthest one is sent; the earlier
+ * ones are reported as skipped so a tenant never gets a burst of messages in one run.
+ * @param {object} policy - Dunning policy (see DunningPolicySchema).
+ * @param {object} rent - Rent record with dueDate and dunning.
+ * @param {Date} [asOfDate=new Date()] - Date to plan for.
+ * @returns {object|null} { stepIndex, step, daysOverdue, skipped } or null if nothing is due.
+ */
+const planDunningStep = (policy, rent, asOfDate = new Date()) => {
+    if (!policy?.enabled || !policy.steps?.length || rent?.dunning?.status === 'resolved') {
+        return null;
+    }
+
+    const daysOverdue = getDaysOverdue(rent, asOfDate);
+    const lastSent = getLastSentStepIndex(rent.dunning);
+
+    const dueIndexes = [];
+    policy.steps.forEach((step, index) => {
+        if (index > lastSent && step.daysOverdue <= daysOverdue) {
+            dueIndexes.push(index);
+        }
+    });
+
+    if (dueIndexes.length === 0) {
+        return null;
+    }
+
+    const stepIndex = dueIndexes[dueIndexes.length - 1];
+    return {
+        stepIndex,
+        step: policy.steps[stepIndex],
+        daysOverdue,
+        skipped: dueIndexes.slice(0, -1)
+    };
+};
+
+/**
+ * Describes where a rent record sits in its property's dunning sequence.
+ * @param {object} policy - Dunning policy, or null if the property has none.
+ * @param {object} rent - Rent record with dueDate and dunning.
+ * @param {Date} [asOfDate=new Date()] - Date to describe the position on.
+ * @returns {object} { status, daysOverdue, stepsSent, totalSteps, lastStep, lastSentAt, nextStep, nextStepDate }
+ */
+const getDunningPosition = (policy, rent, asOfDate = new Date()) => {
+    const steps = policy?.enabled ? (policy.steps || []) : [];
+    const history = rent?.dunning?.history || [];
+    const lastSent = getLastSentStepIndex(rent?.dunning);
+    const lastEntry = history.length > 0 ? history[history.length - 1] : null;
+
+    let status = rent?.dunning?.status || 'not_started';
+    if (status === 'not_started' && steps.length === 0) {
+        status = 'no_policy';
+    } else if (status === 'active' && lastSent >= steps.length - 1) {
+        status = 'completed';
+    }
+
+    const nextStep = status === 'resolved' ? null : (steps[lastSent + 1] || null);
+    let nextStepDate = null;
+    if (nextStep && rent?.dueDate) {
+        nextStepDate = new Date(rent.dueDate);
+        nextStepDate.setDate(nextStepDate.getDate() + nextStep.daysOverdue);
+    }
+
+    return {
+        status,
+        daysOverdue: getDaysOverdue(rent, asOfDate),
+        stepsSent: history.length,
+        totalSteps: steps.length,
+        lastStep: lastEntry ? lastEntry.name : null,
+        lastSentAt: lastEntry ? lastEntry.sentAt : null,
+        nextStep: nextStep ? nextStep.name : null,
+        nextStepDate
+    };
+};
+
+module.exports = {
+    sortDunningSteps,
+    getDaysOverdue,
+    getLastSentStepIndex,
+    planDunningStep,
+    getDunningPosition
+};
@@ -182,6 +182,634 @@ The ${appName} Team`;
     return { subject, text, html };
 };
 
+/**
+ * Generates the HTML and plain text for a rent increase notice email.
+ * @param {object} options - Options for the email.
+ * @param {string} options.tenantName - The tenant's name.
+ * @param {string} options.propertyName - The name of the property.
+ * @param {string} options.unitNumber - The unit number.
+ * @param {number} options.currentAmount - The current rent amount.
+ * @param {number} options.newAmount - The rent amount from the effective date.
+ * @param {string} [options.currency='UGX'] - The rent currency.
+ * @param {string} options.billingPeriod - How often rent is billed (e.g., "monthly").
+ * @param {Date} options.effectiveDate - The date the new rent takes effect.
+ * @param {string} options.leaseLink - Link to the lease details on the frontend.
+ * @param {string} [options.appName=process.env.APP_NAME || 'Fix it by Threalty'] - The application name.
+ * @returns {{subject: string, text: string, html: string}} Email content.
+ */
+const generateRentEscalationNoticeEmail = ({
+    tenantName,
+    propertyName,
+    unitNumber,
+    currentAmount,
+    newAmount,
+    currency = 'UGX',
+    billingPeriod,
+    effectiveDate,
+    leaseLink,
+    appName = process.env.APP_NAME || 'Fix it by Threalty',
+}) => {
+    const formattedEffectiveDate = effectiveDate.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    const subject = `Notice of Rent Increase: ${propertyName} - Unit ${unitNumber}`;
+
+    const text = `Dear ${tenantName},
+
+In line with the rent escalation terms of your lease for ${propertyName}, Unit ${unitNumber}, your ${billingPeriod} rent will change from ${currentAmount.toLocaleString()} ${currency} to ${newAmount.toLocaleString()} ${currency} with effect from ${formattedEffectiveDate}.
+
+Rent billed before that date is not affected. Please contact your landlord or property manager if you have any questions.
+
+View your lease details here:
+${leaseLink}
+
+Best regards,
+The ${appName} Team`;
+
+    const html = `
+        <p>Dear ${tenantName},</p>
+        <p>In line with the rent escalation terms of your lease for <strong>${propertyName}</strong>, Unit <strong>${unitNumber}</strong>, your ${billingPeriod} rent will change from <strong>${currentAmount.toLocaleString()} ${currency}</strong> to <strong>${newAmount.toLocaleString()} ${currency}</strong> with effect from <strong>${formattedEffectiveDate}</strong>.</p>
+        <p>Rent billed before that date is not affected. Please contact your landlord or property manager if you have any questions.</p>
+        <p>View your lease details here: <a href="${leaseLink}">${leaseLink}</a></p>
+        <p>Best regards,<br/>The ${appName} Team</p>
+    `;
+    return { subject, text, html };
+};
+
+/**
+ * Generates the HTML and plain text for an invoice or credit note email.
+ * @param {object} options - Options for the email.
+ * @param {string} options.tenantName - The tenant's name.
+ * @param {string} options.propertyName - The name of the property.
+ * @param {string} [options.unitNumber] - The unit number.
+ * @param {string} options.invoiceNumber - The invoice or credit note number.
+ * @param {boolean} [options.isCreditNote=false] - Whether the document is a credit note.
+ * @param {number} options.amount - The document total.
+ * @param {number} options.balance - The amount still owed on the invoice.
+ * @param {string} [options.currency='UGX'] - The currency.
+ * @param {Date} options.dueDate - The payment due date.
+ * @param {string} options.documentLink - Link to the PDF.
+ * @param {string} [options.appName=process.env.APP_NAME || 'Fix it by Threalty'] - The application name.
+ * @returns {{subject: string, text: string, html: string}} Email content.
+ */
+const generateInvoiceEmail = ({
+    tenantName,
+    propertyName,
+    unitNumber,
+    invoiceNumber,
+    isCreditNote = false,
+    amount,
+    balance,
+    currency = 'UGX',
+    dueDate,
+    documentLink,
+    appName = process.env.APP_NAME || 'Fix it by Threalty',
+}) => {
+    const label = isCreditNote ? 'Credit Note' : 'Invoice';
+    const location = unitNumber ? `${propertyName} - Unit ${unitNumber}` : propertyName;
+    const formattedDueDate = new Date(dueDate).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    const subject = `${label} ${invoiceNumber}: ${location}`;
+    const summary = isCreditNote
+        ? `A credit of ${amount.toLocaleString()} ${currency} has been issued to your account.`
+        : `The amount due is ${balance.toLocaleString()} ${currency}, payable by ${formattedDueDate}.`;
+
+    const text = `Dear ${tenantName},
+
+Please find ${label.toLowerCase()} ${invoiceNumber} for ${location}.
+${summary}
+
+Download it here:
+${documentLink}
+
+Best regards,
+The ${appName} Team`;
+
+    const html = `
+        <p>Dear ${tenantName},</p>
+        <p>Please find ${label.toLowerCase()} <strong>${invoiceNumber}</strong> for <strong>${location}</strong>.</p>
+        <p>${summary}</p>
+        <p>Download it here: <a href="${documentLink}">${documentLink}</a></p>
+        <p>Best regards,<br/>The ${appName} Team</p>
+    `;
+    return { subject, text, html };
+};
+
+/**
+ * Generates the HTML and plain text for a rent payment receipt email.
+ * @param {object} options - Options for the email.
+ * @param {string} options.tenantName - The tenant's name.
+ * @param {string} options.propertyName - The name of the property.
+ * @param {string} [options.unitNumber] - The unit number.
+ * @param {string} options.receiptNumber - The receipt number.
+ * @param {number} options.amount - The amount paid.
+ * @param {number} options.balance - What is still owed for the period.
+ * @param {string} [options.currency='UGX'] - The currency.
+ * @param {string} options.billingPeriod - The billing period paid for.
+ * @param {Date} options.paymentDate - The payment date.
+ * @param {string} options.documentLink - Link to the PDF.
+ * @param {string} [options.appName=process.env.APP_NAME || 'Fix it by Threalty'] - The application name.
+ * @returns {{subject: string, text: string, html: string}} Email content.
+ */
+const generatePaymentReceiptEmail = ({
+    tenantName,
+    propertyName,
+    unitNumber,
+    receiptNumber,
+    amount,
+    balance = 0,
+    currency = 'UGX',
+    billingPeriod,
+    paymentDate,
+    documentLink,
+    appName = process.env.APP_NAME || 'Fix it by Threalty',
+}) => {
+    const location = unitNumber ? `${propertyName} - Unit ${unitNumber}` : propertyName;
+    const formattedDate = new Date(paymentDate).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    const subject = `Payment Receipt ${receiptNumber}: ${location}`;
+    const remaining = balance > 0
+        ? `${balance.toLocaleString()} ${currency} remains outstanding for ${billingPeriod}.`
+        : `Your rent for ${billingPeriod} is fully paid.`;
+
+    const text = `Dear ${tenantName},
+
+Thank you for your payment of ${amount.toLocaleString()} ${currency} on ${formattedDate} for ${location}.
+${remaining}
+
+Your receipt ${receiptNumber} is available here:
+${documentLink}
+
+Best regards,
+The ${appName} Team`;
+
+    const html = `
+        <p>Dear ${tenantName},</p>
+        <p>Thank you for your payment of <strong>${amount.toLocaleString()} ${currency}</strong> on ${formattedDate} for <strong>${location}</strong>.</p>
+        <p>${remaining}</p>
+        <p>Your receipt <strong>${receiptNumber}</strong> is available here: <a href="${documentLink}">${documentLink}</a></p>
+        <p>Best regards,<br/>The ${appName} Team</p>
+    `;
+    return { subject, text, html };
+};
+
+/**
+ * Generates the HTML and plain text for a dunning reminder or formal notice about overdue rent.
+ * @param {object} options - Options for the email.
+ * @param {string} options.tenantName - The name of the tenant.
+ * @param {string} options.propertyName - The name of the property.
+ * @param {string} [options.unitNumber] - The unit number.
+ * @param {string} options.billingPeriod - The overdue billing period.
+ * @param {number} options.balance - The amount still owed, including late fees.
+ * @param {string} [options.currency='UGX'] - The currency.
+ * @param {Date} options.dueDate - The original due date.
+ * @param {number} options.daysOverdue - Days past the due date.
+ * @param {boolean} [options.isFormal=false] - Whether this is a formal notice rather than a reminder.
+ * @param {string} [options.customMessage] - Extra text configured on the dunning step.
+ * @param {string} [options.documentLink] - Link to the formal notice PDF.
+ * @param {string} options.rentLink - Link to the rent record.
+ * @param {string} [options.appName=process.env.APP_NAME || 'Fix it by Threalty'] - The application name.
+ * @returns {{subject: string, text: string, html: string}} Email content.
+ */
+const generateDunningNoticeEmail = ({
+    tenantName,
+    propertyName,
+    unitNumber,
+    billingPeriod,
+    balance,
+    currency = 'UGX',
+    dueDate,
+    daysOverdue,
+    isFormal = false,
+    customMessage,
+    documentLink,
+    rentLink,
+    appName = process.env.APP_NAME || 'Fix it by Threalty',
+}) => {
+    const location = unitNumber ? `${propertyName} - Unit ${unitNumber}` : propertyName;
+    const formattedDueDate = new Date(dueDate).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    const subject = isFormal
+        ? `Formal Notice of Overdue Rent: ${location}`
+        : `Reminder: Rent Overdue for ${location}`;
+    const opening = isFormal
+        ? `This is a formal notice that your rent for ${billingPeriod} remains unpaid ${daysOverdue} day(s) after it was due on ${formattedDueDate}.`
+        : `Our records show that your rent for ${billingPeriod} was due on ${formattedDueDate} and is now ${daysOverdue} day(s) overdue.`;
+    const notice = documentLink ? `\nThe formal notice is available here:\n${documentLink}\n` : '';
+
+    const text = `Dear ${tenantName},
+
+${opening}
+
+Outstanding Balance: ${balance.toLocaleString()} ${currency}
+${customMessage ? `\n${customMessage}\n` : ''}${notice}
+Please pay as soon as possible or contact your property manager if you have already paid.
+
+View your rent details here:
+${rentLink}
+
+Best regards,
+The ${appName} Team`;
+
+    const html = `
+        <p>Dear ${tenantName},</p>
+        <p>${opening}</p>
+        <p>Outstanding Balance: <strong>${balance.toLocaleString()} ${currency}</strong></p>
+        ${customMessage ? `<p>${customMessage}</p>` : ''}
+        ${documentLink ? `<p>The formal notice is available here: <a href="${documentLink}">${documentLink}</a></p>` : ''}
+        <p>Please pay as soon as possible or contact your property manager if you have already paid.</p>
+        <p>View your rent details here: <a href="${rentLink}">${rentLink}</a></p>
+        <p>Best regards,<br/>The ${appName} Team</p>
+    `;
+    return { subject, text, html };
+};
+
+/**
+ * Generates the HTML and plain text for the email telling a landlord or manager that a tenant's
+ * overdue rent has reached an escalating dunning step.
+ * @param {object} options - Options for the email.
+ * @param {string} options.recipientName - The name of the landlord or manager.
+ * @param {string} options.tenantName - The name of the tenant.
+ * @param {string} options.propertyName - The name of the property.
+ * @param {string} [options.unitNumber] - The unit number.
+ * @param {string} options.billingPeriod - The overdue billing period.
+ * @param {number} options.balance - The amount still owed.
+ * @param {string} [options.currency='UGX'] - The currency.
+ * @param {number} options.daysOverdue - Days past the due date.
+ * @param {string} options.stepName - The dunning step that was sent.
+ * @param {string} options.rentLink - Link to the rent record.
+ * @param {string} [options.appName=process.env.APP_NAME || 'Fix it by Threalty'] - The application name.
+ * @returns {{subject: string, text: string, html: string}} Email content.
+ */
+const generateDunningEscalationEmail = ({
+    recipientName,
+    tenantName,
+    propertyName,
+    unitNumber,
+    billingPeriod,
+    balance,
+    currency = 'UGX',
+    daysOverdue,
+    stepName,
+    rentLink,
+    appName = process.env.APP_NAME || 'Fix it by Threalty',
+}) => {
+    const location = unitNumber ? `${propertyName} - Unit ${unitNumber}` : propertyName;
+    const subject = `Escalation: ${tenantName} is ${daysOverdue} days overdue at ${location}`;
+
+    const text = `Dear ${recipientName},
+
+${tenantName}'s rent for ${location} (${billingPeriod}) is ${daysOverdue} day(s) overdue with ${balance.toLocaleString()} ${currency} outstanding.
+The "${stepName}" step of the dunning sequence has been sent and the account now needs your attention.
+
+View the rent record here:
+${rentLink}
+
+Best regards,
+The ${appName} Team`;
+
+    const html = `
+        <p>Dear ${recipientName},</p>
+        <p><strong>${tenantName}</strong>'s rent for <strong>${location}</strong> (${billingPeriod}) is <strong>${daysOverdue} day(s)</strong> overdue with <strong>${balance.toLocaleString()} ${currency}</strong> outstanding.</p>
+        <p>The "${stepName}" step of the dunning sequence has been sent and the account now needs your attention.</p>
+        <p>View the rent record here: <a href="${rentLink}">${rentLink}</a></p>
+        <p>Best regards,<br/>The ${appName} Team</p>
+    `;
+    return { subject, text, html };
+};
+
+/**
+ * Generates the HTML and plain text for an alert that a property's spending has passed a budget threshold.
+ * @param {object} options - Options for the email.
+ * @param {string} options.recipientName - The recipient's name.
+ * @param {string} options.propertyName - The property name.
+ * @param {number} options.year - The budget year.
+ * @param {number} options.threshold - The threshold passed, as a percentage of the annual budget.
+ * @param {number} options.spent - Amount spent so far this year.
+ * @param {number} options.budget - The annual operating budget.
+ * @param {string} [options.currency='UGX'] - The budget currency.
+ * @param {string} options.budgetLink - Link to the budget-vs-actual report.
+ * @param {string} [options.appName=process.env.APP_NAME || 'Fix it by Threalty'] - The application name.
+ * @returns {{subject: string, text: string, html: string}} Email content.
+ */
+const generateBudgetAlertEmail = ({
+    recipientName,
+    propertyName,
+    year,
+    threshold,
+    spent,
+    budget,
+    currency = 'UGX',
+    budgetLink,
+    appName = process.env.APP_NAME || 'Fix it by Threalty',
+}) => {
+    const percentUsed = Math.round((spent / budget) * 1000) / 10;
+    const subject = `Budget alert: ${propertyName} has spent ${percentUsed}% of its ${year} operating budget`;
+
+    const text = `Dear ${recipientName},
+
+Spending at ${propertyName} has passed ${threshold}% of the ${year} operating budget.
+Spent so far: ${spent.toLocaleString()} ${currency} of ${budget.toLocaleString()} ${currency} (${percentUsed}%).
+
+Review the budget against actual spending here:
+${budgetLink}
+
+Best regards,
+The ${appName} Team`;
+
+    const html = `
+        <p>Dear ${recipientName},</p>
+        <p>Spending at <strong>${propertyName}</strong> has passed <strong>${threshold}%</strong> of the ${year} operating budget.</p>
+        <p>Spent so far: <strong>${spent.toLocaleString()} ${currency}</strong> of ${budget.toLocaleString()} ${currency} (${percentUsed}%).</p>
+        <p>Review the budget against actual spending here: <a href="${budgetLink}">${budgetLink}</a></p>
+        <p>Best regards,<br/>The ${appName} Team</p>
+    `;
+    return { subject, text, html };
+};
+
+/**
+ * Generates the HTML and plain text for a lease renewal offer sent to a tenant.
+ * @param {object} options - Options for the email.
+ * @param {string} options.tenantName - The tenant's name.
+ * @param {string} options.propertyName - The name of the property.
+ * @param {string} [options.unitNumber] - The unit number.
+ * @param {number} options.currentRent - The current monthly rent.
+ * @param {object} options.terms - The offered terms (leaseStartDate, leaseEndDate, monthlyRent, currency, conditions).
+ * @param {Date} [options.expiresAt] - The date the offer lapses.
+ * @param {string} options.responseLink - Link to accept, counter or decline the offer.
+ * @param {string} [options.appName=process.env.APP_NAME || 'Fix it by Threalty'] - The application name.
+ * @returns {{subject: string, text: string, html: string}} Email content.
+ */
+const generateLeaseRenewalOfferEmail = ({
+    tenantName,
+    propertyName,
+    unitNumber,
+    currentRent,
+    terms,
+    expiresAt,
+    responseLink,
+    appName = process.env.APP_NAME || 'Fix it by Threalty',
+}) => {
+    const dateFormat = { year: 'numeric', month: 'long', day: 'numeric' };
+    const formattedTerm = `${new Date(terms.leaseStartDate).toLocaleDateString('en-US', dateFormat)} to ${new Date(terms.leaseEndDate).toLocaleDateString('en-US', dateFormat)}`;
+    const location = unitNumber ? `${propertyName} - Unit ${unitNumber}` : propertyName;
+    const currency = terms.currency || 'UGX';
+    const subject = `Lease Renewal Offer: ${location}`;
+    const rentLine = terms.monthlyRent === currentRent
+        ? `Monthly Rent: ${terms.monthlyRent.toLocaleString()} ${currency} (unchanged)`
+        : `Monthly Rent: ${terms.monthlyRent.toLocaleString()} ${currency} (currently ${currentRent.toLocaleString()} ${currency})`;
+    const deadline = expiresAt
+        ? `Please respond by ${new Date(expiresAt).toLocaleDateString('en-US', dateFormat)}.`
+        : 'Please respond at your earliest convenience.';
+
+    const text = `Dear ${tenantName},
+
+Your landlord is offering to renew your lease for ${location} on the following terms:
+
+New Term: ${formattedTerm}
+${rentLine}
+${terms.conditions ? `Conditions: ${terms.conditions}\n` : ''}
+You can accept the offer, propose different terms or decline it here:
+${responseLink}
+
+${deadline}
+
+Best regards,
+The ${appName} Team`;
+
+    const html = `
+        <p>Dear ${tenantName},</p>
+        <p>Your landlord is offering to renew your lease for <strong>${location}</strong> on the following terms:</p>
+        <ul>
+            <li>New Term: ${formattedTerm}</li>
+            <li>${rentLine}</li>
+            ${terms.conditions ? `<li>Conditions: ${terms.conditions}</li>` : ''}
+        </ul>
+        <p>You can accept the offer, propose different terms or decline it here: <a href="${responseLink}">${responseLink}</a></p>
+        <p>${deadline}</p>
+        <p>Best regards,<br/>The ${appName} Team</p>
+    `;
+    return { subject, text, html };
+};
+
+/**
+ * Generates the HTML and plain text for the email telling a landlord or manager how a tenant
+ * responded to a lease renewal offer.
+ * @param {object} options - Options for the email.
+ * @param {string} options.recipientName - The name of the landlord or manager.
+ * @param {string} options.tenantName - The name of the tenant.
+ * @param {string} options.propertyName - The name of the property.
+ * @param {string} [options.unitNumber] - The unit number.
+ * @param {string} options.action - 'accept', 'counter' or 'decline'.
+ * @param {object} [options.terms] - The accepted or counter-proposed terms.
+ * @param {string} [options.message] - The tenant's message.
+ * @param {string} options.offerLink - Link to the renewal offer.
+ * @param {string} [options.appName=process.env.APP_NAME || 'Fix it by Threalty'] - The application name.
+ * @returns {{subject: string, text: string, html: string}} Email content.
+ */
+const generateLeaseRenewalResponseEmail = ({
+    recipientName,
+    tenantName,
+    propertyName,
+    unitNumber,
+    action,
+    terms,
+    message,
+    offerLink,
+    appName = process.env.APP_NAME || 'Fix it by Threalty',
+}) => {
+    const dateFormat = { year: 'numeric', month: 'long', day: 'numeric' };
+    const location = unitNumber ? `${propertyName} - Unit ${unitNumber}` : propertyName;
+    const outcome = {
+        accept: 'accepted the lease renewal offer',
+        counter: 'proposed different lease renewal terms',
+        decline: 'declined the lease renewal offer'
+    }[action];
+    const followUp = {
+        accept: 'The renewed lease has been created.',
+        counter: 'Review the proposal to accept it or revise your offer.',
+        decline: 'The current lease will end on its end date unless a new offer is agreed.'
+    }[action];
+    const subject = `Lease renewal ${{ accept: 'accepted', counter: 'counter offer', decline: 'declined' }[action]}: ${tenantName} at ${location}`;
+    const termsLine = terms
+        ? `Terms: ${new Date(terms.leaseStartDate).toLocaleDateString('en-US', dateFormat)} to ${new Date(terms.leaseEndDate).toLocaleDateString('en-US', dateFormat)} at ${terms.monthlyRent.toLocaleString()} ${terms.currency || 'UGX'} per month`
+        : '';
+
+    const text = `Dear ${recipientName},
+
+${tenantName} has ${outcome} for ${location}. ${followUp}
+${termsLine ? `${termsLine}\n` : ''}${terms?.conditions && action === 'counter' ? `Conditions: ${terms.conditions}\n` : ''}${message ? `Message from the tenant: "${message}"\n` : ''}
+View the renewal offer here:
+${offerLink}
+
+Best regards,
+The ${appName} Team`;
+
+    const html = `
+        <p>Dear ${recipientName},</p>
+        <p><strong>${tenantName}</strong> has ${outcome} for <strong>${location}</strong>. ${followUp}</p>
+        ${termsLine ? `<p>${termsLine}</p>` : ''}
+        ${terms?.conditions && action === 'counter' ? `<p>Conditions: ${terms.conditions}</p>` : ''}
+        ${message ? `<p>Message from the tenant: "${message}"</p>` : ''}
+        <p>View the renewal offer here: <a href="${offerLink}">${offerLink}</a></p>
+        <p>Best regards,<br/>The ${appName} Team</p>
+    `;
+    return { subject, text, html };
+};
+
+/**
+ * Generates the HTML and plain text for the email asking a signer to sign a lease electronically.
+ * @param {object} options - Options for the email.
+ * @param {string} options.signerName - The signer's name.
+ * @param {string} options.role - 'tenant', 'co_tenant' or 'landlord'.
+ * @param {string} options.propertyName - The name of the property.
+ * @param {string} [options.unitNumber] - The unit number.
+ * @param {object} options.lease - The lease (leaseStartDate, leaseEndDate, monthlyRent, currency).
+ * @param {Date} [options.expiresAt] - The date the signing link stops working.
+ * @param {string} options.signingLink - Link to review and sign the lease.
+ * @param {string} [options.appName=process.env.APP_NAME || 'Fix it by Threalty'] - The application name.
+ * @returns {{subject: string, text: string, html: string}} Email content.
+ */
+const generateLeaseSignatureRequestEmail = ({
+    signerName,
+    role,
+    propertyName,
+    unitNumber,
+    lease,
+    expiresAt,
+    signingLink,
+    appName = process.env.APP_NAME || 'Fix it by Threalty',
+}) => {
+    const dateFormat = { year: 'numeric', month: 'long', day: 'numeric' };
+    const formattedTerm = `${new Date(lease.leaseStartDate).toLocaleDateString('en-US', dateFormat)} to ${new Date(lease.leaseEndDate).toLocaleDateString('en-US', dateFormat)}`;
+    const location = unitNumber ? `${propertyName} - Unit ${unitNumber}` : propertyName;
+    const capacity = { tenant: 'the tenant', co_tenant: 'a co-tenant', landlord: 'the landlord' }[role] || 'a party';
+    const subject = `Please Sign Your Lease: ${location}`;
+    const deadline = expiresAt
+        ? `This link is personal to you and works until ${new Date(expiresAt).toLocaleDateString('en-US', dateFormat)}.`
+        : 'This link is personal to you; please do not forward it.';
+
+    const text = `Dear ${signerName},
+
+The lease for ${location} is ready for your signature as ${capacity}.
+
+Term: ${formattedTerm}
+Monthly Rent: ${lease.monthlyRent.toLocaleString()} ${lease.currency}
+
+Review and sign the lease here:
+${signingLink}
+
+${deadline}
+
+Best regards,
+The ${appName} Team`;
+
+    const html = `
+        <p>Dear ${signerName},</p>
+        <p>The lease for <strong>${location}</strong> is ready for your signature as ${capacity}.</p>
+        <ul>
+            <li>Term: ${formattedTerm}</li>
+            <li>Monthly Rent: ${lease.monthlyRent.toLocaleString()} ${lease.currency}</li>
+        </ul>
+        <p>Review and sign the lease here: <a href="${signingLink}">${signingLink}</a></p>
+        <p>${deadline}</p>
+        <p>Best regards,<br/>The ${appName} Team</p>
+    `;
+    return { subject, text, html };
+};
+
+/**
+ * Generates the HTML and plain text for the email sent to everyone on a lease once all signers have signed.
+ * @param {object} options - Options for the email.
+ * @param {string} options.propertyName - The name of the property.
+ * @param {string} [options.unitNumber] - The unit number.
+ * @param {Array<string>} options.signerNames - Names of the signers, in signing order.
+ * @param {Date} options.completedAt - When the last signature was added.
+ * @param {string} options.documentHash - SHA-256 of the signed PDF.
+ * @param {string} options.leaseLink - Link to the lease and its signed document.
+ * @param {string} [options.appName=process.env.APP_NAME || 'Fix it by Threalty'] - The application name.
+ * @returns {{subject: string, text: string, html: string}} Email content.
+ */
+const generateLeaseSignedEmail = ({
+    propertyName,
+    unitNumber,
+    signerNames,
+    completedAt,
+    documentHash,
+    leaseLink,
+    appName = process.env.APP_NAME || 'Fix it by Threalty',
+}) => {
+    const dateFormat = { year: 'numeric', month: 'long', day: 'numeric' };
+    const location = unitNumber ? `${propertyName} - Unit ${unitNumber}` : propertyName;
+    const subject = `Lease Fully Signed: ${location}`;
+
+    const text = `Hello,
+
+The lease for ${location} was signed by ${signerNames.join(', ')} and completed on ${new Date(completedAt).toLocaleDateString('en-US', dateFormat)}.
+
+The signed copy, with its signature certificate, is available here:
+${leaseLink}
+
+Document fingerprint (SHA-256): ${documentHash}
+
+Best regards,
+The ${appName} Team`;
+
+    const html = `
+        <p>Hello,</p>
+        <p>The lease for <strong>${location}</strong> was signed by ${signerNames.join(', ')} and completed on ${new Date(completedAt).toLocaleDateString('en-US', dateFormat)}.</p>
+        <p>The signed copy, with its signature certificate, is available here: <a href="${leaseLink}">${leaseLink}</a></p>
+        <p>Document fingerprint (SHA-256): <code>${documentHash}</code></p>
+        <p>Best regards,<br/>The ${appName} Team</p>
+    `;
+    return { subject, text, html };
+};
+
+/**
+ * Generates the HTML and plain text for the email confirming a tenant's lease has been renewed.
+ * @param {object} options - Options for the email.
+ * @param {string} options.tenantName - The tenant's name.
+ * @param {string} options.propertyName - The name of the property.
+ * @param {string} [options.unitNumber] - The unit number.
+ * @param {object} options.lease - The renewed lease (leaseStartDate, leaseEndDate, monthlyRent, currency, paymentDueDate).
+ * @param {string} options.leaseLink - Link to the renewed lease.
+ * @param {string} [options.appName=process.env.APP_NAME || 'Fix it by Threalty'] - The application name.
+ * @returns {{subject: string, text: string, html: string}} Email content.
+ */
+const generateLeaseRenewedEmail = ({
+    tenantName,
+    propertyName,
+    unitNumber,
+    lease,
+    leaseLink,
+    appName = process.env.APP_NAME || 'Fix it by Threalty',
+}) => {
+    const dateFormat = { year: 'numeric', month: 'long', day: 'numeric' };
+    const formattedTerm = `${new Date(lease.leaseStartDate).toLocaleDateString('en-US', dateFormat)} to ${new Date(lease.leaseEndDate).toLocaleDateString('en-US', dateFormat)}`;
+    const location = unitNumber ? `${propertyName} - Unit ${unitNumber}` : propertyName;
+    const subject = `Your Lease Has Been Renewed: ${location}`;
+
+    const text = `Dear ${tenantName},
+
+Your lease for ${location} has been renewed. You will be asked to sign the renewed lease, which takes effect once it is signed.
+
+New Term: ${formattedTerm}
+Monthly Rent: ${lease.monthlyRent.toLocaleString()} ${lease.currency}, due on day ${lease.paymentDueDate} of each month
+
+View your renewed lease here:
+${leaseLink}
+
+Best regards,
+The ${appName} Team`;
+
+    const html = `
+        <p>Dear ${tenantName},</p>
+        <p>Your lease for <strong>${location}</strong> has been renewed. You will be asked to sign the renewed lease, which takes effect once it is signed.</p>
+        <ul>
+            <li>New Term: ${formattedTerm}</li>
+            <li>Monthly Rent: ${lease.monthlyRent.toLocaleString()} ${lease.currency}, due on day ${lease.paymentDueDate} of each month</li>
+        </ul>
+        <p>View your renewed lease here: <a href="${leaseLink}">${leaseLink}</a></p>
+        <p>Best regards,<br/>The ${appName} Team</p>
+    `;
+    return { subject, text, html };
+};
+
 /**
  * Generates the HTML and plain text for a new user approval request email to landlords.
  * @param {object} options - Options for the email.
@@ -293,6 +921,17 @@ module.exports = {
     generateRequestUpdateEmail,
     generateLeaseExpiryReminderEmail,
     generateRentReminderEmail,
+    generateRentEscalationNoticeEmail,
+    generateInvoiceEmail,
+    generatePaymentReceiptEmail,
+    generateDunningNoticeEmail,
+    generateDunningEscalationEmail,
+    generateBudgetAlertEmail,
+    generateLeaseRenewalOfferEmail,
+    generateLeaseRenewalResponseEmail,
+    generateLeaseRenewedEmail,
+    generateLeaseSignatureRequestEmail,
+    generateLeaseSignedEmail,
     generateUserApprovalRequestEmail,
     generateEmailVerificationEmail,
     generatePasswordResetEmail,
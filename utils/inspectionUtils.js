@@ -0,0 +1,180 @@
+// src/utils/inspectionUtils.js
+
+const { INSPECTION_CONDITION_ENUM } = require('./constants/enums');
+
+// Checklist items for each kind of room; bedrooms and bathrooms repeat per the unit's counts
+const DEFAULT_ROOM_ITEMS = {
+    'Entrance': ['Front door', 'Locks', 'Keys', 'Walls', 'Floor', 'Lighting'],
+    'Living Room': ['Walls', 'Ceiling', 'Floor', 'Windows', 'Doors', 'Lighting', 'Sockets and switches'],
+    'Kitchen': ['Walls', 'Floor', 'Cabinets', 'Countertops', 'Sink and taps', 'Appliances', 'Lighting'],
+    'Bedroom': ['Walls', 'Ceiling', 'Floor', 'Windows', 'Doors', 'Wardrobe', 'Lighting'],
+    'Bathroom': ['Walls', 'Floor', 'Toilet', 'Shower or bath', 'Sink and taps', 'Mirror', 'Ventilation']
+};
+
+// Ratings that cannot be compared because the item does not apply to the unit
+const UNRATED_CONDITIONS = ['not_applicable'];
+
+/**
+ * Builds the starting checklist for a unit from its bedroom and bathroom counts. Units with
+ * no counts recorded get one of each.
+ * @param {object} [unit] - Unit with numBedrooms and numBathrooms.
+ * @returns {Array<object>} Rooms, each { name, items: [{ name }] }.
+ */
+const buildDefaultChecklist = (unit = {}) => {
+    const room = (name, kind) => ({ name, items: DEFAULT_ROOM_ITEMS[kind].map(item => ({ name: item })) });
+    const numbered = (kind, count) => (count === 1
+        ? [room(kind, kind)]
+        : Array.from({ length: count }, (_, index) => room(`${kind} ${index + 1}`, kind)));
+
+    const bedrooms = Number.isInteger(unit.numBedrooms) ? unit.numBedrooms : 1;
+    const bathrooms = Number.isInteger(unit.numBathrooms) && unit.numBathrooms > 0 ? unit.numBathrooms : 1;
+
+    return [
+        room('Entrance', 'Entrance'),
+        room('Living Room', 'Living Room'),
+        room('Kitchen', 'Kitchen'),
+        ...numbered('Bedroom', bedrooms),
+        ...numbered('Bathroom', bathrooms)
+    ];
+};
+
+/**
+ * Copies a checklist's rooms and items without any ratings, notes or photos, so a move-out
+ * inspection walks the same rooms as the move-in one.
+ * @param {Array<object>} rooms - Rooms of an earlier inspection.
+ * @returns {Array<object>} Rooms, each { name, items: [{ name }] }.
+ */
+const copyChecklist = (rooms = []) => rooms.map(room => ({
+    name: room.name,
+    items: (room.items || []).map(item => ({ name: item.name }))
+}));
+
+/**
+ * Position of a condition on the scale from 'excellent' (0) downwards.
+ * @param {string} condition - One of INSPECTION_CONDITION_ENUM.
+ * @returns {number|null} Rank, or null if the item was not rated or does not apply.
+ */
+const getConditionRank = (condition) => {
+    if (!condition || UNRATED_CONDITIONS.includes(condition)) return null;
+
+    const rank = INSPECTION_CONDITION_ENUM.indexOf(condition);
+    return rank === -1 ? null : rank;
+};
+
+/**
+ * Lists the checklist items still waiting for a condition rating.
+ * @param {Array<object>} rooms - Inspection rooms.
+ * @returns {Array<string>} "Room: Item" labels; empty when every item is rated.
+ */
+const findUnratedItems = (rooms = []) => rooms.flatMap(room => (room.items || [])
+    .filter(item => !item.condition)
+    .map(item => `${room.name}: ${item.name}`));
+
+/**
+ * Room and item names are matched case-insensitively, ignoring surrounding spaces.
+ * @param {string} roomName - Room name.
+ * @param {string} itemName - Item name.
+ * @returns {string} Matching key.
+ */
+const itemKey = (roomName, itemName) => `${String(roomName).trim().toLowerCase()}|${String(itemName).trim().toLowerCase()}`;
+
+/**
+ * What an inspection recorded for one item.
+ * @param {object} item - Inspection item.
+ * @returns {object} { condition, notes, photos }
+ */
+const itemSnapshot = (item) => ({
+    condition: item.condition || null,
+    notes: item.notes || null,
+    photos: (item.photos || []).map(photo => photo._id || photo)
+});
+
+/**
+ * Lines a move-out inspection up against the move-in one, room by room and item by item.
+ * Rows follow the move-out checklist, with anything only checked at move-in added at the end.
+ * An item is 'worse', 'unchanged' or 'better' when both inspections rated it, and
+ * 'not_compared' when either did not (or marked it not applicable).
+ * @param {object} moveIn - Move-in inspection with rooms.
+ * @param {object} moveOut - Move-out inspection with rooms.
+ * @returns {object} { rows: [{ room, item, moveIn, moveOut, change, estimatedCost }], summary }
+ */
+const compareInspections = (moveIn, moveOut) => {
+    const moveInItems = new Map();
+    for (const room of moveIn?.rooms || []) {
+        for (const item of room.items || []) {
+            moveInItems.set(itemKey(room.name, item.name), { room: room.name, item });
+        }
+    }
+
+    const rows = [];
+    const buildRow = (roomName, itemName, before, after) => {
+        const beforeRank = before ? getConditionRank(before.condition) : null;
+        const afterRank = after ? getConditionRank(after.condition) : null;
+
+        let change = 'not_compared';
+        if (beforeRank !== null && afterRank !== null) {
+            change = afterRank > beforeRank ? 'worse' : (afterRank < beforeRank ? 'better' : 'unchanged');
+        }
+
+        rows.push({
+            room: roomName,
+            item: itemName,
+            moveIn: before ? itemSnapshot(before) : null,
+            moveOut: after ? itemSnapshot(after) : null,
+            change,
+            estimatedCost: after?.estimatedCost ?? null
+        });
+    };
+
+    for (const room of moveOut?.rooms || []) {
+        for (const item of room.items || []) {
+            const key = itemKey(room.name, item.name);
+            buildRow(room.name, item.name, moveInItems.get(key)?.item || null, item);
+            moveInItems.delete(key);
+        }
+    }
+    for (const { room, item } of moveInItems.values()) {
+        buildRow(room, item.name, item, null);
+    }
+
+    const summary = { worse: 0, unchanged: 0, better: 0, not_compared: 0 };
+    rows.forEach(row => { summary[row.change] += 1; });
+
+    return { rows, summary };
+};
+
+/**
+ * Turns the items that got worse between move-in and move-out into proposed deposit
+ * deductions. Missing keys are proposed as key replacement and everything else as damage;
+ * the amount is the inspector's estimated cost, or null where the manager still has to price it.
+ * @param {Array<object>} rows - Rows from compareInspections.
+ * @returns {Array<object>} Proposals, each { room, item, category, description, amount, mediaIds }.
+ */
+const proposeDeductions = (rows = []) => rows
+    .filter(row => row.change === 'worse')
+    .map(row => {
+        const isKeys = /\bkeys?\b/i.test(row.item) && row.moveOut.condition === 'missing';
+        const conditionLabel = (condition) => condition.replace(/_/g, ' ');
+
+        return {
+            room: row.room,
+            item: row.item,
+            category: isKeys ? 'key_replacement' : 'damage',
+            description: [
+                `${row.room} - ${row.item}: ${conditionLabel(row.moveIn.condition)} at move-in, ${conditionLabel(row.moveOut.condition)} at move-out`,
+                row.moveOut.notes
+            ].filter(Boolean).join('. ').slice(0, 500),
+            amount: row.estimatedCost > 0 ? row.estimatedCost : null,
+            mediaIds: row.moveOut.photos
+        };
+    });
+
+module.exports = {
+    DEFAULT_ROOM_ITEMS,
+    buildDefaultChecklist,
+    copyChecklist,
+    getConditionRank,
+    findUnratedItems,
+    compareInspections,
+    proposeDeductions
+};
@@ -0,0 +1,148 @@
+// src/utils/invoiceUtils.js
+
+const { roundCurrency } = require('./lateFeeUtils');
+const { isWithheld, calculateLineTaxes, sumTaxes, buildTaxBreakdown } = require('./taxUtils');
+
+const DOCUMENT_NUMBER_PREFIXES = {
+    invoice: 'INV',
+    credit_note: 'CN',
+    receipt: 'RCT'
+};
+
+/**
+ * Works out a line item's amount and taxes. Lines may give a unit price and quantity, or just an
+ * amount (treated as the unit price for a quantity of one). Taxes come from the line's `taxes`
+ * (property tax rules applied to it) or, failing that, a single `taxRate`.
+ * @param {object} item - Line item input.
+ * @returns {object} Line item with quantity, unitPrice, amount, taxes, taxRate, taxAmount,
+ *   withholdingRate and withholdingAmount filled in.
+ */
+const calculateLineItem = (item) => {
+    const quantity = item.quantity !== undefined && item.quantity !== null ? Number(item.quantity) : 1;
+    const unitPrice = item.unitPrice !== undefined && item.unitPrice !== null
+        ? Number(item.unitPrice)
+        : Number(item.amount || 0);
+    const amount = roundCurrency(quantity * unitPrice);
+
+    const rules = Array.isArray(item.taxes) && item.taxes.length > 0
+        ? item.taxes
+        : [{ rule: null, name: 'Tax', type: 'vat', rate: Number(item.taxRate || 0) }];
+    const taxes = calculateLineTaxes(amount, rules);
+    const { taxTotal, withholdingTotal } = sumTaxes(taxes);
+    const rateOf = (list) => roundCurrency(list.reduce((sum, tax) => sum + tax.rate, 0));
+
+    return {
+        ...item,
+        quantity,
+        unitPrice,
+        amount,
+        taxes,
+        taxRate: rateOf(taxes.filter(tax => !isWithheld(tax))),
+        taxAmount: taxTotal,
+        withholdingRate: rateOf(taxes.filter(isWithheld)),
+        withholdingAmount: withholdingTotal
+    };
+};
+
+/**
+ * Calculates every line and the document totals. Tax withheld by the tenant comes off the total.
+ * @param {Array<object>} items - Line items.
+ * @returns {object} { items, subtotal, taxTotal, withholdingTotal, taxBreakdown, total }
+ */
+const calculateTotals = (items = []) => {
+    const calculated = items.map(calculateLineItem);
+    const subtotal = roundCurrency(calculated.reduce((sum, item) => sum + item.amount, 0));
+    const taxTotal = roundCurrency(calculated.reduce((sum, item) => sum + item.taxAmount, 0));
+    const withholdingTotal = roundCurrency(calculated.reduce((sum, item) => sum + item.withholdingAmount, 0));
+
+    return {
+        items: calculated,
+        subtotal,
+        taxTotal,
+        withholdingTotal,
+        taxBreakdown: buildTaxBreakdown(calculated),
+        total: roundCurrency(subtotal + taxTotal - withholdingTotal)
+    };
+};
+
+/**
+ * Formats an invoice, credit note or receipt number, e.g. INV-2025-0007.
+ * @param {string} documentType - 'invoice', 'credit_note' or 'receipt'.
+ * @param {number} year - Sequence year.
+ * @param {number} sequence - Number in the sequence.
+ * @returns {string} Document number.
+ */
+const formatDocumentNumber = (documentType, year, sequence) =>
+    `${DOCUMENT_NUMBER_PREFIXES[documentType] || 'INV'}-${year}-${String(sequence).padStart(4, '0')}`;
+
+/**
+ * What a line adds to the invoice total: its amount plus tax, less tax withheld.
+ * @param {object} item - Calculated line item.
+ * @returns {number} Line total.
+ */
+const billedLineTotal = (item) => (item.amount || 0) + (item.taxAmount || 0) - (item.withholdingAmount || 0);
+
+/**
+ * How much of an invoice's rent lines has been paid through the linked Rent records. Each rent's
+ * payments cover its lines in order, and a waived rent counts as settled.
+ * @param {Array<object>} items - Invoice line items.
+ * @param {Map<string, object>} rentsById - Linked Rent records keyed by id.
+ * @returns {number} Amount settled through rent payments.
+ */
+const calculateRentSettlement = (items = [], rentsById = new Map()) => {
+    const linesByRent = new Map();
+    for (const item of items) {
+        if (!item.rent) continue;
+        const rentId = item.rent.toString();
+        linesByRent.set(rentId, (linesByRent.get(rentId) || 0) + billedLineTotal(item));
+    }
+
+    let settled = 0;
+    for (const [rentId, lineTotal] of linesByRent) {
+        const rent = rentsById.get(rentId);
+        if (!rent) continue;
+        const paid = rent.status === 'waived' ? lineTotal : (rent.amountPaid || 0);
+        settled += Math.min(lineTotal, paid);
+    }
+    return roundCurrency(settled);
+};
+
+/**
+ * Total of the lines that are not paid through a Rent record, i.e. what direct invoice payments
+ * can be put against.
+ * @param {Array<object>} items - Invoice line items.
+ * @returns {number} Directly payable total.
+ */
+const calculateDirectTotal = (items = []) => roundCurrency(
+    items.filter(item => !item.rent).reduce((sum, item) => sum + billedLineTotal(item), 0)
+);
+
+/**
+ * Status of an issued invoice from its payments and credits. Drafts and void invoices keep
+ * their status.
+ * @param {object} invoice - Invoice (status, amount, amountPaid, creditedAmount, sentAt).
+ * @returns {string} Invoice status.
+ */
+const resolveInvoiceStatus = (invoice) => {
+    if (['draft', 'void'].includes(invoice.status) || invoice.type === 'credit_note') {
+        return invoice.status;
+    }
+
+    const balance = roundCurrency((invoice.amount || 0) - (invoice.amountPaid || 0) - (invoice.creditedAmount || 0));
+    if (balance <= 0) {
+        return invoice.amountPaid > 0 ? 'paid' : 'credited';
+    }
+    if (invoice.amountPaid > 0) {
+        return 'partially_paid';
+    }
+    return invoice.sentAt ? 'sent' : 'pending';
+};
+
+module.exports = {
+    calculateLineItem,
+    calculateTotals,
+    formatDocumentNumber,
+    calculateRentSettlement,
+    calculateDirectTotal,
+    resolveInvoiceStatus
+};
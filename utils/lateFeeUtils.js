@@ -0,0 +1,136 @@
+// src/utils/lateFeeUtils.js
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Rounds a currency amount to two decimal places.
+ * @param {number} amount - Amount to round.
+ * @returns {number} Rounded amount.
+ */
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Whole calendar days from one date to another (negative if `to` is earlier).
+ * @param {Date} from - Start date.
+ * @param {Date} to - End date.
+ * @returns {number} Number of days.
+ */
+const daysBetween = (from, to) => {
+    const start = new Date(from);
+    const end = new Date(to);
+    start.setHours(0, 0, 0, 0);
+    end.setHours(0, 0, 0, 0);
+    return Math.round((end - start) / MS_PER_DAY);
+};
+
+/**
+ * Picks the late fee policy that applies to a lease. An enabled policy on the lease
+ * overrides the property's default policy.
+ * @param {object} lease - Lease document.
+ * @param {object} property - Property document.
+ * @returns {object|null} The applicable policy, or null if none is enabled.
+ */
+const resolveLateFeePolicy = (lease, property) => {
+    if (lease?.lateFeePolicy?.enabled) {
+        return lease.lateFeePolicy;
+    }
+    if (property?.lateFeePolicy?.enabled) {
+        return property.lateFeePolicy;
+    }
+    return null;
+};
+
+/**
+ * Calculates the total late fee owed on a rent record as of a date.
+ * The initial fee is charged on the first day after the grace period; the daily accrual is
+ * charged for every further day. Percentage fees are based on the rent amount due.
+ * @param {object} policy - Late fee policy (see LateFeePolicySchema).
+ * @param {object} rent - Object with amountDue and dueDate.
+ * @param {Date} [asOfDate=new Date()] - Date to calculate for.
+ * @returns {object} { daysLate, initialFee, accruedFee, total, capped }
+ */
+const calculateLateFee = (policy, rent, asOfDate = new Date()) => {
+    const result = { daysLate: 0, initialFee: 0, accruedFee: 0, total: 0, capped: false };
+
+    if (!policy || !policy.enabled || !rent?.dueDate) {
+        return result;
+    }
+
+    const daysLate = daysBetween(rent.dueDate, asOfDate) - (policy.gracePeriodDays || 0);
+    if (daysLate <= 0) {
+        return result;
+    }
+
+    const toAmount = (value) => (policy.feeType === 'percentage'
+        ? (rent.amountDue || 0) * (value || 0) / 100
+        : (value || 0));
+
+    let initialFee = toAmount(policy.feeAmount);
+    let accruedFee = policy.dailyAccrual?.enabled ? toAmount(policy.dailyAccrual.amount) * (daysLate - 1) : 0;
+
+    if (policy.maxFee !== null && policy.maxFee !== undefined && initialFee + accruedFee > policy.maxFee) {
+        initialFee = Math.min(initialFee, policy.maxFee);
+        accruedFee = policy.maxFee - initialFee;
+        result.capped = true;
+    }
+
+    result.daysLate = daysLate;
+    result.initialFee = roundCurrency(initialFee);
+    result.accruedFee = roundCurrency(accruedFee);
+    result.total = roundCurrency(result.initialFee + result.accruedFee);
+
+    return result;
+};
+
+/**
+ * Works out which late fee line items still need to be added to a rent record.
+ * Fees already assessed - including waived ones - are subtracted, so running this
+ * repeatedly only ever adds the difference and never re-charges a waived fee.
+ * @param {object} policy - Late fee policy.
+ * @param {object} rent - Rent document with amountDue, dueDate and lateFees.
+ * @param {Date} [asOfDate=new Date()] - Date to calculate for.
+ * @returns {Array<object>} New line items: { feeType, amount, daysLate, description }.
+ */
+const planLateFeeCharges = (policy, rent, asOfDate = new Date()) => {
+    const calculation = calculateLateFee(policy, rent, asOfDate);
+    if (calculation.total === 0) {
+        return [];
+    }
+
+    const assessed = { initial: 0, accrual: 0 };
+    for (const fee of rent.lateFees || []) {
+        assessed[fee.feeType || 'initial'] += fee.amount;
+    }
+
+    const charges = [];
+
+    const initialDelta = roundCurrency(calculation.initialFee - assessed.initial);
+    if (initialDelta > 0) {
+        charges.push({
+            feeType: 'initial',
+            amount: initialDelta,
+            daysLate: calculation.daysLate,
+            description: 'Late fee'
+        });
+    }
+
+    const accrualDelta = roundCurrency(calculation.accruedFee - assessed.accrual);
+    if (accrualDelta > 0) {
+        charges.push({
+            feeType: 'accrual',
+            amount: accrualDelta,
+            daysLate: calculation.daysLate,
+            description: `Daily late fee accrual through day ${calculation.daysLate}${calculation.capped ? ' (capped)' : ''}`
+        });
+    }
+
+    return charges;
+};
+
+module.exports = {
+    roundCurrency,
+    daysBetween,
+    resolveLateFeePolicy,
+    calculateLateFee,
+    planLateFeeCharges
+};
@@ -0,0 +1,90 @@
+// src/utils/leaseChargeUtils.js
+
+const { roundCurrency } = require('./lateFeeUtils');
+const { addDays } = require('./rentEscalationUtils');
+const { getBillingPeriod, prorateForPeriod } = require('./billingPeriodUtils');
+
+/**
+ * Days a lease charge is in force: from the later of its start date and the lease start to the
+ * earlier of its end date and the lease end.
+ * @param {object} charge - Lease charge (see LeaseChargeSchema).
+ * @param {object} [leaseCoverage={}] - { start, end } dates the lease is in force (end may be null).
+ * @returns {object} { start, end } with end null if the charge runs open-ended.
+ */
+const getChargeWindow = (charge, leaseCoverage = {}) => {
+    const starts = [charge.startDate, leaseCoverage.start].filter(Boolean).map(date => addDays(date, 0));
+    const ends = [charge.endDate, leaseCoverage.end].filter(Boolean).map(date => addDays(date, 0));
+
+    return {
+        start: starts.length ? new Date(Math.max(...starts)) : null,
+        end: ends.length ? new Date(Math.min(...ends)) : null
+    };
+};
+
+/**
+ * Works out the recurring lease charges to bill on a rent record.
+ * Each charge runs on its own frequency; a charge period is billed on the rent record whose period
+ * contains the day it starts being charged, so a quarterly charge lands on one monthly rent record
+ * and a weekly charge is billed four or five times on it. Charge periods the charge (or the lease)
+ * only partly covers are prorated by day.
+ * @param {Array<object>} charges - Lease charges (see LeaseChargeSchema).
+ * @param {object} period - Rent period from getBillingPeriod.
+ * @param {object} [leaseCoverage={}] - { start, end } dates the lease is in force (end may be null).
+ * @param {string} [currency='UGX'] - Currency for the calculation text.
+ * @returns {Array<object>} Rent charge lines { charge, name, category, frequency, quantity, amount, calculation }.
+ */
+const calculatePeriodCharges = (charges = [], period, leaseCoverage = {}, currency = 'UGX') => {
+    const lines = [];
+
+    for (const charge of charges) {
+        if (charge.isActive === false || !charge.amount || !charge.startDate) {
+            continue;
+        }
+
+        const window = getChargeWindow(charge, leaseCoverage);
+        if (window.start > period.end || (window.end && window.end < period.start) || (window.end && window.end < window.start)) {
+            continue;
+        }
+
+        const frequency = charge.frequency || 'monthly';
+        let amount = 0;
+        let quantity = 0;
+        const calculations = [];
+
+        let chargePeriod = getBillingPeriod(frequency, window.start > period.start ? window.start : period.start, charge.startDate);
+        while (chargePeriod.start <= period.end && (!window.end || chargePeriod.start <= window.end)) {
+            const billedFrom = window.start > chargePeriod.start ? window.start : chargePeriod.start;
+
+            // Charge periods that started before this rent period were billed on an earlier record
+            if (billedFrom >= period.start && billedFrom <= period.end) {
+                const { amountDue, proration } = prorateForPeriod(charge.amount, chargePeriod, window, currency);
+                amount = roundCurrency(amount + amountDue);
+                quantity++;
+                if (proration.applied) {
+                    calculations.push(proration.calculation);
+                }
+            }
+
+            chargePeriod = getBillingPeriod(frequency, addDays(chargePeriod.end, 1), charge.startDate);
+        }
+
+        if (quantity > 0) {
+            lines.push({
+                charge: charge._id || null,
+                name: charge.name,
+                category: charge.category || 'other',
+                frequency,
+                quantity,
+                amount,
+                calculation: calculations.length ? calculations.join('; ') : null
+            });
+        }
+    }
+
+    return lines;
+};
+
+module.exports = {
+    getChargeWindow,
+    calculatePeriodCharges
+};
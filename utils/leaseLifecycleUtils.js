@@ -0,0 +1,96 @@
+// src/utils/leaseLifecycleUtils.js
+
+const { addDays } = require('./rentEscalationUtils');
+
+// Days before the end date a lease is treated as coming up for renewal
+const DEFAULT_RENEWAL_WINDOW_DAYS = 60;
+
+// Statuses of a lease the tenant is living under: the unit is occupied and rent is billed
+const IN_FORCE_LEASE_STATUSES = ['active', 'pending_renewal'];
+
+// Statuses a lease never leaves on its own
+const CLOSED_LEASE_STATUSES = ['expired', 'terminated'];
+
+/**
+ * Midnight at the start of a date.
+ * @param {Date|string} date - Any time on the day.
+ * @returns {Date} Start of that day.
+ */
+const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+/**
+ * Works out whether a lease should change status on a given day. Draft leases go active once
+ * fully signed and started; leases in force go to pending_renewal inside the renewal window or
+ * while a renewal offer is open, back to active if neither holds any more, and expire the day
+ * after their end date.
+ * @param {object} lease - Lease with status, signatureStatus, leaseStartDate and leaseEndDate.
+ * @param {object} [options] - Evaluation options.
+ * @param {Date} [options.asOfDate=new Date()] - Day to evaluate.
+ * @param {boolean} [options.hasOpenRenewalOffer=false] - Whether a renewal offer is awaiting the tenant.
+ * @param {number} [options.renewalWindowDays=DEFAULT_RENEWAL_WINDOW_DAYS] - Renewal window length.
+ * @returns {object|null} { from, to, reason }, or null if the lease stays as it is.
+ */
+const getLifecycleTransition = (lease, {
+    asOfDate = new Date(),
+    hasOpenRenewalOffer = false,
+    renewalWindowDays = DEFAULT_RENEWAL_WINDOW_DAYS
+} = {}) => {
+    const today = startOfDay(asOfDate);
+    const start = startOfDay(lease.leaseStartDate);
+    const end = startOfDay(lease.leaseEndDate);
+    const transition = (to, reason) => ({ from: lease.status, to, reason });
+
+    if (lease.status === 'draft') {
+        if (lease.signatureStatus === 'signed' && start <= today && end >= today) {
+            return transition('active', `Fully signed and started on ${start.toDateString()}.`);
+        }
+        return null;
+    }
+
+    if (!IN_FORCE_LEASE_STATUSES.includes(lease.status)) {
+        return null;
+    }
+
+    if (end < today) {
+        return transition('expired', `Ended on ${end.toDateString()}.`);
+    }
+
+    const inRenewalWindow = end <= addDays(today, renewalWindowDays);
+
+    if (lease.status === 'active' && (inRenewalWindow || hasOpenRenewalOffer)) {
+        return transition('pending_renewal', inRenewalWindow
+            ? `Ends on ${end.toDateString()}, within ${renewalWindowDays} days.`
+            : 'A renewal offer is awaiting the tenant.');
+    }
+    if (lease.status === 'pending_renewal' && !inRenewalWindow && !hasOpenRenewalOffer) {
+        return transition('active', `Ends on ${end.toDateString()}, outside the renewal window, with no open renewal offer.`);
+    }
+    return null;
+};
+
+/**
+ * Checks a status change made by hand on a lease. A draft only leaves draft on its own, once it
+ * is fully signed and has started; by hand it can only be terminated (called off).
+ * @param {string} fromStatus - Current status.
+ * @param {string} toStatus - Requested status.
+ * @returns {string|null} Why the change is not allowed, or null if it is.
+ */
+const getManualStatusChangeError = (fromStatus, toStatus) => {
+    if (fromStatus === 'draft' && toStatus !== 'draft' && toStatus !== 'terminated') {
+        return 'A draft lease goes active by itself once it has been fully signed and its start date arrives; it can only be terminated by hand.';
+    }
+    return null;
+};
+
+module.exports = {
+    DEFAULT_RENEWAL_WINDOW_DAYS,
+    IN_FORCE_LEASE_STATUSES,
+    CLOSED_LEASE_STATUSES,
+    startOfDay,
+    getLifecycleTransition,
+    getManualStatusChangeError
+};
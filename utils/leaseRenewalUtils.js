@@ -0,0 +1,150 @@
+// src/utils/leaseRenewalUtils.js
+
+const { roundCurrency } = require('./lateFeeUtils');
+const { addMonths, addDays } = require('./rentEscalationUtils');
+
+// Days a tenant has to respond to a renewal offer unless the manager sets a date
+const DEFAULT_OFFER_RESPONSE_DAYS = 30;
+
+const TERM_FIELDS = ['leaseStartDate', 'leaseEndDate', 'monthlyRent', 'currency', 'paymentDueDate', 'securityDeposit', 'conditions'];
+
+/**
+ * Length of a lease in whole months, counting the end date as the last day (1 Jan - 31 Dec is 12).
+ * @param {object} lease - Lease with leaseStartDate and leaseEndDate.
+ * @returns {number} Term in months, at least 1; 12 when the lease has no dates.
+ */
+const getLeaseTermMonths = (lease) => {
+    if (!lease?.leaseStartDate || !lease?.leaseEndDate) return 12;
+
+    const start = new Date(lease.leaseStartDate);
+    const end = addDays(lease.leaseEndDate, 1);
+    const months = (end.getFullYear() - start.getFullYear()) * 12 + (end.getMonth() - start.getMonth())
+        + (end.getDate() - start.getDate()) / 30;
+
+    return Math.max(1, Math.round(months));
+};
+
+/**
+ * The terms a renewal starts from: the same rent, due date, deposit and terms as the current lease,
+ * for the same length of time, starting the day after it ends.
+ * @param {object} lease - The lease being renewed.
+ * @returns {object} Renewal terms.
+ */
+const buildDefaultRenewalTerms = (lease) => {
+    const leaseStartDate = addDays(lease.leaseEndDate, 1);
+
+    return {
+        leaseStartDate,
+        leaseEndDate: addDays(addMonths(leaseStartDate, getLeaseTermMonths(lease)), -1),
+        monthlyRent: lease.monthlyRent,
+        currency: lease.currency || 'UGX',
+        paymentDueDate: lease.paymentDueDate,
+        securityDeposit: lease.securityDeposit || 0,
+        conditions: lease.terms || null
+    };
+};
+
+/**
+ * Applies proposed changes to a set of renewal terms. Fields left out keep their current value.
+ * @param {object} base - Current terms.
+ * @param {object} [changes={}] - Proposed values for any of the term fields.
+ * @returns {object} The merged terms.
+ */
+const mergeRenewalTerms = (base, changes = {}) => {
+    const terms = {};
+
+    for (const field of TERM_FIELDS) {
+        terms[field] = changes[field] !== undefined ? changes[field] : (base?.[field] ?? null);
+    }
+
+    return {
+        ...terms,
+        leaseStartDate: terms.leaseStartDate ? new Date(terms.leaseStartDate) : null,
+        leaseEndDate: terms.leaseEndDate ? new Date(terms.leaseEndDate) : null,
+        monthlyRent: terms.monthlyRent !== null ? roundCurrency(parseFloat(terms.monthlyRent)) : null,
+        currency: terms.currency ? String(terms.currency).toUpperCase() : 'UGX',
+        paymentDueDate: terms.paymentDueDate !== null ? parseInt(terms.paymentDueDate, 10) : null,
+        securityDeposit: roundCurrency(parseFloat(terms.securityDeposit) || 0),
+        conditions: terms.conditions ? String(terms.conditions).trim() : null
+    };
+};
+
+/**
+ * Checks renewal terms against the lease they renew. The renewal has to start after the
+ * current lease ends so the two never bill the same period.
+ * @param {object} terms - Renewal terms.
+ * @param {object} lease - The lease being renewed.
+ * @returns {string|null} The first problem found, or null if the terms are valid.
+ */
+const validateRenewalTerms = (terms, lease) => {
+    if (!terms.leaseStartDate || isNaN(terms.leaseStartDate) || !terms.leaseEndDate || isNaN(terms.leaseEndDate)) {
+        return 'Renewal start and end dates are required.';
+    }
+    if (terms.leaseEndDate <= terms.leaseStartDate) {
+        return 'Renewal end date must be after its start date.';
+    }
+    if (lease?.leaseEndDate && terms.leaseStartDate <= new Date(lease.leaseEndDate)) {
+        return `The renewal must start after the current lease ends on ${new Date(lease.leaseEndDate).toDateString()}.`;
+    }
+    if (!(terms.monthlyRent >= 0)) {
+        return 'Renewal rent must be a non-negative number.';
+    }
+    if (!(terms.paymentDueDate >= 1 && terms.paymentDueDate <= 31)) {
+        return 'Payment due date must be a day of the month (1-31).';
+    }
+    if (terms.securityDeposit < 0) {
+        return 'Security deposit cannot be negative.';
+    }
+    return null;
+};
+
+/**
+ * When a sent offer lapses: the given date, or DEFAULT_OFFER_RESPONSE_DAYS after sending but
+ * no later than the end of the current lease.
+ * @param {Date} sentAt - When the offer is sent.
+ * @param {object} lease - The lease being renewed.
+ * @param {Date} [requested] - Expiry date chosen by the manager.
+ * @returns {Date} Expiry date.
+ */
+const getOfferExpiryDate = (sentAt, lease, requested) => {
+    if (requested) return new Date(requested);
+
+    const expiresAt = addDays(sentAt, DEFAULT_OFFER_RESPONSE_DAYS);
+    const leaseEnd = lease?.leaseEndDate ? new Date(lease.leaseEndDate) : null;
+    if (leaseEnd && leaseEnd > sentAt && leaseEnd < expiresAt) {
+        leaseEnd.setHours(23, 59, 59, 999);
+        return leaseEnd;
+    }
+    return expiresAt;
+};
+
+/**
+ * Whether a tenant can still accept, counter or decline an offer.
+ * @param {object} offer - LeaseRenewalOffer with status and expiresAt.
+ * @param {Date} [now=new Date()] - Current date.
+ * @returns {boolean} True while the offer is sent and not expired.
+ */
+const isOfferOpenForResponse = (offer, now = new Date()) =>
+    offer.status === 'sent' && (!offer.expiresAt || new Date(offer.expiresAt) >= now);
+
+/**
+ * How the renewal rent compares with the current rent.
+ * @param {number} currentRent - Current monthly rent.
+ * @param {number} newRent - Renewal monthly rent.
+ * @returns {object} { change, percent } with percent rounded to one decimal (null when current rent is 0).
+ */
+const summarizeRentChange = (currentRent, newRent) => ({
+    change: roundCurrency(newRent - currentRent),
+    percent: currentRent > 0 ? Math.round(((newRent - currentRent) / currentRent) * 1000) / 10 : null
+});
+
+module.exports = {
+    DEFAULT_OFFER_RESPONSE_DAYS,
+    getLeaseTermMonths,
+    buildDefaultRenewalTerms,
+    mergeRenewalTerms,
+    validateRenewalTerms,
+    getOfferExpiryDate,
+    isOfferOpenForResponse,
+    summarizeRentChange
+};
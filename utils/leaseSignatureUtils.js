@@ -0,0 +1,149 @@
+// src/utils/leaseSignatureUtils.js
+
+const crypto = require('crypto');
+const { addDays } = require('./rentEscalationUtils');
+
+// Days signers have to sign before the request's links stop working
+const DEFAULT_SIGNING_DAYS = 14;
+
+// Largest drawn signature image accepted, in bytes once decoded
+const MAX_SIGNATURE_IMAGE_BYTES = 50 * 1024;
+
+// Lease fields a signature covers; changing any of them after sending invalidates the request
+const SIGNED_LEASE_FIELDS = [
+    'property', 'unit', 'tenant', 'landlord', 'leaseStartDate', 'leaseEndDate',
+    'monthlyRent', 'currency', 'paymentDueDate', 'securityDeposit', 'terms',
+    'charges', 'withholdsTax'
+];
+
+// Fields of each recurring charge that the signature covers
+const SIGNED_CHARGE_FIELDS = ['name', 'category', 'amount', 'frequency', 'startDate', 'endDate', 'isActive'];
+
+/**
+ * SHA-256 hex digest of a string or buffer.
+ * @param {string|Buffer} content - Content to hash.
+ * @returns {string} Hex digest.
+ */
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * Fingerprint of the lease terms being signed. IDs, dates and numbers are normalized so the
+ * same terms always hash the same whether read from a document or a plain object.
+ * @param {object} lease - Lease with the fields in SIGNED_LEASE_FIELDS.
+ * @returns {string} SHA-256 hex digest.
+ */
+const computeLeaseTermsHash = (lease) => {
+    const normalize = (value) => {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        if (typeof value === 'object') {
+            return String(value._id || value);
+        }
+        return value;
+    };
+
+    const fields = {};
+
+    for (const field of SIGNED_LEASE_FIELDS) {
+        if (field === 'charges') {
+            fields.charges = (lease.charges || []).map(charge =>
+                Object.fromEntries(SIGNED_CHARGE_FIELDS.map(chargeField => [chargeField, normalize(charge[chargeField])]))
+            );
+        } else {
+            fields[field] = normalize(lease[field]);
+        }
+    }
+
+    return sha256(JSON.stringify(fields));
+};
+
+/**
+ * Checks an ordered signer list for a lease: the lease's tenant and at least one landlord must
+ * sign, nobody signs twice, and each signer has a name and email for the certificate.
+ * @param {Array<object>} signers - Signers in signing order, each { role, user, name, email }.
+ * @param {object} lease - The lease being signed.
+ * @returns {string|null} The first problem found, or null if the list is valid.
+ */
+const validateSigners = (signers, lease) => {
+    if (!Array.isArray(signers) || signers.length === 0) {
+        return 'At least one signer is required.';
+    }
+
+    const seen = new Set();
+    for (const signer of signers) {
+        const userId = String(signer.user);
+        if (seen.has(userId)) {
+            return 'Each person can only sign once.';
+        }
+        seen.add(userId);
+
+        if (!signer.name || !signer.email) {
+            return 'Every signer needs a name and email address.';
+        }
+    }
+
+    const tenants = signers.filter(signer => signer.role === 'tenant');
+    if (tenants.length !== 1 || String(tenants[0].user) !== String(lease.tenant?._id || lease.tenant)) {
+        return "The lease's tenant must sign as the tenant.";
+    }
+    if (!signers.some(signer => signer.role === 'landlord')) {
+        return 'A landlord must sign the lease.';
+    }
+    return null;
+};
+
+/**
+ * The signer whose turn it is: the first, in signing order, who has not signed.
+ * @param {Array<object>} signers - Signers with order and status.
+ * @returns {object|null} The next signer, or null when everyone has signed.
+ */
+const getNextSigner = (signers) => [...signers]
+    .sort((a, b) => a.order - b.order)
+    .find(signer => signer.status !== 'signed') || null;
+
+/**
+ * Whether every signer has signed.
+ * @param {Array<object>} signers - Signers with status.
+ * @returns {boolean} True when the list is non-empty and all have signed.
+ */
+const isFullySigned = (signers) => signers.length > 0 && signers.every(signer => signer.status === 'signed');
+
+/**
+ * When a request's links stop working: the given date, or DEFAULT_SIGNING_DAYS after sending.
+ * @param {Date} sentAt - When the request is made.
+ * @param {Date} [requested] - Date chosen by the manager.
+ * @returns {Date} Expiry date.
+ */
+const getSigningExpiryDate = (sentAt, requested) => (requested ? new Date(requested) : addDays(sentAt, DEFAULT_SIGNING_DAYS));
+
+/**
+ * Decodes a drawn signature sent as a PNG or JPEG data URL.
+ * @param {string} dataUrl - e.g. "data:image/png;base64,iVBOR...".
+ * @returns {object|null} { mimeType, buffer }, or null if it is not an image data URL or is too large.
+ */
+const parseSignatureImage = (dataUrl) => {
+    const match = /^data:(image\/(?:png|jpeg));base64,([A-Za-z0-9+/]+={0,2})$/.exec(typeof dataUrl === 'string' ? dataUrl.trim() : '');
+    if (!match) return null;
+
+    const buffer = Buffer.from(match[2], 'base64');
+    if (buffer.length === 0 || buffer.length > MAX_SIGNATURE_IMAGE_BYTES) return null;
+
+    return { mimeType: match[1], buffer };
+};
+
+module.exports = {
+    DEFAULT_SIGNING_DAYS,
+    MAX_SIGNATURE_IMAGE_BYTES,
+    SIGNED_LEASE_FIELDS,
+    sha256,
+    computeLeaseTermsHash,
+    validateSigners,
+    getNextSigner,
+    isFullySigned,
+    getSigningExpiryDate,
+    parseSignatureImage
+};
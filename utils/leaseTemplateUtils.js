@@ -0,0 +1,286 @@
+// src/utils/leaseTemplateUtils.js
+
+const { getLeaseTermMonths } = require('./leaseRenewalUtils');
+
+// Printed in place of a merge field that has no value, leaving a blank to fill in by hand
+const MISSING_VALUE_PLACEHOLDER = '__________';
+
+// Matches {{ group.field }} merge fields in template text
+const MERGE_FIELD_PATTERN = /\{\{\s*([a-zA-Z]+(?:\.[a-zA-Z]+)?)\s*\}\}/g;
+
+/**
+ * Merge fields templates can use, with how each value is printed. 'enum' values print with
+ * underscores as spaces (tenant_pays_all -> tenant pays all).
+ */
+const MERGE_FIELDS = {
+    'lease.startDate': { label: 'Lease start date', type: 'date' },
+    'lease.endDate': { label: 'Lease end date', type: 'date' },
+    'lease.termMonths': { label: 'Lease length in months', type: 'number' },
+    'lease.monthlyRent': { label: 'Monthly rent', type: 'money' },
+    'lease.currency': { label: 'Currency', type: 'text' },
+    'lease.paymentDueDate': { label: 'Day of the month rent is due', type: 'number' },
+    'lease.securityDeposit': { label: 'Security deposit', type: 'money' },
+    'lease.terms': { label: 'Additional terms', type: 'text' },
+    'lease.withholdsTax': { label: 'Tenant withholds tax', type: 'boolean' },
+    'property.name': { label: 'Property name', type: 'text' },
+    'property.address': { label: 'Property address', type: 'text' },
+    'property.city': { label: 'City', type: 'text' },
+    'property.country': { label: 'Country', type: 'text' },
+    'property.propertyType': { label: 'Property type', type: 'enum' },
+    'unit.name': { label: 'Unit name', type: 'text' },
+    'unit.floor': { label: 'Floor', type: 'text' },
+    'unit.bedrooms': { label: 'Bedrooms', type: 'number' },
+    'unit.bathrooms': { label: 'Bathrooms', type: 'number' },
+    'unit.squareFootage': { label: 'Square footage', type: 'number' },
+    'unit.utilityResponsibility': { label: 'Who pays utilities', type: 'enum' },
+    'unit.amenities': { label: 'Unit amenities', type: 'text' },
+    'tenant.fullName': { label: 'Tenant full name', type: 'text' },
+    'tenant.firstName': { label: 'Tenant first name', type: 'text' },
+    'tenant.lastName': { label: 'Tenant last name', type: 'text' },
+    'tenant.email': { label: 'Tenant email', type: 'text' },
+    'tenant.phone': { label: 'Tenant phone', type: 'text' },
+    'landlord.fullName': { label: 'Landlord full name', type: 'text' },
+    'landlord.email': { label: 'Landlord email', type: 'text' },
+    'landlord.phone': { label: 'Landlord phone', type: 'text' },
+    'today': { label: "Today's date", type: 'date' }
+};
+
+/**
+ * Joins a person's first and last name.
+ * @param {object} [person] - User with firstName and lastName.
+ * @returns {string|null} Full name, or null without a person.
+ */
+const fullName = (person) => (person ? `${person.firstName || ''} ${person.lastName || ''}`.trim() || null : null);
+
+/**
+ * Raw values for every merge field, taken from a lease and the records around it.
+ * @param {object} sources - { lease, property, unit, tenant, landlord }; any may be missing.
+ * @param {Date} [now=new Date()] - Date used for {{today}}.
+ * @returns {object} Values keyed by merge field name (e.g. 'tenant.fullName').
+ */
+const buildMergeContext = ({ lease = {}, property = {}, unit = {}, tenant = null, landlord = null } = {}, now = new Date()) => {
+    const address = property?.address || {};
+
+    return {
+        'lease.startDate': lease.leaseStartDate ? new Date(lease.leaseStartDate) : null,
+        'lease.endDate': lease.leaseEndDate ? new Date(lease.leaseEndDate) : null,
+        'lease.termMonths': lease.leaseStartDate && lease.leaseEndDate ? getLeaseTermMonths(lease) : null,
+        'lease.monthlyRent': lease.monthlyRent ?? null,
+        'lease.currency': lease.currency || 'UGX',
+        'lease.paymentDueDate': lease.paymentDueDate ?? null,
+        'lease.securityDeposit': lease.securityDeposit ?? null,
+        'lease.terms': lease.terms || null,
+        'lease.withholdsTax': !!lease.withholdsTax,
+        'property.name': property?.name || null,
+        'property.address': [address.street, address.city, address.state, address.country].filter(Boolean).join(', ') || null,
+        'property.city': address.city || null,
+        'property.country': address.country || null,
+        'property.propertyType': property?.propertyType || null,
+        'unit.name': unit?.unitName || null,
+        'unit.floor': unit?.floor || null,
+        'unit.bedrooms': unit?.numBedrooms ?? null,
+        'unit.bathrooms': unit?.numBathrooms ?? null,
+        'unit.squareFootage': unit?.squareFootage ?? null,
+        'unit.utilityResponsibility': unit?.utilityResponsibility || null,
+        'unit.amenities': (unit?.amenities || []).join(', ') || null,
+        'tenant.fullName': fullName(tenant),
+        'tenant.firstName': tenant?.firstName || null,
+        'tenant.lastName': tenant?.lastName || null,
+        'tenant.email': tenant?.email || null,
+        'tenant.phone': tenant?.phone || null,
+        'landlord.fullName': fullName(landlord),
+        'landlord.email': landlord?.email || null,
+        'landlord.phone': landlord?.phone || null,
+        'today': now
+    };
+};
+
+/**
+ * Whether a merge field has no value.
+ * @param {*} value - Raw value.
+ * @returns {boolean} True for null, undefined, empty strings and empty lists.
+ */
+const isBlank = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Prints a merge field value the way it appears in the agreement.
+ * @param {*} value - Raw value.
+ * @param {string} type - Field type from MERGE_FIELDS.
+ * @param {string} [currency='UGX'] - Currency for money fields.
+ * @returns {string} Printed value.
+ */
+const formatMergeValue = (value, type, currency = 'UGX') => {
+    switch (type) {
+        case 'date':
+            return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+        case 'money':
+            return `${Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency}`;
+        case 'number':
+            return Number(value).toLocaleString('en-US');
+        case 'boolean':
+            return value ? 'Yes' : 'No';
+        case 'enum':
+            return String(value).replace(/_/g, ' ');
+        default:
+            return String(value);
+    }
+};
+
+/**
+ * The merge fields a piece of template text uses.
+ * @param {string} text - Template text.
+ * @returns {Array<string>} Field names, each listed once.
+ */
+const findMergeFields = (text) => [...new Set([...(text || '').matchAll(MERGE_FIELD_PATTERN)].map(match => match[1]))];
+
+/**
+ * Merge fields in a piece of text that do not exist, to catch typos when a template is saved.
+ * @param {string} text - Template text.
+ * @returns {Array<string>} Unknown field names.
+ */
+const findUnknownMergeFields = (text) => findMergeFields(text).filter(field => !MERGE_FIELDS[field]);
+
+/**
+ * Replaces the merge fields in a piece of text with values from the context. Fields without a
+ * value print as a blank line and are reported.
+ * @param {string} text - Template text.
+ * @param {object} context - Values from buildMergeContext.
+ * @returns {object} { text, missing } with the names of fields that had no value.
+ */
+const renderMergeFields = (text, context) => {
+    const missing = new Set();
+
+    const rendered = (text || '').replace(MERGE_FIELD_PATTERN, (placeholder, field) => {
+        const definition = MERGE_FIELDS[field];
+        if (!definition) return placeholder;
+
+        const value = context[field];
+        if (isBlank(value)) {
+            missing.add(field);
+            return MISSING_VALUE_PLACEHOLDER;
+        }
+        return formatMergeValue(value, definition.type, context['lease.currency']);
+    });
+
+    return { text: rendered, missing: [...missing] };
+};
+
+/**
+ * Puts a field's value and a condition's value in a form that can be compared.
+ * @param {*} raw - The field's raw value.
+ * @param {*} value - The value from the condition.
+ * @returns {Array} [left, right]
+ */
+const toComparable = (raw, value) => {
+    if (raw instanceof Date) return [raw.getTime(), new Date(value).getTime()];
+    if (typeof raw === 'number') return [raw, Number(value)];
+    if (typeof raw === 'boolean') return [raw, value === true || value === 'true'];
+    return [String(raw).toLowerCase(), String(value).toLowerCase()];
+};
+
+/**
+ * Checks a clause condition is well formed.
+ * @param {object} [condition] - { field, operator, value }.
+ * @returns {string|null} The problem, or null if the condition is valid (or there is none).
+ */
+const validateCondition = (condition) => {
+    if (!condition) return null;
+
+    if (!MERGE_FIELDS[condition.field]) {
+        return `Unknown condition field "${condition.field}".`;
+    }
+    const operator = condition.operator || 'equals';
+    if (operator === 'in' && !Array.isArray(condition.value)) {
+        return 'An "in" condition needs a list of values.';
+    }
+    if (!['exists', 'not_exists'].includes(operator) && isBlank(condition.value)) {
+        return `A "${operator}" condition needs a value.`;
+    }
+    return null;
+};
+
+/**
+ * Whether a clause's condition holds for a lease. A clause without a condition is always included.
+ * @param {object} [condition] - { field, operator, value }.
+ * @param {object} context - Values from buildMergeContext.
+ * @returns {boolean} True if the clause should be included.
+ */
+const evaluateCondition = (condition, context) => {
+    if (!condition || !condition.field) return true;
+
+    const raw = context[condition.field];
+    const operator = condition.operator || 'equals';
+
+    if (operator === 'exists') return !isBlank(raw);
+    if (operator === 'not_exists') return isBlank(raw);
+    if (isBlank(raw)) return operator === 'not_equals';
+
+    const matches = (value) => {
+        const [left, right] = toComparable(raw, value);
+        return left === right;
+    };
+
+    switch (operator) {
+        case 'equals':
+            return matches(condition.value);
+        case 'not_equals':
+            return !matches(condition.value);
+        case 'greater_than': {
+            const [left, right] = toComparable(raw, condition.value);
+            return left > right;
+        }
+        case 'less_than': {
+            const [left, right] = toComparable(raw, condition.value);
+            return left < right;
+        }
+        case 'in':
+            return Array.isArray(condition.value) && condition.value.some(matches);
+        case 'contains':
+            return String(raw).toLowerCase().includes(String(condition.value).toLowerCase());
+        default:
+            return false;
+    }
+};
+
+/**
+ * Builds the text of a lease agreement from a template: the preamble and the sections whose
+ * conditions hold, numbered in order, with merge fields filled in.
+ * @param {object} template - LeaseTemplate with title, preamble and sections.
+ * @param {object} context - Values from buildMergeContext.
+ * @returns {object} { title, preamble, sections: [{ title, body }], missingFields }
+ */
+const assembleLeaseTemplate = (template, context) => {
+    const missing = new Set();
+    const render = (text) => {
+        const result = renderMergeFields(text, context);
+        result.missing.forEach(field => missing.add(field));
+        return result.text;
+    };
+
+    const sections = (template.sections || [])
+        .filter(section => evaluateCondition(section.condition, context))
+        .map((section, index) => ({
+            title: `${index + 1}. ${render(section.title)}`,
+            body: render(section.body)
+        }));
+
+    return {
+        title: render(template.title || 'Residential Lease Agreement'),
+        preamble: template.preamble ? render(template.preamble) : null,
+        sections,
+        missingFields: [...missing]
+    };
+};
+
+module.exports = {
+    MERGE_FIELDS,
+    MISSING_VALUE_PLACEHOLDER,
+    buildMergeContext,
+    formatMergeValue,
+    findMergeFields,
+    findUnknownMergeFields,
+    renderMergeFields,
+    validateCondition,
+    evaluateCondition,
+    assembleLeaseTemplate
+};
@@ -0,0 +1,287 @@
+// src/utils/ledgerUtils.js
+
+const { roundCurrency } = require('./lateFeeUtils');
+const { sumTaxes } = require('./taxUtils');
+
+/**
+ * Creates a ledger entry. Every entry moves money between two accounts; from the tenant's
+ * point of view a debit increases what they owe and a credit reduces it.
+ * @param {object} fields - Entry fields.
+ * @returns {object} Ledger entry.
+ */
+const createEntry = ({ date, type, description, debitAccount, creditAccount, debit = 0, credit = 0, reference = null }) => ({
+    date: new Date(date),
+    type,
+    description,
+    debitAccount,
+    creditAccount,
+    debit: roundCurrency(debit),
+    credit: roundCurrency(credit),
+    reference
+});
+
+/**
+ * Turns a rent record into ledger entries: the rent charge, each recurring lease charge, tax
+ * charged and withheld, each late fee (and its waiver), each payment, and a write-off if the
+ * record was waived.
+ * Legacy records without a payment history get a single payment entry from amountPaid.
+ * @param {object} rent - Rent document.
+ * @returns {Array<object>} Ledger entries for the rent record.
+ */
+const buildRentEntries = (rent) => {
+    const reference = { resourceType: 'Rent', resourceId: rent._id };
+    const entries = [];
+
+    entries.push(createEntry({
+        date: rent.dueDate,
+        type: 'rent_charge',
+        description: `Rent for ${rent.billingPeriod}`,
+        debitAccount: 'tenant_receivable',
+        creditAccount: 'rent_income',
+        debit: rent.amountDue,
+        reference
+    }));
+
+    for (const charge of rent.charges || []) {
+        entries.push(createEntry({
+            date: rent.dueDate,
+            type: charge.meterReading ? 'utility_charge' : 'recurring_charge',
+            description: `${charge.name} for ${rent.billingPeriod}${charge.quantity > 1 ? ` (x${charge.quantity})` : ''}`,
+            debitAccount: 'tenant_receivable',
+            creditAccount: 'charge_income',
+            debit: charge.amount,
+            reference
+        }));
+    }
+
+    // VAT is owed to the tax authority; tax the tenant withholds is paid over on the landlord's
+    // behalf and reclaimed against the certificate, so it clears the tenant's balance
+    for (const tax of rent.taxes || []) {
+        const withheld = tax.type === 'withholding';
+        entries.push(createEntry({
+            date: rent.dueDate,
+            type: withheld ? 'tax_withheld' : 'tax_charge',
+            description: `${tax.name} (${tax.rate}%) on ${tax.category === 'rent' ? 'rent' : tax.category.replace(/_/g, ' ')} for ${rent.billingPeriod}`,
+            debitAccount: withheld ? 'withholding_tax_receivable' : 'tenant_receivable',
+            creditAccount: withheld ? 'tenant_receivable' : 'tax_payable',
+            debit: withheld ? 0 : tax.amount,
+            credit: withheld ? tax.amount : 0,
+            reference
+        }));
+    }
+
+    for (const fee of rent.lateFees || []) {
+        entries.push(createEntry({
+            date: fee.assessedAt || rent.dueDate,
+            type: 'late_fee',
+            description: fee.description || 'Late fee',
+            debitAccount: 'tenant_receivable',
+            creditAccount: 'late_fee_income',
+            debit: fee.amount,
+            reference
+        }));
+
+        if (fee.status === 'waived') {
+            entries.push(createEntry({
+                date: fee.waivedAt || fee.assessedAt || rent.dueDate,
+                type: 'late_fee_waiver',
+                description: `Late fee waived${fee.waiverReason ? `: ${fee.waiverReason}` : ''}`,
+                debitAccount: 'late_fee_income',
+                creditAccount: 'tenant_receivable',
+                credit: fee.amount,
+                reference
+            }));
+        }
+    }
+
+    const payments = rent.paymentHistory && rent.paymentHistory.length > 0
+        ? rent.paymentHistory
+        : (rent.amountPaid > 0
+            ? [{ date: rent.paymentDate || rent.dueDate, amount: rent.amountPaid, method: rent.paymentMethod, transactionId: rent.transactionId }]
+            : []);
+
+    for (const payment of payments) {
+        // Credit drawn from the lease balance was already recorded when the overpayment came in
+        if (payment.source === 'credit') {
+            continue;
+        }
+
+        const method = payment.method ? ` (${payment.method.replace(/_/g, ' ')})` : '';
+        entries.push(createEntry({
+            date: payment.date || rent.paymentDate || rent.dueDate,
+            type: 'payment',
+            description: `Payment received${method}${payment.transactionId ? ` - Ref ${payment.transactionId}` : ''}`,
+            debitAccount: 'cash',
+            creditAccount: 'tenant_receivable',
+            credit: payment.amount,
+            reference
+        }));
+    }
+
+    if (rent.status === 'waived') {
+        const charges = (rent.charges || []).reduce((sum, charge) => sum + charge.amount, 0);
+        const { taxTotal, withholdingTotal } = sumTaxes(rent.taxes);
+        const outstanding = roundCurrency((rent.amountDue || 0) + charges + taxTotal - withholdingTotal - (rent.amountPaid || 0));
+        if (outstanding > 0) {
+            entries.push(createEntry({
+                date: rent.updatedAt || rent.dueDate,
+                type: 'rent_waiver',
+                description: `Rent for ${rent.billingPeriod} waived`,
+                debitAccount: 'rent_income',
+                creditAccount: 'tenant_receivable',
+                credit: outstanding,
+                reference
+            }));
+        }
+    }
+
+    return entries;
+};
+
+/**
+ * Ledger entry for the part of a lease payment that was not allocated to any rent record
+ * and is held as credit on the lease.
+ * @param {object} leasePayment - LeasePayment document.
+ * @returns {Array<object>} Ledger entries (empty if there was no overpayment).
+ */
+const buildLeasePaymentEntries = (leasePayment) => {
+    if (!leasePayment?.creditAmount) {
+        return [];
+    }
+
+    return [createEntry({
+        date: leasePayment.paymentDate,
+        type: 'overpayment',
+        description: `Overpayment held as credit${leasePayment.transactionId ? ` - Ref ${leasePayment.transactionId}` : ''}`,
+        debitAccount: 'cash',
+        creditAccount: 'tenant_receivable',
+        credit: leasePayment.creditAmount,
+        reference: { resourceType: 'LeasePayment', resourceId: leasePayment._id }
+    })];
+};
+
+/**
+ * Ledger entries for the security deposit held against a lease. The deposit is a liability
+ * to the tenant, so it is kept in its own account and never offsets rent owed.
+ * When a SecurityDeposit record exists its receipts, issued deductions and refund are used;
+ * otherwise the agreed Lease.securityDeposit is shown as held from the lease start.
+ * @param {object} lease - Lease document.
+ * @param {object} [deposit=null] - SecurityDeposit document.
+ * @returns {Array<object>} Deposit ledger entries.
+ */
+const buildDepositEntries = (lease, deposit = null) => {
+    if (deposit) {
+        const reference = { resourceType: 'SecurityDeposit', resourceId: deposit._id };
+        const entries = (deposit.receipts || []).map(receipt => createEntry({
+            date: receipt.receivedAt,
+            type: 'deposit_held',
+            description: `Security deposit received${receipt.method ? ` (${receipt.method})` : ''}`,
+            debitAccount: 'cash',
+            creditAccount: 'security_deposit',
+            credit: receipt.amount,
+            reference
+        }));
+
+        // Deductions only come out of the deposit once the disposition is issued, and never
+        // more than was held; anything beyond that is owed by the tenant separately
+        if (deposit.disposition?.issuedAt) {
+            let remaining = entries.reduce((sum, entry) => sum + entry.credit, 0);
+            for (const deduction of deposit.deductions || []) {
+                const amount = Math.min(deduction.amount, remaining);
+                if (amount <= 0) break;
+                remaining -= amount;
+
+                entries.push(createEntry({
+                    date: deposit.disposition.issuedAt,
+                    type: 'deposit_deduction',
+                    description: `Deposit deduction: ${deduction.description}`,
+                    debitAccount: 'security_deposit',
+                    creditAccount: 'deposit_deductions',
+                    debit: amount,
+                    reference
+                }));
+            }
+        }
+
+        if (deposit.refund?.paidAt && deposit.refund.amount > 0) {
+            entries.push(createEntry({
+                date: deposit.refund.paidAt,
+                type: 'deposit_refund',
+                description: 'Security deposit refunded',
+                debitAccount: 'security_deposit',
+                creditAccount: 'cash',
+                debit: deposit.refund.amount,
+                reference
+            }));
+        }
+
+        return entries;
+    }
+
+    if (!lease?.securityDeposit) {
+        return [];
+    }
+
+    return [createEntry({
+        date: lease.leaseStartDate,
+        type: 'deposit_held',
+        description: 'Security deposit held',
+        debitAccount: 'cash',
+        creditAccount: 'security_deposit',
+        credit: lease.securityDeposit,
+        reference: { resourceType: 'Lease', resourceId: lease._id }
+    })];
+};
+
+/**
+ * Sorts entries by date and computes the running balance. Entries before the start date
+ * are rolled into the opening balance; entries after the end date are dropped.
+ * Charges sort before payments on the same day so the balance never dips below zero
+ * just because of ordering.
+ * @param {Array<object>} entries - Ledger entries.
+ * @param {object} [period={}] - Optional { startDate, endDate }.
+ * @returns {object} { openingBalance, entries, totals: { debit, credit }, closingBalance }
+ */
+const buildLedger = (entries, period = {}) => {
+    const startDate = period.startDate ? new Date(period.startDate) : null;
+    const endDate = period.endDate ? new Date(period.endDate) : null;
+
+    const sorted = [...entries].sort((a, b) => (a.date - b.date) || (b.debit - a.debit));
+
+    let balance = 0;
+    let openingBalance = 0;
+    const totals = { debit: 0, credit: 0 };
+    const rows = [];
+
+    for (const entry of sorted) {
+        if (endDate && entry.date > endDate) {
+            continue;
+        }
+
+        balance = roundCurrency(balance + entry.debit - entry.credit);
+
+        if (startDate && entry.date < startDate) {
+            openingBalance = balance;
+            continue;
+        }
+
+        totals.debit = roundCurrency(totals.debit + entry.debit);
+        totals.credit = roundCurrency(totals.credit + entry.credit);
+        rows.push({ ...entry, balance });
+    }
+
+    return {
+        openingBalance,
+        entries: rows,
+        totals,
+        closingBalance: balance
+    };
+};
+
+module.exports = {
+    createEntry,
+    buildRentEntries,
+    buildLeasePaymentEntries,
+    buildDepositEntries,
+    buildLedger
+};
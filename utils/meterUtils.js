@@ -0,0 +1,168 @@
+// src/utils/meterUtils.js
+
+const { roundCurrency, daysBetween } = require('./lateFeeUtils');
+
+// A reading is flagged as a spike when its daily use is this many times the recent average
+const DEFAULT_SPIKE_FACTOR = 3;
+
+// Readings used for the recent average
+const SPIKE_HISTORY_SIZE = 6;
+
+const DEFAULT_UNIT_OF_MEASURE = {
+    water: 'm³',
+    electricity: 'kWh',
+    gas: 'm³'
+};
+
+/**
+ * Consumption since the previous reading. A reset (replaced or rolled-over) meter counts from zero.
+ * @param {number|null} previousValue - Previous reading, or null for the first reading.
+ * @param {number} value - New reading.
+ * @param {boolean} [isMeterReset=false] - Whether the meter was reset before this reading.
+ * @returns {number} Units consumed; never negative.
+ */
+const calculateConsumption = (previousValue, value, isMeterReset = false) => {
+    if (isMeterReset || previousValue === null || previousValue === undefined) {
+        return isMeterReset ? roundCurrency(value) : 0;
+    }
+    return roundCurrency(Math.max(value - previousValue, 0));
+};
+
+/**
+ * Prices consumption on a tiered tariff. Each block is charged at its own rate (the first
+ * `upTo` units at the first rate, the next units at the second rate and so on) plus the
+ * tariff's fixed charge.
+ * @param {number} consumption - Units consumed.
+ * @param {object} tariff - { currency, fixedCharge, tiers: [{ upTo, rate }] } with the last tier open-ended.
+ * @returns {object} { amount, breakdown: [{ from, to, units, rate, amount }], calculation }
+ */
+const calculateTieredCharge = (consumption, tariff) => {
+    const currency = tariff.currency || 'UGX';
+    const breakdown = [];
+    let remaining = Math.max(consumption, 0);
+    let from = 0;
+
+    for (const tier of tariff.tiers || []) {
+        if (remaining <= 0) break;
+
+        const blockSize = tier.upTo === null || tier.upTo === undefined ? remaining : Math.max(tier.upTo - from, 0);
+        const units = roundCurrency(Math.min(remaining, blockSize));
+        if (units > 0) {
+            breakdown.push({
+                from,
+                to: tier.upTo ?? null,
+                units,
+                rate: tier.rate,
+                amount: roundCurrency(units * tier.rate)
+            });
+            remaining = roundCurrency(remaining - units);
+        }
+        from = tier.upTo ?? from;
+    }
+
+    const fixedCharge = tariff.fixedCharge || 0;
+    const amount = roundCurrency(breakdown.reduce((sum, block) => sum + block.amount, 0) + fixedCharge);
+
+    const parts = breakdown.map(block => `${block.units} × ${currency} ${block.rate.toLocaleString()}`);
+    if (fixedCharge > 0) {
+        parts.push(`${currency} ${fixedCharge.toLocaleString()} fixed`);
+    }
+
+    return {
+        amount,
+        breakdown,
+        calculation: parts.length ? `${parts.join(' + ')} = ${currency} ${amount.toLocaleString()}` : null
+    };
+};
+
+/**
+ * Picks the tariff in force on a date: the active tariff with the latest effective date on or before it.
+ * @param {Array<object>} tariffs - Tariffs for the property and utility.
+ * @param {Date} date - Reading date.
+ * @returns {object|null} Tariff, or null if none applies.
+ */
+const findApplicableTariff = (tariffs = [], date) => tariffs
+    .filter(tariff => tariff.isActive !== false && new Date(tariff.effectiveFrom) <= new Date(date))
+    .sort((a, b) => new Date(b.effectiveFrom) - new Date(a.effectiveFrom))[0] || null;
+
+/**
+ * Checks a new reading for problems worth a manager's attention before it is billed: a dial that
+ * went backwards (without a meter reset) and daily use far above the meter's recent average.
+ * @param {object} reading - { value, readAt, previousValue, previousReadAt, isMeterReset }
+ * @param {Array<object>} [history=[]] - Recent readings { consumption, previousReadAt, readAt }, newest first.
+ * @param {number} [spikeFactor=DEFAULT_SPIKE_FACTOR] - Multiple of the average daily use that counts as a spike.
+ * @returns {Array<object>} Anomalies { type, message }; empty when the reading looks normal.
+ */
+const detectReadingAnomalies = (reading, history = [], spikeFactor = DEFAULT_SPIKE_FACTOR) => {
+    const anomalies = [];
+    const { value, readAt, previousValue, previousReadAt, isMeterReset } = reading;
+
+    if (isMeterReset || previousValue === null || previousValue === undefined) {
+        return anomalies;
+    }
+
+    if (value < previousValue) {
+        anomalies.push({
+            type: 'rollback',
+            message: `Reading ${value} is lower than the previous reading ${previousValue}.`
+        });
+        return anomalies;
+    }
+
+    // Compare use per day so readings taken at uneven intervals are comparable
+    const dailyUse = (consumption, from, to) => consumption / Math.max(daysBetween(from, to), 1);
+
+    const recent = history
+        .filter(item => item.previousReadAt && item.readAt)
+        .slice(0, SPIKE_HISTORY_SIZE);
+    if (!recent.length || !previousReadAt) {
+        return anomalies;
+    }
+
+    const averageDailyUse = recent.reduce((sum, item) => sum + dailyUse(item.consumption, item.previousReadAt, item.readAt), 0) / recent.length;
+    const currentDailyUse = dailyUse(value - previousValue, previousReadAt, readAt);
+
+    if (averageDailyUse > 0 && currentDailyUse > averageDailyUse * spikeFactor) {
+        anomalies.push({
+            type: 'spike',
+            message: `Daily use of ${roundCurrency(currentDailyUse)} is ${roundCurrency(currentDailyUse / averageDailyUse)}× the recent average of ${roundCurrency(averageDailyUse)}.`
+        });
+    }
+
+    return anomalies;
+};
+
+/**
+ * Rent charge lines for priced meter readings, one per reading.
+ * @param {Array<object>} readings - Readings with charge and (optionally populated) meter.
+ * @returns {Array<object>} Rent charge lines { meterReading, name, category, frequency, quantity, amount, calculation }.
+ */
+const buildUtilityChargeLines = (readings = []) => readings.map(reading => {
+    const dateFormat = { month: 'short', day: 'numeric' };
+    const unitOfMeasure = reading.meter?.unitOfMeasure || DEFAULT_UNIT_OF_MEASURE[reading.utilityType] || 'units';
+    const utility = reading.utilityType.charAt(0).toUpperCase() + reading.utilityType.slice(1);
+    const range = reading.previousReadAt
+        ? `${new Date(reading.previousReadAt).toLocaleDateString('en-US', dateFormat)} - ${new Date(reading.readAt).toLocaleDateString('en-US', dateFormat)}`
+        : new Date(reading.readAt).toLocaleDateString('en-US', dateFormat);
+
+    return {
+        charge: null,
+        meterReading: reading._id,
+        name: `${utility}: ${reading.consumption} ${unitOfMeasure} (${range})`,
+        category: 'utility',
+        frequency: null,
+        quantity: 1,
+        amount: reading.charge.amount,
+        calculation: reading.charge.calculation || null
+    };
+});
+
+module.exports = {
+    DEFAULT_SPIKE_FACTOR,
+    DEFAULT_UNIT_OF_MEASURE,
+    calculateConsumption,
+    calculateTieredCharge,
+    findApplicableTariff,
+    detectReadingAnomalies,
+    buildUtilityChargeLines
+};
@@ -0,0 +1,128 @@
+// src/utils/ownerStatementUtils.js
+
+const { roundCurrency } = require('./lateFeeUtils');
+
+const STATEMENT_PERIOD_REGEX = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+/**
+ * First and last moment of a statement month.
+ * @param {string} period - Month label, e.g. '2025-03'.
+ * @returns {object|null} { start, end }, or null if the label is not a month.
+ */
+const getStatementPeriodRange = (period) => {
+    const match = STATEMENT_PERIOD_REGEX.exec(period || '');
+    if (!match) {
+        return null;
+    }
+
+    const year = parseInt(match[1], 10);
+    const month = parseInt(match[2], 10) - 1;
+
+    return {
+        start: new Date(year, month, 1),
+        end: new Date(year, month + 1, 0, 23, 59, 59, 999)
+    };
+};
+
+/**
+ * The month before the one a date falls in; owner statements are drawn up once a month has closed.
+ * @param {Date} [asOfDate=new Date()] - Reference date.
+ * @returns {string} Month label, e.g. '2025-02'.
+ */
+const getPreviousStatementPeriod = (asOfDate = new Date()) => {
+    const date = new Date(asOfDate);
+    const previous = new Date(date.getFullYear(), date.getMonth() - 1, 1);
+    return `${previous.getFullYear()}-${String(previous.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Works out a property's management fee for a month.
+ * @param {object|null} feePolicy - Property management fee (see ManagementFeeSchema).
+ * @param {object} basis - { rentCollected, unitCount, currency }.
+ * @returns {object} { amount, basis } where basis describes how the fee was charged.
+ */
+const calculateManagementFee = (feePolicy, { rentCollected = 0, unitCount = 0, currency = 'UGX' } = {}) => {
+    if (!feePolicy) {
+        return { amount: 0, basis: 'No management fee' };
+    }
+
+    if (feePolicy.type === 'flat_per_unit') {
+        const amountPerUnit = feePolicy.amountPerUnit || 0;
+        return {
+            amount: roundCurrency(amountPerUnit * unitCount),
+            basis: `${unitCount} unit(s) at ${currency} ${amountPerUnit.toLocaleString()}`
+        };
+    }
+
+    const rate = feePolicy.rate || 0;
+    return {
+        amount: roundCurrency(rentCollected * rate / 100),
+        basis: `${rate}% of rent collected`
+    };
+};
+
+/**
+ * Adds up an owner statement: rent collected less expenses and the management fee for each property.
+ * Payments and expenses in a currency other than the statement's are left off and listed under `excluded`.
+ * @param {object} options - Options.
+ * @param {string} [options.currency='UGX'] - Statement currency.
+ * @param {Array<object>} options.properties - { property, propertyName, unitCount, managementFee,
+ *   collections: [{ amount, currency, ... }], expenseItems: [{ amount, currency, ... }] }.
+ * @returns {object} { properties, totals, excluded }
+ */
+const buildOwnerStatement = ({ currency = 'UGX', properties = [] }) => {
+    const excluded = new Map();
+    const totals = { rentCollected: 0, expenses: 0, managementFee: 0, netDue: 0 };
+
+    // Sums the items in the statement currency and sets the rest aside
+    const sumInCurrency = (items, source) => items.reduce((sum, item) => {
+        const itemCurrency = item.currency || 'UGX';
+        if (itemCurrency === currency) {
+            return roundCurrency(sum + item.amount);
+        }
+
+        const key = `${source}:${itemCurrency}`;
+        const other = excluded.get(key) || { source, currency: itemCurrency, amount: 0, count: 0 };
+        other.amount = roundCurrency(other.amount + item.amount);
+        other.count++;
+        excluded.set(key, other);
+        return sum;
+    }, 0);
+
+    const lines = properties.map(({ managementFee: feePolicy, collections = [], expenseItems = [], ...property }) => {
+        const rentCollected = sumInCurrency(collections, 'rent');
+        const expenses = sumInCurrency(expenseItems, 'expense');
+        const fee = calculateManagementFee(feePolicy, { rentCollected, unitCount: property.unitCount || 0, currency });
+        const netDue = roundCurrency(rentCollected - expenses - fee.amount);
+
+        totals.rentCollected = roundCurrency(totals.rentCollected + rentCollected);
+        totals.expenses = roundCurrency(totals.expenses + expenses);
+        totals.managementFee = roundCurrency(totals.managementFee + fee.amount);
+        totals.netDue = roundCurrency(totals.netDue + netDue);
+
+        return {
+            ...property,
+            feeType: feePolicy?.type || null,
+            feeBasis: fee.basis,
+            rentCollected,
+            expenses,
+            managementFee: fee.amount,
+            netDue,
+            collections: collections.filter(item => (item.currency || 'UGX') === currency),
+            expenseItems: expenseItems.filter(item => (item.currency || 'UGX') === currency)
+        };
+    });
+
+    return {
+        properties: lines,
+        totals,
+        excluded: [...excluded.values()]
+    };
+};
+
+module.exports = {
+    getStatementPeriodRange,
+    getPreviousStatementPeriod,
+    calculateManagementFee,
+    buildOwnerStatement
+};
@@ -0,0 +1,110 @@
+// src/utils/paymentAllocationUtils.js
+
+const { roundCurrency } = require('./lateFeeUtils');
+const { sumTaxes } = require('./taxUtils');
+
+/**
+ * What the tenant still owes on a rent record, including recurring charges, tax (less tax withheld)
+ * and active late fees.
+ * @param {object} rent - Rent document or plain object.
+ * @returns {number} Outstanding amount (never negative).
+ */
+const getOutstandingAmount = (rent) => {
+    if (typeof rent.balanceDue === 'number') {
+        return roundCurrency(rent.balanceDue);
+    }
+
+    const lateFees = (rent.lateFees || [])
+        .filter(fee => fee.status !== 'waived')
+        .reduce((sum, fee) => sum + fee.amount, 0);
+
+    const charges = (rent.charges || []).reduce((sum, charge) => sum + charge.amount, 0);
+    const { taxTotal, withholdingTotal } = sumTaxes(rent.taxes);
+
+    return roundCurrency(Math.max((rent.amountDue || 0) + charges + taxTotal - withholdingTotal + lateFees - (rent.amountPaid || 0), 0));
+};
+
+/**
+ * Splits a payment across open rent records.
+ * Without instructions the money goes to the oldest due date first. With instructions
+ * ([{ rent, amount }]) each listed record gets exactly the amount asked for. Whatever is
+ * left over in either case is returned as unallocated, to be held as a credit.
+ * @param {number} amount - Payment amount.
+ * @param {Array<object>} rents - Open rent records for the lease.
+ * @param {Array<object>} [instructions] - Optional explicit allocations.
+ * @returns {object} { allocations: [{ rent, amount, outstandingBefore, outstandingAfter }], unallocated }
+ * @throws {Error} If an instruction targets an unknown record, over-allocates a record, or exceeds the payment.
+ */
+const allocatePayment = (amount, rents, instructions) => {
+    let remaining = roundCurrency(amount);
+    const allocations = [];
+
+    if (instructions && instructions.length > 0) {
+        const rentsById = new Map(rents.map(rent => [rent._id.toString(), rent]));
+        const seen = new Set();
+
+        for (const instruction of instructions) {
+            const rentId = instruction.rent.toString();
+            const rent = rentsById.get(rentId);
+            const requested = roundCurrency(instruction.amount);
+
+            if (!rent) {
+                throw new Error(`Rent record ${rentId} is not an open rent record on this lease.`);
+            }
+            if (seen.has(rentId)) {
+                throw new Error(`Rent record ${rentId} is listed more than once.`);
+            }
+            seen.add(rentId);
+
+            const outstanding = getOutstandingAmount(rent);
+            if (requested <= 0) {
+                throw new Error(`Allocation for rent record ${rentId} must be greater than zero.`);
+            }
+            if (requested > outstanding) {
+                throw new Error(`Allocation of ${requested} for rent record ${rentId} exceeds the outstanding ${outstanding}.`);
+            }
+            if (requested > remaining) {
+                throw new Error('Allocations exceed the payment amount.');
+            }
+
+            remaining = roundCurrency(remaining - requested);
+            allocations.push({
+                rent,
+                amount: requested,
+                outstandingBefore: outstanding,
+                outstandingAfter: roundCurrency(outstanding - requested)
+            });
+        }
+
+        return { allocations, unallocated: remaining };
+    }
+
+    const oldestFirst = [...rents].sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+
+    for (const rent of oldestFirst) {
+        if (remaining <= 0) {
+            break;
+        }
+
+        const outstanding = getOutstandingAmount(rent);
+        if (outstanding <= 0) {
+            continue;
+        }
+
+        const applied = Math.min(outstanding, remaining);
+        remaining = roundCurrency(remaining - applied);
+        allocations.push({
+            rent,
+            amount: applied,
+            outstandingBefore: outstanding,
+            outstandingAfter: roundCurrency(outstanding - applied)
+        });
+    }
+
+    return { allocations, unallocated: remaining };
+};
+
+module.exports = {
+    getOutstandingAmount,
+    allocatePayment
+};
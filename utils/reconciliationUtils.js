@@ -0,0 +1,120 @@
+// src/utils/reconciliationUtils.js
+
+const { daysBetween, roundCurrency } = require('./lateFeeUtils');
+const { getOutstandingAmount } = require('./paymentAllocationUtils');
+const { normalizePhone } = require('./statementParser');
+
+// A line is matched automatically only when the best candidate scores at least MATCH_SCORE
+// and beats the runner-up by MATCH_MARGIN; anything under MINIMUM_SCORE is not a candidate.
+const MATCH_SCORE = 60;
+const MATCH_MARGIN = 15;
+const MINIMUM_SCORE = 35;
+const MAX_CANDIDATES = 5;
+
+const normalizeText = (value) => String(value || '').toLowerCase();
+
+/**
+ * Scores how likely it is that a statement line pays a given rent record.
+ * Signals: amount against the balance or rent due, the rent/unit/tenant in the reference,
+ * the payer's phone against the tenant's, and how close the line date is to the due date.
+ * @param {object} line - Parsed statement line.
+ * @param {object} rent - Open rent record with tenant (firstName, lastName, phone) and unit (unitName) populated.
+ * @returns {object} { score, reasons }
+ */
+const scoreCandidate = (line, rent) => {
+    let score = 0;
+    const reasons = [];
+
+    const outstanding = getOutstandingAmount(rent);
+    const amount = roundCurrency(line.amount);
+
+    if (amount === outstanding) {
+        score += 40;
+        reasons.push('Amount matches balance due');
+    } else if (amount === roundCurrency(rent.amountDue)) {
+        score += 35;
+        reasons.push('Amount matches rent due');
+    } else if (amount < outstanding) {
+        score += 10;
+        reasons.push('Partial payment of balance due');
+    }
+
+    const text = normalizeText(`${line.reference} ${line.description}`);
+    const rentId = rent._id.toString().toLowerCase();
+    let referenceScore = 0;
+
+    if (text.includes(rentId) || (rentId.length >= 6 && text.includes(rentId.slice(-6)))) {
+        referenceScore += 35;
+        reasons.push('Reference contains the rent record ID');
+    }
+
+    const unitName = normalizeText(rent.unit?.unitName);
+    if (unitName && new RegExp(`(^|[^a-z0-9])${unitName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([^a-z0-9]|$)`).test(text)) {
+        referenceScore += 15;
+        reasons.push('Reference mentions the unit');
+    }
+
+    const names = [rent.tenant?.firstName, rent.tenant?.lastName]
+        .map(normalizeText)
+        .filter(name => name.length >= 3);
+    if (names.some(name => text.includes(name))) {
+        referenceScore += 15;
+        reasons.push('Reference mentions the tenant');
+    }
+
+    score += Math.min(referenceScore, 40);
+
+    const tenantPhone = normalizePhone(rent.tenant?.phone);
+    if (line.phoneNumber && tenantPhone && line.phoneNumber === tenantPhone) {
+        score += 35;
+        reasons.push('Payer phone matches the tenant');
+    }
+
+    if (line.date && rent.dueDate) {
+        const distance = Math.abs(daysBetween(rent.dueDate, line.date));
+        if (distance <= 7) {
+            score += 15;
+            reasons.push('Paid within a week of the due date');
+        } else if (distance <= 31) {
+            score += 8;
+            reasons.push('Paid within a month of the due date');
+        }
+    }
+
+    return { score, reasons };
+};
+
+/**
+ * Ranks the open rent records for a statement line and decides whether it is matched,
+ * ambiguous (two or more plausible records) or unmatched.
+ * @param {object} line - Parsed statement line.
+ * @param {Array<object>} rents - Open rent records for the property.
+ * @returns {object} { status, suggestedRent, candidates: [{ rent, score, reasons }] }
+ */
+const classifyLine = (line, rents) => {
+    const candidates = rents
+        .map(rent => ({ rent, ...scoreCandidate(line, rent) }))
+        .filter(candidate => candidate.score >= MINIMUM_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATES);
+
+    const [best, runnerUp] = candidates;
+
+    if (!best) {
+        return { status: 'unmatched', suggestedRent: null, candidates };
+    }
+
+    if (best.score >= MATCH_SCORE && (!runnerUp || best.score - runnerUp.score >= MATCH_MARGIN)) {
+        return { status: 'matched', suggestedRent: best.rent, candidates };
+    }
+
+    return { status: 'ambiguous', suggestedRent: best.rent, candidates };
+};
+
+module.exports = {
+    MATCH_SCORE,
+    MATCH_MARGIN,
+    MINIMUM_SCORE,
+    scoreCandidate,
+    classifyLine
+};
@@ -0,0 +1,169 @@
+// src/utils/rentEscalationUtils.js
+
+const { roundCurrency } = require('./lateFeeUtils');
+
+/**
+ * Picks the escalation rule that applies to a rent schedule. An enabled rule on the schedule
+ * overrides the lease's rule.
+ * @param {object} schedule - RentSchedule document.
+ * @param {object} lease - Lease document.
+ * @returns {object|null} The applicable rule, or null if none is enabled.
+ */
+const resolveEscalationRule = (schedule, lease) => {
+    if (schedule?.escalation?.enabled) {
+        return schedule.escalation;
+    }
+    if (lease?.rentEscalation?.enabled) {
+        return lease.rentEscalation;
+    }
+    return null;
+};
+
+/**
+ * Adds calendar months to a date, clamping to the last day of shorter months (31 Jan + 1 = 28/29 Feb).
+ * @param {Date} date - Start date.
+ * @param {number} months - Months to add.
+ * @returns {Date} New date at midnight.
+ */
+const addMonths = (date, months) => {
+    const start = new Date(date);
+    const target = new Date(start.getFullYear(), start.getMonth() + months, 1);
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(start.getDate(), lastDay));
+    return target;
+};
+
+/**
+ * Adds days to a date, returning midnight of the resulting day.
+ * @param {Date} date - Start date.
+ * @param {number} days - Days to add (may be negative).
+ * @returns {Date} New date at midnight.
+ */
+const addDays = (date, days) => {
+    const result = new Date(date);
+    result.setHours(0, 0, 0, 0);
+    result.setDate(result.getDate() + days);
+    return result;
+};
+
+/**
+ * Works out when a schedule's rent next goes up: the rule's explicit date if set, otherwise the
+ * first lease anniversary (every intervalMonths from the lease start) after the schedule started.
+ * @param {object} rule - Escalation rule (see RentEscalationSchema).
+ * @param {object} schedule - RentSchedule with effectiveStartDate.
+ * @param {object} [lease] - Lease with leaseStartDate.
+ * @returns {Date} Next escalation date.
+ */
+const getNextEscalationDate = (rule, schedule, lease) => {
+    if (rule.nextEscalationDate) {
+        return addDays(rule.nextEscalationDate, 0);
+    }
+
+    const scheduleStart = addDays(schedule.effectiveStartDate, 0);
+    const anchor = lease?.leaseStartDate ? new Date(lease.leaseStartDate) : scheduleStart;
+    const interval = rule.intervalMonths || 12;
+
+    let periods = 1;
+    let next = addMonths(anchor, interval);
+    while (next <= scheduleStart) {
+        periods++;
+        next = addMonths(anchor, interval * periods);
+    }
+    return next;
+};
+
+/**
+ * Applies an escalation rule to a rent amount, respecting the rule's cap.
+ * @param {object} rule - Escalation rule.
+ * @param {number} amount - Current rent amount.
+ * @returns {number} Escalated amount.
+ */
+const calculateEscalatedAmount = (rule, amount) => {
+    const escalated = rule.escalationType === 'fixed'
+        ? amount + (rule.value || 0)
+        : amount * (1 + (rule.value || 0) / 100);
+
+    const capped = rule.maxAmount !== null && rule.maxAmount !== undefined
+        ? Math.min(escalated, rule.maxAmount)
+        : escalated;
+
+    return roundCurrency(Math.max(capped, amount));
+};
+
+/**
+ * Decides what, if anything, is due for a schedule's escalation as of a date.
+ * - 'notice': the notice window has opened and the tenant has not been told yet. The increase
+ *   takes effect on the escalation date, or noticeDays from today if the notice is late, so the
+ *   tenant always gets the full notice period.
+ * - 'escalate': notice was given and its effective date has arrived.
+ * - 'none': nothing to do yet, or the increase would fall after the lease ends.
+ * @param {object} rule - Escalation rule.
+ * @param {object} schedule - RentSchedule (amount, effectiveStartDate, escalationNotice).
+ * @param {object} [lease] - Lease (leaseStartDate, leaseEndDate).
+ * @param {Date} [asOfDate=new Date()] - Date to plan for.
+ * @returns {object} { action, reason, escalationDate, noticeDate, effectiveDate, currentAmount, newAmount }
+ */
+const planEscalation = (rule, schedule, lease, asOfDate = new Date()) => {
+    const today = addDays(asOfDate, 0);
+    const currentAmount = schedule.amount;
+    const notice = schedule.escalationNotice;
+
+    const plan = {
+        action: 'none',
+        reason: null,
+        escalationDate: null,
+        noticeDate: null,
+        effectiveDate: null,
+        currentAmount,
+        newAmount: null
+    };
+
+    if (!rule || !rule.enabled) {
+        plan.reason = 'No escalation rule';
+        return plan;
+    }
+
+    // Notice already given: the increase goes ahead on the date and at the amount the tenant was told
+    if (notice?.effectiveDate) {
+        plan.escalationDate = addDays(notice.effectiveDate, 0);
+        plan.effectiveDate = plan.escalationDate;
+        plan.newAmount = notice.newAmount;
+        plan.action = today >= plan.effectiveDate ? 'escalate' : 'none';
+        if (plan.action === 'none') plan.reason = 'Waiting for notice period to end';
+        return plan;
+    }
+
+    plan.escalationDate = getNextEscalationDate(rule, schedule, lease);
+    plan.noticeDate = addDays(plan.escalationDate, -(rule.noticeDays || 0));
+    plan.newAmount = calculateEscalatedAmount(rule, currentAmount);
+
+    const earliestEffective = addDays(today, rule.noticeDays || 0);
+    plan.effectiveDate = earliestEffective > plan.escalationDate ? earliestEffective : plan.escalationDate;
+
+    if (plan.newAmount <= currentAmount) {
+        plan.reason = 'Rent is already at the escalation cap';
+        return plan;
+    }
+
+    if (lease?.leaseEndDate && plan.effectiveDate > new Date(lease.leaseEndDate)) {
+        plan.reason = 'Increase would fall after the lease ends';
+        return plan;
+    }
+
+    if (today < plan.noticeDate) {
+        plan.reason = 'Notice window has not opened';
+        return plan;
+    }
+
+    plan.action = 'notice';
+    return plan;
+};
+
+module.exports = {
+    resolveEscalationRule,
+    addMonths,
+    addDays,
+    getNextEscalationDate,
+    calculateEscalatedAmount,
+    planEscalation
+};
@@ -0,0 +1,143 @@
+// src/utils/rentRollUtils.js
+
+const { roundCurrency } = require('./lateFeeUtils');
+
+// Billing periods per year, for the monthly equivalent of contracted rent
+const PERIODS_PER_YEAR = {
+    weekly: 52,
+    bi_weekly: 26,
+    monthly: 12,
+    quarterly: 4,
+    bi_annually: 2,
+    annually: 1
+};
+
+/**
+ * End of the given day, so records dated any time on the as-of date are included.
+ * @param {Date} date - Date.
+ * @returns {Date} 23:59:59.999 on that day.
+ */
+const endOfDay = (date) => {
+    const end = new Date(date);
+    end.setHours(23, 59, 59, 999);
+    return end;
+};
+
+/**
+ * Start of the given day.
+ * @param {Date} date - Date.
+ * @returns {Date} 00:00 on that day.
+ */
+const startOfDay = (date) => {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    return start;
+};
+
+/**
+ * Finds the lease that had a unit on a date. Drafts never count, and a lease terminated
+ * before the date no longer holds the unit. If leases overlap, the latest to start wins.
+ * @param {Array<object>} leases - Leases for one unit.
+ * @param {Date} asOfDate - Date to check.
+ * @returns {object|null} The lease in force, or null if the unit was vacant.
+ */
+const findLeaseAsOf = (leases = [], asOfDate) => {
+    const end = endOfDay(asOfDate);
+    const start = startOfDay(asOfDate);
+
+    return leases
+        .filter(lease => lease.status !== 'draft'
+            && new Date(lease.leaseStartDate) <= end
+            && new Date(lease.leaseEndDate) >= start
+            && (!lease.terminatedAt || new Date(lease.terminatedAt) >= start))
+        .sort((a, b) => new Date(b.leaseStartDate) - new Date(a.leaseStartDate))[0] || null;
+};
+
+/**
+ * Finds the rent schedule in effect on a date (escalations close one schedule and open the next).
+ * @param {Array<object>} schedules - Rent schedules for one lease.
+ * @param {Date} asOfDate - Date to check.
+ * @returns {object|null} The schedule in effect, or null.
+ */
+const findScheduleAsOf = (schedules = [], asOfDate) => {
+    const end = endOfDay(asOfDate);
+    const start = startOfDay(asOfDate);
+
+    return schedules
+        .filter(schedule => new Date(schedule.effectiveStartDate) <= end
+            && (!schedule.effectiveEndDate || new Date(schedule.effectiveEndDate) >= start))
+        .sort((a, b) => new Date(b.effectiveStartDate) - new Date(a.effectiveStartDate))[0] || null;
+};
+
+/**
+ * Converts a rent amount to its monthly equivalent.
+ * @param {number} amount - Rent per billing period.
+ * @param {string} [billingPeriod='monthly'] - Billing period.
+ * @returns {number} Monthly equivalent.
+ */
+const toMonthlyAmount = (amount, billingPeriod = 'monthly') => roundCurrency(
+    (amount || 0) * (PERIODS_PER_YEAR[billingPeriod] || 12) / 12
+);
+
+/**
+ * The security deposit held at the end of a date: receipts up to the date, or nothing once the
+ * refund has been paid out.
+ * @param {object} deposit - Security deposit with receipts and refund.
+ * @param {Date} asOfDate - Date to check.
+ * @returns {number} Amount held.
+ */
+const calculateDepositHeldAsOf = (deposit, asOfDate) => {
+    if (!deposit) {
+        return 0;
+    }
+
+    const end = endOfDay(asOfDate);
+    if (deposit.refund?.paidAt && new Date(deposit.refund.paidAt) <= end) {
+        return 0;
+    }
+
+    return roundCurrency((deposit.receipts || [])
+        .filter(receipt => !receipt.receivedAt || new Date(receipt.receivedAt) <= end)
+        .reduce((sum, receipt) => sum + (receipt.amount || 0), 0));
+};
+
+/**
+ * Adds up a rent roll: unit counts, occupancy and money totals per currency.
+ * @param {Array<object>} rows - Rent roll rows with occupancyStatus, currency, monthlyRent, depositHeld and balance.
+ * @returns {object} { unitCount, occupiedCount, vacantCount, occupancyRate, totals }
+ */
+const summarizeRentRoll = (rows) => {
+    const occupiedCount = rows.filter(row => row.occupancyStatus === 'occupied').length;
+    const totals = new Map();
+
+    for (const row of rows) {
+        if (row.occupancyStatus !== 'occupied' && !row.balance) {
+            continue;
+        }
+        const currency = row.currency || 'UGX';
+        if (!totals.has(currency)) {
+            totals.set(currency, { currency, monthlyRent: 0, depositHeld: 0, balance: 0 });
+        }
+        const total = totals.get(currency);
+        total.monthlyRent = roundCurrency(total.monthlyRent + (row.monthlyRent || 0));
+        total.depositHeld = roundCurrency(total.depositHeld + (row.depositHeld || 0));
+        total.balance = roundCurrency(total.balance + (row.balance || 0));
+    }
+
+    return {
+        unitCount: rows.length,
+        occupiedCount,
+        vacantCount: rows.length - occupiedCount,
+        occupancyRate: rows.length > 0 ? Math.round((occupiedCount / rows.length) * 1000) / 10 : 0,
+        totals: [...totals.values()]
+    };
+};
+
+module.exports = {
+    PERIODS_PER_YEAR,
+    findLeaseAsOf,
+    findScheduleAsOf,
+    toMonthlyAmount,
+    calculateDepositHeldAsOf,
+    summarizeRentRoll
+};
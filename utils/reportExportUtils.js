@@ -0,0 +1,174 @@
+// src/utils/reportExportUtils.js
+
+const { roundCurrency } = require('./lateFeeUtils');
+
+const REPORT_EXPORT_FORMATS = ['csv', 'pdf', 'xlsx'];
+
+// Column types understood by the CSV, PDF and XLSX writers (a field without a type is a string)
+const REPORT_COLUMN_TYPES = ['string', 'number', 'integer', 'date', 'datetime', 'boolean'];
+
+// Query parameters that choose the export rather than filter the data
+const NON_FILTER_PARAMS = ['type', 'format'];
+
+/**
+ * Reads a field's value from a report row.
+ * @param {object} row - Report row.
+ * @param {object} field - Export field: { label, value, type }, where value is a key or a function of the row.
+ * @returns {*} Raw value.
+ */
+const getFieldValue = (row, field) => (typeof field.value === 'function' ? field.value(row) : row[field.value]);
+
+/**
+ * Converts a raw value to the type of its column. Values that do not fit the type
+ * (e.g. 'N/A' in a number column) are kept as text rather than dropped.
+ * @param {*} value - Raw value.
+ * @param {string} [type='string'] - Column type.
+ * @returns {string|number|boolean|Date|null} Typed value, or null for an empty cell.
+ */
+const toCellValue = (value, type = 'string') => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    switch (type) {
+        case 'number':
+        case 'integer': {
+            const number = typeof value === 'number' ? value : Number(value);
+            return Number.isFinite(number) ? number : String(value);
+        }
+        case 'date':
+        case 'datetime': {
+            const date = value instanceof Date ? value : new Date(value);
+            return Number.isNaN(date.getTime()) ? String(value) : date;
+        }
+        case 'boolean':
+            return typeof value === 'boolean' ? value : String(value);
+        default:
+            return typeof value === 'number' || typeof value === 'boolean' ? value : String(value);
+    }
+};
+
+/**
+ * Formats a typed cell value as text. CSV keeps machine-readable values (ISO dates, plain numbers);
+ * display text (PDF) uses thousands separators and Yes/No.
+ * @param {*} value - Value from toCellValue.
+ * @param {string} [type='string'] - Column type.
+ * @param {boolean} [forDisplay=false] - Format for people rather than for import.
+ * @returns {string} Cell text.
+ */
+const formatCellText = (value, type = 'string', forDisplay = false) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        if (type === 'datetime') {
+            return forDisplay ? value.toISOString().slice(0, 16).replace('T', ' ') : value.toISOString();
+        }
+        return value.toISOString().split('T')[0];
+    }
+    if (typeof value === 'number' && forDisplay) {
+        return value.toLocaleString('en-US', { maximumFractionDigits: type === 'integer' ? 0 : 2 });
+    }
+    if (typeof value === 'boolean' && forDisplay) {
+        return value ? 'Yes' : 'No';
+    }
+    return String(value);
+};
+
+/**
+ * Turns typed export fields into json2csv fields, so dates come out as ISO strings.
+ * @param {Array<object>} fields - Export fields.
+ * @returns {Array<object>} json2csv field definitions.
+ */
+const toCsvFields = (fields) => fields.map(field => ({
+    label: field.label,
+    value: (row) => {
+        const value = toCellValue(getFieldValue(row, field), field.type);
+        return value instanceof Date ? formatCellText(value, field.type) : (value ?? '');
+    }
+}));
+
+/**
+ * Adds up the fields marked `total: true`. When the report has a currency column there is
+ * one total row per currency, since amounts in different currencies are never added together.
+ * The first column of each total row reads TOTAL.
+ * @param {Array<object>} rows - Report rows.
+ * @param {Array<object>} fields - Export fields.
+ * @returns {Array<object>} Total rows, keyed like the report rows (empty if nothing is totalled).
+ */
+const calculateReportTotals = (rows, fields) => {
+    const totalFields = fields.filter(field => field.total && typeof field.value === 'string');
+    if (totalFields.length === 0 || rows.length === 0) {
+        return [];
+    }
+
+    const labelKey = typeof fields[0].value === 'string' ? fields[0].value : null;
+    const byCurrency = fields.some(field => field.value === 'currency');
+    const totals = new Map();
+
+    for (const row of rows) {
+        const currency = byCurrency ? (row.currency || '') : '';
+        if (!totals.has(currency)) {
+            const total = {};
+            if (labelKey) total[labelKey] = 'TOTAL';
+            if (byCurrency) total.currency = currency;
+            totalFields.forEach(field => { total[field.value] = 0; });
+            totals.set(currency, total);
+        }
+
+        const total = totals.get(currency);
+        totalFields.forEach(field => {
+            const value = toCellValue(row[field.value], field.type);
+            if (typeof value === 'number') {
+                total[field.value] = roundCurrency(total[field.value] + value);
+            }
+        });
+    }
+
+    return [...totals.values()];
+};
+
+/**
+ * Turns a filter key into a label, e.g. 'startDate' -> 'Start Date', 'propertyId' -> 'Property'.
+ * @param {string} key - Filter key.
+ * @returns {string} Label.
+ */
+const humanizeFilterKey = (key) => key
+    .replace(/Id$/, '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/^./, char => char.toUpperCase());
+
+/**
+ * Lists the filters a report was run with, for the heading of an exported file.
+ * @param {object} [filters={}] - Query filters (type and format are left out).
+ * @param {object} [displayValues={}] - Readable values by filter key, e.g. { propertyId: 'Sunset Apartments' }.
+ * @returns {Array<object>} [{ label, value }] for each filter that was set.
+ */
+const describeReportFilters = (filters = {}, displayValues = {}) => Object.entries(filters)
+    .filter(([key, value]) => !NON_FILTER_PARAMS.includes(key) && value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => ({
+        label: humanizeFilterKey(key),
+        value: displayValues[key] || (value instanceof Date ? formatCellText(value, 'date') : String(value))
+    }));
+
+/**
+ * Title for an exported report, e.g. 'rent_collection' -> 'Rent Collection Report'.
+ * @param {string} reportType - Report type.
+ * @returns {string} Title.
+ */
+const formatReportTitle = (reportType) => `${reportType
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ')} Report`;
+
+module.exports = {
+    REPORT_EXPORT_FORMATS,
+    REPORT_COLUMN_TYPES,
+    getFieldValue,
+    toCellValue,
+    formatCellText,
+    toCsvFields,
+    calculateReportTotals,
+    describeReportFilters,
+    formatReportTitle
+};
@@ -0,0 +1,53 @@
+// src/utils/securityDepositUtils.js
+
+const { roundCurrency } = require('./lateFeeUtils');
+
+/**
+ * Works out the holding status of a deposit from what has been received so far.
+ * Deposits with nothing agreed are treated as held once anything comes in.
+ * @param {number} amountRequired - Agreed deposit.
+ * @param {number} amountReceived - Total received.
+ * @returns {string} 'pending', 'partially_received' or 'held'.
+ */
+const getHoldingStatus = (amountRequired, amountReceived) => {
+    if (!(amountReceived > 0)) {
+        return 'pending';
+    }
+    if (amountRequired > 0 && amountReceived < amountRequired) {
+        return 'partially_received';
+    }
+    return 'held';
+};
+
+/**
+ * Sums the itemized deductions against a deposit.
+ * @param {Array<object>} deductions - Deductions with an amount.
+ * @returns {number} Total deductions.
+ */
+const sumDeductions = (deductions = []) => roundCurrency(
+    deductions.reduce((sum, deduction) => sum + (deduction.amount || 0), 0)
+);
+
+/**
+ * Settles a deposit: deductions come out of the amount held, the rest is refunded, and any
+ * deductions beyond the deposit are left owing by the tenant.
+ * @param {object} deposit - SecurityDeposit (amountReceived, deductions).
+ * @returns {object} { amountHeld, totalDeductions, refundAmount, amountOwed }
+ */
+const calculateDisposition = (deposit) => {
+    const amountHeld = roundCurrency(deposit.amountReceived || 0);
+    const totalDeductions = sumDeductions(deposit.deductions);
+
+    return {
+        amountHeld,
+        totalDeductions,
+        refundAmount: roundCurrency(Math.max(amountHeld - totalDeductions, 0)),
+        amountOwed: roundCurrency(Math.max(totalDeductions - amountHeld, 0))
+    };
+};
+
+module.exports = {
+    getHoldingStatus,
+    sumDeductions,
+    calculateDisposition
+};
@@ -173,6 +173,293 @@ const generateRentReminderSms = ({
     return message;
 };
 
+/**
+ * Generates the text for a rent increase notice SMS.
+ * @param {object} options
+ * @param {string} options.propertyName - Property name
+ * @param {string} options.unitNumber - Unit number/name
+ * @param {number} options.newAmount - Rent amount from the effective date
+ * @param {string} [options.currency='UGX'] - Rent currency
+ * @param {Date|string} options.effectiveDate - Date the new rent takes effect
+ * @param {string} [options.leaseLink] - Link to lease details
+ * @param {string} [options.appName=APP_NAME] - Application name
+ * @returns {string} SMS message text
+ */
+const generateRentEscalationSms = ({
+    propertyName = '',
+    unitNumber = '',
+    newAmount = 0,
+    currency = 'UGX',
+    effectiveDate,
+    leaseLink = '',
+    appName = APP_NAME
+} = {}) => {
+    let message = `${appName}: Rent for ${propertyName}`;
+
+    if (unitNumber) {
+        message += ` Unit ${unitNumber}`;
+    }
+
+    message += ` changes to ${formatCurrency(newAmount, currency)} from ${formatDate(effectiveDate)} as per your lease.`;
+
+    if (leaseLink) {
+        message += ` Details: ${leaseLink}`;
+    }
+
+    return message;
+};
+
+/**
+ * Generates the text for a lease renewal offer SMS.
+ * @param {object} options
+ * @param {string} options.propertyName - Property name
+ * @param {string} [options.unitNumber] - Unit number/name
+ * @param {number} options.monthlyRent - Offered monthly rent
+ * @param {string} [options.currency='UGX'] - Rent currency
+ * @param {Date|string} options.leaseEndDate - End of the renewed term
+ * @param {Date|string} [options.expiresAt] - Date the offer lapses
+ * @param {string} [options.responseLink] - Link to respond to the offer
+ * @param {string} [options.appName=APP_NAME] - Application name
+ * @returns {string} SMS message text
+ */
+const generateLeaseRenewalOfferSms = ({
+    propertyName = '',
+    unitNumber = '',
+    monthlyRent = 0,
+    currency = 'UGX',
+    leaseEndDate,
+    expiresAt,
+    responseLink = '',
+    appName = APP_NAME
+} = {}) => {
+    let message = `${appName}: Renewal offer for ${propertyName}`;
+
+    if (unitNumber) {
+        message += ` Unit ${unitNumber}`;
+    }
+
+    message += ` until ${formatDate(leaseEndDate)} at ${formatCurrency(monthlyRent, currency)}/month.`;
+
+    if (expiresAt) {
+        message += ` Respond by ${formatDate(expiresAt)}.`;
+    }
+
+    if (responseLink) {
+        message += ` ${responseLink}`;
+    }
+
+    return message;
+};
+
+/**
+ * Generates the text for an SMS telling a landlord or manager how a tenant responded to a renewal offer.
+ * @param {object} options
+ * @param {string} options.tenantName - Tenant name
+ * @param {string} options.propertyName - Property name
+ * @param {string} [options.unitNumber] - Unit number/name
+ * @param {string} options.action - 'accept', 'counter' or 'decline'
+ * @param {string} [options.offerLink] - Link to the renewal offer
+ * @param {string} [options.appName=APP_NAME] - Application name
+ * @returns {string} SMS message text
+ */
+const generateLeaseRenewalResponseSms = ({
+    tenantName = '',
+    propertyName = '',
+    unitNumber = '',
+    action,
+    offerLink = '',
+    appName = APP_NAME
+} = {}) => {
+    const outcome = { accept: 'accepted', counter: 'countered', decline: 'declined' }[action] || 'responded to';
+    let message = `${appName}: ${tenantName} ${outcome} the lease renewal offer for ${propertyName}`;
+
+    if (unitNumber) {
+        message += ` Unit ${unitNumber}`;
+    }
+
+    message += '.';
+
+    if (offerLink) {
+        message += ` Details: ${offerLink}`;
+    }
+
+    return message;
+};
+
+/**
+ * Generates the text for an SMS asking a signer to sign a lease.
+ * @param {object} options
+ * @param {string} options.propertyName - Property name
+ * @param {string} [options.unitNumber] - Unit number/name
+ * @param {Date|string} [options.expiresAt] - When the signing link stops working
+ * @param {string} [options.signingLink] - Link to review and sign the lease
+ * @param {string} [options.appName=APP_NAME] - Application name
+ * @returns {string} SMS message text
+ */
+const generateLeaseSignatureRequestSms = ({
+    propertyName = '',
+    unitNumber = '',
+    expiresAt,
+    signingLink = '',
+    appName = APP_NAME
+} = {}) => {
+    let message = `${appName}: Your lease for ${propertyName}`;
+
+    if (unitNumber) {
+        message += ` Unit ${unitNumber}`;
+    }
+
+    message += ' is ready to sign.';
+
+    if (expiresAt) {
+        message += ` Sign by ${formatDate(expiresAt)}.`;
+    }
+
+    if (signingLink) {
+        message += ` ${signingLink}`;
+    }
+
+    return message;
+};
+
+/**
+ * Generates the text for an invoice or credit note SMS.
+ * @param {object} options
+ * @param {string} options.invoiceNumber - Invoice or credit note number
+ * @param {boolean} [options.isCreditNote=false] - Whether the document is a credit note
+ * @param {number} options.amount - Document total
+ * @param {number} options.balance - Amount still owed
+ * @param {string} [options.currency='UGX'] - Currency
+ * @param {Date|string} options.dueDate - Payment due date
+ * @param {string} [options.documentLink] - Link to the PDF
+ * @param {string} [options.appName=APP_NAME] - Application name
+ * @returns {string} SMS message text
+ */
+const generateInvoiceSms = ({
+    invoiceNumber,
+    isCreditNote = false,
+    amount = 0,
+    balance = 0,
+    currency = 'UGX',
+    dueDate,
+    documentLink = '',
+    appName = APP_NAME
+} = {}) => {
+    let message = isCreditNote
+        ? `${appName}: Credit note ${invoiceNumber} for ${formatCurrency(amount, currency)} issued to your account.`
+        : `${appName}: Invoice ${invoiceNumber} - ${formatCurrency(balance, currency)} due by ${formatDate(dueDate)}.`;
+
+    if (documentLink) {
+        message += ` View: ${documentLink}`;
+    }
+
+    return message;
+};
+
+/**
+ * Generates the text for a rent payment receipt SMS.
+ * @param {object} options
+ * @param {string} options.receiptNumber - Receipt number
+ * @param {number} options.amount - Amount paid
+ * @param {number} [options.balance=0] - Amount still owed for the period
+ * @param {string} [options.currency='UGX'] - Currency
+ * @param {string} options.billingPeriod - Billing period paid for
+ * @param {string} [options.documentLink] - Link to the PDF
+ * @param {string} [options.appName=APP_NAME] - Application name
+ * @returns {string} SMS message text
+ */
+const generatePaymentReceiptSms = ({
+    receiptNumber,
+    amount = 0,
+    balance = 0,
+    currency = 'UGX',
+    billingPeriod,
+    documentLink = '',
+    appName = APP_NAME
+} = {}) => {
+    let message = `${appName}: Payment of ${formatCurrency(amount, currency)} received for ${billingPeriod}. Receipt ${receiptNumber}.`;
+
+    if (balance > 0) {
+        message += ` Balance: ${formatCurrency(balance, currency)}.`;
+    }
+
+    if (documentLink) {
+        message += ` View: ${documentLink}`;
+    }
+
+    return message;
+};
+
+/**
+ * Generates the text for a dunning reminder or formal notice SMS.
+ * @param {object} options
+ * @param {string} options.propertyName - Property name
+ * @param {string} [options.unitNumber] - Unit number/name
+ * @param {number} options.balance - Amount still owed
+ * @param {string} [options.currency='UGX'] - Currency
+ * @param {number} options.daysOverdue - Days past the due date
+ * @param {boolean} [options.isFormal=false] - Whether this is a formal notice
+ * @param {string} [options.link] - Link to the rent record or notice
+ * @param {string} [options.appName=APP_NAME] - Application name
+ * @returns {string} SMS message text
+ */
+const generateDunningNoticeSms = ({
+    propertyName = '',
+    unitNumber = '',
+    balance = 0,
+    currency = 'UGX',
+    daysOverdue = 0,
+    isFormal = false,
+    link = '',
+    appName = APP_NAME
+} = {}) => {
+    let message = `${appName}: ${isFormal ? 'FORMAL NOTICE - ' : ''}Rent for ${propertyName}`;
+
+    if (unitNumber) {
+        message += ` Unit ${unitNumber}`;
+    }
+
+    message += ` is ${daysOverdue} day(s) overdue. Balance: ${formatCurrency(balance, currency)}.`;
+
+    if (link) {
+        message += ` ${isFormal ? 'Notice' : 'Pay online'}: ${link}`;
+    }
+
+    return message;
+};
+
+/**
+ * Generates the text for the SMS alerting a landlord or manager to an escalated overdue account.
+ * @param {object} options
+ * @param {string} options.tenantName - Tenant name
+ * @param {string} options.propertyName - Property name
+ * @param {string} [options.unitNumber] - Unit number/name
+ * @param {number} options.balance - Amount still owed
+ * @param {string} [options.currency='UGX'] - Currency
+ * @param {number} options.daysOverdue - Days past the due date
+ * @param {string} [options.rentLink] - Link to the rent record
+ * @param {string} [options.appName=APP_NAME] - Application name
+ * @returns {string} SMS message text
+ */
+const generateDunningEscalationSms = ({
+    tenantName = '',
+    propertyName = '',
+    unitNumber = '',
+    balance = 0,
+    currency = 'UGX',
+    daysOverdue = 0,
+    rentLink = '',
+    appName = APP_NAME
+} = {}) => {
+    let message = `${appName}: ${tenantName} (${propertyName}${unitNumber ? ` Unit ${unitNumber}` : ''}) is ${daysOverdue} day(s) overdue with ${formatCurrency(balance, currency)} outstanding.`;
+
+    if (rentLink) {
+        message += ` Details: ${rentLink}`;
+    }
+
+    return message;
+};
+
 /**
  * Generates the text for a maintenance appointment SMS.
  * @param {object} options
@@ -238,6 +525,14 @@ module.exports = {
     generateRequestUpdateSms,
     generateRentReminderSms,
     generateLeaseExpirySms,
+    generateRentEscalationSms,
+    generateLeaseRenewalOfferSms,
+    generateLeaseRenewalResponseSms,
+    generateLeaseSignatureRequestSms,
+    generateInvoiceSms,
+    generatePaymentReceiptSms,
+    generateDunningNoticeSms,
+    generateDunningEscalationSms,
     generateMaintenanceAppointmentSms,
     formatCurrency,
     formatDate
@@ -0,0 +1,266 @@
+// src/utils/statementParser.js
+
+const crypto = require('crypto');
+
+// Column names we recognise in bank and mobile-money CSV exports (compared lower-cased)
+const CSV_COLUMNS = {
+    date: ['date', 'transaction date', 'trans date', 'value date', 'posting date', 'posted date', 'completion time'],
+    amount: ['amount', 'credit', 'credit amount', 'deposit', 'deposits', 'paid in', 'money in', 'cr'],
+    debit: ['debit', 'debit amount', 'withdrawal', 'withdrawals', 'paid out', 'money out', 'dr'],
+    reference: ['reference', 'ref', 'transaction id', 'transaction reference', 'receipt no', 'receipt no.', 'txn id'],
+    description: ['description', 'narration', 'details', 'particulars', 'memo', 'remarks', 'other party info'],
+    phone: ['phone', 'phone number', 'msisdn', 'mobile', 'sender', 'from']
+};
+
+/**
+ * Splits one CSV line into fields, honouring double-quoted values.
+ * @param {string} line - CSV line.
+ * @returns {Array<string>} Field values.
+ */
+const splitCsvLine = (line) => {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current.trim());
+
+    return fields;
+};
+
+/**
+ * Parses an amount such as "1,200,000.00", "UGX 50,000" or "(3,000)".
+ * @param {string} value - Raw amount.
+ * @returns {number|null} Amount, or null if not a number.
+ */
+const parseAmount = (value) => {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const raw = String(value).trim();
+    const negative = /^\(.*\)$/.test(raw) || raw.startsWith('-');
+    const amount = parseFloat(raw.replace(/[^0-9.]/g, ''));
+    if (Number.isNaN(amount)) return null;
+    return negative ? -amount : amount;
+};
+
+/**
+ * Parses the date formats found in statements: ISO (2025-01-31), day-first (31/01/2025,
+ * 31-01-2025 - the usual East African format) and OFX (20250131 or 20250131120000[+3:EAT]).
+ * @param {string} value - Raw date.
+ * @returns {Date|null} Parsed date, or null if unrecognised.
+ */
+const parseStatementDate = (value) => {
+    if (!value) return null;
+    const raw = String(value).trim();
+
+    let match = raw.match(/^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?/);
+    if (match) {
+        return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), Number(match[4] || 0), Number(match[5] || 0));
+    }
+
+    match = raw.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) {
+        return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+
+    match = raw.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+    if (match) {
+        const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+        return new Date(year, Number(match[2]) - 1, Number(match[1]));
+    }
+
+    const parsed = new Date(raw);
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+/**
+ * Normalizes a Ugandan phone number to E.164 (+256...).
+ * @param {string} value - Raw phone number.
+ * @returns {string|null} E.164 number, or null.
+ */
+const normalizePhone = (value) => {
+    if (!value) return null;
+    const digits = String(value).replace(/\D/g, '');
+    if (/^256\d{9}$/.test(digits)) return `+${digits}`;
+    if (/^0\d{9}$/.test(digits)) return `+256${digits.slice(1)}`;
+    if (/^7\d{8}$/.test(digits)) return `+256${digits}`;
+    return null;
+};
+
+/**
+ * Finds a phone number inside free text such as a mobile-money narration.
+ * @param {string} text - Text to search.
+ * @returns {string|null} E.164 number, or null.
+ */
+const extractPhone = (text) => {
+    if (!text) return null;
+    const match = String(text).match(/(?:\+?256|0)7\d{8}/);
+    return match ? normalizePhone(match[0]) : null;
+};
+
+/**
+ * Stable fingerprint for a statement line, used to skip lines that were already imported.
+ * @param {object} line - Parsed line.
+ * @returns {string} SHA-256 hex digest.
+ */
+const fingerprintLine = (line) => {
+    const key = line.transactionId
+        ? `id:${line.transactionId}`
+        : `${line.date ? line.date.toISOString().slice(0, 10) : ''}|${line.amount}|${line.reference || ''}|${line.description || ''}`;
+    return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Parses a CSV statement. Only credit lines (money in) are returned.
+ * @param {string} text - CSV file contents.
+ * @returns {Array<object>} Lines: { lineNumber, date, amount, transactionId, reference, description, phoneNumber, raw }
+ * @throws {Error} If the date or amount column cannot be found.
+ */
+const parseCsvStatement = (text) => {
+    const rows = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).filter(row => row.trim() !== '');
+    if (rows.length < 2) {
+        return [];
+    }
+
+    const headers = splitCsvLine(rows[0]).map(header => header.toLowerCase().trim());
+    const columnIndex = (names) => headers.findIndex(header => names.includes(header));
+    const columns = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([key, names]) => [key, columnIndex(names)]));
+
+    if (columns.date === -1 || columns.amount === -1) {
+        throw new Error('Could not find date and amount columns in the CSV header.');
+    }
+
+    const lines = [];
+    rows.slice(1).forEach((row, index) => {
+        const fields = splitCsvLine(row);
+        const field = (key) => (columns[key] === -1 ? undefined : fields[columns[key]]);
+
+        const amount = parseAmount(field('amount'));
+        const debit = parseAmount(field('debit'));
+        // Money out, or a row with no credit, is not a rent payment
+        if (amount === null || amount <= 0 || (debit !== null && debit > 0)) {
+            return;
+        }
+
+        const description = field('description') || '';
+        const reference = field('reference') || '';
+
+        const line = {
+            lineNumber: index + 2,
+            date: parseStatementDate(field('date')),
+            amount,
+            transactionId: reference || null,
+            reference,
+            description,
+            phoneNumber: normalizePhone(field('phone')) || extractPhone(`${reference} ${description}`),
+            raw: row
+        };
+        line.fingerprint = fingerprintLine(line);
+        lines.push(line);
+    });
+
+    return lines;
+};
+
+/**
+ * Reads a single OFX/SGML tag value from a transaction block.
+ */
+const readOfxTag = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : null;
+};
+
+/**
+ * Parses an OFX (or QFX) statement. Works for both the SGML (OFX 1.x) and XML (OFX 2.x)
+ * variants. Only credit transactions are returned.
+ * @param {string} text - OFX file contents.
+ * @returns {Array<object>} Lines in the same shape as parseCsvStatement.
+ */
+const parseOfxStatement = (text) => {
+    const blocks = String(text).split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+
+    const lines = [];
+    blocks.forEach((block, index) => {
+        const amount = parseAmount(readOfxTag(block, 'TRNAMT'));
+        if (amount === null || amount <= 0) {
+            return;
+        }
+
+        const name = readOfxTag(block, 'NAME') || '';
+        const memo = readOfxTag(block, 'MEMO') || '';
+        const transactionId = readOfxTag(block, 'FITID');
+        const reference = readOfxTag(block, 'REFNUM') || readOfxTag(block, 'CHECKNUM') || transactionId || '';
+
+        const line = {
+            lineNumber: index + 1,
+            date: parseStatementDate(readOfxTag(block, 'DTPOSTED')),
+            amount,
+            transactionId,
+            reference,
+            description: [name, memo].filter(Boolean).join(' - '),
+            phoneNumber: extractPhone(`${name} ${memo}`),
+            raw: block.trim()
+        };
+        line.fingerprint = fingerprintLine(line);
+        lines.push(line);
+    });
+
+    return lines;
+};
+
+/**
+ * Works out the statement format from the file name or contents.
+ * @param {string} fileName - Uploaded file name.
+ * @param {string} text - File contents.
+ * @returns {string} 'ofx' or 'csv'.
+ */
+const detectStatementFormat = (fileName, text) => {
+    if (/\.(ofx|qfx)$/i.test(fileName || '') || /<OFX>|OFXHEADER/i.test(String(text).slice(0, 2000))) {
+        return 'ofx';
+    }
+    return 'csv';
+};
+
+/**
+ * Parses a statement file of either format.
+ * @param {string} text - File contents.
+ * @param {string} [format] - 'csv' or 'ofx' (detected when omitted).
+ * @param {string} [fileName] - File name, used for format detection.
+ * @returns {object} { format, lines }
+ */
+const parseStatement = (text, format, fileName) => {
+    const resolvedFormat = format || detectStatementFormat(fileName, text);
+    const lines = resolvedFormat === 'ofx' ? parseOfxStatement(text) : parseCsvStatement(text);
+    return { format: resolvedFormat, lines };
+};
+
+module.exports = {
+    splitCsvLine,
+    parseAmount,
+    parseStatementDate,
+    normalizePhone,
+    extractPhone,
+    fingerprintLine,
+    parseCsvStatement,
+    parseOfxStatement,
+    detectStatementFormat,
+    parseStatement
+};
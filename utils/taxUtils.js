@@ -0,0 +1,163 @@
+// src/utils/taxUtils.js
+
+const { roundCurrency } = require('./lateFeeUtils');
+
+/**
+ * Whether a tax is deducted from what the tenant pays rather than added to it.
+ * @param {object} tax - Tax rule or applied tax with a type.
+ * @returns {boolean} True for withholding tax.
+ */
+const isWithheld = (tax) => tax.type === 'withholding';
+
+/**
+ * Picks a property's tax rules that apply to a line: active, in force on the date, covering the
+ * line's category, and (for withholding) only when the tenant withholds tax.
+ * @param {Array<object>} rules - Property tax rules.
+ * @param {object} context - { date, category, withholdsTax }
+ * @returns {Array<object>} Applicable rules.
+ */
+const getApplicableTaxRules = (rules = [], { date = new Date(), category = 'other', withholdsTax = false } = {}) => {
+    const on = new Date(date);
+
+    return rules.filter(rule => {
+        if (rule.isActive === false) return false;
+        if (rule.effectiveFrom && new Date(rule.effectiveFrom) > on) return false;
+        if (rule.effectiveTo && new Date(rule.effectiveTo) < on) return false;
+        if (rule.categories && rule.categories.length > 0 && !rule.categories.includes(category)) return false;
+        return !isWithheld(rule) || withholdsTax;
+    });
+};
+
+/**
+ * Works out each tax on a line amount. Taxes are always charged on the line amount before
+ * other taxes, so withholding is not taken on VAT.
+ * @param {number} amount - Line amount before tax.
+ * @param {Array<object>} rules - Tax rules or applied taxes { _id | rule, name, type, rate }.
+ * @returns {Array<object>} Applied taxes { rule, name, type, rate, amount }.
+ */
+const calculateLineTaxes = (amount, rules = []) => rules
+    .filter(rule => rule.rate > 0)
+    .map(rule => ({
+        rule: rule.rule !== undefined ? rule.rule : (rule._id || null),
+        name: rule.name,
+        type: rule.type,
+        rate: rule.rate,
+        amount: roundCurrency(amount * rule.rate / 100)
+    }));
+
+/**
+ * Adds up applied taxes into what is charged on top and what is withheld.
+ * @param {Array<object>} taxes - Applied taxes { type, amount }.
+ * @returns {object} { taxTotal, withholdingTotal }
+ */
+const sumTaxes = (taxes = []) => ({
+    taxTotal: roundCurrency(taxes.filter(tax => !isWithheld(tax)).reduce((sum, tax) => sum + tax.amount, 0)),
+    withholdingTotal: roundCurrency(taxes.filter(isWithheld).reduce((sum, tax) => sum + tax.amount, 0))
+});
+
+/**
+ * Taxes on a rent record's lines (the rent and each charge billed with it), one entry per rule
+ * and line category so invoices generated from the record can tax each line the same way.
+ * @param {Array<object>} lines - { category, amount }
+ * @param {Array<object>} rules - Property tax rules.
+ * @param {object} context - { date, withholdsTax }
+ * @returns {Array<object>} Rent taxes { rule, name, type, rate, category, base, amount }.
+ */
+const calculateRentTaxes = (lines = [], rules = [], { date, withholdsTax = false } = {}) => {
+    const taxes = [];
+
+    for (const line of lines) {
+        const applicable = getApplicableTaxRules(rules, { date, category: line.category, withholdsTax });
+        for (const tax of calculateLineTaxes(line.amount, applicable)) {
+            const existing = taxes.find(entry => String(entry.rule) === String(tax.rule) && entry.category === line.category);
+            if (existing) {
+                existing.base = roundCurrency(existing.base + line.amount);
+                existing.amount = roundCurrency(existing.amount + tax.amount);
+            } else {
+                taxes.push({ ...tax, category: line.category, base: roundCurrency(line.amount) });
+            }
+        }
+    }
+
+    return taxes;
+};
+
+/**
+ * Groups the taxes on invoice lines into the breakdown printed on the invoice.
+ * @param {Array<object>} items - Calculated line items with amount and taxes.
+ * @returns {Array<object>} { name, type, rate, base, amount } per tax, VAT before withholding.
+ */
+const buildTaxBreakdown = (items = []) => {
+    const breakdown = [];
+
+    for (const item of items) {
+        for (const tax of item.taxes || []) {
+            const existing = breakdown.find(entry => entry.name === tax.name && entry.type === tax.type && entry.rate === tax.rate);
+            if (existing) {
+                existing.base = roundCurrency(existing.base + item.amount);
+                existing.amount = roundCurrency(existing.amount + tax.amount);
+            } else {
+                breakdown.push({ name: tax.name, type: tax.type, rate: tax.rate, base: roundCurrency(item.amount), amount: tax.amount });
+            }
+        }
+    }
+
+    return breakdown.sort((a, b) => Number(isWithheld(a)) - Number(isWithheld(b)));
+};
+
+/**
+ * Builds the per-period tax summary used for filing: one row per period, property and tax,
+ * with the taxable amount and tax, plus totals by tax type.
+ * @param {Array<object>} entries - { period, propertyId, propertyName, currency, name, type, rate, base, amount }
+ * @returns {object} { rows, totals: { vat, withholding, taxableAmount } }
+ */
+const buildTaxSummary = (entries = []) => {
+    const rows = new Map();
+
+    for (const entry of entries) {
+        const key = [entry.period, entry.propertyId, entry.currency, entry.name, entry.type, entry.rate].join('|');
+        if (!rows.has(key)) {
+            rows.set(key, {
+                period: entry.period,
+                propertyId: entry.propertyId,
+                propertyName: entry.propertyName,
+                currency: entry.currency,
+                taxName: entry.name,
+                taxType: entry.type,
+                rate: entry.rate,
+                taxableAmount: 0,
+                taxAmount: 0
+            });
+        }
+
+        const row = rows.get(key);
+        row.taxableAmount = roundCurrency(row.taxableAmount + entry.base);
+        row.taxAmount = roundCurrency(row.taxAmount + entry.amount);
+    }
+
+    const sorted = [...rows.values()].sort((a, b) =>
+        a.period.localeCompare(b.period) ||
+        String(a.propertyName).localeCompare(String(b.propertyName)) ||
+        Number(isWithheld({ type: a.taxType })) - Number(isWithheld({ type: b.taxType })) ||
+        a.taxName.localeCompare(b.taxName)
+    );
+
+    return {
+        rows: sorted,
+        totals: {
+            vat: roundCurrency(sorted.filter(row => !isWithheld({ type: row.taxType })).reduce((sum, row) => sum + row.taxAmount, 0)),
+            withholding: roundCurrency(sorted.filter(row => isWithheld({ type: row.taxType })).reduce((sum, row) => sum + row.taxAmount, 0)),
+            taxableAmount: roundCurrency(sorted.filter(row => !isWithheld({ type: row.taxType })).reduce((sum, row) => sum + row.taxableAmount, 0))
+        }
+    };
+};
+
+module.exports = {
+    isWithheld,
+    getApplicableTaxRules,
+    calculateLineTaxes,
+    sumTaxes,
+    calculateRentTaxes,
+    buildTaxBreakdown,
+    buildTaxSummary
+};
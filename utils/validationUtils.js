@@ -4,7 +4,7 @@ const { check, validationResult, body } = require('express-validator');
 const logger = require('./logger');
 const AppError = require('./AppError');
 const { SERVICE_TYPE_ENUM, CATEGORY_ENUM, USER_TYPE_ENUM, PRIORITY_ENUM, REQUEST_STATUS_ENUM, ASSIGNED_TO_MODEL_ENUM, FREQUENCY_TYPE_ENUM, SCHEDULED_MAINTENANCE_STATUS_ENUM, UNIT_STATUS_ENUM, UTILITY_RESPONSIBILITY_ENUM  } = require('./constants/enums');
-const { SERVICE_ENUM } = require('./constants/enums');
+const { SERVICE_ENUM, LATE_FEE_TYPE_ENUM, RENT_ESCALATION_TYPE_ENUM, DUNNING_CHANNEL_ENUM, MANAGEMENT_FEE_TYPE_ENUM, TAX_TYPE_ENUM, INVOICE_LINE_CATEGORY_ENUM, RENEWAL_RESPONSE_ACTION_ENUM, SIGNER_ROLE_ENUM, SIGNATURE_TYPE_ENUM } = require('./constants/enums');
 
 /**
  * Centralized validation result handler.
@@ -524,6 +524,305 @@ const validateUnit = [
     validateResult // Must be the last middleware
 ];
 
+/**
+ * Validation middleware for late fee policies set on a lease or property.
+ */
+const validateLateFeePolicy = [
+    body('enabled')
+        .optional()
+        .isBoolean().withMessage('Enabled must be a boolean value.'),
+
+    body('gracePeriodDays')
+        .optional()
+        .isInt({ min: 0 }).withMessage('Grace period must be a non-negative integer number of days.'),
+
+    body('feeType')
+        .optional()
+        .isIn(LATE_FEE_TYPE_ENUM).withMessage(`Invalid fee type. Must be one of: ${LATE_FEE_TYPE_ENUM.join(', ')}.`),
+
+    body('feeAmount')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Fee amount must be a non-negative number.'),
+
+    body('dailyAccrual.enabled')
+        .optional()
+        .isBoolean().withMessage('Daily accrual enabled must be a boolean value.'),
+
+    body('dailyAccrual.amount')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Daily accrual amount must be a non-negative number.'),
+
+    body('maxFee')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 }).withMessage('Maximum fee must be a non-negative number.'),
+
+    validateResult
+];
+
+/**
+ * Validation middleware for rent escalation rules set on a lease or rent schedule.
+ */
+const validateRentEscalation = [
+    body('enabled')
+        .optional()
+        .isBoolean().withMessage('Enabled must be a boolean value.'),
+
+    body('escalationType')
+        .optional()
+        .isIn(RENT_ESCALATION_TYPE_ENUM).withMessage(`Invalid escalation type. Must be one of: ${RENT_ESCALATION_TYPE_ENUM.join(', ')}.`),
+
+    body('value')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Escalation value must be a non-negative number.'),
+
+    body('intervalMonths')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Escalation interval must be a positive whole number of months.'),
+
+    body('noticeDays')
+        .optional()
+        .isInt({ min: 0 }).withMessage('Notice period must be a non-negative integer number of days.'),
+
+    body('maxAmount')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 }).withMessage('Maximum rent must be a non-negative number.'),
+
+    body('nextEscalationDate')
+        .optional({ nullable: true })
+        .isISO8601().toDate().withMessage('Next escalation date must be a valid date.'),
+
+    validateResult
+];
+
+/**
+ * Validation middleware for a property's dunning sequence.
+ */
+const validateDunningPolicy = [
+    body('enabled')
+        .optional()
+        .isBoolean().withMessage('Enabled must be a boolean value.'),
+
+    body('steps')
+        .optional()
+        .isArray({ max: 10 }).withMessage('Steps must be a list of at most 10 dunning steps.'),
+
+    body('steps.*.name')
+        .notEmpty().withMessage('Each dunning step needs a name.')
+        .isString().trim()
+        .isLength({ max: 100 }).withMessage('Dunning step name cannot exceed 100 characters.'),
+
+    body('steps.*.daysOverdue')
+        .isInt({ min: 1 }).withMessage('Days overdue must be a whole number of at least 1.')
+        .toInt(),
+
+    body('steps.*.channel')
+        .isIn(DUNNING_CHANNEL_ENUM).withMessage(`Invalid dunning channel. Must be one of: ${DUNNING_CHANNEL_ENUM.join(', ')}.`),
+
+    body('steps.*.message')
+        .optional({ nullable: true })
+        .isString().trim()
+        .isLength({ max: 1000 }).withMessage('Dunning step message cannot exceed 1000 characters.'),
+
+    body('steps.*.escalateToLandlord')
+        .optional()
+        .isBoolean().withMessage('Escalate to landlord must be a boolean value.'),
+
+    validateResult
+];
+
+/**
+ * Validation for a property's budget alert policy
+ */
+const validateBudgetAlertPolicy = [
+    body('enabled')
+        .optional()
+        .isBoolean().withMessage('Enabled must be a boolean value.'),
+
+    body('currency')
+        .optional()
+        .isString().trim()
+        .isLength({ max: 10 }).withMessage('Currency cannot exceed 10 characters.'),
+
+    body('thresholds')
+        .optional()
+        .isArray({ min: 1, max: 10 }).withMessage('Thresholds must be a list of 1 to 10 percentages.'),
+
+    body('thresholds.*')
+        .isFloat({ min: 1 }).withMessage('Each threshold must be a percentage of at least 1.')
+        .toFloat(),
+
+    validateResult
+];
+
+const validateManagementFee = [
+    body('type')
+        .notEmpty().withMessage('Management fee type is required.')
+        .isIn(MANAGEMENT_FEE_TYPE_ENUM).withMessage(`Management fee type must be one of: ${MANAGEMENT_FEE_TYPE_ENUM.join(', ')}`),
+
+    body('rate')
+        .if(body('type').equals('percentage'))
+        .notEmpty().withMessage('Rate is required for a percentage management fee.')
+        .isFloat({ min: 0, max: 100 }).withMessage('Rate must be a percentage between 0 and 100.')
+        .toFloat(),
+
+    body('amountPerUnit')
+        .if(body('type').equals('flat_per_unit'))
+        .notEmpty().withMessage('Amount per unit is required for a flat per-unit management fee.')
+        .isFloat({ min: 0 }).withMessage('Amount per unit must be 0 or more.')
+        .toFloat(),
+
+    validateResult
+];
+
+const validateTaxRules = [
+    body('rules')
+        .isArray({ max: 20 }).withMessage('Tax rules must be a list of up to 20 rules.'),
+
+    body('rules.*.name')
+        .notEmpty().withMessage('Every tax rule needs a name.')
+        .isString().trim()
+        .isLength({ max: 100 }).withMessage('Tax rule name cannot exceed 100 characters.'),
+
+    body('rules.*.type')
+        .isIn(TAX_TYPE_ENUM).withMessage(`Tax type must be one of: ${TAX_TYPE_ENUM.join(', ')}`),
+
+    body('rules.*.rate')
+        .isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be a percentage between 0 and 100.')
+        .toFloat(),
+
+    body('rules.*.categories')
+        .optional()
+        .isArray().withMessage('Categories must be a list.'),
+
+    body('rules.*.categories.*')
+        .isIn(INVOICE_LINE_CATEGORY_ENUM).withMessage(`Category must be one of: ${INVOICE_LINE_CATEGORY_ENUM.join(', ')}`),
+
+    body('rules.*.effectiveFrom')
+        .optional({ values: 'null' })
+        .isISO8601().withMessage('Effective from must be a valid date.'),
+
+    body('rules.*.effectiveTo')
+        .optional({ values: 'null' })
+        .isISO8601().withMessage('Effective to must be a valid date.'),
+
+    body('rules.*.isActive')
+        .optional()
+        .isBoolean().withMessage('isActive must be a boolean value.'),
+
+    validateResult
+];
+
+/**
+ * Lease renewal term validators; every field is optional and defaults to the current lease.
+ * @param {string} [prefix=''] - Where the terms sit in the body ('terms.' for counter offers)
+ */
+const renewalTermValidators = (prefix = '') => [
+    body(`${prefix}leaseStartDate`)
+        .optional()
+        .isISO8601().toDate().withMessage('Renewal start date must be a valid date.'),
+
+    body(`${prefix}leaseEndDate`)
+        .optional()
+        .isISO8601().toDate().withMessage('Renewal end date must be a valid date.'),
+
+    body(`${prefix}monthlyRent`)
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Monthly rent must be a non-negative number.'),
+
+    body(`${prefix}currency`)
+        .optional()
+        .isString().trim()
+        .isLength({ max: 10 }).withMessage('Currency cannot exceed 10 characters.'),
+
+    body(`${prefix}paymentDueDate`)
+        .optional()
+        .isInt({ min: 1, max: 31 }).withMessage('Payment due date must be a day of the month (1-31).'),
+
+    body(`${prefix}securityDeposit`)
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Security deposit must be a non-negative number.'),
+
+    body(`${prefix}conditions`)
+        .optional({ values: 'null' })
+        .isString().trim()
+        .isLength({ max: 2000 }).withMessage('Conditions cannot exceed 2000 characters.')
+];
+
+const validateRenewalOffer = [
+    ...renewalTermValidators(),
+
+    body('expiresAt')
+        .optional({ values: 'null' })
+        .isISO8601().toDate().withMessage('Respond-by date must be a valid date.'),
+
+    validateResult
+];
+
+const validateRenewalResponse = [
+    body('action')
+        .isIn(RENEWAL_RESPONSE_ACTION_ENUM).withMessage(`Action must be one of: ${RENEWAL_RESPONSE_ACTION_ENUM.join(', ')}`),
+
+    body('terms')
+        .optional()
+        .isObject().withMessage('Counter offer terms must be an object.'),
+
+    ...renewalTermValidators('terms.'),
+
+    body('message')
+        .optional()
+        .isString().trim()
+        .isLength({ max: 1000 }).withMessage('Message cannot exceed 1000 characters.'),
+
+    validateResult
+];
+
+const validateSignatureRequest = [
+    body('signers')
+        .optional()
+        .isArray({ min: 1, max: 10 }).withMessage('Signers must be a list of 1 to 10 people in signing order.'),
+
+    body('signers.*.role')
+        .isIn(SIGNER_ROLE_ENUM).withMessage(`Signer role must be one of: ${SIGNER_ROLE_ENUM.join(', ')}`),
+
+    body('signers.*.user')
+        .isMongoId().withMessage('Signer user must be a valid ID.'),
+
+    body('expiresAt')
+        .optional({ values: 'null' })
+        .isISO8601().toDate().withMessage('Sign-by date must be a valid date.'),
+
+    validateResult
+];
+
+/**
+ * Signature validators shared by lease and inspection sign-off
+ * @param {string} consentMessage - Error shown when the signer has not agreed to sign electronically
+ */
+const signatureValidators = (consentMessage) => [
+    body('signatureType')
+        .isIn(SIGNATURE_TYPE_ENUM).withMessage(`Signature type must be one of: ${SIGNATURE_TYPE_ENUM.join(', ')}`),
+
+    body('typedName')
+        .if(body('signatureType').equals('typed'))
+        .isString().trim()
+        .isLength({ min: 2, max: 100 }).withMessage('Type your full name (2-100 characters) to sign.'),
+
+    // A 50 KB image is about 68,000 characters once base64 encoded
+    body('signatureImage')
+        .if(body('signatureType').equals('drawn'))
+        .isString()
+        .isLength({ min: 1, max: 70000 }).withMessage('The drawn signature is missing or too large.'),
+
+    body('consent')
+        .custom(value => value === true || value === 'true')
+        .withMessage(consentMessage),
+
+    validateResult
+];
+
+const validateSignature = signatureValidators('You must agree to sign the lease electronically.');
+
+const validateInspectionSignature = signatureValidators('You must agree to sign the inspection report electronically.');
 
 module.exports = {
     check,
@@ -542,4 +841,15 @@ module.exports = {
     validateRequest,
     validateScheduledMaintenance,
     validateUnit,
+    validateLateFeePolicy,
+    validateRentEscalation,
+    validateDunningPolicy,
+    validateBudgetAlertPolicy,
+    validateManagementFee,
+    validateTaxRules,
+    validateRenewalOffer,
+    validateRenewalResponse,
+    validateSignatureRequest,
+    validateSignature,
+    validateInspectionSignature,
 };
\ No newline at end of file